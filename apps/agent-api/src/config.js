@@ -1,6 +1,12 @@
 const DEFAULT_PORT = 8080;
 const DEFAULT_NONCE_TTL_SECONDS = 300;
 const DEFAULT_MAX_FUTURE_SKEW_SECONDS = 60;
+const DEFAULT_A2A_MTLS_PORT = 8443;
+const DEFAULT_EIP712_CHAIN_ID = 1;
+const DEFAULT_EIP1271_RPC_TIMEOUT_MS = 5000;
+const DEFAULT_EIP1271_CACHE_TTL_SECONDS = 300;
+const DEFAULT_NONCE_PRUNE_INTERVAL_SECONDS = 60;
+const DEFAULT_SESSION_TTL_SECONDS = 900;
 const DEFAULT_POSTGRES_POOL_SIZE = 10;
 const DEFAULT_SQLITE_PATH = './data/private-db-agent.sqlite';
 const DEFAULT_DEMO_CHAIN_ID = 1;
@@ -11,6 +17,7 @@ const DEFAULT_REQUEST_TIMEOUT_MS = 15_000;
 const DEFAULT_RATE_LIMIT_WINDOW_MS = 60_000;
 const DEFAULT_RATE_LIMIT_MAX_REQUESTS = 300;
 const DEFAULT_SECRET_ROTATION_DAYS = 30;
+const DEFAULT_PAGINATION_CURSOR_TTL_SECONDS = 3600;
 const DEFAULT_AI_SIGNER_PRIVATE_KEY =
   '0x59c6995e998f97a5a0044966f094538e5b32cbac50b1f5f5c4ea7f7f0e5f7a72';
 
@@ -108,6 +115,17 @@ function parseEnum(name, rawValue, allowedValues, defaultValue) {
   return value;
 }
 
+// Cursors are signed with this secret. Outside development and test it must be configured, so
+// that issued cursors survive restarts and verify on every replica.
+function parseCursorSecret(env) {
+  const cursorSecret = parseString('PAGINATION_CURSOR_SECRET', env.PAGINATION_CURSOR_SECRET, '');
+  if (!cursorSecret && !['development', 'test'].includes(env.NODE_ENV || 'development')) {
+    throw new Error('PAGINATION_CURSOR_SECRET is required outside development and test.');
+  }
+
+  return cursorSecret;
+}
+
 export function loadConfig(env = process.env) {
   return {
     serviceName: env.SERVICE_NAME || 'private-db-agent-api',
@@ -125,7 +143,55 @@ export function loadConfig(env = process.env) {
         'AUTH_MAX_FUTURE_SKEW_SECONDS',
         env.AUTH_MAX_FUTURE_SKEW_SECONDS,
         DEFAULT_MAX_FUTURE_SKEW_SECONDS
-      )
+      ),
+      nonceStore: {
+        driver: parseEnum(
+          'AUTH_NONCE_STORE',
+          env.AUTH_NONCE_STORE,
+          ['database', 'memory'],
+          'database'
+        ),
+        pruneIntervalSeconds: parsePositiveInteger(
+          'AUTH_NONCE_PRUNE_INTERVAL_SECONDS',
+          env.AUTH_NONCE_PRUNE_INTERVAL_SECONDS,
+          DEFAULT_NONCE_PRUNE_INTERVAL_SECONDS
+        )
+      },
+      eip712: {
+        name: parseString('AUTH_EIP712_NAME', env.AUTH_EIP712_NAME, 'PrivateDbAgent'),
+        version: parseString('AUTH_EIP712_VERSION', env.AUTH_EIP712_VERSION, '1'),
+        chainId: parsePositiveInteger(
+          'AUTH_EIP712_CHAIN_ID',
+          env.AUTH_EIP712_CHAIN_ID,
+          DEFAULT_EIP712_CHAIN_ID
+        ),
+        serviceId: parseString(
+          'AUTH_EIP712_SERVICE_ID',
+          env.AUTH_EIP712_SERVICE_ID,
+          env.SERVICE_NAME || 'private-db-agent-api'
+        )
+      },
+      eip1271: {
+        rpcUrl: parseString('AUTH_EIP1271_RPC_URL', env.AUTH_EIP1271_RPC_URL, ''),
+        timeoutMs: parsePositiveInteger(
+          'AUTH_EIP1271_RPC_TIMEOUT_MS',
+          env.AUTH_EIP1271_RPC_TIMEOUT_MS,
+          DEFAULT_EIP1271_RPC_TIMEOUT_MS
+        ),
+        cacheTtlSeconds: parsePositiveInteger(
+          'AUTH_EIP1271_CACHE_TTL_SECONDS',
+          env.AUTH_EIP1271_CACHE_TTL_SECONDS,
+          DEFAULT_EIP1271_CACHE_TTL_SECONDS
+        )
+      },
+      session: {
+        domain: parseString('AUTH_SESSION_DOMAIN', env.AUTH_SESSION_DOMAIN, ''),
+        ttlSeconds: parsePositiveInteger(
+          'AUTH_SESSION_TTL_SECONDS',
+          env.AUTH_SESSION_TTL_SECONDS,
+          DEFAULT_SESSION_TTL_SECONDS
+        )
+      }
     },
     policy: {
       capabilityRules: parseJsonObject(
@@ -134,6 +200,14 @@ export function loadConfig(env = process.env) {
       ),
       enforceCapabilityMode: parseBoolean(env.POLICY_ENFORCE_CAPABILITY_MODE, true)
     },
+    pagination: {
+      cursorSecret: parseCursorSecret(env),
+      cursorTtlSeconds: parsePositiveInteger(
+        'PAGINATION_CURSOR_TTL_SECONDS',
+        env.PAGINATION_CURSOR_TTL_SECONDS,
+        DEFAULT_PAGINATION_CURSOR_TTL_SECONDS
+      )
+    },
     proof: {
       enabled: parseBoolean(env.PROOF_RECEIPT_ENABLED, true),
       hashAlgorithm: parseEnum(
@@ -259,7 +333,7 @@ export function loadConfig(env = process.env) {
       signatureScheme: parseEnum(
         'A2A_SIGNATURE_SCHEME',
         env.A2A_SIGNATURE_SCHEME,
-        ['hmac-sha256', 'evm-personal-sign'],
+        ['hmac-sha256', 'evm-personal-sign', 'ed25519'],
         'hmac-sha256'
       ),
       sharedSecret: parseString('A2A_SHARED_SECRET', env.A2A_SHARED_SECRET, ''),
@@ -277,7 +351,18 @@ export function loadConfig(env = process.env) {
         'A2A_MAX_FUTURE_SKEW_SECONDS',
         env.A2A_MAX_FUTURE_SKEW_SECONDS,
         DEFAULT_MAX_FUTURE_SKEW_SECONDS
-      )
+      ),
+      mtls: {
+        enabled: parseBoolean(env.A2A_MTLS_ENABLED, false),
+        port: parsePositiveInteger('A2A_MTLS_PORT', env.A2A_MTLS_PORT, DEFAULT_A2A_MTLS_PORT),
+        keyPath: parseString('A2A_MTLS_KEY_PATH', env.A2A_MTLS_KEY_PATH, ''),
+        certPath: parseString('A2A_MTLS_CERT_PATH', env.A2A_MTLS_CERT_PATH, ''),
+        caPath: parseString('A2A_MTLS_CA_PATH', env.A2A_MTLS_CA_PATH, ''),
+        subjectAgentMap:
+          parseJsonObject('A2A_MTLS_SUBJECT_AGENTS_JSON', env.A2A_MTLS_SUBJECT_AGENTS_JSON) || {},
+        spkiAgentMap:
+          parseJsonObject('A2A_MTLS_SPKI_AGENTS_JSON', env.A2A_MTLS_SPKI_AGENTS_JSON) || {}
+      }
     },
     observability: {
       logLevel: parseEnum('LOG_LEVEL', env.LOG_LEVEL, ['debug', 'info', 'warn', 'error'], 'info'),
@@ -1,6 +1,14 @@
 import pg from 'pg';
 
 const { Pool } = pg;
+const DATE_TYPE_OID = 1082;
+
+// DATE columns stay 'YYYY-MM-DD' strings instead of local-midnight Date objects.
+const types = {
+  getTypeParser(oid, format) {
+    return oid === DATE_TYPE_OID ? (value) => value : pg.types.getTypeParser(oid, format);
+  }
+};
 
 export function createPostgresAdapter(config) {
   if (!config?.connectionString) {
@@ -10,7 +18,8 @@ export function createPostgresAdapter(config) {
   const pool = new Pool({
     connectionString: config.connectionString,
     max: config.maxPoolSize || 10,
-    ssl: config.ssl ? { rejectUnauthorized: false } : undefined
+    ssl: config.ssl ? { rejectUnauthorized: false } : undefined,
+    types
   });
 
   return {
@@ -123,10 +123,17 @@ async function initializeSchema(db) {
         capability TEXT NOT NULL,
         query_template TEXT NOT NULL,
         decision TEXT NOT NULL,
-        created_at TEXT NOT NULL
+        created_at TEXT NOT NULL,
+        tenant_id TEXT
       )
     `
   );
+
+  // Files created before access_log recorded tenants get the column; their rows stay untenanted.
+  const accessLogColumns = await all(db, 'PRAGMA table_info(access_log)');
+  if (!accessLogColumns.some((column) => column.name === 'tenant_id')) {
+    await run(db, 'ALTER TABLE access_log ADD COLUMN tenant_id TEXT');
+  }
 }
 
 async function seedIfNeeded(db) {
@@ -208,18 +215,28 @@ async function seedIfNeeded(db) {
   await run(
     db,
     `
-      INSERT INTO access_log (request_id, requester, capability, query_template, decision, created_at)
+      INSERT INTO access_log (
+        tenant_id,
+        request_id,
+        requester,
+        capability,
+        query_template,
+        decision,
+        created_at
+      )
       VALUES
-        (?, ?, ?, ?, ?, ?),
-        (?, ?, ?, ?, ?, ?)
+        (?, ?, ?, ?, ?, ?, ?),
+        (?, ?, ?, ?, ?, ?, ?)
     `,
     [
+      'tenant_demo',
       'seed-allow-1',
       wallet,
       'balances:read',
       'wallet_balances',
       'allow',
       iso,
+      'tenant_demo',
       'seed-deny-1',
       wallet,
       'balances:read',
@@ -239,6 +256,8 @@ export async function createSqliteAdapter(config) {
   await fs.mkdir(path.dirname(filePath), { recursive: true });
 
   const db = await openDatabase(filePath);
+  // SQLite leaves foreign keys unenforced unless enabled on each connection.
+  await run(db, 'PRAGMA foreign_keys = ON');
   await initializeSchema(db);
   await seedIfNeeded(db);
 
@@ -47,6 +47,16 @@ export async function readJsonBody(req, { maxBytes } = {}) {
   }
 }
 
+export function readBearerToken(req) {
+  const header = req?.headers?.authorization;
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+  return match ? match[1] : null;
+}
+
 export function sendJson(res, statusCode, payload) {
   if (res.writableEnded) {
     return;
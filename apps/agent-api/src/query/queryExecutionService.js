@@ -1,5 +1,7 @@
 import { getAddress } from 'ethers';
-import { getQueryTemplate, TEMPLATE_MODE } from './templateRegistry.js';
+import { toCursorKeyValue } from '../services/paginationCursorService.js';
+import { getQueryTemplate, TEMPLATE_MODE, toTenantQueryTemplate } from './templateRegistry.js';
+import { inspectTemplateSql, resolveTemplateRelations } from './templateSqlGuard.js';
 
 function createError(statusCode, code, message, details = {}) {
   return {
@@ -11,7 +13,7 @@ function createError(statusCode, code, message, details = {}) {
   };
 }
 
-function validateAndNormalizeParam(paramSpec, rawValue) {
+export function validateAndNormalizeParam(paramSpec, rawValue) {
   if (rawValue === undefined || rawValue === null || rawValue === '') {
     if (paramSpec.required) {
       return { ok: false, code: 'MISSING_PARAM', message: `Missing required param '${paramSpec.name}'.` };
@@ -182,17 +184,96 @@ function enforceModeCompatibility(capability, templateMode, enabled) {
   return { ok: true };
 }
 
+// Attaches the tables a tenant template touches and any reason it may no longer run. The SQL
+// is inspected again on every resolution because tables can be dropped or change hands after
+// the template was registered.
+function inspectTenantTemplate(template, ownedTables) {
+  const issues = [];
+  const relations = new Map();
+  for (const [dialect, sql] of Object.entries(template.sql)) {
+    const sqlIssues = inspectTemplateSql({
+      sql,
+      dialect,
+      mode: template.mode,
+      paramCount: template.params.length,
+      ownedTables
+    });
+    issues.push(...sqlIssues.map((sqlIssue) => ({ dialect, ...sqlIssue })));
+
+    for (const relation of resolveTemplateRelations({ sql, dialect, mode: template.mode })
+      .relations) {
+      relations.set(`${relation.tableName}:${relation.operation}`, relation);
+    }
+  }
+
+  return Object.freeze({
+    ...template,
+    relations: Object.freeze([...relations.values()]),
+    issues: Object.freeze(issues)
+  });
+}
+
+// Built-in templates cannot be shadowed by a tenant template of the same name.
+export async function resolveQueryTemplate({
+  templateStore = null,
+  tenantId = null,
+  queryTemplate
+}) {
+  const builtinTemplate = getQueryTemplate(queryTemplate);
+  if (builtinTemplate || !templateStore || !tenantId) {
+    return builtinTemplate;
+  }
+
+  const record = await templateStore.getActiveTemplate({
+    tenantId,
+    templateName: queryTemplate
+  });
+  if (!record) {
+    return null;
+  }
+
+  return inspectTenantTemplate(
+    toTenantQueryTemplate(record),
+    await templateStore.listOwnedTables({ tenantId })
+  );
+}
+
 export function createQueryExecutionService({
   databaseAdapter,
-  enforceCapabilityMode = true
+  enforceCapabilityMode = true,
+  templateStore = null
 }) {
-  async function execute({ capability, queryTemplate, queryParams }) {
-    const template = getQueryTemplate(queryTemplate);
+  async function resolveTemplate({ tenantId = null, queryTemplate }) {
+    return resolveQueryTemplate({ templateStore, tenantId, queryTemplate });
+  }
+
+  // Runs every check that can reject a query before it reaches the database, so callers can
+  // spend usage-limited grants only on queries that will execute.
+  async function prepare({ tenantId = null, capability, queryTemplate, queryParams }) {
+    let template;
+    try {
+      template = await resolveTemplate({ tenantId, queryTemplate });
+    } catch (error) {
+      return createError(
+        503,
+        'TEMPLATE_STORE_UNAVAILABLE',
+        error?.message || 'Unable to resolve tenant query template.'
+      );
+    }
 
     if (!template) {
       return createError(400, 'UNKNOWN_QUERY_TEMPLATE', `Unknown query template '${queryTemplate}'.`);
     }
 
+    if (template.issues?.length > 0) {
+      return createError(
+        403,
+        'TEMPLATE_NOT_PERMITTED',
+        `Template '${queryTemplate}' uses SQL or tables the tenant may not query.`,
+        { issues: template.issues }
+      );
+    }
+
     const modeCheck = enforceModeCompatibility(capability, template.mode, enforceCapabilityMode);
     if (!modeCheck.ok) {
       return modeCheck;
@@ -212,26 +293,98 @@ export function createQueryExecutionService({
       );
     }
 
-    const values = template.bind(normalizedParamsResult.normalized);
+    return {
+      ok: true,
+      queryTemplate,
+      template,
+      sql,
+      normalizedParams: normalizedParamsResult.normalized
+    };
+  }
+
+  function checkCursor({ prepared, cursorKeyValues = null }) {
+    const pagination = prepared.template.pagination || null;
+    if (cursorKeyValues && !pagination) {
+      return createError(
+        400,
+        'CURSOR_NOT_SUPPORTED',
+        `Template '${prepared.queryTemplate}' does not support cursor pagination.`
+      );
+    }
+
+    if (cursorKeyValues && cursorKeyValues.length !== pagination.keys.length) {
+      return createError(400, 'INVALID_CURSOR', 'cursor does not match template ordering keys.');
+    }
+
+    return { ok: true };
+  }
+
+  async function execute({
+    tenantId = null,
+    capability,
+    queryTemplate,
+    queryParams,
+    cursorKeyValues = null,
+    prepared = null
+  }) {
+    const preparedResult =
+      prepared || (await prepare({ tenantId, capability, queryTemplate, queryParams }));
+    if (!preparedResult.ok) {
+      return preparedResult;
+    }
+
+    const cursorCheck = checkCursor({ prepared: preparedResult, cursorKeyValues });
+    if (!cursorCheck.ok) {
+      return cursorCheck;
+    }
+
+    const { template, sql, normalizedParams } = preparedResult;
+    const preparedTemplateName = preparedResult.queryTemplate;
+    const pagination = template.pagination || null;
+    const pageSize = pagination ? normalizedParams[pagination.limitParam] : null;
+    const values = template.bind(
+      pagination
+        ? {
+            ...normalizedParams,
+            [pagination.limitParam]: pageSize + 1,
+            cursor: cursorKeyValues
+          }
+        : normalizedParams
+    );
 
     try {
       const execution = await databaseAdapter.execute({
         mode: template.mode,
-        queryTemplate,
+        queryTemplate: preparedTemplateName,
         sql,
         values
       });
 
+      let rows = execution.rows;
+      let nextKeyValues = null;
+      if (pagination && Array.isArray(rows) && rows.length > pageSize) {
+        rows = rows.slice(0, pageSize);
+        const lastRow = rows[rows.length - 1];
+        nextKeyValues = pagination.keys.map((key) => toCursorKeyValue(lastRow[key]));
+      }
+
       return {
         ok: true,
         statusCode: 200,
         data: {
-          queryTemplate,
+          queryTemplate: preparedTemplateName,
           mode: template.mode,
-          rowCount: execution.rowCount,
-          rows: execution.rows,
-          normalizedParams: normalizedParamsResult.normalized
-        }
+          templateSource: template.source || 'builtin',
+          rowCount: pagination ? rows.length : execution.rowCount,
+          rows,
+          normalizedParams
+        },
+        pagination: pagination
+          ? {
+              keys: pagination.keys,
+              nextKeyValues
+            }
+          : null
       };
     } catch (error) {
       return createError(500, 'DB_EXECUTION_FAILED', error.message || 'Database query failed.');
@@ -240,6 +393,9 @@ export function createQueryExecutionService({
 
   return {
     dialect: databaseAdapter.dialect,
+    resolveTemplate,
+    prepare,
+    checkCursor,
     execute
   };
 }
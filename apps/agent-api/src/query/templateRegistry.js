@@ -3,6 +3,8 @@ export const TEMPLATE_MODE = Object.freeze({
   WRITE: 'write'
 });
 
+export const QUERY_PARAM_TYPES = Object.freeze(['integer', 'string', 'address', 'enum', 'isoDate']);
+
 export const QUERY_TEMPLATES = Object.freeze({
   wallet_balances: Object.freeze({
     mode: TEMPLATE_MODE.READ,
@@ -57,23 +59,165 @@ export const QUERY_TEMPLATES = Object.freeze({
         SELECT wallet_address, chain_id, tx_hash, direction, amount, created_at
         FROM wallet_transactions
         WHERE wallet_address = $1 AND chain_id = $2
-        ORDER BY created_at DESC
+          AND (
+            $4::timestamptz IS NULL
+            OR created_at < $4::timestamptz
+            OR (created_at = $4::timestamptz AND tx_hash < $5::text)
+          )
+        ORDER BY created_at DESC, tx_hash DESC
         LIMIT $3
       `,
       sqlite: `
         SELECT wallet_address, chain_id, tx_hash, direction, amount, created_at
         FROM wallet_transactions
+        WHERE wallet_address = ?1 AND chain_id = ?2
+          AND (
+            ?4 IS NULL
+            OR created_at < ?4
+            OR (created_at = ?4 AND tx_hash < ?5)
+          )
+        ORDER BY created_at DESC, tx_hash DESC
+        LIMIT ?3
+      `
+    }),
+    params: Object.freeze([
+      Object.freeze({ name: 'walletAddress', type: 'address', required: true }),
+      Object.freeze({ name: 'chainId', type: 'integer', required: true, min: 1 }),
+      Object.freeze({ name: 'limit', type: 'integer', required: false, default: 25, min: 1, max: 200 })
+    ]),
+    pagination: Object.freeze({
+      keys: Object.freeze(['created_at', 'tx_hash']),
+      limitParam: 'limit'
+    }),
+    bind: (params) => [
+      params.walletAddress,
+      params.chainId,
+      params.limit,
+      params.cursor?.[0] ?? null,
+      params.cursor?.[1] ?? null
+    ]
+  }),
+  // Positions are not keyed by asset, so their USD total is returned once on a trailing
+  // 'wallet' row instead of being repeated on every 'asset' row.
+  portfolio_summary: Object.freeze({
+    mode: TEMPLATE_MODE.READ,
+    sql: Object.freeze({
+      postgres: `
+        SELECT row_type, asset_symbol, total_balance, chain_count, last_updated_at,
+          positions_value_usd, position_count
+        FROM (
+          SELECT
+            'asset' AS row_type,
+            asset_symbol,
+            SUM(balance) AS total_balance,
+            COUNT(DISTINCT chain_id) AS chain_count,
+            MAX(updated_at) AS last_updated_at,
+            CAST(NULL AS NUMERIC) AS positions_value_usd,
+            CAST(NULL AS BIGINT) AS position_count
+          FROM wallet_balances
+          WHERE wallet_address = $1
+          GROUP BY asset_symbol
+          ORDER BY asset_symbol ASC
+          LIMIT $2
+        ) assets
+        UNION ALL
+        SELECT
+          'wallet' AS row_type,
+          NULL,
+          NULL,
+          NULL,
+          MAX(updated_at),
+          COALESCE(SUM(position_value_usd), 0),
+          COUNT(*)
+        FROM wallet_positions
+        WHERE wallet_address = $3
+        ORDER BY row_type ASC, asset_symbol ASC
+      `,
+      sqlite: `
+        SELECT row_type, asset_symbol, total_balance, chain_count, last_updated_at,
+          positions_value_usd, position_count
+        FROM (
+          SELECT
+            'asset' AS row_type,
+            asset_symbol,
+            SUM(balance) AS total_balance,
+            COUNT(DISTINCT chain_id) AS chain_count,
+            MAX(updated_at) AS last_updated_at,
+            CAST(NULL AS NUMERIC) AS positions_value_usd,
+            CAST(NULL AS BIGINT) AS position_count
+          FROM wallet_balances
+          WHERE wallet_address = ?
+          GROUP BY asset_symbol
+          ORDER BY asset_symbol ASC
+          LIMIT ?
+        ) assets
+        UNION ALL
+        SELECT
+          'wallet' AS row_type,
+          NULL,
+          NULL,
+          NULL,
+          MAX(updated_at),
+          COALESCE(SUM(position_value_usd), 0),
+          COUNT(*)
+        FROM wallet_positions
+        WHERE wallet_address = ?
+        ORDER BY row_type ASC, asset_symbol ASC
+      `
+    }),
+    params: Object.freeze([
+      Object.freeze({ name: 'walletAddress', type: 'address', required: true }),
+      Object.freeze({ name: 'limit', type: 'integer', required: false, default: 50, min: 1, max: 200 })
+    ]),
+    bind: (params) => [params.walletAddress, params.limit, params.walletAddress]
+  }),
+  wallet_activity: Object.freeze({
+    mode: TEMPLATE_MODE.READ,
+    sql: Object.freeze({
+      postgres: `
+        SELECT
+          date_trunc($1::text, created_at) AS bucket_start,
+          SUM(CASE WHEN direction = 'in' THEN amount ELSE 0 END) AS inflow,
+          SUM(CASE WHEN direction = 'out' THEN amount ELSE 0 END) AS outflow,
+          SUM(CASE WHEN direction = 'in' THEN amount WHEN direction = 'out' THEN -amount ELSE 0 END) AS net_flow,
+          COUNT(*) AS tx_count
+        FROM wallet_transactions
+        WHERE wallet_address = $2 AND chain_id = $3
+        GROUP BY bucket_start
+        ORDER BY bucket_start DESC
+        LIMIT $4
+      `,
+      sqlite: `
+        SELECT
+          CASE ?
+            WHEN 'hour' THEN strftime('%Y-%m-%dT%H:00:00Z', created_at)
+            WHEN 'week' THEN strftime('%Y-%m-%dT00:00:00Z', created_at, '-6 days', 'weekday 1')
+            ELSE strftime('%Y-%m-%dT00:00:00Z', created_at)
+          END AS bucket_start,
+          SUM(CASE WHEN direction = 'in' THEN amount ELSE 0 END) AS inflow,
+          SUM(CASE WHEN direction = 'out' THEN amount ELSE 0 END) AS outflow,
+          SUM(CASE WHEN direction = 'in' THEN amount WHEN direction = 'out' THEN -amount ELSE 0 END) AS net_flow,
+          COUNT(*) AS tx_count
+        FROM wallet_transactions
         WHERE wallet_address = ? AND chain_id = ?
-        ORDER BY created_at DESC
+        GROUP BY bucket_start
+        ORDER BY bucket_start DESC
         LIMIT ?
       `
     }),
     params: Object.freeze([
       Object.freeze({ name: 'walletAddress', type: 'address', required: true }),
       Object.freeze({ name: 'chainId', type: 'integer', required: true, min: 1 }),
-      Object.freeze({ name: 'limit', type: 'integer', required: false, default: 25, min: 1, max: 200 })
+      Object.freeze({
+        name: 'bucket',
+        type: 'enum',
+        required: false,
+        default: 'day',
+        values: Object.freeze(['hour', 'day', 'week'])
+      }),
+      Object.freeze({ name: 'limit', type: 'integer', required: false, default: 30, min: 1, max: 200 })
     ]),
-    bind: (params) => [params.walletAddress, params.chainId, params.limit]
+    bind: (params) => [params.bucket, params.walletAddress, params.chainId, params.limit]
   }),
   access_log_recent: Object.freeze({
     mode: TEMPLATE_MODE.READ,
@@ -153,3 +297,16 @@ export const QUERY_TEMPLATES = Object.freeze({
 export function getQueryTemplate(queryTemplate) {
   return QUERY_TEMPLATES[queryTemplate] || null;
 }
+
+export function toTenantQueryTemplate(record) {
+  const params = Object.freeze(record.params.map((param) => Object.freeze({ ...param })));
+
+  return Object.freeze({
+    mode: record.mode,
+    capability: record.capability,
+    source: 'tenant',
+    sql: Object.freeze({ ...record.sql }),
+    params,
+    bind: (values) => params.map((param) => values[param.name] ?? null)
+  });
+}
@@ -0,0 +1,610 @@
+import { TEMPLATE_MODE } from './templateRegistry.js';
+
+const READ_FORBIDDEN_KEYWORDS = Object.freeze([
+  'insert',
+  'update',
+  'delete',
+  'merge',
+  'upsert',
+  'into',
+  'drop',
+  'alter',
+  'create',
+  'truncate',
+  'grant',
+  'revoke',
+  'attach',
+  'detach',
+  'pragma',
+  'vacuum',
+  'reindex',
+  'analyze',
+  'copy',
+  'call',
+  'do',
+  'execute',
+  'lock',
+  'set',
+  'reset',
+  'listen',
+  'notify'
+]);
+
+const WRITE_FORBIDDEN_KEYWORDS = Object.freeze([
+  'merge',
+  'drop',
+  'alter',
+  'create',
+  'truncate',
+  'grant',
+  'revoke',
+  'attach',
+  'detach',
+  'pragma',
+  'vacuum',
+  'reindex',
+  'analyze',
+  'copy',
+  'call',
+  'execute',
+  'lock',
+  'reset',
+  'listen',
+  'notify'
+]);
+
+// Functions that run SQL text, read files or server state, or reach other databases. Any
+// of them would let a template read tables its statement never names.
+const FORBIDDEN_FUNCTION_PATTERNS = Object.freeze([
+  /^(pg|lo)_/,
+  /^dblink/,
+  /^query_to_/,
+  /_to_xml/,
+  /^ts_stat$/,
+  /^(set_config|current_setting|nextval|setval|currval|lastval)$/,
+  /^(load_extension|readfile|writefile|edit|fts3_tokenizer)$/
+]);
+
+// Clause keywords that end a FROM list; a comma before one of them starts another relation.
+const FROM_LIST_TERMINATORS = new Set([
+  'where',
+  'group',
+  'having',
+  'order',
+  'limit',
+  'offset',
+  'union',
+  'intersect',
+  'except',
+  'window',
+  'returning',
+  'fetch',
+  'for',
+  'set',
+  'values'
+]);
+
+const READ_STATEMENT_PATTERN = /^(select|with)\b/;
+const WRITE_STATEMENT_PATTERN = /^(insert|update|delete)\b/;
+
+function issue(code, message) {
+  return { code, message };
+}
+
+function stripStringLiterals(sql) {
+  let output = '';
+  let index = 0;
+
+  while (index < sql.length) {
+    const char = sql[index];
+
+    if (char === "'" || char === '"') {
+      let closingIndex = index + 1;
+      while (closingIndex < sql.length) {
+        if (sql[closingIndex] === char) {
+          if (sql[closingIndex + 1] === char) {
+            closingIndex += 2;
+            continue;
+          }
+          break;
+        }
+        closingIndex += 1;
+      }
+
+      if (closingIndex >= sql.length) {
+        return { ok: false, stripped: output };
+      }
+
+      output += char === "'" ? "''" : sql.slice(index, closingIndex + 1).toLowerCase();
+      index = closingIndex + 1;
+      continue;
+    }
+
+    output += char.toLowerCase();
+    index += 1;
+  }
+
+  return { ok: true, stripped: output };
+}
+
+function inspectPlaceholders({ stripped, dialect, paramCount }) {
+  const issues = [];
+
+  if (dialect === 'postgres') {
+    if (/\?/.test(stripped)) {
+      issues.push(issue('invalid_placeholder', 'postgres SQL must use $n placeholders, not ?.'));
+    }
+
+    const positions = new Set(
+      [...stripped.matchAll(/\$(\d+)/g)].map((match) => Number.parseInt(match[1], 10))
+    );
+    const expected = Array.from({ length: paramCount }, (_, index) => index + 1);
+    const matches =
+      positions.size === expected.length && expected.every((position) => positions.has(position));
+
+    if (!matches) {
+      issues.push(
+        issue(
+          'placeholder_mismatch',
+          `postgres SQL must reference placeholders $1..$${paramCount} matching the param list.`
+        )
+      );
+    }
+
+    return issues;
+  }
+
+  if (/\$\d+|[:@$][a-z_]/.test(stripped.replace(/::[a-z_]+/g, ''))) {
+    issues.push(issue('invalid_placeholder', 'sqlite SQL must use positional ? placeholders only.'));
+  }
+
+  if (/\?\d/.test(stripped)) {
+    issues.push(issue('invalid_placeholder', 'sqlite SQL must not use numbered ?NNN placeholders.'));
+  }
+
+  const placeholderCount = (stripped.match(/\?/g) || []).length;
+  if (placeholderCount !== paramCount) {
+    issues.push(
+      issue(
+        'placeholder_mismatch',
+        `sqlite SQL must contain exactly ${paramCount} ? placeholders matching the param list.`
+      )
+    );
+  }
+
+  return issues;
+}
+
+function readQuoted(sql, start, closing) {
+  let value = '';
+  let index = start + 1;
+  while (index < sql.length) {
+    if (sql[index] === closing) {
+      if (sql[start] === closing && sql[index + 1] === closing) {
+        value += closing;
+        index += 2;
+        continue;
+      }
+
+      return { value, end: index + 1 };
+    }
+
+    value += sql[index];
+    index += 1;
+  }
+
+  return null;
+}
+
+// Splits SQL into words (lower-cased), quoted identifiers (case kept), literals, placeholders
+// and punctuation. Quoting forms whose meaning depends on escapes are refused, not guessed.
+function tokenizeSql(sql, dialect) {
+  const tokens = [];
+  const identifierQuotes = dialect === 'sqlite' ? { '"': '"', '`': '`', '[': ']' } : { '"': '"' };
+  let index = 0;
+
+  while (index < sql.length) {
+    const char = sql[index];
+    const rest = sql.slice(index, index + 3);
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (/^u&['"]/i.test(rest)) {
+      return {
+        ok: false,
+        issue: issue('unicode_escape_not_allowed', 'U& escapes are not allowed.')
+      };
+    }
+
+    if (/^e'/i.test(rest)) {
+      return {
+        ok: false,
+        issue: issue('escape_string_not_allowed', "E'...' escape strings are not allowed.")
+      };
+    }
+
+    if (char === "'" || identifierQuotes[char]) {
+      const quoted = readQuoted(sql, index, char === "'" ? "'" : identifierQuotes[char]);
+      if (!quoted) {
+        return {
+          ok: false,
+          issue: issue('unterminated_literal', 'SQL contains an unterminated quoted literal.')
+        };
+      }
+
+      if (char === "'" && quoted.value.includes('\\')) {
+        return {
+          ok: false,
+          issue: issue('backslash_not_allowed', 'String literals must not contain backslashes.')
+        };
+      }
+
+      tokens.push({ type: char === "'" ? 'literal' : 'identifier', value: quoted.value });
+      index = quoted.end;
+      continue;
+    }
+
+    const word = /^[a-z_][a-z0-9_$]*/i.exec(sql.slice(index));
+    if (word) {
+      tokens.push({ type: 'word', value: word[0].toLowerCase() });
+      index += word[0].length;
+      continue;
+    }
+
+    const placeholder = /^(\$\d+|\?\d*)/.exec(sql.slice(index));
+    if (placeholder) {
+      tokens.push({ type: 'placeholder', value: placeholder[0] });
+      index += placeholder[0].length;
+      continue;
+    }
+
+    if (char === '$' && dialect === 'postgres') {
+      return {
+        ok: false,
+        issue: issue('dollar_quote_not_allowed', 'Dollar-quoted strings are not allowed.')
+      };
+    }
+
+    const number = /^\d+(\.\d+)?(e[+-]?\d+)?/i.exec(sql.slice(index));
+    if (number) {
+      tokens.push({ type: 'number', value: number[0] });
+      index += number[0].length;
+      continue;
+    }
+
+    tokens.push({ type: 'punct', value: char });
+    index += 1;
+  }
+
+  return { ok: true, tokens };
+}
+
+function isName(token) {
+  return token?.type === 'word' || token?.type === 'identifier';
+}
+
+function isWord(token, ...values) {
+  return token?.type === 'word' && values.includes(token.value);
+}
+
+function isPunct(token, value) {
+  return token?.type === 'punct' && token.value === value;
+}
+
+function skipGroup(tokens, openIndex) {
+  let depth = 0;
+  for (let index = openIndex; index < tokens.length; index += 1) {
+    if (isPunct(tokens[index], '(')) {
+      depth += 1;
+    } else if (isPunct(tokens[index], ')')) {
+      depth -= 1;
+      if (depth === 0) {
+        return index + 1;
+      }
+    }
+  }
+
+  return tokens.length;
+}
+
+function isCommonTableExpressionAt(tokens, index) {
+  const nameIndex = isWord(tokens[index + 1], 'recursive') ? index + 2 : index + 1;
+  return (
+    isName(tokens[nameIndex]) &&
+    (isWord(tokens[nameIndex + 1], 'as') || isPunct(tokens[nameIndex + 1], '('))
+  );
+}
+
+// Reads the leading WITH list. Each name only stands for its CTE after its own body (inside
+// it too for WITH RECURSIVE); anywhere else the name is a real table.
+function parseCommonTableExpressions(tokens) {
+  let index = 1;
+  const recursive = isWord(tokens[index], 'recursive');
+  if (recursive) {
+    index += 1;
+  }
+
+  const ctes = [];
+  while (isName(tokens[index])) {
+    const name = tokens[index].value;
+    index += 1;
+    if (isPunct(tokens[index], '(')) {
+      index = skipGroup(tokens, index);
+    }
+
+    if (!isWord(tokens[index], 'as')) {
+      return null;
+    }
+
+    index += 1;
+    if (isWord(tokens[index], 'not')) {
+      index += 1;
+    }
+
+    if (isWord(tokens[index], 'materialized')) {
+      index += 1;
+    }
+
+    if (!isPunct(tokens[index], '(')) {
+      return null;
+    }
+
+    const bodyStart = index;
+    index = skipGroup(tokens, index);
+    ctes.push({ name, bodyStart, bodyEnd: index - 1 });
+    if (!isPunct(tokens[index], ',')) {
+      break;
+    }
+
+    index += 1;
+  }
+
+  return ctes.length > 0 ? { recursive, ctes } : null;
+}
+
+// Resolves every table a template statement reads or writes. The first relation of a write
+// statement is its target and needs the statement verb; every other relation is read.
+export function resolveTemplateRelations({ sql, dialect, mode }) {
+  const tokenized = tokenizeSql(typeof sql === 'string' ? sql : '', dialect);
+  if (!tokenized.ok) {
+    return { ok: false, issues: [tokenized.issue], relations: [] };
+  }
+
+  const { tokens } = tokenized;
+  const issues = [];
+  const header = isWord(tokens[0], 'with') ? parseCommonTableExpressions(tokens) : null;
+  if (isWord(tokens[0], 'with') && !header) {
+    return {
+      ok: false,
+      issues: [issue('invalid_with', 'WITH clause must list named subqueries.')],
+      relations: []
+    };
+  }
+
+  const references = [];
+  const frames = [{ hasSelect: false, fromList: false }];
+  let groupedRelationAt = -1;
+  const addRelationAt = (index) => {
+    let cursor = index;
+    while (isWord(tokens[cursor], 'only', 'lateral')) {
+      cursor += 1;
+    }
+
+    const token = tokens[cursor];
+    if (isPunct(token, '(')) {
+      if (!isWord(tokens[cursor + 1], 'select', 'with', 'values', 'table')) {
+        groupedRelationAt = cursor;
+      }
+      return;
+    }
+
+    if (!isName(token)) {
+      issues.push(
+        issue('unsupported_relation', 'Relations must be plain table names or subqueries.')
+      );
+      return;
+    }
+
+    if (isPunct(tokens[cursor + 1], '.')) {
+      issues.push(
+        issue('qualified_relation', `Relation '${token.value}.…' must not be schema-qualified.`)
+      );
+      return;
+    }
+
+    references.push({ name: token.value, index: cursor });
+  };
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    const frame = frames[frames.length - 1];
+
+    if (isPunct(token, '(')) {
+      frames.push({ hasSelect: false, fromList: index === groupedRelationAt });
+      if (index === groupedRelationAt) {
+        addRelationAt(index + 1);
+      }
+      continue;
+    }
+
+    if (isPunct(token, ')')) {
+      if (frames.length > 1) {
+        frames.pop();
+      }
+      continue;
+    }
+
+    if (isPunct(token, ',')) {
+      if (frame.fromList) {
+        addRelationAt(index + 1);
+      }
+      continue;
+    }
+
+    if (!isName(token)) {
+      continue;
+    }
+
+    if (isPunct(tokens[index + 1], '(')) {
+      if (FORBIDDEN_FUNCTION_PATTERNS.some((pattern) => pattern.test(token.value))) {
+        issues.push(issue('forbidden_function', `SQL calls forbidden function '${token.value}'.`));
+      }
+    } else if (isPunct(tokens[index + 1], '.') && isPunct(tokens[index + 3], '(')) {
+      issues.push(
+        issue('qualified_function', `Function '${token.value}.…' must not be schema-qualified.`)
+      );
+    }
+
+    if (token.type !== 'word') {
+      continue;
+    }
+
+    if (token.value === 'select' || token.value === 'delete') {
+      frame.hasSelect = true;
+    } else if (token.value === 'update' && index === 0) {
+      frame.hasSelect = true;
+      addRelationAt(isWord(tokens[1], 'or') ? 3 : 1);
+    } else if (token.value === 'from') {
+      if (frame.hasSelect && !isWord(tokens[index - 1], 'distinct')) {
+        frame.fromList = true;
+        addRelationAt(index + 1);
+      }
+    } else if (['join', 'into', 'table'].includes(token.value)) {
+      addRelationAt(index + 1);
+    } else if (token.value === 'using' && isName(tokens[index + 1])) {
+      addRelationAt(index + 1);
+    } else if (token.value === 'with' && index > 0 && isCommonTableExpressionAt(tokens, index)) {
+      issues.push(issue('nested_with', 'WITH is only allowed at the start of the statement.'));
+    } else if (FROM_LIST_TERMINATORS.has(token.value)) {
+      frame.fromList = false;
+    }
+  }
+
+  const isCommonTableReference = (reference) =>
+    (header?.ctes || []).some(
+      (cte) =>
+        cte.name === reference.name &&
+        (header.recursive ? cte.bodyStart < reference.index : cte.bodyEnd < reference.index)
+    );
+  const tableReferences = references
+    .filter((reference) => !isCommonTableReference(reference))
+    .sort((left, right) => left.index - right.index);
+
+  const relations = tableReferences.map((reference) => ({
+    tableName: reference.name,
+    operation: 'read'
+  }));
+  const verb = mode === TEMPLATE_MODE.WRITE ? resolveWriteStatementVerb(sql) : null;
+  if (verb && relations.length > 0) {
+    const target = relations[0].tableName;
+    relations[0].operation = verb;
+    // Upserts and OR REPLACE also rewrite or remove existing target rows.
+    if (tokens.some((token, index) => isWord(token, 'do') && isWord(tokens[index + 1], 'update'))) {
+      relations.push({ tableName: target, operation: 'update' });
+    }
+    if (isWord(tokens[1], 'or') && isWord(tokens[2], 'replace')) {
+      relations.push({ tableName: target, operation: 'delete' });
+    }
+  }
+
+  const seen = new Set();
+  return {
+    ok: issues.length === 0,
+    issues,
+    relations: relations.filter((relation) => {
+      const key = `${relation.tableName}\u0000${relation.operation}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+  };
+}
+
+// Grant operation a write statement needs: 'insert', 'update' or 'delete'.
+export function resolveWriteStatementVerb(sql) {
+  if (typeof sql !== 'string') {
+    return null;
+  }
+
+  const literalScan = stripStringLiterals(sql.trim());
+  const match = literalScan.ok ? WRITE_STATEMENT_PATTERN.exec(literalScan.stripped) : null;
+  return match ? match[1] : null;
+}
+
+// Templates may only touch tables in ownedTables, the tenant's managed tables.
+export function inspectTemplateSql({ sql, dialect, mode, paramCount, ownedTables = [] }) {
+  if (typeof sql !== 'string' || sql.trim().length === 0) {
+    return [issue('required', `${dialect} SQL is required.`)];
+  }
+
+  if (/--|\/\*|\*\//.test(sql)) {
+    return [issue('comment_not_allowed', 'SQL comments are not allowed in templates.')];
+  }
+
+  const literalScan = stripStringLiterals(sql.trim());
+  if (!literalScan.ok) {
+    return [issue('unterminated_literal', 'SQL contains an unterminated quoted literal.')];
+  }
+
+  const stripped = literalScan.stripped.replace(/;\s*$/, '').replace(/\s+/g, ' ').trim();
+  const issues = [];
+
+  if (stripped.includes(';')) {
+    issues.push(issue('multiple_statements', 'Templates must contain a single SQL statement.'));
+  }
+
+  const readMode = mode === TEMPLATE_MODE.READ;
+  const statementPattern = readMode ? READ_STATEMENT_PATTERN : WRITE_STATEMENT_PATTERN;
+  if (!statementPattern.test(stripped)) {
+    issues.push(
+      issue(
+        'invalid_statement',
+        readMode
+          ? 'read templates must start with SELECT or WITH.'
+          : 'write templates must start with INSERT, UPDATE or DELETE.'
+      )
+    );
+  }
+
+  const forbiddenKeywords = readMode ? READ_FORBIDDEN_KEYWORDS : WRITE_FORBIDDEN_KEYWORDS;
+  const usedKeywords = forbiddenKeywords.filter((keyword) =>
+    new RegExp(`\\b${keyword}\\b`).test(stripped)
+  );
+  if (usedKeywords.length > 0) {
+    issues.push(
+      issue(
+        readMode ? 'not_read_only' : 'forbidden_keyword',
+        `SQL uses forbidden keywords: ${usedKeywords.map((keyword) => keyword.toUpperCase()).join(', ')}.`
+      )
+    );
+  }
+
+  const relationResult = resolveTemplateRelations({ sql, dialect, mode });
+  issues.push(...relationResult.issues);
+
+  const owned = new Set(ownedTables);
+  const unownedTables = [
+    ...new Set(
+      relationResult.relations
+        .map((relation) => relation.tableName)
+        .filter((tableName) => !owned.has(tableName))
+    )
+  ];
+  if (unownedTables.length > 0) {
+    issues.push(
+      issue(
+        'table_not_owned',
+        `SQL references tables the tenant does not manage: ${unownedTables.join(', ')}.`
+      )
+    );
+  }
+
+  issues.push(...inspectPlaceholders({ stripped, dialect, paramCount }));
+
+  return issues;
+}
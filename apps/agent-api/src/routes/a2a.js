@@ -4,7 +4,10 @@ import {
   handleA2aContractsRequest,
   handleA2aCreateTaskRequest,
   handleA2aGetTaskRequest,
-  handleA2aListTasksRequest
+  handleA2aListSignerKeysRequest,
+  handleA2aListTasksRequest,
+  handleA2aRegisterSignerKeyRequest,
+  handleA2aRetireSignerKeyRequest
 } from '../services/a2aTaskService.js';
 
 async function parseJsonBody(req, res) {
@@ -21,7 +24,8 @@ function buildRouteContext(req, requestUrl) {
     headers: req.headers || {},
     method: req.method || 'GET',
     path: requestUrl.pathname,
-    correlationId: req.context?.correlationId || null
+    correlationId: req.context?.correlationId || null,
+    peerCertificate: req.context?.peerCertificate || null
   };
 }
 
@@ -60,3 +64,37 @@ export async function handleA2aTaskList(req, res, requestUrl) {
   );
   sendJson(res, result.statusCode, result.body);
 }
+
+export async function handleA2aSignerKeyRegister(req, res, requestUrl) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleA2aRegisterSignerKeyRequest(
+    payload,
+    buildRouteContext(req, requestUrl)
+  );
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handleA2aSignerKeyRetire(req, res, requestUrl) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleA2aRetireSignerKeyRequest(payload, buildRouteContext(req, requestUrl));
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handleA2aSignerKeyList(req, res, requestUrl) {
+  const result = await handleA2aListSignerKeysRequest(
+    {
+      agentId: requestUrl.searchParams.get('agentId'),
+      includeRetired: requestUrl.searchParams.get('includeRetired')
+    },
+    buildRouteContext(req, requestUrl)
+  );
+  sendJson(res, result.statusCode, result.body);
+}
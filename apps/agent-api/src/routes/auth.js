@@ -0,0 +1,47 @@
+import { loadConfig } from '../config.js';
+import { readBearerToken, readJsonBody, sendJson, sendJsonBodyReadError } from '../lib/http.js';
+import {
+  handleCreateAuthSessionRequest,
+  handleRevokeAuthSessionRequest
+} from '../services/authSessionService.js';
+import { describeEip712Domain } from '../services/eip712TypedData.js';
+
+const runtimeConfig = loadConfig();
+
+async function parseJsonBody(req, res) {
+  try {
+    return await readJsonBody(req);
+  } catch (error) {
+    sendJsonBodyReadError(res, error);
+    return null;
+  }
+}
+
+export async function handleEip712Domain(req, res) {
+  sendJson(res, 200, {
+    code: 'EIP712_DOMAIN',
+    ...describeEip712Domain(runtimeConfig.auth.eip712)
+  });
+}
+
+export async function handleAuthSessionCreate(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleCreateAuthSessionRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handleAuthSessionRevoke(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleRevokeAuthSessionRequest(payload, null, {
+    bearerToken: readBearerToken(req)
+  });
+  sendJson(res, result.statusCode, result.body);
+}
@@ -5,6 +5,25 @@ import {
   handlePolicyPreviewDecisionRequest,
   handleRevokePolicyGrantRequest
 } from '../services/policyAdminService.js';
+import {
+  handleCancelPendingMutationRequest,
+  handleListPendingMutationsRequest,
+  handleListPolicyQuorumsRequest,
+  handleSetPolicyQuorumRequest
+} from '../services/policyApprovalService.js';
+import {
+  handleAssignPolicyRoleRequest,
+  handleCreatePolicyRoleRequest,
+  handleListPolicyRolesRequest,
+  handleUnassignPolicyRoleRequest
+} from '../services/policyRoleAdminService.js';
+import { handlePolicySimulationRequest } from '../services/policySimulationService.js';
+import {
+  handleExportPolicyBundleRequest,
+  handleImportPolicyBundleRequest,
+  handleListPolicyVersionsRequest,
+  handleRollbackPolicyVersionRequest
+} from '../services/policyVersionService.js';
 
 async function parseJsonBody(req, res) {
   try {
@@ -45,13 +64,135 @@ export async function handlePolicyPreviewDecision(req, res) {
   sendJson(res, result.statusCode, result.body);
 }
 
+export async function handlePolicySimulate(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handlePolicySimulationRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
 export async function handlePolicyGrantList(req, res, urlObject) {
   const tenantId = urlObject.searchParams.get('tenantId');
   const walletAddress = urlObject.searchParams.get('walletAddress');
+  const includeExpired = urlObject.searchParams.get('includeExpired') === 'true';
 
   const result = await handleListPolicyGrantsRequest({
     tenantId,
-    walletAddress
+    walletAddress,
+    includeExpired
+  });
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePolicyRoleCreate(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleCreatePolicyRoleRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePolicyRoleAssign(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleAssignPolicyRoleRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePolicyRoleUnassign(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleUnassignPolicyRoleRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePolicyRoleList(req, res, urlObject) {
+  const result = await handleListPolicyRolesRequest({
+    tenantId: urlObject.searchParams.get('tenantId'),
+    walletAddress: urlObject.searchParams.get('walletAddress')
   });
   sendJson(res, result.statusCode, result.body);
 }
+
+export async function handlePolicyVersionList(req, res, urlObject) {
+  const result = await handleListPolicyVersionsRequest({
+    tenantId: urlObject.searchParams.get('tenantId'),
+    at: urlObject.searchParams.get('at'),
+    limit: urlObject.searchParams.get('limit')
+  });
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePolicyVersionExport(req, res, urlObject) {
+  const result = await handleExportPolicyBundleRequest({
+    tenantId: urlObject.searchParams.get('tenantId'),
+    versionNumber: urlObject.searchParams.get('version')
+  });
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePolicyVersionImport(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleImportPolicyBundleRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePolicyVersionRollback(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleRollbackPolicyVersionRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePolicyQuorumSet(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleSetPolicyQuorumRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePolicyQuorumList(req, res, urlObject) {
+  const result = await handleListPolicyQuorumsRequest({
+    tenantId: urlObject.searchParams.get('tenantId')
+  });
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePendingMutationList(req, res, urlObject) {
+  const result = await handleListPendingMutationsRequest({
+    tenantId: urlObject.searchParams.get('tenantId'),
+    status: urlObject.searchParams.get('status')
+  });
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handlePendingMutationCancel(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleCancelPendingMutationRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
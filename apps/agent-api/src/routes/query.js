@@ -1,5 +1,19 @@
-import { readJsonBody, sendJson, sendJsonBodyReadError } from '../lib/http.js';
+import { readBearerToken, readJsonBody, sendJson, sendJsonBodyReadError } from '../lib/http.js';
 import { handleQueryRequest } from '../services/queryService.js';
+import {
+  handleCreateQueryTemplateRequest,
+  handleDeleteQueryTemplateRequest,
+  handleListQueryTemplatesRequest
+} from '../services/queryTemplateAdminService.js';
+
+async function parseJsonBody(req, res) {
+  try {
+    return await readJsonBody(req);
+  } catch (error) {
+    sendJsonBodyReadError(res, error);
+    return null;
+  }
+}
 
 export async function handleQuery(req, res) {
   let payload;
@@ -11,6 +25,36 @@ export async function handleQuery(req, res) {
     return;
   }
 
-  const result = await handleQueryRequest(payload);
+  const result = await handleQueryRequest(payload, null, {
+    source: 'http',
+    bearerToken: readBearerToken(req)
+  });
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handleQueryTemplateCreate(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleCreateQueryTemplateRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handleQueryTemplateDelete(req, res) {
+  const payload = await parseJsonBody(req, res);
+  if (!payload) {
+    return;
+  }
+
+  const result = await handleDeleteQueryTemplateRequest(payload);
+  sendJson(res, result.statusCode, result.body);
+}
+
+export async function handleQueryTemplateList(req, res, urlObject) {
+  const result = await handleListQueryTemplatesRequest({
+    tenantId: urlObject.searchParams.get('tenantId')
+  });
   sendJson(res, result.statusCode, result.body);
 }
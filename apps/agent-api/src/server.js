@@ -1,10 +1,15 @@
+import fs from 'node:fs';
 import http from 'node:http';
+import https from 'node:https';
 import { randomUUID } from 'node:crypto';
 import { pathToFileURL } from 'node:url';
 import { loadConfig } from './config.js';
 import {
   handleA2aAgentCard,
   handleA2aContracts,
+  handleA2aSignerKeyList,
+  handleA2aSignerKeyRegister,
+  handleA2aSignerKeyRetire,
   handleA2aTaskCreate,
   handleA2aTaskGet,
   handleA2aTaskList
@@ -14,22 +19,46 @@ import {
   handleAiPolicyDraft,
   handleAiSchemaDraft
 } from './routes/ai.js';
+import {
+  handleAuthSessionCreate,
+  handleAuthSessionRevoke,
+  handleEip712Domain
+} from './routes/auth.js';
 import { handleControlPlaneApply, handleControlPlaneSubmit } from './routes/controlPlane.js';
 import { handleDataOperationExecute } from './routes/dataOperation.js';
 import { handleDemoPage, handleDemoPayload, handleDemoScenarios } from './routes/demo.js';
 import { handleHealth } from './routes/health.js';
 import {
+  handlePendingMutationCancel,
+  handlePendingMutationList,
   handlePolicyGrantCreate,
   handlePolicyGrantList,
   handlePolicyGrantRevoke,
-  handlePolicyPreviewDecision
+  handlePolicyPreviewDecision,
+  handlePolicyQuorumList,
+  handlePolicyQuorumSet,
+  handlePolicyRoleAssign,
+  handlePolicyRoleCreate,
+  handlePolicyRoleList,
+  handlePolicyRoleUnassign,
+  handlePolicySimulate,
+  handlePolicyVersionExport,
+  handlePolicyVersionImport,
+  handlePolicyVersionList,
+  handlePolicyVersionRollback
 } from './routes/policy.js';
-import { handleQuery } from './routes/query.js';
+import {
+  handleQuery,
+  handleQueryTemplateCreate,
+  handleQueryTemplateDelete,
+  handleQueryTemplateList
+} from './routes/query.js';
 import { handleRuntimeAttestationStatus } from './routes/runtime.js';
 import { sendJson } from './lib/http.js';
 import { createDemoScenarioService } from './services/demoScenarioService.js';
 import { createLogger } from './services/loggerService.js';
 import { getRuntimeMetricsService, inferRequestDecisionTelemetry } from './services/metricsService.js';
+import { assertCapabilityTemplatesRegistered } from './services/policyService.js';
 import { createRateLimitService } from './services/rateLimitService.js';
 import { handleOpsMetrics } from './routes/ops.js';
 
@@ -44,6 +73,17 @@ function getClientIp(req) {
   return req.socket?.remoteAddress || 'unknown';
 }
 
+// Only certificates that chained to the configured CA count; on the plain HTTP
+// listener, or when the client sent no valid certificate, header auth applies as usual.
+function getVerifiedPeerCertificate(req) {
+  const socket = req.socket;
+  if (!socket?.authorized || typeof socket.getPeerX509Certificate !== 'function') {
+    return null;
+  }
+
+  return socket.getPeerX509Certificate() || null;
+}
+
 export function shouldApplyRateLimit(pathname) {
   if (pathname === '/health') {
     return false;
@@ -122,6 +162,18 @@ export function resolveRouteAction(method, pathname) {
     return 'query:execute';
   }
 
+  if (method === 'GET' && pathname === '/v1/query/templates') {
+    return 'query:template:list';
+  }
+
+  if (method === 'POST' && pathname === '/v1/query/templates') {
+    return 'query:template:create';
+  }
+
+  if (method === 'DELETE' && pathname === '/v1/query/templates') {
+    return 'query:template:delete';
+  }
+
   if (
     method === 'GET' &&
     (pathname === '/.well-known/agent-card.json' || pathname === '/v1/a2a/agent-card')
@@ -145,10 +197,34 @@ export function resolveRouteAction(method, pathname) {
     return 'a2a:task:get';
   }
 
+  if (method === 'POST' && pathname === '/v1/a2a/signers') {
+    return 'a2a:signer:register';
+  }
+
+  if (method === 'GET' && pathname === '/v1/a2a/signers') {
+    return 'a2a:signer:list';
+  }
+
+  if (method === 'POST' && pathname === '/v1/a2a/signers/retire') {
+    return 'a2a:signer:retire';
+  }
+
   if (method === 'GET' && pathname === '/v1/runtime/attestation') {
     return 'runtime:attestation:read';
   }
 
+  if (method === 'GET' && pathname === '/v1/auth/eip712') {
+    return 'auth:eip712:read';
+  }
+
+  if (method === 'POST' && pathname === '/v1/auth/session') {
+    return 'auth:session:create';
+  }
+
+  if (method === 'POST' && pathname === '/v1/auth/session/revoke') {
+    return 'auth:session:revoke';
+  }
+
   if (method === 'POST' && pathname === '/v1/control-plane/submit') {
     return 'schema:submit';
   }
@@ -189,6 +265,58 @@ export function resolveRouteAction(method, pathname) {
     return 'policy:preview:decision';
   }
 
+  if (method === 'POST' && pathname === '/v1/policy/simulate') {
+    return 'policy:simulate';
+  }
+
+  if (method === 'GET' && pathname === '/v1/policy/roles') {
+    return 'policy:role:list';
+  }
+
+  if (method === 'POST' && pathname === '/v1/policy/roles') {
+    return 'policy:role:create';
+  }
+
+  if (method === 'POST' && pathname === '/v1/policy/roles/assign') {
+    return 'policy:role:assign';
+  }
+
+  if (method === 'POST' && pathname === '/v1/policy/roles/unassign') {
+    return 'policy:role:unassign';
+  }
+
+  if (method === 'GET' && pathname === '/v1/policy/versions') {
+    return 'policy:version:list';
+  }
+
+  if (method === 'GET' && pathname === '/v1/policy/export') {
+    return 'policy:export';
+  }
+
+  if (method === 'POST' && pathname === '/v1/policy/import') {
+    return 'policy:import';
+  }
+
+  if (method === 'POST' && pathname === '/v1/policy/rollback') {
+    return 'policy:rollback';
+  }
+
+  if (method === 'GET' && pathname === '/v1/policy/quorums') {
+    return 'policy:quorum:list';
+  }
+
+  if (method === 'POST' && pathname === '/v1/policy/quorums') {
+    return 'policy:quorum:set';
+  }
+
+  if (method === 'GET' && pathname === '/v1/policy/pending-mutations') {
+    return 'policy:pending:list';
+  }
+
+  if (method === 'POST' && pathname === '/v1/policy/pending-mutations/cancel') {
+    return 'policy:pending:cancel';
+  }
+
   if (method === 'GET' && pathname === '/v1/demo/scenarios') {
     return 'demo:scenarios';
   }
@@ -256,8 +384,8 @@ export function collectLogContext({ req, requestUrl, method, pathname, payload,
   };
 }
 
-export function createServer(
-  config = loadConfig(),
+function createRequestHandler(
+  config,
   {
     logger = createLogger({
       level: config.observability.logLevel,
@@ -269,9 +397,10 @@ export function createServer(
     rateLimitService = createRateLimitService(config.security.rateLimit)
   } = {}
 ) {
+  assertCapabilityTemplatesRegistered(config.policy.capabilityRules);
   const demoScenarioService = createDemoScenarioService(config.demo);
 
-  return http.createServer(async (req, res) => {
+  return async (req, res) => {
     const requestUrl = new URL(req.url || '/', 'http://localhost');
     const pathname = requestUrl.pathname;
     const method = req.method || 'GET';
@@ -287,7 +416,8 @@ export function createServer(
       correlationId,
       apiVersion: 'v1',
       maxJsonBodyBytes: config.security.maxJsonBodyBytes,
-      action
+      action,
+      peerCertificate: getVerifiedPeerCertificate(req)
     };
     res.setHeader('x-correlation-id', correlationId);
     res.setHeader('x-api-version', 'v1');
@@ -460,6 +590,21 @@ export function createServer(
       return;
     }
 
+    if (method === 'GET' && pathname === '/v1/query/templates') {
+      await runRoute(async () => handleQueryTemplateList(req, res, requestUrl));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/query/templates') {
+      await runRoute(async () => handleQueryTemplateCreate(req, res));
+      return;
+    }
+
+    if (method === 'DELETE' && pathname === '/v1/query/templates') {
+      await runRoute(async () => handleQueryTemplateDelete(req, res));
+      return;
+    }
+
     if (method === 'GET' && pathname === '/.well-known/agent-card.json') {
       await runRoute(async () => handleA2aAgentCard(req, res, requestUrl));
       return;
@@ -493,11 +638,41 @@ export function createServer(
       return;
     }
 
+    if (method === 'POST' && pathname === '/v1/a2a/signers') {
+      await runRoute(async () => handleA2aSignerKeyRegister(req, res, requestUrl));
+      return;
+    }
+
+    if (method === 'GET' && pathname === '/v1/a2a/signers') {
+      await runRoute(async () => handleA2aSignerKeyList(req, res, requestUrl));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/a2a/signers/retire') {
+      await runRoute(async () => handleA2aSignerKeyRetire(req, res, requestUrl));
+      return;
+    }
+
     if (method === 'GET' && pathname === '/v1/runtime/attestation') {
       await runRoute(async () => handleRuntimeAttestationStatus(req, res));
       return;
     }
 
+    if (method === 'GET' && pathname === '/v1/auth/eip712') {
+      await runRoute(async () => handleEip712Domain(req, res));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/auth/session') {
+      await runRoute(async () => handleAuthSessionCreate(req, res));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/auth/session/revoke') {
+      await runRoute(async () => handleAuthSessionRevoke(req, res));
+      return;
+    }
+
     if (method === 'POST' && pathname === '/v1/control-plane/submit') {
       await runRoute(async () => handleControlPlaneSubmit(req, res));
       return;
@@ -548,6 +723,71 @@ export function createServer(
       return;
     }
 
+    if (method === 'POST' && pathname === '/v1/policy/simulate') {
+      await runRoute(async () => handlePolicySimulate(req, res));
+      return;
+    }
+
+    if (method === 'GET' && pathname === '/v1/policy/roles') {
+      await runRoute(async () => handlePolicyRoleList(req, res, requestUrl));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/policy/roles') {
+      await runRoute(async () => handlePolicyRoleCreate(req, res));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/policy/roles/assign') {
+      await runRoute(async () => handlePolicyRoleAssign(req, res));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/policy/roles/unassign') {
+      await runRoute(async () => handlePolicyRoleUnassign(req, res));
+      return;
+    }
+
+    if (method === 'GET' && pathname === '/v1/policy/versions') {
+      await runRoute(async () => handlePolicyVersionList(req, res, requestUrl));
+      return;
+    }
+
+    if (method === 'GET' && pathname === '/v1/policy/export') {
+      await runRoute(async () => handlePolicyVersionExport(req, res, requestUrl));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/policy/import') {
+      await runRoute(async () => handlePolicyVersionImport(req, res));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/policy/rollback') {
+      await runRoute(async () => handlePolicyVersionRollback(req, res));
+      return;
+    }
+
+    if (method === 'GET' && pathname === '/v1/policy/quorums') {
+      await runRoute(async () => handlePolicyQuorumList(req, res, requestUrl));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/policy/quorums') {
+      await runRoute(async () => handlePolicyQuorumSet(req, res));
+      return;
+    }
+
+    if (method === 'GET' && pathname === '/v1/policy/pending-mutations') {
+      await runRoute(async () => handlePendingMutationList(req, res, requestUrl));
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/v1/policy/pending-mutations/cancel') {
+      await runRoute(async () => handlePendingMutationCancel(req, res));
+      return;
+    }
+
     if (method === 'GET' && pathname === '/v1/demo/scenarios') {
       await runRoute(async () => handleDemoScenarios(req, res, demoScenarioService));
       return;
@@ -567,7 +807,25 @@ export function createServer(
       error: 'NOT_FOUND',
       message: 'Route not found.'
     });
-  });
+  };
+}
+
+export function createServer(config = loadConfig(), dependencies = {}) {
+  return http.createServer(createRequestHandler(config, dependencies));
+}
+
+export function createMtlsServer(config = loadConfig(), dependencies = {}) {
+  const mtlsConfig = config.a2a.mtls;
+  return https.createServer(
+    {
+      key: fs.readFileSync(mtlsConfig.keyPath),
+      cert: fs.readFileSync(mtlsConfig.certPath),
+      ca: fs.readFileSync(mtlsConfig.caPath),
+      requestCert: true,
+      rejectUnauthorized: false
+    },
+    createRequestHandler(config, dependencies)
+  );
 }
 
 const isEntrypoint =
@@ -581,4 +839,10 @@ if (isEntrypoint) {
     // Keep startup log minimal and deterministic for local scripts.
     console.log(`${config.serviceName} listening on port ${config.port}`);
   });
+
+  if (config.a2a.mtls.enabled) {
+    createMtlsServer(config).listen(config.a2a.mtls.port, () => {
+      console.log(`${config.serviceName} mTLS listener on port ${config.a2a.mtls.port}`);
+    });
+  }
 }
@@ -1,10 +1,19 @@
-import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { createHash, createHmac, createPublicKey, timingSafeEqual, verify } from 'node:crypto';
 import { verifyMessage } from 'ethers';
 import { NonceStore } from './authService.js';
 
+export const A2A_SIGNATURE_SCHEMES = Object.freeze(['hmac-sha256', 'evm-personal-sign', 'ed25519']);
+export const A2A_SIGNER_KEY_SCHEMES = Object.freeze(['evm-personal-sign', 'ed25519']);
+export const A2A_MTLS_SCHEME = 'mtls';
+
 const SIGNING_CONTEXT = 'PRIVATE_DB_AGENT_A2A_V1';
 const MAX_HEADER_VALUE_LENGTH = 256;
 const EVM_ADDRESS_PATTERN = /^0x[a-f0-9]{40}$/i;
+const HEX_PATTERN = /^(?:0x)?[a-f0-9]+$/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+const ED25519_PUBLIC_KEY_BYTES = 32;
+const ED25519_SIGNATURE_BYTES = 64;
+const SHA256_FINGERPRINT_PATTERN = /^[a-f0-9]{64}$/;
 
 function stableSort(value) {
   if (Array.isArray(value)) {
@@ -117,24 +126,137 @@ function normalizeEvmAddress(value) {
   return normalized;
 }
 
-function normalizeAgentSignerRegistry(rawRegistry) {
+// Ed25519 keys and signatures are accepted as hex or base64; both decode to raw bytes.
+function decodeBinary(value, expectedLength) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  let decoded = null;
+  if (HEX_PATTERN.test(trimmed) && trimmed.replace(/^0x/i, '').length === expectedLength * 2) {
+    decoded = Buffer.from(trimmed.replace(/^0x/i, ''), 'hex');
+  } else if (BASE64_PATTERN.test(trimmed)) {
+    decoded = Buffer.from(trimmed.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  }
+
+  return decoded && decoded.length === expectedLength ? decoded : null;
+}
+
+export function normalizeSignerPublicKey(scheme, publicKey) {
+  if (scheme === 'evm-personal-sign') {
+    return normalizeEvmAddress(publicKey);
+  }
+
+  if (scheme === 'ed25519') {
+    const raw = decodeBinary(publicKey, ED25519_PUBLIC_KEY_BYTES);
+    return raw ? raw.toString('hex') : null;
+  }
+
+  return null;
+}
+
+function normalizeAgentSignerRegistry(rawRegistry, signatureScheme) {
   if (!rawRegistry || typeof rawRegistry !== 'object' || Array.isArray(rawRegistry)) {
     return new Map();
   }
 
+  const keyScheme = signatureScheme === 'ed25519' ? 'ed25519' : 'evm-personal-sign';
   const signers = new Map();
   for (const [rawAgentId, rawSigner] of Object.entries(rawRegistry)) {
     const agentId = normalizeAgentId(rawAgentId);
-    const signerAddress = normalizeEvmAddress(rawSigner);
-    if (!agentId || !signerAddress) {
+    const publicKey = normalizeSignerPublicKey(keyScheme, rawSigner);
+    if (!agentId || !publicKey) {
       continue;
     }
-    signers.set(agentId, signerAddress);
+    signers.set(agentId, publicKey);
   }
 
   return signers;
 }
 
+// Subjects are compared as comma-joined RDNs, so 'CN=a, O=b' and X509Certificate's
+// newline-separated 'CN=a\nO=b' map to the same key.
+function normalizeDistinguishedName(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value
+    .split(/[\n,]/)
+    .map((part) => part.trim())
+    .filter((part) => part.length > 0);
+  return parts.length > 0 ? parts.join(',') : null;
+}
+
+function normalizeSpkiFingerprint(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const normalized = value.trim().replace(/:/g, '').toLowerCase();
+  return SHA256_FINGERPRINT_PATTERN.test(normalized) ? normalized : null;
+}
+
+function normalizeCertificateAgentMap(rawMap, normalizeKey) {
+  if (!rawMap || typeof rawMap !== 'object' || Array.isArray(rawMap)) {
+    return new Map();
+  }
+
+  const agents = new Map();
+  for (const [rawKey, rawAgentId] of Object.entries(rawMap)) {
+    const key = normalizeKey(rawKey);
+    const agentId = normalizeAgentId(rawAgentId);
+    if (!key || !agentId) {
+      continue;
+    }
+    agents.set(key, agentId);
+  }
+
+  return agents;
+}
+
+export function describePeerCertificate(certificate) {
+  if (!certificate || typeof certificate.subject !== 'string' || !certificate.publicKey) {
+    return null;
+  }
+
+  const spki = certificate.publicKey.export({ type: 'spki', format: 'der' });
+  return {
+    subject: normalizeDistinguishedName(certificate.subject),
+    spkiSha256: createHash('sha256').update(spki).digest('hex')
+  };
+}
+
+function verifyEd25519({ publicKey, signature, message }) {
+  const signatureBytes = decodeBinary(signature, ED25519_SIGNATURE_BYTES);
+  if (!signatureBytes) {
+    return false;
+  }
+
+  try {
+    const keyObject = createPublicKey({
+      key: {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: Buffer.from(publicKey, 'hex').toString('base64url')
+      },
+      format: 'jwk'
+    });
+    return verify(null, Buffer.from(message), keyObject, signatureBytes);
+  } catch {
+    return false;
+  }
+}
+
+function recoverEvmSigner(message, signature) {
+  try {
+    return normalizeEvmAddress(verifyMessage(message, signature));
+  } catch {
+    return null;
+  }
+}
+
 function validateFreshness({ timestamp, nowMs, nonceTtlSeconds, maxFutureSkewSeconds }) {
   const timestampMs = Date.parse(timestamp);
   const ttlMs = nonceTtlSeconds * 1000;
@@ -222,15 +344,21 @@ function authFailure(code, message, statusCode = 401, details = null) {
 
 export function createA2aAuthService(
   rawA2aConfig = {},
-  { nonceStore = new NonceStore(), now = () => Date.now() } = {}
+  { nonceStore = new NonceStore(), signerKeyStore = null, now = () => Date.now() } = {}
 ) {
+  const signatureScheme = String(rawA2aConfig.signatureScheme || 'hmac-sha256')
+    .trim()
+    .toLowerCase();
   const authConfig = {
     enabled: rawA2aConfig.enabled !== undefined ? Boolean(rawA2aConfig.enabled) : true,
     allowUnsigned:
       rawA2aConfig.allowUnsigned !== undefined ? Boolean(rawA2aConfig.allowUnsigned) : false,
-    signatureScheme: String(rawA2aConfig.signatureScheme || 'hmac-sha256').trim().toLowerCase(),
+    signatureScheme,
     sharedSecret: String(rawA2aConfig.sharedSecret || ''),
-    agentSignerRegistry: normalizeAgentSignerRegistry(rawA2aConfig.agentSignerRegistry),
+    agentSignerRegistry: normalizeAgentSignerRegistry(
+      rawA2aConfig.agentSignerRegistry,
+      signatureScheme
+    ),
     allowedAgentIds: normalizeAllowedSet(rawA2aConfig.allowedAgentIds || []),
     adminAgentIds: normalizeAllowedSet(rawA2aConfig.adminAgentIds || []),
     taskAllowlist:
@@ -238,8 +366,18 @@ export function createA2aAuthService(
         ? rawA2aConfig.taskAllowlist
         : {},
     nonceTtlSeconds: Number(rawA2aConfig.nonceTtlSeconds || 300),
-    maxFutureSkewSeconds: Number(rawA2aConfig.maxFutureSkewSeconds || 60)
+    maxFutureSkewSeconds: Number(rawA2aConfig.maxFutureSkewSeconds || 60),
+    certificateSubjectAgents: normalizeCertificateAgentMap(
+      rawA2aConfig.mtls?.subjectAgentMap,
+      normalizeDistinguishedName
+    ),
+    certificateSpkiAgents: normalizeCertificateAgentMap(
+      rawA2aConfig.mtls?.spkiAgentMap,
+      normalizeSpkiFingerprint
+    )
   };
+  const certificateAuthEnabled =
+    authConfig.certificateSubjectAgents.size > 0 || authConfig.certificateSpkiAgents.size > 0;
 
   function resolveTaskAllowlist(agentId) {
     const direct = authConfig.taskAllowlist[agentId];
@@ -326,13 +464,7 @@ export function createA2aAuthService(
       );
     }
 
-    let recoveredSignerAddress;
-    try {
-      recoveredSignerAddress = normalizeEvmAddress(verifyMessage(message, signature));
-    } catch {
-      recoveredSignerAddress = null;
-    }
-
+    const recoveredSignerAddress = recoverEvmSigner(message, signature);
     if (!recoveredSignerAddress || recoveredSignerAddress !== expectedSignerAddress) {
       return authFailure('A2A_SIGNATURE_MISMATCH', 'A2A signature verification failed.', 401, {
         expectedSignerAddress,
@@ -346,7 +478,78 @@ export function createA2aAuthService(
     };
   }
 
-  function verifySignature({ agentId, signature, message }) {
+  function verifyConfiguredEd25519Signature({ agentId, signature, message }) {
+    const publicKey = authConfig.agentSignerRegistry.get(agentId) || null;
+    if (!publicKey) {
+      return authFailure(
+        'A2A_SIGNER_NOT_CONFIGURED',
+        `No Ed25519 public key configured for agent '${agentId}'.`,
+        503
+      );
+    }
+
+    if (!verifyEd25519({ publicKey, signature, message })) {
+      return authFailure('A2A_SIGNATURE_MISMATCH', 'A2A signature verification failed.', 401);
+    }
+
+    return {
+      ok: true
+    };
+  }
+
+  // Keys in the persistent registry are authoritative for their agent while any is inside
+  // its validity window; several may overlap so a new key can roll out before the old retires.
+  function verifyRegisteredKeySignature({ keys, signature, message }) {
+    for (const key of keys) {
+      const valid =
+        key.scheme === 'ed25519'
+          ? verifyEd25519({ publicKey: key.publicKey, signature, message })
+          : recoverEvmSigner(message, signature) === key.publicKey;
+      if (valid) {
+        return {
+          ok: true,
+          signatureScheme: key.scheme,
+          keyId: key.keyId,
+          ...(key.scheme === 'evm-personal-sign' ? { signerAddress: key.publicKey } : {})
+        };
+      }
+    }
+
+    return authFailure('A2A_SIGNATURE_MISMATCH', 'A2A signature verification failed.', 401, {
+      activeKeyIds: keys.map((key) => key.keyId)
+    });
+  }
+
+  async function verifySignature({ agentId, signature, message, nowMs }) {
+    const registeredKeys = signerKeyStore
+      ? await signerKeyStore.listActiveKeys({ agentId, at: new Date(nowMs).toISOString() })
+      : [];
+    if (registeredKeys.length > 0) {
+      return verifyRegisteredKeySignature({ keys: registeredKeys, signature, message });
+    }
+
+    // Once an agent is enrolled in the registry, retiring or letting its keys lapse must not
+    // reopen the shared secret or static registry for it.
+    const enrolledKeys = signerKeyStore
+      ? await signerKeyStore.listKeys({ agentId, includeRetired: true })
+      : [];
+    if (enrolledKeys.length > 0) {
+      return authFailure(
+        'A2A_SIGNER_KEY_INACTIVE',
+        `Agent '${agentId}' has no signer key valid at this time.`,
+        401,
+        { keyIds: enrolledKeys.map((key) => key.keyId) }
+      );
+    }
+
+    if (authConfig.signatureScheme === 'ed25519') {
+      return verifyConfiguredEd25519Signature({
+        agentId,
+        signature,
+        message
+      });
+    }
+
     if (authConfig.signatureScheme === 'evm-personal-sign') {
       return verifyEvmSignature({
         agentId,
@@ -367,7 +570,8 @@ export function createA2aAuthService(
     headers,
     body,
     correlationId = null,
-    idempotencyKey = null
+    idempotencyKey = null,
+    peerCertificate = null
   }) {
     if (!authConfig.enabled) {
       return {
@@ -377,7 +581,22 @@ export function createA2aAuthService(
       };
     }
 
-    const agentId = normalizeAgentId(getHeader(headers, 'x-agent-id'));
+    const headerAgentId = normalizeAgentId(getHeader(headers, 'x-agent-id'));
+    const certificate = certificateAuthEnabled ? describePeerCertificate(peerCertificate) : null;
+    const certificateAgentId = certificate
+      ? authConfig.certificateSpkiAgents.get(certificate.spkiSha256) ||
+        authConfig.certificateSubjectAgents.get(certificate.subject) ||
+        null
+      : null;
+    if (certificateAgentId && headerAgentId && headerAgentId !== certificateAgentId) {
+      return authFailure(
+        'A2A_AGENT_ID_MISMATCH',
+        'x-agent-id does not match the agent bound to the client certificate.',
+        401
+      );
+    }
+
+    const agentId = certificateAgentId || headerAgentId;
     if (!agentId) {
       return authFailure('A2A_MISSING_AGENT_ID', 'x-agent-id header is required.', 401);
     }
@@ -390,6 +609,20 @@ export function createA2aAuthService(
       return authFailure('A2A_AGENT_NOT_ALLOWED', `Agent '${agentId}' is not allowed.`, 403);
     }
 
+    // The TLS handshake already proved possession of the certificate key, so no
+    // header signature or nonce is required on this path.
+    if (certificateAgentId) {
+      return {
+        ok: true,
+        agentId,
+        idempotencyKey:
+          normalizeIdempotencyKey(idempotencyKey || getHeader(headers, 'x-idempotency-key')) ||
+          null,
+        signatureScheme: A2A_MTLS_SCHEME,
+        certificate
+      };
+    }
+
     if (authConfig.allowUnsigned) {
       return {
         ok: true,
@@ -444,16 +677,17 @@ export function createA2aAuthService(
       idempotencyKey: safeIdempotencyKey,
       payloadHash
     });
-    const signatureVerification = verifySignature({
+    const signatureVerification = await verifySignature({
       agentId,
       signature,
-      message
+      message,
+      nowMs
     });
     if (!signatureVerification.ok) {
       return signatureVerification;
     }
 
-    const nonceAccepted = nonceStore.consume(
+    const nonceAccepted = await nonceStore.consume(
       agentId,
       nonce,
       freshness.expiresAtMs,
@@ -471,21 +705,36 @@ export function createA2aAuthService(
       nonce,
       payloadHash,
       idempotencyKey: safeIdempotencyKey,
-      signatureScheme: authConfig.signatureScheme,
-      signerAddress: signatureVerification.signerAddress || null
+      signatureScheme: signatureVerification.signatureScheme || authConfig.signatureScheme,
+      signerAddress: signatureVerification.signerAddress || null,
+      keyId: signatureVerification.keyId || null
     };
   }
 
+  function isAdminAgent(agentId) {
+    const safeAgentId = normalizeAgentId(agentId);
+    return Boolean(safeAgentId) && authConfig.adminAgentIds.has(safeAgentId);
+  }
+
   function getAuthMetadata() {
     return {
       signatureScheme: authConfig.signatureScheme,
+      supportedSchemes: [
+        authConfig.signatureScheme,
+        ...(signerKeyStore
+          ? A2A_SIGNER_KEY_SCHEMES.filter((scheme) => scheme !== authConfig.signatureScheme)
+          : []),
+        ...(certificateAuthEnabled ? [A2A_MTLS_SCHEME] : [])
+      ],
       signerRegistrySize: authConfig.agentSignerRegistry.size,
+      persistentSignerRegistry: Boolean(signerKeyStore),
       allowUnsigned: authConfig.allowUnsigned
     };
   }
 
   return {
     authenticate,
+    isAdminAgent,
     authorizeTaskType,
     canReadTask,
     getAuthMetadata
@@ -0,0 +1,232 @@
+import { randomUUID } from 'node:crypto';
+
+function createPlaceholders(dialect, count, offset = 0) {
+  if (dialect === 'postgres') {
+    return Array.from({ length: count }, (_, index) => `$${index + 1 + offset}`);
+  }
+
+  return Array.from({ length: count }, () => '?');
+}
+
+function isUniqueViolation(error) {
+  const message = String(error?.message || '').toLowerCase();
+  return message.includes('unique constraint') || message.includes('duplicate key');
+}
+
+function toSignerKey(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    keyId: row.key_id,
+    agentId: row.agent_id,
+    scheme: row.scheme,
+    publicKey: row.public_key,
+    validFrom: row.valid_from,
+    validUntil: row.valid_until || null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    retiredAt: row.retired_at || null,
+    retiredBy: row.retired_by || null
+  };
+}
+
+export function createA2aSignerKeyStore({ databaseAdapter }) {
+  if (!databaseAdapter || typeof databaseAdapter.execute !== 'function') {
+    throw new Error('databaseAdapter is required for A2A signer key store.');
+  }
+
+  const dialect = databaseAdapter.dialect;
+  if (!['sqlite', 'postgres'].includes(dialect)) {
+    throw new Error(`Unsupported database dialect '${dialect}' for A2A signer key store.`);
+  }
+
+  let initPromise = null;
+
+  async function ensureInitialized() {
+    if (!initPromise) {
+      initPromise = initializeSchema().catch((error) => {
+        initPromise = null;
+        throw error;
+      });
+    }
+
+    return initPromise;
+  }
+
+  async function initializeSchema() {
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE TABLE IF NOT EXISTS a2a_signer_keys (
+          key_id TEXT PRIMARY KEY,
+          agent_id TEXT NOT NULL,
+          scheme TEXT NOT NULL,
+          public_key TEXT NOT NULL,
+          valid_from TEXT NOT NULL,
+          valid_until TEXT,
+          created_by TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          retired_at TEXT,
+          retired_by TEXT
+        )
+      `,
+      values: []
+    });
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_a2a_signer_keys_agent_key
+        ON a2a_signer_keys (agent_id, scheme, public_key)
+      `,
+      values: []
+    });
+  }
+
+  async function getKey(keyId) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, 1);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `SELECT * FROM a2a_signer_keys WHERE key_id = ${params[0]} LIMIT 1`,
+      values: [keyId]
+    });
+
+    return toSignerKey(result.rows?.[0] || null);
+  }
+
+  async function registerKey({
+    agentId,
+    scheme,
+    publicKey,
+    validFrom,
+    validUntil = null,
+    createdBy,
+    createdAt
+  }) {
+    await ensureInitialized();
+    const key = {
+      keyId: randomUUID(),
+      agentId,
+      scheme,
+      publicKey,
+      validFrom,
+      validUntil,
+      createdBy,
+      createdAt,
+      retiredAt: null,
+      retiredBy: null
+    };
+    const params = createPlaceholders(dialect, 8);
+
+    try {
+      await databaseAdapter.execute({
+        mode: 'write',
+        sql: `
+          INSERT INTO a2a_signer_keys (
+            key_id,
+            agent_id,
+            scheme,
+            public_key,
+            valid_from,
+            valid_until,
+            created_by,
+            created_at
+          )
+          VALUES (${params.join(', ')})
+        `,
+        values: [
+          key.keyId,
+          key.agentId,
+          key.scheme,
+          key.publicKey,
+          key.validFrom,
+          key.validUntil,
+          key.createdBy,
+          key.createdAt
+        ]
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return null;
+      }
+
+      throw error;
+    }
+
+    return key;
+  }
+
+  async function retireKey({ keyId, retiredBy, retiredAt }) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, 3);
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        UPDATE a2a_signer_keys
+        SET retired_at = ${params[0]}, retired_by = ${params[1]}
+        WHERE key_id = ${params[2]} AND retired_at IS NULL
+      `,
+      values: [retiredAt, retiredBy, keyId]
+    });
+
+    return Number(result.rowCount || 0) > 0 ? getKey(keyId) : null;
+  }
+
+  async function listKeys({ agentId = null, includeRetired = false } = {}) {
+    await ensureInitialized();
+    const conditions = [];
+    const values = [];
+    if (agentId) {
+      conditions.push(`agent_id = ${createPlaceholders(dialect, 1, values.length)[0]}`);
+      values.push(agentId);
+    }
+    if (!includeRetired) {
+      conditions.push('retired_at IS NULL');
+    }
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM a2a_signer_keys
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY agent_id ASC, valid_from ASC, key_id ASC
+      `,
+      values
+    });
+
+    return (result.rows || []).map((row) => toSignerKey(row));
+  }
+
+  async function listActiveKeys({ agentId, at }) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, 3);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM a2a_signer_keys
+        WHERE agent_id = ${params[0]}
+          AND retired_at IS NULL
+          AND valid_from <= ${params[1]}
+          AND (valid_until IS NULL OR valid_until > ${params[2]})
+        ORDER BY valid_from DESC, key_id ASC
+      `,
+      values: [agentId, at, at]
+    });
+
+    return (result.rows || []).map((row) => toSignerKey(row));
+  }
+
+  return {
+    ensureInitialized,
+    getKey,
+    registerKey,
+    retireKey,
+    listKeys,
+    listActiveKeys
+  };
+}
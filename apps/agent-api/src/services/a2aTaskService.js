@@ -1,8 +1,14 @@
 import { createHash } from 'node:crypto';
 import { loadConfig } from '../config.js';
 import { createDatabaseAdapter } from '../db/databaseAdapterFactory.js';
-import { createA2aAuthService } from './a2aAuthService.js';
+import {
+  A2A_SIGNER_KEY_SCHEMES,
+  createA2aAuthService,
+  normalizeSignerPublicKey
+} from './a2aAuthService.js';
+import { createA2aSignerKeyStore } from './a2aSignerKeyStore.js';
 import { createA2aTaskStore } from './a2aTaskStore.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
 import {
   handleAiApproveDraftRequest,
   handleAiPolicyDraftRequest,
@@ -26,6 +32,7 @@ const SUPPORTED_TASK_TYPES = Object.freeze([
 ]);
 
 const DEFAULT_TASK_CONTRACT_VERSION = '2026-02-18';
+const AGENT_ID_PATTERN = /^[a-z0-9][a-z0-9._:-]{0,127}$/;
 
 function stableSort(value) {
   if (Array.isArray(value)) {
@@ -118,9 +125,21 @@ function serviceError(statusCode, error, message, details = null) {
   };
 }
 
+function parseOptionalTimestamp(value) {
+  if (value === undefined || value === null) {
+    return { ok: true, value: null };
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed)
+    ? { ok: true, value: new Date(parsed).toISOString() }
+    : { ok: false };
+}
+
 export function createA2aTaskService({
   a2aAuthService,
   a2aTaskStore,
+  signerKeyStore = null,
   serviceMetadata,
   now = () => new Date().toISOString(),
   handlers = {}
@@ -134,7 +153,9 @@ export function createA2aTaskService({
   }
 
   const taskHandlers = {
-    'query.execute': handlers.queryExecute || ((input) => handleQueryRequest(input)),
+    'query.execute':
+      handlers.queryExecute ||
+      ((input, requestContext) => handleQueryRequest(input, null, requestContext)),
     'policy.preview-decision':
       handlers.policyPreviewDecision || ((input) => handlePolicyPreviewDecisionRequest(input)),
     'policy.grant.create':
@@ -142,7 +163,9 @@ export function createA2aTaskService({
     'policy.grant.revoke':
       handlers.policyGrantRevoke || ((input) => handleRevokePolicyGrantRequest(input)),
     'schema.apply': handlers.schemaApply || ((input) => handleSchemaApplyRequest(input)),
-    'data.execute': handlers.dataExecute || ((input) => handleDataOperationRequest(input)),
+    'data.execute':
+      handlers.dataExecute ||
+      ((input, requestContext) => handleDataOperationRequest(input, null, requestContext)),
     'ai.schema-draft': handlers.aiSchemaDraft || ((input) => handleAiSchemaDraftRequest(input)),
     'ai.policy-draft': handlers.aiPolicyDraft || ((input) => handleAiPolicyDraftRequest(input)),
     'ai.approve-draft': handlers.aiApproveDraft || ((input) => handleAiApproveDraftRequest(input))
@@ -154,7 +177,8 @@ export function createA2aTaskService({
     headers,
     body,
     correlationId,
-    idempotencyKey
+    idempotencyKey,
+    peerCertificate
   }) {
     const authResult = await a2aAuthService.authenticate({
       method,
@@ -162,7 +186,8 @@ export function createA2aTaskService({
       headers,
       body,
       correlationId,
-      idempotencyKey
+      idempotencyKey,
+      peerCertificate
     });
 
     if (!authResult.ok) {
@@ -208,7 +233,7 @@ export function createA2aTaskService({
         return;
       }
 
-      const result = await handler(task.input);
+      const result = await handler(task.input, { source: 'a2a' });
       if (!result || typeof result.statusCode !== 'number') {
         await a2aTaskStore.updateStatus({
           taskId: task.taskId,
@@ -265,7 +290,7 @@ export function createA2aTaskService({
     }
   }
 
-  async function createTask({ headers, method, path, correlationId, payload }) {
+  async function createTask({ headers, method, path, correlationId, peerCertificate, payload }) {
     if (!isObject(payload)) {
       return serviceError(400, 'VALIDATION_ERROR', 'Request body must be a JSON object.');
     }
@@ -286,7 +311,8 @@ export function createA2aTaskService({
       headers,
       body: payload,
       correlationId,
-      idempotencyKey
+      idempotencyKey,
+      peerCertificate
     });
     if (!authResult.ok) {
       return authResult;
@@ -381,14 +407,15 @@ export function createA2aTaskService({
     };
   }
 
-  async function getTask({ headers, method, path, correlationId, taskId }) {
+  async function getTask({ headers, method, path, correlationId, peerCertificate, taskId }) {
     const authResult = await authenticateA2aRequest({
       method,
       path,
       headers,
       body: {},
       correlationId,
-      idempotencyKey: null
+      idempotencyKey: null,
+      peerCertificate
     });
     if (!authResult.ok) {
       return authResult;
@@ -412,14 +439,15 @@ export function createA2aTaskService({
     };
   }
 
-  async function listTasks({ headers, method, path, correlationId, query }) {
+  async function listTasks({ headers, method, path, correlationId, peerCertificate, query }) {
     const authResult = await authenticateA2aRequest({
       method,
       path,
       headers,
       body: {},
       correlationId,
-      idempotencyKey: null
+      idempotencyKey: null,
+      peerCertificate
     });
     if (!authResult.ok) {
       return authResult;
@@ -442,6 +470,208 @@ export function createA2aTaskService({
     };
   }
 
+  async function authenticateSignerAdmin(context, body) {
+    if (!signerKeyStore) {
+      return serviceError(
+        503,
+        'A2A_SIGNER_REGISTRY_UNAVAILABLE',
+        'Persistent A2A signer registry is not configured.'
+      );
+    }
+
+    const authResult = await authenticateA2aRequest({
+      method: context.method,
+      path: context.path,
+      headers: context.headers,
+      body,
+      correlationId: context.correlationId,
+      idempotencyKey: null,
+      peerCertificate: context.peerCertificate
+    });
+    if (!authResult.ok) {
+      return authResult;
+    }
+
+    const { agentId, authBypassed } = authResult.auth;
+    if (!authBypassed && !a2aAuthService.isAdminAgent(agentId)) {
+      return serviceError(
+        403,
+        'A2A_ADMIN_REQUIRED',
+        `Agent '${agentId}' is not allowed to manage signer keys.`
+      );
+    }
+
+    return authResult;
+  }
+
+  async function registerSignerKey({
+    headers,
+    method,
+    path,
+    correlationId,
+    peerCertificate,
+    payload
+  }) {
+    if (!isObject(payload)) {
+      return serviceError(400, 'VALIDATION_ERROR', 'Request body must be a JSON object.');
+    }
+
+    const authResult = await authenticateSignerAdmin(
+      { headers, method, path, correlationId, peerCertificate },
+      payload
+    );
+    if (!authResult.ok) {
+      return authResult;
+    }
+
+    const issues = [];
+    const agentId = String(payload.agentId || '').trim().toLowerCase();
+    if (!AGENT_ID_PATTERN.test(agentId)) {
+      issues.push({
+        path: 'agentId',
+        code: 'invalid_agent_id',
+        message: 'agentId must match [a-z0-9][a-z0-9._:-]{0,127}.'
+      });
+    }
+
+    const scheme = String(payload.scheme || '').trim().toLowerCase();
+    const publicKey = normalizeSignerPublicKey(scheme, payload.publicKey);
+    if (!A2A_SIGNER_KEY_SCHEMES.includes(scheme)) {
+      issues.push({
+        path: 'scheme',
+        code: 'invalid_scheme',
+        message: `scheme must be one of: ${A2A_SIGNER_KEY_SCHEMES.join(', ')}.`
+      });
+    } else if (!publicKey) {
+      issues.push({
+        path: 'publicKey',
+        code: 'invalid_public_key',
+        message:
+          scheme === 'ed25519'
+            ? 'publicKey must be a 32-byte Ed25519 key in hex or base64.'
+            : 'publicKey must be an EVM address.'
+      });
+    }
+
+    const createdAt = now();
+    const validFrom = parseOptionalTimestamp(payload.validFrom);
+    const validUntil = parseOptionalTimestamp(payload.validUntil);
+    if (!validFrom.ok || !validUntil.ok) {
+      issues.push({
+        path: validFrom.ok ? 'validUntil' : 'validFrom',
+        code: 'invalid_timestamp',
+        message: 'validFrom and validUntil must be ISO-8601 timestamps when provided.'
+      });
+    } else if (validUntil.value && validUntil.value <= (validFrom.value || createdAt)) {
+      issues.push({
+        path: 'validUntil',
+        code: 'invalid_validity_window',
+        message: 'validUntil must be later than validFrom.'
+      });
+    }
+
+    if (issues.length > 0) {
+      return serviceError(400, 'VALIDATION_ERROR', 'Invalid signer key registration.', {
+        issues
+      });
+    }
+
+    const key = await signerKeyStore.registerKey({
+      agentId,
+      scheme,
+      publicKey,
+      validFrom: validFrom.value || createdAt,
+      validUntil: validUntil.value,
+      createdBy: authResult.auth.agentId,
+      createdAt
+    });
+    if (!key) {
+      return serviceError(
+        409,
+        'A2A_SIGNER_KEY_EXISTS',
+        `This ${scheme} key is already registered for agent '${agentId}'.`
+      );
+    }
+
+    return {
+      statusCode: 201,
+      body: {
+        code: 'A2A_SIGNER_KEY_REGISTERED',
+        key
+      }
+    };
+  }
+
+  async function retireSignerKey({
+    headers,
+    method,
+    path,
+    correlationId,
+    peerCertificate,
+    payload
+  }) {
+    if (!isObject(payload)) {
+      return serviceError(400, 'VALIDATION_ERROR', 'Request body must be a JSON object.');
+    }
+
+    const authResult = await authenticateSignerAdmin(
+      { headers, method, path, correlationId, peerCertificate },
+      payload
+    );
+    if (!authResult.ok) {
+      return authResult;
+    }
+
+    if (typeof payload.keyId !== 'string' || payload.keyId.trim().length === 0) {
+      return serviceError(400, 'VALIDATION_ERROR', 'keyId is required.');
+    }
+
+    const key = await signerKeyStore.retireKey({
+      keyId: payload.keyId.trim(),
+      retiredBy: authResult.auth.agentId,
+      retiredAt: now()
+    });
+    if (!key) {
+      return serviceError(
+        404,
+        'A2A_SIGNER_KEY_NOT_FOUND',
+        'Signer key does not exist or is already retired.'
+      );
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'A2A_SIGNER_KEY_RETIRED',
+        key
+      }
+    };
+  }
+
+  async function listSignerKeys({ headers, method, path, correlationId, peerCertificate, query }) {
+    const authResult = await authenticateSignerAdmin(
+      { headers, method, path, correlationId, peerCertificate },
+      {}
+    );
+    if (!authResult.ok) {
+      return authResult;
+    }
+
+    const agentId = query?.agentId ? String(query.agentId).trim().toLowerCase() : null;
+    const keys = await signerKeyStore.listKeys({
+      agentId,
+      includeRetired: String(query?.includeRetired || '').toLowerCase() === 'true'
+    });
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'A2A_SIGNER_KEYS_LISTED',
+        keys
+      }
+    };
+  }
+
   function getAgentCard() {
     const baseUrl = '/v1/a2a';
     const authMetadata =
@@ -462,6 +692,9 @@ export function createA2aTaskService({
           apiVersion: 'v1',
           authentication: {
             scheme: signatureScheme,
+            supportedSchemes: Array.isArray(authMetadata.supportedSchemes)
+              ? authMetadata.supportedSchemes
+              : [signatureScheme],
             requiredHeaders: [
               'x-agent-id',
               'x-agent-timestamp',
@@ -469,15 +702,19 @@ export function createA2aTaskService({
               'x-agent-signature',
               'x-idempotency-key'
             ],
-            signerRegistrySize:
-              Number.isInteger(authMetadata.signerRegistrySize) ? authMetadata.signerRegistrySize : 0
+            signerRegistrySize: Number.isInteger(authMetadata.signerRegistrySize)
+              ? authMetadata.signerRegistrySize
+              : 0,
+            persistentSignerRegistry: Boolean(authMetadata.persistentSignerRegistry)
           },
           endpoints: {
             createTask: `${baseUrl}/tasks`,
             getTask: `${baseUrl}/tasks/{taskId}`,
             listTasks: `${baseUrl}/tasks`,
             agentCard: `${baseUrl}/agent-card`,
-            contracts: `${baseUrl}/contracts`
+            contracts: `${baseUrl}/contracts`,
+            signerKeys: `${baseUrl}/signers`,
+            retireSignerKey: `${baseUrl}/signers/retire`
           },
           supportedTaskTypes: [...SUPPORTED_TASK_TYPES]
         }
@@ -512,6 +749,9 @@ export function createA2aTaskService({
     createTask,
     getTask,
     listTasks,
+    registerSignerKey,
+    retireSignerKey,
+    listSignerKeys,
     getAgentCard,
     getContracts
   };
@@ -526,13 +766,22 @@ async function buildRuntimeA2aTaskService() {
     databaseAdapter
   });
   await a2aTaskStore.ensureInitialized();
-  const a2aAuthService = createA2aAuthService(runtimeConfig.a2a);
+  const signerKeyStore = createA2aSignerKeyStore({ databaseAdapter });
+  await signerKeyStore.ensureInitialized();
+  const a2aAuthService = createA2aAuthService(runtimeConfig.a2a, {
+    nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+      databaseAdapter,
+      scope: 'a2a'
+    }),
+    signerKeyStore
+  });
   const authMetadata =
     typeof a2aAuthService.getAuthMetadata === 'function' ? a2aAuthService.getAuthMetadata() : {};
 
   return createA2aTaskService({
     a2aAuthService,
     a2aTaskStore,
+    signerKeyStore,
     serviceMetadata: {
       serviceName: runtimeConfig.serviceName,
       version: runtimeConfig.version,
@@ -570,6 +819,7 @@ export async function handleA2aCreateTaskRequest(payload, context = {}, override
       method: context.method || 'POST',
       path: context.path || '/v1/a2a/tasks',
       correlationId: context.correlationId || null,
+      peerCertificate: context.peerCertificate || null,
       payload
     });
   } catch (error) {
@@ -585,6 +835,7 @@ export async function handleA2aGetTaskRequest(taskId, context = {}, overrides =
       method: context.method || 'GET',
       path: context.path || `/v1/a2a/tasks/${taskId}`,
       correlationId: context.correlationId || null,
+      peerCertificate: context.peerCertificate || null,
       taskId
     });
   } catch (error) {
@@ -600,6 +851,55 @@ export async function handleA2aListTasksRequest(query = {}, context = {}, overri
       method: context.method || 'GET',
       path: context.path || '/v1/a2a/tasks',
       correlationId: context.correlationId || null,
+      peerCertificate: context.peerCertificate || null,
+      query
+    });
+  } catch (error) {
+    return serviceUnavailable(error?.message);
+  }
+}
+
+export async function handleA2aRegisterSignerKeyRequest(payload, context = {}, overrides = null) {
+  try {
+    const service = overrides?.a2aTaskService || (await getRuntimeA2aTaskService());
+    return await service.registerSignerKey({
+      headers: context.headers || {},
+      method: context.method || 'POST',
+      path: context.path || '/v1/a2a/signers',
+      correlationId: context.correlationId || null,
+      peerCertificate: context.peerCertificate || null,
+      payload
+    });
+  } catch (error) {
+    return serviceUnavailable(error?.message);
+  }
+}
+
+export async function handleA2aRetireSignerKeyRequest(payload, context = {}, overrides = null) {
+  try {
+    const service = overrides?.a2aTaskService || (await getRuntimeA2aTaskService());
+    return await service.retireSignerKey({
+      headers: context.headers || {},
+      method: context.method || 'POST',
+      path: context.path || '/v1/a2a/signers/retire',
+      correlationId: context.correlationId || null,
+      peerCertificate: context.peerCertificate || null,
+      payload
+    });
+  } catch (error) {
+    return serviceUnavailable(error?.message);
+  }
+}
+
+export async function handleA2aListSignerKeysRequest(query = {}, context = {}, overrides = null) {
+  try {
+    const service = overrides?.a2aTaskService || (await getRuntimeA2aTaskService());
+    return await service.listSignerKeys({
+      headers: context.headers || {},
+      method: context.method || 'GET',
+      path: context.path || '/v1/a2a/signers',
+      correlationId: context.correlationId || null,
+      peerCertificate: context.peerCertificate || null,
       query
     });
   } catch (error) {
@@ -341,9 +341,12 @@ export function createA2aTaskStore({ databaseAdapter }) {
     return findByTaskId(taskId.trim());
   }
 
+  // tenantId matches the tenant named in the task input and is applied before the limit.
   async function listTasks({
     requesterAgentId,
+    tenantId = null,
     status = null,
+    since = null,
     limit = 25
   }) {
     await ensureInitialized();
@@ -364,6 +367,22 @@ export function createA2aTaskStore({ databaseAdapter }) {
       values.push(normalizeStatus(status));
     }
 
+    if (isNonEmptyString(tenantId)) {
+      const placeholder = createPlaceholders(dialect, 1, values.length)[0];
+      const inputTenantId =
+        dialect === 'postgres'
+          ? `(input_json::jsonb ->> 'tenantId')`
+          : `json_extract(input_json, '$.tenantId')`;
+      conditions.push(`LOWER(TRIM(${inputTenantId})) = ${placeholder}`);
+      values.push(tenantId.trim().toLowerCase());
+    }
+
+    if (isNonEmptyString(since)) {
+      const placeholder = createPlaceholders(dialect, 1, values.length)[0];
+      conditions.push(`created_at >= ${placeholder}`);
+      values.push(since.trim());
+    }
+
     const limitPlaceholder = createPlaceholders(dialect, 1, values.length)[0];
     values.push(safeLimit);
 
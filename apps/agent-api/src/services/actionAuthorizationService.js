@@ -1,5 +1,7 @@
 import { OPERATION_TYPES, SCOPE_TYPES } from '@eigen-private-db-agent/shared-types';
-import { evaluatePolicyDecision } from './policyDecisionEngine.js';
+import { evaluateDelegationScope, summarizeDelegation } from './delegationService.js';
+import { consumeRequestUses, listDelegationUseLinks } from './delegationUseStore.js';
+import { evaluateColumnDecisions, evaluatePolicyDecision } from './policyDecisionEngine.js';
 
 const REQUEST_OPERATIONS = OPERATION_TYPES.filter((operation) => operation !== 'all');
 const FORBIDDEN_OVERRIDE_KEYS = Object.freeze([
@@ -88,7 +90,14 @@ function authorizationFailure(code, message, statusCode = 403, details = null) {
   };
 }
 
-export function createActionAuthorizationService({ grantStore, mutationAuthService }) {
+export function createActionAuthorizationService({
+  grantStore,
+  roleStore = null,
+  versionStore = null,
+  delegationUseStore = null,
+  mutationAuthService,
+  now = () => Date.now()
+}) {
   if (!grantStore) {
     throw new Error('grantStore is required.');
   }
@@ -106,7 +115,11 @@ export function createActionAuthorizationService({ grantStore, mutationAuthServi
     actionPayload,
     scopeType,
     scopeId,
-    operation
+    operation,
+    columns = null,
+    requestContext = null,
+    delegation = null,
+    cascadeScopes = []
   }) {
     const issues = [];
 
@@ -187,14 +200,16 @@ export function createActionAuthorizationService({ grantStore, mutationAuthServi
       actorWallet: actorWallet.trim().toLowerCase(),
       action: action.trim(),
       payload: actionPayload || {},
-      auth
+      auth,
+      delegation
     });
 
     if (!authResult.ok) {
       return authorizationFailure(
         authResult.code || 'AUTHENTICATION_FAILED',
         authResult.message || 'Authentication failed.',
-        authResult.statusCode || 401
+        authResult.statusCode || 401,
+        authResult.details || null
       );
     }
 
@@ -202,6 +217,13 @@ export function createActionAuthorizationService({ grantStore, mutationAuthServi
       tenantId: tenantId.trim().toLowerCase(),
       walletAddress: authResult.actorWallet
     });
+    const roleAssignments = roleStore
+      ? await roleStore.listActiveAssignments({
+          tenantId: tenantId.trim().toLowerCase(),
+          walletAddress: authResult.actorWallet
+        })
+      : [];
+    const evaluatedAt = now();
 
     const decisionResult = evaluatePolicyDecision({
       tenantId: tenantId.trim().toLowerCase(),
@@ -209,7 +231,10 @@ export function createActionAuthorizationService({ grantStore, mutationAuthServi
       scopeType: normalizedScopeType,
       scopeId: normalizedScopeId,
       operation: normalizedOperation,
-      grants
+      grants,
+      roleAssignments,
+      context: requestContext,
+      now: evaluatedAt
     });
 
     if (!decisionResult.ok) {
@@ -221,21 +246,188 @@ export function createActionAuthorizationService({ grantStore, mutationAuthServi
       );
     }
 
-    if (!decisionResult.decision.allowed) {
-      return authorizationFailure('POLICY_DENIED', decisionResult.decision.message, 403, {
-        decision: decisionResult.decision
+    let columnAccess = null;
+    if (Array.isArray(columns) && normalizedScopeType === 'table') {
+      const columnResult = evaluateColumnDecisions({
+        tenantId: tenantId.trim().toLowerCase(),
+        walletAddress: authResult.actorWallet,
+        tableName: normalizedScopeId,
+        operation: normalizedOperation,
+        columns,
+        grants,
+        roleAssignments,
+        context: requestContext,
+        now: evaluatedAt
       });
+
+      if (!columnResult.ok) {
+        return authorizationFailure(
+          columnResult.error.error || 'POLICY_DECISION_FAILED',
+          columnResult.error.message || 'Policy decision failed.',
+          400,
+          columnResult.error.details || null
+        );
+      }
+
+      columnAccess = columnResult.columnAccess;
+    }
+
+    const policyVersion = versionStore
+      ? await versionStore.getLatestVersion({ tenantId: tenantId.trim().toLowerCase() })
+      : null;
+    const tableDecision = {
+      ...decisionResult.decision,
+      ...(columnAccess ? { deniedColumns: columnAccess.deniedColumns } : {}),
+      ...(policyVersion ? { policyVersionHash: policyVersion.contentHash } : {})
+    };
+    // A delete removes whole rows, so column grants alone cannot allow it.
+    const columnScopeAllowed =
+      normalizedOperation !== 'delete' &&
+      Boolean(columnAccess && columnAccess.allowedColumns.length > 0);
+
+    if (!tableDecision.allowed && !columnScopeAllowed) {
+      return authorizationFailure('POLICY_DENIED', tableDecision.message, 403, {
+        decision: tableDecision
+      });
+    }
+
+    // Foreign key actions change rows in other tables, so each of those tables has to
+    // allow the cascaded operation as well. The database cascades across every child row
+    // without spending uses, so only unrestricted child grants can allow it.
+    for (const cascade of cascadeScopes) {
+      const cascadeResult = evaluatePolicyDecision({
+        tenantId: tenantId.trim().toLowerCase(),
+        walletAddress: authResult.actorWallet,
+        scopeType: 'table',
+        scopeId: cascade.tableName,
+        operation: cascade.operation,
+        grants,
+        roleAssignments,
+        context: requestContext,
+        now: evaluatedAt
+      });
+      const cascadeDecision = cascadeResult.ok ? cascadeResult.decision : null;
+      const restricted = Boolean(
+        cascadeDecision?.rowPredicate ||
+          (cascadeDecision?.matchedGrant && cascadeDecision.matchedGrant.maxUses !== null)
+      );
+      if (!cascadeDecision?.allowed || restricted) {
+        return authorizationFailure(
+          'CASCADE_POLICY_DENIED',
+          `Operation on '${normalizedScopeId}' would ${cascade.operation} rows in ` +
+            `'${cascade.tableName}', which is not allowed` +
+            (restricted ? ' by a row-scoped or usage-limited grant.' : '.'),
+          403,
+          {
+            decision: tableDecision,
+            cascade: {
+              ...cascade,
+              decision: cascadeDecision
+            }
+          }
+        );
+      }
+    }
+
+    // Policy runs as the root wallet; a delegated call must additionally stay inside the
+    // chain's scope. Its capped links are charged with the grant uses after validation.
+    if (authResult.delegation) {
+      const requestedScopes = [
+        {
+          scopeType: normalizedScopeType,
+          scopeId: normalizedScopeId,
+          operation: normalizedOperation
+        },
+        ...cascadeScopes.map((cascade) => ({
+          scopeType: 'table',
+          scopeId: cascade.tableName,
+          operation: cascade.operation
+        }))
+      ];
+      const delegationScope = requestedScopes
+        .map((scope) => evaluateDelegationScope(authResult.delegation, scope))
+        .find((result) => !result.allowed) || { allowed: true };
+      if (!delegationScope.allowed) {
+        return authorizationFailure(delegationScope.code, delegationScope.message, 403, {
+          delegation: summarizeDelegation(authResult.delegation)
+        });
+      }
     }
 
+    const isLimited = (grantId) =>
+      grants.some(
+        (grant) =>
+          grant.grantId === grantId && grant.maxUses !== null && grant.maxUses !== undefined
+      );
+    const grantUsage = {
+      tableGrantId:
+        tableDecision.allowed && isLimited(tableDecision.matchedGrant?.grantId)
+          ? tableDecision.matchedGrant.grantId
+          : null,
+      columnGrantIds: Object.fromEntries(
+        Object.entries(columnAccess?.decisions || {})
+          .filter(([, decision]) => decision.allowed && isLimited(decision.grantId))
+          .map(([column, decision]) => [column, decision.grantId])
+      )
+    };
+
     return {
       ok: true,
       actorWallet: authResult.actorWallet,
       signatureHash: authResult.signatureHash,
-      decision: decisionResult.decision
+      delegation: authResult.delegation ? summarizeDelegation(authResult.delegation) : null,
+      decision: tableDecision.allowed
+        ? tableDecision
+        : {
+            ...tableDecision,
+            allowed: true,
+            code: 'COLUMN_SCOPE_ALLOW',
+            message: 'Allowed for a subset of columns by column-level rules.'
+          },
+      columnAccess,
+      grantUsage,
+      delegationLinks: listDelegationUseLinks(authResult.delegation)
     };
   }
 
+  // Spends the usage-limited grants behind an authorization once the request has been
+  // validated: the table grant, the column grants of the columns it actually uses and the
+  // capped links of its delegation chain, all in one transaction.
+  async function consumeGrantUses({ tenantId, authorization, columns = [] }) {
+    const { tableGrantId, columnGrantIds } = authorization.grantUsage;
+    const grantIds = [
+      ...(tableGrantId ? [tableGrantId] : []),
+      ...columns.map((column) => columnGrantIds[column]).filter(Boolean)
+    ];
+    const consumed = await consumeRequestUses({
+      grantStore,
+      useStore: delegationUseStore,
+      tenantId: tenantId.trim().toLowerCase(),
+      grantIds,
+      delegationLinks: authorization.delegationLinks || []
+    });
+    if (consumed.ok) {
+      return { ok: true };
+    }
+
+    if (consumed.code !== 'GRANT_EXHAUSTED') {
+      return authorizationFailure(consumed.code, consumed.message, consumed.statusCode, {
+        delegation: authorization.delegation
+      });
+    }
+
+    return authorizationFailure('GRANT_EXHAUSTED', consumed.message, 403, {
+      decision: {
+        ...authorization.decision,
+        allowed: false,
+        code: 'GRANT_EXHAUSTED',
+        message: consumed.message
+      }
+    });
+  }
+
   return {
-    authorize
+    authorize,
+    consumeGrantUses
   };
 }
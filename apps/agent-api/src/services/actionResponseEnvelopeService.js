@@ -110,7 +110,10 @@ function normalizeDecisionEnvelope({ statusCode, body, decision }) {
     outcome,
     stage,
     code,
-    message
+    message,
+    ...(Array.isArray(sourceDecision?.deniedColumns) && sourceDecision.deniedColumns.length > 0
+      ? { deniedColumns: sourceDecision.deniedColumns }
+      : {})
   };
 }
 
@@ -151,7 +154,13 @@ function normalizeAuditPayload(payload, auditContext) {
     (typeof payload?.tableName === 'string' && payload.tableName.trim()) ||
     'unknown';
 
+  const tenantId =
+    (typeof auditContext?.tenantId === 'string' && auditContext.tenantId.trim()) ||
+    (typeof payload?.tenantId === 'string' && payload.tenantId.trim()) ||
+    null;
+
   return {
+    tenantId,
     requestId,
     capability,
     queryTemplate
@@ -182,6 +191,7 @@ export async function attachActionResponseEnvelope({
   execution = null,
   runtimeVerification = null,
   auditContext = null,
+  page = null,
   receiptService = createNoopReceiptService(),
   auditService = createNoopAuditService(),
   databaseDialect = 'unknown'
@@ -232,7 +242,8 @@ export async function attachActionResponseEnvelope({
     policy,
     execution,
     databaseDialect,
-    runtimeVerification
+    runtimeVerification,
+    page
   });
 
   let auditResult;
@@ -1,15 +1,31 @@
 function getInsertSqlByDialect(dialect) {
   if (dialect === 'postgres') {
     return `
-      INSERT INTO access_log (request_id, requester, capability, query_template, decision, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO access_log (
+        request_id,
+        requester,
+        capability,
+        query_template,
+        decision,
+        created_at,
+        tenant_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
     `;
   }
 
   if (dialect === 'sqlite') {
     return `
-      INSERT INTO access_log (request_id, requester, capability, query_template, decision, created_at)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO access_log (
+        request_id,
+        requester,
+        capability,
+        query_template,
+        decision,
+        created_at,
+        tenant_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `;
   }
 
@@ -51,7 +67,8 @@ export function createAuditService({ databaseAdapter, now = () => new Date() })
       safeString(payload?.capability, 'unknown'),
       safeString(payload?.queryTemplate, 'unknown'),
       normalizeDecision(decision),
-      now().toISOString()
+      now().toISOString(),
+      safeString(payload?.tenantId, null)?.toLowerCase() || null
     ];
 
     try {
@@ -75,7 +92,55 @@ export function createAuditService({ databaseAdapter, now = () => new Date() })
     }
   }
 
+  // Only decisions recorded for tenantId are returned; rows logged without a tenant never are.
+  async function listRecentDecisions({ tenantId, limit = 200, since = null } = {}) {
+    const safeTenantId = safeString(tenantId, null)?.toLowerCase();
+    if (!safeTenantId || !databaseAdapter || typeof databaseAdapter.execute !== 'function') {
+      return [];
+    }
+
+    const dialect = databaseAdapter.dialect;
+    if (!['postgres', 'sqlite'].includes(dialect)) {
+      return [];
+    }
+
+    const values = [safeTenantId];
+    const placeholder = () => (dialect === 'postgres' ? `$${values.length}` : '?');
+    let whereClause = `WHERE tenant_id = ${placeholder()}`;
+    if (safeString(since, null)) {
+      values.push(since.trim());
+      whereClause += ` AND created_at >= ${placeholder()}`;
+    }
+
+    values.push(limit);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      queryTemplate: 'internal_audit_log_recent',
+      sql: `
+        SELECT id, tenant_id, request_id, requester, capability, query_template, decision,
+          created_at
+        FROM access_log
+        ${whereClause}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${placeholder()}
+      `,
+      values
+    });
+
+    return (result.rows || []).map((row) => ({
+      id: String(row.id),
+      tenantId: row.tenant_id,
+      requestId: row.request_id,
+      requester: row.requester,
+      capability: row.capability,
+      queryTemplate: row.query_template,
+      decision: normalizeDecision(row.decision),
+      createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at
+    }));
+  }
+
   return {
-    recordDecision
+    recordDecision,
+    listRecentDecisions
   };
 }
@@ -0,0 +1,140 @@
+import { NonceStore } from './authService.js';
+
+export const NONCE_STORE_DRIVERS = Object.freeze(['database', 'memory']);
+
+const DEFAULT_PRUNE_INTERVAL_SECONDS = 60;
+
+function createPlaceholders(dialect, count, offset = 0) {
+  if (dialect === 'postgres') {
+    return Array.from({ length: count }, (_, index) => `$${index + 1 + offset}`);
+  }
+
+  return Array.from({ length: count }, () => '?');
+}
+
+// Same consume() contract as the in-memory NonceStore, but the (scope, requester, nonce)
+// key lives in the shared database so restarts and replicas see every consumed nonce.
+export function createDatabaseNonceStore({
+  databaseAdapter,
+  scope,
+  pruneIntervalSeconds = DEFAULT_PRUNE_INTERVAL_SECONDS
+}) {
+  if (!databaseAdapter || typeof databaseAdapter.execute !== 'function') {
+    throw new Error('databaseAdapter is required for database nonce store.');
+  }
+
+  const dialect = databaseAdapter.dialect;
+  if (!['sqlite', 'postgres'].includes(dialect)) {
+    throw new Error(`Unsupported database dialect '${dialect}' for database nonce store.`);
+  }
+
+  if (typeof scope !== 'string' || scope.trim().length === 0) {
+    throw new Error('scope is required for database nonce store.');
+  }
+
+  const pruneIntervalMs = pruneIntervalSeconds * 1000;
+  let initPromise = null;
+  let lastPrunedAtMs = null;
+
+  async function ensureInitialized() {
+    if (!initPromise) {
+      initPromise = initializeSchema().catch((error) => {
+        initPromise = null;
+        throw error;
+      });
+    }
+
+    return initPromise;
+  }
+
+  async function initializeSchema() {
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE TABLE IF NOT EXISTS auth_nonces (
+          scope TEXT NOT NULL,
+          requester TEXT NOT NULL,
+          nonce TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          PRIMARY KEY (scope, requester, nonce)
+        )
+      `,
+      values: []
+    });
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires_at
+        ON auth_nonces (expires_at)
+      `,
+      values: []
+    });
+  }
+
+  async function pruneExpired(nowMs) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, 1);
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql: `DELETE FROM auth_nonces WHERE expires_at <= ${params[0]}`,
+      values: [new Date(nowMs).toISOString()]
+    });
+    lastPrunedAtMs = nowMs;
+
+    return Number(result.rowCount || 0);
+  }
+
+  async function consume(requester, nonce, expiresAtMs, nowMs) {
+    await ensureInitialized();
+    if (lastPrunedAtMs === null || nowMs - lastPrunedAtMs >= pruneIntervalMs) {
+      await pruneExpired(nowMs);
+    }
+
+    // An expired row may still be present between prunes; it is reclaimed in place,
+    // while a live row makes the upsert a no-op and the nonce a replay.
+    const params = createPlaceholders(dialect, 5);
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        INSERT INTO auth_nonces (scope, requester, nonce, expires_at)
+        VALUES (${params[0]}, ${params[1]}, ${params[2]}, ${params[3]})
+        ON CONFLICT (scope, requester, nonce) DO UPDATE
+        SET expires_at = excluded.expires_at
+        WHERE auth_nonces.expires_at <= ${params[4]}
+      `,
+      values: [
+        scope,
+        requester.toLowerCase(),
+        nonce,
+        new Date(expiresAtMs).toISOString(),
+        new Date(nowMs).toISOString()
+      ]
+    });
+
+    return Number(result.rowCount || 0) > 0;
+  }
+
+  return {
+    ensureInitialized,
+    consume,
+    pruneExpired
+  };
+}
+
+export function createNonceStoreFromConfig(rawNonceStoreConfig = {}, { databaseAdapter, scope }) {
+  const driver = rawNonceStoreConfig.driver || 'memory';
+  if (driver === 'memory') {
+    return new NonceStore();
+  }
+
+  if (driver !== 'database') {
+    throw new Error(`Unsupported nonce store driver '${driver}'.`);
+  }
+
+  return createDatabaseNonceStore({
+    databaseAdapter,
+    scope,
+    pruneIntervalSeconds: rawNonceStoreConfig.pruneIntervalSeconds
+  });
+}
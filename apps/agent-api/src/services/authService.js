@@ -1,4 +1,16 @@
-import { getAddress, verifyMessage } from 'ethers';
+import { getAddress } from 'ethers';
+import { resolveSessionToken } from './authSessionStore.js';
+import {
+  createContractSignatureVerifierFromConfig,
+  verifyWalletSignature
+} from './contractSignatureService.js';
+import { verifyDelegationChain } from './delegationService.js';
+import {
+  AUTH_SCHEMES,
+  buildEip712Domain,
+  buildQueryTypedData,
+  resolveAuthScheme
+} from './eip712TypedData.js';
 
 const SIGNING_CONTEXT = 'PRIVATE_DB_AGENT_AUTH_V1';
 const DEFAULT_MAX_NONCE_ENTRIES = 50_000;
@@ -75,6 +87,14 @@ function validateAuthEnvelope(payload) {
     };
   }
 
+  if (!resolveAuthScheme(payload.auth)) {
+    return {
+      ok: false,
+      code: 'INVALID_AUTH_SCHEME',
+      message: `auth.scheme must be one of: ${AUTH_SCHEMES.join(', ')}.`
+    };
+  }
+
   return { ok: true };
 }
 
@@ -173,6 +193,8 @@ export function buildSignedMessage(payload) {
     capability: payload.capability,
     queryTemplate: payload.queryTemplate,
     queryParams: payload.queryParams || {},
+    ...(payload.cursor ? { cursor: payload.cursor } : {}),
+    ...(payload.chainId !== undefined ? { chainId: payload.chainId } : {}),
     nonce: payload.auth.nonce,
     signedAt: payload.auth.signedAt
   };
@@ -182,16 +204,72 @@ export function buildSignedMessage(payload) {
 
 export function createAuthService(
   rawAuthConfig = {},
-  { nonceStore = new NonceStore(), now = () => Date.now() } = {}
+  {
+    nonceStore = new NonceStore(),
+    now = () => Date.now(),
+    contractSignatureVerifier = createContractSignatureVerifierFromConfig(rawAuthConfig.eip1271),
+    sessionStore = null
+  } = {}
 ) {
   const authConfig = {
     enabled: rawAuthConfig.enabled !== undefined ? Boolean(rawAuthConfig.enabled) : true,
     nonceTtlSeconds: rawAuthConfig.nonceTtlSeconds || DEFAULT_NONCE_TTL_SECONDS,
     maxFutureSkewSeconds:
-      rawAuthConfig.maxFutureSkewSeconds || DEFAULT_MAX_FUTURE_SKEW_SECONDS
+      rawAuthConfig.maxFutureSkewSeconds || DEFAULT_MAX_FUTURE_SKEW_SECONDS,
+    eip712Domain: buildEip712Domain(rawAuthConfig.eip712)
   };
 
-  async function authenticate(payload) {
+  async function authenticateSession(payload, requester, bearerToken) {
+    if (!sessionStore) {
+      return {
+        ok: false,
+        code: 'SESSIONS_NOT_CONFIGURED',
+        message: 'Bearer sessions are not enabled on this service.'
+      };
+    }
+
+    if (payload.auth !== undefined && payload.auth !== null) {
+      return {
+        ok: false,
+        code: 'AMBIGUOUS_CREDENTIALS',
+        message: 'Send either a bearer session or a signed auth envelope, not both.'
+      };
+    }
+
+    const resolved = await resolveSessionToken({ sessionStore, token: bearerToken, nowMs: now() });
+    if (!resolved.ok) {
+      return resolved;
+    }
+
+    const { session } = resolved;
+    const tenantId =
+      typeof payload.tenantId === 'string' ? payload.tenantId.trim().toLowerCase() : '';
+    if (session.walletAddress !== requester.toLowerCase() || session.tenantId !== tenantId) {
+      return {
+        ok: false,
+        code: 'SESSION_SCOPE_MISMATCH',
+        message: 'Session is not bound to this requester and tenant.'
+      };
+    }
+
+    if (session.capabilities.length > 0 && !session.capabilities.includes(payload.capability)) {
+      return {
+        ok: false,
+        code: 'SESSION_SCOPE_MISMATCH',
+        message: `Session does not cover capability '${payload.capability}'.`
+      };
+    }
+
+    return {
+      ok: true,
+      requester,
+      scheme: 'session',
+      sessionId: session.sessionId,
+      sessionExpiresAt: session.expiresAt
+    };
+  }
+
+  async function authenticate(payload, { bearerToken = null } = {}) {
     const requester = normalizeAddress(payload.requester);
     if (!requester) {
       return {
@@ -201,14 +279,49 @@ export function createAuthService(
       };
     }
 
+    const hasDelegation = payload.delegation !== undefined && payload.delegation !== null;
+    if (bearerToken && hasDelegation) {
+      return {
+        ok: false,
+        code: 'AMBIGUOUS_CREDENTIALS',
+        message: 'Bearer sessions cannot be combined with a delegation chain.'
+      };
+    }
+
+    // requester stays the root wallet; the leaf delegate key signs the request.
+    let delegation = null;
+    if (hasDelegation) {
+      const verified = await verifyDelegationChain({
+        chain: payload.delegation,
+        principal: requester,
+        tenantId: typeof payload.tenantId === 'string' ? payload.tenantId.trim().toLowerCase() : '',
+        domain: authConfig.eip712Domain,
+        nowMs: now(),
+        contractSignatureVerifier
+      });
+      if (!verified.ok) {
+        return {
+          ok: false,
+          code: verified.code,
+          message: verified.message
+        };
+      }
+      delegation = verified;
+    }
+
     if (!authConfig.enabled) {
       return {
         ok: true,
         requester,
-        authBypassed: true
+        authBypassed: true,
+        ...(delegation ? { delegation } : {})
       };
     }
 
+    if (bearerToken) {
+      return authenticateSession(payload, requester, bearerToken);
+    }
+
     const envelopeValidation = validateAuthEnvelope(payload);
     if (!envelopeValidation.ok) {
       return envelopeValidation;
@@ -225,30 +338,48 @@ export function createAuthService(
       return freshness;
     }
 
-    const signedMessage = buildSignedMessage({ ...payload, requester });
-
-    let recoveredAddress;
-    try {
-      recoveredAddress = verifyMessage(signedMessage, payload.auth.signature);
-    } catch {
-      return {
-        ok: false,
-        code: 'INVALID_SIGNATURE_FORMAT',
-        message: 'auth.signature is not a valid wallet signature.'
-      };
-    }
+    const scheme = resolveAuthScheme(payload.auth);
+    const signedMessage =
+      scheme === 'eip712' ? null : buildSignedMessage({ ...payload, requester });
+    const signedTypedData =
+      scheme === 'eip712'
+        ? buildQueryTypedData({ ...payload, requester }, authConfig.eip712Domain)
+        : null;
+
+    const signerAddress = delegation ? delegation.delegate : requester;
+    const signatureCheck = await verifyWalletSignature({
+      address: signerAddress,
+      signedMessage,
+      signedTypedData,
+      signature: payload.auth.signature,
+      contractSignatureVerifier
+    });
+    if (!signatureCheck.valid) {
+      if (signatureCheck.reason === 'unavailable') {
+        return {
+          ok: false,
+          code: 'CONTRACT_SIGNATURE_UNAVAILABLE',
+          message: `Unable to verify contract wallet signature: ${signatureCheck.message}`
+        };
+      }
 
-    const normalizedRecovered = normalizeAddress(recoveredAddress);
-    if (normalizedRecovered !== requester) {
-      return {
-        ok: false,
-        code: 'SIGNER_MISMATCH',
-        message: 'Signature does not match requester address.'
-      };
+      return signatureCheck.reason === 'format'
+        ? {
+            ok: false,
+            code: 'INVALID_SIGNATURE_FORMAT',
+            message: 'auth.signature is not a valid wallet signature.'
+          }
+        : {
+            ok: false,
+            code: 'SIGNER_MISMATCH',
+            message: delegation
+              ? 'Signature does not match the delegate key of the delegation chain.'
+              : 'Signature does not match requester address.'
+          };
     }
 
-    const nonceAccepted = nonceStore.consume(
-      requester,
+    const nonceAccepted = await nonceStore.consume(
+      signerAddress,
       payload.auth.nonce,
       freshness.expiresAtMs,
       nowMs
@@ -267,7 +398,10 @@ export function createAuthService(
       requester,
       signedAt: payload.auth.signedAt,
       nonce: payload.auth.nonce,
-      signedMessage
+      scheme,
+      signatureType: signatureCheck.signatureType,
+      ...(delegation ? { delegation } : {}),
+      ...(signedTypedData ? { signedTypedData } : { signedMessage })
     };
   }
 
@@ -0,0 +1,569 @@
+import { WALLET_ADDRESS_PATTERN } from '@eigen-private-db-agent/shared-types';
+import { loadConfig } from '../config.js';
+import { createDatabaseAdapter } from '../db/databaseAdapterFactory.js';
+import {
+  attachActionResponseEnvelope,
+  createNoopAuditService
+} from './actionResponseEnvelopeService.js';
+import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
+import {
+  createAuthSessionStore,
+  hashSessionToken,
+  issueSessionToken,
+  resolveSessionToken
+} from './authSessionStore.js';
+import {
+  createContractSignatureVerifierFromConfig,
+  verifyWalletSignature
+} from './contractSignatureService.js';
+import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
+import { createReceiptService } from './receiptService.js';
+import { parseSiweMessage, resolveSiweSessionScope } from './siweMessage.js';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const DEFAULT_SESSION_TTL_SECONDS = 900;
+const DEFAULT_NONCE_TTL_SECONDS = 300;
+const DEFAULT_MAX_FUTURE_SKEW_SECONDS = 60;
+const MAX_SESSION_CAPABILITIES = 50;
+const walletRegex = new RegExp(WALLET_ADDRESS_PATTERN);
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function validationError(message, issues = []) {
+  return {
+    statusCode: 400,
+    body: {
+      error: 'VALIDATION_ERROR',
+      message,
+      details: {
+        issues
+      }
+    }
+  };
+}
+
+function serviceError(code, message, statusCode, details = null) {
+  return {
+    statusCode,
+    body: {
+      error: code,
+      message,
+      ...(details ? { details } : {})
+    }
+  };
+}
+
+function normalizeTenantId(rawTenantId) {
+  if (!isNonEmptyString(rawTenantId)) {
+    return null;
+  }
+
+  const normalized = rawTenantId.trim().toLowerCase();
+  return TENANT_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+function normalizeWalletAddress(rawWalletAddress) {
+  if (!isNonEmptyString(rawWalletAddress)) {
+    return null;
+  }
+
+  const normalized = rawWalletAddress.trim().toLowerCase();
+  return walletRegex.test(normalized) ? normalized : null;
+}
+
+function normalizeSessionScope(resources, issues) {
+  const scope = resolveSiweSessionScope(resources);
+  const tenantId = scope.tenantIds.length === 1 ? normalizeTenantId(scope.tenantIds[0]) : null;
+  if (!tenantId) {
+    issues.push({
+      path: 'message.resources',
+      code: 'invalid_session_tenant',
+      message: 'Resources must name exactly one tenant as urn:private-db-agent:tenant:<tenantId>.'
+    });
+  }
+
+  if (
+    scope.capabilities.length > MAX_SESSION_CAPABILITIES ||
+    scope.capabilities.some((capability) => !isNonEmptyString(capability))
+  ) {
+    issues.push({
+      path: 'message.resources',
+      code: 'invalid_session_capabilities',
+      message: `Resources may list up to ${MAX_SESSION_CAPABILITIES} non-empty capabilities.`
+    });
+  }
+
+  return { tenantId, capabilities: scope.capabilities };
+}
+
+// The message must name this deployment: its domain, a URI on that domain and the chain
+// that signed requests are bound to. Without a configured domain, sign-in only works where
+// the deployment explicitly allows any domain (development).
+function validateSiweBinding(siwe, sessionConfig) {
+  if (!sessionConfig.domain && !sessionConfig.allowAnyDomain) {
+    return serviceError(
+      'SIWE_DOMAIN_NOT_CONFIGURED',
+      'Sign-in is unavailable until AUTH_SESSION_DOMAIN is configured.',
+      503
+    );
+  }
+
+  if (sessionConfig.domain) {
+    if (siwe.domain.toLowerCase() !== sessionConfig.domain) {
+      return serviceError(
+        'SIWE_DOMAIN_MISMATCH',
+        `Sign-in message must be issued for domain '${sessionConfig.domain}'.`,
+        401
+      );
+    }
+
+    let uriHost = null;
+    try {
+      uriHost = new URL(siwe.uri).host;
+    } catch {
+      uriHost = null;
+    }
+    if (uriHost !== sessionConfig.domain) {
+      return serviceError(
+        'SIWE_URI_MISMATCH',
+        `Sign-in message URI must be on domain '${sessionConfig.domain}'.`,
+        401
+      );
+    }
+  }
+
+  if (sessionConfig.chainId !== null && siwe.chainId !== sessionConfig.chainId) {
+    return serviceError(
+      'SIWE_CHAIN_MISMATCH',
+      `Sign-in message must be issued for chain ${sessionConfig.chainId}.`,
+      401
+    );
+  }
+
+  return null;
+}
+
+function validateSiweTiming(siwe, nowMs, sessionConfig) {
+  const issuedAtMs = Date.parse(siwe.issuedAt);
+  if (issuedAtMs - nowMs > sessionConfig.maxFutureSkewSeconds * 1000) {
+    return serviceError('SIWE_MESSAGE_NOT_YET_VALID', 'Issued At is too far in the future.', 401);
+  }
+
+  if (nowMs - issuedAtMs > sessionConfig.nonceTtlSeconds * 1000) {
+    return serviceError('SIWE_MESSAGE_STALE', 'Issued At is outside the accepted window.', 401);
+  }
+
+  if (
+    siwe.notBefore &&
+    Date.parse(siwe.notBefore) - nowMs > sessionConfig.maxFutureSkewSeconds * 1000
+  ) {
+    return serviceError('SIWE_MESSAGE_NOT_YET_VALID', 'Not Before has not been reached.', 401);
+  }
+
+  if (siwe.expirationTime && Date.parse(siwe.expirationTime) <= nowMs) {
+    return serviceError('SIWE_MESSAGE_EXPIRED', 'Expiration Time has passed.', 401);
+  }
+
+  return null;
+}
+
+function signatureFailure(signatureCheck) {
+  if (signatureCheck.reason === 'unavailable') {
+    return serviceError(
+      'CONTRACT_SIGNATURE_UNAVAILABLE',
+      `Unable to verify contract wallet signature: ${signatureCheck.message}`,
+      503
+    );
+  }
+
+  return signatureCheck.reason === 'format'
+    ? serviceError('INVALID_SIGNATURE_FORMAT', 'signature is not a valid wallet signature.', 401)
+    : serviceError('SIGNER_MISMATCH', 'Signature does not match the message address.', 401);
+}
+
+function summarizeSession(session) {
+  return {
+    sessionId: session.sessionId,
+    tenantId: session.tenantId,
+    walletAddress: session.walletAddress,
+    capabilities: session.capabilities,
+    chainId: session.chainId,
+    issuedAt: session.issuedAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+export function createAuthSessionService({
+  sessionStore,
+  mutationAuthService,
+  contractSignatureVerifier = null,
+  sessionConfig = {},
+  now = () => Date.now()
+}) {
+  const safeSessionConfig = {
+    domain: isNonEmptyString(sessionConfig.domain)
+      ? sessionConfig.domain.trim().toLowerCase()
+      : null,
+    allowAnyDomain: sessionConfig.allowAnyDomain === true,
+    chainId: Number.isSafeInteger(sessionConfig.chainId) ? sessionConfig.chainId : null,
+    ttlSeconds: sessionConfig.ttlSeconds || DEFAULT_SESSION_TTL_SECONDS,
+    nonceTtlSeconds: sessionConfig.nonceTtlSeconds || DEFAULT_NONCE_TTL_SECONDS,
+    maxFutureSkewSeconds: sessionConfig.maxFutureSkewSeconds || DEFAULT_MAX_FUTURE_SKEW_SECONDS
+  };
+
+  async function createSession(payload) {
+    const issues = [];
+    if (!isNonEmptyString(payload?.message)) {
+      issues.push({
+        path: 'message',
+        code: 'required',
+        message: 'message must be an EIP-4361 sign-in message.'
+      });
+    }
+    if (!isNonEmptyString(payload?.signature)) {
+      issues.push({ path: 'signature', code: 'required', message: 'signature is required.' });
+    }
+    if (issues.length > 0) {
+      return validationError('Invalid session request.', issues);
+    }
+
+    const parsed = parseSiweMessage(payload.message);
+    if (!parsed.ok) {
+      return validationError('Invalid session request.', [
+        { path: 'message', code: 'invalid_siwe_message', message: parsed.message }
+      ]);
+    }
+
+    const siwe = parsed.message;
+    const scope = normalizeSessionScope(siwe.resources, issues);
+    if (issues.length > 0) {
+      return validationError('Invalid session request.', issues);
+    }
+
+    const bindingError = validateSiweBinding(siwe, safeSessionConfig);
+    if (bindingError) {
+      return bindingError;
+    }
+
+    const nowMs = now();
+    const timingError = validateSiweTiming(siwe, nowMs, safeSessionConfig);
+    if (timingError) {
+      return timingError;
+    }
+
+    const signatureCheck = await verifyWalletSignature({
+      address: siwe.address,
+      signedMessage: payload.message,
+      signature: payload.signature,
+      contractSignatureVerifier
+    });
+    if (!signatureCheck.valid) {
+      return signatureFailure(signatureCheck);
+    }
+
+    const expiresAtMs = Math.min(
+      nowMs + safeSessionConfig.ttlSeconds * 1000,
+      siwe.expirationTime ? Date.parse(siwe.expirationTime) : Number.POSITIVE_INFINITY
+    );
+    const token = issueSessionToken();
+    const session = await sessionStore.createSession({
+      tokenHash: hashSessionToken(token),
+      tenantId: scope.tenantId,
+      walletAddress: siwe.address,
+      capabilities: scope.capabilities,
+      domain: siwe.domain,
+      nonce: siwe.nonce,
+      chainId: siwe.chainId,
+      issuedAt: new Date(nowMs).toISOString(),
+      expiresAt: new Date(expiresAtMs).toISOString()
+    });
+    if (!session) {
+      return serviceError('NONCE_REPLAY', 'Sign-in nonce has already been used.', 401);
+    }
+
+    return {
+      statusCode: 201,
+      body: {
+        code: 'SESSION_CREATED',
+        tokenType: 'Bearer',
+        token,
+        signatureType: signatureCheck.signatureType,
+        session: summarizeSession(session)
+      }
+    };
+  }
+
+  // A bearer holder can end its own session; a wallet signature ends one or all of that
+  // wallet's sessions in the tenant, which covers a leaked token.
+  async function revokeSession(payload, { bearerToken = null } = {}) {
+    const revokedAt = new Date(now()).toISOString();
+
+    if (bearerToken && !payload?.auth) {
+      const resolved = await resolveSessionToken({
+        sessionStore,
+        token: bearerToken,
+        nowMs: now()
+      });
+      if (!resolved.ok) {
+        return serviceError(resolved.code, resolved.message, 401);
+      }
+
+      const { session } = resolved;
+      await sessionStore.revokeSessions({
+        tenantId: session.tenantId,
+        walletAddress: session.walletAddress,
+        sessionId: session.sessionId,
+        revokedBy: session.walletAddress,
+        revokedAt
+      });
+
+      return {
+        statusCode: 200,
+        body: {
+          code: 'SESSION_REVOKED',
+          tenantId: session.tenantId,
+          walletAddress: session.walletAddress,
+          sessionId: session.sessionId,
+          revokedCount: 1
+        }
+      };
+    }
+
+    const issues = [];
+    const tenantId = normalizeTenantId(payload?.tenantId);
+    if (!tenantId) {
+      issues.push({
+        path: 'tenantId',
+        code: 'invalid_tenant_id',
+        message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+      });
+    }
+    const requestId = isNonEmptyString(payload?.requestId) ? payload.requestId.trim() : null;
+    if (!requestId) {
+      issues.push({ path: 'requestId', code: 'required', message: 'requestId is required.' });
+    }
+    const actorWallet = normalizeWalletAddress(payload?.actorWallet);
+    if (!actorWallet) {
+      issues.push({
+        path: 'actorWallet',
+        code: 'invalid_wallet',
+        message: 'actorWallet must be a valid EVM wallet address.'
+      });
+    }
+    if (payload?.sessionId !== undefined && !isNonEmptyString(payload.sessionId)) {
+      issues.push({
+        path: 'sessionId',
+        code: 'invalid_session_id',
+        message: 'sessionId must be a non-empty string when provided.'
+      });
+    }
+    if (issues.length > 0) {
+      return validationError('Invalid session revocation payload.', issues);
+    }
+
+    const sessionId = isNonEmptyString(payload.sessionId) ? payload.sessionId.trim() : null;
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action: 'session:revoke',
+      payload: { sessionId },
+      auth: payload.auth
+    });
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const revokedCount = await sessionStore.revokeSessions({
+      tenantId,
+      walletAddress: authResult.actorWallet,
+      sessionId,
+      revokedBy: authResult.actorWallet,
+      revokedAt
+    });
+    if (sessionId && revokedCount === 0) {
+      return serviceError(
+        'SESSION_NOT_FOUND',
+        'No open session with that id for this wallet.',
+        404
+      );
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'SESSION_REVOKED',
+        tenantId,
+        walletAddress: authResult.actorWallet,
+        sessionId,
+        revokedCount
+      }
+    };
+  }
+
+  return {
+    createSession,
+    revokeSession
+  };
+}
+
+const runtimeConfig = loadConfig();
+const runtimeMetadata = {
+  serviceName: runtimeConfig.serviceName,
+  version: runtimeConfig.version,
+  nodeEnv: runtimeConfig.nodeEnv
+};
+const defaultReceiptService = createReceiptService(runtimeConfig.proof, runtimeMetadata);
+const defaultAuditService = createNoopAuditService();
+let runtimeAuthSessionServicePromise = null;
+
+async function buildRuntimeAuthSessionService() {
+  const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
+  const sessionStore = createAuthSessionStore({ databaseAdapter });
+  await sessionStore.ensureInitialized();
+
+  return {
+    service: createAuthSessionService({
+      sessionStore,
+      mutationAuthService: createPolicyMutationAuthService(
+        {
+          ...runtimeConfig.auth,
+          enabled: true
+        },
+        {
+          nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+            databaseAdapter,
+            scope: 'mutation'
+          })
+        }
+      ),
+      contractSignatureVerifier: createContractSignatureVerifierFromConfig(
+        runtimeConfig.auth.eip1271
+      ),
+      sessionConfig: {
+        ...runtimeConfig.auth.session,
+        allowAnyDomain: ['development', 'test'].includes(runtimeConfig.nodeEnv),
+        chainId: runtimeConfig.auth.eip712.chainId,
+        nonceTtlSeconds: runtimeConfig.auth.nonceTtlSeconds,
+        maxFutureSkewSeconds: runtimeConfig.auth.maxFutureSkewSeconds
+      }
+    }),
+    databaseDialect: databaseAdapter.dialect || 'unknown',
+    receiptService: defaultReceiptService,
+    auditService: createAuditService({ databaseAdapter })
+  };
+}
+
+async function getRuntimeAuthSessionService() {
+  if (!runtimeAuthSessionServicePromise) {
+    runtimeAuthSessionServicePromise = buildRuntimeAuthSessionService().catch((error) => {
+      runtimeAuthSessionServicePromise = null;
+      throw error;
+    });
+  }
+
+  return runtimeAuthSessionServicePromise;
+}
+
+async function attachAuthSessionEnvelope({
+  payload,
+  result,
+  action,
+  databaseDialect = 'unknown',
+  receiptService = defaultReceiptService,
+  auditService = defaultAuditService
+}) {
+  const session = result?.body?.session || null;
+  const requester =
+    session?.walletAddress || result?.body?.walletAddress || payload?.actorWallet || null;
+  const succeeded = Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false;
+
+  return attachActionResponseEnvelope({
+    payload,
+    result,
+    auth: {
+      ok: succeeded,
+      requester,
+      code: result?.body?.error || result?.body?.code || null,
+      sessionId: session?.sessionId || result?.body?.sessionId || null
+    },
+    execution: {
+      ok: succeeded,
+      code: result?.body?.code || result?.body?.error || null,
+      data: {
+        rowCount: session ? 1 : result?.body?.revokedCount || 0
+      }
+    },
+    auditContext: {
+      action,
+      resource: session?.tenantId || result?.body?.tenantId || payload?.tenantId || 'unknown',
+      requester
+    },
+    receiptService,
+    auditService,
+    databaseDialect
+  });
+}
+
+async function runAuthSessionAction({ action, method, payload, context, overrides }) {
+  try {
+    const runtimeContext = overrides?.authSessionService
+      ? {
+          service: overrides.authSessionService,
+          databaseDialect: overrides.databaseDialect || 'unknown',
+          receiptService: overrides.receiptService || defaultReceiptService,
+          auditService: overrides.auditService || defaultAuditService
+        }
+      : await getRuntimeAuthSessionService();
+    const result = await runtimeContext.service[method](payload, context);
+
+    return attachAuthSessionEnvelope({
+      payload,
+      result,
+      action,
+      databaseDialect: runtimeContext.databaseDialect,
+      receiptService: runtimeContext.receiptService,
+      auditService: runtimeContext.auditService
+    });
+  } catch (error) {
+    return attachAuthSessionEnvelope({
+      payload,
+      result: serviceError(
+        'SERVICE_UNAVAILABLE',
+        error?.message || 'Auth session service failed to initialize database adapter.',
+        503
+      ),
+      action,
+      databaseDialect: overrides?.databaseDialect || 'unknown',
+      receiptService: overrides?.receiptService || defaultReceiptService,
+      auditService: overrides?.auditService || defaultAuditService
+    });
+  }
+}
+
+export async function handleCreateAuthSessionRequest(payload, overrides = null) {
+  return runAuthSessionAction({
+    action: 'auth:session:create',
+    method: 'createSession',
+    payload,
+    context: undefined,
+    overrides
+  });
+}
+
+export async function handleRevokeAuthSessionRequest(
+  payload,
+  overrides = null,
+  context = { bearerToken: null }
+) {
+  return runAuthSessionAction({
+    action: 'auth:session:revoke',
+    method: 'revokeSession',
+    payload,
+    context,
+    overrides
+  });
+}
@@ -0,0 +1,263 @@
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+
+const SESSION_TOKEN_PREFIX = 'pdas_';
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function createPlaceholders(dialect, count, offset = 0) {
+  if (dialect === 'postgres') {
+    return Array.from({ length: count }, (_, index) => `$${index + 1 + offset}`);
+  }
+
+  return Array.from({ length: count }, () => '?');
+}
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+export function issueSessionToken() {
+  return `${SESSION_TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+}
+
+// Only the hash of a bearer token is persisted; the token itself is returned once.
+export function hashSessionToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+export async function resolveSessionToken({ sessionStore, token, nowMs }) {
+  if (!isNonEmptyString(token)) {
+    return { ok: false, code: 'SESSION_NOT_FOUND', message: 'Session token is missing.' };
+  }
+
+  const session = await sessionStore.getSessionByTokenHash({ tokenHash: hashSessionToken(token) });
+  if (!session) {
+    return { ok: false, code: 'SESSION_NOT_FOUND', message: 'Session token is not recognised.' };
+  }
+
+  if (session.revokedAt) {
+    return { ok: false, code: 'SESSION_REVOKED', message: 'Session has been revoked.' };
+  }
+
+  if (Date.parse(session.expiresAt) <= nowMs) {
+    return { ok: false, code: 'SESSION_EXPIRED', message: 'Session has expired.' };
+  }
+
+  return { ok: true, session };
+}
+
+function toCamelCaseSession(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    sessionId: row.session_id,
+    tenantId: row.tenant_id,
+    walletAddress: row.wallet_address,
+    capabilities: parseJson(row.capabilities_json, []),
+    domain: row.siwe_domain,
+    chainId: Number(row.chain_id),
+    issuedAt: row.issued_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at || null,
+    revokedBy: row.revoked_by || null
+  };
+}
+
+export function createAuthSessionStore({ databaseAdapter }) {
+  if (!databaseAdapter || typeof databaseAdapter.execute !== 'function') {
+    throw new Error('databaseAdapter is required for auth session store.');
+  }
+
+  const dialect = databaseAdapter.dialect;
+  if (!['sqlite', 'postgres'].includes(dialect)) {
+    throw new Error(`Unsupported database dialect '${dialect}' for auth session store.`);
+  }
+
+  let initPromise = null;
+
+  async function ensureInitialized() {
+    if (!initPromise) {
+      initPromise = initializeSchema().catch((error) => {
+        initPromise = null;
+        throw error;
+      });
+    }
+
+    return initPromise;
+  }
+
+  async function initializeSchema() {
+    const statements = [
+      `
+        CREATE TABLE IF NOT EXISTS auth_sessions (
+          session_id TEXT PRIMARY KEY,
+          token_hash TEXT NOT NULL UNIQUE,
+          tenant_id TEXT NOT NULL,
+          wallet_address TEXT NOT NULL,
+          capabilities_json TEXT NOT NULL,
+          siwe_domain TEXT NOT NULL,
+          siwe_nonce TEXT NOT NULL,
+          chain_id INTEGER NOT NULL,
+          issued_at TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          revoked_at TEXT,
+          revoked_by TEXT
+        )
+      `,
+      `
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_sessions_wallet_nonce
+        ON auth_sessions (wallet_address, siwe_nonce)
+      `,
+      `
+        CREATE INDEX IF NOT EXISTS idx_auth_sessions_tenant_wallet
+        ON auth_sessions (tenant_id, wallet_address)
+      `
+    ];
+
+    for (const sql of statements) {
+      await databaseAdapter.execute({ mode: 'write', sql, values: [] });
+    }
+  }
+
+  // Returns null when the SIWE nonce was already spent by this wallet.
+  async function createSession({
+    tokenHash,
+    tenantId,
+    walletAddress,
+    capabilities = [],
+    domain,
+    nonce,
+    chainId,
+    issuedAt,
+    expiresAt
+  }) {
+    await ensureInitialized();
+    if (!isNonEmptyString(tenantId)) {
+      throw new Error('tenantId is required.');
+    }
+
+    const sessionId = randomUUID();
+    const params = createPlaceholders(dialect, 10);
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        INSERT INTO auth_sessions (
+          session_id,
+          token_hash,
+          tenant_id,
+          wallet_address,
+          capabilities_json,
+          siwe_domain,
+          siwe_nonce,
+          chain_id,
+          issued_at,
+          expires_at
+        )
+        VALUES (${params.join(', ')})
+        ON CONFLICT (wallet_address, siwe_nonce) DO NOTHING
+      `,
+      values: [
+        sessionId,
+        tokenHash,
+        tenantId.trim(),
+        walletAddress.trim().toLowerCase(),
+        JSON.stringify(capabilities),
+        domain,
+        nonce,
+        chainId,
+        issuedAt,
+        expiresAt
+      ]
+    });
+
+    if (Number(result.rowCount || 0) === 0) {
+      return null;
+    }
+
+    return getSession({ sessionId });
+  }
+
+  async function getSession({ sessionId }) {
+    await ensureInitialized();
+    const [sessionParam] = createPlaceholders(dialect, 1);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM auth_sessions
+        WHERE session_id = ${sessionParam}
+        LIMIT 1
+      `,
+      values: [sessionId]
+    });
+
+    return toCamelCaseSession(result.rows?.[0] || null);
+  }
+
+  async function getSessionByTokenHash({ tokenHash }) {
+    await ensureInitialized();
+    const [tokenParam] = createPlaceholders(dialect, 1);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM auth_sessions
+        WHERE token_hash = ${tokenParam}
+        LIMIT 1
+      `,
+      values: [tokenHash]
+    });
+
+    return toCamelCaseSession(result.rows?.[0] || null);
+  }
+
+  // Revokes one session, or every open session of the wallet when sessionId is omitted.
+  async function revokeSessions({
+    tenantId,
+    walletAddress,
+    sessionId = null,
+    revokedBy,
+    revokedAt
+  }) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, sessionId ? 6 : 5);
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        UPDATE auth_sessions
+        SET revoked_at = ${params[0]}, revoked_by = ${params[1]}
+        WHERE tenant_id = ${params[2]}
+          AND wallet_address = ${params[3]}
+          AND revoked_at IS NULL
+          AND expires_at > ${params[4]}
+          ${sessionId ? `AND session_id = ${params[5]}` : ''}
+      `,
+      values: [
+        revokedAt,
+        revokedBy.trim().toLowerCase(),
+        tenantId.trim(),
+        walletAddress.trim().toLowerCase(),
+        revokedAt,
+        ...(sessionId ? [sessionId] : [])
+      ]
+    });
+
+    return Number(result.rowCount || 0);
+  }
+
+  return {
+    ensureInitialized,
+    createSession,
+    getSession,
+    getSessionByTokenHash,
+    revokeSessions
+  };
+}
@@ -0,0 +1,96 @@
+const DEFAULT_RPC_TIMEOUT_MS = 5000;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function chainReaderError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Minimal read-only view of a chain. Anything exposing getCode/call can stand in for
+// the JSON-RPC reader (tests, alternative providers).
+export function createJsonRpcChainReader({
+  rpcUrl,
+  timeoutMs = DEFAULT_RPC_TIMEOUT_MS,
+  fetchImpl = globalThis.fetch
+}) {
+  if (!isNonEmptyString(rpcUrl)) {
+    throw new Error('rpcUrl is required for JSON-RPC chain reader.');
+  }
+
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('Runtime does not provide fetch() for JSON-RPC chain reader.');
+  }
+
+  let requestCounter = 0;
+
+  async function request(method, params) {
+    requestCounter += 1;
+    let response;
+    try {
+      response = await fetchImpl(rpcUrl, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          accept: 'application/json'
+        },
+        body: JSON.stringify({ jsonrpc: '2.0', id: requestCounter, method, params }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw chainReaderError(
+        'CHAIN_READER_UNREACHABLE',
+        error?.message || 'Unable to reach JSON-RPC endpoint.'
+      );
+    }
+
+    if (!response.ok) {
+      throw chainReaderError(
+        'CHAIN_READER_REJECTED',
+        `JSON-RPC endpoint returned status ${response.status}.`
+      );
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!body || typeof body !== 'object') {
+      throw chainReaderError('CHAIN_READER_INVALID_RESPONSE', 'JSON-RPC response was not JSON.');
+    }
+
+    if (body.error) {
+      return { ok: false, error: body.error };
+    }
+
+    return { ok: true, result: body.result };
+  }
+
+  async function getCode(address) {
+    const response = await request('eth_getCode', [address, 'latest']);
+    if (!response.ok) {
+      throw chainReaderError(
+        'CHAIN_READER_REJECTED',
+        response.error?.message || 'eth_getCode failed.'
+      );
+    }
+
+    return typeof response.result === 'string' ? response.result : '0x';
+  }
+
+  // A reverted call is a normal answer for signature checks, so it is returned rather
+  // than thrown; only transport failures throw.
+  async function call({ to, data }) {
+    const response = await request('eth_call', [{ to, data }, 'latest']);
+    if (!response.ok) {
+      return { ok: false, reverted: true, message: response.error?.message || 'eth_call failed.' };
+    }
+
+    return { ok: true, data: typeof response.result === 'string' ? response.result : '0x' };
+  }
+
+  return {
+    getCode,
+    call
+  };
+}
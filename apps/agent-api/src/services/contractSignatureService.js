@@ -0,0 +1,155 @@
+import { Interface, getAddress, hashMessage, isHexString, keccak256, verifyMessage } from 'ethers';
+import { createJsonRpcChainReader } from './chainReaderService.js';
+import { hashTypedDataRequest, recoverTypedDataSigner } from './eip712TypedData.js';
+
+export const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+const DEFAULT_MAX_CACHE_ENTRIES = 10_000;
+const eip1271Interface = new Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+]);
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+export function createContractSignatureVerifier({
+  chainReader,
+  cacheTtlSeconds = DEFAULT_CACHE_TTL_SECONDS,
+  maxCacheEntries = DEFAULT_MAX_CACHE_ENTRIES,
+  now = () => Date.now()
+}) {
+  if (!chainReader || typeof chainReader.getCode !== 'function') {
+    throw new Error('chainReader is required for contract signature verifier.');
+  }
+
+  const cache = new Map();
+
+  function readCache(key, nowMs) {
+    const entry = cache.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAtMs <= nowMs) {
+      cache.delete(key);
+      return null;
+    }
+
+    return entry.result;
+  }
+
+  function writeCache(key, result, nowMs) {
+    cache.set(key, { result, expiresAtMs: nowMs + cacheTtlSeconds * 1000 });
+    while (cache.size > maxCacheEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  async function verify({ address, digest, signature }) {
+    if (!isHexString(signature)) {
+      return { ok: true, valid: false, contract: false, cached: false };
+    }
+
+    const nowMs = now();
+    const cacheKey = `${address.toLowerCase()}:${digest}:${keccak256(signature)}`;
+    const cached = readCache(cacheKey, nowMs);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    let result;
+    try {
+      const code = await chainReader.getCode(address);
+      if (!code || code === '0x') {
+        result = { ok: true, valid: false, contract: false };
+      } else {
+        const response = await chainReader.call({
+          to: address,
+          data: eip1271Interface.encodeFunctionData('isValidSignature', [digest, signature])
+        });
+        result = {
+          ok: true,
+          valid:
+            response.ok &&
+            typeof response.data === 'string' &&
+            response.data.slice(0, 10).toLowerCase() === EIP1271_MAGIC_VALUE,
+          contract: true
+        };
+      }
+    } catch (error) {
+      return {
+        ok: false,
+        code: 'CHAIN_READER_UNAVAILABLE',
+        message: error?.message || 'Chain reader failed while verifying contract signature.'
+      };
+    }
+
+    writeCache(cacheKey, result, nowMs);
+    return { ...result, cached: false };
+  }
+
+  return {
+    verify
+  };
+}
+
+export function createContractSignatureVerifierFromConfig(rawConfig = {}, overrides = {}) {
+  if (!isNonEmptyString(rawConfig?.rpcUrl)) {
+    return null;
+  }
+
+  return createContractSignatureVerifier({
+    chainReader: createJsonRpcChainReader({
+      rpcUrl: rawConfig.rpcUrl,
+      timeoutMs: rawConfig.timeoutMs,
+      fetchImpl: overrides.fetchImpl
+    }),
+    cacheTtlSeconds: rawConfig.cacheTtlSeconds,
+    now: overrides.now
+  });
+}
+
+// Shared by the query and mutation auth services: ecrecover first, then EIP-1271 when
+// the signer does not match and a contract verifier is configured.
+export async function verifyWalletSignature({
+  address,
+  signedMessage = null,
+  signedTypedData = null,
+  signature,
+  contractSignatureVerifier = null
+}) {
+  let recoveredAddress = null;
+  try {
+    recoveredAddress = signedTypedData
+      ? recoverTypedDataSigner(signedTypedData, signature)
+      : verifyMessage(signedMessage, signature);
+  } catch {
+    recoveredAddress = null;
+  }
+
+  if (recoveredAddress && getAddress(recoveredAddress) === getAddress(address)) {
+    return { valid: true, signatureType: 'ecdsa' };
+  }
+
+  const fallbackReason = recoveredAddress ? 'mismatch' : 'format';
+  if (!contractSignatureVerifier) {
+    return { valid: false, reason: fallbackReason };
+  }
+
+  const contractCheck = await contractSignatureVerifier.verify({
+    address: getAddress(address),
+    digest: signedTypedData ? hashTypedDataRequest(signedTypedData) : hashMessage(signedMessage),
+    signature
+  });
+  if (!contractCheck.ok) {
+    return { valid: false, reason: 'unavailable', message: contractCheck.message };
+  }
+
+  if (!contractCheck.valid) {
+    return { valid: false, reason: contractCheck.contract ? 'mismatch' : fallbackReason };
+  }
+
+  return { valid: true, signatureType: 'eip1271' };
+}
@@ -1,5 +1,7 @@
 import { randomUUID } from 'node:crypto';
 import { loadConfig } from '../config.js';
+import { createDatabaseAdapter } from '../db/databaseAdapterFactory.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
 import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
 import { validateAndCompileSchemaDsl } from './schemaDslService.js';
 
@@ -179,17 +181,44 @@ export function createControlPlaneSubmissionService({
 }
 
 const runtimeConfig = loadConfig();
-const runtimeControlPlaneSubmissionService = createControlPlaneSubmissionService({
-  mutationAuthService: createPolicyMutationAuthService({
-    ...runtimeConfig.auth,
-    enabled: true
-  })
-});
+let runtimeControlPlaneSubmissionServicePromise = null;
+
+async function buildRuntimeControlPlaneSubmissionService() {
+  const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
+
+  return createControlPlaneSubmissionService({
+    mutationAuthService: createPolicyMutationAuthService(
+      {
+        ...runtimeConfig.auth,
+        enabled: true
+      },
+      {
+        nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+          databaseAdapter,
+          scope: 'mutation'
+        })
+      }
+    )
+  });
+}
+
+async function getRuntimeControlPlaneSubmissionService() {
+  if (!runtimeControlPlaneSubmissionServicePromise) {
+    runtimeControlPlaneSubmissionServicePromise =
+      buildRuntimeControlPlaneSubmissionService().catch((error) => {
+        runtimeControlPlaneSubmissionServicePromise = null;
+        throw error;
+      });
+  }
+
+  return runtimeControlPlaneSubmissionServicePromise;
+}
 
 export async function handleControlPlaneSubmission(payload, overrides = null) {
   try {
     const controlPlaneSubmissionService =
-      overrides?.controlPlaneSubmissionService || runtimeControlPlaneSubmissionService;
+      overrides?.controlPlaneSubmissionService ||
+      (await getRuntimeControlPlaneSubmissionService());
     return await controlPlaneSubmissionService.submit(payload);
   } catch (error) {
     return serviceError(
@@ -0,0 +1,650 @@
+const IDENTIFIER_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+const MAX_FILTER_DEPTH = 4;
+const MAX_FILTER_CONDITIONS = 64;
+const MAX_IN_VALUES = 100;
+const MAX_ORDER_BY_COLUMNS = 8;
+
+export const FILTER_OPERATORS = Object.freeze([
+  'eq',
+  'ne',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'in',
+  'between',
+  'isNull',
+  'like'
+]);
+
+export const FILTER_GROUPS = Object.freeze({
+  $and: 'and',
+  $or: 'or'
+});
+
+const COMPARISON_SQL = Object.freeze({
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+});
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalarValue(value) {
+  return (
+    typeof value === 'string' ||
+    (typeof value === 'number' && Number.isFinite(value)) ||
+    typeof value === 'boolean'
+  );
+}
+
+function issue(path, code, message) {
+  return { path, code, message };
+}
+
+function isReferenceValue(value) {
+  return isObject(value) && typeof value.ref === 'string';
+}
+
+function isOperand(value) {
+  return isScalarValue(value) || isReferenceValue(value);
+}
+
+function resolveReferences({ value, path, issues, references }) {
+  if (!references) {
+    return value;
+  }
+
+  const resolveToken = (item) => {
+    if (typeof item !== 'string' || !item.startsWith('$')) {
+      return item;
+    }
+
+    const name = item.slice(1);
+    if (!references.includes(name)) {
+      issues.push(
+        issue(
+          path,
+          'unknown_reference',
+          `Unknown reference '${item}'. Supported: ${references.map((ref) => `$${ref}`).join(', ')}.`
+        )
+      );
+      return undefined;
+    }
+
+    return { ref: name };
+  };
+
+  if (Array.isArray(value)) {
+    const resolved = value.map((item) => resolveToken(item));
+    return resolved.includes(undefined) ? undefined : resolved;
+  }
+
+  return resolveToken(value);
+}
+
+export function normalizeIdentifier(rawValue) {
+  if (typeof rawValue !== 'string' || rawValue.trim().length === 0) {
+    return null;
+  }
+
+  const normalized = rawValue.trim().toLowerCase();
+  return IDENTIFIER_PATTERN.test(normalized) ? normalized : null;
+}
+
+export function isPrimitiveValue(value) {
+  return (
+    value === null ||
+    typeof value === 'string' ||
+    typeof value === 'number' ||
+    typeof value === 'boolean'
+  );
+}
+
+export function buildPlaceholders(dialect, count, offset = 0) {
+  if (dialect === 'postgres') {
+    return Array.from({ length: count }, (_, index) => `$${index + 1 + offset}`);
+  }
+
+  return Array.from({ length: count }, () => '?');
+}
+
+export function quoteIdentifier(identifier) {
+  return `"${identifier}"`;
+}
+
+function escapeLikePrefix(prefix) {
+  return prefix.replace(/[\\%_]/g, (match) => `\\${match}`);
+}
+
+function normalizeOperatorValue({ operator, value: rawValue, path, issues, references }) {
+  const value =
+    operator === 'like' || operator === 'isNull'
+      ? rawValue
+      : resolveReferences({ value: rawValue, path, issues, references });
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (operator === 'eq' || operator === 'ne') {
+    if (!isPrimitiveValue(value) && !isReferenceValue(value)) {
+      issues.push(issue(path, 'invalid_value', `${operator} expects a string, number, boolean or null.`));
+      return undefined;
+    }
+    return value;
+  }
+
+  if (operator in COMPARISON_SQL) {
+    if (!isOperand(value)) {
+      issues.push(issue(path, 'invalid_value', `${operator} expects a string, number or boolean.`));
+      return undefined;
+    }
+    return value;
+  }
+
+  if (operator === 'in') {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_IN_VALUES) {
+      issues.push(
+        issue(path, 'invalid_value', `in expects an array of 1-${MAX_IN_VALUES} values.`)
+      );
+      return undefined;
+    }
+    if (!value.every((item) => isOperand(item))) {
+      issues.push(issue(path, 'invalid_value', 'in values must be strings, numbers or booleans.'));
+      return undefined;
+    }
+    return [...value];
+  }
+
+  if (operator === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every((item) => isOperand(item))) {
+      issues.push(issue(path, 'invalid_value', 'between expects [low, high] scalar bounds.'));
+      return undefined;
+    }
+    return [value[0], value[1]];
+  }
+
+  if (operator === 'isNull') {
+    if (typeof value !== 'boolean') {
+      issues.push(issue(path, 'invalid_value', 'isNull expects true or false.'));
+      return undefined;
+    }
+    return value;
+  }
+
+  if (typeof value !== 'string' || !value.endsWith('%') || value.length < 2) {
+    issues.push(
+      issue(path, 'invalid_pattern', "like expects a non-empty prefix followed by '%', e.g. 'abc%'.")
+    );
+    return undefined;
+  }
+  if (value.slice(0, -1).includes('%')) {
+    issues.push(issue(path, 'invalid_pattern', "like only supports a single trailing '%' wildcard."));
+    return undefined;
+  }
+  return value;
+}
+
+function normalizeColumnFilter({ column, rawValue, path, issues, references }) {
+  if (!isObject(rawValue)) {
+    if (!isPrimitiveValue(rawValue)) {
+      issues.push(
+        issue(path, 'invalid_value', 'filter value must be a primitive or an operator object.')
+      );
+      return [];
+    }
+
+    if (rawValue === null) {
+      return [{ type: 'condition', column, operator: 'isNull', value: true }];
+    }
+
+    const value = resolveReferences({ value: rawValue, path, issues, references });
+    return value === undefined ? [] : [{ type: 'condition', column, operator: 'eq', value }];
+  }
+
+  const operators = Object.keys(rawValue).sort();
+  if (operators.length === 0) {
+    issues.push(issue(path, 'required', 'operator object must not be empty.'));
+    return [];
+  }
+
+  const conditions = [];
+  for (const operator of operators) {
+    const operatorPath = `${path}.${operator}`;
+    if (!FILTER_OPERATORS.includes(operator)) {
+      issues.push(
+        issue(
+          operatorPath,
+          'unknown_operator',
+          `Unknown filter operator '${operator}'. Supported: ${FILTER_OPERATORS.join(', ')}.`
+        )
+      );
+      continue;
+    }
+
+    const value = normalizeOperatorValue({
+      operator,
+      value: rawValue[operator],
+      path: operatorPath,
+      issues,
+      references
+    });
+    if (value === undefined) {
+      continue;
+    }
+
+    if ((operator === 'eq' || operator === 'ne') && value === null) {
+      conditions.push({ type: 'condition', column, operator: 'isNull', value: operator === 'eq' });
+      continue;
+    }
+
+    conditions.push({ type: 'condition', column, operator, value });
+  }
+
+  return conditions;
+}
+
+function normalizeFilterObject({ rawFilter, path, depth, issues, counter, references }) {
+  if (!isObject(rawFilter)) {
+    issues.push(issue(path, 'invalid_type', `${path} must be a JSON object.`));
+    return null;
+  }
+
+  const sortKey = (key) => (key.startsWith('$') ? key : key.trim().toLowerCase());
+  const keys = Object.keys(rawFilter).sort((left, right) =>
+    sortKey(left).localeCompare(sortKey(right), 'en')
+  );
+  if (keys.length === 0) {
+    issues.push(issue(path, 'required', `${path} must not be empty.`));
+    return null;
+  }
+
+  const conditions = [];
+  for (const key of keys) {
+    const keyPath = `${path}.${key}`;
+
+    if (key.startsWith('$')) {
+      const groupType = FILTER_GROUPS[key];
+      if (!groupType) {
+        issues.push(
+          issue(
+            keyPath,
+            'unknown_group',
+            `Unknown filter group '${key}'. Supported: ${Object.keys(FILTER_GROUPS).join(', ')}.`
+          )
+        );
+        continue;
+      }
+
+      if (depth >= MAX_FILTER_DEPTH) {
+        issues.push(
+          issue(keyPath, 'too_deep', `filter groups may be nested at most ${MAX_FILTER_DEPTH} levels.`)
+        );
+        continue;
+      }
+
+      const members = rawFilter[key];
+      if (!Array.isArray(members) || members.length === 0) {
+        issues.push(issue(keyPath, 'invalid_type', `${key} expects a non-empty array of filters.`));
+        continue;
+      }
+
+      const groupConditions = members
+        .map((member, index) =>
+          normalizeFilterObject({
+            rawFilter: member,
+            path: `${keyPath}[${index}]`,
+            depth: depth + 1,
+            issues,
+            counter,
+            references
+          })
+        )
+        .filter(Boolean);
+      if (groupConditions.length === members.length) {
+        conditions.push({ type: groupType, conditions: groupConditions });
+      }
+      continue;
+    }
+
+    const column = normalizeIdentifier(key);
+    if (!column) {
+      issues.push(issue(keyPath, 'invalid_column', `Invalid column name '${key}'.`));
+      continue;
+    }
+
+    const columnConditions = normalizeColumnFilter({
+      column,
+      rawValue: rawFilter[key],
+      path: keyPath,
+      issues,
+      references
+    });
+    counter.count += columnConditions.length;
+    conditions.push(...columnConditions);
+  }
+
+  if (conditions.length === 0) {
+    return null;
+  }
+
+  return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+}
+
+export function normalizeFilters(
+  rawFilters,
+  { path = 'filters', required = false, references = null } = {}
+) {
+  if (rawFilters === undefined || rawFilters === null) {
+    if (required) {
+      return {
+        ok: false,
+        issues: [issue(path, 'required', `${path} is required.`)]
+      };
+    }
+
+    return { ok: true, filter: null };
+  }
+
+  const issues = [];
+  const counter = { count: 0 };
+  const filter = normalizeFilterObject({
+    rawFilter: rawFilters,
+    path,
+    depth: 1,
+    issues,
+    counter,
+    references
+  });
+
+  if (counter.count > MAX_FILTER_CONDITIONS) {
+    issues.push(
+      issue(path, 'too_many_conditions', `filters may contain at most ${MAX_FILTER_CONDITIONS} conditions.`)
+    );
+  }
+
+  if (issues.length > 0) {
+    return { ok: false, issues };
+  }
+
+  return { ok: true, filter };
+}
+
+export function normalizeOrderBy(rawOrderBy, { path = 'orderBy' } = {}) {
+  if (rawOrderBy === undefined || rawOrderBy === null) {
+    return { ok: true, orderBy: [] };
+  }
+
+  const entries = Array.isArray(rawOrderBy) ? rawOrderBy : [rawOrderBy];
+  if (entries.length === 0 || entries.length > MAX_ORDER_BY_COLUMNS) {
+    return {
+      ok: false,
+      issues: [
+        issue(path, 'invalid_type', `orderBy expects 1-${MAX_ORDER_BY_COLUMNS} { column, direction } entries.`)
+      ]
+    };
+  }
+
+  const issues = [];
+  const orderBy = [];
+  entries.forEach((entry, index) => {
+    const entryPath = Array.isArray(rawOrderBy) ? `${path}[${index}]` : path;
+    const rawEntry = typeof entry === 'string' ? { column: entry } : entry;
+    if (!isObject(rawEntry)) {
+      issues.push(issue(entryPath, 'invalid_type', 'orderBy entries must be column names or objects.'));
+      return;
+    }
+
+    const column = normalizeIdentifier(rawEntry.column);
+    if (!column) {
+      issues.push(issue(`${entryPath}.column`, 'invalid_column', 'orderBy column is invalid.'));
+      return;
+    }
+
+    if (orderBy.some((existing) => existing.column === column)) {
+      issues.push(issue(`${entryPath}.column`, 'duplicate_column', `orderBy repeats column '${column}'.`));
+      return;
+    }
+
+    const direction =
+      rawEntry.direction === undefined ? 'asc' : String(rawEntry.direction).trim().toLowerCase();
+    if (!['asc', 'desc'].includes(direction)) {
+      issues.push(issue(`${entryPath}.direction`, 'invalid_enum', "direction must be 'asc' or 'desc'."));
+      return;
+    }
+
+    orderBy.push({ column, direction });
+  });
+
+  if (issues.length > 0) {
+    return { ok: false, issues };
+  }
+
+  return { ok: true, orderBy };
+}
+
+function compileCondition({ node, nextPlaceholder, values }) {
+  const column = quoteIdentifier(node.column);
+
+  if (node.operator === 'isNull') {
+    return `${column} ${node.value ? 'IS NULL' : 'IS NOT NULL'}`;
+  }
+
+  if (node.operator in COMPARISON_SQL) {
+    values.push(node.value);
+    return `${column} ${COMPARISON_SQL[node.operator]} ${nextPlaceholder()}`;
+  }
+
+  if (node.operator === 'in') {
+    const placeholders = node.value.map((item) => {
+      values.push(item);
+      return nextPlaceholder();
+    });
+    return `${column} IN (${placeholders.join(', ')})`;
+  }
+
+  if (node.operator === 'between') {
+    values.push(node.value[0]);
+    const low = nextPlaceholder();
+    values.push(node.value[1]);
+    const high = nextPlaceholder();
+    return `${column} BETWEEN ${low} AND ${high}`;
+  }
+
+  values.push(`${escapeLikePrefix(node.value.slice(0, -1))}%`);
+  return `${column} LIKE ${nextPlaceholder()} ESCAPE '\\'`;
+}
+
+function compileNode({ node, nextPlaceholder, values, nested = true }) {
+  if (node.type === 'condition') {
+    return compileCondition({ node, nextPlaceholder, values });
+  }
+
+  const parts = node.conditions.map((child) => compileNode({ node: child, nextPlaceholder, values }));
+  const joined = parts.join(node.type === 'or' ? ' OR ' : ' AND ');
+  return nested || node.type === 'or' ? `(${joined})` : joined;
+}
+
+// Inverse of normalizeFilters: turns a normalized filter back into request grammar.
+export function denormalizeFilter(filter) {
+  if (!filter) {
+    return null;
+  }
+
+  if (filter.type !== 'condition') {
+    const groupKey = Object.keys(FILTER_GROUPS).find((key) => FILTER_GROUPS[key] === filter.type);
+    return { [groupKey]: filter.conditions.map((child) => denormalizeFilter(child)) };
+  }
+
+  const unbind = (item) => (isReferenceValue(item) ? `$${item.ref}` : item);
+  return {
+    [filter.column]: {
+      [filter.operator]: Array.isArray(filter.value)
+        ? filter.value.map((item) => unbind(item))
+        : unbind(filter.value)
+    }
+  };
+}
+
+export function compileFilter({ dialect, filter, startingIndex = 1 }) {
+  const values = [];
+  let offset = startingIndex;
+  const nextPlaceholder = () => {
+    const [placeholder] = buildPlaceholders(dialect, 1, offset - 1);
+    offset += 1;
+    return placeholder;
+  };
+
+  const sql = filter ? compileNode({ node: filter, nextPlaceholder, values, nested: false }) : '';
+
+  return {
+    sql,
+    values,
+    nextOffset: offset
+  };
+}
+
+export function collectFilterColumns(filter) {
+  if (!filter) {
+    return [];
+  }
+
+  if (filter.type === 'condition') {
+    return [filter.column];
+  }
+
+  return [...new Set(filter.conditions.flatMap((child) => collectFilterColumns(child)))];
+}
+
+export function bindFilterReferences(filter, bindings = {}) {
+  if (!filter) {
+    return null;
+  }
+
+  if (filter.type !== 'condition') {
+    return {
+      ...filter,
+      conditions: filter.conditions.map((child) => bindFilterReferences(child, bindings))
+    };
+  }
+
+  const bind = (item) => (isReferenceValue(item) ? (bindings[item.ref] ?? null) : item);
+  return {
+    ...filter,
+    value: Array.isArray(filter.value) ? filter.value.map((item) => bind(item)) : bind(filter.value)
+  };
+}
+
+export function combineFilters(filters) {
+  const present = filters.filter(Boolean);
+  if (present.length <= 1) {
+    return present[0] || null;
+  }
+
+  return {
+    type: 'and',
+    conditions: present.flatMap((filter) => (filter.type === 'and' ? filter.conditions : [filter]))
+  };
+}
+
+function toComparable(value) {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+
+  if (typeof value === 'bigint') {
+    return Number(value);
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return value;
+}
+
+function compareOperands(left, right) {
+  const leftValue = toComparable(left);
+  const rightValue = toComparable(right);
+
+  if (typeof leftValue === 'number' || typeof rightValue === 'number') {
+    const leftNumber = Number(leftValue);
+    const rightNumber = Number(rightValue);
+    if (Number.isFinite(leftNumber) && Number.isFinite(rightNumber)) {
+      return Math.sign(leftNumber - rightNumber);
+    }
+  }
+
+  const leftString = String(leftValue);
+  const rightString = String(rightValue);
+  if (leftString === rightString) {
+    return 0;
+  }
+
+  return leftString < rightString ? -1 : 1;
+}
+
+function evaluateCondition(node, row, missing) {
+  if (!Object.hasOwn(row, node.column) && missing === 'unknown') {
+    return null;
+  }
+
+  const actual = row[node.column] ?? null;
+  if (node.operator === 'isNull') {
+    return (actual === null) === node.value;
+  }
+
+  const operands = Array.isArray(node.value) ? node.value : [node.value];
+  if (actual === null || operands.some((operand) => operand === null || isReferenceValue(operand))) {
+    return false;
+  }
+
+  switch (node.operator) {
+    case 'eq':
+      return compareOperands(actual, node.value) === 0;
+    case 'ne':
+      return compareOperands(actual, node.value) !== 0;
+    case 'gt':
+      return compareOperands(actual, node.value) > 0;
+    case 'gte':
+      return compareOperands(actual, node.value) >= 0;
+    case 'lt':
+      return compareOperands(actual, node.value) < 0;
+    case 'lte':
+      return compareOperands(actual, node.value) <= 0;
+    case 'in':
+      return node.value.some((item) => compareOperands(actual, item) === 0);
+    case 'between':
+      return compareOperands(actual, node.value[0]) >= 0 && compareOperands(actual, node.value[1]) <= 0;
+    default:
+      return String(actual).startsWith(node.value.slice(0, -1));
+  }
+}
+
+export function evaluateFilter(filter, row, { missing = 'null' } = {}) {
+  if (!filter) {
+    return true;
+  }
+
+  if (filter.type === 'condition') {
+    return evaluateCondition(filter, row, missing);
+  }
+
+  const results = filter.conditions.map((child) => evaluateFilter(child, row, { missing }));
+  if (filter.type === 'or') {
+    if (results.includes(true)) {
+      return true;
+    }
+    return results.every((result) => result === false) ? false : null;
+  }
+
+  if (results.includes(false)) {
+    return false;
+  }
+  return results.every((result) => result === true) ? true : null;
+}
@@ -6,16 +6,33 @@ import {
 } from './actionResponseEnvelopeService.js';
 import { createActionAuthorizationService } from './actionAuthorizationService.js';
 import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
+import { createDelegationUseStore } from './delegationUseStore.js';
+import {
+  buildPlaceholders,
+  collectFilterColumns,
+  combineFilters,
+  compileFilter,
+  evaluateFilter,
+  isPrimitiveValue,
+  normalizeFilters,
+  normalizeIdentifier,
+  normalizeOrderBy,
+  quoteIdentifier
+} from './dataFilterGrammar.js';
+import { createPaginationCursorService, hashCursor } from './paginationCursorService.js';
 import { createPolicyGrantStore } from './policyGrantStore.js';
 import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
+import { createPolicyRoleStore } from './policyRoleStore.js';
+import { createPolicyVersionStore } from './policyVersionStore.js';
 import { createReceiptService } from './receiptService.js';
+import { checkFieldValue, normalizeFieldValue } from './schemaDslService.js';
 import {
   createPermissiveRuntimeAttestationService,
   createRuntimeAttestationService
 } from './runtimeAttestationService.js';
 
 const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
-const IDENTIFIER_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
 const WALLET_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
 const DATA_OPERATIONS = Object.freeze(['read', 'insert', 'update', 'delete']);
 
@@ -41,36 +58,6 @@ function normalizeWalletAddress(rawWalletAddress) {
   return WALLET_ADDRESS_PATTERN.test(normalized) ? normalized : null;
 }
 
-function normalizeIdentifier(rawValue) {
-  if (typeof rawValue !== 'string' || rawValue.trim().length === 0) {
-    return null;
-  }
-
-  const normalized = rawValue.trim().toLowerCase();
-  return IDENTIFIER_PATTERN.test(normalized) ? normalized : null;
-}
-
-function isPrimitiveValue(value) {
-  return (
-    value === null ||
-    typeof value === 'string' ||
-    typeof value === 'number' ||
-    typeof value === 'boolean'
-  );
-}
-
-function buildPlaceholders(dialect, count, offset = 0) {
-  if (dialect === 'postgres') {
-    return Array.from({ length: count }, (_, index) => `$${index + 1 + offset}`);
-  }
-
-  return Array.from({ length: count }, () => '?');
-}
-
-function quoteIdentifier(identifier) {
-  return `"${identifier}"`;
-}
-
 function validateBasePayload(payload) {
   if (!isObject(payload)) {
     return {
@@ -130,6 +117,35 @@ function validateBasePayload(payload) {
     };
   }
 
+  if (payload.cursor !== undefined && payload.cursor !== null) {
+    if (typeof payload.cursor !== 'string' || payload.cursor.trim().length === 0) {
+      return {
+        ok: false,
+        statusCode: 400,
+        error: 'VALIDATION_ERROR',
+        message: 'cursor must be a non-empty string when provided.'
+      };
+    }
+
+    if (operation !== 'read') {
+      return {
+        ok: false,
+        statusCode: 400,
+        error: 'VALIDATION_ERROR',
+        message: 'cursor is only supported for read operations.'
+      };
+    }
+  }
+
+  if (payload.orderBy !== undefined && payload.orderBy !== null && operation !== 'read') {
+    return {
+      ok: false,
+      statusCode: 400,
+      error: 'VALIDATION_ERROR',
+      message: 'orderBy is only supported for read operations.'
+    };
+  }
+
   return {
     ok: true,
     normalized: {
@@ -186,35 +202,271 @@ function normalizeObjectMap(rawValue, pathLabel) {
   };
 }
 
-function buildWhereClause({ dialect, filters = [], startingIndex = 1 }) {
-  const clauses = [];
-  const values = [];
-  let offset = startingIndex;
+function buildWhereClause({ dialect, filter = null, startingIndex = 1 }) {
+  const compiled = compileFilter({ dialect, filter, startingIndex });
+
+  return {
+    whereSql: compiled.sql ? ` WHERE ${compiled.sql}` : '',
+    values: compiled.values,
+    nextOffset: compiled.nextOffset
+  };
+}
+
+function filterValidationError(issues) {
+  return {
+    statusCode: 400,
+    body: {
+      error: 'VALIDATION_ERROR',
+      message: issues[0]?.message || 'filters are invalid.',
+      details: {
+        issues
+      }
+    }
+  };
+}
+
+function valuesValidationError(issues) {
+  return {
+    statusCode: 400,
+    body: {
+      error: 'VALIDATION_ERROR',
+      message: issues[0].message,
+      details: {
+        issues
+      }
+    }
+  };
+}
+
+function columnAccessDenied({ decision, operation, tableName, blockedColumns }) {
+  return {
+    statusCode: 403,
+    body: {
+      error: 'COLUMN_ACCESS_DENIED',
+      message: `Wallet may not ${operation} column(s) ${blockedColumns.join(', ')} on '${tableName}'.`,
+      details: {
+        decision: {
+          ...decision,
+          allowed: false,
+          code: 'COLUMN_ACCESS_DENIED',
+          message: `Denied by column-level policy for: ${blockedColumns.join(', ')}.`,
+          deniedColumns: blockedColumns
+        }
+      }
+    }
+  };
+}
 
-  for (const [column, value] of filters) {
-    if (value === null) {
-      clauses.push(`${quoteIdentifier(column)} IS NULL`);
-      continue;
+function rowPolicyViolation({ decision, operation, tableName }) {
+  return {
+    statusCode: 403,
+    body: {
+      error: 'ROW_POLICY_VIOLATION',
+      message: `Values for ${operation} on '${tableName}' do not satisfy the grant row predicate.`,
+      details: {
+        decision: {
+          ...decision,
+          allowed: false,
+          code: 'ROW_POLICY_VIOLATION',
+          message: 'Denied by row-level grant predicate.'
+        }
+      }
+    }
+  };
+}
+
+// bytea values travel as 0x-hex strings and are bound as bytes.
+function toBindValue(field, value) {
+  return field?.type === 'bytea' && typeof value === 'string'
+    ? Buffer.from(value.slice(2), 'hex')
+    : value;
+}
+
+function fromStoredValue(value) {
+  return Buffer.isBuffer(value) ? `0x${value.toString('hex')}` : value;
+}
+
+// Canonicalizes domain-typed values and checks them against the enum, check and default
+// declarations recorded when the table was applied, so violations surface as issues
+// rather than database errors.
+function prepareDeclaredValues(fieldsByName, entries) {
+  const issues = [];
+  const normalizedEntries = entries.map(([column, value]) => {
+    const field = fieldsByName.get(column);
+    if (!field) {
+      return [column, value];
+    }
+
+    const normalized = normalizeFieldValue(field, value);
+    if (!normalized.ok) {
+      const { code, message } = normalized;
+      issues.push({ path: `values.${column}`, code, message });
+      return [column, value];
+    }
+
+    issues.push(
+      ...checkFieldValue(field, normalized.value).map((issue) => ({
+        path: `values.${column}`,
+        ...issue
+      }))
+    );
+    return [column, normalized.value];
+  });
+
+  return {
+    issues,
+    entries: normalizedEntries,
+    bindValues: normalizedEntries.map(([column, value]) =>
+      toBindValue(fieldsByName.get(column), value)
+    )
+  };
+}
+
+const CASE_INSENSITIVE_FIELD_TYPES = Object.freeze(['address', 'bytes32', 'uuid']);
+
+// Filter operands get the same canonical form as written values, so a mixed-case address
+// still matches the lowercased one that was stored.
+function prepareDeclaredFilter(fieldsByName, filter, issues) {
+  if (!filter) {
+    return null;
+  }
+
+  if (filter.type !== 'condition') {
+    return {
+      ...filter,
+      conditions: filter.conditions.map((child) =>
+        prepareDeclaredFilter(fieldsByName, child, issues)
+      )
+    };
+  }
+
+  const field = fieldsByName.get(filter.column);
+  if (!field || filter.operator === 'isNull') {
+    return filter;
+  }
+
+  if (filter.operator === 'like') {
+    return CASE_INSENSITIVE_FIELD_TYPES.includes(field.type)
+      ? { ...filter, value: filter.value.toLowerCase() }
+      : filter;
+  }
+
+  const normalizeOperand = (operand) => {
+    const normalized = normalizeFieldValue(field, operand);
+    if (!normalized.ok) {
+      const { code, message } = normalized;
+      issues.push({ path: `filters.${filter.column}`, code, message });
+      return operand;
     }
 
+    return normalized.value;
+  };
+  return {
+    ...filter,
+    value: Array.isArray(filter.value)
+      ? filter.value.map((operand) => normalizeOperand(operand))
+      : normalizeOperand(filter.value)
+  };
+}
+
+function toBindFilter(fieldsByName, filter) {
+  if (!filter) {
+    return null;
+  }
+
+  if (filter.type !== 'condition') {
+    return {
+      ...filter,
+      conditions: filter.conditions.map((child) => toBindFilter(fieldsByName, child))
+    };
+  }
+
+  const field = fieldsByName.get(filter.column);
+  if (field?.type !== 'bytea' || filter.operator === 'isNull' || filter.operator === 'like') {
+    return filter;
+  }
+
+  const bindOperand = (operand) => {
+    const normalized = normalizeFieldValue(field, operand);
+    return normalized.ok ? toBindValue(field, normalized.value) : operand;
+  };
+  return {
+    ...filter,
+    value: Array.isArray(filter.value)
+      ? filter.value.map((operand) => bindOperand(operand))
+      : bindOperand(filter.value)
+  };
+}
+
+function buildKeysetClause({ dialect, keys, keyValues, startingIndex = 1 }) {
+  const alternatives = [];
+  const values = [];
+  let offset = startingIndex;
+  const nextPlaceholder = (value) => {
     const [placeholder] = buildPlaceholders(dialect, 1, offset - 1);
-    clauses.push(`${quoteIdentifier(column)} = ${placeholder}`);
     values.push(value);
     offset += 1;
-  }
+    return placeholder;
+  };
+
+  keys.forEach((key, keyIndex) => {
+    const boundary = keyValues[keyIndex];
+    if (boundary === null) {
+      return;
+    }
+
+    const terms = keys.slice(0, keyIndex).map((previous, index) =>
+      keyValues[index] === null
+        ? `${quoteIdentifier(previous.column)} IS NULL`
+        : `${quoteIdentifier(previous.column)} = ${nextPlaceholder(keyValues[index])}`
+    );
+    const operator = key.direction === 'desc' ? '<' : '>';
+    terms.push(
+      `(${quoteIdentifier(key.column)} ${operator} ${nextPlaceholder(boundary)} OR ${quoteIdentifier(key.column)} IS NULL)`
+    );
+    alternatives.push(terms.length > 1 ? `(${terms.join(' AND ')})` : terms[0]);
+  });
 
   return {
-    whereSql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+    keysetSql: alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : '(1 = 0)',
     values,
     nextOffset: offset
   };
 }
 
+// Walks foreign keys from the deleted table: cascading children are deleted (and cascade
+// further), set_null children are updated.
+function collectDeleteCascades(tableDefinitions, tableName) {
+  const cascades = new Map();
+  const queue = [tableName];
+  while (queue.length > 0) {
+    const parentTable = queue.shift();
+    for (const definition of tableDefinitions) {
+      for (const field of definition.fields || []) {
+        const onDelete = field.references?.table === parentTable ? field.references.onDelete : null;
+        const operation = { cascade: 'delete', set_null: 'update' }[onDelete];
+        const key = `${operation}:${definition.name}`;
+        if (!operation || definition.name === tableName || cascades.has(key)) {
+          continue;
+        }
+
+        cascades.set(key, { tableName: definition.name, operation });
+        if (operation === 'delete') {
+          queue.push(definition.name);
+        }
+      }
+    }
+  }
+
+  return [...cascades.values()];
+}
+
 export function createDataOperationService({
   databaseAdapter,
   grantStore,
   actionAuthorizationService,
-  runtimeAttestationService = createPermissiveRuntimeAttestationService()
+  runtimeAttestationService = createPermissiveRuntimeAttestationService(),
+  paginationCursorService = createPaginationCursorService()
 }) {
   if (!databaseAdapter || typeof databaseAdapter.execute !== 'function') {
     throw new Error('databaseAdapter is required for data operation service.');
@@ -262,7 +514,85 @@ export function createDataOperationService({
     }
   }
 
-  async function execute(payload) {
+  async function loadTableDefinitions(tenantId) {
+    try {
+      const placeholders = buildPlaceholders(databaseAdapter.dialect, 1);
+      const result = await databaseAdapter.execute({
+        mode: 'read',
+        sql: `
+          SELECT definition_json
+          FROM managed_table_schemas
+          WHERE tenant_id = ${placeholders[0]}
+          ORDER BY table_name ASC
+        `,
+        values: [tenantId]
+      });
+
+      return (result.rows || []).map((row) => JSON.parse(row.definition_json));
+    } catch (error) {
+      // Created by the migration runner on first apply.
+      if (/no such table|does not exist/i.test(error?.message || '')) {
+        return [];
+      }
+
+      throw error;
+    }
+  }
+
+  // Field declarations recorded when the table was applied; empty for tables applied before
+  // definitions were tracked.
+  async function loadDeclaredFields(tenantId, tableName) {
+    const definition = (await loadTableDefinitions(tenantId)).find(
+      (table) => table.name === tableName
+    );
+    return new Map((definition?.fields || []).map((field) => [field.name, field]));
+  }
+
+  async function loadTableColumns(tableName) {
+    if (databaseAdapter.dialect === 'sqlite') {
+      const result = await databaseAdapter.execute({
+        mode: 'read',
+        sql: `PRAGMA table_info(${quoteIdentifier(tableName)})`,
+        values: []
+      });
+
+      return (result.rows || []).map((row) => ({
+        name: row.name,
+        primaryKeyPosition: Number(row.pk) > 0 ? Number(row.pk) : null
+      }));
+    }
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT c.column_name, kcu.ordinal_position AS primary_key_position
+        FROM information_schema.columns c
+        LEFT JOIN information_schema.table_constraints tc
+          ON tc.table_schema = c.table_schema
+          AND tc.table_name = c.table_name
+          AND tc.constraint_type = 'PRIMARY KEY'
+        LEFT JOIN information_schema.key_column_usage kcu
+          ON kcu.constraint_name = tc.constraint_name
+          AND kcu.table_schema = tc.table_schema
+          AND kcu.table_name = tc.table_name
+          AND kcu.column_name = c.column_name
+        WHERE c.table_schema = current_schema()
+          AND c.table_name = $1
+        ORDER BY c.ordinal_position
+      `,
+      values: [tableName]
+    });
+
+    return (result.rows || []).map((row) => ({
+      name: row.column_name,
+      primaryKeyPosition:
+        row.primary_key_position === null || row.primary_key_position === undefined
+          ? null
+          : Number(row.primary_key_position)
+    }));
+  }
+
+  async function execute(payload, requestContext = { source: 'http' }) {
     const baseValidation = validateBasePayload(payload);
     if (!baseValidation.ok) {
       return {
@@ -318,11 +648,18 @@ export function createDataOperationService({
       };
     }
 
+    const tableColumns = await loadTableColumns(tableName);
+    const cascadeScopes =
+      operation === 'delete'
+        ? collectDeleteCascades(await loadTableDefinitions(tenantId), tableName)
+        : [];
+
     const authorizationResult = await actionAuthorizationService.authorize({
       requestId,
       tenantId,
       actorWallet,
       auth: payload.auth,
+      delegation: payload.delegation ?? null,
       action: 'data:execute',
       actionPayload: {
         tableName,
@@ -331,6 +668,9 @@ export function createDataOperationService({
         filters: payload.filters || null,
         columns: payload.columns || null,
         limit: payload.limit || null,
+        ...(payload.orderBy ? { orderBy: payload.orderBy } : {}),
+        ...(payload.cursor ? { cursor: payload.cursor } : {}),
+        ...(payload.chainId !== undefined ? { chainId: payload.chainId } : {}),
         agentOverride: payload.agentOverride || null,
         bypassPolicy: payload.bypassPolicy || null,
         skipAuth: payload.skipAuth || null,
@@ -341,6 +681,13 @@ export function createDataOperationService({
       scopeType: 'table',
       scopeId: tableName,
       operation,
+      columns: tableColumns ? tableColumns.map((column) => column.name) : null,
+      cascadeScopes,
+      requestContext: {
+        source: requestContext?.source || null,
+        chainId: Number.isSafeInteger(payload.chainId) ? payload.chainId : null,
+        attestationVerified: runtimeCheck.snapshot?.verified === true
+      }
     });
     if (!authorizationResult.ok) {
       return {
@@ -349,6 +696,43 @@ export function createDataOperationService({
       };
     }
 
+    const deniedColumns = authorizationResult.columnAccess?.deniedColumns || [];
+    const rejectDeniedColumns = (referencedColumns) => {
+      const blockedColumns = [...new Set(referencedColumns)].filter((column) =>
+        deniedColumns.includes(column)
+      );
+      if (blockedColumns.length === 0) {
+        return null;
+      }
+
+      return columnAccessDenied({
+        decision: authorizationResult.decision,
+        operation,
+        tableName,
+        blockedColumns
+      });
+    };
+    const rowPredicate = authorizationResult.decision.rowPredicate?.predicate || null;
+    const declaredFields = await loadDeclaredFields(tenantId, tableName);
+    const prepareFilters = (filtersResult) => {
+      if (!filtersResult.ok) {
+        return filtersResult;
+      }
+
+      const issues = [];
+      const filter = prepareDeclaredFilter(declaredFields, filtersResult.filter, issues);
+      return issues.length > 0 ? { ok: false, issues } : { ...filtersResult, filter };
+    };
+    // Usage-limited grants are only spent by requests that passed validation.
+    const spendGrantUses = async (usedColumns) => {
+      const consumed = await actionAuthorizationService.consumeGrantUses({
+        tenantId,
+        authorization: authorizationResult,
+        columns: [...new Set(usedColumns)]
+      });
+      return consumed.ok ? null : { statusCode: consumed.statusCode, body: consumed.body };
+    };
+
     if (operation === 'read') {
       const limit = payload.limit === undefined ? 100 : Number.parseInt(String(payload.limit), 10);
       if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
@@ -361,9 +745,8 @@ export function createDataOperationService({
         };
       }
 
-      let selectColumns = '*';
+      const requestedColumns = [];
       if (Array.isArray(payload.columns) && payload.columns.length > 0) {
-        const normalizedColumns = [];
         for (const column of payload.columns) {
           const normalizedColumn = normalizeIdentifier(column);
           if (!normalizedColumn) {
@@ -375,46 +758,197 @@ export function createDataOperationService({
               }
             };
           }
-          normalizedColumns.push(quoteIdentifier(normalizedColumn));
+          requestedColumns.push(normalizedColumn);
         }
-        selectColumns = normalizedColumns.join(', ');
       }
 
-      const filtersResult = payload.filters
-        ? normalizeObjectMap(payload.filters, 'filters')
-        : { ok: true, entries: [] };
+      const filtersResult = prepareFilters(normalizeFilters(payload.filters));
       if (!filtersResult.ok) {
+        return filterValidationError(filtersResult.issues);
+      }
+
+      const orderByResult = normalizeOrderBy(payload.orderBy);
+      if (!orderByResult.ok) {
+        return filterValidationError(orderByResult.issues);
+      }
+
+      const columnDenial = rejectDeniedColumns([
+        ...requestedColumns,
+        ...collectFilterColumns(filtersResult.filter),
+        ...orderByResult.orderBy.map((entry) => entry.column)
+      ]);
+      if (columnDenial) {
+        return columnDenial;
+      }
+
+      const projectedColumns =
+        requestedColumns.length > 0 || deniedColumns.length === 0
+          ? requestedColumns
+          : authorizationResult.columnAccess.allowedColumns;
+      if (deniedColumns.length > 0 && projectedColumns.length === 0) {
+        return columnAccessDenied({
+          decision: authorizationResult.decision,
+          operation,
+          tableName,
+          blockedColumns: deniedColumns
+        });
+      }
+
+      const cursorBinding = {
+        scope: 'data',
+        tenantId,
+        actorWallet: authorizationResult.actorWallet,
+        tableName,
+        filters: filtersResult.filter,
+        orderBy: orderByResult.orderBy,
+        columns: projectedColumns
+      };
+      const cursorResult = paginationCursorService.resolveCursor({
+        cursor: payload.cursor,
+        binding: cursorBinding
+      });
+      if (!cursorResult.ok) {
+        return {
+          statusCode: cursorResult.statusCode,
+          body: {
+            error: cursorResult.code,
+            message: cursorResult.message
+          }
+        };
+      }
+
+      const primaryKeyColumns = tableColumns
+        .filter((column) => column.primaryKeyPosition !== null)
+        .sort((left, right) => left.primaryKeyPosition - right.primaryKeyPosition)
+        .map((column) => column.name);
+      const orderKeys = [
+        ...orderByResult.orderBy,
+        ...primaryKeyColumns
+          .filter((column) => !orderByResult.orderBy.some((entry) => entry.column === column))
+          .map((column) => ({ column, direction: 'asc' }))
+      ];
+      const pageable =
+        primaryKeyColumns.length > 0 &&
+        primaryKeyColumns.every((column) => !deniedColumns.includes(column));
+      if (cursorResult.keyValues && (!pageable || cursorResult.keyValues.length !== orderKeys.length)) {
         return {
           statusCode: 400,
           body: {
-            error: 'VALIDATION_ERROR',
-            message: filtersResult.message
+            error: pageable ? 'INVALID_CURSOR' : 'CURSOR_NOT_SUPPORTED',
+            message: pageable
+              ? 'cursor does not match table ordering keys.'
+              : `Table '${tableName}' has no primary key to paginate on.`
+          }
+        };
+      }
+
+      // Cursor boundaries are bound like filter operands, so bytea keys compare as bytes.
+      const keyBoundary = cursorResult.keyValues
+        ? prepareDeclaredValues(
+            declaredFields,
+            orderKeys.map((key, index) => [key.column, cursorResult.keyValues[index]])
+          )
+        : null;
+      if (keyBoundary && keyBoundary.issues.length > 0) {
+        return {
+          statusCode: 400,
+          body: {
+            error: 'INVALID_CURSOR',
+            message: 'cursor does not match table ordering keys.'
           }
         };
       }
 
+      const hiddenKeyColumns =
+        projectedColumns.length > 0 && pageable
+          ? orderKeys
+              .map((key) => key.column)
+              .filter((column) => !projectedColumns.includes(column))
+          : [];
+      const selectColumns =
+        projectedColumns.length > 0
+          ? [...projectedColumns, ...hiddenKeyColumns].map((column) => quoteIdentifier(column)).join(', ')
+          : '*';
+
+      const grantUseDenial = await spendGrantUses([
+        ...(projectedColumns.length > 0
+          ? [...projectedColumns, ...hiddenKeyColumns]
+          : tableColumns.map((column) => column.name)),
+        ...collectFilterColumns(filtersResult.filter),
+        ...orderKeys.map((key) => key.column)
+      ]);
+      if (grantUseDenial) {
+        return grantUseDenial;
+      }
+
       const where = buildWhereClause({
         dialect: databaseAdapter.dialect,
-        filters: filtersResult.entries
+        filter: toBindFilter(declaredFields, combineFilters([filtersResult.filter, rowPredicate]))
       });
-      const [limitPlaceholder] = buildPlaceholders(databaseAdapter.dialect, 1, where.nextOffset - 1);
-
-      const sql = `SELECT ${selectColumns} FROM ${quoteIdentifier(tableName)}${where.whereSql} LIMIT ${limitPlaceholder}`;
-      const values = [...where.values, limit];
+      const keyset = cursorResult.keyValues
+        ? buildKeysetClause({
+            dialect: databaseAdapter.dialect,
+            keys: orderKeys,
+            keyValues: keyBoundary.bindValues,
+            startingIndex: where.nextOffset
+          })
+        : null;
+      const whereSql = keyset
+        ? where.whereSql
+          ? `${where.whereSql} AND ${keyset.keysetSql}`
+          : ` WHERE ${keyset.keysetSql}`
+        : where.whereSql;
+      const orderSql =
+        orderKeys.length > 0
+          ? ` ORDER BY ${orderKeys
+              .map((key) => `${quoteIdentifier(key.column)} ${key.direction.toUpperCase()} NULLS LAST`)
+              .join(', ')}`
+          : '';
+      const [limitPlaceholder] = buildPlaceholders(
+        databaseAdapter.dialect,
+        1,
+        (keyset ? keyset.nextOffset : where.nextOffset) - 1
+      );
+
+      const sql = `SELECT ${selectColumns} FROM ${quoteIdentifier(tableName)}${whereSql}${orderSql} LIMIT ${limitPlaceholder}`;
+      const values = [...where.values, ...(keyset ? keyset.values : []), limit + 1];
       const result = await databaseAdapter.execute({
         mode: 'read',
         sql,
         values
       });
 
+      const fetchedRows = result.rows || [];
+      const hasMore = fetchedRows.length > limit;
+      const pageRows = hasMore ? fetchedRows.slice(0, limit) : fetchedRows;
+      const lastRow = pageRows[pageRows.length - 1];
+      const nextCursor =
+        hasMore && pageable
+          ? paginationCursorService.issueCursor({
+              binding: cursorBinding,
+              keyValues: orderKeys.map((key) => fromStoredValue(lastRow[key.column])),
+              page: cursorResult.page + 1
+            })
+          : null;
+      // bytea columns come back as Buffers; they are returned in the 0x-hex form they accept.
+      const rows = pageRows.map((row) =>
+        Object.fromEntries(
+          Object.entries(row)
+            .filter(([column]) => !hiddenKeyColumns.includes(column))
+            .map(([column, value]) => [column, fromStoredValue(value)])
+        )
+      );
+
       return {
         statusCode: 200,
         body: {
           code: 'DATA_OPERATION_EXECUTED',
           operation,
           tableName,
-          rowCount: result.rowCount,
-          rows: result.rows,
+          rowCount: rows.length,
+          rows,
+          page: cursorResult.page,
+          nextCursor,
           authorization: {
             actorWallet: authorizationResult.actorWallet,
             decision: authorizationResult.decision,
@@ -437,8 +971,27 @@ export function createDataOperationService({
         };
       }
 
-      const columns = valuesResult.entries.map(([column]) => quoteIdentifier(column));
-      const insertValues = valuesResult.entries.map(([, value]) => value);
+      const valueColumnDenial = rejectDeniedColumns(valuesResult.entries.map(([column]) => column));
+      if (valueColumnDenial) {
+        return valueColumnDenial;
+      }
+
+      const declaredValues = prepareDeclaredValues(declaredFields, valuesResult.entries);
+      if (declaredValues.issues.length > 0) {
+        return valuesValidationError(declaredValues.issues);
+      }
+
+      if (rowPredicate && evaluateFilter(rowPredicate, Object.fromEntries(declaredValues.entries)) !== true) {
+        return rowPolicyViolation({ decision: authorizationResult.decision, operation, tableName });
+      }
+
+      const grantUseDenial = await spendGrantUses(declaredValues.entries.map(([column]) => column));
+      if (grantUseDenial) {
+        return grantUseDenial;
+      }
+
+      const columns = declaredValues.entries.map(([column]) => quoteIdentifier(column));
+      const insertValues = declaredValues.bindValues;
       const placeholders = buildPlaceholders(databaseAdapter.dialect, insertValues.length);
 
       const sql = `INSERT INTO ${quoteIdentifier(tableName)} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`;
@@ -478,26 +1031,51 @@ export function createDataOperationService({
         };
       }
 
-      const filtersResult = normalizeObjectMap(payload.filters, 'filters');
+      const valueColumnDenial = rejectDeniedColumns(valuesResult.entries.map(([column]) => column));
+      if (valueColumnDenial) {
+        return valueColumnDenial;
+      }
+
+      const declaredValues = prepareDeclaredValues(declaredFields, valuesResult.entries);
+      if (declaredValues.issues.length > 0) {
+        return valuesValidationError(declaredValues.issues);
+      }
+
+      if (
+        rowPredicate &&
+        evaluateFilter(rowPredicate, Object.fromEntries(declaredValues.entries), { missing: 'unknown' }) ===
+          false
+      ) {
+        return rowPolicyViolation({ decision: authorizationResult.decision, operation, tableName });
+      }
+
+      const filtersResult = prepareFilters(normalizeFilters(payload.filters, { required: true }));
       if (!filtersResult.ok) {
-        return {
-          statusCode: 400,
-          body: {
-            error: 'VALIDATION_ERROR',
-            message: filtersResult.message
-          }
-        };
+        return filterValidationError(filtersResult.issues);
+      }
+
+      const filterColumnDenial = rejectDeniedColumns(collectFilterColumns(filtersResult.filter));
+      if (filterColumnDenial) {
+        return filterColumnDenial;
+      }
+
+      const grantUseDenial = await spendGrantUses([
+        ...declaredValues.entries.map(([column]) => column),
+        ...collectFilterColumns(filtersResult.filter)
+      ]);
+      if (grantUseDenial) {
+        return grantUseDenial;
       }
 
-      const setPlaceholders = buildPlaceholders(databaseAdapter.dialect, valuesResult.entries.length);
-      const setSql = valuesResult.entries
+      const setPlaceholders = buildPlaceholders(databaseAdapter.dialect, declaredValues.entries.length);
+      const setSql = declaredValues.entries
         .map(([column], index) => `${quoteIdentifier(column)} = ${setPlaceholders[index]}`)
         .join(', ');
-      const setValues = valuesResult.entries.map(([, value]) => value);
+      const setValues = declaredValues.bindValues;
 
       const where = buildWhereClause({
         dialect: databaseAdapter.dialect,
-        filters: filtersResult.entries,
+        filter: toBindFilter(declaredFields, combineFilters([filtersResult.filter, rowPredicate])),
         startingIndex: setValues.length + 1
       });
 
@@ -526,20 +1104,25 @@ export function createDataOperationService({
       };
     }
 
-    const filtersResult = normalizeObjectMap(payload.filters, 'filters');
+    const filtersResult = prepareFilters(normalizeFilters(payload.filters, { required: true }));
     if (!filtersResult.ok) {
-      return {
-        statusCode: 400,
-        body: {
-          error: 'VALIDATION_ERROR',
-          message: filtersResult.message
-        }
-      };
+      return filterValidationError(filtersResult.issues);
+    }
+
+    // rowCount would otherwise reveal whether rows match a filter on a denied column.
+    const filterColumnDenial = rejectDeniedColumns(collectFilterColumns(filtersResult.filter));
+    if (filterColumnDenial) {
+      return filterColumnDenial;
+    }
+
+    const grantUseDenial = await spendGrantUses(collectFilterColumns(filtersResult.filter));
+    if (grantUseDenial) {
+      return grantUseDenial;
     }
 
     const where = buildWhereClause({
       dialect: databaseAdapter.dialect,
-      filters: filtersResult.entries
+      filter: toBindFilter(declaredFields, combineFilters([filtersResult.filter, rowPredicate]))
     });
 
     const sql = `DELETE FROM ${quoteIdentifier(tableName)}${where.whereSql}`;
@@ -604,7 +1187,11 @@ function buildPolicyContext(result) {
 
   return {
     allowed: typeof decision.allowed === 'boolean' ? decision.allowed : null,
-    code: decision.code || null
+    code: decision.code || null,
+    ...(Array.isArray(decision.deniedColumns) && decision.deniedColumns.length > 0
+      ? { deniedColumns: decision.deniedColumns }
+      : {}),
+    ...(decision.policyVersionHash ? { policyVersionHash: decision.policyVersionHash } : {})
   };
 }
 
@@ -615,6 +1202,8 @@ async function attachDataOperationEnvelope({
   receiptService = defaultReceiptService,
   auditService = defaultAuditService
 }) {
+  const auditOperation = String(payload?.operation || '').trim().toLowerCase();
+
   return attachActionResponseEnvelope({
     payload,
     result,
@@ -626,8 +1215,17 @@ async function attachDataOperationEnvelope({
     policy: buildPolicyContext(result),
     execution: buildExecutionContext(result),
     runtimeVerification: result?.body?.runtime || null,
+    page: Number.isInteger(result?.body?.page)
+      ? {
+          number: result.body.page,
+          cursorHash: hashCursor(payload?.cursor),
+          nextCursorHash: hashCursor(result.body.nextCursor)
+        }
+      : null,
     auditContext: {
-      action: 'data:execute',
+      action: DATA_OPERATIONS.includes(auditOperation)
+        ? `data:${auditOperation}`
+        : 'data:execute',
       resource:
         (typeof payload?.tableName === 'string' && payload.tableName.trim().length > 0
           ? payload.tableName.trim().toLowerCase()
@@ -644,10 +1242,24 @@ async function buildRuntimeDataOperationService() {
   const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
   const grantStore = createPolicyGrantStore({ databaseAdapter });
   await grantStore.ensureInitialized();
-  const mutationAuthService = createPolicyMutationAuthService({
-    ...runtimeConfig.auth,
-    enabled: true
-  });
+  const roleStore = createPolicyRoleStore({ databaseAdapter });
+  await roleStore.ensureInitialized();
+  const versionStore = createPolicyVersionStore({ databaseAdapter });
+  await versionStore.ensureInitialized();
+  const delegationUseStore = createDelegationUseStore({ databaseAdapter });
+  await delegationUseStore.ensureInitialized();
+  const mutationAuthService = createPolicyMutationAuthService(
+    {
+      ...runtimeConfig.auth,
+      enabled: true
+    },
+    {
+      nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+        databaseAdapter,
+        scope: 'mutation'
+      })
+    }
+  );
   const runtimeAttestationService = createRuntimeAttestationService(runtimeConfig.proof);
 
   return {
@@ -656,9 +1268,13 @@ async function buildRuntimeDataOperationService() {
       grantStore,
       actionAuthorizationService: createActionAuthorizationService({
         grantStore,
+        roleStore,
+        versionStore,
+        delegationUseStore,
         mutationAuthService
       }),
-      runtimeAttestationService
+      runtimeAttestationService,
+      paginationCursorService: createPaginationCursorService(runtimeConfig.pagination)
     }),
     databaseDialect: databaseAdapter.dialect || 'unknown',
     receiptService: defaultReceiptService,
@@ -677,10 +1293,14 @@ async function getRuntimeDataOperationService() {
   return runtimeDataOperationServicePromise;
 }
 
-export async function handleDataOperationRequest(payload, overrides = null) {
+export async function handleDataOperationRequest(
+  payload,
+  overrides = null,
+  requestContext = { source: 'http' }
+) {
   try {
     if (overrides?.dataOperationService) {
-      const result = await overrides.dataOperationService.execute(payload);
+      const result = await overrides.dataOperationService.execute(payload, requestContext);
       return attachDataOperationEnvelope({
         payload,
         result,
@@ -691,7 +1311,7 @@ export async function handleDataOperationRequest(payload, overrides = null) {
     }
 
     const runtimeContext = await getRuntimeDataOperationService();
-    const result = await runtimeContext.service.execute(payload);
+    const result = await runtimeContext.service.execute(payload, requestContext);
     return attachDataOperationEnvelope({
       payload,
       result,
@@ -0,0 +1,380 @@
+import { OPERATION_TYPES } from '@eigen-private-db-agent/shared-types';
+import { getAddress, isAddress } from 'ethers';
+import { verifyWalletSignature } from './contractSignatureService.js';
+import { buildDelegationTypedData, hashTypedDataRequest } from './eip712TypedData.js';
+
+export const MAX_DELEGATION_CHAIN_LENGTH = 5;
+
+const DELEGATION_SCOPE_TYPES = Object.freeze(['database', 'table']);
+const DELEGATION_CAVEAT_KEYS = Object.freeze(['maxUses', 'capabilities']);
+const TABLE_SCOPE_ID_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function delegationFailure(code, message, statusCode = 401, details = null) {
+  return {
+    ok: false,
+    statusCode,
+    code,
+    message,
+    ...(details ? { details } : {})
+  };
+}
+
+function normalizeScopes(rawScopes, path, issues) {
+  if (!Array.isArray(rawScopes) || rawScopes.length === 0) {
+    issues.push({
+      path,
+      code: 'invalid_scopes',
+      message: 'scopes must be a non-empty array.'
+    });
+    return [];
+  }
+
+  const scopes = [];
+  for (const [index, rawScope] of rawScopes.entries()) {
+    const scopeType = String(rawScope?.scopeType || '').trim().toLowerCase();
+    const scopeId =
+      scopeType === 'database' ? '*' : String(rawScope?.scopeId || '').trim().toLowerCase();
+    if (
+      !DELEGATION_SCOPE_TYPES.includes(scopeType) ||
+      (scopeType === 'table' && !TABLE_SCOPE_ID_PATTERN.test(scopeId))
+    ) {
+      issues.push({
+        path: `${path}[${index}]`,
+        code: 'invalid_scope',
+        message: 'Each scope must be { scopeType: database } or { scopeType: table, scopeId }.'
+      });
+      continue;
+    }
+    scopes.push({ scopeType, scopeId });
+  }
+
+  return scopes;
+}
+
+function normalizeOperations(rawOperations, path, issues) {
+  const operations = Array.isArray(rawOperations)
+    ? [...new Set(rawOperations.map((operation) => String(operation).trim().toLowerCase()))]
+    : [];
+  if (
+    operations.length === 0 ||
+    operations.some((operation) => !OPERATION_TYPES.includes(operation))
+  ) {
+    issues.push({
+      path,
+      code: 'invalid_operations',
+      message: `operations must list values from: ${OPERATION_TYPES.join(', ')}.`
+    });
+  }
+
+  return operations;
+}
+
+function normalizeCaveats(rawCaveats, path, issues) {
+  if (rawCaveats === undefined || rawCaveats === null) {
+    return { maxUses: null, capabilities: null };
+  }
+
+  if (!isPlainObject(rawCaveats)) {
+    issues.push({ path, code: 'invalid_caveats', message: 'caveats must be an object.' });
+    return { maxUses: null, capabilities: null };
+  }
+
+  // Unknown caveats are rejected rather than ignored so a restriction is never dropped.
+  for (const key of Object.keys(rawCaveats)) {
+    if (!DELEGATION_CAVEAT_KEYS.includes(key)) {
+      issues.push({
+        path: `${path}.${key}`,
+        code: 'unsupported_caveat',
+        message: `Supported caveats: ${DELEGATION_CAVEAT_KEYS.join(', ')}.`
+      });
+    }
+  }
+
+  const maxUses = rawCaveats.maxUses ?? null;
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    issues.push({
+      path: `${path}.maxUses`,
+      code: 'invalid_max_uses',
+      message: 'caveats.maxUses must be a positive integer.'
+    });
+  }
+
+  const capabilities = rawCaveats.capabilities ?? null;
+  if (
+    capabilities !== null &&
+    (!Array.isArray(capabilities) ||
+      !capabilities.every((capability) => isNonEmptyString(capability)))
+  ) {
+    issues.push({
+      path: `${path}.capabilities`,
+      code: 'invalid_capabilities',
+      message: 'caveats.capabilities must be an array of capability names.'
+    });
+  }
+
+  return {
+    maxUses,
+    capabilities: Array.isArray(capabilities) ? [...new Set(capabilities)].sort() : null
+  };
+}
+
+function normalizeCertificate(rawCertificate, index, issues) {
+  const path = `delegation[${index}]`;
+  if (!isPlainObject(rawCertificate)) {
+    issues.push({ path, code: 'invalid_certificate', message: 'Certificate must be an object.' });
+    return null;
+  }
+
+  for (const field of ['issuer', 'delegate']) {
+    if (!isNonEmptyString(rawCertificate[field]) || !isAddress(rawCertificate[field])) {
+      issues.push({
+        path: `${path}.${field}`,
+        code: 'invalid_wallet',
+        message: `${field} must be a valid EVM address.`
+      });
+    }
+  }
+
+  for (const field of ['tenantId', 'salt', 'signature']) {
+    if (!isNonEmptyString(rawCertificate[field])) {
+      issues.push({ path: `${path}.${field}`, code: 'required', message: `${field} is required.` });
+    }
+  }
+
+  const expiresAtMs = Date.parse(rawCertificate.expiresAt);
+  if (!Number.isFinite(expiresAtMs)) {
+    issues.push({
+      path: `${path}.expiresAt`,
+      code: 'invalid_timestamp',
+      message: 'expiresAt must be an ISO-8601 timestamp.'
+    });
+  }
+
+  const notBeforeMs =
+    rawCertificate.notBefore === undefined || rawCertificate.notBefore === null
+      ? null
+      : Date.parse(rawCertificate.notBefore);
+  if (notBeforeMs !== null && !Number.isFinite(notBeforeMs)) {
+    issues.push({
+      path: `${path}.notBefore`,
+      code: 'invalid_timestamp',
+      message: 'notBefore must be an ISO-8601 timestamp when provided.'
+    });
+  }
+
+  return {
+    issuer: isAddress(rawCertificate.issuer) ? getAddress(rawCertificate.issuer) : null,
+    delegate: isAddress(rawCertificate.delegate) ? getAddress(rawCertificate.delegate) : null,
+    tenantId: String(rawCertificate.tenantId || '').trim().toLowerCase(),
+    scopes: normalizeScopes(rawCertificate.scopes, `${path}.scopes`, issues),
+    operations: normalizeOperations(rawCertificate.operations, `${path}.operations`, issues),
+    caveats: normalizeCaveats(rawCertificate.caveats, `${path}.caveats`, issues),
+    notBeforeMs,
+    expiresAtMs
+  };
+}
+
+function scopeCovers(parentScopes, scope) {
+  return parentScopes.some(
+    (parent) =>
+      parent.scopeType === 'database' ||
+      (parent.scopeType === scope.scopeType && parent.scopeId === scope.scopeId)
+  );
+}
+
+function operationCovers(parentOperations, operation) {
+  return parentOperations.includes('all') || parentOperations.includes(operation);
+}
+
+// A link may only keep or tighten what its parent granted.
+function findWidening(parent, child) {
+  if (!child.scopes.every((scope) => scopeCovers(parent.scopes, scope))) {
+    return 'scopes';
+  }
+
+  if (!child.operations.every((operation) => operationCovers(parent.operations, operation))) {
+    return 'operations';
+  }
+
+  if (child.expiresAtMs > parent.expiresAtMs) {
+    return 'expiresAt';
+  }
+
+  if (
+    parent.caveats.maxUses !== null &&
+    (child.caveats.maxUses === null || child.caveats.maxUses > parent.caveats.maxUses)
+  ) {
+    return 'caveats.maxUses';
+  }
+
+  if (
+    parent.caveats.capabilities !== null &&
+    (child.caveats.capabilities === null ||
+      !child.caveats.capabilities.every((capability) =>
+        parent.caveats.capabilities.includes(capability)
+      ))
+  ) {
+    return 'caveats.capabilities';
+  }
+
+  return null;
+}
+
+export async function verifyDelegationChain({
+  chain,
+  principal,
+  tenantId,
+  domain,
+  nowMs,
+  contractSignatureVerifier = null
+}) {
+  if (
+    !Array.isArray(chain) ||
+    chain.length === 0 ||
+    chain.length > MAX_DELEGATION_CHAIN_LENGTH
+  ) {
+    return delegationFailure(
+      'INVALID_DELEGATION',
+      `delegation must be an array of 1 to ${MAX_DELEGATION_CHAIN_LENGTH} certificates.`,
+      400
+    );
+  }
+
+  const issues = [];
+  const links = chain.map((rawCertificate, index) =>
+    normalizeCertificate(rawCertificate, index, issues)
+  );
+  if (issues.length > 0) {
+    return delegationFailure('INVALID_DELEGATION', 'Delegation chain is malformed.', 400, {
+      issues
+    });
+  }
+
+  let expectedIssuer = getAddress(principal);
+  const verifiedLinks = [];
+  for (const [index, link] of links.entries()) {
+    if (link.issuer !== expectedIssuer) {
+      return delegationFailure(
+        'DELEGATION_CHAIN_BROKEN',
+        `delegation[${index}] must be issued by ${expectedIssuer}.`
+      );
+    }
+
+    if (link.tenantId !== tenantId) {
+      return delegationFailure(
+        'DELEGATION_TENANT_MISMATCH',
+        `delegation[${index}] is not issued for tenant '${tenantId}'.`
+      );
+    }
+
+    if (link.expiresAtMs <= nowMs) {
+      return delegationFailure('DELEGATION_EXPIRED', `delegation[${index}] has expired.`);
+    }
+
+    if (link.notBeforeMs !== null && link.notBeforeMs > nowMs) {
+      return delegationFailure(
+        'DELEGATION_NOT_YET_VALID',
+        `delegation[${index}] is not valid yet.`
+      );
+    }
+
+    const widened = index > 0 ? findWidening(links[index - 1], link) : null;
+    if (widened) {
+      return delegationFailure(
+        'DELEGATION_WIDENS_SCOPE',
+        `delegation[${index}] widens ${widened} granted by its issuer.`
+      );
+    }
+
+    const signedTypedData = buildDelegationTypedData(chain[index], domain);
+    const signatureCheck = await verifyWalletSignature({
+      address: link.issuer,
+      signedTypedData,
+      signature: chain[index].signature,
+      contractSignatureVerifier
+    });
+    if (!signatureCheck.valid) {
+      return signatureCheck.reason === 'unavailable'
+        ? delegationFailure(
+            'CONTRACT_SIGNATURE_UNAVAILABLE',
+            `Unable to verify contract wallet signature: ${signatureCheck.message}`,
+            503
+          )
+        : delegationFailure(
+            'DELEGATION_SIGNATURE_INVALID',
+            `delegation[${index}] is not signed by its issuer.`
+          );
+    }
+
+    verifiedLinks.push({
+      delegationId: hashTypedDataRequest(signedTypedData),
+      issuer: link.issuer,
+      delegate: link.delegate,
+      maxUses: link.caveats.maxUses
+    });
+    expectedIssuer = link.delegate;
+  }
+
+  // Narrowing is enforced per link, so the leaf already is the intersection of the chain.
+  const leaf = links[links.length - 1];
+  return {
+    ok: true,
+    principal: getAddress(principal),
+    delegate: leaf.delegate,
+    scopes: leaf.scopes,
+    operations: leaf.operations,
+    capabilities: leaf.caveats.capabilities,
+    expiresAt: new Date(leaf.expiresAtMs).toISOString(),
+    links: verifiedLinks
+  };
+}
+
+// Capability caveats restrict which query capabilities the delegate may use; actions
+// without a capability (data and schema mutations) are checked on scope and operation only.
+export function evaluateDelegationScope(
+  delegation,
+  { scopeType, scopeId, operation, capability = null }
+) {
+  if (!scopeCovers(delegation.scopes, { scopeType, scopeId })) {
+    return {
+      allowed: false,
+      code: 'DELEGATION_SCOPE_DENIED',
+      message: `Delegation does not cover ${scopeType} '${scopeId}'.`
+    };
+  }
+
+  if (!operationCovers(delegation.operations, operation)) {
+    return {
+      allowed: false,
+      code: 'DELEGATION_SCOPE_DENIED',
+      message: `Delegation does not cover operation '${operation}'.`
+    };
+  }
+
+  if (capability && delegation.capabilities && !delegation.capabilities.includes(capability)) {
+    return {
+      allowed: false,
+      code: 'DELEGATION_SCOPE_DENIED',
+      message: `Delegation does not cover capability '${capability}'.`
+    };
+  }
+
+  return { allowed: true, code: 'DELEGATION_SCOPE_ALLOW', message: 'Delegation covers request.' };
+}
+
+export function summarizeDelegation(delegation) {
+  return {
+    principal: delegation.principal,
+    delegate: delegation.delegate,
+    expiresAt: delegation.expiresAt,
+    delegationIds: delegation.links.map((link) => link.delegationId)
+  };
+}
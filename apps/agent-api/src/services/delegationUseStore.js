@@ -0,0 +1,176 @@
+function createPlaceholders(dialect, count, offset = 0) {
+  if (dialect === 'postgres') {
+    return Array.from({ length: count }, (_, index) => `$${index + 1 + offset}`);
+  }
+
+  return Array.from({ length: count }, () => '?');
+}
+
+// Every link carrying a maxUses caveat spends one use, so a parent budget also caps
+// everything delegated beneath it.
+export function listDelegationUseLinks(delegation) {
+  return (delegation?.links || [])
+    .filter((link) => link.maxUses !== null && link.maxUses !== undefined)
+    .map((link) => ({ delegationId: link.delegationId, maxUses: link.maxUses }));
+}
+
+// Spends the usage-limited grants and capped delegation links of one validated request in a
+// single transaction, so an exhausted counter leaves every other counter untouched.
+export async function consumeRequestUses({
+  grantStore,
+  useStore,
+  tenantId,
+  grantIds = [],
+  delegationLinks = []
+}) {
+  if (grantIds.length === 0 && delegationLinks.length === 0) {
+    return { ok: true };
+  }
+
+  if (delegationLinks.length > 0 && !useStore) {
+    return {
+      ok: false,
+      statusCode: 503,
+      code: 'DELEGATION_USES_UNTRACKED',
+      message: 'Delegation use counter is not configured; maxUses caveats cannot be enforced.'
+    };
+  }
+
+  let failure = null;
+  const exhausted = new Error('Request uses are exhausted.');
+  try {
+    await grantStore.runInTransaction(async (executor) => {
+      if (
+        grantIds.length > 0 &&
+        !(await grantStore.consumeGrantUses({ tenantId, grantIds, executor }))
+      ) {
+        failure = {
+          ok: false,
+          statusCode: 403,
+          code: 'GRANT_EXHAUSTED',
+          message: 'Matching grant has no remaining uses.'
+        };
+        throw exhausted;
+      }
+
+      for (const link of delegationLinks) {
+        const consumed = await useStore.consumeUse({
+          tenantId,
+          delegationId: link.delegationId,
+          maxUses: link.maxUses,
+          executor
+        });
+        if (!consumed) {
+          failure = {
+            ok: false,
+            statusCode: 403,
+            code: 'DELEGATION_EXHAUSTED',
+            message: 'Delegation has no remaining uses.'
+          };
+          throw exhausted;
+        }
+      }
+    });
+  } catch (error) {
+    if (error === exhausted) {
+      return failure;
+    }
+
+    throw error;
+  }
+
+  return { ok: true };
+}
+
+export function createDelegationUseStore({ databaseAdapter }) {
+  if (!databaseAdapter || typeof databaseAdapter.execute !== 'function') {
+    throw new Error('databaseAdapter is required for delegation use store.');
+  }
+
+  const dialect = databaseAdapter.dialect;
+  if (!['sqlite', 'postgres'].includes(dialect)) {
+    throw new Error(`Unsupported database dialect '${dialect}' for delegation use store.`);
+  }
+
+  let initPromise = null;
+
+  async function ensureInitialized() {
+    if (!initPromise) {
+      initPromise = initializeSchema().catch((error) => {
+        initPromise = null;
+        throw error;
+      });
+    }
+
+    return initPromise;
+  }
+
+  async function initializeSchema() {
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE TABLE IF NOT EXISTS delegation_uses (
+          tenant_id TEXT NOT NULL,
+          delegation_id TEXT NOT NULL,
+          use_count INTEGER NOT NULL,
+          max_uses INTEGER NOT NULL,
+          PRIMARY KEY (tenant_id, delegation_id)
+        )
+      `,
+      values: []
+    });
+  }
+
+  async function consumeUse({ tenantId, delegationId, maxUses, executor = null }) {
+    await ensureInitialized();
+    const target = executor || databaseAdapter;
+    const insertParams = createPlaceholders(dialect, 3);
+    await target.execute({
+      mode: 'write',
+      sql: `
+        INSERT INTO delegation_uses (tenant_id, delegation_id, use_count, max_uses)
+        VALUES (${insertParams[0]}, ${insertParams[1]}, 0, ${insertParams[2]})
+        ON CONFLICT (tenant_id, delegation_id) DO NOTHING
+      `,
+      values: [tenantId, delegationId, maxUses]
+    });
+
+    const updateParams = createPlaceholders(dialect, 2);
+    const result = await target.execute({
+      mode: 'write',
+      sql: `
+        UPDATE delegation_uses
+        SET use_count = use_count + 1
+        WHERE tenant_id = ${updateParams[0]}
+          AND delegation_id = ${updateParams[1]}
+          AND use_count < max_uses
+      `,
+      values: [tenantId, delegationId]
+    });
+
+    return Number(result.rowCount || 0) > 0;
+  }
+
+  async function getUseCount({ tenantId, delegationId }) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, 2);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT use_count
+        FROM delegation_uses
+        WHERE tenant_id = ${params[0]} AND delegation_id = ${params[1]}
+        LIMIT 1
+      `,
+      values: [tenantId, delegationId]
+    });
+
+    return Number(result.rows?.[0]?.use_count || 0);
+  }
+
+  return {
+    ensureInitialized,
+    consumeUse,
+    getUseCount
+  };
+}
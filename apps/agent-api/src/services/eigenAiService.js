@@ -1,6 +1,8 @@
 import { createHash, randomUUID } from 'node:crypto';
 import { Wallet, verifyMessage } from 'ethers';
 import {
+  COLUMN_SCOPE_ID_PATTERN,
+  FIELD_TYPES,
   OPERATION_TYPES,
   SCOPE_TYPES,
   WALLET_ADDRESS_PATTERN
@@ -13,6 +15,7 @@ import {
 } from './actionResponseEnvelopeService.js';
 import { createAiDraftStore } from './aiDraftStore.js';
 import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
 import {
   buildPolicyMutationMessage,
   createPolicyMutationAuthService
@@ -23,6 +26,21 @@ import { validateAndCompileSchemaDsl } from './schemaDslService.js';
 const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
 const IDENTIFIER_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
 const walletRegex = new RegExp(WALLET_ADDRESS_PATTERN);
+const SCHEMA_DRAFT_FIELD_TYPES = Object.freeze([
+  ...FIELD_TYPES.filter((type) => type !== 'decimal'),
+  'decimal(precision, scale)'
+]);
+// Type names models commonly produce for the DSL's domain types.
+const PROVIDER_FIELD_TYPE_ALIASES = Object.freeze({
+  wallet: 'address',
+  wallet_address: 'address',
+  evm_address: 'address',
+  tx_hash: 'bytes32',
+  hash: 'bytes32',
+  bytes: 'bytea',
+  blob: 'bytea',
+  binary: 'bytea'
+});
 
 function isObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
@@ -55,6 +73,11 @@ function normalizeIdentifier(rawValue, fallbackValue) {
   return IDENTIFIER_PATTERN.test(candidate) ? candidate : fallbackValue;
 }
 
+function normalizeColumnScopeId(rawValue) {
+  const candidate = isNonEmptyString(rawValue) ? rawValue.trim().toLowerCase() : '';
+  return COLUMN_SCOPE_ID_PATTERN.test(candidate) ? candidate : '';
+}
+
 function stableSort(value) {
   if (Array.isArray(value)) {
     return value.map((item) => stableSort(item));
@@ -133,6 +156,23 @@ async function signAndVerifyDraftEnvelope({ envelope, aiConfig }) {
 function createDefaultTableDraft(prompt, { databaseName }) {
   const normalizedPrompt = String(prompt || '').toLowerCase();
 
+  if (normalizedPrompt.includes('transfer') || normalizedPrompt.includes('token')) {
+    return [
+      {
+        name: 'token_transfers',
+        fields: [
+          { name: 'transfer_id', type: 'uuid', primaryKey: true, nullable: false },
+          { name: 'tx_hash', type: 'bytes32', nullable: false },
+          { name: 'from_address', type: 'address', nullable: false },
+          { name: 'to_address', type: 'address', nullable: false },
+          { name: 'amount', type: 'decimal(78, 0)', nullable: false },
+          { name: 'transfer_date', type: 'date', nullable: false }
+        ],
+        indexes: [{ fields: ['tx_hash'] }]
+      }
+    ];
+  }
+
   if (normalizedPrompt.includes('inventory')) {
     return [
       {
@@ -257,6 +297,29 @@ function extractProviderDraft(responseBody) {
   return null;
 }
 
+function normalizeProviderFieldType(rawType) {
+  if (typeof rawType !== 'string') {
+    return rawType;
+  }
+
+  const type = rawType.trim().toLowerCase();
+  return PROVIDER_FIELD_TYPE_ALIASES[type] || type.replace(/^numeric(?=\s*\()/, 'decimal');
+}
+
+// Unknown types are left for DSL validation to reject.
+function normalizeProviderTables(tables) {
+  return tables.map((table) =>
+    isObject(table) && Array.isArray(table.fields)
+      ? {
+          ...table,
+          fields: table.fields.map((field) =>
+            isObject(field) ? { ...field, type: normalizeProviderFieldType(field.type) } : field
+          )
+        }
+      : table
+  );
+}
+
 function normalizeProviderSchemaSubmissionPayload({
   payload,
   tenantId,
@@ -335,7 +398,7 @@ function normalizeProviderSchemaSubmissionPayload({
           ? providerDatabase.description.trim()
           : description
       },
-      tables: providerTables,
+      tables: normalizeProviderTables(providerTables),
       grants: providerGrants
     }
   };
@@ -399,6 +462,7 @@ function buildProviderRequestPayload({
     actorWallet,
     prompt,
     context: isObject(context) ? context : {},
+    ...(draftType === 'schema' ? { fieldTypes: SCHEMA_DRAFT_FIELD_TYPES } : {}),
     model
   };
 }
@@ -584,12 +648,17 @@ function validatePolicyGrants(grants) {
     const scopeId =
       scopeType === 'database'
         ? '*'
-        : normalizeIdentifier(grant.scopeId, '');
-    if (scopeType === 'table' && !isNonEmptyString(scopeId)) {
+        : scopeType === 'column'
+          ? normalizeColumnScopeId(grant.scopeId)
+          : normalizeIdentifier(grant.scopeId, '');
+    if (scopeType !== 'database' && !isNonEmptyString(scopeId)) {
       issues.push({
         path: `grants[${index}].scopeId`,
         code: 'invalid_scope_id',
-        message: 'scopeId is required for table scope.'
+        message:
+          scopeType === 'column'
+            ? 'scopeId must be <table>.<column> for column scope.'
+            : 'scopeId is required for table scope.'
       });
     }
 
@@ -1071,10 +1140,18 @@ async function buildRuntimeEigenAiService() {
     service: createEigenAiService({
       aiConfig: runtimeConfig.ai,
       aiDraftStore,
-      mutationAuthService: createPolicyMutationAuthService({
-        ...runtimeConfig.auth,
-        enabled: true
-      })
+      mutationAuthService: createPolicyMutationAuthService(
+        {
+          ...runtimeConfig.auth,
+          enabled: true
+        },
+        {
+          nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+            databaseAdapter,
+            scope: 'mutation'
+          })
+        }
+      )
     }),
     databaseDialect: databaseAdapter.dialect || 'unknown',
     receiptService: defaultReceiptService,
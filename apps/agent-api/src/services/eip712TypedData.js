@@ -0,0 +1,189 @@
+import { TypedDataEncoder, id, verifyTypedData } from 'ethers';
+
+export const AUTH_SCHEMES = Object.freeze(['personal_sign', 'eip712']);
+
+const DEFAULT_DOMAIN_NAME = 'PrivateDbAgent';
+const DEFAULT_DOMAIN_VERSION = '1';
+const DEFAULT_DOMAIN_CHAIN_ID = 1;
+const DEFAULT_SERVICE_ID = 'private-db-agent-api';
+
+const EIP712_DOMAIN_TYPE = Object.freeze([
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'salt', type: 'bytes32' }
+]);
+
+// Free-form request bodies (query params, grant payloads, filters) are carried as
+// stable JSON strings; the fields a wallet user should recognise are typed.
+export const EIP712_TYPES = Object.freeze({
+  QueryRequest: Object.freeze([
+    { name: 'requestId', type: 'string' },
+    { name: 'tenantId', type: 'string' },
+    { name: 'requester', type: 'address' },
+    { name: 'capability', type: 'string' },
+    { name: 'queryTemplate', type: 'string' },
+    { name: 'queryParams', type: 'string' },
+    { name: 'cursor', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'nonce', type: 'string' },
+    { name: 'signedAt', type: 'string' }
+  ]),
+  DataExecuteRequest: Object.freeze([
+    { name: 'requestId', type: 'string' },
+    { name: 'tenantId', type: 'string' },
+    { name: 'actorWallet', type: 'address' },
+    { name: 'tableName', type: 'string' },
+    { name: 'operation', type: 'string' },
+    { name: 'request', type: 'string' },
+    { name: 'nonce', type: 'string' },
+    { name: 'signedAt', type: 'string' }
+  ]),
+  PolicyMutation: Object.freeze([
+    { name: 'requestId', type: 'string' },
+    { name: 'tenantId', type: 'string' },
+    { name: 'actorWallet', type: 'address' },
+    { name: 'action', type: 'string' },
+    { name: 'payload', type: 'string' },
+    { name: 'nonce', type: 'string' },
+    { name: 'signedAt', type: 'string' }
+  ]),
+  Delegation: Object.freeze([
+    { name: 'issuer', type: 'address' },
+    { name: 'delegate', type: 'address' },
+    { name: 'tenantId', type: 'string' },
+    { name: 'scopes', type: 'string' },
+    { name: 'operations', type: 'string' },
+    { name: 'notBefore', type: 'string' },
+    { name: 'expiresAt', type: 'string' },
+    { name: 'caveats', type: 'string' },
+    { name: 'salt', type: 'string' }
+  ])
+});
+
+function stableSort(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => stableSort(item));
+  }
+
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      sorted[key] = stableSort(value[key]);
+    }
+    return sorted;
+  }
+
+  return value;
+}
+
+function stableStringify(value) {
+  return JSON.stringify(stableSort(value));
+}
+
+function asString(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+export function buildEip712Domain(rawDomainConfig = {}) {
+  const serviceId = rawDomainConfig.serviceId || DEFAULT_SERVICE_ID;
+
+  return {
+    name: rawDomainConfig.name || DEFAULT_DOMAIN_NAME,
+    version: rawDomainConfig.version || DEFAULT_DOMAIN_VERSION,
+    chainId: rawDomainConfig.chainId || DEFAULT_DOMAIN_CHAIN_ID,
+    salt: id(serviceId)
+  };
+}
+
+export function describeEip712Domain(rawDomainConfig = {}) {
+  return {
+    domain: buildEip712Domain(rawDomainConfig),
+    serviceId: rawDomainConfig.serviceId || DEFAULT_SERVICE_ID,
+    types: {
+      EIP712Domain: EIP712_DOMAIN_TYPE,
+      ...EIP712_TYPES
+    }
+  };
+}
+
+function typedData(domain, primaryType, message) {
+  return {
+    domain,
+    primaryType,
+    types: { [primaryType]: EIP712_TYPES[primaryType] },
+    message
+  };
+}
+
+export function buildQueryTypedData(payload, domain) {
+  const chainId = Number.isSafeInteger(payload.chainId) && payload.chainId > 0 ? payload.chainId : 0;
+
+  return typedData(domain, 'QueryRequest', {
+    requestId: asString(payload.requestId),
+    tenantId: asString(payload.tenantId),
+    requester: payload.requester,
+    capability: asString(payload.capability),
+    queryTemplate: asString(payload.queryTemplate),
+    queryParams: stableStringify(payload.queryParams || {}),
+    cursor: asString(payload.cursor),
+    chainId,
+    nonce: asString(payload.auth?.nonce),
+    signedAt: asString(payload.auth?.signedAt)
+  });
+}
+
+export function buildPolicyMutationTypedData(
+  { requestId, tenantId, actorWallet, action, payload, nonce, signedAt },
+  domain
+) {
+  if (action === 'data:execute') {
+    return typedData(domain, 'DataExecuteRequest', {
+      requestId: asString(requestId),
+      tenantId: asString(tenantId),
+      actorWallet,
+      tableName: asString(payload?.tableName),
+      operation: asString(payload?.operation),
+      request: stableStringify(payload || {}),
+      nonce: asString(nonce),
+      signedAt: asString(signedAt)
+    });
+  }
+
+  return typedData(domain, 'PolicyMutation', {
+    requestId: asString(requestId),
+    tenantId: asString(tenantId),
+    actorWallet,
+    action: asString(action),
+    payload: stableStringify(payload || {}),
+    nonce: asString(nonce),
+    signedAt: asString(signedAt)
+  });
+}
+
+export function buildDelegationTypedData(certificate, domain) {
+  return typedData(domain, 'Delegation', {
+    issuer: certificate.issuer,
+    delegate: certificate.delegate,
+    tenantId: asString(certificate.tenantId),
+    scopes: stableStringify(certificate.scopes || []),
+    operations: stableStringify(certificate.operations || []),
+    notBefore: asString(certificate.notBefore),
+    expiresAt: asString(certificate.expiresAt),
+    caveats: stableStringify(certificate.caveats || {}),
+    salt: asString(certificate.salt)
+  });
+}
+
+export function recoverTypedDataSigner(data, signature) {
+  return verifyTypedData(data.domain, data.types, data.message, signature);
+}
+
+export function hashTypedDataRequest(data) {
+  return TypedDataEncoder.hash(data.domain, data.types, data.message);
+}
+
+export function resolveAuthScheme(auth) {
+  const scheme = auth?.scheme === undefined || auth?.scheme === null ? 'personal_sign' : auth.scheme;
+  return AUTH_SCHEMES.includes(scheme) ? scheme : null;
+}
@@ -1,5 +1,17 @@
 import { randomUUID } from 'node:crypto';
 
+const MIGRATION_STEP_ACTIONS = Object.freeze([
+  'ensure_database',
+  'create_table',
+  'add_column',
+  'drop_column',
+  'rename_column',
+  'alter_column_nullability',
+  'create_index',
+  'drop_index',
+  'drop_table'
+]);
+
 function isNonEmptyString(value) {
   return typeof value === 'string' && value.trim().length > 0;
 }
@@ -12,6 +24,15 @@ function createPlaceholders(dialect, count, offset = 0) {
   return Array.from({ length: count }, () => '?');
 }
 
+// Most steps carry one statement in `sql`; table rebuilds carry an ordered `statements` list.
+function getStepStatements(step) {
+  if (Array.isArray(step.statements)) {
+    return step.statements.filter((statement) => isNonEmptyString(statement));
+  }
+
+  return isNonEmptyString(step.sql) ? [step.sql] : [];
+}
+
 function validateMigrationPlan(migrationPlan) {
   const issues = [];
 
@@ -52,11 +73,23 @@ function validateMigrationPlan(migrationPlan) {
         });
       }
 
-      if (step.action === 'create_table' && !isNonEmptyString(step.sql)) {
+      if (isNonEmptyString(step.action) && !MIGRATION_STEP_ACTIONS.includes(step.action)) {
+        issues.push({
+          path: `migrationPlan.steps[${index}].action`,
+          code: 'unsupported_action',
+          message: `step.action must be one of: ${MIGRATION_STEP_ACTIONS.join(', ')}.`
+        });
+      }
+
+      if (
+        step.action !== 'ensure_database' &&
+        MIGRATION_STEP_ACTIONS.includes(step.action) &&
+        getStepStatements(step).length === 0
+      ) {
         issues.push({
           path: `migrationPlan.steps[${index}].sql`,
           code: 'required',
-          message: 'create_table step must include sql.'
+          message: `${step.action} step must include sql.`
         });
       }
     });
@@ -98,6 +131,21 @@ async function ensureMetadataTables(executor, dialect) {
     values: []
   });
 
+  await executor.execute({
+    mode: 'write',
+    sql: `
+      CREATE TABLE IF NOT EXISTS managed_table_schemas (
+        tenant_id TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        database_name TEXT NOT NULL,
+        definition_json TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (tenant_id, table_name)
+      )
+    `,
+    values: []
+  });
+
   await executor.execute({
     mode: 'write',
     sql: `
@@ -145,6 +193,46 @@ async function insertManagedTable(executor, dialect, { tenantId, tableName, crea
   });
 }
 
+async function upsertTableDefinition(
+  executor,
+  dialect,
+  { tenantId, databaseName, definition, updatedAt }
+) {
+  const placeholders = createPlaceholders(dialect, 5);
+  await executor.execute({
+    mode: 'write',
+    sql: `
+      INSERT INTO managed_table_schemas (
+        tenant_id,
+        table_name,
+        database_name,
+        definition_json,
+        updated_at
+      )
+      VALUES (${placeholders.join(', ')})
+      ON CONFLICT (tenant_id, table_name) DO UPDATE
+      SET database_name = excluded.database_name,
+        definition_json = excluded.definition_json,
+        updated_at = excluded.updated_at
+    `,
+    values: [tenantId, definition.name, databaseName, JSON.stringify(definition), updatedAt]
+  });
+}
+
+async function removeManagedTable(executor, dialect, { tenantId, tableName }) {
+  const placeholders = createPlaceholders(dialect, 2);
+  for (const metadataTable of ['managed_tables', 'managed_table_schemas']) {
+    await executor.execute({
+      mode: 'write',
+      sql: `
+        DELETE FROM ${metadataTable}
+        WHERE tenant_id = ${placeholders[0]} AND table_name = ${placeholders[1]}
+      `,
+      values: [tenantId, tableName]
+    });
+  }
+}
+
 async function insertMigrationHistory(
   executor,
   dialect,
@@ -188,6 +276,76 @@ export function createMigrationRunnerService({
     throw new Error('databaseAdapter must support runInTransaction for migration runner.');
   }
 
+  // Without a databaseName, returns the tenant's tables across all databases.
+  async function loadAppliedSchema({ tenantId, databaseName = null }) {
+    await ensureMetadataTables(databaseAdapter, databaseAdapter.dialect);
+    const placeholders = createPlaceholders(databaseAdapter.dialect, 2);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT definition_json
+        FROM managed_table_schemas
+        WHERE tenant_id = ${placeholders[0]}
+          ${databaseName === null ? '' : `AND database_name = ${placeholders[1]}`}
+        ORDER BY table_name ASC
+      `,
+      values: [tenantId.trim().toLowerCase(), ...(databaseName === null ? [] : [databaseName])]
+    });
+
+    return (result.rows || []).map((row) => JSON.parse(row.definition_json));
+  }
+
+  // Lists the tables the tenant owns alongside every table and index in the database, so a
+  // diff can refuse to adopt tables or index names it did not create and only drop its own.
+  async function loadSchemaCatalog({ tenantId }) {
+    await ensureMetadataTables(databaseAdapter, databaseAdapter.dialect);
+    const placeholders = createPlaceholders(databaseAdapter.dialect, 1);
+    const owned = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT table_name
+        FROM managed_tables
+        WHERE tenant_id = ${placeholders[0]}
+        ORDER BY table_name ASC
+      `,
+      values: [tenantId.trim().toLowerCase()]
+    });
+    const existing = await databaseAdapter.execute({
+      mode: 'read',
+      sql:
+        databaseAdapter.dialect === 'postgres'
+          ? `
+            SELECT table_name AS name
+            FROM information_schema.tables
+            WHERE table_schema = current_schema()
+          `
+          : `SELECT name FROM sqlite_master WHERE type = 'table'`,
+      values: []
+    });
+
+    const indexes = await databaseAdapter.execute({
+      mode: 'read',
+      sql:
+        databaseAdapter.dialect === 'postgres'
+          ? `
+            SELECT indexname AS name, tablename AS table_name
+            FROM pg_indexes
+            WHERE schemaname = current_schema()
+          `
+          : `SELECT name, tbl_name AS table_name FROM sqlite_master WHERE type = 'index'`,
+      values: []
+    });
+
+    return {
+      ownedTables: (owned.rows || []).map((row) => row.table_name),
+      existingTables: (existing.rows || []).map((row) => row.name),
+      existingIndexes: (indexes.rows || []).map((row) => ({
+        name: row.name,
+        tableName: row.table_name
+      }))
+    };
+  }
+
   async function applyMigrationPlan({ tenantId, requestId, migrationPlan }) {
     if (!isNonEmptyString(tenantId) || !isNonEmptyString(requestId)) {
       return {
@@ -219,6 +377,10 @@ export function createMigrationRunnerService({
     const appliedAt = now();
     const managedTables = extractManagedTables(migrationPlan);
     const migrationSteps = migrationPlan.steps || [];
+    const schemaState = migrationPlan.schemaState || null;
+    const droppedTables = Array.isArray(schemaState?.droppedTables)
+      ? schemaState.droppedTables
+      : [];
 
     try {
       await databaseAdapter.runInTransaction(async (executor) => {
@@ -229,16 +391,13 @@ export function createMigrationRunnerService({
             continue;
           }
 
-          if (step.action === 'create_table') {
+          for (const statement of getStepStatements(step)) {
             await executor.execute({
               mode: 'write',
-              sql: step.sql,
+              sql: statement,
               values: []
             });
-            continue;
           }
-
-          throw new Error(`Unsupported migration step action '${step.action}'.`);
         }
 
         for (const tableName of managedTables) {
@@ -249,6 +408,24 @@ export function createMigrationRunnerService({
           });
         }
 
+        if (schemaState) {
+          for (const definition of schemaState.tables || []) {
+            await upsertTableDefinition(executor, databaseAdapter.dialect, {
+              tenantId: safeTenantId,
+              databaseName: migrationPlan.databaseName,
+              definition,
+              updatedAt: appliedAt
+            });
+          }
+
+          for (const tableName of droppedTables) {
+            await removeManagedTable(executor, databaseAdapter.dialect, {
+              tenantId: safeTenantId,
+              tableName
+            });
+          }
+        }
+
         await insertMigrationHistory(executor, databaseAdapter.dialect, {
           migrationId,
           tenantId: safeTenantId,
@@ -278,12 +455,15 @@ export function createMigrationRunnerService({
         planHash: migrationPlan.planHash || 'unknown-plan-hash',
         stepCount: migrationSteps.length,
         appliedAt,
-        managedTables
+        managedTables,
+        droppedTables
       }
     };
   }
 
   return {
+    loadAppliedSchema,
+    loadSchemaCatalog,
     applyMigrationPlan
   };
 }
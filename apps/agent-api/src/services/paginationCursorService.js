@@ -0,0 +1,155 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const CURSOR_VERSION = 1;
+const DEFAULT_CURSOR_TTL_SECONDS = 3600;
+const MAX_CURSOR_LENGTH = 4096;
+
+function stableSort(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => stableSort(item));
+  }
+
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      sorted[key] = stableSort(value[key]);
+    }
+    return sorted;
+  }
+
+  return value;
+}
+
+function stableStringify(value) {
+  return JSON.stringify(stableSort(value));
+}
+
+function hashSha256Hex(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+function cursorError(statusCode, code, message) {
+  return {
+    ok: false,
+    statusCode,
+    code,
+    message
+  };
+}
+
+export function hashCursor(cursor) {
+  return typeof cursor === 'string' && cursor.length > 0 ? hashSha256Hex(cursor) : null;
+}
+
+export function toCursorKeyValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  return value ?? null;
+}
+
+export function createPaginationCursorService({
+  cursorSecret = '',
+  cursorTtlSeconds = DEFAULT_CURSOR_TTL_SECONDS,
+  now = () => Date.now()
+} = {}) {
+  const signingKey = cursorSecret ? String(cursorSecret) : randomBytes(32).toString('hex');
+
+  function sign(encodedPayload) {
+    return createHmac('sha256', signingKey).update(encodedPayload).digest('base64url');
+  }
+
+  function hashBinding(binding) {
+    return hashSha256Hex(stableStringify(binding || {}));
+  }
+
+  function issueCursor({ binding, keyValues, page }) {
+    const encodedPayload = Buffer.from(
+      JSON.stringify({
+        v: CURSOR_VERSION,
+        b: hashBinding(binding),
+        k: keyValues.map((value) => toCursorKeyValue(value)),
+        p: page,
+        iat: Math.floor(now() / 1000)
+      }),
+      'utf-8'
+    ).toString('base64url');
+
+    return `${encodedPayload}.${sign(encodedPayload)}`;
+  }
+
+  function resolveCursor({ cursor, binding }) {
+    if (cursor === undefined || cursor === null || cursor === '') {
+      return {
+        ok: true,
+        page: 1,
+        keyValues: null,
+        cursorHash: null
+      };
+    }
+
+    if (typeof cursor !== 'string' || cursor.length > MAX_CURSOR_LENGTH) {
+      return cursorError(400, 'INVALID_CURSOR', 'cursor must be an opaque string issued by this service.');
+    }
+
+    const [encodedPayload, signature, ...rest] = cursor.split('.');
+    if (!encodedPayload || !signature || rest.length > 0) {
+      return cursorError(400, 'INVALID_CURSOR', 'cursor is malformed.');
+    }
+
+    const expectedSignature = Buffer.from(sign(encodedPayload));
+    const providedSignature = Buffer.from(signature);
+    if (
+      expectedSignature.length !== providedSignature.length ||
+      !timingSafeEqual(expectedSignature, providedSignature)
+    ) {
+      return cursorError(400, 'INVALID_CURSOR', 'cursor signature is invalid.');
+    }
+
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+    } catch {
+      return cursorError(400, 'INVALID_CURSOR', 'cursor payload is unreadable.');
+    }
+
+    if (
+      decoded?.v !== CURSOR_VERSION ||
+      !Array.isArray(decoded.k) ||
+      !Number.isInteger(decoded.p) ||
+      decoded.p < 2 ||
+      !Number.isInteger(decoded.iat)
+    ) {
+      return cursorError(400, 'INVALID_CURSOR', 'cursor payload is invalid.');
+    }
+
+    if (Math.floor(now() / 1000) - decoded.iat > cursorTtlSeconds) {
+      return cursorError(400, 'CURSOR_EXPIRED', 'cursor has expired; restart from the first page.');
+    }
+
+    if (decoded.b !== hashBinding(binding)) {
+      return cursorError(
+        403,
+        'CURSOR_BINDING_MISMATCH',
+        'cursor was issued for a different requester, tenant, template or filter set.'
+      );
+    }
+
+    return {
+      ok: true,
+      page: decoded.p,
+      keyValues: decoded.k,
+      cursorHash: hashCursor(cursor)
+    };
+  }
+
+  return {
+    issueCursor,
+    resolveCursor
+  };
+}
@@ -1,4 +1,6 @@
+import { isDeepStrictEqual } from 'node:util';
 import {
+  COLUMN_SCOPE_ID_PATTERN,
   OPERATION_TYPES,
   SCOPE_TYPES,
   WALLET_ADDRESS_PATTERN
@@ -10,12 +12,24 @@ import {
   createNoopAuditService
 } from './actionResponseEnvelopeService.js';
 import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
+import { normalizeFilters } from './dataFilterGrammar.js';
 import {
   evaluatePolicyDecision,
-  POLICY_REQUEST_OPERATIONS
+  expandRoleAssignments,
+  GRANT_CONDITION_SOURCES,
+  POLICY_REQUEST_OPERATIONS,
+  resolveGrantStatus,
+  ROW_PREDICATE_REFERENCES
 } from './policyDecisionEngine.js';
+import {
+  collectMutationApproval,
+  createPolicyApprovalStore
+} from './policyApprovalStore.js';
 import { createPolicyGrantStore } from './policyGrantStore.js';
 import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
+import { createPolicyRoleStore } from './policyRoleStore.js';
+import { createPolicyVersionStore } from './policyVersionStore.js';
 import { createReceiptService } from './receiptService.js';
 import {
   createPermissiveRuntimeAttestationService,
@@ -25,6 +39,7 @@ import {
 const EFFECT_TYPES = Object.freeze(['allow', 'deny']);
 const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
 const TABLE_SCOPE_ID_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+const TABLE_SCOPE_GLOB_PATTERN = /^[a-z*][a-z0-9_*]{0,62}$/;
 const walletRegex = new RegExp(WALLET_ADDRESS_PATTERN);
 
 function isNonEmptyString(value) {
@@ -108,7 +123,7 @@ function normalizeEffect(rawEffect) {
   return normalized;
 }
 
-function normalizeScopeId(scopeType, rawScopeId) {
+function normalizeScopeId(scopeType, rawScopeId, { allowPattern = false } = {}) {
   if (scopeType === 'database') {
     return '*';
   }
@@ -118,14 +133,258 @@ function normalizeScopeId(scopeType, rawScopeId) {
   }
 
   const normalized = rawScopeId.trim().toLowerCase();
-  if (!TABLE_SCOPE_ID_PATTERN.test(normalized)) {
+  if (allowPattern && scopeType === 'table' && normalized.includes('*')) {
+    const collapsed = normalized.replace(/\*+/g, '*');
+    return TABLE_SCOPE_GLOB_PATTERN.test(collapsed) && collapsed !== '*' ? collapsed : null;
+  }
+
+  const pattern = scopeType === 'column' ? COLUMN_SCOPE_ID_PATTERN : TABLE_SCOPE_ID_PATTERN;
+  if (!pattern.test(normalized)) {
     return null;
   }
 
   return normalized;
 }
 
-function normalizeCreateGrantPayload(payload) {
+function normalizeTimestamp(rawValue) {
+  if (rawValue === undefined || rawValue === null) {
+    return null;
+  }
+
+  if (!isNonEmptyString(rawValue)) {
+    return undefined;
+  }
+
+  const parsed = Date.parse(rawValue.trim());
+  return Number.isFinite(parsed) ? new Date(parsed).toISOString() : undefined;
+}
+
+const TIME_OF_DAY_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+const GRANT_CONDITION_KEYS = Object.freeze(['timeWindow', 'chainIds', 'sources', 'attestation']);
+
+function normalizeGrantConditions(rawConditions, { path, issues }) {
+  if (rawConditions === undefined || rawConditions === null) {
+    return null;
+  }
+
+  if (typeof rawConditions !== 'object' || Array.isArray(rawConditions)) {
+    issues.push({
+      path,
+      code: 'invalid_conditions',
+      message: `${path} must be an object.`
+    });
+    return null;
+  }
+
+  const issueCount = issues.length;
+  const conditions = {};
+  for (const key of Object.keys(rawConditions)) {
+    if (!GRANT_CONDITION_KEYS.includes(key)) {
+      issues.push({
+        path: `${path}.${key}`,
+        code: 'unsupported_condition',
+        message: `${path} supports only: ${GRANT_CONDITION_KEYS.join(', ')}.`
+      });
+    }
+  }
+
+  const { timeWindow, chainIds, sources, attestation } = rawConditions;
+  if (timeWindow !== undefined) {
+    const start = typeof timeWindow?.start === 'string' ? timeWindow.start.trim() : null;
+    const end = typeof timeWindow?.end === 'string' ? timeWindow.end.trim() : null;
+    if (!TIME_OF_DAY_PATTERN.test(start) || !TIME_OF_DAY_PATTERN.test(end) || start === end) {
+      issues.push({
+        path: `${path}.timeWindow`,
+        code: 'invalid_time_window',
+        message: `${path}.timeWindow must have distinct start and end times formatted HH:MM (UTC).`
+      });
+    } else {
+      conditions.timeWindow = { start, end };
+    }
+  }
+
+  if (chainIds !== undefined) {
+    if (
+      !Array.isArray(chainIds) ||
+      chainIds.length === 0 ||
+      !chainIds.every((chainId) => Number.isSafeInteger(chainId) && chainId > 0)
+    ) {
+      issues.push({
+        path: `${path}.chainIds`,
+        code: 'invalid_chain_ids',
+        message: `${path}.chainIds must be a non-empty array of positive integers.`
+      });
+    } else {
+      conditions.chainIds = [...new Set(chainIds)].sort((left, right) => left - right);
+    }
+  }
+
+  if (sources !== undefined) {
+    if (
+      !Array.isArray(sources) ||
+      sources.length === 0 ||
+      !sources.every((source) => GRANT_CONDITION_SOURCES.includes(source))
+    ) {
+      issues.push({
+        path: `${path}.sources`,
+        code: 'invalid_sources',
+        message: `${path}.sources must be a non-empty subset of: ${GRANT_CONDITION_SOURCES.join(', ')}.`
+      });
+    } else {
+      conditions.sources = GRANT_CONDITION_SOURCES.filter((source) => sources.includes(source));
+    }
+  }
+
+  if (attestation !== undefined) {
+    if (attestation !== 'verified') {
+      issues.push({
+        path: `${path}.attestation`,
+        code: 'invalid_attestation',
+        message: `${path}.attestation must be 'verified'.`
+      });
+    } else {
+      conditions.attestation = attestation;
+    }
+  }
+
+  if (issues.length > issueCount || Object.keys(conditions).length === 0) {
+    return null;
+  }
+
+  return conditions;
+}
+
+export function normalizeGrantRule(rule, { path, issues }) {
+  const scopeType = normalizeScopeType(rule?.scopeType);
+  if (!scopeType) {
+    issues.push({
+      path: `${path}.scopeType`,
+      code: 'invalid_scope_type',
+      message: `${path}.scopeType must be one of: ${SCOPE_TYPES.join(', ')}.`
+    });
+  }
+
+  const scopeId = normalizeScopeId(scopeType, rule?.scopeId, { allowPattern: true });
+  if (!scopeId) {
+    issues.push({
+      path: `${path}.scopeId`,
+      code: 'invalid_scope_id',
+      message:
+        `${path}.scopeId is required for table scope and must match [a-z][a-z0-9_]{0,62} or a glob such as events_* (or <table>.<column> for column scope).`
+    });
+  }
+
+  const operation = normalizeOperation(rule?.operation);
+  if (!operation) {
+    issues.push({
+      path: `${path}.operation`,
+      code: 'invalid_operation',
+      message: `${path}.operation must be one of: ${OPERATION_TYPES.join(', ')}.`
+    });
+  }
+
+  const effect = normalizeEffect(rule?.effect);
+  if (!effect) {
+    issues.push({
+      path: `${path}.effect`,
+      code: 'invalid_effect',
+      message: `${path}.effect must be one of: ${EFFECT_TYPES.join(', ')}.`
+    });
+  }
+
+  let rowPredicate = null;
+  if (rule?.rowPredicate !== undefined && rule?.rowPredicate !== null) {
+    if (scopeType && scopeType !== 'table') {
+      issues.push({
+        path: `${path}.rowPredicate`,
+        code: 'unsupported_scope',
+        message: `${path}.rowPredicate is only supported on table scope grants.`
+      });
+    } else if (effect && effect !== 'allow') {
+      issues.push({
+        path: `${path}.rowPredicate`,
+        code: 'unsupported_effect',
+        message: `${path}.rowPredicate is only supported on allow grants.`
+      });
+    } else {
+      const predicateResult = normalizeFilters(rule.rowPredicate, {
+        path: `${path}.rowPredicate`,
+        references: ROW_PREDICATE_REFERENCES
+      });
+      if (predicateResult.ok) {
+        rowPredicate = predicateResult.filter;
+      } else {
+        issues.push(...predicateResult.issues);
+      }
+    }
+  }
+
+  const conditions = normalizeGrantConditions(rule?.conditions, {
+    path: `${path}.conditions`,
+    issues
+  });
+
+  return { scopeType, scopeId, operation, effect, rowPredicate, conditions };
+}
+
+// Pass now: null to accept grants that have already expired (bundle import).
+export function normalizeGrantEntry(grant, { path, issues, now }) {
+  const walletAddress = normalizeWalletAddress(grant?.walletAddress);
+  if (!walletAddress) {
+    issues.push({
+      path: `${path}.walletAddress`,
+      code: 'invalid_wallet',
+      message: `${path}.walletAddress must be a valid EVM wallet address.`
+    });
+  }
+
+  const rule = normalizeGrantRule(grant, { path, issues });
+
+  const notBefore = normalizeTimestamp(grant?.notBefore);
+  if (notBefore === undefined) {
+    issues.push({
+      path: `${path}.notBefore`,
+      code: 'invalid_timestamp',
+      message: `${path}.notBefore must be an ISO-8601 timestamp.`
+    });
+  }
+
+  const expiresAt = normalizeTimestamp(grant?.expiresAt);
+  if (expiresAt === undefined) {
+    issues.push({
+      path: `${path}.expiresAt`,
+      code: 'invalid_timestamp',
+      message: `${path}.expiresAt must be an ISO-8601 timestamp.`
+    });
+  } else if (expiresAt && (notBefore || now) && expiresAt <= (notBefore || now)) {
+    issues.push({
+      path: `${path}.expiresAt`,
+      code: 'invalid_window',
+      message: notBefore
+        ? `${path}.expiresAt must be after ${path}.notBefore.`
+        : `${path}.expiresAt must be in the future.`
+    });
+  }
+
+  const maxUses = grant?.maxUses === undefined || grant?.maxUses === null ? null : grant.maxUses;
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    issues.push({
+      path: `${path}.maxUses`,
+      code: 'invalid_max_uses',
+      message: `${path}.maxUses must be a positive integer.`
+    });
+  }
+
+  return {
+    walletAddress,
+    ...rule,
+    notBefore,
+    expiresAt,
+    maxUses
+  };
+}
+
+function normalizeCreateGrantPayload(payload, { now }) {
   const issues = [];
   const tenantId = normalizeTenantId(payload?.tenantId);
   if (!tenantId) {
@@ -163,50 +422,7 @@ function normalizeCreateGrantPayload(payload) {
     });
   }
 
-  const targetWallet = normalizeWalletAddress(grant?.walletAddress);
-  if (!targetWallet) {
-    issues.push({
-      path: 'grant.walletAddress',
-      code: 'invalid_wallet',
-      message: 'grant.walletAddress must be a valid EVM wallet address.'
-    });
-  }
-
-  const scopeType = normalizeScopeType(grant?.scopeType);
-  if (!scopeType) {
-    issues.push({
-      path: 'grant.scopeType',
-      code: 'invalid_scope_type',
-      message: `grant.scopeType must be one of: ${SCOPE_TYPES.join(', ')}.`
-    });
-  }
-
-  const scopeId = normalizeScopeId(scopeType, grant?.scopeId);
-  if (!scopeId) {
-    issues.push({
-      path: 'grant.scopeId',
-      code: 'invalid_scope_id',
-      message: 'grant.scopeId is required for table scope and must match [a-z][a-z0-9_]{0,62}.'
-    });
-  }
-
-  const operation = normalizeOperation(grant?.operation);
-  if (!operation) {
-    issues.push({
-      path: 'grant.operation',
-      code: 'invalid_operation',
-      message: `grant.operation must be one of: ${OPERATION_TYPES.join(', ')}.`
-    });
-  }
-
-  const effect = normalizeEffect(grant?.effect);
-  if (!effect) {
-    issues.push({
-      path: 'grant.effect',
-      code: 'invalid_effect',
-      message: `grant.effect must be one of: ${EFFECT_TYPES.join(', ')}.`
-    });
-  }
+  const normalizedGrant = normalizeGrantEntry(grant, { path: 'grant', issues, now });
 
   return {
     ok: issues.length === 0,
@@ -215,13 +431,7 @@ function normalizeCreateGrantPayload(payload) {
       requestId,
       tenantId,
       actorWallet,
-      grant: {
-        walletAddress: targetWallet,
-        scopeType,
-        scopeId,
-        operation,
-        effect
-      }
+      grant: normalizedGrant
     }
   };
 }
@@ -315,7 +525,8 @@ function normalizePreviewPayload(payload) {
     issues.push({
       path: 'scopeId',
       code: 'invalid_scope_id',
-      message: 'scopeId is required for table scope and must match [a-z][a-z0-9_]{0,62}.'
+      message:
+        'scopeId is required for table scope and must match [a-z][a-z0-9_]{0,62} (or <table>.<column> for column scope).'
     });
   }
 
@@ -328,6 +539,8 @@ function normalizePreviewPayload(payload) {
     });
   }
 
+  const context = normalizePreviewContext(payload?.context, issues);
+
   return {
     ok: issues.length === 0,
     issues,
@@ -336,26 +549,176 @@ function normalizePreviewPayload(payload) {
       walletAddress,
       scopeType,
       scopeId,
-      operation
+      operation,
+      context
     }
   };
 }
 
+function normalizePreviewContext(rawContext, issues) {
+  if (rawContext === undefined || rawContext === null) {
+    return null;
+  }
+
+  if (typeof rawContext !== 'object' || Array.isArray(rawContext)) {
+    issues.push({
+      path: 'context',
+      code: 'invalid_context',
+      message: 'context must be an object.'
+    });
+    return null;
+  }
+
+  const { source = null, chainId = null, attestationVerified = false } = rawContext;
+  if (source !== null && !GRANT_CONDITION_SOURCES.includes(source)) {
+    issues.push({
+      path: 'context.source',
+      code: 'invalid_source',
+      message: `context.source must be one of: ${GRANT_CONDITION_SOURCES.join(', ')}.`
+    });
+  }
+
+  if (chainId !== null && !(Number.isSafeInteger(chainId) && chainId > 0)) {
+    issues.push({
+      path: 'context.chainId',
+      code: 'invalid_chain_id',
+      message: 'context.chainId must be a positive integer.'
+    });
+  }
+
+  if (typeof attestationVerified !== 'boolean') {
+    issues.push({
+      path: 'context.attestationVerified',
+      code: 'invalid_attestation',
+      message: 'context.attestationVerified must be a boolean.'
+    });
+  }
+
+  return { source, chainId, attestationVerified };
+}
+
 function isValidBootstrapGrant({ actorWallet, grant }) {
   return (
     actorWallet === grant.walletAddress &&
     grant.scopeType === 'database' &&
     grant.scopeId === '*' &&
     grant.operation === 'all' &&
-    grant.effect === 'allow'
+    grant.effect === 'allow' &&
+    !grant.notBefore &&
+    !grant.expiresAt &&
+    grant.maxUses === null &&
+    !grant.conditions
   );
 }
 
-async function evaluateActorAuthorityForGrant({ grantStore, tenantId, actorWallet, grant }) {
+function isUnrestrictedAuthorityGrant(grant) {
+  return (
+    !grant.rowPredicate &&
+    !grant.conditions &&
+    !grant.notBefore &&
+    !grant.expiresAt &&
+    (grant.maxUses === null || grant.maxUses === undefined)
+  );
+}
+
+function toEpochMillis(value) {
+  return typeof value === 'number' ? value : Date.parse(value);
+}
+
+function andConditions(filter) {
+  return filter.type === 'and' ? filter.conditions : [filter];
+}
+
+function conditionsAtLeastAsNarrow(required, candidate) {
+  if (!candidate) {
+    return false;
+  }
+
+  if (required.timeWindow && !isDeepStrictEqual(required.timeWindow, candidate.timeWindow)) {
+    return false;
+  }
+
+  for (const key of ['chainIds', 'sources']) {
+    if (
+      required[key] &&
+      !(candidate[key] && candidate[key].every((entry) => required[key].includes(entry)))
+    ) {
+      return false;
+    }
+  }
+
+  return !required.attestation || candidate.attestation === required.attestation;
+}
+
+// A restricted authority grant only lets the actor hand out grants that carry the same
+// restrictions or tighter ones: every row predicate the actor is bound by, an expiry no
+// later than theirs, no more uses than they have left and at least their conditions.
+function findNarrowingIssues({ authorityGrant, rowPredicates, grant, now }) {
+  const issues = [];
+  const candidateConditions = grant.rowPredicate ? andConditions(grant.rowPredicate) : [];
+  const predicateCovered = rowPredicates.every((predicate) =>
+    andConditions(predicate).every((required) =>
+      candidateConditions.some((condition) => isDeepStrictEqual(condition, required))
+    )
+  );
+  if (!predicateCovered) {
+    issues.push('rowPredicate must include every row predicate bounding the actor grant');
+  }
+
+  if (
+    authorityGrant.expiresAt &&
+    !(
+      grant.expiresAt &&
+      toEpochMillis(grant.expiresAt) <= toEpochMillis(authorityGrant.expiresAt)
+    )
+  ) {
+    issues.push(`expiresAt must not be later than ${authorityGrant.expiresAt}`);
+  }
+
+  if (
+    authorityGrant.notBefore &&
+    toEpochMillis(grant.notBefore || now) < toEpochMillis(authorityGrant.notBefore)
+  ) {
+    issues.push(`notBefore must not be earlier than ${authorityGrant.notBefore}`);
+  }
+
+  if (
+    authorityGrant.maxUses !== null &&
+    authorityGrant.maxUses !== undefined &&
+    !(
+      grant.maxUses !== null &&
+      grant.maxUses !== undefined &&
+      grant.maxUses <= authorityGrant.usesRemaining
+    )
+  ) {
+    issues.push(`maxUses must not exceed the ${authorityGrant.usesRemaining} uses left`);
+  }
+
+  if (
+    authorityGrant.conditions &&
+    !conditionsAtLeastAsNarrow(authorityGrant.conditions, grant.conditions)
+  ) {
+    issues.push('conditions must include every condition on the actor grant');
+  }
+
+  return issues;
+}
+
+export async function evaluateActorAuthorityForGrant({
+  grantStore,
+  roleStore = null,
+  tenantId,
+  actorWallet,
+  grant,
+  now = Date.now()
+}) {
   const actorGrants = await grantStore.listActiveGrants({
     tenantId,
     walletAddress: actorWallet
   });
+  const actorRoleAssignments = roleStore
+    ? await roleStore.listActiveAssignments({ tenantId, walletAddress: actorWallet })
+    : [];
 
   const operationsToCheck =
     grant.operation === 'all' ? POLICY_REQUEST_OPERATIONS : [grant.operation];
@@ -368,7 +731,9 @@ async function evaluateActorAuthorityForGrant({ grantStore, tenantId, actorWalle
       scopeType: grant.scopeType,
       scopeId: grant.scopeId,
       operation,
-      grants: actorGrants
+      grants: actorGrants,
+      roleAssignments: actorRoleAssignments,
+      now
     });
 
     if (!decisionResult.ok) {
@@ -393,6 +758,42 @@ async function evaluateActorAuthorityForGrant({ grantStore, tenantId, actorWalle
         evaluation
       };
     }
+
+    const authorityGrant = decisionResult.decision.matchedGrant;
+    const predicateGrantIds = decisionResult.decision.rowPredicate?.grantIds || [];
+    if (
+      grant.effect === 'deny' ||
+      (isUnrestrictedAuthorityGrant(authorityGrant) && predicateGrantIds.length === 0)
+    ) {
+      continue;
+    }
+
+    if (grant.walletAddress === actorWallet) {
+      return {
+        allowed: false,
+        code: 'SELF_ESCALATION_BLOCKED',
+        message: `Actor holds '${operation}' only through a restricted grant and cannot issue themselves another grant from it.`,
+        evaluation
+      };
+    }
+
+    const actorRules = [...actorGrants, ...expandRoleAssignments(actorRoleAssignments)];
+    const narrowingIssues = findNarrowingIssues({
+      authorityGrant,
+      rowPredicates: actorRules
+        .filter((rule) => predicateGrantIds.includes(rule.grantId))
+        .map((rule) => rule.rowPredicate),
+      grant,
+      now
+    });
+    if (narrowingIssues.length > 0) {
+      return {
+        allowed: false,
+        code: 'AUTHORITY_NARROWER_THAN_GRANT',
+        message: `Actor holds '${operation}' only through a restricted grant: ${narrowingIssues.join('; ')}.`,
+        evaluation
+      };
+    }
   }
 
   return {
@@ -403,8 +804,49 @@ async function evaluateActorAuthorityForGrant({ grantStore, tenantId, actorWalle
   };
 }
 
+export function summarizePolicyVersion(version) {
+  return version
+    ? {
+        versionNumber: version.versionNumber,
+        contentHash: version.contentHash,
+        createdAt: version.createdAt
+      }
+    : null;
+}
+
+export async function recordPolicyVersion({
+  grantStore,
+  roleStore = null,
+  versionStore,
+  tenantId,
+  changeType,
+  change,
+  createdBy,
+  createdAt
+}) {
+  if (!versionStore) {
+    return null;
+  }
+
+  const grants = await grantStore.listActiveGrants({ tenantId });
+  const version = await versionStore.recordVersion({
+    tenantId,
+    grants,
+    roles: roleStore ? await roleStore.listRoles({ tenantId }) : [],
+    roleAssignments: roleStore ? await roleStore.listActiveAssignments({ tenantId }) : [],
+    changeType,
+    change,
+    createdBy,
+    createdAt
+  });
+  return summarizePolicyVersion(version);
+}
+
 export function createPolicyAdminService({
   grantStore,
+  roleStore = null,
+  versionStore = null,
+  approvalStore = null,
   mutationAuthService,
   runtimeAttestationService = createPermissiveRuntimeAttestationService(),
   now = () => new Date().toISOString()
@@ -418,7 +860,7 @@ export function createPolicyAdminService({
   }
 
   async function createGrant(payload) {
-    const normalizedPayload = normalizeCreateGrantPayload(payload);
+    const normalizedPayload = normalizeCreateGrantPayload(payload, { now: now() });
     if (!normalizedPayload.ok) {
       return validationError('Invalid grant mutation payload.', normalizedPayload.issues);
     }
@@ -461,7 +903,7 @@ export function createPolicyAdminService({
       if (!isValidBootstrapGrant(normalizedPayload.normalized)) {
         return serviceError(
           'BOOTSTRAP_REQUIRED',
-          'First tenant grant must be self-issued database all allow grant.',
+          'First tenant grant must be self-issued database all allow grant without time or use limits.',
           403
         );
       }
@@ -475,9 +917,11 @@ export function createPolicyAdminService({
     } else {
       authorityResult = await evaluateActorAuthorityForGrant({
         grantStore,
+        roleStore,
         tenantId: normalizedPayload.normalized.tenantId,
         actorWallet: authResult.actorWallet,
-        grant: normalizedPayload.normalized.grant
+        grant: normalizedPayload.normalized.grant,
+        now: now()
       });
 
       if (!authorityResult.allowed) {
@@ -494,7 +938,8 @@ export function createPolicyAdminService({
 
     const existingGrant = await grantStore.findActiveEquivalent({
       tenantId: normalizedPayload.normalized.tenantId,
-      ...normalizedPayload.normalized.grant
+      ...normalizedPayload.normalized.grant,
+      activeAt: now()
     });
 
     if (existingGrant) {
@@ -506,6 +951,20 @@ export function createPolicyAdminService({
       );
     }
 
+    const approvalResult = await collectMutationApproval({
+      approvalStore,
+      tenantId: normalizedPayload.normalized.tenantId,
+      action: 'policy:grant:create',
+      requestId: normalizedPayload.normalized.requestId,
+      payload: normalizedPayload.normalized.grant,
+      actorWallet: authResult.actorWallet,
+      signatureHash: authResult.signatureHash,
+      now
+    });
+    if (!approvalResult.ok) {
+      return approvalResult.response;
+    }
+
     const createdAt = now();
     const createdGrant = await grantStore.createGrant({
       tenantId: normalizedPayload.normalized.tenantId,
@@ -514,6 +973,16 @@ export function createPolicyAdminService({
       createdAt,
       signatureHash: authResult.signatureHash
     });
+    const policyVersion = await recordPolicyVersion({
+      grantStore,
+      roleStore,
+      versionStore,
+      tenantId: normalizedPayload.normalized.tenantId,
+      changeType: 'grant:create',
+      change: { grantId: createdGrant.grantId },
+      createdBy: authResult.actorWallet,
+      createdAt
+    });
 
     return {
       statusCode: 201,
@@ -521,6 +990,8 @@ export function createPolicyAdminService({
         code: 'GRANT_CREATED',
         message: 'Grant created.',
         grant: createdGrant,
+        ...(policyVersion ? { policyVersion } : {}),
+        ...(approvalResult.approval ? { approval: approvalResult.approval } : {}),
         actorAuthority: authorityResult,
         runtime: runtimeCheck.snapshot || null
       }
@@ -593,6 +1064,7 @@ export function createPolicyAdminService({
 
     const authorityResult = await evaluateActorAuthorityForGrant({
       grantStore,
+      roleStore,
       tenantId: normalizedPayload.normalized.tenantId,
       actorWallet: authResult.actorWallet,
       grant: {
@@ -600,7 +1072,8 @@ export function createPolicyAdminService({
         scopeId: existingGrant.scopeId,
         operation: existingGrant.operation,
         effect: existingGrant.effect
-      }
+      },
+      now: now()
     });
 
     if (!authorityResult.allowed) {
@@ -614,6 +1087,23 @@ export function createPolicyAdminService({
       );
     }
 
+    const approvalResult = await collectMutationApproval({
+      approvalStore,
+      tenantId: normalizedPayload.normalized.tenantId,
+      action: 'policy:grant:revoke',
+      requestId: normalizedPayload.normalized.requestId,
+      payload: {
+        grantId: normalizedPayload.normalized.grantId,
+        expectedSignatureHash: normalizedPayload.normalized.expectedSignatureHash
+      },
+      actorWallet: authResult.actorWallet,
+      signatureHash: authResult.signatureHash,
+      now
+    });
+    if (!approvalResult.ok) {
+      return approvalResult.response;
+    }
+
     const revokedAt = now();
     const revoked = await grantStore.revokeGrant({
       tenantId: normalizedPayload.normalized.tenantId,
@@ -630,6 +1120,16 @@ export function createPolicyAdminService({
       tenantId: normalizedPayload.normalized.tenantId,
       grantId: normalizedPayload.normalized.grantId
     });
+    const policyVersion = await recordPolicyVersion({
+      grantStore,
+      roleStore,
+      versionStore,
+      tenantId: normalizedPayload.normalized.tenantId,
+      changeType: 'grant:revoke',
+      change: { grantId: normalizedPayload.normalized.grantId },
+      createdBy: authResult.actorWallet,
+      createdAt: revokedAt
+    });
 
     return {
       statusCode: 200,
@@ -637,13 +1137,15 @@ export function createPolicyAdminService({
         code: 'GRANT_REVOKED',
         message: 'Grant revoked.',
         grant: updatedGrant,
+        ...(policyVersion ? { policyVersion } : {}),
+        ...(approvalResult.approval ? { approval: approvalResult.approval } : {}),
         actorAuthority: authorityResult,
         runtime: runtimeCheck.snapshot || null
       }
     };
   }
 
-  async function listGrants({ tenantId, walletAddress = null }) {
+  async function listGrants({ tenantId, walletAddress = null, includeExpired = false }) {
     const safeTenantId = normalizeTenantId(tenantId);
     if (!safeTenantId) {
       return validationError('Invalid query parameters.', [
@@ -666,10 +1168,20 @@ export function createPolicyAdminService({
       ]);
     }
 
-    const grants = await grantStore.listActiveGrants({
-      tenantId: safeTenantId,
-      walletAddress: safeWallet
-    });
+    const listedAt = now();
+    const grants = (
+      await grantStore.listActiveGrants({
+        tenantId: safeTenantId,
+        walletAddress: safeWallet
+      })
+    )
+      .map((grant) => ({ ...grant, status: resolveGrantStatus(grant, listedAt) }))
+      .filter(
+        (grant) =>
+          includeExpired === true ||
+          includeExpired === 'true' ||
+          !['expired', 'exhausted'].includes(grant.status)
+      );
 
     return {
       statusCode: 200,
@@ -690,10 +1202,18 @@ export function createPolicyAdminService({
       tenantId: normalizedPayload.normalized.tenantId,
       walletAddress: normalizedPayload.normalized.walletAddress
     });
+    const roleAssignments = roleStore
+      ? await roleStore.listActiveAssignments({
+          tenantId: normalizedPayload.normalized.tenantId,
+          walletAddress: normalizedPayload.normalized.walletAddress
+        })
+      : [];
 
     const decisionResult = evaluatePolicyDecision({
       ...normalizedPayload.normalized,
-      grants
+      grants,
+      roleAssignments,
+      now: now()
     });
 
     if (!decisionResult.ok) {
@@ -806,14 +1326,31 @@ async function buildRuntimePolicyAdminService() {
   const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
   const grantStore = createPolicyGrantStore({ databaseAdapter });
   await grantStore.ensureInitialized();
+  const roleStore = createPolicyRoleStore({ databaseAdapter });
+  await roleStore.ensureInitialized();
+  const versionStore = createPolicyVersionStore({ databaseAdapter });
+  await versionStore.ensureInitialized();
+  const approvalStore = createPolicyApprovalStore({ databaseAdapter });
+  await approvalStore.ensureInitialized();
 
   return {
     service: createPolicyAdminService({
       grantStore,
-      mutationAuthService: createPolicyMutationAuthService({
-        ...runtimeConfig.auth,
-        enabled: true
-      }),
+      roleStore,
+      versionStore,
+      approvalStore,
+      mutationAuthService: createPolicyMutationAuthService(
+        {
+          ...runtimeConfig.auth,
+          enabled: true
+        },
+        {
+          nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+            databaseAdapter,
+            scope: 'mutation'
+          })
+        }
+      ),
       runtimeAttestationService: createRuntimeAttestationService(runtimeConfig.proof)
     }),
     databaseDialect: databaseAdapter.dialect || 'unknown',
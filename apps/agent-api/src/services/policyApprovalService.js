@@ -0,0 +1,724 @@
+import { WALLET_ADDRESS_PATTERN } from '@eigen-private-db-agent/shared-types';
+import { loadConfig } from '../config.js';
+import { createDatabaseAdapter } from '../db/databaseAdapterFactory.js';
+import {
+  attachActionResponseEnvelope,
+  createNoopAuditService
+} from './actionResponseEnvelopeService.js';
+import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
+import { evaluateActorAuthorityForGrant } from './policyAdminService.js';
+import {
+  collectMutationApproval,
+  createPolicyApprovalStore,
+  PENDING_MUTATION_STATUSES,
+  QUORUM_ACTIONS,
+  summarizePendingMutation
+} from './policyApprovalStore.js';
+import { createPolicyGrantStore } from './policyGrantStore.js';
+import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
+import { createPolicyRoleStore } from './policyRoleStore.js';
+import { createReceiptService } from './receiptService.js';
+import {
+  createPermissiveRuntimeAttestationService,
+  createRuntimeAttestationService
+} from './runtimeAttestationService.js';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const MAX_APPROVERS = 20;
+const DEFAULT_QUORUM_TTL_SECONDS = 86400;
+const MIN_QUORUM_TTL_SECONDS = 60;
+const MAX_QUORUM_TTL_SECONDS = 604800;
+const POLICY_ADMIN_GRANT = Object.freeze({
+  scopeType: 'database',
+  scopeId: '*',
+  operation: 'all',
+  effect: 'allow'
+});
+const walletRegex = new RegExp(WALLET_ADDRESS_PATTERN);
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validationError(message, issues = []) {
+  return {
+    statusCode: 400,
+    body: {
+      error: 'VALIDATION_ERROR',
+      message,
+      details: {
+        issues
+      }
+    }
+  };
+}
+
+function serviceError(code, message, statusCode, details = null) {
+  return {
+    statusCode,
+    body: {
+      error: code,
+      message,
+      ...(details ? { details } : {})
+    }
+  };
+}
+
+function normalizeTenantId(rawTenantId) {
+  if (!isNonEmptyString(rawTenantId)) {
+    return null;
+  }
+
+  const normalized = rawTenantId.trim().toLowerCase();
+  return TENANT_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+function normalizeWalletAddress(rawWalletAddress) {
+  if (!isNonEmptyString(rawWalletAddress)) {
+    return null;
+  }
+
+  const normalized = rawWalletAddress.trim().toLowerCase();
+  return walletRegex.test(normalized) ? normalized : null;
+}
+
+function normalizeMutationEnvelope(payload, issues) {
+  const tenantId = normalizeTenantId(payload?.tenantId);
+  if (!tenantId) {
+    issues.push({
+      path: 'tenantId',
+      code: 'invalid_tenant_id',
+      message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+    });
+  }
+
+  const requestId = isNonEmptyString(payload?.requestId) ? payload.requestId.trim() : null;
+  if (!requestId) {
+    issues.push({
+      path: 'requestId',
+      code: 'required',
+      message: 'requestId is required.'
+    });
+  }
+
+  const actorWallet = normalizeWalletAddress(payload?.actorWallet);
+  if (!actorWallet) {
+    issues.push({
+      path: 'actorWallet',
+      code: 'invalid_wallet',
+      message: 'actorWallet must be a valid EVM wallet address.'
+    });
+  }
+
+  return { tenantId, requestId, actorWallet };
+}
+
+function normalizeQuorumPayload(payload) {
+  const issues = [];
+  const envelope = normalizeMutationEnvelope(payload, issues);
+  const rawQuorum = payload?.quorum;
+  if (!isPlainObject(rawQuorum)) {
+    issues.push({
+      path: 'quorum',
+      code: 'required',
+      message: 'quorum object is required.'
+    });
+    return { ok: false, issues, normalized: envelope };
+  }
+
+  const action = isNonEmptyString(rawQuorum.action) ? rawQuorum.action.trim() : null;
+  if (!action || !QUORUM_ACTIONS.includes(action)) {
+    issues.push({
+      path: 'quorum.action',
+      code: 'invalid_action',
+      message: `quorum.action must be one of: ${QUORUM_ACTIONS.join(', ')}.`
+    });
+  }
+
+  if (rawQuorum.remove === true) {
+    return {
+      ok: issues.length === 0,
+      issues,
+      normalized: {
+        ...envelope,
+        quorum: { action, remove: true }
+      }
+    };
+  }
+
+  const approvers = [];
+  if (
+    !Array.isArray(rawQuorum.approvers) ||
+    rawQuorum.approvers.length === 0 ||
+    rawQuorum.approvers.length > MAX_APPROVERS
+  ) {
+    issues.push({
+      path: 'quorum.approvers',
+      code: 'invalid_approvers',
+      message: `quorum.approvers must list between 1 and ${MAX_APPROVERS} wallet addresses.`
+    });
+  } else {
+    for (const [index, rawApprover] of rawQuorum.approvers.entries()) {
+      const approver = normalizeWalletAddress(rawApprover);
+      if (!approver) {
+        issues.push({
+          path: `quorum.approvers[${index}]`,
+          code: 'invalid_wallet',
+          message: 'Each approver must be a valid EVM wallet address.'
+        });
+      } else if (approvers.includes(approver)) {
+        issues.push({
+          path: `quorum.approvers[${index}]`,
+          code: 'duplicate_approver',
+          message: 'Approvers must be distinct wallets.'
+        });
+      } else {
+        approvers.push(approver);
+      }
+    }
+  }
+
+  const threshold = rawQuorum.threshold;
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > approvers.length) {
+    issues.push({
+      path: 'quorum.threshold',
+      code: 'invalid_threshold',
+      message: 'quorum.threshold must be an integer between 1 and the number of approvers.'
+    });
+  }
+
+  const ttlSeconds =
+    rawQuorum.ttlSeconds === undefined || rawQuorum.ttlSeconds === null
+      ? DEFAULT_QUORUM_TTL_SECONDS
+      : rawQuorum.ttlSeconds;
+  if (
+    !Number.isInteger(ttlSeconds) ||
+    ttlSeconds < MIN_QUORUM_TTL_SECONDS ||
+    ttlSeconds > MAX_QUORUM_TTL_SECONDS
+  ) {
+    issues.push({
+      path: 'quorum.ttlSeconds',
+      code: 'invalid_ttl',
+      message: `quorum.ttlSeconds must be an integer between ${MIN_QUORUM_TTL_SECONDS} and ${MAX_QUORUM_TTL_SECONDS}.`
+    });
+  }
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      ...envelope,
+      quorum: {
+        action,
+        threshold,
+        approvers: [...approvers].sort(),
+        ttlSeconds
+      }
+    }
+  };
+}
+
+function normalizeCancelPayload(payload) {
+  const issues = [];
+  const envelope = normalizeMutationEnvelope(payload, issues);
+  const pendingMutationId = isNonEmptyString(payload?.pendingMutationId)
+    ? payload.pendingMutationId.trim()
+    : null;
+  if (!pendingMutationId) {
+    issues.push({
+      path: 'pendingMutationId',
+      code: 'required',
+      message: 'pendingMutationId is required.'
+    });
+  }
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      ...envelope,
+      pendingMutationId
+    }
+  };
+}
+
+export function createPolicyApprovalService({
+  approvalStore,
+  grantStore,
+  roleStore = null,
+  mutationAuthService,
+  runtimeAttestationService = createPermissiveRuntimeAttestationService(),
+  now = () => new Date().toISOString()
+}) {
+  if (!approvalStore) {
+    throw new Error('approvalStore is required.');
+  }
+
+  if (!grantStore) {
+    throw new Error('grantStore is required.');
+  }
+
+  if (!mutationAuthService) {
+    throw new Error('mutationAuthService is required.');
+  }
+
+  async function checkRuntime(action) {
+    const runtimeCheck = await runtimeAttestationService.checkAccess({
+      action,
+      sensitive: true
+    });
+    if (runtimeCheck.allowed) {
+      return { ok: true, runtime: runtimeCheck.snapshot || null };
+    }
+
+    return {
+      ok: false,
+      error: serviceError(
+        runtimeCheck.code || 'RUNTIME_VERIFICATION_FAILED',
+        runtimeCheck.message || 'Sensitive operation denied because runtime verification failed.',
+        runtimeCheck.statusCode || 503,
+        {
+          runtime: runtimeCheck.snapshot || null
+        }
+      )
+    };
+  }
+
+  async function setQuorum(payload) {
+    const normalizedPayload = normalizeQuorumPayload(payload);
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid quorum payload.', normalizedPayload.issues);
+    }
+
+    const runtimeCheck = await checkRuntime('policy:quorum:set');
+    if (!runtimeCheck.ok) {
+      return runtimeCheck.error;
+    }
+
+    const { tenantId, requestId, actorWallet, quorum } = normalizedPayload.normalized;
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action: 'quorum:set',
+      payload: payload.quorum,
+      auth: payload.auth
+    });
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const authorityResult = await evaluateActorAuthorityForGrant({
+      grantStore,
+      roleStore,
+      tenantId,
+      actorWallet: authResult.actorWallet,
+      grant: POLICY_ADMIN_GRANT,
+      now: now()
+    });
+    if (!authorityResult.allowed) {
+      return serviceError(authorityResult.code, authorityResult.message, 403, {
+        actorAuthority: authorityResult
+      });
+    }
+
+    // Lowering or removing a quorum is itself a mutation, so it waits for the quorum
+    // configured for policy:quorum:set, or the strictest configured quorum without one.
+    const approvalResult = await collectMutationApproval({
+      approvalStore,
+      tenantId,
+      action: 'policy:quorum:set',
+      requestId,
+      payload: quorum,
+      actorWallet: authResult.actorWallet,
+      signatureHash: authResult.signatureHash,
+      now
+    });
+    if (!approvalResult.ok) {
+      return approvalResult.response;
+    }
+
+    if (quorum.remove) {
+      const removed = await approvalStore.removeQuorum({ tenantId, action: quorum.action });
+      if (!removed) {
+        return serviceError(
+          'QUORUM_NOT_FOUND',
+          `No quorum is configured for '${quorum.action}'.`,
+          404
+        );
+      }
+
+      return {
+        statusCode: 200,
+        body: {
+          code: 'QUORUM_REMOVED',
+          message: `Quorum removed for '${quorum.action}'.`,
+          action: quorum.action,
+          ...(approvalResult.approval ? { approval: approvalResult.approval } : {}),
+          actorAuthority: authorityResult,
+          runtime: runtimeCheck.runtime
+        }
+      };
+    }
+
+    const savedQuorum = await approvalStore.upsertQuorum({
+      tenantId,
+      ...quorum,
+      updatedBy: authResult.actorWallet,
+      updatedAt: now()
+    });
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'QUORUM_UPDATED',
+        message: `'${quorum.action}' now requires ${quorum.threshold} of ${quorum.approvers.length} approvers.`,
+        quorum: savedQuorum,
+        ...(approvalResult.approval ? { approval: approvalResult.approval } : {}),
+        actorAuthority: authorityResult,
+        runtime: runtimeCheck.runtime
+      }
+    };
+  }
+
+  async function listQuorums({ tenantId }) {
+    const safeTenantId = normalizeTenantId(tenantId);
+    if (!safeTenantId) {
+      return validationError('Invalid query parameters.', [
+        {
+          path: 'tenantId',
+          code: 'invalid_tenant_id',
+          message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+        }
+      ]);
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'QUORUMS_LISTED',
+        tenantId: safeTenantId,
+        quorums: await approvalStore.listQuorums({ tenantId: safeTenantId })
+      }
+    };
+  }
+
+  async function listPendingMutations({ tenantId, status = null }) {
+    const issues = [];
+    const safeTenantId = normalizeTenantId(tenantId);
+    if (!safeTenantId) {
+      issues.push({
+        path: 'tenantId',
+        code: 'invalid_tenant_id',
+        message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+      });
+    }
+
+    const safeStatus = isNonEmptyString(status) ? status.trim().toLowerCase() : null;
+    if (safeStatus && !PENDING_MUTATION_STATUSES.includes(safeStatus)) {
+      issues.push({
+        path: 'status',
+        code: 'invalid_status',
+        message: `status must be one of: ${PENDING_MUTATION_STATUSES.join(', ')}.`
+      });
+    }
+
+    if (issues.length > 0) {
+      return validationError('Invalid query parameters.', issues);
+    }
+
+    // Expiry is applied lazily, so stored 'pending' rows past their deadline are
+    // reported (and filtered) as expired here.
+    const listedAt = now();
+    const storedStatus = safeStatus === 'expired' ? null : safeStatus;
+    const mutations = await approvalStore.listPendingMutations({
+      tenantId: safeTenantId,
+      status: storedStatus
+    });
+
+    const pendingMutations = [];
+    for (const mutation of mutations) {
+      const summary = summarizePendingMutation(
+        mutation,
+        await approvalStore.listApprovals({ pendingMutationId: mutation.pendingMutationId }),
+        listedAt
+      );
+      if (!safeStatus || summary.status === safeStatus) {
+        pendingMutations.push(summary);
+      }
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'PENDING_MUTATIONS_LISTED',
+        tenantId: safeTenantId,
+        pendingMutations
+      }
+    };
+  }
+
+  async function cancelPendingMutation(payload) {
+    const normalizedPayload = normalizeCancelPayload(payload);
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid cancel payload.', normalizedPayload.issues);
+    }
+
+    const { tenantId, requestId, actorWallet, pendingMutationId } = normalizedPayload.normalized;
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action: 'pending:cancel',
+      payload: { pendingMutationId },
+      auth: payload.auth
+    });
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const mutation = await approvalStore.getPendingMutation({ tenantId, pendingMutationId });
+    if (!mutation) {
+      return serviceError('PENDING_MUTATION_NOT_FOUND', 'Pending mutation was not found.', 404);
+    }
+
+    const cancelledAt = now();
+    const current = summarizePendingMutation(
+      mutation,
+      await approvalStore.listApprovals({ pendingMutationId }),
+      cancelledAt
+    );
+    if (current.status !== 'pending') {
+      return serviceError(
+        'PENDING_MUTATION_CLOSED',
+        `Pending mutation is already ${current.status}.`,
+        409,
+        { pendingMutation: current }
+      );
+    }
+
+    if (!mutation.approvers.includes(authResult.actorWallet)) {
+      return serviceError(
+        'CANCEL_NOT_AUTHORIZED',
+        'Only an approver of the pending mutation may cancel it.',
+        403
+      );
+    }
+
+    const cancelled = await approvalStore.resolvePendingMutation({
+      tenantId,
+      pendingMutationId,
+      status: 'cancelled',
+      resolvedBy: authResult.actorWallet,
+      resolvedAt: cancelledAt
+    });
+    if (!cancelled) {
+      return serviceError(
+        'PENDING_MUTATION_CONFLICT',
+        'Pending mutation was resolved by another request.',
+        409
+      );
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'PENDING_MUTATION_CANCELLED',
+        message: 'Pending mutation cancelled.',
+        pendingMutation: {
+          ...current,
+          status: 'cancelled',
+          resolvedBy: authResult.actorWallet,
+          resolvedAt: cancelledAt
+        }
+      }
+    };
+  }
+
+  return {
+    setQuorum,
+    listQuorums,
+    listPendingMutations,
+    cancelPendingMutation
+  };
+}
+
+const runtimeConfig = loadConfig();
+const runtimeMetadata = {
+  serviceName: runtimeConfig.serviceName,
+  version: runtimeConfig.version,
+  nodeEnv: runtimeConfig.nodeEnv
+};
+const defaultReceiptService = createReceiptService(runtimeConfig.proof, runtimeMetadata);
+const defaultAuditService = createNoopAuditService();
+let runtimePolicyApprovalServicePromise = null;
+
+async function buildRuntimePolicyApprovalService() {
+  const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
+  const grantStore = createPolicyGrantStore({ databaseAdapter });
+  await grantStore.ensureInitialized();
+  const roleStore = createPolicyRoleStore({ databaseAdapter });
+  await roleStore.ensureInitialized();
+  const approvalStore = createPolicyApprovalStore({ databaseAdapter });
+  await approvalStore.ensureInitialized();
+
+  return {
+    service: createPolicyApprovalService({
+      approvalStore,
+      grantStore,
+      roleStore,
+      mutationAuthService: createPolicyMutationAuthService(
+        {
+          ...runtimeConfig.auth,
+          enabled: true
+        },
+        {
+          nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+            databaseAdapter,
+            scope: 'mutation'
+          })
+        }
+      ),
+      runtimeAttestationService: createRuntimeAttestationService(runtimeConfig.proof)
+    }),
+    databaseDialect: databaseAdapter.dialect || 'unknown',
+    receiptService: defaultReceiptService,
+    auditService: createAuditService({ databaseAdapter })
+  };
+}
+
+async function getRuntimePolicyApprovalService() {
+  if (!runtimePolicyApprovalServicePromise) {
+    runtimePolicyApprovalServicePromise = buildRuntimePolicyApprovalService().catch((error) => {
+      runtimePolicyApprovalServicePromise = null;
+      throw error;
+    });
+  }
+
+  return runtimePolicyApprovalServicePromise;
+}
+
+async function attachPolicyApprovalEnvelope({
+  payload,
+  result,
+  action,
+  databaseDialect = 'unknown',
+  receiptService = defaultReceiptService,
+  auditService = defaultAuditService
+}) {
+  const actorAuthority = result?.body?.actorAuthority || result?.body?.details?.actorAuthority;
+  const rows =
+    result?.body?.pendingMutations ||
+    result?.body?.quorums ||
+    [result?.body?.pendingMutation || result?.body?.quorum].filter(Boolean);
+
+  return attachActionResponseEnvelope({
+    payload,
+    result,
+    auth: {
+      ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+      requester: payload?.actorWallet || null,
+      code: result?.body?.error || result?.body?.code || null
+    },
+    policy: actorAuthority
+      ? {
+          allowed: Boolean(actorAuthority.allowed),
+          code: actorAuthority.code || null
+        }
+      : null,
+    execution: {
+      ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+      code: result?.body?.code || result?.body?.error || null,
+      data: {
+        rowCount: rows.length,
+        rows
+      }
+    },
+    runtimeVerification: result?.body?.runtime || null,
+    auditContext: {
+      action,
+      resource: payload?.tenantId || 'unknown',
+      requester: payload?.actorWallet || null
+    },
+    receiptService,
+    auditService,
+    databaseDialect
+  });
+}
+
+async function runPolicyApprovalAction({ action, method, payload, overrides }) {
+  try {
+    const runtimeContext = overrides?.policyApprovalService
+      ? {
+          service: overrides.policyApprovalService,
+          databaseDialect: overrides.databaseDialect || 'unknown',
+          receiptService: overrides.receiptService || defaultReceiptService,
+          auditService: overrides.auditService || defaultAuditService
+        }
+      : await getRuntimePolicyApprovalService();
+    const result = await runtimeContext.service[method](payload);
+
+    return attachPolicyApprovalEnvelope({
+      payload,
+      result,
+      action,
+      databaseDialect: runtimeContext.databaseDialect,
+      receiptService: runtimeContext.receiptService,
+      auditService: runtimeContext.auditService
+    });
+  } catch (error) {
+    return attachPolicyApprovalEnvelope({
+      payload,
+      result: serviceError(
+        'SERVICE_UNAVAILABLE',
+        error?.message || 'Policy approval service failed to initialize database adapter.',
+        503
+      ),
+      action,
+      databaseDialect: overrides?.databaseDialect || 'unknown',
+      receiptService: overrides?.receiptService || defaultReceiptService,
+      auditService: overrides?.auditService || defaultAuditService
+    });
+  }
+}
+
+export async function handleSetPolicyQuorumRequest(payload, overrides = null) {
+  return runPolicyApprovalAction({
+    action: 'policy:quorum:set',
+    method: 'setQuorum',
+    payload,
+    overrides
+  });
+}
+
+export async function handleListPolicyQuorumsRequest(query = {}, overrides = null) {
+  return runPolicyApprovalAction({
+    action: 'policy:quorum:list',
+    method: 'listQuorums',
+    payload: query,
+    overrides
+  });
+}
+
+export async function handleListPendingMutationsRequest(query = {}, overrides = null) {
+  return runPolicyApprovalAction({
+    action: 'policy:pending:list',
+    method: 'listPendingMutations',
+    payload: query,
+    overrides
+  });
+}
+
+export async function handleCancelPendingMutationRequest(payload, overrides = null) {
+  return runPolicyApprovalAction({
+    action: 'policy:pending:cancel',
+    method: 'cancelPendingMutation',
+    payload,
+    overrides
+  });
+}
@@ -0,0 +1,695 @@
+import { createHash, randomUUID } from 'node:crypto';
+
+export const QUORUM_ACTIONS = Object.freeze([
+  'policy:grant:create',
+  'policy:grant:revoke',
+  'policy:role:create',
+  'policy:role:assign',
+  'policy:role:unassign',
+  'policy:import',
+  'policy:rollback',
+  'policy:quorum:set',
+  'schema:apply'
+]);
+
+export const PENDING_MUTATION_STATUSES = Object.freeze([
+  'pending',
+  'executed',
+  'cancelled',
+  'expired'
+]);
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function stableSort(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => stableSort(item));
+  }
+
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      sorted[key] = stableSort(value[key]);
+    }
+    return sorted;
+  }
+
+  return value;
+}
+
+function stableStringify(value) {
+  return JSON.stringify(stableSort(value));
+}
+
+function createPlaceholders(dialect, count, offset = 0) {
+  if (dialect === 'postgres') {
+    return Array.from({ length: count }, (_, index) => `$${index + 1 + offset}`);
+  }
+
+  return Array.from({ length: count }, () => '?');
+}
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+// Every approver signs their own envelope (actor, nonce, signedAt differ), so pending
+// mutations are matched on the action and the signed payload alone.
+export function hashMutationPayload({ action, payload }) {
+  return createHash('sha256')
+    .update(stableStringify({ action, payload: payload || {} }))
+    .digest('hex');
+}
+
+function toCamelCaseQuorum(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    tenantId: row.tenant_id,
+    action: row.action,
+    threshold: Number(row.threshold),
+    approvers: parseJson(row.approvers_json, []),
+    ttlSeconds: Number(row.ttl_seconds),
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+function toCamelCasePendingMutation(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    pendingMutationId: row.mutation_id,
+    tenantId: row.tenant_id,
+    action: row.action,
+    payloadHash: row.payload_hash,
+    payload: parseJson(row.payload_json, {}),
+    requestId: row.request_id,
+    threshold: Number(row.threshold),
+    approvers: parseJson(row.approvers_json, []),
+    status: row.status,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    resolvedBy: row.resolved_by || null,
+    resolvedAt: row.resolved_at || null
+  };
+}
+
+function toCamelCaseApproval(row) {
+  return {
+    walletAddress: row.wallet_address,
+    signatureHash: row.signature_hash,
+    approvedAt: row.approved_at
+  };
+}
+
+export function summarizePendingMutation(mutation, approvals = [], nowIso = null) {
+  const expired =
+    mutation.status === 'pending' && nowIso !== null && mutation.expiresAt <= nowIso;
+
+  return {
+    pendingMutationId: mutation.pendingMutationId,
+    tenantId: mutation.tenantId,
+    action: mutation.action,
+    payloadHash: mutation.payloadHash,
+    requestId: mutation.requestId,
+    status: expired ? 'expired' : mutation.status,
+    threshold: mutation.threshold,
+    approvers: mutation.approvers,
+    approvals: approvals.map(({ walletAddress, approvedAt }) => ({ walletAddress, approvedAt })),
+    remaining: Math.max(0, mutation.threshold - approvals.length),
+    createdBy: mutation.createdBy,
+    createdAt: mutation.createdAt,
+    expiresAt: mutation.expiresAt,
+    resolvedBy: mutation.resolvedBy,
+    resolvedAt: mutation.resolvedAt
+  };
+}
+
+function approvalError(code, message, statusCode, details = null) {
+  return {
+    ok: false,
+    response: {
+      statusCode,
+      body: {
+        error: code,
+        message,
+        ...(details ? { details } : {})
+      }
+    }
+  };
+}
+
+// Mutations that hand out or replace grants also wait for the grant quorums, so a role
+// assignment or an import cannot sidestep the approvals a direct grant would need.
+const INHERITED_QUORUM_ACTIONS = Object.freeze({
+  'policy:role:assign': Object.freeze(['policy:grant:create']),
+  'policy:import': Object.freeze(['policy:grant:create', 'policy:grant:revoke']),
+  'policy:rollback': Object.freeze(['policy:grant:create', 'policy:grant:revoke'])
+});
+
+function isStricterQuorum(candidate, current) {
+  if (!current) {
+    return true;
+  }
+  if (candidate.threshold !== current.threshold) {
+    return candidate.threshold > current.threshold;
+  }
+
+  return candidate.approvers.length < current.approvers.length;
+}
+
+function pickStrictestQuorum(quorums) {
+  return quorums.reduce(
+    (strictest, quorum) => (quorum && isStricterQuorum(quorum, strictest) ? quorum : strictest),
+    null
+  );
+}
+
+// Resolves the quorum a mutation must satisfy. policy:quorum:set without its own quorum
+// falls back to the strictest one configured, so loosening any quorum needs at least the
+// approvals that quorum demands.
+export async function resolveMutationQuorum({ approvalStore, tenantId, action }) {
+  const ownQuorum = await approvalStore.getQuorum({ tenantId, action });
+  if (action === 'policy:quorum:set') {
+    return ownQuorum || pickStrictestQuorum(await approvalStore.listQuorums({ tenantId }));
+  }
+
+  const inheritedQuorums = await Promise.all(
+    (INHERITED_QUORUM_ACTIONS[action] || []).map((inheritedAction) =>
+      approvalStore.getQuorum({ tenantId, action: inheritedAction })
+    )
+  );
+  return pickStrictestQuorum([ownQuorum, ...inheritedQuorums]);
+}
+
+// Called by every quorum-capable mutation once the caller's own signature, validation and
+// authority checks have passed. Without a configured quorum the mutation proceeds at once;
+// otherwise the signature is recorded against the open pending mutation for the same
+// payload and the mutation only proceeds for the approval that reaches the threshold.
+export async function collectMutationApproval({
+  approvalStore,
+  tenantId,
+  action,
+  requestId,
+  payload,
+  actorWallet,
+  signatureHash,
+  now
+}) {
+  if (!approvalStore) {
+    return { ok: true, approval: null };
+  }
+
+  const quorum = await resolveMutationQuorum({ approvalStore, tenantId, action });
+  if (!quorum) {
+    return { ok: true, approval: null };
+  }
+
+  const approvedAt = now();
+  let pendingMutation = await approvalStore.findOpenMutation({
+    tenantId,
+    action,
+    payloadHash: hashMutationPayload({ action, payload })
+  });
+
+  if (pendingMutation && pendingMutation.expiresAt <= approvedAt) {
+    await approvalStore.resolvePendingMutation({
+      tenantId,
+      pendingMutationId: pendingMutation.pendingMutationId,
+      status: 'expired',
+      resolvedAt: approvedAt
+    });
+    pendingMutation = null;
+  }
+
+  const approvers = pendingMutation ? pendingMutation.approvers : quorum.approvers;
+  if (!approvers.includes(actorWallet)) {
+    return approvalError(
+      'APPROVER_NOT_ALLOWED',
+      `Actor is not an approver for '${action}' in this tenant.`,
+      403,
+      { action, threshold: quorum.threshold }
+    );
+  }
+
+  if (!pendingMutation) {
+    pendingMutation = await approvalStore.createPendingMutation({
+      tenantId,
+      action,
+      payloadHash: hashMutationPayload({ action, payload }),
+      payload,
+      requestId,
+      threshold: quorum.threshold,
+      approvers: quorum.approvers,
+      createdBy: actorWallet,
+      createdAt: approvedAt,
+      expiresAt: new Date(Date.parse(approvedAt) + quorum.ttlSeconds * 1000).toISOString()
+    });
+  }
+
+  const recorded = await approvalStore.addApproval({
+    pendingMutationId: pendingMutation.pendingMutationId,
+    walletAddress: actorWallet,
+    signatureHash,
+    approvedAt
+  });
+  const approvals = await approvalStore.listApprovals({
+    pendingMutationId: pendingMutation.pendingMutationId
+  });
+
+  if (!recorded) {
+    return approvalError(
+      'APPROVAL_ALREADY_RECORDED',
+      'Actor has already approved this pending mutation.',
+      409,
+      { pendingMutation: summarizePendingMutation(pendingMutation, approvals, approvedAt) }
+    );
+  }
+
+  if (approvals.length < pendingMutation.threshold) {
+    return {
+      ok: false,
+      response: {
+        statusCode: 202,
+        body: {
+          code: 'APPROVAL_PENDING',
+          message: `Approval recorded; ${pendingMutation.threshold - approvals.length} more required before '${action}' executes.`,
+          pendingMutation: summarizePendingMutation(pendingMutation, approvals, approvedAt)
+        }
+      }
+    };
+  }
+
+  const claimed = await approvalStore.resolvePendingMutation({
+    tenantId,
+    pendingMutationId: pendingMutation.pendingMutationId,
+    status: 'executed',
+    resolvedBy: actorWallet,
+    resolvedAt: approvedAt
+  });
+  if (!claimed) {
+    return approvalError(
+      'PENDING_MUTATION_CONFLICT',
+      'Pending mutation was resolved by another request.',
+      409
+    );
+  }
+
+  return {
+    ok: true,
+    approval: summarizePendingMutation(
+      {
+        ...pendingMutation,
+        status: 'executed',
+        resolvedBy: actorWallet,
+        resolvedAt: approvedAt
+      },
+      approvals
+    )
+  };
+}
+
+export function createPolicyApprovalStore({ databaseAdapter }) {
+  if (!databaseAdapter || typeof databaseAdapter.execute !== 'function') {
+    throw new Error('databaseAdapter is required for policy approval store.');
+  }
+
+  const dialect = databaseAdapter.dialect;
+  if (!['sqlite', 'postgres'].includes(dialect)) {
+    throw new Error(`Unsupported database dialect '${dialect}' for policy approval store.`);
+  }
+
+  let initPromise = null;
+
+  async function ensureInitialized() {
+    if (!initPromise) {
+      initPromise = initializeSchema().catch((error) => {
+        initPromise = null;
+        throw error;
+      });
+    }
+
+    return initPromise;
+  }
+
+  async function initializeSchema() {
+    const statements = [
+      `
+        CREATE TABLE IF NOT EXISTS policy_quorums (
+          tenant_id TEXT NOT NULL,
+          action TEXT NOT NULL,
+          threshold INTEGER NOT NULL,
+          approvers_json TEXT NOT NULL,
+          ttl_seconds INTEGER NOT NULL,
+          updated_by TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (tenant_id, action)
+        )
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS policy_pending_mutations (
+          mutation_id TEXT PRIMARY KEY,
+          tenant_id TEXT NOT NULL,
+          action TEXT NOT NULL,
+          payload_hash TEXT NOT NULL,
+          payload_json TEXT NOT NULL,
+          request_id TEXT NOT NULL,
+          threshold INTEGER NOT NULL,
+          approvers_json TEXT NOT NULL,
+          status TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          resolved_by TEXT,
+          resolved_at TEXT
+        )
+      `,
+      `
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_policy_pending_mutations_open
+        ON policy_pending_mutations (tenant_id, action, payload_hash)
+        WHERE status = 'pending'
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS policy_pending_mutation_approvals (
+          mutation_id TEXT NOT NULL,
+          wallet_address TEXT NOT NULL,
+          signature_hash TEXT NOT NULL,
+          approved_at TEXT NOT NULL,
+          PRIMARY KEY (mutation_id, wallet_address)
+        )
+      `
+    ];
+
+    for (const sql of statements) {
+      await databaseAdapter.execute({ mode: 'write', sql, values: [] });
+    }
+  }
+
+  function tenantValidation(tenantId) {
+    if (!isNonEmptyString(tenantId)) {
+      throw new Error('tenantId is required.');
+    }
+
+    return tenantId.trim();
+  }
+
+  async function getQuorum({ tenantId, action }) {
+    await ensureInitialized();
+    const [tenantParam, actionParam] = createPlaceholders(dialect, 2);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM policy_quorums
+        WHERE tenant_id = ${tenantParam} AND action = ${actionParam}
+        LIMIT 1
+      `,
+      values: [tenantValidation(tenantId), action]
+    });
+
+    return toCamelCaseQuorum(result.rows?.[0] || null);
+  }
+
+  async function listQuorums({ tenantId }) {
+    await ensureInitialized();
+    const [tenantParam] = createPlaceholders(dialect, 1);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM policy_quorums
+        WHERE tenant_id = ${tenantParam}
+        ORDER BY action ASC
+      `,
+      values: [tenantValidation(tenantId)]
+    });
+
+    return (result.rows || []).map((row) => toCamelCaseQuorum(row));
+  }
+
+  async function upsertQuorum({
+    tenantId,
+    action,
+    threshold,
+    approvers,
+    ttlSeconds,
+    updatedBy,
+    updatedAt
+  }) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, 7);
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        INSERT INTO policy_quorums (
+          tenant_id,
+          action,
+          threshold,
+          approvers_json,
+          ttl_seconds,
+          updated_by,
+          updated_at
+        )
+        VALUES (${params.join(', ')})
+        ON CONFLICT (tenant_id, action) DO UPDATE SET
+          threshold = excluded.threshold,
+          approvers_json = excluded.approvers_json,
+          ttl_seconds = excluded.ttl_seconds,
+          updated_by = excluded.updated_by,
+          updated_at = excluded.updated_at
+      `,
+      values: [
+        tenantValidation(tenantId),
+        action,
+        threshold,
+        JSON.stringify(approvers),
+        ttlSeconds,
+        updatedBy.trim().toLowerCase(),
+        updatedAt
+      ]
+    });
+
+    return getQuorum({ tenantId, action });
+  }
+
+  async function removeQuorum({ tenantId, action }) {
+    await ensureInitialized();
+    const [tenantParam, actionParam] = createPlaceholders(dialect, 2);
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        DELETE FROM policy_quorums
+        WHERE tenant_id = ${tenantParam} AND action = ${actionParam}
+      `,
+      values: [tenantValidation(tenantId), action]
+    });
+
+    return Number(result.rowCount || 0) > 0;
+  }
+
+  async function getPendingMutation({ tenantId, pendingMutationId }) {
+    await ensureInitialized();
+    const [tenantParam, idParam] = createPlaceholders(dialect, 2);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM policy_pending_mutations
+        WHERE tenant_id = ${tenantParam} AND mutation_id = ${idParam}
+        LIMIT 1
+      `,
+      values: [tenantValidation(tenantId), pendingMutationId]
+    });
+
+    return toCamelCasePendingMutation(result.rows?.[0] || null);
+  }
+
+  async function findOpenMutation({ tenantId, action, payloadHash }) {
+    await ensureInitialized();
+    const [tenantParam, actionParam, hashParam] = createPlaceholders(dialect, 3);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM policy_pending_mutations
+        WHERE tenant_id = ${tenantParam}
+          AND action = ${actionParam}
+          AND payload_hash = ${hashParam}
+          AND status = 'pending'
+        LIMIT 1
+      `,
+      values: [tenantValidation(tenantId), action, payloadHash]
+    });
+
+    return toCamelCasePendingMutation(result.rows?.[0] || null);
+  }
+
+  async function listPendingMutations({ tenantId, status = null, limit = 100 }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+    const values = status ? [safeTenantId, status, limit] : [safeTenantId, limit];
+    const params = createPlaceholders(dialect, values.length);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM policy_pending_mutations
+        WHERE tenant_id = ${params[0]}
+          ${status ? `AND status = ${params[1]}` : ''}
+        ORDER BY created_at DESC, mutation_id ASC
+        LIMIT ${params[params.length - 1]}
+      `,
+      values
+    });
+
+    return (result.rows || []).map((row) => toCamelCasePendingMutation(row));
+  }
+
+  async function createPendingMutation({
+    tenantId,
+    action,
+    payloadHash,
+    payload,
+    requestId,
+    threshold,
+    approvers,
+    createdBy,
+    createdAt,
+    expiresAt
+  }) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, 11);
+
+    // Two first approvers racing each other land on the open-mutation unique index;
+    // the loser simply joins the row the winner created.
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        INSERT INTO policy_pending_mutations (
+          mutation_id,
+          tenant_id,
+          action,
+          payload_hash,
+          payload_json,
+          request_id,
+          threshold,
+          approvers_json,
+          status,
+          created_by,
+          created_at,
+          expires_at
+        )
+        VALUES (${params.slice(0, 8).join(', ')}, 'pending', ${params.slice(8).join(', ')})
+        ON CONFLICT DO NOTHING
+      `,
+      values: [
+        randomUUID(),
+        tenantValidation(tenantId),
+        action,
+        payloadHash,
+        JSON.stringify(payload || {}),
+        requestId,
+        threshold,
+        JSON.stringify(approvers),
+        createdBy.trim().toLowerCase(),
+        createdAt,
+        expiresAt
+      ]
+    });
+
+    return findOpenMutation({ tenantId, action, payloadHash });
+  }
+
+  async function resolvePendingMutation({
+    tenantId,
+    pendingMutationId,
+    status,
+    resolvedBy = null,
+    resolvedAt
+  }) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, 5);
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        UPDATE policy_pending_mutations
+        SET status = ${params[0]}, resolved_by = ${params[1]}, resolved_at = ${params[2]}
+        WHERE tenant_id = ${params[3]} AND mutation_id = ${params[4]} AND status = 'pending'
+      `,
+      values: [
+        status,
+        resolvedBy ? resolvedBy.trim().toLowerCase() : null,
+        resolvedAt,
+        tenantValidation(tenantId),
+        pendingMutationId
+      ]
+    });
+
+    return Number(result.rowCount || 0) > 0;
+  }
+
+  async function addApproval({ pendingMutationId, walletAddress, signatureHash, approvedAt }) {
+    await ensureInitialized();
+    const params = createPlaceholders(dialect, 4);
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        INSERT INTO policy_pending_mutation_approvals (
+          mutation_id,
+          wallet_address,
+          signature_hash,
+          approved_at
+        )
+        VALUES (${params.join(', ')})
+        ON CONFLICT (mutation_id, wallet_address) DO NOTHING
+      `,
+      values: [pendingMutationId, walletAddress.trim().toLowerCase(), signatureHash, approvedAt]
+    });
+
+    return Number(result.rowCount || 0) > 0;
+  }
+
+  async function listApprovals({ pendingMutationId }) {
+    await ensureInitialized();
+    const [idParam] = createPlaceholders(dialect, 1);
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: `
+        SELECT *
+        FROM policy_pending_mutation_approvals
+        WHERE mutation_id = ${idParam}
+        ORDER BY approved_at ASC, wallet_address ASC
+      `,
+      values: [pendingMutationId]
+    });
+
+    return (result.rows || []).map((row) => toCamelCaseApproval(row));
+  }
+
+  return {
+    ensureInitialized,
+    getQuorum,
+    listQuorums,
+    upsertQuorum,
+    removeQuorum,
+    getPendingMutation,
+    findOpenMutation,
+    listPendingMutations,
+    createPendingMutation,
+    resolvePendingMutation,
+    addApproval,
+    listApprovals
+  };
+}
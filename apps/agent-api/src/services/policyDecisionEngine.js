@@ -1,14 +1,130 @@
-import { OPERATION_TYPES, SCOPE_TYPES } from '@eigen-private-db-agent/shared-types';
+import {
+  COLUMN_SCOPE_ID_PATTERN,
+  OPERATION_TYPES,
+  SCOPE_TYPES
+} from '@eigen-private-db-agent/shared-types';
+import { bindFilterReferences, combineFilters } from './dataFilterGrammar.js';
 
 const REQUEST_OPERATION_TYPES = OPERATION_TYPES.filter((operation) => operation !== 'all');
 const EFFECT_TYPES = Object.freeze(['allow', 'deny']);
 
 export const POLICY_REQUEST_OPERATIONS = Object.freeze(REQUEST_OPERATION_TYPES);
+export const ROW_PREDICATE_REFERENCES = Object.freeze(['actorWallet', 'tenantId']);
+export const GRANT_CONDITION_SOURCES = Object.freeze(['http', 'a2a']);
+
+const INACTIVE_GRANT_DECISIONS = Object.freeze({
+  pending: {
+    code: 'GRANT_NOT_YET_VALID',
+    message: 'Matching grant is not valid before its notBefore time.'
+  },
+  expired: {
+    code: 'GRANT_EXPIRED',
+    message: 'Matching grant has expired.'
+  },
+  exhausted: {
+    code: 'GRANT_EXHAUSTED',
+    message: 'Matching grant has no remaining uses.'
+  }
+});
+
+function toEpochMillis(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  return typeof value === 'number' ? value : Date.parse(value);
+}
+
+export function resolveGrantStatus(grant, now = Date.now()) {
+  const nowMillis = toEpochMillis(now);
+  if (grant.notBefore && Date.parse(grant.notBefore) > nowMillis) {
+    return 'pending';
+  }
+
+  if (grant.expiresAt && Date.parse(grant.expiresAt) <= nowMillis) {
+    return 'expired';
+  }
+
+  if (grant.maxUses !== null && grant.maxUses !== undefined && !(grant.usesRemaining > 0)) {
+    return 'exhausted';
+  }
+
+  return 'active';
+}
 
 function isNonEmptyString(value) {
   return typeof value === 'string' && value.trim().length > 0;
 }
 
+function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+export function evaluateGrantConditions(conditions, context = null, now = Date.now()) {
+  if (!conditions) {
+    return null;
+  }
+
+  if (conditions.timeWindow) {
+    const current = new Date(toEpochMillis(now));
+    const minuteOfDay = current.getUTCHours() * 60 + current.getUTCMinutes();
+    const start = parseTimeOfDay(conditions.timeWindow.start);
+    const end = parseTimeOfDay(conditions.timeWindow.end);
+    const inWindow =
+      start <= end
+        ? minuteOfDay >= start && minuteOfDay < end
+        : minuteOfDay >= start || minuteOfDay < end;
+    if (!inWindow) {
+      return {
+        condition: 'timeWindow',
+        message: `Request time is outside ${conditions.timeWindow.start}-${conditions.timeWindow.end} UTC.`
+      };
+    }
+  }
+
+  if (Array.isArray(conditions.chainIds) && !conditions.chainIds.includes(context?.chainId)) {
+    return {
+      condition: 'chainIds',
+      message: `Request chainId is not one of: ${conditions.chainIds.join(', ')}.`
+    };
+  }
+
+  if (Array.isArray(conditions.sources) && !conditions.sources.includes(context?.source)) {
+    return {
+      condition: 'sources',
+      message: `Request source is not one of: ${conditions.sources.join(', ')}.`
+    };
+  }
+
+  if (conditions.attestation === 'verified' && context?.attestationVerified !== true) {
+    return {
+      condition: 'attestation',
+      message: 'Runtime attestation is not verified.'
+    };
+  }
+
+  return null;
+}
+
+export function isTableScopePattern(scopeId) {
+  return typeof scopeId === 'string' && scopeId.includes('*');
+}
+
+// Pattern literals never contain '*', so a pattern scope id on the request side (used when
+// checking authority to issue a pattern grant) only matches grant patterns that cover it.
+export function matchesTableScopePattern(pattern, tableName) {
+  const expression = pattern
+    .split('*')
+    .map((literal) => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${expression}$`).test(tableName);
+}
+
+function patternSpecificity(pattern) {
+  return pattern.replaceAll('*', '').length;
+}
+
 function normalizeScopeType(rawValue) {
   const normalized = String(rawValue || '').trim().toLowerCase();
   if (!SCOPE_TYPES.includes(normalized)) {
@@ -46,7 +162,12 @@ function normalizeScopeId(rawScopeType, rawScopeId) {
     return null;
   }
 
-  return rawScopeId.trim().toLowerCase();
+  const normalized = rawScopeId.trim().toLowerCase();
+  if (rawScopeType === 'column' && !COLUMN_SCOPE_ID_PATTERN.test(normalized)) {
+    return null;
+  }
+
+  return normalized;
 }
 
 function normalizeGrant(grant) {
@@ -79,12 +200,52 @@ function normalizeGrant(grant) {
     scopeId,
     operation,
     effect,
+    rowPredicate: grant.rowPredicate || null,
+    conditions: grant.conditions || null,
+    notBefore: grant.notBefore || grant.not_before || null,
+    expiresAt: grant.expiresAt || grant.expires_at || null,
+    maxUses: grant.maxUses ?? grant.max_uses ?? null,
+    usesRemaining: grant.usesRemaining ?? grant.uses_remaining ?? null,
+    ...(grant.role ? { role: grant.role } : {}),
     createdAt: isNonEmptyString(grant.createdAt || grant.created_at)
       ? (grant.createdAt || grant.created_at).trim()
       : null
   };
 }
 
+export function expandRoleAssignments(roleAssignments = []) {
+  return roleAssignments.flatMap((assignment) =>
+    (assignment?.permissions || []).map((permission, ruleIndex) => ({
+      ...permission,
+      grantId: `${assignment.assignmentId}#${ruleIndex}`,
+      tenantId: assignment.tenantId,
+      walletAddress: assignment.walletAddress,
+      createdAt: assignment.createdAt,
+      role: {
+        roleName: assignment.roleName,
+        assignmentId: assignment.assignmentId,
+        ruleIndex
+      }
+    }))
+  );
+}
+
+function describeMatchedRole(grant) {
+  if (!grant?.role) {
+    return null;
+  }
+
+  return {
+    ...grant.role,
+    rule: {
+      scopeType: grant.scopeType,
+      scopeId: grant.scopeId,
+      operation: grant.operation,
+      effect: grant.effect
+    }
+  };
+}
+
 function sortGrantsForDeterministicMatching(grants) {
   return grants
     .slice()
@@ -141,7 +302,10 @@ function validateDecisionInput(input) {
     issues.push({
       path: 'scopeId',
       code: 'invalid_scope_id',
-      message: 'scopeId is required for table scope and must be a non-empty string.'
+      message:
+        scopeType === 'column'
+          ? 'scopeId must be <table>.<column> for column scope.'
+          : 'scopeId is required for table scope and must be a non-empty string.'
     });
   }
 
@@ -158,7 +322,30 @@ function validateDecisionInput(input) {
   };
 }
 
-function findMatchingGrant(grants, { scopeType, scopeId, operation, effect }) {
+function findMatchingPatternGrant(grants, { scopeId, operation, effect }) {
+  const candidates = grants.filter(
+    (grant) =>
+      grant.scopeType === 'table' &&
+      grant.operation === operation &&
+      grant.effect === effect &&
+      isTableScopePattern(grant.scopeId) &&
+      grant.scopeId !== scopeId &&
+      matchesTableScopePattern(grant.scopeId, scopeId)
+  );
+
+  return (
+    candidates.sort((left, right) => {
+      const specificity = patternSpecificity(right.scopeId) - patternSpecificity(left.scopeId);
+      return specificity !== 0 ? specificity : left.scopeId.localeCompare(right.scopeId, 'en');
+    })[0] || null
+  );
+}
+
+function findMatchingGrant(grants, { scopeType, scopeId, operation, effect, pattern = false }) {
+  if (pattern) {
+    return findMatchingPatternGrant(grants, { scopeId, operation, effect });
+  }
+
   return (
     grants.find((grant) => {
       if (grant.scopeType !== scopeType) {
@@ -182,7 +369,104 @@ function findMatchingGrant(grants, { scopeType, scopeId, operation, effect }) {
   );
 }
 
+function resolveRowPredicate(grants, { tenantId, walletAddress, tableName, operation }) {
+  const predicateGrants = grants.filter(
+    (grant) =>
+      grant.rowPredicate &&
+      grant.effect === 'allow' &&
+      grant.scopeType === 'table' &&
+      (grant.scopeId === tableName ||
+        (isTableScopePattern(grant.scopeId) &&
+          matchesTableScopePattern(grant.scopeId, tableName))) &&
+      (grant.operation === operation || grant.operation === 'all')
+  );
+
+  if (predicateGrants.length === 0) {
+    return null;
+  }
+
+  const orderedGrants = predicateGrants
+    .slice()
+    .sort((left, right) => left.grantId.localeCompare(right.grantId, 'en'));
+  return {
+    grantIds: orderedGrants.map((grant) => grant.grantId),
+    predicate: bindFilterReferences(
+      combineFilters(orderedGrants.map((grant) => grant.rowPredicate)),
+      { actorWallet: walletAddress, tenantId }
+    )
+  };
+}
+
+function columnSequence(scopeId, operation) {
+  return [
+    {
+      step: 'COLUMN_OPERATION_DENY',
+      criteria: {
+        scopeType: 'column',
+        scopeId,
+        operation,
+        effect: 'deny'
+      },
+      decision: {
+        allowed: false,
+        code: 'COLUMN_OPERATION_DENY_MATCH',
+        message: 'Denied by column-level operation rule.'
+      }
+    },
+    {
+      step: 'COLUMN_OPERATION_ALLOW',
+      criteria: {
+        scopeType: 'column',
+        scopeId,
+        operation,
+        effect: 'allow'
+      },
+      decision: {
+        allowed: true,
+        code: 'COLUMN_OPERATION_ALLOW_MATCH',
+        message: 'Allowed by column-level operation rule.'
+      }
+    },
+    {
+      step: 'COLUMN_ALL_DENY',
+      criteria: {
+        scopeType: 'column',
+        scopeId,
+        operation: 'all',
+        effect: 'deny'
+      },
+      decision: {
+        allowed: false,
+        code: 'COLUMN_ALL_DENY_MATCH',
+        message: 'Denied by column-level all-operation rule.'
+      }
+    },
+    {
+      step: 'COLUMN_ALL_ALLOW',
+      criteria: {
+        scopeType: 'column',
+        scopeId,
+        operation: 'all',
+        effect: 'allow'
+      },
+      decision: {
+        allowed: true,
+        code: 'COLUMN_ALL_ALLOW_MATCH',
+        message: 'Allowed by column-level all-operation rule.'
+      }
+    }
+  ];
+}
+
 function evaluationSequenceForScope(scopeType, scopeId, operation) {
+  if (scopeType === 'column') {
+    const [tableName] = scopeId.split('.');
+    return [
+      ...columnSequence(scopeId, operation),
+      ...evaluationSequenceForScope('table', tableName, operation)
+    ];
+  }
+
   const baseSequence = [
     {
       step: 'DATABASE_OPERATION_DENY',
@@ -275,6 +559,36 @@ function evaluationSequenceForScope(scopeType, scopeId, operation) {
         message: 'Allowed by table-level operation rule.'
       }
     },
+    {
+      step: 'TABLE_PATTERN_OPERATION_DENY',
+      criteria: {
+        scopeType: 'table',
+        scopeId,
+        operation,
+        effect: 'deny',
+        pattern: true
+      },
+      decision: {
+        allowed: false,
+        code: 'TABLE_PATTERN_OPERATION_DENY_MATCH',
+        message: 'Denied by table-pattern operation rule.'
+      }
+    },
+    {
+      step: 'TABLE_PATTERN_OPERATION_ALLOW',
+      criteria: {
+        scopeType: 'table',
+        scopeId,
+        operation,
+        effect: 'allow',
+        pattern: true
+      },
+      decision: {
+        allowed: true,
+        code: 'TABLE_PATTERN_OPERATION_ALLOW_MATCH',
+        message: 'Allowed by table-pattern operation rule.'
+      }
+    },
     ...baseSequence.slice(0, 2),
     {
       step: 'TABLE_ALL_DENY',
@@ -304,6 +618,36 @@ function evaluationSequenceForScope(scopeType, scopeId, operation) {
         message: 'Allowed by table-level all-operation rule.'
       }
     },
+    {
+      step: 'TABLE_PATTERN_ALL_DENY',
+      criteria: {
+        scopeType: 'table',
+        scopeId,
+        operation: 'all',
+        effect: 'deny',
+        pattern: true
+      },
+      decision: {
+        allowed: false,
+        code: 'TABLE_PATTERN_ALL_DENY_MATCH',
+        message: 'Denied by table-pattern all-operation rule.'
+      }
+    },
+    {
+      step: 'TABLE_PATTERN_ALL_ALLOW',
+      criteria: {
+        scopeType: 'table',
+        scopeId,
+        operation: 'all',
+        effect: 'allow',
+        pattern: true
+      },
+      decision: {
+        allowed: true,
+        code: 'TABLE_PATTERN_ALL_ALLOW_MATCH',
+        message: 'Allowed by table-pattern all-operation rule.'
+      }
+    },
     ...baseSequence.slice(2)
   ];
 }
@@ -314,7 +658,10 @@ export function evaluatePolicyDecision({
   scopeType,
   scopeId,
   operation,
-  grants = []
+  grants = [],
+  roleAssignments = [],
+  context = null,
+  now = Date.now()
 }) {
   const inputValidation = validateDecisionInput({
     tenantId,
@@ -339,8 +686,8 @@ export function evaluatePolicyDecision({
 
   const normalizedInput = inputValidation.normalized;
 
-  const normalizedGrants = sortGrantsForDeterministicMatching(
-    grants
+  const candidateGrants = sortGrantsForDeterministicMatching(
+    [...grants, ...expandRoleAssignments(roleAssignments)]
       .map((grant) => normalizeGrant(grant))
       .filter(
         (grant) =>
@@ -348,7 +695,22 @@ export function evaluatePolicyDecision({
           grant.tenantId === normalizedInput.tenantId &&
           grant.walletAddress === normalizedInput.walletAddress
       )
+  ).map((grant) => ({ ...grant, status: resolveGrantStatus(grant, now) }));
+  const activeGrants = candidateGrants.filter((grant) => grant.status === 'active');
+  const conditionFailures = new Map();
+  for (const grant of activeGrants) {
+    const conditionFailure = evaluateGrantConditions(grant.conditions, context, now);
+    if (conditionFailure) {
+      conditionFailures.set(grant.grantId, conditionFailure);
+    }
+  }
+  const normalizedGrants = activeGrants.filter((grant) => !conditionFailures.has(grant.grantId));
+  const conditionFailedGrants = activeGrants.filter((grant) =>
+    conditionFailures.has(grant.grantId)
   );
+  const inactiveGrants = candidateGrants.filter((grant) => grant.status !== 'active');
+  let inactiveAllowGrant = null;
+  let conditionFailedAllowGrant = null;
 
   const evaluationPath = [];
   const sequence = evaluationSequenceForScope(
@@ -359,16 +721,47 @@ export function evaluatePolicyDecision({
 
   for (const rule of sequence) {
     const matchedGrant = findMatchingGrant(normalizedGrants, rule.criteria);
+    const inactiveGrant = matchedGrant ? null : findMatchingGrant(inactiveGrants, rule.criteria);
+    const conditionFailedGrant = matchedGrant
+      ? null
+      : findMatchingGrant(conditionFailedGrants, rule.criteria);
     evaluationPath.push({
       step: rule.step,
       matched: Boolean(matchedGrant),
-      grantId: matchedGrant?.grantId || null
+      grantId: matchedGrant?.grantId || null,
+      ...(matchedGrant && rule.criteria.pattern ? { pattern: matchedGrant.scopeId } : {}),
+      ...(matchedGrant?.role ? { roleName: matchedGrant.role.roleName } : {}),
+      ...(inactiveGrant
+        ? { inactiveGrantId: inactiveGrant.grantId, inactiveStatus: inactiveGrant.status }
+        : {}),
+      ...(conditionFailedGrant
+        ? {
+            conditionFailedGrantId: conditionFailedGrant.grantId,
+            failedCondition: conditionFailures.get(conditionFailedGrant.grantId).condition
+          }
+        : {})
     });
 
     if (!matchedGrant) {
+      if (inactiveGrant && rule.decision.allowed && !inactiveAllowGrant) {
+        inactiveAllowGrant = inactiveGrant;
+      }
+      if (conditionFailedGrant && rule.decision.allowed && !conditionFailedAllowGrant) {
+        conditionFailedAllowGrant = conditionFailedGrant;
+      }
       continue;
     }
 
+    const rowPredicate =
+      rule.decision.allowed && normalizedInput.scopeType === 'table'
+        ? resolveRowPredicate(normalizedGrants, {
+            tenantId: normalizedInput.tenantId,
+            walletAddress: normalizedInput.walletAddress,
+            tableName: normalizedInput.scopeId,
+            operation: normalizedInput.operation
+          })
+        : null;
+
     return {
       ok: true,
       decision: {
@@ -376,6 +769,39 @@ export function evaluatePolicyDecision({
         code: rule.decision.code,
         message: rule.decision.message,
         matchedGrant,
+        ...(matchedGrant.role ? { matchedRole: describeMatchedRole(matchedGrant) } : {}),
+        evaluationPath,
+        ...(rowPredicate ? { rowPredicate } : {})
+      }
+    };
+  }
+
+  if (inactiveAllowGrant) {
+    return {
+      ok: true,
+      decision: {
+        allowed: false,
+        ...INACTIVE_GRANT_DECISIONS[inactiveAllowGrant.status],
+        matchedGrant: null,
+        inactiveGrant: inactiveAllowGrant,
+        evaluationPath
+      }
+    };
+  }
+
+  if (conditionFailedAllowGrant) {
+    const conditionFailure = conditionFailures.get(conditionFailedAllowGrant.grantId);
+    return {
+      ok: true,
+      decision: {
+        allowed: false,
+        code: 'GRANT_CONDITION_FAILED',
+        message: `Matching grant condition '${conditionFailure.condition}' failed: ${conditionFailure.message}`,
+        matchedGrant: null,
+        conditionFailure: {
+          grantId: conditionFailedAllowGrant.grantId,
+          ...conditionFailure
+        },
         evaluationPath
       }
     };
@@ -392,3 +818,55 @@ export function evaluatePolicyDecision({
     }
   };
 }
+
+export function evaluateColumnDecisions({
+  tenantId,
+  walletAddress,
+  tableName,
+  operation,
+  columns = [],
+  grants = [],
+  roleAssignments = [],
+  context = null,
+  now = Date.now()
+}) {
+  const allowedColumns = [];
+  const deniedColumns = [];
+  const decisions = {};
+
+  for (const column of [...new Set(columns)]) {
+    const decisionResult = evaluatePolicyDecision({
+      tenantId,
+      walletAddress,
+      scopeType: 'column',
+      scopeId: `${tableName}.${column}`,
+      operation,
+      grants,
+      roleAssignments,
+      context,
+      now
+    });
+
+    if (!decisionResult.ok) {
+      return decisionResult;
+    }
+
+    const { allowed, code, matchedGrant } = decisionResult.decision;
+    decisions[column] = {
+      allowed,
+      code,
+      grantId: matchedGrant?.grantId || null,
+      ...(matchedGrant?.role ? { roleName: matchedGrant.role.roleName } : {})
+    };
+    (allowed ? allowedColumns : deniedColumns).push(column);
+  }
+
+  return {
+    ok: true,
+    columnAccess: {
+      allowedColumns,
+      deniedColumns,
+      decisions
+    }
+  };
+}
@@ -4,6 +4,36 @@ function isNonEmptyString(value) {
   return typeof value === 'string' && value.trim().length > 0;
 }
 
+const GRANT_COLUMN_ADDITIONS = Object.freeze([
+  { name: 'row_predicate_json', definition: 'TEXT' },
+  { name: 'not_before', definition: 'TEXT' },
+  { name: 'expires_at', definition: 'TEXT' },
+  { name: 'max_uses', definition: 'INTEGER' },
+  { name: 'uses_remaining', definition: 'INTEGER' },
+  { name: 'conditions_json', definition: 'TEXT' }
+]);
+
+function toNullableInteger(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseJsonColumn(value) {
+  if (!isNonEmptyString(value)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
 function toCamelCaseGrant(row) {
   if (!row) {
     return null;
@@ -17,6 +47,12 @@ function toCamelCaseGrant(row) {
     scopeId: row.scope_id,
     operation: row.operation,
     effect: row.effect,
+    rowPredicate: parseJsonColumn(row.row_predicate_json),
+    conditions: parseJsonColumn(row.conditions_json),
+    notBefore: row.not_before || null,
+    expiresAt: row.expires_at || null,
+    maxUses: toNullableInteger(row.max_uses),
+    usesRemaining: toNullableInteger(row.uses_remaining),
     createdBy: row.created_by,
     createdAt: row.created_at,
     signatureHash: row.signature_hash,
@@ -65,7 +101,13 @@ export function createPolicyGrantStore({ databaseAdapter }) {
             created_at TEXT NOT NULL,
             signature_hash TEXT NOT NULL,
             revoked_at TEXT,
-            revoked_by TEXT
+            revoked_by TEXT,
+            row_predicate_json TEXT,
+            not_before TEXT,
+            expires_at TEXT,
+            max_uses INTEGER,
+            uses_remaining INTEGER,
+            conditions_json TEXT
           )
         `,
         values: []
@@ -79,6 +121,7 @@ export function createPolicyGrantStore({ databaseAdapter }) {
         `,
         values: []
       });
+      await ensureGrantColumns();
       return;
     }
 
@@ -97,7 +140,13 @@ export function createPolicyGrantStore({ databaseAdapter }) {
           created_at TEXT NOT NULL,
           signature_hash TEXT NOT NULL,
           revoked_at TEXT,
-          revoked_by TEXT
+          revoked_by TEXT,
+          row_predicate_json TEXT,
+          not_before TEXT,
+          expires_at TEXT,
+          max_uses INTEGER,
+          uses_remaining INTEGER,
+          conditions_json TEXT
         )
       `,
       values: []
@@ -111,6 +160,38 @@ export function createPolicyGrantStore({ databaseAdapter }) {
       `,
       values: []
     });
+    await ensureGrantColumns();
+  }
+
+  async function ensureGrantColumns() {
+    if (dialect === 'postgres') {
+      for (const column of GRANT_COLUMN_ADDITIONS) {
+        await databaseAdapter.execute({
+          mode: 'write',
+          sql: `ALTER TABLE policy_grants ADD COLUMN IF NOT EXISTS ${column.name} ${column.definition}`,
+          values: []
+        });
+      }
+      return;
+    }
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql: 'PRAGMA table_info(policy_grants)',
+      values: []
+    });
+    const existingColumns = new Set((result.rows || []).map((row) => row.name));
+    for (const column of GRANT_COLUMN_ADDITIONS) {
+      if (existingColumns.has(column.name)) {
+        continue;
+      }
+
+      await databaseAdapter.execute({
+        mode: 'write',
+        sql: `ALTER TABLE policy_grants ADD COLUMN ${column.name} ${column.definition}`,
+        values: []
+      });
+    }
   }
 
   function tenantValidation(tenantId) {
@@ -198,6 +279,30 @@ export function createPolicyGrantStore({ databaseAdapter }) {
     return (result.rows || []).map((row) => toCamelCaseGrant(row));
   }
 
+  async function listRevokedGrants({ tenantId }) {
+    await ensureInitialized();
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql:
+        dialect === 'sqlite'
+          ? `
+            SELECT *
+            FROM policy_grants
+            WHERE tenant_id = ? AND revoked_at IS NOT NULL
+            ORDER BY revoked_at DESC, grant_id DESC
+          `
+          : `
+            SELECT *
+            FROM policy_grants
+            WHERE tenant_id = $1 AND revoked_at IS NOT NULL
+            ORDER BY revoked_at DESC, grant_id DESC
+          `,
+      values: [tenantValidation(tenantId)]
+    });
+
+    return (result.rows || []).map((row) => toCamelCaseGrant(row));
+  }
+
   async function getGrantById({ tenantId, grantId }) {
     await ensureInitialized();
     const safeTenantId = tenantValidation(tenantId);
@@ -237,7 +342,10 @@ export function createPolicyGrantStore({ databaseAdapter }) {
     scopeType,
     scopeId,
     operation,
-    effect
+    effect,
+    rowPredicate = null,
+    conditions = null,
+    activeAt = new Date().toISOString()
   }) {
     await ensureInitialized();
     const safeTenantId = tenantValidation(tenantId);
@@ -254,7 +362,11 @@ export function createPolicyGrantStore({ databaseAdapter }) {
               AND scope_id = ?
               AND operation = ?
               AND effect = ?
+              AND COALESCE(row_predicate_json, '') = ?
+              AND COALESCE(conditions_json, '') = ?
               AND revoked_at IS NULL
+              AND (expires_at IS NULL OR expires_at > ?)
+              AND (uses_remaining IS NULL OR uses_remaining > 0)
             ORDER BY created_at DESC, grant_id DESC
             LIMIT 1
           `
@@ -268,7 +380,11 @@ export function createPolicyGrantStore({ databaseAdapter }) {
               AND scope_id = $4
               AND operation = $5
               AND effect = $6
+              AND COALESCE(row_predicate_json, '') = $7
+              AND COALESCE(conditions_json, '') = $8
               AND revoked_at IS NULL
+              AND (expires_at IS NULL OR expires_at > $9)
+              AND (uses_remaining IS NULL OR uses_remaining > 0)
             ORDER BY created_at DESC, grant_id DESC
             LIMIT 1
           `;
@@ -279,7 +395,10 @@ export function createPolicyGrantStore({ databaseAdapter }) {
       scopeType,
       scopeId,
       operation,
-      effect
+      effect,
+      rowPredicate ? JSON.stringify(rowPredicate) : '',
+      conditions ? JSON.stringify(conditions) : '',
+      activeAt
     ];
 
     const result = await databaseAdapter.execute({
@@ -291,18 +410,26 @@ export function createPolicyGrantStore({ databaseAdapter }) {
     return toCamelCaseGrant(result.rows?.[0] || null);
   }
 
-  async function createGrant({
-    tenantId,
-    walletAddress,
-    scopeType,
-    scopeId,
-    operation,
-    effect,
-    createdBy,
-    createdAt,
-    signatureHash
-  }) {
-    await ensureInitialized();
+  async function insertGrant(
+    executor,
+    {
+      tenantId,
+      walletAddress,
+      scopeType,
+      scopeId,
+      operation,
+      effect,
+      rowPredicate = null,
+      conditions = null,
+      notBefore = null,
+      expiresAt = null,
+      maxUses = null,
+      usesRemaining = maxUses,
+      createdBy,
+      createdAt,
+      signatureHash
+    }
+  ) {
     const grant = {
       grantId: randomUUID(),
       tenantId: tenantValidation(tenantId),
@@ -311,6 +438,12 @@ export function createPolicyGrantStore({ databaseAdapter }) {
       scopeId,
       operation,
       effect,
+      rowPredicate: rowPredicate || null,
+      conditions: conditions || null,
+      notBefore: notBefore || null,
+      expiresAt: expiresAt || null,
+      maxUses: maxUses ?? null,
+      usesRemaining: maxUses === null || maxUses === undefined ? null : usesRemaining,
       createdBy: createdBy.trim().toLowerCase(),
       createdAt,
       signatureHash
@@ -329,9 +462,15 @@ export function createPolicyGrantStore({ databaseAdapter }) {
               effect,
               created_by,
               created_at,
-              signature_hash
+              signature_hash,
+              row_predicate_json,
+              not_before,
+              expires_at,
+              max_uses,
+              uses_remaining,
+              conditions_json
             )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
           `
         : `
             INSERT INTO policy_grants (
@@ -344,12 +483,18 @@ export function createPolicyGrantStore({ databaseAdapter }) {
               effect,
               created_by,
               created_at,
-              signature_hash
+              signature_hash,
+              row_predicate_json,
+              not_before,
+              expires_at,
+              max_uses,
+              uses_remaining,
+              conditions_json
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
           `;
 
-    await databaseAdapter.execute({
+    await executor.execute({
       mode: 'write',
       sql,
       values: [
@@ -362,7 +507,13 @@ export function createPolicyGrantStore({ databaseAdapter }) {
         grant.effect,
         grant.createdBy,
         grant.createdAt,
-        grant.signatureHash
+        grant.signatureHash,
+        grant.rowPredicate ? JSON.stringify(grant.rowPredicate) : null,
+        grant.notBefore,
+        grant.expiresAt,
+        grant.maxUses,
+        grant.usesRemaining,
+        grant.conditions ? JSON.stringify(grant.conditions) : null
       ]
     });
 
@@ -373,8 +524,12 @@ export function createPolicyGrantStore({ databaseAdapter }) {
     };
   }
 
-  async function revokeGrant({ tenantId, grantId, revokedBy, revokedAt }) {
+  async function createGrant(grant) {
     await ensureInitialized();
+    return insertGrant(databaseAdapter, grant);
+  }
+
+  async function markGrantRevoked(executor, { tenantId, grantId, revokedBy, revokedAt }) {
     const safeTenantId = tenantValidation(tenantId);
     const safeGrantId = grantId.trim();
 
@@ -391,7 +546,7 @@ export function createPolicyGrantStore({ databaseAdapter }) {
             WHERE tenant_id = $3 AND grant_id = $4 AND revoked_at IS NULL
           `;
 
-    const result = await databaseAdapter.execute({
+    const result = await executor.execute({
       mode: 'write',
       sql,
       values: [revokedAt, revokedBy.trim().toLowerCase(), safeTenantId, safeGrantId]
@@ -400,13 +555,152 @@ export function createPolicyGrantStore({ databaseAdapter }) {
     return result.rowCount > 0;
   }
 
+  async function revokeGrant(revocation) {
+    await ensureInitialized();
+    return markGrantRevoked(databaseAdapter, revocation);
+  }
+
+  // Runs work in one transaction. Store methods that accept its executor join it, so changes
+  // spanning stores on this database land together.
+  async function runInTransaction(work) {
+    await ensureInitialized();
+    return databaseAdapter.runInTransaction(work);
+  }
+
+  // Creates and revokes a set of grants in one transaction, so an import or rollback
+  // either lands completely or leaves the previous grant set in force.
+  async function replaceGrants({
+    tenantId,
+    grantsToCreate = [],
+    grantIdsToRevoke = [],
+    actorWallet,
+    appliedAt,
+    signatureHash,
+    executor = null
+  }) {
+    await ensureInitialized();
+    const apply = async (executor) => {
+      const created = [];
+      for (const grant of grantsToCreate) {
+        created.push(
+          await insertGrant(executor, {
+            tenantId,
+            ...grant,
+            createdBy: actorWallet,
+            createdAt: appliedAt,
+            signatureHash
+          })
+        );
+      }
+
+      const revokedGrantIds = [];
+      for (const grantId of grantIdsToRevoke) {
+        if (
+          await markGrantRevoked(executor, {
+            tenantId,
+            grantId,
+            revokedBy: actorWallet,
+            revokedAt: appliedAt
+          })
+        ) {
+          revokedGrantIds.push(grantId);
+        }
+      }
+
+      return { created, revokedGrantIds };
+    };
+
+    return executor ? apply(executor) : databaseAdapter.runInTransaction(apply);
+  }
+
+  async function decrementUsesRemaining(executor, safeTenantId, grantId) {
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            UPDATE policy_grants
+            SET uses_remaining = uses_remaining - 1
+            WHERE
+              tenant_id = ?
+              AND grant_id = ?
+              AND revoked_at IS NULL
+              AND uses_remaining > 0
+          `
+        : `
+            UPDATE policy_grants
+            SET uses_remaining = uses_remaining - 1
+            WHERE
+              tenant_id = $1
+              AND grant_id = $2
+              AND revoked_at IS NULL
+              AND uses_remaining > 0
+          `;
+
+    const result = await executor.execute({
+      mode: 'write',
+      sql,
+      values: [safeTenantId, grantId.trim()]
+    });
+
+    return result.rowCount > 0;
+  }
+
+  async function consumeGrantUse({ tenantId, grantId }) {
+    await ensureInitialized();
+    return decrementUsesRemaining(databaseAdapter, tenantValidation(tenantId), grantId);
+  }
+
+  // Spends one use of each grant, or none of them when any grant is exhausted. Inside a
+  // caller's transaction the caller rolls back when this returns false.
+  async function consumeGrantUses({ tenantId, grantIds, executor = null }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+    const uniqueGrantIds = [...new Set(grantIds)];
+    if (uniqueGrantIds.length === 0) {
+      return true;
+    }
+
+    if (executor) {
+      for (const grantId of uniqueGrantIds) {
+        if (!(await decrementUsesRemaining(executor, safeTenantId, grantId))) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+
+    const exhausted = new Error('Grant has no remaining uses.');
+    try {
+      await databaseAdapter.runInTransaction(async (executor) => {
+        for (const grantId of uniqueGrantIds) {
+          if (!(await decrementUsesRemaining(executor, safeTenantId, grantId))) {
+            throw exhausted;
+          }
+        }
+      });
+    } catch (error) {
+      if (error === exhausted) {
+        return false;
+      }
+
+      throw error;
+    }
+
+    return true;
+  }
+
   return {
     ensureInitialized,
     countActiveGrants,
     listActiveGrants,
+    listRevokedGrants,
     getGrantById,
     findActiveEquivalent,
     createGrant,
-    revokeGrant
+    revokeGrant,
+    runInTransaction,
+    replaceGrants,
+    consumeGrantUse,
+    consumeGrantUses
   };
 }
@@ -1,6 +1,17 @@
 import { createHash } from 'node:crypto';
-import { getAddress, verifyMessage } from 'ethers';
+import { getAddress } from 'ethers';
 import { NonceStore } from './authService.js';
+import {
+  createContractSignatureVerifierFromConfig,
+  verifyWalletSignature
+} from './contractSignatureService.js';
+import { verifyDelegationChain } from './delegationService.js';
+import {
+  AUTH_SCHEMES,
+  buildEip712Domain,
+  buildPolicyMutationTypedData,
+  resolveAuthScheme
+} from './eip712TypedData.js';
 
 const SIGNING_CONTEXT = 'PRIVATE_DB_AGENT_POLICY_MUTATION_V1';
 const MAX_NONCE_LENGTH = 128;
@@ -108,16 +119,29 @@ function hashSignature(signature) {
 
 export function createPolicyMutationAuthService(
   rawAuthConfig = {},
-  { nonceStore = new NonceStore(), now = () => Date.now() } = {}
+  {
+    nonceStore = new NonceStore(),
+    now = () => Date.now(),
+    contractSignatureVerifier = createContractSignatureVerifierFromConfig(rawAuthConfig.eip1271)
+  } = {}
 ) {
   const authConfig = {
     enabled: rawAuthConfig.enabled !== undefined ? Boolean(rawAuthConfig.enabled) : true,
     nonceTtlSeconds: rawAuthConfig.nonceTtlSeconds || DEFAULT_NONCE_TTL_SECONDS,
     maxFutureSkewSeconds:
-      rawAuthConfig.maxFutureSkewSeconds || DEFAULT_MAX_FUTURE_SKEW_SECONDS
+      rawAuthConfig.maxFutureSkewSeconds || DEFAULT_MAX_FUTURE_SKEW_SECONDS,
+    eip712Domain: buildEip712Domain(rawAuthConfig.eip712)
   };
 
-  async function authenticate({ requestId, tenantId, actorWallet, action, payload, auth }) {
+  async function authenticate({
+    requestId,
+    tenantId,
+    actorWallet,
+    action,
+    payload,
+    auth,
+    delegation = null
+  }) {
     const normalizedActor = normalizeAddress(actorWallet);
     if (!normalizedActor) {
       return {
@@ -128,13 +152,31 @@ export function createPolicyMutationAuthService(
       };
     }
 
+    // With a delegation chain the envelope is signed by the leaf delegate key while
+    // actorWallet stays the root wallet the request acts for.
+    let verifiedDelegation = null;
+    if (delegation !== null && delegation !== undefined) {
+      verifiedDelegation = await verifyDelegationChain({
+        chain: delegation,
+        principal: normalizedActor,
+        tenantId,
+        domain: authConfig.eip712Domain,
+        nowMs: now(),
+        contractSignatureVerifier
+      });
+      if (!verifiedDelegation.ok) {
+        return verifiedDelegation;
+      }
+    }
+
     if (!authConfig.enabled) {
       return {
         ok: true,
         actorWallet: normalizedActor,
         signedAt: null,
         nonce: null,
-        signatureHash: 'auth-disabled'
+        signatureHash: 'auth-disabled',
+        ...(verifiedDelegation ? { delegation: verifiedDelegation } : {})
       };
     }
 
@@ -183,6 +225,16 @@ export function createPolicyMutationAuthService(
       };
     }
 
+    const scheme = resolveAuthScheme(auth);
+    if (!scheme) {
+      return {
+        ok: false,
+        statusCode: 400,
+        code: 'INVALID_AUTH_SCHEME',
+        message: `auth.scheme must be one of: ${AUTH_SCHEMES.join(', ')}.`
+      };
+    }
+
     const timestamp = parseSignedAt(auth.signedAt);
     if (!timestamp.ok) {
       return timestamp;
@@ -199,7 +251,7 @@ export function createPolicyMutationAuthService(
       return freshness;
     }
 
-    const signedMessage = buildPolicyMutationMessage({
+    const envelope = {
       requestId,
       tenantId,
       actorWallet: normalizedActor,
@@ -207,32 +259,52 @@ export function createPolicyMutationAuthService(
       payload,
       nonce: auth.nonce,
       signedAt: auth.signedAt
+    };
+    const signedMessage = scheme === 'eip712' ? null : buildPolicyMutationMessage(envelope);
+    const signedTypedData =
+      scheme === 'eip712'
+        ? buildPolicyMutationTypedData(envelope, authConfig.eip712Domain)
+        : null;
+
+    const signerWallet = verifiedDelegation
+      ? verifiedDelegation.delegate.toLowerCase()
+      : normalizedActor;
+    const signatureCheck = await verifyWalletSignature({
+      address: signerWallet,
+      signedMessage,
+      signedTypedData,
+      signature: auth.signature,
+      contractSignatureVerifier
     });
-
-    let recoveredAddress;
-    try {
-      recoveredAddress = verifyMessage(signedMessage, auth.signature);
-    } catch {
-      return {
-        ok: false,
-        statusCode: 401,
-        code: 'INVALID_SIGNATURE_FORMAT',
-        message: 'auth.signature is not a valid wallet signature.'
-      };
-    }
-
-    const normalizedRecovered = normalizeAddress(recoveredAddress);
-    if (normalizedRecovered !== normalizedActor) {
-      return {
-        ok: false,
-        statusCode: 401,
-        code: 'SIGNER_MISMATCH',
-        message: 'Signature does not match actorWallet.'
-      };
+    if (!signatureCheck.valid) {
+      if (signatureCheck.reason === 'unavailable') {
+        return {
+          ok: false,
+          statusCode: 503,
+          code: 'CONTRACT_SIGNATURE_UNAVAILABLE',
+          message: `Unable to verify contract wallet signature: ${signatureCheck.message}`
+        };
+      }
+
+      return signatureCheck.reason === 'format'
+        ? {
+            ok: false,
+            statusCode: 401,
+            code: 'INVALID_SIGNATURE_FORMAT',
+            message: 'auth.signature is not a valid wallet signature.'
+          }
+        : {
+            ok: false,
+            statusCode: 401,
+            code: 'SIGNER_MISMATCH',
+            message: verifiedDelegation
+              ? 'Signature does not match the delegate key of the delegation chain.'
+              : 'Signature does not match actorWallet.'
+          };
     }
 
-    const nonceAccepted = nonceStore.consume(
-      normalizedActor,
+    const nonceAccepted = await nonceStore.consume(
+      signerWallet,
       auth.nonce,
       freshness.expiresAtMs,
       nowMs
@@ -253,7 +325,10 @@ export function createPolicyMutationAuthService(
       signedAt: auth.signedAt,
       nonce: auth.nonce,
       signatureHash: hashSignature(auth.signature),
-      signedMessage
+      scheme,
+      signatureType: signatureCheck.signatureType,
+      ...(verifiedDelegation ? { delegation: verifiedDelegation } : {}),
+      ...(signedTypedData ? { signedTypedData } : { signedMessage })
     };
   }
 
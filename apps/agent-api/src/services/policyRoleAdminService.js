@@ -0,0 +1,922 @@
+import { WALLET_ADDRESS_PATTERN } from '@eigen-private-db-agent/shared-types';
+import { loadConfig } from '../config.js';
+import { createDatabaseAdapter } from '../db/databaseAdapterFactory.js';
+import {
+  attachActionResponseEnvelope,
+  createNoopAuditService
+} from './actionResponseEnvelopeService.js';
+import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
+import {
+  evaluateActorAuthorityForGrant,
+  normalizeGrantRule,
+  recordPolicyVersion
+} from './policyAdminService.js';
+import {
+  collectMutationApproval,
+  createPolicyApprovalStore
+} from './policyApprovalStore.js';
+import { createPolicyGrantStore } from './policyGrantStore.js';
+import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
+import { createPolicyRoleStore } from './policyRoleStore.js';
+import { createPolicyVersionStore } from './policyVersionStore.js';
+import { createReceiptService } from './receiptService.js';
+import {
+  createPermissiveRuntimeAttestationService,
+  createRuntimeAttestationService
+} from './runtimeAttestationService.js';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,62}$/;
+const MAX_ROLE_PERMISSIONS = 32;
+const MAX_ROLE_DESCRIPTION_LENGTH = 500;
+const ROLE_ADMIN_GRANT = Object.freeze({
+  scopeType: 'database',
+  scopeId: '*',
+  operation: 'all',
+  effect: 'allow'
+});
+const walletRegex = new RegExp(WALLET_ADDRESS_PATTERN);
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validationError(message, issues = []) {
+  return {
+    statusCode: 400,
+    body: {
+      error: 'VALIDATION_ERROR',
+      message,
+      details: {
+        issues
+      }
+    }
+  };
+}
+
+function serviceError(code, message, statusCode, details = null) {
+  return {
+    statusCode,
+    body: {
+      error: code,
+      message,
+      ...(details ? { details } : {})
+    }
+  };
+}
+
+function normalizeTenantId(rawTenantId) {
+  if (!isNonEmptyString(rawTenantId)) {
+    return null;
+  }
+
+  const normalized = rawTenantId.trim().toLowerCase();
+  return TENANT_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+function normalizeWalletAddress(rawWalletAddress) {
+  if (!isNonEmptyString(rawWalletAddress)) {
+    return null;
+  }
+
+  const normalized = rawWalletAddress.trim().toLowerCase();
+  return walletRegex.test(normalized) ? normalized : null;
+}
+
+export function normalizeRoleName(rawRoleName) {
+  if (!isNonEmptyString(rawRoleName)) {
+    return null;
+  }
+
+  const normalized = rawRoleName.trim().toLowerCase();
+  return ROLE_NAME_PATTERN.test(normalized) ? normalized : null;
+}
+
+function normalizeMutationEnvelope(payload, issues) {
+  const tenantId = normalizeTenantId(payload?.tenantId);
+  if (!tenantId) {
+    issues.push({
+      path: 'tenantId',
+      code: 'invalid_tenant_id',
+      message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+    });
+  }
+
+  const requestId = isNonEmptyString(payload?.requestId) ? payload.requestId.trim() : null;
+  if (!requestId) {
+    issues.push({
+      path: 'requestId',
+      code: 'required',
+      message: 'requestId is required.'
+    });
+  }
+
+  const actorWallet = normalizeWalletAddress(payload?.actorWallet);
+  if (!actorWallet) {
+    issues.push({
+      path: 'actorWallet',
+      code: 'invalid_wallet',
+      message: 'actorWallet must be a valid EVM wallet address.'
+    });
+  }
+
+  return {
+    tenantId,
+    requestId,
+    actorWallet
+  };
+}
+
+function pushRoleNameIssue(issues, path) {
+  issues.push({
+    path,
+    code: 'invalid_role_name',
+    message: `${path} must match [a-z][a-z0-9_-]{0,62}.`
+  });
+}
+
+// Shared with policy bundle import, whose roles carry their name as roleName.
+export function normalizeRoleDefinition(role, { path, issues, nameField = 'name' }) {
+  const roleName = normalizeRoleName(role?.[nameField]);
+  if (!roleName) {
+    pushRoleNameIssue(issues, `${path}.${nameField}`);
+  }
+
+  let description = null;
+  if (role?.description !== undefined && role?.description !== null) {
+    if (
+      typeof role.description !== 'string' ||
+      role.description.length > MAX_ROLE_DESCRIPTION_LENGTH
+    ) {
+      issues.push({
+        path: `${path}.description`,
+        code: 'invalid_description',
+        message: `${path}.description must be a string of at most ${MAX_ROLE_DESCRIPTION_LENGTH} characters.`
+      });
+    } else {
+      description = role.description.trim() || null;
+    }
+  }
+
+  const permissions = [];
+  if (
+    !Array.isArray(role?.permissions) ||
+    role.permissions.length === 0 ||
+    role.permissions.length > MAX_ROLE_PERMISSIONS
+  ) {
+    issues.push({
+      path: `${path}.permissions`,
+      code: 'invalid_permissions',
+      message: `${path}.permissions must be a non-empty array with at most ${MAX_ROLE_PERMISSIONS} entries.`
+    });
+  } else {
+    role.permissions.forEach((rule, index) => {
+      const rulePath = `${path}.permissions[${index}]`;
+      if (!isPlainObject(rule)) {
+        issues.push({
+          path: rulePath,
+          code: 'invalid_permission',
+          message: `${rulePath} must be an object.`
+        });
+        return;
+      }
+
+      const normalizedRule = normalizeGrantRule(rule, { path: rulePath, issues });
+      permissions.push({
+        scopeType: normalizedRule.scopeType,
+        scopeId: normalizedRule.scopeId,
+        operation: normalizedRule.operation,
+        effect: normalizedRule.effect,
+        ...(normalizedRule.rowPredicate ? { rowPredicate: normalizedRule.rowPredicate } : {}),
+        ...(normalizedRule.conditions ? { conditions: normalizedRule.conditions } : {})
+      });
+    });
+  }
+
+  return {
+    roleName,
+    description,
+    permissions
+  };
+}
+
+function normalizeCreateRolePayload(payload) {
+  const issues = [];
+  const envelope = normalizeMutationEnvelope(payload, issues);
+
+  const role = payload?.role;
+  if (!isPlainObject(role)) {
+    issues.push({
+      path: 'role',
+      code: 'required',
+      message: 'role object is required.'
+    });
+  }
+
+  const normalizedRole = normalizeRoleDefinition(role, { path: 'role', issues });
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      ...envelope,
+      role: normalizedRole
+    }
+  };
+}
+
+function normalizeAssignRolePayload(payload) {
+  const issues = [];
+  const envelope = normalizeMutationEnvelope(payload, issues);
+
+  const roleName = normalizeRoleName(payload?.roleName);
+  if (!roleName) {
+    pushRoleNameIssue(issues, 'roleName');
+  }
+
+  const walletAddress = normalizeWalletAddress(payload?.walletAddress);
+  if (!walletAddress) {
+    issues.push({
+      path: 'walletAddress',
+      code: 'invalid_wallet',
+      message: 'walletAddress must be a valid EVM wallet address.'
+    });
+  }
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      ...envelope,
+      roleName,
+      walletAddress
+    }
+  };
+}
+
+function normalizeUnassignRolePayload(payload) {
+  const issues = [];
+  const envelope = normalizeMutationEnvelope(payload, issues);
+
+  const assignmentId = isNonEmptyString(payload?.assignmentId)
+    ? payload.assignmentId.trim()
+    : null;
+  if (!assignmentId) {
+    issues.push({
+      path: 'assignmentId',
+      code: 'required',
+      message: 'assignmentId is required.'
+    });
+  }
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      ...envelope,
+      assignmentId
+    }
+  };
+}
+
+export function createPolicyRoleAdminService({
+  roleStore,
+  grantStore,
+  versionStore = null,
+  approvalStore = null,
+  mutationAuthService,
+  runtimeAttestationService = createPermissiveRuntimeAttestationService(),
+  now = () => new Date().toISOString()
+}) {
+  if (!roleStore) {
+    throw new Error('roleStore is required.');
+  }
+
+  if (!grantStore) {
+    throw new Error('grantStore is required.');
+  }
+
+  if (!mutationAuthService) {
+    throw new Error('mutationAuthService is required.');
+  }
+
+  async function checkRuntime(action) {
+    const runtimeCheck = await runtimeAttestationService.checkAccess({
+      action,
+      sensitive: true
+    });
+
+    if (runtimeCheck.allowed) {
+      return { ok: true, runtimeCheck };
+    }
+
+    return {
+      ok: false,
+      response: serviceError(
+        runtimeCheck.code || 'RUNTIME_VERIFICATION_FAILED',
+        runtimeCheck.message || 'Sensitive operation denied because runtime verification failed.',
+        runtimeCheck.statusCode || 503,
+        {
+          runtime: runtimeCheck.snapshot || null
+        }
+      )
+    };
+  }
+
+  async function evaluateAuthorityForRole({ tenantId, actorWallet, role, walletAddress = null }) {
+    const evaluation = [];
+    for (const [ruleIndex, rule] of role.permissions.entries()) {
+      const authorityResult = await evaluateActorAuthorityForGrant({
+        grantStore,
+        roleStore,
+        tenantId,
+        actorWallet,
+        grant: walletAddress ? { ...rule, walletAddress } : rule,
+        now: now()
+      });
+
+      evaluation.push({ ruleIndex, ...authorityResult });
+      if (!authorityResult.allowed) {
+        return {
+          allowed: false,
+          code: authorityResult.code,
+          message: authorityResult.message,
+          evaluation
+        };
+      }
+    }
+
+    return {
+      allowed: true,
+      code: 'ACTOR_AUTHORIZED',
+      message: `Actor holds every permission carried by role '${role.roleName}'.`,
+      evaluation
+    };
+  }
+
+  async function createRole(payload) {
+    const normalizedPayload = normalizeCreateRolePayload(payload);
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid policy role payload.', normalizedPayload.issues);
+    }
+
+    const runtimeResult = await checkRuntime('policy:role:create');
+    if (!runtimeResult.ok) {
+      return runtimeResult.response;
+    }
+
+    const { tenantId, requestId, actorWallet, role } = normalizedPayload.normalized;
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action: 'role:create',
+      payload: payload.role,
+      auth: payload.auth
+    });
+
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const authorityResult = await evaluateActorAuthorityForGrant({
+      grantStore,
+      roleStore,
+      tenantId,
+      actorWallet: authResult.actorWallet,
+      grant: ROLE_ADMIN_GRANT,
+      now: now()
+    });
+
+    if (!authorityResult.allowed) {
+      return serviceError(authorityResult.code, authorityResult.message, 403, {
+        actorAuthority: authorityResult
+      });
+    }
+
+    const existingRole = await roleStore.getRole({ tenantId, roleName: role.roleName });
+    if (existingRole) {
+      return serviceError(
+        'ROLE_ALREADY_EXISTS',
+        `Policy role '${role.roleName}' already exists for tenant.`,
+        409,
+        { role: existingRole }
+      );
+    }
+
+    const approvalResult = await collectMutationApproval({
+      approvalStore,
+      tenantId,
+      action: 'policy:role:create',
+      requestId,
+      payload: role,
+      actorWallet: authResult.actorWallet,
+      signatureHash: authResult.signatureHash,
+      now
+    });
+    if (!approvalResult.ok) {
+      return approvalResult.response;
+    }
+
+    const createdAt = now();
+    const createdRole = await roleStore.createRole({
+      tenantId,
+      ...role,
+      createdBy: authResult.actorWallet,
+      createdAt,
+      signatureHash: authResult.signatureHash
+    });
+    const policyVersion = await recordPolicyVersion({
+      grantStore,
+      roleStore,
+      versionStore,
+      tenantId,
+      changeType: 'role:create',
+      change: { roleName: createdRole.roleName },
+      createdBy: authResult.actorWallet,
+      createdAt
+    });
+
+    return {
+      statusCode: 201,
+      body: {
+        code: 'ROLE_CREATED',
+        message: 'Policy role created.',
+        role: createdRole,
+        ...(policyVersion ? { policyVersion } : {}),
+        ...(approvalResult.approval ? { approval: approvalResult.approval } : {}),
+        actorAuthority: authorityResult,
+        runtime: runtimeResult.runtimeCheck.snapshot || null
+      }
+    };
+  }
+
+  async function assignRole(payload) {
+    const normalizedPayload = normalizeAssignRolePayload(payload);
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid role assignment payload.', normalizedPayload.issues);
+    }
+
+    const runtimeResult = await checkRuntime('policy:role:assign');
+    if (!runtimeResult.ok) {
+      return runtimeResult.response;
+    }
+
+    const { tenantId, requestId, actorWallet, roleName, walletAddress } =
+      normalizedPayload.normalized;
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action: 'role:assign',
+      payload: {
+        roleName,
+        walletAddress
+      },
+      auth: payload.auth
+    });
+
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const role = await roleStore.getRole({ tenantId, roleName });
+    if (!role) {
+      return serviceError('ROLE_NOT_FOUND', `Policy role '${roleName}' does not exist.`, 404);
+    }
+
+    const authorityResult = await evaluateAuthorityForRole({
+      tenantId,
+      actorWallet: authResult.actorWallet,
+      role,
+      walletAddress
+    });
+
+    if (!authorityResult.allowed) {
+      return serviceError(authorityResult.code, authorityResult.message, 403, {
+        actorAuthority: authorityResult
+      });
+    }
+
+    const [existingAssignment] = await roleStore.listActiveAssignments({
+      tenantId,
+      walletAddress,
+      roleName
+    });
+    if (existingAssignment) {
+      return serviceError(
+        'ROLE_ALREADY_ASSIGNED',
+        `Policy role '${roleName}' is already assigned to wallet.`,
+        409,
+        { assignment: existingAssignment }
+      );
+    }
+
+    const approvalResult = await collectMutationApproval({
+      approvalStore,
+      tenantId,
+      action: 'policy:role:assign',
+      requestId,
+      payload: { roleName, walletAddress },
+      actorWallet: authResult.actorWallet,
+      signatureHash: authResult.signatureHash,
+      now
+    });
+    if (!approvalResult.ok) {
+      return approvalResult.response;
+    }
+
+    const createdAt = now();
+    const assignment = await roleStore.createAssignment({
+      tenantId,
+      role,
+      walletAddress,
+      createdBy: authResult.actorWallet,
+      createdAt,
+      signatureHash: authResult.signatureHash
+    });
+    const policyVersion = await recordPolicyVersion({
+      grantStore,
+      roleStore,
+      versionStore,
+      tenantId,
+      changeType: 'role:assign',
+      change: { assignmentId: assignment.assignmentId, roleName, walletAddress },
+      createdBy: authResult.actorWallet,
+      createdAt
+    });
+
+    return {
+      statusCode: 201,
+      body: {
+        code: 'ROLE_ASSIGNED',
+        message: 'Policy role assigned.',
+        assignment,
+        ...(policyVersion ? { policyVersion } : {}),
+        ...(approvalResult.approval ? { approval: approvalResult.approval } : {}),
+        actorAuthority: authorityResult,
+        runtime: runtimeResult.runtimeCheck.snapshot || null
+      }
+    };
+  }
+
+  async function unassignRole(payload) {
+    const normalizedPayload = normalizeUnassignRolePayload(payload);
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid role unassignment payload.', normalizedPayload.issues);
+    }
+
+    const runtimeResult = await checkRuntime('policy:role:unassign');
+    if (!runtimeResult.ok) {
+      return runtimeResult.response;
+    }
+
+    const { tenantId, requestId, actorWallet, assignmentId } = normalizedPayload.normalized;
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action: 'role:unassign',
+      payload: {
+        assignmentId
+      },
+      auth: payload.auth
+    });
+
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const assignment = await roleStore.getAssignmentById({ tenantId, assignmentId });
+    if (!assignment || assignment.revokedAt) {
+      return serviceError(
+        'ROLE_ASSIGNMENT_NOT_FOUND',
+        'Active role assignment not found.',
+        404
+      );
+    }
+
+    const authorityResult = await evaluateAuthorityForRole({
+      tenantId,
+      actorWallet: authResult.actorWallet,
+      role: assignment
+    });
+
+    if (!authorityResult.allowed) {
+      return serviceError(authorityResult.code, authorityResult.message, 403, {
+        actorAuthority: authorityResult
+      });
+    }
+
+    const approvalResult = await collectMutationApproval({
+      approvalStore,
+      tenantId,
+      action: 'policy:role:unassign',
+      requestId,
+      payload: { assignmentId },
+      actorWallet: authResult.actorWallet,
+      signatureHash: authResult.signatureHash,
+      now
+    });
+    if (!approvalResult.ok) {
+      return approvalResult.response;
+    }
+
+    const revokedAt = now();
+    const revoked = await roleStore.revokeAssignment({
+      tenantId,
+      assignmentId,
+      revokedBy: authResult.actorWallet,
+      revokedAt
+    });
+
+    if (!revoked) {
+      return serviceError(
+        'ROLE_ASSIGNMENT_CONFLICT',
+        'Role assignment revocation conflicted with current state.',
+        409
+      );
+    }
+
+    const policyVersion = await recordPolicyVersion({
+      grantStore,
+      roleStore,
+      versionStore,
+      tenantId,
+      changeType: 'role:unassign',
+      change: { assignmentId },
+      createdBy: authResult.actorWallet,
+      createdAt: revokedAt
+    });
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'ROLE_UNASSIGNED',
+        message: 'Policy role assignment revoked.',
+        assignment: {
+          ...assignment,
+          revokedAt,
+          revokedBy: authResult.actorWallet
+        },
+        ...(policyVersion ? { policyVersion } : {}),
+        ...(approvalResult.approval ? { approval: approvalResult.approval } : {}),
+        actorAuthority: authorityResult,
+        runtime: runtimeResult.runtimeCheck.snapshot || null
+      }
+    };
+  }
+
+  async function listRoles({ tenantId, walletAddress = null }) {
+    const issues = [];
+    const safeTenantId = normalizeTenantId(tenantId);
+    if (!safeTenantId) {
+      issues.push({
+        path: 'tenantId',
+        code: 'invalid_tenant_id',
+        message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+      });
+    }
+
+    const safeWalletAddress = walletAddress ? normalizeWalletAddress(walletAddress) : null;
+    if (walletAddress && !safeWalletAddress) {
+      issues.push({
+        path: 'walletAddress',
+        code: 'invalid_wallet',
+        message: 'walletAddress must be a valid EVM wallet address.'
+      });
+    }
+
+    if (issues.length > 0) {
+      return validationError('Invalid query parameters.', issues);
+    }
+
+    const roles = await roleStore.listRoles({ tenantId: safeTenantId });
+    const assignments = await roleStore.listActiveAssignments({
+      tenantId: safeTenantId,
+      walletAddress: safeWalletAddress
+    });
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'ROLES_LISTED',
+        roles: roles.map((role) => ({
+          ...role,
+          assignments: assignments
+            .filter((assignment) => assignment.roleId === role.roleId)
+            .map(({ permissions: _permissions, ...assignment }) => assignment)
+        }))
+      }
+    };
+  }
+
+  return {
+    createRole,
+    assignRole,
+    unassignRole,
+    listRoles
+  };
+}
+
+const runtimeConfig = loadConfig();
+const runtimeMetadata = {
+  serviceName: runtimeConfig.serviceName,
+  version: runtimeConfig.version,
+  nodeEnv: runtimeConfig.nodeEnv
+};
+const defaultReceiptService = createReceiptService(runtimeConfig.proof, runtimeMetadata);
+const defaultAuditService = createNoopAuditService();
+let runtimePolicyRoleAdminServicePromise = null;
+
+function buildExecutionContext(result) {
+  const rows = Array.isArray(result?.body?.roles)
+    ? result.body.roles
+    : result?.body?.role
+      ? [result.body.role]
+      : result?.body?.assignment
+        ? [result.body.assignment]
+        : [];
+
+  return {
+    ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+    code: result?.body?.code || result?.body?.error || null,
+    data: {
+      rowCount: rows.length,
+      rows
+    }
+  };
+}
+
+function buildPolicyContext(result) {
+  const actorAuthority = result?.body?.actorAuthority || result?.body?.details?.actorAuthority;
+  if (actorAuthority && typeof actorAuthority === 'object') {
+    return {
+      allowed: Boolean(actorAuthority.allowed),
+      code: actorAuthority.code || null
+    };
+  }
+
+  return null;
+}
+
+async function attachRoleEnvelope({
+  payload,
+  result,
+  action,
+  resource,
+  databaseDialect = 'unknown',
+  receiptService = defaultReceiptService,
+  auditService = defaultAuditService
+}) {
+  return attachActionResponseEnvelope({
+    payload,
+    result,
+    auth: {
+      ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+      requester: payload?.actorWallet || null,
+      code: result?.body?.error || result?.body?.code || null
+    },
+    policy: buildPolicyContext(result),
+    execution: buildExecutionContext(result),
+    runtimeVerification: result?.body?.runtime || null,
+    auditContext: {
+      action,
+      resource,
+      requester: payload?.actorWallet || null
+    },
+    receiptService,
+    auditService,
+    databaseDialect
+  });
+}
+
+async function buildRuntimePolicyRoleAdminService() {
+  const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
+  const grantStore = createPolicyGrantStore({ databaseAdapter });
+  await grantStore.ensureInitialized();
+  const roleStore = createPolicyRoleStore({ databaseAdapter });
+  await roleStore.ensureInitialized();
+  const versionStore = createPolicyVersionStore({ databaseAdapter });
+  await versionStore.ensureInitialized();
+  const approvalStore = createPolicyApprovalStore({ databaseAdapter });
+  await approvalStore.ensureInitialized();
+
+  return {
+    service: createPolicyRoleAdminService({
+      roleStore,
+      grantStore,
+      versionStore,
+      approvalStore,
+      mutationAuthService: createPolicyMutationAuthService(
+        {
+          ...runtimeConfig.auth,
+          enabled: true
+        },
+        {
+          nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+            databaseAdapter,
+            scope: 'mutation'
+          })
+        }
+      ),
+      runtimeAttestationService: createRuntimeAttestationService(runtimeConfig.proof)
+    }),
+    databaseDialect: databaseAdapter.dialect || 'unknown',
+    receiptService: defaultReceiptService,
+    auditService: createAuditService({ databaseAdapter })
+  };
+}
+
+async function getRuntimePolicyRoleAdminService() {
+  if (!runtimePolicyRoleAdminServicePromise) {
+    runtimePolicyRoleAdminServicePromise = buildRuntimePolicyRoleAdminService().catch((error) => {
+      runtimePolicyRoleAdminServicePromise = null;
+      throw error;
+    });
+  }
+
+  return runtimePolicyRoleAdminServicePromise;
+}
+
+async function runRoleAdminAction({ payload, overrides, method, action, resource }) {
+  try {
+    const runtimeContext = overrides?.policyRoleAdminService
+      ? {
+          service: overrides.policyRoleAdminService,
+          databaseDialect: overrides.databaseDialect || 'unknown',
+          receiptService: overrides.receiptService || defaultReceiptService,
+          auditService: overrides.auditService || defaultAuditService
+        }
+      : await getRuntimePolicyRoleAdminService();
+    const result = await runtimeContext.service[method](payload);
+
+    return attachRoleEnvelope({
+      payload,
+      result,
+      action,
+      resource,
+      databaseDialect: runtimeContext.databaseDialect,
+      receiptService: runtimeContext.receiptService,
+      auditService: runtimeContext.auditService
+    });
+  } catch (error) {
+    return attachRoleEnvelope({
+      payload,
+      result: serviceError(
+        'SERVICE_UNAVAILABLE',
+        error?.message || 'Policy role service failed to initialize database adapter.',
+        503
+      ),
+      action,
+      resource: 'service',
+      databaseDialect: overrides?.databaseDialect || 'unknown',
+      receiptService: overrides?.receiptService || defaultReceiptService,
+      auditService: overrides?.auditService || defaultAuditService
+    });
+  }
+}
+
+export async function handleCreatePolicyRoleRequest(payload, overrides = null) {
+  return runRoleAdminAction({
+    payload,
+    overrides,
+    method: 'createRole',
+    action: 'policy:role:create',
+    resource: payload?.role?.name || 'unknown'
+  });
+}
+
+export async function handleAssignPolicyRoleRequest(payload, overrides = null) {
+  return runRoleAdminAction({
+    payload,
+    overrides,
+    method: 'assignRole',
+    action: 'policy:role:assign',
+    resource: payload?.roleName || 'unknown'
+  });
+}
+
+export async function handleUnassignPolicyRoleRequest(payload, overrides = null) {
+  return runRoleAdminAction({
+    payload,
+    overrides,
+    method: 'unassignRole',
+    action: 'policy:role:unassign',
+    resource: payload?.assignmentId || 'unknown'
+  });
+}
+
+export async function handleListPolicyRolesRequest(query = {}, overrides = null) {
+  return runRoleAdminAction({
+    payload: query,
+    overrides,
+    method: 'listRoles',
+    action: 'policy:role:list',
+    resource: query?.tenantId || 'unknown'
+  });
+}
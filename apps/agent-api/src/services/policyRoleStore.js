@@ -0,0 +1,571 @@
+import { randomUUID } from 'node:crypto';
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function parsePermissions(rawPermissions) {
+  try {
+    const parsed = JSON.parse(rawPermissions || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function toCamelCaseRole(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    roleId: row.role_id,
+    tenantId: row.tenant_id,
+    roleName: row.role_name,
+    description: row.description || null,
+    permissions: parsePermissions(row.permissions_json),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    signatureHash: row.signature_hash
+  };
+}
+
+function toCamelCaseAssignment(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    assignmentId: row.assignment_id,
+    tenantId: row.tenant_id,
+    roleId: row.role_id,
+    roleName: row.role_name,
+    walletAddress: row.wallet_address,
+    permissions: parsePermissions(row.permissions_json),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    signatureHash: row.signature_hash,
+    revokedAt: row.revoked_at || null,
+    revokedBy: row.revoked_by || null
+  };
+}
+
+export function createPolicyRoleStore({ databaseAdapter }) {
+  if (!databaseAdapter || typeof databaseAdapter.execute !== 'function') {
+    throw new Error('databaseAdapter is required for policy role store.');
+  }
+
+  const dialect = databaseAdapter.dialect;
+  if (!['sqlite', 'postgres'].includes(dialect)) {
+    throw new Error(`Unsupported database dialect '${dialect}' for policy role store.`);
+  }
+
+  let initPromise = null;
+
+  async function ensureInitialized() {
+    if (!initPromise) {
+      initPromise = initializeSchema().catch((error) => {
+        initPromise = null;
+        throw error;
+      });
+    }
+
+    return initPromise;
+  }
+
+  async function initializeSchema() {
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE TABLE IF NOT EXISTS policy_roles (
+          role_id TEXT PRIMARY KEY,
+          tenant_id TEXT NOT NULL,
+          role_name TEXT NOT NULL,
+          description TEXT,
+          permissions_json TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          signature_hash TEXT NOT NULL
+        )
+      `,
+      values: []
+    });
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_policy_roles_name
+        ON policy_roles (tenant_id, role_name)
+      `,
+      values: []
+    });
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE TABLE IF NOT EXISTS policy_role_assignments (
+          assignment_id TEXT PRIMARY KEY,
+          tenant_id TEXT NOT NULL,
+          role_id TEXT NOT NULL,
+          wallet_address TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          signature_hash TEXT NOT NULL,
+          revoked_at TEXT,
+          revoked_by TEXT
+        )
+      `,
+      values: []
+    });
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE INDEX IF NOT EXISTS idx_policy_role_assignments_lookup
+        ON policy_role_assignments (tenant_id, wallet_address, revoked_at)
+      `,
+      values: []
+    });
+  }
+
+  function tenantValidation(tenantId) {
+    if (!isNonEmptyString(tenantId)) {
+      throw new Error('tenantId is required.');
+    }
+
+    return tenantId.trim();
+  }
+
+  async function listRoles({ tenantId }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            SELECT *
+            FROM policy_roles
+            WHERE tenant_id = ?
+            ORDER BY role_name ASC
+          `
+        : `
+            SELECT *
+            FROM policy_roles
+            WHERE tenant_id = $1
+            ORDER BY role_name ASC
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values: [safeTenantId]
+    });
+
+    return (result.rows || []).map((row) => toCamelCaseRole(row));
+  }
+
+  async function getRole({ tenantId, roleName }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+    if (!isNonEmptyString(roleName)) {
+      throw new Error('roleName is required.');
+    }
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            SELECT *
+            FROM policy_roles
+            WHERE tenant_id = ? AND role_name = ?
+            LIMIT 1
+          `
+        : `
+            SELECT *
+            FROM policy_roles
+            WHERE tenant_id = $1 AND role_name = $2
+            LIMIT 1
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values: [safeTenantId, roleName.trim()]
+    });
+
+    return toCamelCaseRole(result.rows?.[0] || null);
+  }
+
+  async function createRole({
+    tenantId,
+    roleName,
+    description = null,
+    permissions,
+    createdBy,
+    createdAt,
+    signatureHash
+  }) {
+    await ensureInitialized();
+    const role = {
+      roleId: randomUUID(),
+      tenantId: tenantValidation(tenantId),
+      roleName,
+      description,
+      permissions,
+      createdBy: createdBy.trim().toLowerCase(),
+      createdAt,
+      signatureHash
+    };
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            INSERT INTO policy_roles (
+              role_id,
+              tenant_id,
+              role_name,
+              description,
+              permissions_json,
+              created_by,
+              created_at,
+              signature_hash
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          `
+        : `
+            INSERT INTO policy_roles (
+              role_id,
+              tenant_id,
+              role_name,
+              description,
+              permissions_json,
+              created_by,
+              created_at,
+              signature_hash
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          `;
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql,
+      values: [
+        role.roleId,
+        role.tenantId,
+        role.roleName,
+        role.description,
+        JSON.stringify(role.permissions),
+        role.createdBy,
+        role.createdAt,
+        role.signatureHash
+      ]
+    });
+
+    return role;
+  }
+
+  async function listActiveAssignments({ tenantId, walletAddress = null, roleName = null }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+    const filters = [];
+    const values = [safeTenantId];
+
+    if (isNonEmptyString(walletAddress)) {
+      values.push(walletAddress.trim().toLowerCase());
+      filters.push(`a.wallet_address = ${dialect === 'sqlite' ? '?' : `$${values.length}`}`);
+    }
+
+    if (isNonEmptyString(roleName)) {
+      values.push(roleName.trim());
+      filters.push(`r.role_name = ${dialect === 'sqlite' ? '?' : `$${values.length}`}`);
+    }
+
+    const sql = `
+      SELECT a.*, r.role_name, r.permissions_json
+      FROM policy_role_assignments a
+      JOIN policy_roles r ON r.role_id = a.role_id AND r.tenant_id = a.tenant_id
+      WHERE a.tenant_id = ${dialect === 'sqlite' ? '?' : '$1'} AND a.revoked_at IS NULL${filters
+        .map((filter) => ` AND ${filter}`)
+        .join('')}
+      ORDER BY a.created_at DESC, a.assignment_id DESC
+    `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values
+    });
+
+    return (result.rows || []).map((row) => toCamelCaseAssignment(row));
+  }
+
+  async function getAssignmentById({ tenantId, assignmentId }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+    if (!isNonEmptyString(assignmentId)) {
+      throw new Error('assignmentId is required.');
+    }
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            SELECT a.*, r.role_name, r.permissions_json
+            FROM policy_role_assignments a
+            JOIN policy_roles r ON r.role_id = a.role_id AND r.tenant_id = a.tenant_id
+            WHERE a.tenant_id = ? AND a.assignment_id = ?
+            LIMIT 1
+          `
+        : `
+            SELECT a.*, r.role_name, r.permissions_json
+            FROM policy_role_assignments a
+            JOIN policy_roles r ON r.role_id = a.role_id AND r.tenant_id = a.tenant_id
+            WHERE a.tenant_id = $1 AND a.assignment_id = $2
+            LIMIT 1
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values: [safeTenantId, assignmentId.trim()]
+    });
+
+    return toCamelCaseAssignment(result.rows?.[0] || null);
+  }
+
+  async function createAssignment({ tenantId, role, walletAddress, createdBy, createdAt, signatureHash }) {
+    await ensureInitialized();
+    const assignment = {
+      assignmentId: randomUUID(),
+      tenantId: tenantValidation(tenantId),
+      roleId: role.roleId,
+      roleName: role.roleName,
+      walletAddress: walletAddress.trim().toLowerCase(),
+      permissions: role.permissions,
+      createdBy: createdBy.trim().toLowerCase(),
+      createdAt,
+      signatureHash
+    };
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            INSERT INTO policy_role_assignments (
+              assignment_id,
+              tenant_id,
+              role_id,
+              wallet_address,
+              created_by,
+              created_at,
+              signature_hash
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `
+        : `
+            INSERT INTO policy_role_assignments (
+              assignment_id,
+              tenant_id,
+              role_id,
+              wallet_address,
+              created_by,
+              created_at,
+              signature_hash
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+          `;
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql,
+      values: [
+        assignment.assignmentId,
+        assignment.tenantId,
+        assignment.roleId,
+        assignment.walletAddress,
+        assignment.createdBy,
+        assignment.createdAt,
+        assignment.signatureHash
+      ]
+    });
+
+    return {
+      ...assignment,
+      revokedAt: null,
+      revokedBy: null
+    };
+  }
+
+  async function revokeAssignment({ tenantId, assignmentId, revokedBy, revokedAt }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            UPDATE policy_role_assignments
+            SET revoked_at = ?, revoked_by = ?
+            WHERE tenant_id = ? AND assignment_id = ? AND revoked_at IS NULL
+          `
+        : `
+            UPDATE policy_role_assignments
+            SET revoked_at = $1, revoked_by = $2
+            WHERE tenant_id = $3 AND assignment_id = $4 AND revoked_at IS NULL
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql,
+      values: [revokedAt, revokedBy.trim().toLowerCase(), safeTenantId, assignmentId.trim()]
+    });
+
+    return result.rowCount > 0;
+  }
+
+  // Brings the tenant's roles and active assignments to a restored policy: new roles are
+  // created, changed definitions updated in place, roles the policy no longer has deleted, and
+  // assignments (named by role and wallet) created or revoked. Assignments of deleted roles
+  // must be among those revoked.
+  async function replaceRoles({
+    tenantId,
+    rolesToCreate = [],
+    rolesToUpdate = [],
+    roleIdsToDelete = [],
+    assignmentsToCreate = [],
+    assignmentIdsToRevoke = [],
+    actorWallet,
+    appliedAt,
+    signatureHash,
+    executor = null
+  }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+    const safeActorWallet = actorWallet.trim().toLowerCase();
+    const placeholders = (count) =>
+      Array.from({ length: count }, (_, index) => (dialect === 'sqlite' ? '?' : `$${index + 1}`));
+
+    const apply = async (executor) => {
+      for (const assignmentId of assignmentIdsToRevoke) {
+        const [revokedAt, revokedBy, tenant, assignment] = placeholders(4);
+        await executor.execute({
+          mode: 'write',
+          sql: `
+            UPDATE policy_role_assignments
+            SET revoked_at = ${revokedAt}, revoked_by = ${revokedBy}
+            WHERE tenant_id = ${tenant} AND assignment_id = ${assignment} AND revoked_at IS NULL
+          `,
+          values: [appliedAt, safeActorWallet, safeTenantId, assignmentId]
+        });
+      }
+
+      for (const roleId of roleIdsToDelete) {
+        const [tenant, role] = placeholders(2);
+        await executor.execute({
+          mode: 'write',
+          sql: `DELETE FROM policy_roles WHERE tenant_id = ${tenant} AND role_id = ${role}`,
+          values: [safeTenantId, roleId]
+        });
+      }
+
+      for (const role of rolesToUpdate) {
+        const [description, permissions, tenant, roleId] = placeholders(4);
+        await executor.execute({
+          mode: 'write',
+          sql: `
+            UPDATE policy_roles
+            SET description = ${description}, permissions_json = ${permissions}
+            WHERE tenant_id = ${tenant} AND role_id = ${roleId}
+          `,
+          values: [
+            role.description ?? null,
+            JSON.stringify(role.permissions),
+            safeTenantId,
+            role.roleId
+          ]
+        });
+      }
+
+      const roleIdsByName = new Map();
+      for (const role of rolesToCreate) {
+        const roleId = randomUUID();
+        await executor.execute({
+          mode: 'write',
+          sql: `
+            INSERT INTO policy_roles (
+              role_id,
+              tenant_id,
+              role_name,
+              description,
+              permissions_json,
+              created_by,
+              created_at,
+              signature_hash
+            )
+            VALUES (${placeholders(8).join(', ')})
+          `,
+          values: [
+            roleId,
+            safeTenantId,
+            role.roleName,
+            role.description ?? null,
+            JSON.stringify(role.permissions),
+            safeActorWallet,
+            appliedAt,
+            signatureHash
+          ]
+        });
+        roleIdsByName.set(role.roleName, roleId);
+      }
+
+      if (assignmentsToCreate.some((assignment) => !roleIdsByName.has(assignment.roleName))) {
+        const result = await executor.execute({
+          mode: 'read',
+          sql: `SELECT role_id, role_name FROM policy_roles
+                WHERE tenant_id = ${placeholders(1)[0]}`,
+          values: [safeTenantId]
+        });
+        for (const row of result.rows || []) {
+          roleIdsByName.set(row.role_name, row.role_id);
+        }
+      }
+
+      for (const assignment of assignmentsToCreate) {
+        await executor.execute({
+          mode: 'write',
+          sql: `
+            INSERT INTO policy_role_assignments (
+              assignment_id,
+              tenant_id,
+              role_id,
+              wallet_address,
+              created_by,
+              created_at,
+              signature_hash
+            )
+            VALUES (${placeholders(7).join(', ')})
+          `,
+          values: [
+            randomUUID(),
+            safeTenantId,
+            roleIdsByName.get(assignment.roleName),
+            assignment.walletAddress.trim().toLowerCase(),
+            safeActorWallet,
+            appliedAt,
+            signatureHash
+          ]
+        });
+      }
+    };
+
+    return executor ? apply(executor) : databaseAdapter.runInTransaction(apply);
+  }
+
+  return {
+    ensureInitialized,
+    listRoles,
+    getRole,
+    createRole,
+    listActiveAssignments,
+    getAssignmentById,
+    createAssignment,
+    revokeAssignment,
+    replaceRoles
+  };
+}
@@ -1,4 +1,5 @@
 import { DEFAULT_CAPABILITY_RULES } from '../policy/capabilityRules.js';
+import { getQueryTemplate } from '../query/templateRegistry.js';
 
 function cloneRules(inputRules) {
   return JSON.parse(JSON.stringify(inputRules));
@@ -39,12 +40,42 @@ function normalizeRules(rawRules) {
   return normalizedRules;
 }
 
+export function findUnregisteredCapabilityTemplates(
+  rawRules = null,
+  { resolveTemplate = getQueryTemplate } = {}
+) {
+  const capabilityRules = normalizeRules(rawRules ? cloneRules(rawRules) : null);
+  const missing = [];
+
+  for (const [capability, rule] of Object.entries(capabilityRules)) {
+    for (const queryTemplate of rule.templates) {
+      if (!resolveTemplate(queryTemplate)) {
+        missing.push({ capability, queryTemplate });
+      }
+    }
+  }
+
+  return missing;
+}
+
+export function assertCapabilityTemplatesRegistered(rawRules = null, options = {}) {
+  const missing = findUnregisteredCapabilityTemplates(rawRules, options);
+  if (missing.length === 0) {
+    return;
+  }
+
+  const summary = missing
+    .map(({ capability, queryTemplate }) => `${capability} -> ${queryTemplate}`)
+    .join(', ');
+  throw new Error(`Capability rules reference unregistered query templates: ${summary}`);
+}
+
 export function createPolicyService(policyConfig = {}) {
   const capabilityRules = normalizeRules(
     policyConfig.capabilityRules ? cloneRules(policyConfig.capabilityRules) : null
   );
 
-  function evaluateAccess({ requester, capability, queryTemplate }) {
+  function evaluateAccess({ requester, capability, queryTemplate, tenantTemplateCapability = null }) {
     const rule = capabilityRules[capability];
 
     if (!rule) {
@@ -57,7 +88,11 @@ export function createPolicyService(policyConfig = {}) {
       };
     }
 
-    if (!rule.templates.includes(queryTemplate)) {
+    const templateAllowed = tenantTemplateCapability
+      ? tenantTemplateCapability === capability
+      : rule.templates.includes(queryTemplate);
+
+    if (!templateAllowed) {
       return {
         allowed: false,
         code: 'TEMPLATE_NOT_ALLOWED',
@@ -0,0 +1,674 @@
+import { WALLET_ADDRESS_PATTERN } from '@eigen-private-db-agent/shared-types';
+import { loadConfig } from '../config.js';
+import { createDatabaseAdapter } from '../db/databaseAdapterFactory.js';
+import { resolveQueryTemplate } from '../query/queryExecutionService.js';
+import { createA2aTaskStore } from './a2aTaskStore.js';
+import {
+  attachActionResponseEnvelope,
+  createNoopAuditService
+} from './actionResponseEnvelopeService.js';
+import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
+import { evaluateActorAuthorityForGrant, normalizeGrantRule } from './policyAdminService.js';
+import { evaluatePolicyDecision, POLICY_REQUEST_OPERATIONS } from './policyDecisionEngine.js';
+import { createPolicyGrantStore } from './policyGrantStore.js';
+import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
+import { createPolicyRoleStore } from './policyRoleStore.js';
+import { resolveQueryGrantScopes } from './queryService.js';
+import { createQueryTemplateStore } from './queryTemplateStore.js';
+import { createReceiptService } from './receiptService.js';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const TABLE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+const QUERY_CAPABILITY_PATTERN = /^[a-z][a-z0-9_-]{0,62}:(read|write)$/;
+const DEFAULT_HISTORY_LIMIT = 200;
+const MAX_HISTORY_LIMIT = 1000;
+const MAX_PROPOSAL_ENTRIES = 50;
+const SIMULATION_ADMIN_GRANT = Object.freeze({
+  scopeType: 'database',
+  scopeId: '*',
+  operation: 'all',
+  effect: 'allow'
+});
+const walletRegex = new RegExp(WALLET_ADDRESS_PATTERN);
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validationError(message, issues = []) {
+  return {
+    statusCode: 400,
+    body: {
+      error: 'VALIDATION_ERROR',
+      message,
+      details: {
+        issues
+      }
+    }
+  };
+}
+
+function serviceError(code, message, statusCode, details = null) {
+  return {
+    statusCode,
+    body: {
+      error: code,
+      message,
+      ...(details ? { details } : {})
+    }
+  };
+}
+
+function normalizeTenantId(rawTenantId) {
+  if (!isNonEmptyString(rawTenantId)) {
+    return null;
+  }
+
+  const normalized = rawTenantId.trim().toLowerCase();
+  return TENANT_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+function normalizeWalletAddress(rawWalletAddress) {
+  if (!isNonEmptyString(rawWalletAddress)) {
+    return null;
+  }
+
+  const normalized = rawWalletAddress.trim().toLowerCase();
+  return walletRegex.test(normalized) ? normalized : null;
+}
+
+function normalizeProposal(rawProposal, issues) {
+  if (!isPlainObject(rawProposal)) {
+    issues.push({
+      path: 'proposal',
+      code: 'required',
+      message: 'proposal object with add and/or revoke entries is required.'
+    });
+    return { add: [], revoke: [] };
+  }
+
+  const rawAdd = rawProposal.add ?? [];
+  const rawRevoke = rawProposal.revoke ?? [];
+  if (!Array.isArray(rawAdd) || !Array.isArray(rawRevoke)) {
+    issues.push({
+      path: 'proposal',
+      code: 'invalid_proposal',
+      message: 'proposal.add and proposal.revoke must be arrays.'
+    });
+    return { add: [], revoke: [] };
+  }
+
+  if (rawAdd.length + rawRevoke.length === 0) {
+    issues.push({
+      path: 'proposal',
+      code: 'empty_proposal',
+      message: 'proposal must add or revoke at least one grant.'
+    });
+  }
+
+  if (rawAdd.length + rawRevoke.length > MAX_PROPOSAL_ENTRIES) {
+    issues.push({
+      path: 'proposal',
+      code: 'proposal_too_large',
+      message: `proposal may contain at most ${MAX_PROPOSAL_ENTRIES} entries.`
+    });
+    return { add: [], revoke: [] };
+  }
+
+  const add = rawAdd.map((rawGrant, index) => {
+    const path = `proposal.add[${index}]`;
+    const walletAddress = normalizeWalletAddress(rawGrant?.walletAddress);
+    if (!walletAddress) {
+      issues.push({
+        path: `${path}.walletAddress`,
+        code: 'invalid_wallet',
+        message: `${path}.walletAddress must be a valid EVM wallet address.`
+      });
+    }
+
+    return {
+      walletAddress,
+      ...normalizeGrantRule(rawGrant, { path, issues })
+    };
+  });
+
+  const revoke = rawRevoke.map((grantId, index) => {
+    if (!isNonEmptyString(grantId)) {
+      issues.push({
+        path: `proposal.revoke[${index}]`,
+        code: 'invalid_grant_id',
+        message: 'proposal.revoke entries must be grant ids.'
+      });
+      return null;
+    }
+
+    return grantId.trim();
+  });
+
+  return { add, revoke };
+}
+
+function normalizeHistoryOptions(rawHistory, issues) {
+  if (rawHistory === undefined || rawHistory === null) {
+    return { limit: DEFAULT_HISTORY_LIMIT, since: null };
+  }
+
+  const limit = rawHistory.limit ?? DEFAULT_HISTORY_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+    issues.push({
+      path: 'history.limit',
+      code: 'invalid_limit',
+      message: `history.limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}.`
+    });
+  }
+
+  let since = null;
+  if (rawHistory.since !== undefined && rawHistory.since !== null) {
+    if (!isNonEmptyString(rawHistory.since) || Number.isNaN(Date.parse(rawHistory.since))) {
+      issues.push({
+        path: 'history.since',
+        code: 'invalid_timestamp',
+        message: 'history.since must be an ISO-8601 timestamp.'
+      });
+    } else {
+      since = new Date(rawHistory.since).toISOString();
+    }
+  }
+
+  return { limit, since };
+}
+
+function normalizeSimulationPayload(payload) {
+  const issues = [];
+
+  const tenantId = normalizeTenantId(payload?.tenantId);
+  if (!tenantId) {
+    issues.push({
+      path: 'tenantId',
+      code: 'invalid_tenant_id',
+      message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+    });
+  }
+
+  const requestId = isNonEmptyString(payload?.requestId) ? payload.requestId.trim() : null;
+  if (!requestId) {
+    issues.push({
+      path: 'requestId',
+      code: 'required',
+      message: 'requestId is required.'
+    });
+  }
+
+  const actorWallet = normalizeWalletAddress(payload?.actorWallet);
+  if (!actorWallet) {
+    issues.push({
+      path: 'actorWallet',
+      code: 'invalid_wallet',
+      message: 'actorWallet must be a valid EVM wallet address.'
+    });
+  }
+
+  const proposal = normalizeProposal(payload?.proposal, issues);
+  const history = normalizeHistoryOptions(payload?.history, issues);
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      tenantId,
+      requestId,
+      actorWallet,
+      proposal,
+      history
+    }
+  };
+}
+
+// A replay reports its first scope and is allowed only when every scope is.
+function toScopedReplay(source, scopes) {
+  return scopes ? { ...source, ...scopes[0], scopes } : null;
+}
+
+function summarizeDecision(decision) {
+  return {
+    allowed: decision.allowed,
+    code: decision.code,
+    grantId: decision.matchedGrant?.grantId || null
+  };
+}
+
+export function createPolicySimulationService({
+  grantStore,
+  roleStore = null,
+  templateStore = null,
+  auditService,
+  a2aTaskStore = null,
+  mutationAuthService,
+  now = () => new Date().toISOString()
+}) {
+  if (!grantStore) {
+    throw new Error('grantStore is required.');
+  }
+
+  if (!auditService || typeof auditService.listRecentDecisions !== 'function') {
+    throw new Error('auditService with listRecentDecisions is required.');
+  }
+
+  if (!mutationAuthService) {
+    throw new Error('mutationAuthService is required.');
+  }
+
+  // Query replays need the grants /v1/query checks: each table of a tenant template, or the
+  // database for built-ins. Templates that can no longer run are not replayed.
+  async function resolveQueryScopes({ tenantId, capability, queryTemplate }) {
+    const template = isNonEmptyString(queryTemplate)
+      ? await resolveQueryTemplate({ templateStore, tenantId, queryTemplate })
+      : null;
+    if (template?.issues?.length > 0) {
+      return null;
+    }
+
+    return resolveQueryGrantScopes({ capability, template });
+  }
+
+  async function toAccessLogReplay(entry, tenantId) {
+    const walletAddress = normalizeWalletAddress(entry.requester);
+    if (!walletAddress || entry.tenantId !== tenantId) {
+      return null;
+    }
+
+    const source = {
+      source: 'access_log',
+      sourceId: entry.id,
+      requestId: entry.requestId,
+      recordedAt: entry.createdAt,
+      recordedDecision: entry.decision,
+      walletAddress,
+      context: null
+    };
+
+    const [namespace, action] = String(entry.capability || '').split(':');
+    if (namespace === 'data' && POLICY_REQUEST_OPERATIONS.includes(action)) {
+      return TABLE_NAME_PATTERN.test(entry.queryTemplate)
+        ? toScopedReplay(source, [
+            { scopeType: 'table', scopeId: entry.queryTemplate, operation: action }
+          ])
+        : null;
+    }
+
+    if (QUERY_CAPABILITY_PATTERN.test(entry.capability) && namespace !== 'data') {
+      return toScopedReplay(
+        source,
+        await resolveQueryScopes({
+          tenantId,
+          capability: entry.capability,
+          queryTemplate: entry.queryTemplate
+        })
+      );
+    }
+
+    return null;
+  }
+
+  async function toA2aTaskReplay(task, tenantId) {
+    const input = isPlainObject(task.input) ? task.input : {};
+    if (normalizeTenantId(input.tenantId) !== tenantId) {
+      return null;
+    }
+
+    const source = {
+      source: 'a2a_task',
+      sourceId: task.taskId,
+      requestId: isNonEmptyString(input.requestId) ? input.requestId : null,
+      recordedAt: task.createdAt,
+      recordedDecision: null,
+      context: {
+        source: 'a2a',
+        chainId: Number.isSafeInteger(input.chainId) ? input.chainId : null
+      }
+    };
+
+    if (task.taskType === 'data.execute') {
+      const walletAddress = normalizeWalletAddress(input.actorWallet);
+      const operation = String(input.operation || '').trim().toLowerCase();
+      const tableName = String(input.tableName || '').trim().toLowerCase();
+      if (
+        !walletAddress ||
+        !POLICY_REQUEST_OPERATIONS.includes(operation) ||
+        !TABLE_NAME_PATTERN.test(tableName)
+      ) {
+        return null;
+      }
+
+      return toScopedReplay({ ...source, walletAddress }, [
+        { scopeType: 'table', scopeId: tableName, operation }
+      ]);
+    }
+
+    if (task.taskType === 'query.execute') {
+      const walletAddress = normalizeWalletAddress(input.requester);
+      if (!walletAddress || !isNonEmptyString(input.capability)) {
+        return null;
+      }
+
+      return toScopedReplay(
+        { ...source, walletAddress },
+        await resolveQueryScopes({
+          tenantId,
+          capability: input.capability.trim().toLowerCase(),
+          queryTemplate: input.queryTemplate
+        })
+      );
+    }
+
+    return null;
+  }
+
+  async function loadReplays({ tenantId, history }) {
+    const accessLog = await auditService.listRecentDecisions({ ...history, tenantId });
+    const tasks = a2aTaskStore
+      ? await a2aTaskStore.listTasks({ tenantId, since: history.since, limit: history.limit })
+      : [];
+
+    const replays = [];
+    let skipped = 0;
+    for (const entry of accessLog) {
+      const replay = await toAccessLogReplay(entry, tenantId);
+      if (replay) {
+        replays.push(replay);
+      } else {
+        skipped += 1;
+      }
+    }
+
+    for (const task of tasks) {
+      const replay = await toA2aTaskReplay(task, tenantId);
+      if (replay) {
+        replays.push(replay);
+      } else {
+        skipped += 1;
+      }
+    }
+
+    return { replays, skipped };
+  }
+
+  async function simulate(payload) {
+    const normalizedPayload = normalizeSimulationPayload(payload);
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid policy simulation payload.', normalizedPayload.issues);
+    }
+
+    const { tenantId, requestId, actorWallet, proposal, history } = normalizedPayload.normalized;
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action: 'policy:simulate',
+      payload: payload.proposal,
+      auth: payload.auth
+    });
+
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const evaluatedAt = now();
+    const authorityResult = await evaluateActorAuthorityForGrant({
+      grantStore,
+      roleStore,
+      tenantId,
+      actorWallet: authResult.actorWallet,
+      grant: SIMULATION_ADMIN_GRANT,
+      now: evaluatedAt
+    });
+
+    if (!authorityResult.allowed) {
+      return serviceError(authorityResult.code, authorityResult.message, 403, {
+        actorAuthority: authorityResult
+      });
+    }
+
+    const currentGrants = await grantStore.listActiveGrants({ tenantId });
+    const knownGrantIds = new Set(currentGrants.map((grant) => grant.grantId));
+    const unknownRevocations = proposal.revoke.filter((grantId) => !knownGrantIds.has(grantId));
+    if (unknownRevocations.length > 0) {
+      return validationError(
+        'Invalid policy simulation payload.',
+        unknownRevocations.map((grantId) => ({
+          path: `proposal.revoke[${proposal.revoke.indexOf(grantId)}]`,
+          code: 'unknown_grant',
+          message: `Grant '${grantId}' is not an active grant for tenant.`
+        }))
+      );
+    }
+
+    const revokedGrantIds = new Set(proposal.revoke);
+    const proposedGrants = [
+      ...currentGrants.filter((grant) => !revokedGrantIds.has(grant.grantId)),
+      ...proposal.add.map((grant, index) => ({
+        ...grant,
+        grantId: `proposed#${index}`,
+        tenantId,
+        createdAt: evaluatedAt
+      }))
+    ];
+    const roleAssignments = roleStore
+      ? await roleStore.listActiveAssignments({ tenantId })
+      : [];
+
+    const { replays, skipped } = await loadReplays({ tenantId, history });
+    const decisionCache = new Map();
+    const decide = (grants, label, replay) => {
+      const cacheKey = `${label}|${replay.walletAddress}|${replay.scopeType}|${replay.scopeId}|${replay.operation}|${JSON.stringify(replay.context)}`;
+      if (!decisionCache.has(cacheKey)) {
+        const decisionResult = evaluatePolicyDecision({
+          tenantId,
+          walletAddress: replay.walletAddress,
+          scopeType: replay.scopeType,
+          scopeId: replay.scopeId,
+          operation: replay.operation,
+          grants,
+          roleAssignments,
+          context: replay.context,
+          now: evaluatedAt
+        });
+        decisionCache.set(
+          cacheKey,
+          decisionResult.ok ? summarizeDecision(decisionResult.decision) : null
+        );
+      }
+
+      return decisionCache.get(cacheKey);
+    };
+
+    const decideReplay = (grants, label, replay) => {
+      let summary = null;
+      for (const scope of replay.scopes) {
+        summary = decide(grants, label, { ...replay, ...scope });
+        if (!summary?.allowed) {
+          return summary;
+        }
+      }
+
+      return summary;
+    };
+
+    const flips = [];
+    for (const replay of replays) {
+      const before = decideReplay(currentGrants, 'current', replay);
+      const after = decideReplay(proposedGrants, 'proposed', replay);
+      if (!before || !after || before.allowed === after.allowed) {
+        continue;
+      }
+
+      flips.push({
+        ...replay,
+        direction: before.allowed ? 'allow_to_deny' : 'deny_to_allow',
+        before,
+        after
+      });
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'POLICY_SIMULATION_COMPLETED',
+        message: `${flips.length} of ${replays.length} replayed requests would change outcome.`,
+        evaluatedAt,
+        summary: {
+          replayed: replays.length,
+          skipped,
+          flipped: flips.length,
+          allowToDeny: flips.filter((flip) => flip.direction === 'allow_to_deny').length,
+          denyToAllow: flips.filter((flip) => flip.direction === 'deny_to_allow').length
+        },
+        flips,
+        actorAuthority: authorityResult
+      }
+    };
+  }
+
+  return {
+    simulate
+  };
+}
+
+const runtimeConfig = loadConfig();
+const runtimeMetadata = {
+  serviceName: runtimeConfig.serviceName,
+  version: runtimeConfig.version,
+  nodeEnv: runtimeConfig.nodeEnv
+};
+const defaultReceiptService = createReceiptService(runtimeConfig.proof, runtimeMetadata);
+const defaultAuditService = createNoopAuditService();
+let runtimePolicySimulationServicePromise = null;
+
+async function buildRuntimePolicySimulationService() {
+  const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
+  const grantStore = createPolicyGrantStore({ databaseAdapter });
+  await grantStore.ensureInitialized();
+  const roleStore = createPolicyRoleStore({ databaseAdapter });
+  await roleStore.ensureInitialized();
+  const templateStore = createQueryTemplateStore({ databaseAdapter });
+  await templateStore.ensureInitialized();
+  const a2aTaskStore = createA2aTaskStore({ databaseAdapter });
+  await a2aTaskStore.ensureInitialized();
+  const auditService = createAuditService({ databaseAdapter });
+
+  return {
+    service: createPolicySimulationService({
+      grantStore,
+      roleStore,
+      templateStore,
+      auditService,
+      a2aTaskStore,
+      mutationAuthService: createPolicyMutationAuthService(
+        {
+          ...runtimeConfig.auth,
+          enabled: true
+        },
+        {
+          nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+            databaseAdapter,
+            scope: 'mutation'
+          })
+        }
+      )
+    }),
+    databaseDialect: databaseAdapter.dialect || 'unknown',
+    receiptService: defaultReceiptService,
+    auditService
+  };
+}
+
+async function getRuntimePolicySimulationService() {
+  if (!runtimePolicySimulationServicePromise) {
+    runtimePolicySimulationServicePromise = buildRuntimePolicySimulationService().catch(
+      (error) => {
+        runtimePolicySimulationServicePromise = null;
+        throw error;
+      }
+    );
+  }
+
+  return runtimePolicySimulationServicePromise;
+}
+
+async function attachSimulationEnvelope({
+  payload,
+  result,
+  databaseDialect = 'unknown',
+  receiptService = defaultReceiptService,
+  auditService = defaultAuditService
+}) {
+  const actorAuthority = result?.body?.actorAuthority || result?.body?.details?.actorAuthority;
+
+  return attachActionResponseEnvelope({
+    payload,
+    result,
+    auth: {
+      ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+      requester: payload?.actorWallet || null,
+      code: result?.body?.error || result?.body?.code || null
+    },
+    policy: actorAuthority
+      ? { allowed: Boolean(actorAuthority.allowed), code: actorAuthority.code || null }
+      : null,
+    execution: {
+      ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+      code: result?.body?.code || result?.body?.error || null,
+      data: {
+        rowCount: Array.isArray(result?.body?.flips) ? result.body.flips.length : 0,
+        rows: result?.body?.flips || []
+      }
+    },
+    auditContext: {
+      action: 'policy:simulate',
+      resource: payload?.tenantId || 'unknown',
+      requester: payload?.actorWallet || null
+    },
+    receiptService,
+    auditService,
+    databaseDialect
+  });
+}
+
+export async function handlePolicySimulationRequest(payload, overrides = null) {
+  try {
+    const runtimeContext = overrides?.policySimulationService
+      ? {
+          service: overrides.policySimulationService,
+          databaseDialect: overrides.databaseDialect || 'unknown',
+          receiptService: overrides.receiptService || defaultReceiptService,
+          auditService: overrides.auditService || defaultAuditService
+        }
+      : await getRuntimePolicySimulationService();
+    const result = await runtimeContext.service.simulate(payload);
+
+    return attachSimulationEnvelope({
+      payload,
+      result,
+      databaseDialect: runtimeContext.databaseDialect,
+      receiptService: runtimeContext.receiptService,
+      auditService: runtimeContext.auditService
+    });
+  } catch (error) {
+    return attachSimulationEnvelope({
+      payload,
+      result: serviceError(
+        'SERVICE_UNAVAILABLE',
+        error?.message || 'Policy simulation service failed to initialize database adapter.',
+        503
+      ),
+      databaseDialect: overrides?.databaseDialect || 'unknown',
+      receiptService: overrides?.receiptService || defaultReceiptService,
+      auditService: overrides?.auditService || defaultAuditService
+    });
+  }
+}
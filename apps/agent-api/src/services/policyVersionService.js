@@ -0,0 +1,1067 @@
+import { WALLET_ADDRESS_PATTERN } from '@eigen-private-db-agent/shared-types';
+import { loadConfig } from '../config.js';
+import { createDatabaseAdapter } from '../db/databaseAdapterFactory.js';
+import {
+  attachActionResponseEnvelope,
+  createNoopAuditService
+} from './actionResponseEnvelopeService.js';
+import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
+import { denormalizeFilter } from './dataFilterGrammar.js';
+import {
+  evaluateActorAuthorityForGrant,
+  normalizeGrantEntry,
+  recordPolicyVersion,
+  summarizePolicyVersion
+} from './policyAdminService.js';
+import {
+  collectMutationApproval,
+  createPolicyApprovalStore
+} from './policyApprovalStore.js';
+import { createPolicyGrantStore } from './policyGrantStore.js';
+import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
+import { normalizeRoleDefinition, normalizeRoleName } from './policyRoleAdminService.js';
+import { createPolicyRoleStore } from './policyRoleStore.js';
+import {
+  buildPolicySnapshot,
+  buildRoleSnapshot,
+  createPolicyVersionStore,
+  hashPolicySnapshot,
+  snapshotGrantKey,
+  snapshotRoleAssignmentKey,
+  snapshotRoleKey
+} from './policyVersionStore.js';
+import { createReceiptService } from './receiptService.js';
+import {
+  createPermissiveRuntimeAttestationService,
+  createRuntimeAttestationService
+} from './runtimeAttestationService.js';
+
+export const POLICY_BUNDLE_FORMAT = 'policy-bundle/v1';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const DEFAULT_VERSION_LIMIT = 50;
+const MAX_VERSION_LIMIT = 500;
+const MAX_BUNDLE_GRANTS = 500;
+const MAX_BUNDLE_ROLES = 100;
+const MAX_BUNDLE_ROLE_ASSIGNMENTS = 500;
+const POLICY_ADMIN_GRANT = Object.freeze({
+  scopeType: 'database',
+  scopeId: '*',
+  operation: 'all',
+  effect: 'allow'
+});
+const walletRegex = new RegExp(WALLET_ADDRESS_PATTERN);
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validationError(message, issues = []) {
+  return {
+    statusCode: 400,
+    body: {
+      error: 'VALIDATION_ERROR',
+      message,
+      details: {
+        issues
+      }
+    }
+  };
+}
+
+function serviceError(code, message, statusCode, details = null) {
+  return {
+    statusCode,
+    body: {
+      error: code,
+      message,
+      ...(details ? { details } : {})
+    }
+  };
+}
+
+function normalizeTenantId(rawTenantId) {
+  if (!isNonEmptyString(rawTenantId)) {
+    return null;
+  }
+
+  const normalized = rawTenantId.trim().toLowerCase();
+  return TENANT_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+function normalizeWalletAddress(rawWalletAddress) {
+  if (!isNonEmptyString(rawWalletAddress)) {
+    return null;
+  }
+
+  const normalized = rawWalletAddress.trim().toLowerCase();
+  return walletRegex.test(normalized) ? normalized : null;
+}
+
+function normalizeVersionNumber(rawValue) {
+  const parsed = typeof rawValue === 'string' ? Number(rawValue) : rawValue;
+  return Number.isSafeInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+function normalizeMutationEnvelope(payload, issues) {
+  const tenantId = normalizeTenantId(payload?.tenantId);
+  if (!tenantId) {
+    issues.push({
+      path: 'tenantId',
+      code: 'invalid_tenant_id',
+      message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+    });
+  }
+
+  const requestId = isNonEmptyString(payload?.requestId) ? payload.requestId.trim() : null;
+  if (!requestId) {
+    issues.push({
+      path: 'requestId',
+      code: 'required',
+      message: 'requestId is required.'
+    });
+  }
+
+  const actorWallet = normalizeWalletAddress(payload?.actorWallet);
+  if (!actorWallet) {
+    issues.push({
+      path: 'actorWallet',
+      code: 'invalid_wallet',
+      message: 'actorWallet must be a valid EVM wallet address.'
+    });
+  }
+
+  return { tenantId, requestId, actorWallet };
+}
+
+function normalizeImportPayload(payload) {
+  const issues = [];
+  const envelope = normalizeMutationEnvelope(payload, issues);
+  const bundle = payload?.bundle;
+  if (!isPlainObject(bundle)) {
+    issues.push({
+      path: 'bundle',
+      code: 'required',
+      message: 'bundle object is required.'
+    });
+    return { ok: false, issues, normalized: envelope };
+  }
+
+  if (bundle.format !== POLICY_BUNDLE_FORMAT) {
+    issues.push({
+      path: 'bundle.format',
+      code: 'unsupported_format',
+      message: `bundle.format must be '${POLICY_BUNDLE_FORMAT}'.`
+    });
+  }
+
+  if (!Array.isArray(bundle.grants) || bundle.grants.length > MAX_BUNDLE_GRANTS) {
+    issues.push({
+      path: 'bundle.grants',
+      code: 'invalid_grants',
+      message: `bundle.grants must be an array of at most ${MAX_BUNDLE_GRANTS} grants.`
+    });
+    return { ok: false, issues, normalized: envelope };
+  }
+
+  const grants = bundle.grants.map((grant, index) => {
+    const path = `bundle.grants[${index}]`;
+    if (!isPlainObject(grant)) {
+      issues.push({ path, code: 'invalid_grant', message: `${path} must be an object.` });
+      return null;
+    }
+
+    return normalizeGrantEntry(grant, { path, issues, now: null });
+  });
+
+  const { roles, roleAssignments } = normalizeBundleRoles(bundle, issues);
+
+  const bundleTenantId = normalizeTenantId(bundle.tenantId);
+  if (isNonEmptyString(bundle.contentHash) && bundleTenantId && issues.length === 0) {
+    const computedHash = hashPolicySnapshot({
+      tenantId: bundleTenantId,
+      grants,
+      roles: roles || [],
+      roleAssignments: roleAssignments || []
+    });
+    if (computedHash !== bundle.contentHash.trim().toLowerCase()) {
+      issues.push({
+        path: 'bundle.contentHash',
+        code: 'hash_mismatch',
+        message: 'bundle.contentHash does not match the bundle grants and roles.'
+      });
+    }
+  }
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      ...envelope,
+      grants,
+      roles,
+      roleAssignments
+    }
+  };
+}
+
+// Bundles exported before roles were versioned carry neither list; importing one leaves the
+// tenant's roles as they are (null). Otherwise the lists replace the tenant's roles.
+function normalizeBundleRoles(bundle, issues) {
+  if (bundle.roles === undefined && bundle.roleAssignments === undefined) {
+    return { roles: null, roleAssignments: null };
+  }
+
+  const rawRoles = bundle.roles ?? [];
+  if (!Array.isArray(rawRoles) || rawRoles.length > MAX_BUNDLE_ROLES) {
+    issues.push({
+      path: 'bundle.roles',
+      code: 'invalid_roles',
+      message: `bundle.roles must be an array of at most ${MAX_BUNDLE_ROLES} roles.`
+    });
+    return { roles: null, roleAssignments: null };
+  }
+
+  const rawAssignments = bundle.roleAssignments ?? [];
+  if (!Array.isArray(rawAssignments) || rawAssignments.length > MAX_BUNDLE_ROLE_ASSIGNMENTS) {
+    issues.push({
+      path: 'bundle.roleAssignments',
+      code: 'invalid_role_assignments',
+      message: `bundle.roleAssignments must be an array of at most ${MAX_BUNDLE_ROLE_ASSIGNMENTS} assignments.`
+    });
+    return { roles: null, roleAssignments: null };
+  }
+
+  const roleNames = new Set();
+  const roles = rawRoles.map((role, index) => {
+    const path = `bundle.roles[${index}]`;
+    if (!isPlainObject(role)) {
+      issues.push({ path, code: 'invalid_role', message: `${path} must be an object.` });
+      return null;
+    }
+
+    const normalizedRole = normalizeRoleDefinition(role, { path, issues, nameField: 'roleName' });
+    if (normalizedRole.roleName && roleNames.has(normalizedRole.roleName)) {
+      issues.push({
+        path: `${path}.roleName`,
+        code: 'duplicate_role',
+        message: `Role '${normalizedRole.roleName}' appears more than once.`
+      });
+    }
+    roleNames.add(normalizedRole.roleName);
+
+    return normalizedRole;
+  });
+
+  const assignmentKeys = new Set();
+  const roleAssignments = rawAssignments.map((assignment, index) => {
+    const path = `bundle.roleAssignments[${index}]`;
+    const roleName = normalizeRoleName(assignment?.roleName);
+    const walletAddress = normalizeWalletAddress(assignment?.walletAddress);
+    if (!roleName || !roleNames.has(roleName)) {
+      issues.push({
+        path: `${path}.roleName`,
+        code: 'unknown_role',
+        message: `${path}.roleName must name a role in bundle.roles.`
+      });
+    }
+
+    if (!walletAddress) {
+      issues.push({
+        path: `${path}.walletAddress`,
+        code: 'invalid_wallet',
+        message: `${path}.walletAddress must be a valid EVM wallet address.`
+      });
+    }
+
+    const key = `${roleName}:${walletAddress}`;
+    if (roleName && walletAddress && assignmentKeys.has(key)) {
+      issues.push({
+        path,
+        code: 'duplicate_role_assignment',
+        message: `Role '${roleName}' is assigned to the wallet more than once.`
+      });
+    }
+    assignmentKeys.add(key);
+
+    return { roleName, walletAddress };
+  });
+
+  return { roles, roleAssignments };
+}
+
+function normalizeRollbackPayload(payload) {
+  const issues = [];
+  const envelope = normalizeMutationEnvelope(payload, issues);
+  const versionNumber = normalizeVersionNumber(payload?.versionNumber);
+  if (!versionNumber) {
+    issues.push({
+      path: 'versionNumber',
+      code: 'invalid_version',
+      message: 'versionNumber must be a positive integer.'
+    });
+  }
+
+  const expectedContentHash = isNonEmptyString(payload?.expectedContentHash)
+    ? payload.expectedContentHash.trim().toLowerCase()
+    : null;
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      ...envelope,
+      versionNumber,
+      expectedContentHash
+    }
+  };
+}
+
+function includesBootstrapGrant(grants, actorWallet) {
+  return grants.some(
+    (grant) =>
+      grant.walletAddress === actorWallet &&
+      grant.scopeType === 'database' &&
+      grant.scopeId === '*' &&
+      grant.operation === 'all' &&
+      grant.effect === 'allow' &&
+      !grant.notBefore &&
+      !grant.expiresAt &&
+      grant.maxUses === null &&
+      !grant.conditions
+  );
+}
+
+// Roles are matched by name and assignments by role and wallet, so restoring a snapshot only
+// touches what differs from the tenant's current roles.
+function planRoleSet({ currentRoles, currentAssignments, targetRoles, targetRoleAssignments }) {
+  const currentByName = new Map(currentRoles.map((role) => [role.roleName, role]));
+  const targetNames = new Set(targetRoles.map((role) => role.roleName));
+
+  const unmatchedByKey = new Map();
+  for (const assignment of currentAssignments) {
+    const key = snapshotRoleAssignmentKey(assignment);
+    unmatchedByKey.set(key, [...(unmatchedByKey.get(key) || []), assignment]);
+  }
+
+  const assignmentsToCreate = [];
+  for (const assignment of targetRoleAssignments) {
+    const matches = unmatchedByKey.get(snapshotRoleAssignmentKey(assignment));
+    if (matches && matches.length > 0) {
+      matches.shift();
+    } else {
+      assignmentsToCreate.push(assignment);
+    }
+  }
+
+  return {
+    rolesToCreate: targetRoles.filter((role) => !currentByName.has(role.roleName)),
+    rolesToUpdate: targetRoles
+      .filter(
+        (role) =>
+          currentByName.has(role.roleName) &&
+          snapshotRoleKey(role) !== snapshotRoleKey(currentByName.get(role.roleName))
+      )
+      .map((role) => ({ ...role, roleId: currentByName.get(role.roleName).roleId })),
+    roleIdsToDelete: currentRoles
+      .filter((role) => !targetNames.has(role.roleName))
+      .map((role) => role.roleId),
+    assignmentsToCreate,
+    assignmentIdsToRevoke: [...unmatchedByKey.values()]
+      .flat()
+      .map((assignment) => assignment.assignmentId)
+  };
+}
+
+function countRoleChanges(rolePlan) {
+  return rolePlan
+    ? rolePlan.rolesToCreate.length +
+        rolePlan.rolesToUpdate.length +
+        rolePlan.roleIdsToDelete.length +
+        rolePlan.assignmentsToCreate.length +
+        rolePlan.assignmentIdsToRevoke.length
+    : 0;
+}
+
+export function createPolicyVersionService({
+  grantStore,
+  roleStore = null,
+  versionStore,
+  approvalStore = null,
+  mutationAuthService,
+  runtimeAttestationService = createPermissiveRuntimeAttestationService(),
+  now = () => new Date().toISOString()
+}) {
+  if (!grantStore) {
+    throw new Error('grantStore is required.');
+  }
+
+  if (!versionStore) {
+    throw new Error('versionStore is required.');
+  }
+
+  if (!mutationAuthService) {
+    throw new Error('mutationAuthService is required.');
+  }
+
+  async function checkRuntime(action) {
+    const runtimeCheck = await runtimeAttestationService.checkAccess({
+      action,
+      sensitive: true
+    });
+    if (runtimeCheck.allowed) {
+      return { ok: true, runtime: runtimeCheck.snapshot || null };
+    }
+
+    return {
+      ok: false,
+      error: serviceError(
+        runtimeCheck.code || 'RUNTIME_VERIFICATION_FAILED',
+        runtimeCheck.message || 'Sensitive operation denied because runtime verification failed.',
+        runtimeCheck.statusCode || 503,
+        {
+          runtime: runtimeCheck.snapshot || null
+        }
+      )
+    };
+  }
+
+  async function evaluateAdminAuthority({ tenantId, actorWallet, targetGrants }) {
+    if ((await grantStore.countActiveGrants(tenantId)) === 0) {
+      return includesBootstrapGrant(targetGrants, actorWallet)
+        ? {
+            allowed: true,
+            code: 'BOOTSTRAP_ALLOWED',
+            message: 'Bundle carries the actor bootstrap grant for an empty tenant.',
+            evaluation: []
+          }
+        : {
+            allowed: false,
+            code: 'BOOTSTRAP_REQUIRED',
+            message:
+              'Importing into an empty tenant requires the bundle to carry a self-issued database all allow grant.',
+            evaluation: []
+          };
+    }
+
+    return evaluateActorAuthorityForGrant({
+      grantStore,
+      roleStore,
+      tenantId,
+      actorWallet,
+      grant: POLICY_ADMIN_GRANT,
+      now: now()
+    });
+  }
+
+  // Grants and roles are replaced in one transaction. targetRoles of null leaves roles as
+  // they are.
+  async function applyPolicySet({
+    tenantId,
+    targetGrants,
+    targetRoles,
+    targetRoleAssignments,
+    actorWallet,
+    signatureHash
+  }) {
+    const currentGrants = await grantStore.listActiveGrants({ tenantId });
+    const unmatchedByKey = new Map();
+    for (const grant of currentGrants) {
+      const key = snapshotGrantKey(grant);
+      unmatchedByKey.set(key, [...(unmatchedByKey.get(key) || []), grant]);
+    }
+
+    // A grant that comes back after a revoke picks up the uses left on its latest revoked
+    // copy, so rolling back cannot hand out a fresh use budget.
+    const revokedByKey = new Map();
+    for (const grant of await grantStore.listRevokedGrants({ tenantId })) {
+      const key = snapshotGrantKey(grant);
+      if (grant.maxUses !== null && !revokedByKey.has(key)) {
+        revokedByKey.set(key, grant);
+      }
+    }
+
+    const toCreate = [];
+    for (const grant of targetGrants) {
+      const key = snapshotGrantKey(grant);
+      const matches = unmatchedByKey.get(key);
+      if (matches && matches.length > 0) {
+        matches.shift();
+      } else {
+        const revokedCopy = revokedByKey.get(key);
+        revokedByKey.delete(key);
+        toCreate.push(
+          revokedCopy ? { ...grant, usesRemaining: revokedCopy.usesRemaining } : grant
+        );
+      }
+    }
+    const toRevoke = [...unmatchedByKey.values()].flat();
+
+    const rolePlan =
+      roleStore && targetRoles
+        ? planRoleSet({
+            currentRoles: await roleStore.listRoles({ tenantId }),
+            currentAssignments: await roleStore.listActiveAssignments({ tenantId }),
+            targetRoles,
+            targetRoleAssignments
+          })
+        : null;
+
+    const appliedAt = now();
+    const { created, revokedGrantIds } = await grantStore.runInTransaction(async (executor) => {
+      const grantResult = await grantStore.replaceGrants({
+        tenantId,
+        grantsToCreate: toCreate,
+        grantIdsToRevoke: toRevoke.map((grant) => grant.grantId),
+        actorWallet,
+        appliedAt,
+        signatureHash,
+        executor
+      });
+      if (countRoleChanges(rolePlan) > 0) {
+        await roleStore.replaceRoles({
+          tenantId,
+          ...rolePlan,
+          actorWallet,
+          appliedAt,
+          signatureHash,
+          executor
+        });
+      }
+
+      return grantResult;
+    });
+
+    return {
+      appliedAt,
+      createdGrantIds: created.map((grant) => grant.grantId),
+      revokedGrantIds,
+      roleChanges: countRoleChanges(rolePlan)
+    };
+  }
+
+  async function applyAuthorizedGrantSet({
+    action,
+    tenantId,
+    requestId,
+    actorWallet,
+    auth,
+    signedPayload,
+    targetGrants,
+    targetRoles = null,
+    targetRoleAssignments = null,
+    changeType,
+    change
+  }) {
+    const runtimeCheck = await checkRuntime(action);
+    if (!runtimeCheck.ok) {
+      return runtimeCheck.error;
+    }
+
+    if (!roleStore && targetRoles?.length > 0) {
+      return serviceError(
+        'ROLE_STORE_UNAVAILABLE',
+        'Policy roles cannot be restored because no role store is configured.',
+        503
+      );
+    }
+
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action,
+      payload: signedPayload,
+      auth
+    });
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const authorityResult = await evaluateAdminAuthority({
+      tenantId,
+      actorWallet: authResult.actorWallet,
+      targetGrants
+    });
+    if (!authorityResult.allowed) {
+      return serviceError(authorityResult.code, authorityResult.message, 403, {
+        actorAuthority: authorityResult
+      });
+    }
+
+    const approvalResult = await collectMutationApproval({
+      approvalStore,
+      tenantId,
+      action,
+      requestId,
+      payload: signedPayload,
+      actorWallet: authResult.actorWallet,
+      signatureHash: authResult.signatureHash,
+      now
+    });
+    if (!approvalResult.ok) {
+      return approvalResult.response;
+    }
+
+    const applied = await applyPolicySet({
+      tenantId,
+      targetGrants,
+      targetRoles,
+      targetRoleAssignments: targetRoleAssignments || [],
+      actorWallet: authResult.actorWallet,
+      signatureHash: authResult.signatureHash
+    });
+
+    const unchanged =
+      applied.createdGrantIds.length === 0 &&
+      applied.revokedGrantIds.length === 0 &&
+      applied.roleChanges === 0;
+    const policyVersion = unchanged
+      ? summarizePolicyVersion(await versionStore.getLatestVersion({ tenantId }))
+      : await recordPolicyVersion({
+          grantStore,
+          roleStore,
+          versionStore,
+          tenantId,
+          changeType,
+          change: {
+            ...change,
+            created: applied.createdGrantIds.length,
+            revoked: applied.revokedGrantIds.length,
+            roleChanges: applied.roleChanges
+          },
+          createdBy: authResult.actorWallet,
+          createdAt: applied.appliedAt
+        });
+
+    return {
+      statusCode: 200,
+      body: {
+        code: unchanged ? 'POLICY_UNCHANGED' : 'POLICY_APPLIED',
+        message: unchanged
+          ? 'Grants and roles already match the requested policy.'
+          : 'Grants and roles replaced as a single policy version.',
+        tenantId,
+        policyVersion,
+        createdGrantIds: applied.createdGrantIds,
+        revokedGrantIds: applied.revokedGrantIds,
+        roleChanges: applied.roleChanges,
+        ...(approvalResult.approval ? { approval: approvalResult.approval } : {}),
+        actorAuthority: authorityResult,
+        runtime: runtimeCheck.runtime
+      }
+    };
+  }
+
+  async function listVersions({ tenantId, at = null, limit = null }) {
+    const issues = [];
+    const safeTenantId = normalizeTenantId(tenantId);
+    if (!safeTenantId) {
+      issues.push({
+        path: 'tenantId',
+        code: 'invalid_tenant_id',
+        message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+      });
+    }
+
+    const atMillis = isNonEmptyString(at) ? Date.parse(at) : null;
+    if (at && !Number.isFinite(atMillis)) {
+      issues.push({
+        path: 'at',
+        code: 'invalid_timestamp',
+        message: 'at must be an ISO-8601 timestamp when provided.'
+      });
+    }
+
+    const safeLimit =
+      limit === null || limit === undefined || limit === '' ? DEFAULT_VERSION_LIMIT : Number(limit);
+    if (!Number.isInteger(safeLimit) || safeLimit < 1 || safeLimit > MAX_VERSION_LIMIT) {
+      issues.push({
+        path: 'limit',
+        code: 'invalid_limit',
+        message: `limit must be an integer between 1 and ${MAX_VERSION_LIMIT}.`
+      });
+    }
+
+    if (issues.length > 0) {
+      return validationError('Invalid query parameters.', issues);
+    }
+
+    if (atMillis !== null) {
+      const atTimestamp = new Date(atMillis).toISOString();
+      return {
+        statusCode: 200,
+        body: {
+          code: 'POLICY_VERSION_AT',
+          tenantId: safeTenantId,
+          at: atTimestamp,
+          version: await versionStore.getVersionAt({ tenantId: safeTenantId, at: atTimestamp })
+        }
+      };
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'POLICY_VERSIONS_LISTED',
+        tenantId: safeTenantId,
+        versions: await versionStore.listVersions({ tenantId: safeTenantId, limit: safeLimit })
+      }
+    };
+  }
+
+  async function exportBundle({ tenantId, versionNumber = null }) {
+    const issues = [];
+    const safeTenantId = normalizeTenantId(tenantId);
+    if (!safeTenantId) {
+      issues.push({
+        path: 'tenantId',
+        code: 'invalid_tenant_id',
+        message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+      });
+    }
+
+    const hasVersion = versionNumber !== null && versionNumber !== undefined && versionNumber !== '';
+    const safeVersionNumber = hasVersion ? normalizeVersionNumber(versionNumber) : null;
+    if (hasVersion && !safeVersionNumber) {
+      issues.push({
+        path: 'version',
+        code: 'invalid_version',
+        message: 'version must be a positive integer when provided.'
+      });
+    }
+
+    if (issues.length > 0) {
+      return validationError('Invalid query parameters.', issues);
+    }
+
+    let version;
+    let grants;
+    let roleSnapshot;
+    if (safeVersionNumber) {
+      version = await versionStore.getVersion({
+        tenantId: safeTenantId,
+        versionNumber: safeVersionNumber,
+        includeSnapshot: true
+      });
+      if (!version) {
+        return serviceError('POLICY_VERSION_NOT_FOUND', 'Policy version was not found.', 404);
+      }
+      grants = version.grants;
+      roleSnapshot = version.roles
+        ? { roles: version.roles, roleAssignments: version.roleAssignments || [] }
+        : null;
+    } else {
+      version = await versionStore.getLatestVersion({ tenantId: safeTenantId });
+      grants = buildPolicySnapshot(await grantStore.listActiveGrants({ tenantId: safeTenantId }));
+      roleSnapshot = buildRoleSnapshot({
+        roles: roleStore ? await roleStore.listRoles({ tenantId: safeTenantId }) : [],
+        roleAssignments: roleStore
+          ? await roleStore.listActiveAssignments({ tenantId: safeTenantId })
+          : []
+      });
+    }
+
+    const contentHash = hashPolicySnapshot({
+      tenantId: safeTenantId,
+      grants,
+      ...(roleSnapshot || {})
+    });
+    return {
+      statusCode: 200,
+      body: {
+        code: 'POLICY_BUNDLE_EXPORTED',
+        bundle: {
+          format: POLICY_BUNDLE_FORMAT,
+          tenantId: safeTenantId,
+          versionNumber:
+            version && version.contentHash === contentHash ? version.versionNumber : null,
+          contentHash,
+          exportedAt: now(),
+          grants: grants.map((grant) => ({
+            ...grant,
+            rowPredicate: denormalizeFilter(grant.rowPredicate)
+          })),
+          ...(roleSnapshot
+            ? {
+                roles: roleSnapshot.roles.map((role) => ({
+                  ...role,
+                  permissions: role.permissions.map((rule) =>
+                    rule.rowPredicate
+                      ? { ...rule, rowPredicate: denormalizeFilter(rule.rowPredicate) }
+                      : rule
+                  )
+                })),
+                roleAssignments: roleSnapshot.roleAssignments
+              }
+            : {})
+        }
+      }
+    };
+  }
+
+  async function importBundle(payload) {
+    const normalizedPayload = normalizeImportPayload(payload);
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid policy import payload.', normalizedPayload.issues);
+    }
+
+    const { tenantId, requestId, actorWallet, grants, roles, roleAssignments } =
+      normalizedPayload.normalized;
+    return applyAuthorizedGrantSet({
+      action: 'policy:import',
+      tenantId,
+      requestId,
+      actorWallet,
+      auth: payload.auth,
+      signedPayload: payload.bundle,
+      targetGrants: grants,
+      targetRoles: roles,
+      targetRoleAssignments: roleAssignments,
+      changeType: 'import',
+      change: {
+        sourceTenantId: normalizeTenantId(payload.bundle.tenantId),
+        sourceHash: isNonEmptyString(payload.bundle.contentHash)
+          ? payload.bundle.contentHash.trim().toLowerCase()
+          : null
+      }
+    });
+  }
+
+  async function rollback(payload) {
+    const normalizedPayload = normalizeRollbackPayload(payload);
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid policy rollback payload.', normalizedPayload.issues);
+    }
+
+    const { tenantId, requestId, actorWallet, versionNumber, expectedContentHash } =
+      normalizedPayload.normalized;
+    const targetVersion = await versionStore.getVersion({
+      tenantId,
+      versionNumber,
+      includeSnapshot: true
+    });
+    if (!targetVersion) {
+      return serviceError('POLICY_VERSION_NOT_FOUND', 'Policy version was not found.', 404);
+    }
+
+    if (expectedContentHash && expectedContentHash !== targetVersion.contentHash) {
+      return serviceError(
+        'TAMPER_CHECK_FAILED',
+        'Policy version content hash does not match expected value.',
+        409
+      );
+    }
+
+    return applyAuthorizedGrantSet({
+      action: 'policy:rollback',
+      tenantId,
+      requestId,
+      actorWallet,
+      auth: payload.auth,
+      signedPayload: {
+        versionNumber,
+        expectedContentHash
+      },
+      targetGrants: targetVersion.grants,
+      targetRoles: targetVersion.roles,
+      targetRoleAssignments: targetVersion.roleAssignments,
+      changeType: 'rollback',
+      change: {
+        rollbackTo: targetVersion.versionNumber,
+        targetHash: targetVersion.contentHash
+      }
+    });
+  }
+
+  return {
+    listVersions,
+    exportBundle,
+    importBundle,
+    rollback
+  };
+}
+
+const runtimeConfig = loadConfig();
+const runtimeMetadata = {
+  serviceName: runtimeConfig.serviceName,
+  version: runtimeConfig.version,
+  nodeEnv: runtimeConfig.nodeEnv
+};
+const defaultReceiptService = createReceiptService(runtimeConfig.proof, runtimeMetadata);
+const defaultAuditService = createNoopAuditService();
+let runtimePolicyVersionServicePromise = null;
+
+async function buildRuntimePolicyVersionService() {
+  const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
+  const grantStore = createPolicyGrantStore({ databaseAdapter });
+  await grantStore.ensureInitialized();
+  const roleStore = createPolicyRoleStore({ databaseAdapter });
+  await roleStore.ensureInitialized();
+  const versionStore = createPolicyVersionStore({ databaseAdapter });
+  await versionStore.ensureInitialized();
+  const approvalStore = createPolicyApprovalStore({ databaseAdapter });
+  await approvalStore.ensureInitialized();
+
+  return {
+    service: createPolicyVersionService({
+      grantStore,
+      roleStore,
+      versionStore,
+      approvalStore,
+      mutationAuthService: createPolicyMutationAuthService(
+        {
+          ...runtimeConfig.auth,
+          enabled: true
+        },
+        {
+          nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+            databaseAdapter,
+            scope: 'mutation'
+          })
+        }
+      ),
+      runtimeAttestationService: createRuntimeAttestationService(runtimeConfig.proof)
+    }),
+    databaseDialect: databaseAdapter.dialect || 'unknown',
+    receiptService: defaultReceiptService,
+    auditService: createAuditService({ databaseAdapter })
+  };
+}
+
+async function getRuntimePolicyVersionService() {
+  if (!runtimePolicyVersionServicePromise) {
+    runtimePolicyVersionServicePromise = buildRuntimePolicyVersionService().catch((error) => {
+      runtimePolicyVersionServicePromise = null;
+      throw error;
+    });
+  }
+
+  return runtimePolicyVersionServicePromise;
+}
+
+async function attachPolicyVersionEnvelope({
+  payload,
+  result,
+  action,
+  databaseDialect = 'unknown',
+  receiptService = defaultReceiptService,
+  auditService = defaultAuditService
+}) {
+  const actorAuthority = result?.body?.actorAuthority || result?.body?.details?.actorAuthority;
+  const rows =
+    result?.body?.versions ||
+    result?.body?.bundle?.grants ||
+    [...(result?.body?.createdGrantIds || []), ...(result?.body?.revokedGrantIds || [])];
+
+  return attachActionResponseEnvelope({
+    payload,
+    result,
+    auth: {
+      ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+      requester: payload?.actorWallet || null,
+      code: result?.body?.error || result?.body?.code || null
+    },
+    policy: actorAuthority
+      ? {
+          allowed: Boolean(actorAuthority.allowed),
+          code: actorAuthority.code || null,
+          policyVersionHash: result?.body?.policyVersion?.contentHash || null
+        }
+      : null,
+    execution: {
+      ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+      code: result?.body?.code || result?.body?.error || null,
+      data: {
+        rowCount: rows.length,
+        rows
+      }
+    },
+    runtimeVerification: result?.body?.runtime || null,
+    auditContext: {
+      action,
+      resource: payload?.tenantId || 'unknown',
+      requester: payload?.actorWallet || null
+    },
+    receiptService,
+    auditService,
+    databaseDialect
+  });
+}
+
+async function runPolicyVersionAction({ action, method, payload, overrides }) {
+  try {
+    const runtimeContext = overrides?.policyVersionService
+      ? {
+          service: overrides.policyVersionService,
+          databaseDialect: overrides.databaseDialect || 'unknown',
+          receiptService: overrides.receiptService || defaultReceiptService,
+          auditService: overrides.auditService || defaultAuditService
+        }
+      : await getRuntimePolicyVersionService();
+    const result = await runtimeContext.service[method](payload);
+
+    return attachPolicyVersionEnvelope({
+      payload,
+      result,
+      action,
+      databaseDialect: runtimeContext.databaseDialect,
+      receiptService: runtimeContext.receiptService,
+      auditService: runtimeContext.auditService
+    });
+  } catch (error) {
+    return attachPolicyVersionEnvelope({
+      payload,
+      result: serviceError(
+        'SERVICE_UNAVAILABLE',
+        error?.message || 'Policy version service failed to initialize database adapter.',
+        503
+      ),
+      action,
+      databaseDialect: overrides?.databaseDialect || 'unknown',
+      receiptService: overrides?.receiptService || defaultReceiptService,
+      auditService: overrides?.auditService || defaultAuditService
+    });
+  }
+}
+
+export async function handleListPolicyVersionsRequest(query = {}, overrides = null) {
+  return runPolicyVersionAction({
+    action: 'policy:version:list',
+    method: 'listVersions',
+    payload: query,
+    overrides
+  });
+}
+
+export async function handleExportPolicyBundleRequest(query = {}, overrides = null) {
+  return runPolicyVersionAction({
+    action: 'policy:export',
+    method: 'exportBundle',
+    payload: query,
+    overrides
+  });
+}
+
+export async function handleImportPolicyBundleRequest(payload, overrides = null) {
+  return runPolicyVersionAction({
+    action: 'policy:import',
+    method: 'importBundle',
+    payload,
+    overrides
+  });
+}
+
+export async function handleRollbackPolicyVersionRequest(payload, overrides = null) {
+  return runPolicyVersionAction({
+    action: 'policy:rollback',
+    method: 'rollback',
+    payload,
+    overrides
+  });
+}
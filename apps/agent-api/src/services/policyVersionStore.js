@@ -0,0 +1,424 @@
+import { createHash, randomUUID } from 'node:crypto';
+
+const SNAPSHOT_GRANT_FIELDS = Object.freeze([
+  'walletAddress',
+  'scopeType',
+  'scopeId',
+  'operation',
+  'effect',
+  'rowPredicate',
+  'conditions',
+  'notBefore',
+  'expiresAt',
+  'maxUses'
+]);
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function stableSort(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => stableSort(item));
+  }
+
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      sorted[key] = stableSort(value[key]);
+    }
+    return sorted;
+  }
+
+  return value;
+}
+
+function stableStringify(value) {
+  return JSON.stringify(stableSort(value));
+}
+
+export function toSnapshotGrant(grant) {
+  const snapshotGrant = {};
+  for (const field of SNAPSHOT_GRANT_FIELDS) {
+    snapshotGrant[field] = grant?.[field] ?? null;
+  }
+  return snapshotGrant;
+}
+
+export function snapshotGrantKey(grant) {
+  return stableStringify(toSnapshotGrant(grant));
+}
+
+export function toSnapshotRole(role) {
+  return {
+    roleName: role?.roleName ?? null,
+    description: role?.description ?? null,
+    permissions: Array.isArray(role?.permissions) ? role.permissions : []
+  };
+}
+
+export function toSnapshotRoleAssignment(assignment) {
+  return {
+    roleName: assignment?.roleName ?? null,
+    walletAddress: assignment?.walletAddress ?? null
+  };
+}
+
+export function snapshotRoleKey(role) {
+  return stableStringify(toSnapshotRole(role));
+}
+
+export function snapshotRoleAssignmentKey(assignment) {
+  return stableStringify(toSnapshotRoleAssignment(assignment));
+}
+
+function sortSnapshotEntries(entries) {
+  return entries.sort((left, right) =>
+    stableStringify(left).localeCompare(stableStringify(right))
+  );
+}
+
+// Grant ids and bookkeeping columns are left out so that re-applying a snapshot
+// (import or rollback) reproduces the same content hash.
+export function buildPolicySnapshot(grants = []) {
+  return sortSnapshotEntries(grants.map((grant) => toSnapshotGrant(grant)));
+}
+
+export function buildRoleSnapshot({ roles = [], roleAssignments = [] }) {
+  return {
+    roles: sortSnapshotEntries(roles.map((role) => toSnapshotRole(role))),
+    roleAssignments: sortSnapshotEntries(
+      roleAssignments.map((assignment) => toSnapshotRoleAssignment(assignment))
+    )
+  };
+}
+
+// A tenant without roles hashes as grants alone, so hashes recorded before roles were part
+// of the snapshot stay valid.
+export function hashPolicySnapshot({ tenantId, grants, roles = [], roleAssignments = [] }) {
+  const content = { tenantId, grants: buildPolicySnapshot(grants) };
+  if (roles?.length > 0 || roleAssignments?.length > 0) {
+    Object.assign(content, buildRoleSnapshot({ roles, roleAssignments }));
+  }
+
+  return createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function toCamelCaseVersion(row, { includeSnapshot = false } = {}) {
+  if (!row) {
+    return null;
+  }
+
+  // Snapshots recorded before roles were versioned are a bare grant array; their roles are
+  // unknown (null) rather than empty.
+  const snapshot = parseJson(row.snapshot_json, []);
+  const grants = Array.isArray(snapshot) ? snapshot : snapshot.grants;
+  const roles = Array.isArray(snapshot) ? null : snapshot.roles;
+  const roleAssignments = Array.isArray(snapshot) ? null : snapshot.roleAssignments;
+  return {
+    versionId: row.version_id,
+    tenantId: row.tenant_id,
+    versionNumber: Number(row.version_number),
+    contentHash: row.content_hash,
+    previousHash: row.previous_hash || null,
+    changeType: row.change_type,
+    change: parseJson(row.change_json, {}),
+    grantCount: Array.isArray(grants) ? grants.length : 0,
+    roleCount: Array.isArray(roles) ? roles.length : null,
+    roleAssignmentCount: Array.isArray(roleAssignments) ? roleAssignments.length : null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    ...(includeSnapshot
+      ? {
+          grants: Array.isArray(grants) ? grants : [],
+          roles: Array.isArray(roles) ? roles : null,
+          roleAssignments: Array.isArray(roleAssignments) ? roleAssignments : null
+        }
+      : {})
+  };
+}
+
+export function createPolicyVersionStore({ databaseAdapter }) {
+  if (!databaseAdapter || typeof databaseAdapter.execute !== 'function') {
+    throw new Error('databaseAdapter is required for policy version store.');
+  }
+
+  const dialect = databaseAdapter.dialect;
+  if (!['sqlite', 'postgres'].includes(dialect)) {
+    throw new Error(`Unsupported database dialect '${dialect}' for policy version store.`);
+  }
+
+  let initPromise = null;
+
+  async function ensureInitialized() {
+    if (!initPromise) {
+      initPromise = initializeSchema().catch((error) => {
+        initPromise = null;
+        throw error;
+      });
+    }
+
+    return initPromise;
+  }
+
+  async function initializeSchema() {
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE TABLE IF NOT EXISTS policy_versions (
+          version_id TEXT PRIMARY KEY,
+          tenant_id TEXT NOT NULL,
+          version_number INTEGER NOT NULL,
+          content_hash TEXT NOT NULL,
+          previous_hash TEXT,
+          change_type TEXT NOT NULL,
+          change_json TEXT NOT NULL,
+          snapshot_json TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        )
+      `,
+      values: []
+    });
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_policy_versions_number
+        ON policy_versions (tenant_id, version_number)
+      `,
+      values: []
+    });
+  }
+
+  function tenantValidation(tenantId) {
+    if (!isNonEmptyString(tenantId)) {
+      throw new Error('tenantId is required.');
+    }
+
+    return tenantId.trim();
+  }
+
+  async function getLatestVersion({ tenantId, includeSnapshot = false }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            SELECT *
+            FROM policy_versions
+            WHERE tenant_id = ?
+            ORDER BY version_number DESC
+            LIMIT 1
+          `
+        : `
+            SELECT *
+            FROM policy_versions
+            WHERE tenant_id = $1
+            ORDER BY version_number DESC
+            LIMIT 1
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values: [safeTenantId]
+    });
+
+    return toCamelCaseVersion(result.rows?.[0] || null, { includeSnapshot });
+  }
+
+  async function getVersion({ tenantId, versionNumber, includeSnapshot = false }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            SELECT *
+            FROM policy_versions
+            WHERE tenant_id = ? AND version_number = ?
+            LIMIT 1
+          `
+        : `
+            SELECT *
+            FROM policy_versions
+            WHERE tenant_id = $1 AND version_number = $2
+            LIMIT 1
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values: [safeTenantId, versionNumber]
+    });
+
+    return toCamelCaseVersion(result.rows?.[0] || null, { includeSnapshot });
+  }
+
+  async function getVersionAt({ tenantId, at, includeSnapshot = false }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            SELECT *
+            FROM policy_versions
+            WHERE tenant_id = ? AND created_at <= ?
+            ORDER BY version_number DESC
+            LIMIT 1
+          `
+        : `
+            SELECT *
+            FROM policy_versions
+            WHERE tenant_id = $1 AND created_at <= $2
+            ORDER BY version_number DESC
+            LIMIT 1
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values: [safeTenantId, at]
+    });
+
+    return toCamelCaseVersion(result.rows?.[0] || null, { includeSnapshot });
+  }
+
+  async function listVersions({ tenantId, limit = 50 }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            SELECT *
+            FROM policy_versions
+            WHERE tenant_id = ?
+            ORDER BY version_number DESC
+            LIMIT ?
+          `
+        : `
+            SELECT *
+            FROM policy_versions
+            WHERE tenant_id = $1
+            ORDER BY version_number DESC
+            LIMIT $2
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values: [safeTenantId, limit]
+    });
+
+    return (result.rows || []).map((row) => toCamelCaseVersion(row));
+  }
+
+  async function recordVersion({
+    tenantId,
+    grants,
+    roles = [],
+    roleAssignments = [],
+    changeType,
+    change = {},
+    createdBy,
+    createdAt
+  }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+    const snapshot = {
+      grants: buildPolicySnapshot(grants),
+      ...buildRoleSnapshot({ roles, roleAssignments })
+    };
+    const contentHash = hashPolicySnapshot({ tenantId: safeTenantId, ...snapshot });
+    const previous = await getLatestVersion({ tenantId: safeTenantId });
+    const versionId = randomUUID();
+
+    // The next number is derived inside the INSERT so concurrent writers collide on the
+    // (tenant_id, version_number) unique index instead of silently sharing a number.
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            INSERT INTO policy_versions (
+              version_id,
+              tenant_id,
+              version_number,
+              content_hash,
+              previous_hash,
+              change_type,
+              change_json,
+              snapshot_json,
+              created_by,
+              created_at
+            )
+            SELECT ?, ?, COALESCE(MAX(version_number), 0) + 1, ?, ?, ?, ?, ?, ?, ?
+            FROM policy_versions
+            WHERE tenant_id = ?
+          `
+        : `
+            INSERT INTO policy_versions (
+              version_id,
+              tenant_id,
+              version_number,
+              content_hash,
+              previous_hash,
+              change_type,
+              change_json,
+              snapshot_json,
+              created_by,
+              created_at
+            )
+            SELECT $1, $2, COALESCE(MAX(version_number), 0) + 1, $3, $4, $5, $6, $7, $8, $9
+            FROM policy_versions
+            WHERE tenant_id = $10
+          `;
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql,
+      values: [
+        versionId,
+        safeTenantId,
+        contentHash,
+        previous?.contentHash || null,
+        changeType,
+        JSON.stringify(change),
+        JSON.stringify(snapshot),
+        createdBy.trim().toLowerCase(),
+        createdAt,
+        safeTenantId
+      ]
+    });
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql:
+        dialect === 'sqlite'
+          ? 'SELECT * FROM policy_versions WHERE version_id = ? LIMIT 1'
+          : 'SELECT * FROM policy_versions WHERE version_id = $1 LIMIT 1',
+      values: [versionId]
+    });
+
+    return toCamelCaseVersion(result.rows?.[0] || null);
+  }
+
+  return {
+    ensureInitialized,
+    getLatestVersion,
+    getVersion,
+    getVersionAt,
+    listVersions,
+    recordVersion
+  };
+}
@@ -2,15 +2,33 @@ import { loadConfig } from '../config.js';
 import { createDatabaseAdapter } from '../db/databaseAdapterFactory.js';
 import { createQueryExecutionService } from '../query/queryExecutionService.js';
 import { getQueryTemplate, TEMPLATE_MODE } from '../query/templateRegistry.js';
+import { resolveWriteStatementVerb } from '../query/templateSqlGuard.js';
 import {
   attachActionResponseEnvelope,
   createNoopAuditService
 } from './actionResponseEnvelopeService.js';
-import { evaluatePolicyDecision } from './policyDecisionEngine.js';
+import {
+  evaluatePolicyDecision,
+  expandRoleAssignments,
+  isTableScopePattern,
+  matchesTableScopePattern
+} from './policyDecisionEngine.js';
 import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
 import { createAuthService } from './authService.js';
+import { createAuthSessionStore } from './authSessionStore.js';
+import { evaluateDelegationScope, summarizeDelegation } from './delegationService.js';
+import {
+  consumeRequestUses,
+  createDelegationUseStore,
+  listDelegationUseLinks
+} from './delegationUseStore.js';
 import { createPolicyGrantStore } from './policyGrantStore.js';
+import { createPolicyRoleStore } from './policyRoleStore.js';
+import { createPolicyVersionStore } from './policyVersionStore.js';
+import { createPaginationCursorService, hashCursor } from './paginationCursorService.js';
 import { createPolicyService } from './policyService.js';
+import { createQueryTemplateStore } from './queryTemplateStore.js';
 import { createReceiptService } from './receiptService.js';
 import {
   createPermissiveRuntimeAttestationService,
@@ -58,19 +76,31 @@ function validatePayload(payload) {
     return validationError('queryParams must be a JSON object when provided.');
   }
 
+  if (
+    payload.cursor !== undefined &&
+    payload.cursor !== null &&
+    (typeof payload.cursor !== 'string' || payload.cursor.trim().length === 0)
+  ) {
+    return validationError('cursor must be a non-empty string when provided.');
+  }
+
   return { ok: true };
 }
 
 function createDefaultExecutionService() {
+  const notConfigured = async () => ({
+    ok: false,
+    statusCode: 503,
+    code: 'EXECUTION_SERVICE_NOT_CONFIGURED',
+    message: 'Query execution service is not configured.',
+    details: {}
+  });
+
   return {
     dialect: 'unknown',
-    execute: async () => ({
-      ok: false,
-      statusCode: 503,
-      code: 'EXECUTION_SERVICE_NOT_CONFIGURED',
-      message: 'Query execution service is not configured.',
-      details: {}
-    })
+    prepare: notConfigured,
+    checkCursor: () => ({ ok: true }),
+    execute: notConfigured
   };
 }
 
@@ -82,6 +112,9 @@ function createNoopPolicyGrantStore() {
   return {
     async listActiveGrants() {
       return [];
+    },
+    async runInTransaction(work) {
+      return work(null);
     }
   };
 }
@@ -95,10 +128,20 @@ function normalizeTenantId(rawTenantId) {
   return TENANT_ID_PATTERN.test(normalized) ? normalized : null;
 }
 
-function resolveQueryGrantOperation({ capability, queryTemplate }) {
-  const template = getQueryTemplate(queryTemplate);
+async function resolveRequestTemplate({ queryExecutionService, tenantId, queryTemplate }) {
+  if (typeof queryExecutionService.resolveTemplate === 'function') {
+    return queryExecutionService.resolveTemplate({ tenantId, queryTemplate });
+  }
+
+  return getQueryTemplate(queryTemplate);
+}
+
+// Write templates need the grant for their statement verb. Templates whose dialects
+// disagree are registered before that was rejected, so they need the strictest one.
+export function resolveQueryGrantOperation({ capability, template }) {
   if (template?.mode === TEMPLATE_MODE.WRITE) {
-    return 'insert';
+    const verbs = Object.values(template.sql || {}).map((sql) => resolveWriteStatementVerb(sql));
+    return ['delete', 'update', 'insert'].find((verb) => verbs.includes(verb)) || 'insert';
   }
 
   if (template?.mode === TEMPLATE_MODE.READ) {
@@ -112,43 +155,150 @@ function resolveQueryGrantOperation({ capability, queryTemplate }) {
   return 'read';
 }
 
+// Tenant templates need a grant on every table they touch. Built-in templates run over
+// service-owned tables, so they are granted on the whole database.
+export function resolveQueryGrantScopes({ capability, template }) {
+  if (template?.source === 'tenant' && template.relations?.length > 0) {
+    return template.relations.map((relation) => ({
+      scopeType: 'table',
+      scopeId: relation.tableName,
+      operation: relation.operation
+    }));
+  }
+
+  return [
+    {
+      scopeType: 'database',
+      scopeId: '*',
+      operation: resolveQueryGrantOperation({ capability, template })
+    }
+  ];
+}
+
+// Template SQL runs as written, so row predicates and column denials on a table cannot be
+// applied to it. Such tables stay reachable through the data API only.
+function hasTemplateUnenforceableRules({ decision, scope, grants, roleAssignments }) {
+  if (scope.scopeType !== 'table') {
+    return false;
+  }
+
+  if (decision.rowPredicate) {
+    return true;
+  }
+
+  return [...grants, ...expandRoleAssignments(roleAssignments)].some((grant) => {
+    if (grant.scopeType !== 'column' || grant.effect !== 'deny') {
+      return false;
+    }
+
+    const grantTable = String(grant.scopeId).split('.')[0];
+    return isTableScopePattern(grantTable)
+      ? matchesTableScopePattern(grantTable, scope.scopeId)
+      : grantTable === scope.scopeId;
+  });
+}
+
 async function evaluateGrantPolicyDecision({
   policyGrantStore,
+  policyRoleStore,
+  policyVersionStore,
   tenantId,
   requester,
   capability,
-  queryTemplate
+  template,
+  requestContext = null
 }) {
   const operation = resolveQueryGrantOperation({
     capability,
-    queryTemplate
+    template
   });
 
   const grants = await policyGrantStore.listActiveGrants({
     tenantId,
     walletAddress: requester
   });
+  const roleAssignments = policyRoleStore
+    ? await policyRoleStore.listActiveAssignments({ tenantId, walletAddress: requester })
+    : [];
 
-  const decisionResult = evaluatePolicyDecision({
-    tenantId,
-    walletAddress: requester,
-    scopeType: 'database',
-    scopeId: '*',
-    operation,
-    grants
-  });
+  const policyVersion = policyVersionStore
+    ? await policyVersionStore.getLatestVersion({ tenantId })
+    : null;
+  const limitedGrantIds = [];
+  let decision = null;
+  for (const scope of resolveQueryGrantScopes({ capability, template })) {
+    const decisionResult = evaluatePolicyDecision({
+      tenantId,
+      walletAddress: requester,
+      scopeType: scope.scopeType,
+      scopeId: scope.scopeId,
+      operation: scope.operation,
+      grants,
+      roleAssignments,
+      context: requestContext
+    });
+
+    if (!decisionResult.ok) {
+      return {
+        ok: false,
+        error: decisionResult.error
+      };
+    }
+
+    decision = policyVersion
+      ? { ...decisionResult.decision, policyVersionHash: policyVersion.contentHash }
+      : decisionResult.decision;
+
+    if (
+      decision.allowed &&
+      hasTemplateUnenforceableRules({ decision, scope, grants, roleAssignments })
+    ) {
+      decision = {
+        ...decision,
+        allowed: false,
+        code: 'TEMPLATE_SCOPE_RESTRICTED',
+        message: `Table '${scope.scopeId}' has row or column rules that templates cannot apply.`
+      };
+    }
 
-  if (!decisionResult.ok) {
-    return {
-      ok: false,
-      error: decisionResult.error
-    };
+    if (!decision.allowed) {
+      return {
+        ok: true,
+        operation,
+        decision
+      };
+    }
+
+    const matchedGrant = decision.matchedGrant;
+    if (matchedGrant && matchedGrant.maxUses !== null && matchedGrant.maxUses !== undefined) {
+      limitedGrantIds.push(matchedGrant.grantId);
+    }
   }
 
   return {
     ok: true,
     operation,
-    decision: decisionResult.decision
+    decision,
+    limitedGrantIds
+  };
+}
+
+// Binds cursors to the validated params, so equivalent spellings of one query (defaults left
+// out, addresses in another case) share their pages.
+function buildCursorBinding({ tenantId, requester, payload, template, normalizedParams }) {
+  const limitParam = template?.pagination?.limitParam || null;
+  const queryParams = { ...(normalizedParams || {}) };
+  if (limitParam) {
+    delete queryParams[limitParam];
+  }
+
+  return {
+    scope: 'query',
+    tenantId,
+    requester,
+    capability: payload.capability,
+    queryTemplate: payload.queryTemplate,
+    queryParams
   };
 }
 
@@ -163,7 +313,8 @@ async function attachReceiptAndAudit({
   queryExecutionService,
   receiptService,
   auditService,
-  runtimeVerification
+  runtimeVerification,
+  page = null
 }) {
   return attachActionResponseEnvelope({
     payload,
@@ -181,6 +332,7 @@ async function attachReceiptAndAudit({
       resource: payload?.queryTemplate || null,
       requester: auth?.requester || payload?.requester || null
     },
+    page,
     receiptService,
     auditService,
     databaseDialect: queryExecutionService?.dialect || 'unknown'
@@ -191,11 +343,17 @@ export function createQueryService({
   authService,
   policyService,
   policyGrantStore,
+  policyRoleStore = null,
+  policyVersionStore = null,
+  delegationUseStore = null,
   queryExecutionService,
   receiptService,
   auditService,
-  runtimeAttestationService
+  runtimeAttestationService,
+  paginationCursorService
 }) {
+  const safePaginationCursorService =
+    paginationCursorService || createPaginationCursorService();
   const safeQueryExecutionService = queryExecutionService || createDefaultExecutionService();
   const safeReceiptService = receiptService || {
     buildReceipt: () => null
@@ -206,7 +364,7 @@ export function createQueryService({
     runtimeAttestationService || createNoopRuntimeAttestationService();
 
   return {
-    async handle(payload) {
+    async handle(payload, requestContext = { source: 'http' }) {
       let runtimeCheck;
       try {
         runtimeCheck = await safeRuntimeAttestationService.checkAccess({
@@ -268,7 +426,9 @@ export function createQueryService({
         });
       }
 
-      const authResult = await authService.authenticate(payload);
+      const authResult = await authService.authenticate(payload, {
+        bearerToken: requestContext?.bearerToken || null
+      });
       if (!authResult.ok) {
         return attachReceiptAndAudit({
           payload,
@@ -320,10 +480,79 @@ export function createQueryService({
         });
       }
 
+      let resolvedTemplate;
+      try {
+        resolvedTemplate = await resolveRequestTemplate({
+          queryExecutionService: safeQueryExecutionService,
+          tenantId,
+          queryTemplate: payload.queryTemplate
+        });
+      } catch (error) {
+        return attachReceiptAndAudit({
+          payload,
+          statusCode: 503,
+          body: {
+            error: 'TEMPLATE_STORE_UNAVAILABLE',
+            code: 'TEMPLATE_STORE_UNAVAILABLE',
+            message: error?.message || 'Unable to resolve tenant query template.',
+            requestId: payload.requestId,
+            tenantId
+          },
+          decision: {
+            outcome: 'deny',
+            stage: 'policy',
+            code: 'TEMPLATE_STORE_UNAVAILABLE',
+            message: error?.message || 'Unable to resolve tenant query template.'
+          },
+          auth: authResult,
+          policy: null,
+          execution: null,
+          queryExecutionService: safeQueryExecutionService,
+          receiptService: safeReceiptService,
+          auditService: safeAuditService,
+          runtimeVerification
+        });
+      }
+
+      if (resolvedTemplate?.issues?.length > 0) {
+        const message =
+          `Template '${payload.queryTemplate}' uses SQL or tables the tenant cannot query.`;
+        return attachReceiptAndAudit({
+          payload,
+          statusCode: 403,
+          body: {
+            error: 'POLICY_DENIED',
+            code: 'TEMPLATE_NOT_PERMITTED',
+            message,
+            requestId: payload.requestId,
+            tenantId,
+            queryTemplate: payload.queryTemplate,
+            details: {
+              issues: resolvedTemplate.issues
+            }
+          },
+          decision: {
+            outcome: 'deny',
+            stage: 'policy',
+            code: 'TEMPLATE_NOT_PERMITTED',
+            message
+          },
+          auth: authResult,
+          policy: null,
+          execution: null,
+          queryExecutionService: safeQueryExecutionService,
+          receiptService: safeReceiptService,
+          auditService: safeAuditService,
+          runtimeVerification
+        });
+      }
+
       const policyResult = policyService.evaluateAccess({
         requester: authResult.requester,
         capability: payload.capability,
-        queryTemplate: payload.queryTemplate
+        queryTemplate: payload.queryTemplate,
+        tenantTemplateCapability:
+          resolvedTemplate?.source === 'tenant' ? resolvedTemplate.capability : null
       });
 
       if (!policyResult.allowed) {
@@ -357,17 +586,60 @@ export function createQueryService({
         });
       }
 
-      let grantPolicyResult;
-      try {
-        grantPolicyResult = await evaluateGrantPolicyDecision({
-          policyGrantStore: safePolicyGrantStore,
-          tenantId,
-          requester: authResult.requester,
+      // Delegated requests are evaluated as the root wallet, then narrowed to the chain's
+      // scope before any grant or delegation use is spent.
+      if (authResult.delegation) {
+        const delegationScope = resolveQueryGrantScopes({
           capability: payload.capability,
-          queryTemplate: payload.queryTemplate
-        });
-      } catch (error) {
-        return attachReceiptAndAudit({
+          template: resolvedTemplate
+        })
+          .map((scope) =>
+            evaluateDelegationScope(authResult.delegation, {
+              ...scope,
+              capability: payload.capability
+            })
+          )
+          .reduce((result, scopeResult) => (result.allowed ? scopeResult : result));
+
+        if (!delegationScope.allowed) {
+          return attachReceiptAndAudit({
+            payload,
+            statusCode: 403,
+            body: {
+              error: 'POLICY_DENIED',
+              code: delegationScope.code,
+              message: delegationScope.message,
+              requestId: payload.requestId,
+              tenantId,
+              capability: payload.capability,
+              queryTemplate: payload.queryTemplate,
+              details: {
+                delegation: summarizeDelegation(authResult.delegation)
+              }
+            },
+            decision: {
+              outcome: 'deny',
+              stage: 'policy',
+              code: delegationScope.code,
+              message: delegationScope.message
+            },
+            auth: authResult,
+            policy: {
+              allowed: false,
+              code: delegationScope.code,
+              message: delegationScope.message
+            },
+            execution: null,
+            queryExecutionService: safeQueryExecutionService,
+            receiptService: safeReceiptService,
+            auditService: safeAuditService,
+            runtimeVerification
+          });
+        }
+      }
+
+      const policyStoreUnavailable = (error) =>
+        attachReceiptAndAudit({
           payload,
           statusCode: 503,
           body: {
@@ -391,6 +663,25 @@ export function createQueryService({
           auditService: safeAuditService,
           runtimeVerification
         });
+
+      let grantPolicyResult;
+      try {
+        grantPolicyResult = await evaluateGrantPolicyDecision({
+          policyGrantStore: safePolicyGrantStore,
+          policyRoleStore,
+          policyVersionStore,
+          tenantId,
+          requester: authResult.requester,
+          capability: payload.capability,
+          template: resolvedTemplate,
+          requestContext: {
+            source: requestContext?.source || null,
+            chainId: Number.isSafeInteger(payload.chainId) ? payload.chainId : null,
+            attestationVerified: runtimeVerification?.verified === true
+          }
+        });
+      } catch (error) {
+        return policyStoreUnavailable(error);
       }
 
       if (!grantPolicyResult.ok) {
@@ -421,20 +712,14 @@ export function createQueryService({
         });
       }
 
-      if (!grantPolicyResult.decision.allowed) {
-        const combinedPolicyResult = {
-          allowed: false,
-          code: grantPolicyResult.decision.code,
-          message: grantPolicyResult.decision.message
-        };
-
-        return attachReceiptAndAudit({
+      const grantPolicyDenied = (decision) =>
+        attachReceiptAndAudit({
           payload,
           statusCode: 403,
           body: {
             error: 'POLICY_DENIED',
-            code: grantPolicyResult.decision.code,
-            message: grantPolicyResult.decision.message,
+            code: decision.code,
+            message: decision.message,
             requestId: payload.requestId,
             tenantId,
             capability: payload.capability,
@@ -443,33 +728,35 @@ export function createQueryService({
               capabilityPolicyCode: policyResult.code,
               capabilityPolicyMessage: policyResult.message,
               operation: grantPolicyResult.operation,
-              evaluationPath: grantPolicyResult.decision.evaluationPath
+              evaluationPath: decision.evaluationPath
             }
           },
           decision: {
             outcome: 'deny',
             stage: 'policy',
-            code: grantPolicyResult.decision.code,
-            message: grantPolicyResult.decision.message
+            code: decision.code,
+            message: decision.message
           },
           auth: authResult,
-          policy: combinedPolicyResult,
+          policy: {
+            allowed: false,
+            code: decision.code,
+            message: decision.message,
+            policyVersionHash: decision.policyVersionHash || null
+          },
           execution: null,
           queryExecutionService: safeQueryExecutionService,
           receiptService: safeReceiptService,
           auditService: safeAuditService,
           runtimeVerification
         });
-      }
 
-      const execution = await safeQueryExecutionService.execute({
-        capability: payload.capability,
-        queryTemplate: payload.queryTemplate,
-        queryParams: payload.queryParams || {}
-      });
+      if (!grantPolicyResult.decision.allowed) {
+        return grantPolicyDenied(grantPolicyResult.decision);
+      }
 
-      if (!execution.ok) {
-        return attachReceiptAndAudit({
+      const executionFailure = (execution) =>
+        attachReceiptAndAudit({
           payload,
           statusCode: execution.statusCode,
           body: {
@@ -495,8 +782,143 @@ export function createQueryService({
           auditService: safeAuditService,
           runtimeVerification
         });
+
+      const prepared = await safeQueryExecutionService.prepare({
+        tenantId,
+        capability: payload.capability,
+        queryTemplate: payload.queryTemplate,
+        queryParams: payload.queryParams || {}
+      });
+      if (!prepared.ok) {
+        return executionFailure(prepared);
       }
 
+      const cursorBinding = buildCursorBinding({
+        tenantId,
+        requester: authResult.requester,
+        payload,
+        template: resolvedTemplate,
+        normalizedParams: prepared.normalizedParams
+      });
+      const cursorResult = safePaginationCursorService.resolveCursor({
+        cursor: payload.cursor,
+        binding: cursorBinding
+      });
+
+      if (!cursorResult.ok) {
+        return attachReceiptAndAudit({
+          payload,
+          statusCode: cursorResult.statusCode,
+          body: {
+            error: cursorResult.code,
+            code: cursorResult.code,
+            message: cursorResult.message,
+            requestId: payload.requestId,
+            tenantId,
+            queryTemplate: payload.queryTemplate
+          },
+          decision: {
+            outcome: 'deny',
+            stage: cursorResult.statusCode === 403 ? 'policy' : 'validation',
+            code: cursorResult.code,
+            message: cursorResult.message
+          },
+          auth: authResult,
+          policy: null,
+          execution: null,
+          queryExecutionService: safeQueryExecutionService,
+          receiptService: safeReceiptService,
+          auditService: safeAuditService,
+          runtimeVerification
+        });
+      }
+
+      const cursorCheck = safeQueryExecutionService.checkCursor({
+        prepared,
+        cursorKeyValues: cursorResult.keyValues
+      });
+      if (!cursorCheck.ok) {
+        return executionFailure(cursorCheck);
+      }
+
+      // Usage-limited grants and capped delegation links are only spent by queries that
+      // passed validation, together in one transaction.
+      let consumed;
+      try {
+        consumed = await consumeRequestUses({
+          grantStore: safePolicyGrantStore,
+          useStore: delegationUseStore,
+          tenantId,
+          grantIds: grantPolicyResult.limitedGrantIds,
+          delegationLinks: listDelegationUseLinks(authResult.delegation)
+        });
+      } catch (error) {
+        return policyStoreUnavailable(error);
+      }
+
+      if (!consumed.ok && consumed.code === 'GRANT_EXHAUSTED') {
+        return grantPolicyDenied({
+          ...grantPolicyResult.decision,
+          allowed: false,
+          code: consumed.code,
+          message: consumed.message
+        });
+      }
+
+      if (!consumed.ok) {
+        return attachReceiptAndAudit({
+          payload,
+          statusCode: consumed.statusCode,
+          body: {
+            error: consumed.code,
+            code: consumed.code,
+            message: consumed.message,
+            requestId: payload.requestId,
+            tenantId
+          },
+          decision: {
+            outcome: 'deny',
+            stage: 'policy',
+            code: consumed.code,
+            message: consumed.message
+          },
+          auth: authResult,
+          policy: null,
+          execution: null,
+          queryExecutionService: safeQueryExecutionService,
+          receiptService: safeReceiptService,
+          auditService: safeAuditService,
+          runtimeVerification
+        });
+      }
+
+      const execution = await safeQueryExecutionService.execute({
+        tenantId,
+        capability: payload.capability,
+        queryTemplate: payload.queryTemplate,
+        queryParams: payload.queryParams || {},
+        cursorKeyValues: cursorResult.keyValues,
+        prepared
+      });
+
+      if (!execution.ok) {
+        return executionFailure(execution);
+      }
+
+      const nextKeyValues = execution.pagination?.nextKeyValues || null;
+      const nextCursor = nextKeyValues
+        ? safePaginationCursorService.issueCursor({
+            binding: cursorBinding,
+            keyValues: nextKeyValues,
+            page: cursorResult.page + 1
+          })
+        : null;
+      const page = {
+        number: cursorResult.page,
+        cursorHash: cursorResult.cursorHash,
+        nextCursorHash: hashCursor(nextCursor)
+      };
+
       return attachReceiptAndAudit({
         payload,
         statusCode: execution.statusCode,
@@ -507,10 +929,14 @@ export function createQueryService({
           capability: payload.capability,
           queryTemplate: payload.queryTemplate,
           execution: execution.data,
+          page: page.number,
+          nextCursor,
           runtime: runtimeVerification,
           auth: {
             signedAt: authResult.signedAt || null,
             nonce: authResult.nonce || null,
+            sessionId: authResult.sessionId || null,
+            delegation: authResult.delegation ? summarizeDelegation(authResult.delegation) : null,
             bypassed: Boolean(authResult.authBypassed)
           },
           policy: {
@@ -531,13 +957,15 @@ export function createQueryService({
         policy: {
           allowed: true,
           code: grantPolicyResult.decision.code,
-          message: grantPolicyResult.decision.message
+          message: grantPolicyResult.decision.message,
+          policyVersionHash: grantPolicyResult.decision.policyVersionHash || null
         },
         execution,
         queryExecutionService: safeQueryExecutionService,
         receiptService: safeReceiptService,
         auditService: safeAuditService,
-        runtimeVerification
+        runtimeVerification,
+        page
       });
     }
   };
@@ -552,25 +980,47 @@ const runtimeMetadata = {
 const defaultReceiptService = createReceiptService(runtimeConfig.proof, runtimeMetadata);
 const defaultAuditService = createNoopAuditService();
 const defaultRuntimeAttestationService = createRuntimeAttestationService(runtimeConfig.proof);
+const defaultPaginationCursorService = createPaginationCursorService(runtimeConfig.pagination);
 let runtimeQueryServicePromise = null;
 
 async function buildRuntimeQueryService() {
   const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
+  const sessionStore = createAuthSessionStore({ databaseAdapter });
+  await sessionStore.ensureInitialized();
   const policyGrantStore = createPolicyGrantStore({ databaseAdapter });
   await policyGrantStore.ensureInitialized();
+  const policyRoleStore = createPolicyRoleStore({ databaseAdapter });
+  await policyRoleStore.ensureInitialized();
+  const policyVersionStore = createPolicyVersionStore({ databaseAdapter });
+  await policyVersionStore.ensureInitialized();
+  const delegationUseStore = createDelegationUseStore({ databaseAdapter });
+  await delegationUseStore.ensureInitialized();
+  const templateStore = createQueryTemplateStore({ databaseAdapter });
+  await templateStore.ensureInitialized();
   const queryExecutionService = createQueryExecutionService({
     databaseAdapter,
-    enforceCapabilityMode: runtimeConfig.policy.enforceCapabilityMode
+    enforceCapabilityMode: runtimeConfig.policy.enforceCapabilityMode,
+    templateStore
   });
 
   return createQueryService({
-    authService: createAuthService(runtimeConfig.auth),
+    authService: createAuthService(runtimeConfig.auth, {
+      sessionStore,
+      nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+        databaseAdapter,
+        scope: 'query'
+      })
+    }),
     policyService: createPolicyService(runtimeConfig.policy),
     policyGrantStore,
+    policyRoleStore,
+    policyVersionStore,
+    delegationUseStore,
     queryExecutionService,
     receiptService: defaultReceiptService,
     auditService: createAuditService({ databaseAdapter }),
-    runtimeAttestationService: defaultRuntimeAttestationService
+    runtimeAttestationService: defaultRuntimeAttestationService,
+    paginationCursorService: defaultPaginationCursorService
   });
 }
 
@@ -610,9 +1060,13 @@ function buildServiceUnavailableResponse(payload, reason = null) {
   });
 }
 
-export async function handleQueryRequest(payload, overrides = null) {
+export async function handleQueryRequest(
+  payload,
+  overrides = null,
+  requestContext = { source: 'http' }
+) {
   if (overrides?.queryService) {
-    return overrides.queryService.handle(payload);
+    return overrides.queryService.handle(payload, requestContext);
   }
 
   if (
@@ -622,7 +1076,8 @@ export async function handleQueryRequest(payload, overrides = null) {
     overrides?.queryExecutionService ||
     overrides?.receiptService ||
     overrides?.auditService ||
-    overrides?.runtimeAttestationService
+    overrides?.runtimeAttestationService ||
+    overrides?.paginationCursorService
   ) {
     const queryService = createQueryService({
       authService: overrides.authService || createAuthService(runtimeConfig.auth),
@@ -640,15 +1095,17 @@ export async function handleQueryRequest(payload, overrides = null) {
       receiptService: overrides.receiptService || defaultReceiptService,
       auditService: overrides.auditService || defaultAuditService,
       runtimeAttestationService:
-        overrides.runtimeAttestationService || defaultRuntimeAttestationService
+        overrides.runtimeAttestationService || defaultRuntimeAttestationService,
+      paginationCursorService:
+        overrides.paginationCursorService || defaultPaginationCursorService
     });
 
-    return queryService.handle(payload);
+    return queryService.handle(payload, requestContext);
   }
 
   try {
     const queryService = await getRuntimeQueryService();
-    return queryService.handle(payload);
+    return queryService.handle(payload, requestContext);
   } catch (error) {
     return buildServiceUnavailableResponse(payload, error?.message || null);
   }
@@ -0,0 +1,864 @@
+import { WALLET_ADDRESS_PATTERN } from '@eigen-private-db-agent/shared-types';
+import { loadConfig } from '../config.js';
+import { createDatabaseAdapter } from '../db/databaseAdapterFactory.js';
+import { validateAndNormalizeParam } from '../query/queryExecutionService.js';
+import {
+  getQueryTemplate,
+  QUERY_PARAM_TYPES,
+  TEMPLATE_MODE
+} from '../query/templateRegistry.js';
+import { inspectTemplateSql, resolveWriteStatementVerb } from '../query/templateSqlGuard.js';
+import {
+  attachActionResponseEnvelope,
+  createNoopAuditService
+} from './actionResponseEnvelopeService.js';
+import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
+import { evaluateActorAuthorityForGrant } from './policyAdminService.js';
+import { createPolicyGrantStore } from './policyGrantStore.js';
+import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
+import { createPolicyRoleStore } from './policyRoleStore.js';
+import { createQueryTemplateStore } from './queryTemplateStore.js';
+import { createReceiptService } from './receiptService.js';
+import {
+  createPermissiveRuntimeAttestationService,
+  createRuntimeAttestationService
+} from './runtimeAttestationService.js';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const TEMPLATE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+const CAPABILITY_PATTERN = /^[a-z][a-z0-9_-]{0,62}:[a-z][a-z0-9_-]{0,62}$/;
+const PARAM_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,62}$/;
+const TEMPLATE_MODES = Object.freeze([TEMPLATE_MODE.READ, TEMPLATE_MODE.WRITE]);
+const SQL_DIALECTS = Object.freeze(['postgres', 'sqlite']);
+const MAX_TEMPLATE_PARAMS = 20;
+const MAX_TEMPLATE_SQL_LENGTH = 8000;
+const TEMPLATE_ADMIN_GRANT = Object.freeze({
+  scopeType: 'database',
+  scopeId: '*',
+  operation: 'all',
+  effect: 'allow'
+});
+const walletRegex = new RegExp(WALLET_ADDRESS_PATTERN);
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validationError(message, issues = []) {
+  return {
+    statusCode: 400,
+    body: {
+      error: 'VALIDATION_ERROR',
+      message,
+      details: {
+        issues
+      }
+    }
+  };
+}
+
+function serviceError(code, message, statusCode, details = null) {
+  return {
+    statusCode,
+    body: {
+      error: code,
+      message,
+      ...(details ? { details } : {})
+    }
+  };
+}
+
+function normalizeTenantId(rawTenantId) {
+  if (!isNonEmptyString(rawTenantId)) {
+    return null;
+  }
+
+  const normalized = rawTenantId.trim().toLowerCase();
+  return TENANT_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+function normalizeWalletAddress(rawWalletAddress) {
+  if (!isNonEmptyString(rawWalletAddress)) {
+    return null;
+  }
+
+  const normalized = rawWalletAddress.trim().toLowerCase();
+  return walletRegex.test(normalized) ? normalized : null;
+}
+
+function normalizeTemplateName(rawTemplateName) {
+  if (!isNonEmptyString(rawTemplateName)) {
+    return null;
+  }
+
+  const normalized = rawTemplateName.trim().toLowerCase();
+  return TEMPLATE_NAME_PATTERN.test(normalized) ? normalized : null;
+}
+
+function isOptionalInteger(value) {
+  return value === undefined || Number.isInteger(value);
+}
+
+function normalizeParamSpec(rawParam, path, issues) {
+  if (!isPlainObject(rawParam)) {
+    issues.push({ path, code: 'invalid_param', message: 'Param spec must be an object.' });
+    return null;
+  }
+
+  const startingIssueCount = issues.length;
+  const name = isNonEmptyString(rawParam.name) ? rawParam.name.trim() : null;
+  if (!name || !PARAM_NAME_PATTERN.test(name)) {
+    issues.push({
+      path: `${path}.name`,
+      code: 'invalid_param_name',
+      message: 'Param name must match [a-zA-Z][a-zA-Z0-9_]{0,62}.'
+    });
+  }
+
+  const type = rawParam.type;
+  if (!QUERY_PARAM_TYPES.includes(type)) {
+    issues.push({
+      path: `${path}.type`,
+      code: 'invalid_param_type',
+      message: `Param type must be one of: ${QUERY_PARAM_TYPES.join(', ')}.`
+    });
+  }
+
+  if (rawParam.required !== undefined && typeof rawParam.required !== 'boolean') {
+    issues.push({
+      path: `${path}.required`,
+      code: 'invalid_type',
+      message: 'Param required flag must be a boolean.'
+    });
+  }
+
+  const spec = {
+    name,
+    type,
+    required: rawParam.required === true
+  };
+
+  if (type === 'integer') {
+    if (!isOptionalInteger(rawParam.min) || !isOptionalInteger(rawParam.max)) {
+      issues.push({
+        path,
+        code: 'invalid_param_range',
+        message: 'Integer param min/max must be integers.'
+      });
+    } else if (
+      rawParam.min !== undefined &&
+      rawParam.max !== undefined &&
+      rawParam.min > rawParam.max
+    ) {
+      issues.push({
+        path,
+        code: 'invalid_param_range',
+        message: 'Integer param min must be <= max.'
+      });
+    }
+
+    if (rawParam.min !== undefined) {
+      spec.min = rawParam.min;
+    }
+
+    if (rawParam.max !== undefined) {
+      spec.max = rawParam.max;
+    }
+  }
+
+  if (type === 'string') {
+    for (const key of ['minLength', 'maxLength']) {
+      if (rawParam[key] === undefined) {
+        continue;
+      }
+
+      if (!Number.isInteger(rawParam[key]) || rawParam[key] < 0) {
+        issues.push({
+          path: `${path}.${key}`,
+          code: 'invalid_param_length',
+          message: `String param ${key} must be a non-negative integer.`
+        });
+        continue;
+      }
+
+      spec[key] = rawParam[key];
+    }
+  }
+
+  if (type === 'enum') {
+    const values = Array.isArray(rawParam.values)
+      ? rawParam.values.filter((value) => isNonEmptyString(value))
+      : [];
+    if (
+      !Array.isArray(rawParam.values) ||
+      values.length === 0 ||
+      values.length !== rawParam.values.length
+    ) {
+      issues.push({
+        path: `${path}.values`,
+        code: 'invalid_param_values',
+        message: 'Enum param values must be a non-empty list of strings.'
+      });
+    }
+
+    spec.values = values;
+  }
+
+  if (issues.length > startingIssueCount) {
+    return null;
+  }
+
+  if (Object.hasOwn(rawParam, 'default')) {
+    const defaultResult = validateAndNormalizeParam({ ...spec, required: false }, rawParam.default);
+    if (!defaultResult.ok) {
+      issues.push({
+        path: `${path}.default`,
+        code: 'invalid_param_default',
+        message: defaultResult.message
+      });
+      return null;
+    }
+
+    if (defaultResult.value !== undefined) {
+      spec.default = defaultResult.value;
+    }
+  }
+
+  return spec;
+}
+
+function normalizeParamSpecs(rawParams, issues) {
+  if (rawParams === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(rawParams) || rawParams.length > MAX_TEMPLATE_PARAMS) {
+    issues.push({
+      path: 'template.params',
+      code: 'invalid_params',
+      message: `template.params must be an array with at most ${MAX_TEMPLATE_PARAMS} entries.`
+    });
+    return [];
+  }
+
+  const params = [];
+  const seenNames = new Set();
+  rawParams.forEach((rawParam, index) => {
+    const spec = normalizeParamSpec(rawParam, `template.params[${index}]`, issues);
+    if (!spec) {
+      return;
+    }
+
+    if (seenNames.has(spec.name)) {
+      issues.push({
+        path: `template.params[${index}].name`,
+        code: 'duplicate_param',
+        message: `Param '${spec.name}' is declared more than once.`
+      });
+      return;
+    }
+
+    seenNames.add(spec.name);
+    params.push(spec);
+  });
+
+  return params;
+}
+
+function normalizeMutationEnvelope(payload, issues) {
+  const tenantId = normalizeTenantId(payload?.tenantId);
+  if (!tenantId) {
+    issues.push({
+      path: 'tenantId',
+      code: 'invalid_tenant_id',
+      message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+    });
+  }
+
+  const requestId = isNonEmptyString(payload?.requestId) ? payload.requestId.trim() : null;
+  if (!requestId) {
+    issues.push({
+      path: 'requestId',
+      code: 'required',
+      message: 'requestId is required.'
+    });
+  }
+
+  const actorWallet = normalizeWalletAddress(payload?.actorWallet);
+  if (!actorWallet) {
+    issues.push({
+      path: 'actorWallet',
+      code: 'invalid_wallet',
+      message: 'actorWallet must be a valid EVM wallet address.'
+    });
+  }
+
+  return {
+    tenantId,
+    requestId,
+    actorWallet
+  };
+}
+
+function normalizeCreateTemplatePayload(payload, { ownedTables = [] } = {}) {
+  const issues = [];
+  const envelope = normalizeMutationEnvelope(payload, issues);
+
+  const template = payload?.template;
+  if (!isPlainObject(template)) {
+    issues.push({
+      path: 'template',
+      code: 'required',
+      message: 'template object is required.'
+    });
+  }
+
+  const templateName = normalizeTemplateName(template?.name);
+  if (!templateName) {
+    issues.push({
+      path: 'template.name',
+      code: 'invalid_template_name',
+      message: 'template.name must match [a-z][a-z0-9_]{0,62}.'
+    });
+  } else if (getQueryTemplate(templateName)) {
+    issues.push({
+      path: 'template.name',
+      code: 'template_name_reserved',
+      message: `'${templateName}' is a built-in template name.`
+    });
+  }
+
+  const capability = isNonEmptyString(template?.capability)
+    ? template.capability.trim().toLowerCase()
+    : null;
+  if (!capability || !CAPABILITY_PATTERN.test(capability)) {
+    issues.push({
+      path: 'template.capability',
+      code: 'invalid_capability',
+      message: 'template.capability must look like <resource>:<action>.'
+    });
+  }
+
+  const mode = String(template?.mode || '').trim().toLowerCase();
+  if (!TEMPLATE_MODES.includes(mode)) {
+    issues.push({
+      path: 'template.mode',
+      code: 'invalid_mode',
+      message: `template.mode must be one of: ${TEMPLATE_MODES.join(', ')}.`
+    });
+  } else if (mode === TEMPLATE_MODE.WRITE && capability?.endsWith(':read')) {
+    issues.push({
+      path: 'template.mode',
+      code: 'capability_mode_mismatch',
+      message: `Capability '${capability}' cannot own write templates.`
+    });
+  }
+
+  const params = normalizeParamSpecs(template?.params, issues);
+
+  const sql = {};
+  if (!isPlainObject(template?.sql)) {
+    issues.push({
+      path: 'template.sql',
+      code: 'required',
+      message: `template.sql must provide SQL for: ${SQL_DIALECTS.join(', ')}.`
+    });
+  } else if (TEMPLATE_MODES.includes(mode)) {
+    for (const dialect of SQL_DIALECTS) {
+      const rawSql = template.sql[dialect];
+      if (typeof rawSql === 'string' && rawSql.length > MAX_TEMPLATE_SQL_LENGTH) {
+        issues.push({
+          path: `template.sql.${dialect}`,
+          code: 'sql_too_long',
+          message: `SQL must be <= ${MAX_TEMPLATE_SQL_LENGTH} characters.`
+        });
+        continue;
+      }
+
+      const sqlIssues = inspectTemplateSql({
+        sql: rawSql,
+        dialect,
+        mode,
+        paramCount: params.length,
+        ownedTables
+      });
+
+      for (const sqlIssue of sqlIssues) {
+        issues.push({ path: `template.sql.${dialect}`, ...sqlIssue });
+      }
+
+      sql[dialect] = typeof rawSql === 'string' ? rawSql.trim() : null;
+    }
+
+    // The statement verb picks the grant operation, so every dialect must agree on it.
+    const verbs = new Set(Object.values(sql).map((text) => resolveWriteStatementVerb(text)));
+    if (mode === TEMPLATE_MODE.WRITE && verbs.size > 1) {
+      issues.push({
+        path: 'template.sql',
+        code: 'statement_mismatch',
+        message: 'Every dialect must use the same INSERT, UPDATE or DELETE statement.'
+      });
+    }
+  }
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      ...envelope,
+      template: {
+        templateName,
+        capability,
+        mode,
+        sql,
+        params
+      }
+    }
+  };
+}
+
+function normalizeDeleteTemplatePayload(payload) {
+  const issues = [];
+  const envelope = normalizeMutationEnvelope(payload, issues);
+
+  const templateName = normalizeTemplateName(payload?.templateName);
+  if (!templateName) {
+    issues.push({
+      path: 'templateName',
+      code: 'invalid_template_name',
+      message: 'templateName must match [a-z][a-z0-9_]{0,62}.'
+    });
+  }
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    normalized: {
+      ...envelope,
+      templateName
+    }
+  };
+}
+
+export function createQueryTemplateAdminService({
+  templateStore,
+  grantStore,
+  roleStore = null,
+  mutationAuthService,
+  runtimeAttestationService = createPermissiveRuntimeAttestationService(),
+  now = () => new Date().toISOString()
+}) {
+  if (!templateStore) {
+    throw new Error('templateStore is required.');
+  }
+
+  if (!grantStore) {
+    throw new Error('grantStore is required.');
+  }
+
+  if (!mutationAuthService) {
+    throw new Error('mutationAuthService is required.');
+  }
+
+  async function checkRuntime(action) {
+    const runtimeCheck = await runtimeAttestationService.checkAccess({
+      action,
+      sensitive: true
+    });
+
+    if (runtimeCheck.allowed) {
+      return { ok: true, runtimeCheck };
+    }
+
+    return {
+      ok: false,
+      response: serviceError(
+        runtimeCheck.code || 'RUNTIME_VERIFICATION_FAILED',
+        runtimeCheck.message || 'Sensitive operation denied because runtime verification failed.',
+        runtimeCheck.statusCode || 503,
+        {
+          runtime: runtimeCheck.snapshot || null
+        }
+      )
+    };
+  }
+
+  async function createTemplate(payload) {
+    const ownedTenantId = normalizeTenantId(payload?.tenantId);
+    const normalizedPayload = normalizeCreateTemplatePayload(payload, {
+      ownedTables: ownedTenantId
+        ? await templateStore.listOwnedTables({ tenantId: ownedTenantId })
+        : []
+    });
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid query template payload.', normalizedPayload.issues);
+    }
+
+    const runtimeResult = await checkRuntime('query:template:create');
+    if (!runtimeResult.ok) {
+      return runtimeResult.response;
+    }
+
+    const { tenantId, requestId, actorWallet, template } = normalizedPayload.normalized;
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action: 'query_template:create',
+      payload: payload.template,
+      auth: payload.auth
+    });
+
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const authorityResult = await evaluateActorAuthorityForGrant({
+      grantStore,
+      roleStore,
+      tenantId,
+      actorWallet: authResult.actorWallet,
+      grant: TEMPLATE_ADMIN_GRANT
+    });
+
+    if (!authorityResult.allowed) {
+      return serviceError(authorityResult.code, authorityResult.message, 403, {
+        actorAuthority: authorityResult
+      });
+    }
+
+    const existingTemplate = await templateStore.getActiveTemplate({
+      tenantId,
+      templateName: template.templateName
+    });
+
+    if (existingTemplate) {
+      return serviceError(
+        'QUERY_TEMPLATE_ALREADY_EXISTS',
+        `Query template '${template.templateName}' is already registered for tenant.`,
+        409,
+        { template: existingTemplate }
+      );
+    }
+
+    const createdTemplate = await templateStore.createTemplate({
+      tenantId,
+      ...template,
+      createdBy: authResult.actorWallet,
+      createdAt: now(),
+      signatureHash: authResult.signatureHash
+    });
+
+    return {
+      statusCode: 201,
+      body: {
+        code: 'QUERY_TEMPLATE_CREATED',
+        message: 'Query template registered.',
+        template: createdTemplate,
+        actorAuthority: authorityResult,
+        runtime: runtimeResult.runtimeCheck.snapshot || null
+      }
+    };
+  }
+
+  async function deleteTemplate(payload) {
+    const normalizedPayload = normalizeDeleteTemplatePayload(payload);
+    if (!normalizedPayload.ok) {
+      return validationError('Invalid query template delete payload.', normalizedPayload.issues);
+    }
+
+    const runtimeResult = await checkRuntime('query:template:delete');
+    if (!runtimeResult.ok) {
+      return runtimeResult.response;
+    }
+
+    const { tenantId, requestId, actorWallet, templateName } = normalizedPayload.normalized;
+    const authResult = await mutationAuthService.authenticate({
+      requestId,
+      tenantId,
+      actorWallet,
+      action: 'query_template:delete',
+      payload: {
+        templateName
+      },
+      auth: payload.auth
+    });
+
+    if (!authResult.ok) {
+      return serviceError(authResult.code, authResult.message, authResult.statusCode || 401);
+    }
+
+    const existingTemplate = await templateStore.getActiveTemplate({ tenantId, templateName });
+    if (!existingTemplate) {
+      return serviceError(
+        'QUERY_TEMPLATE_NOT_FOUND',
+        `Query template '${templateName}' is not registered for tenant.`,
+        404
+      );
+    }
+
+    const authorityResult = await evaluateActorAuthorityForGrant({
+      grantStore,
+      roleStore,
+      tenantId,
+      actorWallet: authResult.actorWallet,
+      grant: TEMPLATE_ADMIN_GRANT
+    });
+
+    if (!authorityResult.allowed) {
+      return serviceError(authorityResult.code, authorityResult.message, 403, {
+        actorAuthority: authorityResult
+      });
+    }
+
+    const deletedAt = now();
+    const deleted = await templateStore.deleteTemplate({
+      tenantId,
+      templateId: existingTemplate.templateId,
+      deletedBy: authResult.actorWallet,
+      deletedAt
+    });
+
+    if (!deleted) {
+      return serviceError(
+        'QUERY_TEMPLATE_DELETE_CONFLICT',
+        'Query template deletion conflicted with current state.',
+        409
+      );
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'QUERY_TEMPLATE_DELETED',
+        message: 'Query template deleted.',
+        template: {
+          ...existingTemplate,
+          deletedAt,
+          deletedBy: authResult.actorWallet
+        },
+        actorAuthority: authorityResult,
+        runtime: runtimeResult.runtimeCheck.snapshot || null
+      }
+    };
+  }
+
+  async function listTemplates({ tenantId }) {
+    const safeTenantId = normalizeTenantId(tenantId);
+    if (!safeTenantId) {
+      return validationError('Invalid query parameters.', [
+        {
+          path: 'tenantId',
+          code: 'invalid_tenant_id',
+          message: 'tenantId is required and must match [a-z0-9][a-z0-9_-]{0,62}.'
+        }
+      ]);
+    }
+
+    const templates = await templateStore.listActiveTemplates({ tenantId: safeTenantId });
+
+    return {
+      statusCode: 200,
+      body: {
+        code: 'QUERY_TEMPLATES_LISTED',
+        templates
+      }
+    };
+  }
+
+  return {
+    createTemplate,
+    deleteTemplate,
+    listTemplates
+  };
+}
+
+const runtimeConfig = loadConfig();
+const runtimeMetadata = {
+  serviceName: runtimeConfig.serviceName,
+  version: runtimeConfig.version,
+  nodeEnv: runtimeConfig.nodeEnv
+};
+const defaultReceiptService = createReceiptService(runtimeConfig.proof, runtimeMetadata);
+const defaultAuditService = createNoopAuditService();
+let runtimeQueryTemplateAdminServicePromise = null;
+
+function buildExecutionContext(result) {
+  const templates = Array.isArray(result?.body?.templates)
+    ? result.body.templates
+    : result?.body?.template
+      ? [result.body.template]
+      : [];
+
+  return {
+    ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+    code: result?.body?.code || result?.body?.error || null,
+    data: {
+      rowCount: templates.length,
+      rows: templates
+    }
+  };
+}
+
+function buildPolicyContext(result) {
+  const actorAuthority = result?.body?.actorAuthority || result?.body?.details?.actorAuthority;
+  if (actorAuthority && typeof actorAuthority === 'object') {
+    return {
+      allowed: Boolean(actorAuthority.allowed),
+      code: actorAuthority.code || null
+    };
+  }
+
+  return null;
+}
+
+async function attachTemplateEnvelope({
+  payload,
+  result,
+  action,
+  resource,
+  databaseDialect = 'unknown',
+  receiptService = defaultReceiptService,
+  auditService = defaultAuditService
+}) {
+  return attachActionResponseEnvelope({
+    payload,
+    result,
+    auth: {
+      ok: Number.isInteger(result?.statusCode) ? result.statusCode < 400 : false,
+      requester: payload?.actorWallet || null,
+      code: result?.body?.error || result?.body?.code || null
+    },
+    policy: buildPolicyContext(result),
+    execution: buildExecutionContext(result),
+    runtimeVerification: result?.body?.runtime || null,
+    auditContext: {
+      action,
+      resource,
+      requester: payload?.actorWallet || null
+    },
+    receiptService,
+    auditService,
+    databaseDialect
+  });
+}
+
+async function buildRuntimeQueryTemplateAdminService() {
+  const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
+  const grantStore = createPolicyGrantStore({ databaseAdapter });
+  await grantStore.ensureInitialized();
+  const roleStore = createPolicyRoleStore({ databaseAdapter });
+  await roleStore.ensureInitialized();
+  const templateStore = createQueryTemplateStore({ databaseAdapter });
+  await templateStore.ensureInitialized();
+
+  return {
+    service: createQueryTemplateAdminService({
+      templateStore,
+      grantStore,
+      roleStore,
+      mutationAuthService: createPolicyMutationAuthService(
+        {
+          ...runtimeConfig.auth,
+          enabled: true
+        },
+        {
+          nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+            databaseAdapter,
+            scope: 'mutation'
+          })
+        }
+      ),
+      runtimeAttestationService: createRuntimeAttestationService(runtimeConfig.proof)
+    }),
+    databaseDialect: databaseAdapter.dialect || 'unknown',
+    receiptService: defaultReceiptService,
+    auditService: createAuditService({ databaseAdapter })
+  };
+}
+
+async function getRuntimeQueryTemplateAdminService() {
+  if (!runtimeQueryTemplateAdminServicePromise) {
+    runtimeQueryTemplateAdminServicePromise = buildRuntimeQueryTemplateAdminService().catch(
+      (error) => {
+        runtimeQueryTemplateAdminServicePromise = null;
+        throw error;
+      }
+    );
+  }
+
+  return runtimeQueryTemplateAdminServicePromise;
+}
+
+async function runTemplateAdminAction({ payload, overrides, method, action, resource }) {
+  try {
+    const runtimeContext = overrides?.queryTemplateAdminService
+      ? {
+          service: overrides.queryTemplateAdminService,
+          databaseDialect: overrides.databaseDialect || 'unknown',
+          receiptService: overrides.receiptService || defaultReceiptService,
+          auditService: overrides.auditService || defaultAuditService
+        }
+      : await getRuntimeQueryTemplateAdminService();
+    const result = await runtimeContext.service[method](payload);
+
+    return attachTemplateEnvelope({
+      payload,
+      result,
+      action,
+      resource,
+      databaseDialect: runtimeContext.databaseDialect,
+      receiptService: runtimeContext.receiptService,
+      auditService: runtimeContext.auditService
+    });
+  } catch (error) {
+    return attachTemplateEnvelope({
+      payload,
+      result: serviceError(
+        'SERVICE_UNAVAILABLE',
+        error?.message || 'Query template service failed to initialize database adapter.',
+        503
+      ),
+      action,
+      resource: 'service',
+      databaseDialect: overrides?.databaseDialect || 'unknown',
+      receiptService: overrides?.receiptService || defaultReceiptService,
+      auditService: overrides?.auditService || defaultAuditService
+    });
+  }
+}
+
+export async function handleCreateQueryTemplateRequest(payload, overrides = null) {
+  return runTemplateAdminAction({
+    payload,
+    overrides,
+    method: 'createTemplate',
+    action: 'query:template:create',
+    resource: payload?.template?.name || 'unknown'
+  });
+}
+
+export async function handleDeleteQueryTemplateRequest(payload, overrides = null) {
+  return runTemplateAdminAction({
+    payload,
+    overrides,
+    method: 'deleteTemplate',
+    action: 'query:template:delete',
+    resource: payload?.templateName || 'unknown'
+  });
+}
+
+export async function handleListQueryTemplatesRequest(query = {}, overrides = null) {
+  return runTemplateAdminAction({
+    payload: query,
+    overrides,
+    method: 'listTemplates',
+    action: 'query:template:list',
+    resource: query?.tenantId || 'unknown'
+  });
+}
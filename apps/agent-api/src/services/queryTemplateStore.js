@@ -0,0 +1,314 @@
+import { randomUUID } from 'node:crypto';
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function parseParams(rawParams) {
+  try {
+    const parsed = JSON.parse(rawParams || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function toCamelCaseTemplate(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    templateId: row.template_id,
+    tenantId: row.tenant_id,
+    templateName: row.template_name,
+    capability: row.capability,
+    mode: row.mode,
+    sql: {
+      postgres: row.postgres_sql,
+      sqlite: row.sqlite_sql
+    },
+    params: parseParams(row.params_json),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    signatureHash: row.signature_hash,
+    deletedAt: row.deleted_at || null,
+    deletedBy: row.deleted_by || null
+  };
+}
+
+export function createQueryTemplateStore({ databaseAdapter }) {
+  if (!databaseAdapter || typeof databaseAdapter.execute !== 'function') {
+    throw new Error('databaseAdapter is required for query template store.');
+  }
+
+  const dialect = databaseAdapter.dialect;
+  if (!['sqlite', 'postgres'].includes(dialect)) {
+    throw new Error(`Unsupported database dialect '${dialect}' for query template store.`);
+  }
+
+  let initPromise = null;
+
+  async function ensureInitialized() {
+    if (!initPromise) {
+      initPromise = initializeSchema().catch((error) => {
+        initPromise = null;
+        throw error;
+      });
+    }
+
+    return initPromise;
+  }
+
+  async function initializeSchema() {
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE TABLE IF NOT EXISTS tenant_query_templates (
+          template_id TEXT PRIMARY KEY,
+          tenant_id TEXT NOT NULL,
+          template_name TEXT NOT NULL,
+          capability TEXT NOT NULL,
+          mode TEXT NOT NULL,
+          postgres_sql TEXT NOT NULL,
+          sqlite_sql TEXT NOT NULL,
+          params_json TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          signature_hash TEXT NOT NULL,
+          deleted_at TEXT,
+          deleted_by TEXT
+        )
+      `,
+      values: []
+    });
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: `
+        CREATE INDEX IF NOT EXISTS idx_tenant_query_templates_lookup
+        ON tenant_query_templates (tenant_id, template_name, deleted_at)
+      `,
+      values: []
+    });
+  }
+
+  function tenantValidation(tenantId) {
+    if (!isNonEmptyString(tenantId)) {
+      throw new Error('tenantId is required.');
+    }
+
+    return tenantId.trim();
+  }
+
+  async function listActiveTemplates({ tenantId }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            SELECT *
+            FROM tenant_query_templates
+            WHERE tenant_id = ? AND deleted_at IS NULL
+            ORDER BY template_name ASC
+          `
+        : `
+            SELECT *
+            FROM tenant_query_templates
+            WHERE tenant_id = $1 AND deleted_at IS NULL
+            ORDER BY template_name ASC
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values: [safeTenantId]
+    });
+
+    return (result.rows || []).map((row) => toCamelCaseTemplate(row));
+  }
+
+  async function getActiveTemplate({ tenantId, templateName }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+    if (!isNonEmptyString(templateName)) {
+      throw new Error('templateName is required.');
+    }
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            SELECT *
+            FROM tenant_query_templates
+            WHERE tenant_id = ? AND template_name = ? AND deleted_at IS NULL
+            ORDER BY created_at DESC
+            LIMIT 1
+          `
+        : `
+            SELECT *
+            FROM tenant_query_templates
+            WHERE tenant_id = $1 AND template_name = $2 AND deleted_at IS NULL
+            ORDER BY created_at DESC
+            LIMIT 1
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'read',
+      sql,
+      values: [safeTenantId, templateName.trim()]
+    });
+
+    return toCamelCaseTemplate(result.rows?.[0] || null);
+  }
+
+  // Managed tables recorded for the tenant by schema apply; the only tables its templates
+  // may reference.
+  async function listOwnedTables({ tenantId }) {
+    const safeTenantId = tenantValidation(tenantId);
+    const sql =
+      dialect === 'sqlite'
+        ? 'SELECT table_name FROM managed_tables WHERE tenant_id = ? ORDER BY table_name ASC'
+        : 'SELECT table_name FROM managed_tables WHERE tenant_id = $1 ORDER BY table_name ASC';
+
+    try {
+      const result = await databaseAdapter.execute({
+        mode: 'read',
+        sql,
+        values: [safeTenantId]
+      });
+
+      return (result.rows || []).map((row) => row.table_name);
+    } catch (error) {
+      // Created by the migration runner on first apply.
+      if (/no such table|does not exist/i.test(error?.message || '')) {
+        return [];
+      }
+
+      throw error;
+    }
+  }
+
+  async function createTemplate({
+    tenantId,
+    templateName,
+    capability,
+    mode,
+    sql,
+    params,
+    createdBy,
+    createdAt,
+    signatureHash
+  }) {
+    await ensureInitialized();
+    const template = {
+      templateId: randomUUID(),
+      tenantId: tenantValidation(tenantId),
+      templateName,
+      capability,
+      mode,
+      sql: {
+        postgres: sql.postgres,
+        sqlite: sql.sqlite
+      },
+      params,
+      createdBy: createdBy.trim().toLowerCase(),
+      createdAt,
+      signatureHash
+    };
+
+    const insertSql =
+      dialect === 'sqlite'
+        ? `
+            INSERT INTO tenant_query_templates (
+              template_id,
+              tenant_id,
+              template_name,
+              capability,
+              mode,
+              postgres_sql,
+              sqlite_sql,
+              params_json,
+              created_by,
+              created_at,
+              signature_hash
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `
+        : `
+            INSERT INTO tenant_query_templates (
+              template_id,
+              tenant_id,
+              template_name,
+              capability,
+              mode,
+              postgres_sql,
+              sqlite_sql,
+              params_json,
+              created_by,
+              created_at,
+              signature_hash
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          `;
+
+    await databaseAdapter.execute({
+      mode: 'write',
+      sql: insertSql,
+      values: [
+        template.templateId,
+        template.tenantId,
+        template.templateName,
+        template.capability,
+        template.mode,
+        template.sql.postgres,
+        template.sql.sqlite,
+        JSON.stringify(template.params),
+        template.createdBy,
+        template.createdAt,
+        template.signatureHash
+      ]
+    });
+
+    return {
+      ...template,
+      deletedAt: null,
+      deletedBy: null
+    };
+  }
+
+  async function deleteTemplate({ tenantId, templateId, deletedBy, deletedAt }) {
+    await ensureInitialized();
+    const safeTenantId = tenantValidation(tenantId);
+
+    const sql =
+      dialect === 'sqlite'
+        ? `
+            UPDATE tenant_query_templates
+            SET deleted_at = ?, deleted_by = ?
+            WHERE tenant_id = ? AND template_id = ? AND deleted_at IS NULL
+          `
+        : `
+            UPDATE tenant_query_templates
+            SET deleted_at = $1, deleted_by = $2
+            WHERE tenant_id = $3 AND template_id = $4 AND deleted_at IS NULL
+          `;
+
+    const result = await databaseAdapter.execute({
+      mode: 'write',
+      sql,
+      values: [deletedAt, deletedBy.trim().toLowerCase(), safeTenantId, templateId]
+    });
+
+    return result.rowCount > 0;
+  }
+
+  return {
+    ensureInitialized,
+    listActiveTemplates,
+    getActiveTemplate,
+    listOwnedTables,
+    createTemplate,
+    deleteTemplate
+  };
+}
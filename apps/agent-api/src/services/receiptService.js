@@ -92,13 +92,20 @@ export function createReceiptService(
     policy,
     execution,
     databaseDialect,
-    runtimeVerification
+    runtimeVerification,
+    page = null
   }) {
     if (!proofConfig.enabled) {
       return null;
     }
 
     const createdAt = now().toISOString();
+    const deniedColumns =
+      Array.isArray(policy?.deniedColumns) && policy.deniedColumns.length > 0
+        ? [...policy.deniedColumns].sort()
+        : null;
+    const policyVersionHash = policy?.policyVersionHash || null;
+    const sessionId = auth?.sessionId || null;
 
     const requestEnvelope = {
       requestId: payload?.requestId || null,
@@ -121,11 +128,14 @@ export function createReceiptService(
       auth: {
         ok: Boolean(auth?.ok),
         code: auth?.code || null,
-        requester: auth?.requester || null
+        requester: auth?.requester || null,
+        ...(sessionId ? { sessionId } : {})
       },
       policy: {
         allowed: policy ? Boolean(policy.allowed) : null,
-        code: policy?.code || null
+        code: policy?.code || null,
+        ...(deniedColumns ? { deniedColumns } : {}),
+        ...(policyVersionHash ? { versionHash: policyVersionHash } : {})
       },
       execution: {
         ok: execution ? Boolean(execution.ok) : null,
@@ -135,7 +145,8 @@ export function createReceiptService(
           execution?.data?.rows && Array.isArray(execution.data.rows)
             ? hashSha256Hex(stableStringify(execution.data.rows))
             : null
-      }
+      },
+      ...(page ? { page } : {})
     };
 
     const verificationMetadata = buildVerificationMetadata({
@@ -166,6 +177,10 @@ export function createReceiptService(
       requestHash,
       decisionHash,
       verificationHash,
+      ...(page ? { page } : {}),
+      ...(deniedColumns ? { deniedColumns } : {}),
+      ...(policyVersionHash ? { policyVersionHash } : {}),
+      ...(sessionId ? { sessionId } : {}),
       verification: verificationMetadata
     };
   }
@@ -7,8 +7,16 @@ import {
 import { createActionAuthorizationService } from './actionAuthorizationService.js';
 import { createAiDraftStore } from './aiDraftStore.js';
 import { createAuditService } from './auditService.js';
+import { createNonceStoreFromConfig } from './authNonceStore.js';
+import { createDelegationUseStore } from './delegationUseStore.js';
 import { createMigrationRunnerService } from './migrationRunnerService.js';
+import {
+  collectMutationApproval,
+  createPolicyApprovalStore
+} from './policyApprovalStore.js';
 import { createPolicyGrantStore } from './policyGrantStore.js';
+import { createPolicyRoleStore } from './policyRoleStore.js';
+import { createPolicyVersionStore } from './policyVersionStore.js';
 import { createPolicyMutationAuthService } from './policyMutationAuthService.js';
 import { createReceiptService } from './receiptService.js';
 import {
@@ -16,6 +24,7 @@ import {
   createRuntimeAttestationService
 } from './runtimeAttestationService.js';
 import { getRuntimeMetricsService } from './metricsService.js';
+import { diffSchema } from './schemaDiffService.js';
 import { validateAndCompileSchemaDsl } from './schemaDslService.js';
 
 const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
@@ -33,6 +42,14 @@ function normalizeTenantId(rawTenantId) {
   return normalized;
 }
 
+function buildApplyActionPayload(payload) {
+  return {
+    database: payload.database,
+    tables: payload.tables,
+    ...(payload.confirmDestructive === true ? { confirmDestructive: true } : {})
+  };
+}
+
 function containsRawSqlInput(payload) {
   if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
     return false;
@@ -49,8 +66,10 @@ export function createSchemaApplyService({
   migrationRunnerService,
   actionAuthorizationService,
   aiDraftStore,
+  approvalStore = null,
   runtimeAttestationService = createPermissiveRuntimeAttestationService(),
-  metricsService = getRuntimeMetricsService()
+  metricsService = getRuntimeMetricsService(),
+  now = () => new Date().toISOString()
 }) {
   if (!migrationRunnerService) {
     throw new Error('migrationRunnerService is required.');
@@ -139,11 +158,9 @@ export function createSchemaApplyService({
       tenantId,
       actorWallet: payload.actorWallet,
       auth: payload.auth,
+      delegation: payload.delegation ?? null,
       action: 'schema:apply',
-      actionPayload: {
-        database: payload.database,
-        tables: payload.tables
-      },
+      actionPayload: buildApplyActionPayload(payload),
       scopeType: 'database',
       scopeId: '*',
       operation: 'alter'
@@ -177,13 +194,84 @@ export function createSchemaApplyService({
       };
     }
 
+    const { normalizedDsl } = schemaDslResult;
+    const canLoadAppliedSchema = typeof migrationRunnerService.loadAppliedSchema === 'function';
+    const appliedTables = canLoadAppliedSchema
+      ? await migrationRunnerService.loadAppliedSchema({
+          tenantId,
+          databaseName: normalizedDsl.database.name
+        })
+      : [];
+    const appliedNames = new Set(appliedTables.map((table) => table.name));
+    const externalTables = canLoadAppliedSchema
+      ? (await migrationRunnerService.loadAppliedSchema({ tenantId })).filter(
+          (table) => !appliedNames.has(table.name)
+        )
+      : [];
+    const catalog =
+      typeof migrationRunnerService.loadSchemaCatalog === 'function'
+        ? await migrationRunnerService.loadSchemaCatalog({ tenantId })
+        : null;
+    const diffResult = diffSchema(normalizedDsl, appliedTables, externalTables, catalog);
+    if (!diffResult.ok) {
+      return {
+        statusCode: 400,
+        body: {
+          error: 'SCHEMA_CHANGE_NOT_SUPPORTED',
+          message: 'Schema DSL cannot be migrated from the currently applied schema.',
+          details: {
+            issues: diffResult.issues
+          }
+        }
+      };
+    }
+
+    const { migrationPlan } = diffResult;
+    if (migrationPlan.destructiveStepIds.length > 0 && payload.confirmDestructive !== true) {
+      return {
+        statusCode: 409,
+        body: {
+          error: 'DESTRUCTIVE_MIGRATION_NOT_CONFIRMED',
+          message: 'Migration drops tables or columns; resubmit with confirmDestructive: true.',
+          details: {
+            steps: migrationPlan.steps.filter((step) => step.destructive)
+          }
+        }
+      };
+    }
+
+    const approvalResult = await collectMutationApproval({
+      approvalStore,
+      tenantId,
+      action: 'schema:apply',
+      requestId: payload.requestId.trim(),
+      payload: buildApplyActionPayload(payload),
+      actorWallet: authorizationResult.actorWallet,
+      signatureHash: authorizationResult.signatureHash,
+      now
+    });
+    if (!approvalResult.ok) {
+      return approvalResult.response;
+    }
+
+    const grantUses = await actionAuthorizationService.consumeGrantUses({
+      tenantId,
+      authorization: authorizationResult
+    });
+    if (!grantUses.ok) {
+      return {
+        statusCode: grantUses.statusCode,
+        body: grantUses.body
+      };
+    }
+
     const migrationStartMs = Date.now();
     let migrationApply;
     try {
       migrationApply = await migrationRunnerService.applyMigrationPlan({
         tenantId,
-        requestId: schemaDslResult.normalizedDsl.requestId,
-        migrationPlan: schemaDslResult.migrationPlan
+        requestId: normalizedDsl.requestId,
+        migrationPlan
       });
     } finally {
       metricsService.observeDuration(
@@ -214,8 +302,9 @@ export function createSchemaApplyService({
         },
         runtime: runtimeCheck.snapshot || null,
         aiApproval: aiApprovalGate.aiApproval,
+        ...(approvalResult.approval ? { approval: approvalResult.approval } : {}),
         schema: schemaDslResult.schema,
-        migrationPlan: schemaDslResult.migrationPlan,
+        migrationPlan,
         migration: migrationApply.data
       }
     };
@@ -257,7 +346,8 @@ function buildPolicyContext(result) {
 
   return {
     allowed: typeof decision.allowed === 'boolean' ? decision.allowed : null,
-    code: decision.code || null
+    code: decision.code || null,
+    ...(decision.policyVersionHash ? { policyVersionHash: decision.policyVersionHash } : {})
   };
 }
 
@@ -297,24 +387,44 @@ async function buildRuntimeSchemaApplyService() {
   const databaseAdapter = await createDatabaseAdapter(runtimeConfig.database);
   const migrationRunnerService = createMigrationRunnerService({ databaseAdapter });
   const grantStore = createPolicyGrantStore({ databaseAdapter });
+  const roleStore = createPolicyRoleStore({ databaseAdapter });
+  const versionStore = createPolicyVersionStore({ databaseAdapter });
   const aiDraftStore = createAiDraftStore({ databaseAdapter });
+  const approvalStore = createPolicyApprovalStore({ databaseAdapter });
+  const delegationUseStore = createDelegationUseStore({ databaseAdapter });
   await grantStore.ensureInitialized();
+  await roleStore.ensureInitialized();
+  await versionStore.ensureInitialized();
   await aiDraftStore.ensureInitialized();
+  await approvalStore.ensureInitialized();
+  await delegationUseStore.ensureInitialized();
   const runtimeAttestationService = createRuntimeAttestationService(runtimeConfig.proof);
 
-  const mutationAuthService = createPolicyMutationAuthService({
-    ...runtimeConfig.auth,
-    enabled: true
-  });
+  const mutationAuthService = createPolicyMutationAuthService(
+    {
+      ...runtimeConfig.auth,
+      enabled: true
+    },
+    {
+      nonceStore: createNonceStoreFromConfig(runtimeConfig.auth.nonceStore, {
+        databaseAdapter,
+        scope: 'mutation'
+      })
+    }
+  );
 
   return {
     service: createSchemaApplyService({
       migrationRunnerService,
       actionAuthorizationService: createActionAuthorizationService({
         grantStore,
+        roleStore,
+        versionStore,
+        delegationUseStore,
         mutationAuthService
       }),
       aiDraftStore,
+      approvalStore,
       runtimeAttestationService
     }),
     databaseDialect: databaseAdapter.dialect || 'unknown',
@@ -0,0 +1,456 @@
+import { createHash } from 'node:crypto';
+import { SCHEMA_DSL_VERSION } from '@eigen-private-db-agent/shared-types';
+import {
+  buildCreateIndexStep,
+  checkReferenceTarget,
+  compileColumnSql,
+  compileCreateIndexSql,
+  compileCreateTableSql,
+  describeFieldType,
+  orderTablesByReferences
+} from './schemaDslService.js';
+
+export const DESTRUCTIVE_MIGRATION_ACTIONS = Object.freeze(['drop_column', 'drop_table']);
+
+function quoteIdentifier(identifier) {
+  return `"${identifier}"`;
+}
+
+function addIssue(issues, path, code, message) {
+  issues.push({ path, code, message });
+}
+
+// Definitions recorded before primary keys and indexes were tracked only carry the
+// per-field primaryKey flag.
+function resolvePrimaryKey(table) {
+  return Array.isArray(table.primaryKey)
+    ? table.primaryKey
+    : table.fields.filter((field) => field.primaryKey).map((field) => field.name);
+}
+
+function sameColumns(left, right) {
+  return left.length === right.length && left.every((column, index) => column === right[index]);
+}
+
+export function toTableDefinition(table) {
+  return {
+    name: table.name,
+    fields: table.fields
+      .slice()
+      .sort((left, right) => left.position - right.position)
+      .map(({ position, renamedFrom, ...field }) => field),
+    primaryKey: resolvePrimaryKey(table),
+    indexes: (table.indexes || []).map(({ name, fields, unique }) => ({ name, fields, unique }))
+  };
+}
+
+function compileNullabilitySql(engine, table, changedFields) {
+  const tableSql = quoteIdentifier(table.name);
+  if (engine === 'postgres') {
+    return changedFields.map((field) => {
+      const change = field.nullable ? 'DROP NOT NULL' : 'SET NOT NULL';
+      return `ALTER TABLE ${tableSql} ALTER COLUMN ${quoteIdentifier(field.name)} ${change};`;
+    });
+  }
+
+  // SQLite cannot change column constraints in place, so the table is rebuilt from
+  // the target definition and its rows copied across.
+  const rebuildName = `${table.name}__rebuild`;
+  const rebuildSql = quoteIdentifier(rebuildName);
+  const columns = toTableDefinition(table)
+    .fields.map((field) => quoteIdentifier(field.name))
+    .join(', ');
+  return [
+    compileCreateTableSql(engine, { ...table, name: rebuildName }),
+    `INSERT INTO ${rebuildSql} (${columns}) SELECT ${columns} FROM ${tableSql};`,
+    `DROP TABLE ${tableSql};`,
+    `ALTER TABLE ${rebuildSql} RENAME TO ${tableSql};`,
+    ...table.indexes.map((index) => compileCreateIndexSql(table.name, index))
+  ];
+}
+
+function sameDeclaration(left, right) {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+function diffTable(
+  engine,
+  table,
+  appliedTable,
+  { referencedTables, issues, pushStep, claimIndexName, ownsIndex }
+) {
+  const tablePath = `tables[${table.sourceOrder}]`;
+  const appliedFields = new Map(appliedTable.fields.map((field) => [field.name, field]));
+  const consumed = new Set();
+  const renames = [];
+  const additions = [];
+  const nullabilityChanges = [];
+
+  const orderedFields = table.fields.slice().sort((left, right) => left.position - right.position);
+  for (const field of orderedFields) {
+    const fieldPath = `${tablePath}.fields[${field.position}]`;
+    let sourceName = field.name;
+    if (!appliedFields.has(field.name) && field.renamedFrom) {
+      if (!appliedFields.has(field.renamedFrom)) {
+        addIssue(
+          issues,
+          `${fieldPath}.renamedFrom`,
+          'rename_source_missing',
+          `Column '${field.renamedFrom}' does not exist on table '${table.name}'.`
+        );
+        continue;
+      }
+      sourceName = field.renamedFrom;
+      renames.push({ from: field.renamedFrom, to: field.name });
+    }
+
+    const appliedField = appliedFields.get(sourceName);
+    if (!appliedField) {
+      if (!field.nullable && !field.primaryKey && field.default === undefined) {
+        addIssue(
+          issues,
+          `${fieldPath}.nullable`,
+          'not_null_column_requires_default',
+          'Columns added to existing tables must be nullable or have a default.'
+        );
+      }
+      if (engine === 'sqlite' && field.default === 'now()') {
+        addIssue(
+          issues,
+          `${fieldPath}.default`,
+          'unsupported_default',
+          'SQLite cannot add a column with a now() default to an existing table.'
+        );
+      }
+      additions.push(field);
+      continue;
+    }
+
+    consumed.add(sourceName);
+    if (!sameDeclaration(appliedField.references, field.references)) {
+      addIssue(
+        issues,
+        `${fieldPath}.references`,
+        'reference_change_not_supported',
+        'References of existing columns cannot be changed.'
+      );
+    }
+    if (
+      ['default', 'check', 'values'].some(
+        (key) => !sameDeclaration(appliedField[key], field[key])
+      )
+    ) {
+      addIssue(
+        issues,
+        fieldPath,
+        'column_constraint_change_not_supported',
+        'Defaults, checks and enum values of existing columns cannot be changed.'
+      );
+    }
+    if (describeFieldType(appliedField) !== describeFieldType(field)) {
+      const appliedType = describeFieldType(appliedField);
+      addIssue(
+        issues,
+        `${fieldPath}.type`,
+        'column_type_change_not_supported',
+        `Column '${sourceName}' is '${appliedType}'; type changes are not supported.`
+      );
+    }
+    if (appliedField.nullable !== field.nullable) {
+      nullabilityChanges.push(field);
+    }
+  }
+
+  const removals = appliedTable.fields.filter((field) => !consumed.has(field.name));
+  if (engine === 'sqlite') {
+    for (const field of removals.filter((removal) => removal.references)) {
+      addIssue(
+        issues,
+        `${tablePath}.fields`,
+        'reference_change_not_supported',
+        `SQLite cannot drop column '${field.name}' while it references another table.`
+      );
+    }
+    if (nullabilityChanges.length > 0 && referencedTables.has(table.name)) {
+      addIssue(
+        issues,
+        `${tablePath}.fields`,
+        'referenced_table_rebuild_not_supported',
+        `SQLite rebuilds '${table.name}' to change nullability, which other tables reference.`
+      );
+    }
+  }
+
+  const renamedTo = new Map(renames.map((rename) => [rename.from, rename.to]));
+  const toTargetColumns = (columns) => columns.map((column) => renamedTo.get(column) || column);
+
+  if (!sameColumns(toTargetColumns(resolvePrimaryKey(appliedTable)), table.primaryKey)) {
+    addIssue(
+      issues,
+      `${tablePath}.primaryKey`,
+      'primary_key_change_not_supported',
+      'Primary keys of existing tables cannot be changed.'
+    );
+  }
+
+  // Renamed columns carry their indexes along, so an index only changes when its
+  // name, uniqueness or (renamed) columns differ.
+  const targetIndexes = new Map(table.indexes.map((index) => [index.name, index]));
+  const keptIndexNames = new Set();
+  const droppedIndexes = [];
+  for (const appliedIndex of appliedTable.indexes || []) {
+    const targetIndex = targetIndexes.get(appliedIndex.name);
+    if (
+      targetIndex &&
+      targetIndex.unique === appliedIndex.unique &&
+      sameColumns(toTargetColumns(appliedIndex.fields), targetIndex.fields)
+    ) {
+      keptIndexNames.add(appliedIndex.name);
+    } else {
+      droppedIndexes.push(appliedIndex);
+    }
+  }
+
+  for (const index of droppedIndexes.filter((dropped) => ownsIndex(table.name, dropped.name))) {
+    pushStep({
+      action: 'drop_index',
+      description: `Drop index '${index.name}' from '${table.name}'.`,
+      metadata: { tableName: table.name, indexName: index.name },
+      sql: `DROP INDEX IF EXISTS ${quoteIdentifier(index.name)};`
+    });
+  }
+
+  const tableSql = quoteIdentifier(table.name);
+  for (const rename of renames) {
+    const fromSql = quoteIdentifier(rename.from);
+    pushStep({
+      action: 'rename_column',
+      description: `Rename column '${rename.from}' to '${rename.to}' on '${table.name}'.`,
+      metadata: { tableName: table.name, columnName: rename.to, previousName: rename.from },
+      sql: `ALTER TABLE ${tableSql} RENAME COLUMN ${fromSql} TO ${quoteIdentifier(rename.to)};`
+    });
+  }
+
+  for (const field of additions) {
+    const columnSql = compileColumnSql(engine, field);
+    pushStep({
+      action: 'add_column',
+      description: `Add column '${field.name}' to '${table.name}'.`,
+      metadata: { tableName: table.name, columnName: field.name, type: field.type },
+      sql: `ALTER TABLE ${tableSql} ADD COLUMN ${columnSql};`
+    });
+  }
+
+  for (const field of removals) {
+    pushStep({
+      action: 'drop_column',
+      description: `Drop column '${field.name}' from '${table.name}'.`,
+      metadata: { tableName: table.name, columnName: field.name },
+      sql: `ALTER TABLE ${tableSql} DROP COLUMN ${quoteIdentifier(field.name)};`
+    });
+  }
+
+  if (nullabilityChanges.length > 0) {
+    pushStep({
+      action: 'alter_column_nullability',
+      description: `Change nullability of column(s) on '${table.name}'.`,
+      metadata: {
+        tableName: table.name,
+        columns: nullabilityChanges.map((field) => ({
+          columnName: field.name,
+          nullable: field.nullable
+        }))
+      },
+      statements: compileNullabilitySql(engine, table, nullabilityChanges)
+    });
+  }
+
+  for (const index of table.indexes) {
+    if (!keptIndexNames.has(index.name) && claimIndexName(table, index)) {
+      pushStep(buildCreateIndexStep(table.name, index));
+    }
+  }
+}
+
+function checkExternalReferences(targetTables, externalTables, issues) {
+  const targetNames = new Set(targetTables.map((table) => table.name));
+  const externalByName = new Map(externalTables.map((table) => [table.name, table]));
+  for (const table of targetTables) {
+    for (const field of table.fields) {
+      if (!field.references || targetNames.has(field.references.table)) {
+        continue;
+      }
+
+      const path = `tables[${table.sourceOrder}].fields[${field.position}].references`;
+      const externalTable = externalByName.get(field.references.table);
+      const problem = externalTable
+        ? checkReferenceTarget(field, externalTable)
+        : {
+            code: 'unknown_reference_table',
+            message: `Table '${field.references.table}' is not in the DSL or managed by the tenant.`
+          };
+      if (problem) {
+        addIssue(issues, path, problem.code, problem.message);
+      }
+    }
+  }
+}
+
+// Compares the submitted DSL with the tenant's recorded table definitions and emits the
+// steps that move the live schema to the DSL. Tables without a recorded definition are
+// created with IF NOT EXISTS, as before definitions were tracked. externalTables are the
+// tenant's tables in other databases, which references may point at but are never changed.
+// catalog lists the tenant's owned tables and every table and index in the database; when
+// given, the diff refuses to create over tables or index names the tenant does not own and
+// drops only owned tables and indexes.
+export function diffSchema(
+  normalizedDsl,
+  appliedTables = [],
+  externalTables = [],
+  catalog = null
+) {
+  const engine = normalizedDsl.database.engine;
+  const appliedByName = new Map(appliedTables.map((table) => [table.name, table]));
+  const targetTables = orderTablesByReferences(normalizedDsl.tables).orderedTables;
+  const targetNames = new Set(targetTables.map((table) => table.name));
+  const ownedNames = catalog ? new Set(catalog.ownedTables) : null;
+  const existingNames = new Set(catalog?.existingTables || []);
+  const indexTables = new Map(
+    (catalog?.existingIndexes || []).map((index) => [index.name, index.tableName])
+  );
+  const recordedIndexNames = new Set(
+    appliedTables.flatMap((table) => (table.indexes || []).map((index) => index.name))
+  );
+  // Children are dropped before the tables they reference.
+  const droppedTables = orderTablesByReferences(
+    appliedTables.filter(
+      (table) => !targetNames.has(table.name) && (!ownedNames || ownedNames.has(table.name))
+    )
+  )
+    .orderedTables.map((table) => table.name)
+    .reverse();
+  const referencedTables = new Set(
+    [...targetTables, ...externalTables].flatMap((table) =>
+      table.fields
+        .filter((field) => field.references)
+        .map((field) => field.references.table)
+    )
+  );
+
+  const issues = [];
+  checkExternalReferences(targetTables, externalTables, issues);
+  // Index names are global to the database, so IF NOT EXISTS would silently skip an index
+  // whose name is already taken and DROP INDEX would remove someone else's.
+  const claimIndexName = (table, index) => {
+    if (
+      !existingNames.has(index.name) &&
+      (!indexTables.has(index.name) || recordedIndexNames.has(index.name))
+    ) {
+      return true;
+    }
+
+    addIssue(
+      issues,
+      `tables[${table.sourceOrder}].indexes`,
+      'index_name_taken',
+      `Index name '${index.name}' is already used in the database outside the tenant's tables.`
+    );
+    return false;
+  };
+  const ownsIndex = (tableName, indexName) =>
+    !catalog || indexTables.get(indexName) === tableName;
+  let stepCounter = 0;
+  const steps = [
+    {
+      stepId: `step_${String(++stepCounter).padStart(3, '0')}`,
+      action: 'ensure_database',
+      description: `Ensure ${engine} database '${normalizedDsl.database.name}' is available.`,
+      metadata: {
+        databaseName: normalizedDsl.database.name,
+        engine
+      }
+    }
+  ];
+  const pushStep = (step) => {
+    steps.push({
+      stepId: `step_${String(++stepCounter).padStart(3, '0')}`,
+      ...step,
+      ...(DESTRUCTIVE_MIGRATION_ACTIONS.includes(step.action) ? { destructive: true } : {})
+    });
+  };
+
+  for (const table of targetTables) {
+    const appliedTable = appliedByName.get(table.name);
+    if (!appliedTable && existingNames.has(table.name) && !ownedNames.has(table.name)) {
+      addIssue(
+        issues,
+        `tables[${table.sourceOrder}].name`,
+        'table_not_owned',
+        `Table '${table.name}' already exists in the database and is not managed by the tenant.`
+      );
+      continue;
+    }
+
+    if (!appliedTable) {
+      const definition = toTableDefinition(table);
+      pushStep({
+        action: 'create_table',
+        description: `Create table '${table.name}' with ${definition.fields.length} field(s).`,
+        metadata: {
+          tableName: table.name,
+          fields: definition.fields,
+          ...(definition.primaryKey.length > 1 ? { primaryKey: definition.primaryKey } : {})
+        },
+        sql: compileCreateTableSql(engine, table)
+      });
+      table.indexes
+        .filter((index) => claimIndexName(table, index))
+        .forEach((index) => pushStep(buildCreateIndexStep(table.name, index)));
+      continue;
+    }
+
+    diffTable(engine, table, appliedTable, {
+      referencedTables,
+      issues,
+      pushStep,
+      claimIndexName,
+      ownsIndex
+    });
+  }
+
+  for (const tableName of droppedTables) {
+    pushStep({
+      action: 'drop_table',
+      description: `Drop table '${tableName}'.`,
+      metadata: { tableName },
+      sql: `DROP TABLE IF EXISTS ${quoteIdentifier(tableName)};`
+    });
+  }
+
+  if (issues.length > 0) {
+    return { ok: false, issues };
+  }
+
+  const canonicalPlan = {
+    schemaVersion: SCHEMA_DSL_VERSION,
+    engine,
+    databaseName: normalizedDsl.database.name,
+    deterministicOrder:
+      'references_topological+table_name_asc+drop_index_rename_add_drop_alter_create_index',
+    steps,
+    schemaState: {
+      tables: targetTables.map((table) => toTableDefinition(table)),
+      droppedTables
+    }
+  };
+
+  return {
+    ok: true,
+    migrationPlan: {
+      ...canonicalPlan,
+      destructiveStepIds: steps.filter((step) => step.destructive).map((step) => step.stepId),
+      hashAlgorithm: 'sha256',
+      planHash: createHash('sha256').update(JSON.stringify(canonicalPlan)).digest('hex')
+    }
+  };
+}
@@ -1,8 +1,12 @@
 import { createHash } from 'node:crypto';
 import {
   DATABASE_ENGINES,
+  DECIMAL_TYPE_PATTERN,
+  FIELD_CHECK_KEYS,
   FIELD_TYPES,
   IDENTIFIER_PATTERN,
+  MAX_DECIMAL_PRECISION,
+  REFERENCE_ON_DELETE_ACTIONS,
   RESERVED_IDENTIFIERS,
   SCHEMA_DSL_SCHEMA_ID,
   SCHEMA_DSL_VERSION,
@@ -11,6 +15,21 @@ import {
 
 const identifierRegex = new RegExp(IDENTIFIER_PATTERN);
 const walletRegex = new RegExp(WALLET_ADDRESS_PATTERN);
+const decimalTypeRegex = new RegExp(DECIMAL_TYPE_PATTERN);
+const bytes32Regex = /^0x[0-9a-fA-F]{64}$/;
+const byteaRegex = /^0x(?:[0-9a-fA-F]{2})*$/;
+const uuidRegex = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+const dateRegex = /^(\d{4})-(\d{2})-(\d{2})$/;
+const decimalValueRegex = /^([-+]?)(\d+)(?:\.(\d+))?$/;
+const MAX_IDENTIFIER_LENGTH = 63;
+const MAX_ENUM_VALUE_LENGTH = 64;
+const MAX_LISTED_VALUES = 100;
+const MAX_PATTERN_LENGTH = 128;
+const NOW_DEFAULT = 'now()';
+const NUMERIC_FIELD_TYPES = Object.freeze(['integer', 'numeric']);
+const STRING_FIELD_TYPES = Object.freeze(['text', 'enum']);
+// Hex-encoded and formatted string types, stored in their canonical lower-case form.
+const DOMAIN_STRING_TYPES = Object.freeze(['address', 'bytes32', 'uuid', 'date', 'bytea']);
 
 function isObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
@@ -101,28 +120,517 @@ function normalizeDatabase(payload, issues) {
   };
 }
 
-function normalizeField(field, tableIndex, fieldIndex, issues) {
-  const basePath = `tables[${tableIndex}].fields[${fieldIndex}]`;
+function normalizeColumnList(rawList, path, issues) {
+  if (!Array.isArray(rawList) || rawList.length === 0) {
+    addIssue(issues, path, 'required', 'Column list must be a non-empty array.', rawList);
+    return null;
+  }
 
-  if (!isObject(field)) {
-    addIssue(issues, basePath, 'invalid_type', 'Field definition must be an object.', field);
+  const columns = rawList.map((column, index) =>
+    normalizeIdentifier(column, `${path}[${index}]`, issues)
+  );
+  if (columns.some((column) => column === null)) {
     return null;
   }
 
-  const name = normalizeIdentifier(field.name, `${basePath}.name`, issues);
+  if (new Set(columns).size !== columns.length) {
+    addIssue(issues, path, 'duplicate_column', 'Column list must not repeat a column.', rawList);
+    return null;
+  }
+
+  return columns;
+}
+
+function defaultIndexName(prefix, tableName, columns) {
+  const name = `${prefix}_${tableName}_${columns.join('_')}`;
+  if (name.length <= MAX_IDENTIFIER_LENGTH) {
+    return name;
+  }
+
+  const suffix = createHash('sha256').update(name).digest('hex').slice(0, 8);
+  return `${name.slice(0, MAX_IDENTIFIER_LENGTH - suffix.length - 1)}_${suffix}`;
+}
+
+function normalizeIndexes(table, tablePath, tableName, fieldNames, issues) {
+  const indexes = [];
+  const checkColumns = (columns, path) =>
+    columns.every((column) => {
+      if (fieldNames.has(column)) {
+        return true;
+      }
+      addIssue(issues, path, 'unknown_column', `Column '${column}' is not defined on the table.`);
+      return false;
+    });
+
+  if (table.unique !== undefined && !Array.isArray(table.unique)) {
+    addIssue(
+      issues,
+      `${tablePath}.unique`,
+      'invalid_type',
+      'unique must be an array of column lists.'
+    );
+  }
+  (Array.isArray(table.unique) ? table.unique : []).forEach((rawColumns, index) => {
+    const path = `${tablePath}.unique[${index}]`;
+    const columns = normalizeColumnList(rawColumns, path, issues);
+    if (columns && checkColumns(columns, path)) {
+      const name = defaultIndexName('uq', tableName, columns);
+      indexes.push({ name, fields: columns, unique: true });
+    }
+  });
+
+  if (table.indexes !== undefined && !Array.isArray(table.indexes)) {
+    addIssue(issues, `${tablePath}.indexes`, 'invalid_type', 'indexes must be an array.');
+  }
+  (Array.isArray(table.indexes) ? table.indexes : []).forEach((rawIndex, index) => {
+    const path = `${tablePath}.indexes[${index}]`;
+    if (!isObject(rawIndex)) {
+      addIssue(issues, path, 'invalid_type', 'Index definition must be an object.', rawIndex);
+      return;
+    }
+
+    const columns = normalizeColumnList(rawIndex.fields, `${path}.fields`, issues);
+    const unique = Boolean(rawIndex.unique);
+    const name =
+      rawIndex.name === undefined || rawIndex.name === null
+        ? columns && defaultIndexName(unique ? 'uq' : 'idx', tableName, columns)
+        : normalizeIdentifier(rawIndex.name, `${path}.name`, issues);
+    if (columns && name && checkColumns(columns, `${path}.fields`)) {
+      indexes.push({ name, fields: columns, unique });
+    }
+  });
+
+  const definitions = new Set();
+  for (const index of indexes) {
+    const definition = `${index.unique}:${index.fields.join(',')}`;
+    if (definitions.has(definition)) {
+      addIssue(
+        issues,
+        tablePath,
+        'duplicate_index',
+        `Index on (${index.fields.join(', ')}) is declared more than once.`
+      );
+    }
+    definitions.add(definition);
+  }
+
+  return indexes.sort((left, right) => left.name.localeCompare(right.name, 'en'));
+}
+
+function normalizeReference(rawReference, path, issues) {
+  if (!isObject(rawReference)) {
+    addIssue(
+      issues,
+      path,
+      'invalid_type',
+      'references must be an object with table and field.',
+      rawReference
+    );
+    return null;
+  }
+
+  const table = normalizeIdentifier(rawReference.table, `${path}.table`, issues);
+  const field = normalizeIdentifier(rawReference.field, `${path}.field`, issues);
+  const onDelete =
+    rawReference.onDelete === undefined || rawReference.onDelete === null
+      ? 'no_action'
+      : String(rawReference.onDelete).trim().toLowerCase();
+  if (!REFERENCE_ON_DELETE_ACTIONS.includes(onDelete)) {
+    addIssue(
+      issues,
+      `${path}.onDelete`,
+      'unsupported_on_delete',
+      `onDelete must be one of: ${REFERENCE_ON_DELETE_ACTIONS.join(', ')}.`,
+      rawReference.onDelete
+    );
+    return null;
+  }
+
+  return table && field ? { table, field, onDelete } : null;
+}
+
+function isValueOfType(type, value) {
+  switch (type) {
+    case 'text':
+    case 'enum':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isSafeInteger(value);
+    case 'numeric':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'timestamp':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    case 'decimal':
+      return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    default:
+      return DOMAIN_STRING_TYPES.includes(type) ? typeof value === 'string' : true;
+  }
+}
+
+function normalizeDecimalValue(field, value) {
+  const match = decimalValueRegex.exec(typeof value === 'number' ? String(value) : value);
+  if (!match) {
+    return { ok: false, code: 'invalid_decimal', message: 'Value must be a decimal number.' };
+  }
+
+  const [, sign, rawInteger, rawFraction = ''] = match;
+  const integer = rawInteger.replace(/^0+(?=\d)/, '');
+  const fraction = rawFraction.replace(/0+$/, '');
+  if (integer.length > field.precision - field.scale || fraction.length > field.scale) {
+    return {
+      ok: false,
+      code: 'decimal_out_of_range',
+      message: `Value does not fit decimal(${field.precision}, ${field.scale}).`
+    };
+  }
+
+  const negative = sign === '-' && /[1-9]/.test(integer + fraction);
+  return {
+    ok: true,
+    value: `${negative ? '-' : ''}${integer}${fraction ? `.${fraction}` : ''}`
+  };
+}
+
+function isCalendarDate(value) {
+  const match = dateRegex.exec(value);
+  if (!match) {
+    return false;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Canonical form of a value for a domain-typed column; other types pass through unchanged.
+// Nulls are left to the column's NOT NULL constraint.
+export function normalizeFieldValue(field, value) {
+  if (value === null || value === undefined) {
+    return { ok: true, value };
+  }
+
+  if (field.type === 'decimal') {
+    return isValueOfType('decimal', value)
+      ? normalizeDecimalValue(field, value)
+      : { ok: false, code: 'invalid_decimal', message: 'Value must be a decimal number.' };
+  }
 
-  const type = typeof field.type === 'string' ? field.type.trim().toLowerCase() : '';
+  const formats = {
+    address: [walletRegex, 'invalid_address', 'a 0x-prefixed 20-byte hex address'],
+    bytes32: [bytes32Regex, 'invalid_bytes32', 'a 0x-prefixed 32-byte hex string'],
+    uuid: [uuidRegex, 'invalid_uuid', 'a UUID'],
+    date: [{ test: isCalendarDate }, 'invalid_date', 'a calendar date (YYYY-MM-DD)'],
+    bytea: [byteaRegex, 'invalid_bytea', 'a 0x-prefixed hex string of whole bytes']
+  };
+  const format = formats[field.type];
+  if (!format) {
+    return { ok: true, value };
+  }
+
+  const [regex, code, description] = format;
+  if (typeof value !== 'string' || !regex.test(value)) {
+    return { ok: false, code, message: `Value must be ${description}.` };
+  }
+
+  return { ok: true, value: value.toLowerCase() };
+}
+
+export function describeFieldType(field) {
+  return field.type === 'decimal' ? `decimal(${field.precision}, ${field.scale})` : field.type;
+}
+
+function normalizeFieldType(field, basePath, issues) {
+  const rawType = typeof field.type === 'string' ? field.type.trim().toLowerCase() : '';
+  const shorthand = decimalTypeRegex.test(rawType)
+    ? rawType.match(/\d+/g).map(Number)
+    : null;
+  const type = shorthand ? 'decimal' : rawType;
   if (!FIELD_TYPES.includes(type)) {
     addIssue(
       issues,
       `${basePath}.type`,
       'unsupported_field_type',
-      `Field type must be one of: ${FIELD_TYPES.join(', ')}.`,
+      `Field type must be one of: ${FIELD_TYPES.join(', ')}, or decimal(precision, scale).`,
       field.type
     );
+    return { type, valid: false };
+  }
+
+  const hasPrecision = field.precision !== undefined || field.scale !== undefined;
+  if (type !== 'decimal') {
+    if (hasPrecision) {
+      addIssue(
+        issues,
+        basePath,
+        'unexpected_precision',
+        'precision and scale only apply to decimal fields.'
+      );
+    }
+    return { type, valid: true };
+  }
+
+  if (shorthand && hasPrecision) {
+    addIssue(
+      issues,
+      basePath,
+      'invalid_decimal_precision',
+      'Use either decimal(precision, scale) or precision and scale, not both.'
+    );
+    return { type, valid: false };
+  }
+
+  const [precision, scale = 0] = shorthand || [field.precision, field.scale];
+  if (
+    !Number.isInteger(precision) ||
+    precision < 1 ||
+    precision > MAX_DECIMAL_PRECISION ||
+    !Number.isInteger(scale) ||
+    scale < 0 ||
+    scale > precision
+  ) {
+    addIssue(
+      issues,
+      basePath,
+      'invalid_decimal_precision',
+      `Decimal precision must be 1-${MAX_DECIMAL_PRECISION} and scale 0-precision.`,
+      { precision, scale }
+    );
+    return { type, valid: false };
+  }
+
+  return { type, valid: true, precision, scale };
+}
+
+// Check patterns are globs (`*`, `?`, `[a-z]`, `[^0-9]`) so they compile to GLOB on
+// SQLite and an anchored regex on Postgres with the same meaning, without exposing
+// regex backtracking.
+export function globToRegexSource(pattern) {
+  let source = '';
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', index + 2);
+      const body = end === -1 ? '' : pattern.slice(index + 1, end);
+      if (!/^\^?[A-Za-z0-9 _.-]+$/.test(body)) {
+        return null;
+      }
+      source += `[${body}]`;
+      index = end;
+    } else if (char === ']') {
+      return null;
+    } else {
+      source += char.replace(/[\\^$.|+(){}]/g, '\\$&');
+    }
+  }
+
+  try {
+    new RegExp(source, 'su');
+  } catch {
+    return null;
+  }
+
+  return `^${source}$`;
+}
+
+function normalizeEnumValues(field, type, basePath, issues) {
+  if (type !== 'enum') {
+    if (field.values !== undefined) {
+      addIssue(issues, `${basePath}.values`, 'unexpected_values', 'Only enum fields take values.');
+    }
+    return null;
+  }
+
+  const values = field.values;
+  if (
+    !Array.isArray(values) ||
+    values.length === 0 ||
+    values.length > MAX_LISTED_VALUES ||
+    values.some(
+      (value) =>
+        typeof value !== 'string' || value.length === 0 || value.length > MAX_ENUM_VALUE_LENGTH
+    )
+  ) {
+    addIssue(
+      issues,
+      `${basePath}.values`,
+      'invalid_enum_values',
+      `Enum values must be 1-${MAX_LISTED_VALUES} strings of up to ` +
+        `${MAX_ENUM_VALUE_LENGTH} characters.`,
+      values
+    );
+    return null;
+  }
+
+  if (new Set(values).size !== values.length) {
+    addIssue(issues, `${basePath}.values`, 'invalid_enum_values', 'Enum values must be unique.');
+    return null;
+  }
+
+  return values.slice();
+}
+
+function normalizeCheck(rawCheck, type, path, issues) {
+  if (!isObject(rawCheck)) {
+    addIssue(issues, path, 'invalid_type', 'check must be an object.', rawCheck);
+    return null;
+  }
+
+  const check = {};
+  const reject = (key, message) => {
+    addIssue(issues, `${path}.${key}`, 'unsupported_check', message, rawCheck[key]);
+  };
+  for (const key of Object.keys(rawCheck)) {
+    if (!FIELD_CHECK_KEYS.includes(key)) {
+      reject(key, `check supports only: ${FIELD_CHECK_KEYS.join(', ')}.`);
+    }
+  }
+
+  for (const key of ['min', 'max']) {
+    if (rawCheck[key] === undefined) {
+      continue;
+    }
+    if (!NUMERIC_FIELD_TYPES.includes(type)) {
+      reject(key, `${key} applies to integer and numeric fields.`);
+    } else if (typeof rawCheck[key] !== 'number' || !Number.isFinite(rawCheck[key])) {
+      reject(key, `${key} must be a finite number.`);
+    } else {
+      check[key] = rawCheck[key];
+    }
+  }
+  if (check.min !== undefined && check.max !== undefined && check.min > check.max) {
+    reject('max', 'max must not be below min.');
+  }
+
+  if (rawCheck.pattern !== undefined) {
+    const pattern = rawCheck.pattern;
+    if (!STRING_FIELD_TYPES.includes(type)) {
+      reject('pattern', 'pattern applies to text and enum fields.');
+    } else if (
+      typeof pattern !== 'string' ||
+      pattern.length === 0 ||
+      pattern.length > MAX_PATTERN_LENGTH ||
+      !/^[\x20-\x7e]+$/.test(pattern) ||
+      globToRegexSource(pattern) === null
+    ) {
+      reject(
+        'pattern',
+        `pattern must be a glob of up to ${MAX_PATTERN_LENGTH} printable characters.`
+      );
+    } else {
+      check.pattern = pattern;
+    }
+  }
+
+  if (rawCheck.in !== undefined) {
+    const listed = rawCheck.in;
+    if (![...STRING_FIELD_TYPES, ...NUMERIC_FIELD_TYPES].includes(type)) {
+      reject('in', 'in applies to text, enum, integer and numeric fields.');
+    } else if (
+      !Array.isArray(listed) ||
+      listed.length === 0 ||
+      listed.length > MAX_LISTED_VALUES ||
+      listed.some((value) => !isValueOfType(type, value)) ||
+      new Set(listed).size !== listed.length
+    ) {
+      reject('in', `in must list 1-${MAX_LISTED_VALUES} distinct ${type} values.`);
+    } else {
+      check.in = listed.slice();
+    }
+  }
+
+  return Object.keys(check).length > 0 ? check : null;
+}
+
+// Nulls are left to the column's NOT NULL constraint.
+export function checkFieldValue(field, value) {
+  if (value === null || value === undefined) {
+    return [];
   }
 
-  const primaryKey = Boolean(field.primaryKey);
+  const issues = [];
+  const check = field.check || {};
+  if (
+    (field.type === 'enum' || check.pattern !== undefined || check.in !== undefined) &&
+    !isValueOfType(field.type, value)
+  ) {
+    return [{ code: 'invalid_value_type', message: `Value must be a ${field.type} value.` }];
+  }
+  if ((check.min !== undefined || check.max !== undefined) && typeof value !== 'number') {
+    return [{ code: 'invalid_value_type', message: 'Value must be a number.' }];
+  }
+
+  if (field.type === 'enum' && !field.values.includes(value)) {
+    issues.push({
+      code: 'enum_value_not_allowed',
+      message: `Value must be one of: ${field.values.join(', ')}.`
+    });
+  }
+  if (check.min !== undefined && value < check.min) {
+    issues.push({ code: 'check_min', message: `Value must be at least ${check.min}.` });
+  }
+  if (check.max !== undefined && value > check.max) {
+    issues.push({ code: 'check_max', message: `Value must be at most ${check.max}.` });
+  }
+  const patternRegex =
+    check.pattern === undefined ? null : new RegExp(globToRegexSource(check.pattern), 'su');
+  if (patternRegex && !patternRegex.test(value)) {
+    issues.push({ code: 'check_pattern', message: `Value must match '${check.pattern}'.` });
+  }
+  if (check.in !== undefined && !check.in.includes(value)) {
+    issues.push({ code: 'check_in', message: `Value must be one of: ${check.in.join(', ')}.` });
+  }
+
+  return issues;
+}
+
+function normalizeDefault(rawDefault, fieldSpec, path, issues) {
+  if (rawDefault === NOW_DEFAULT && fieldSpec.type === 'timestamp') {
+    return rawDefault;
+  }
+
+  const normalized = normalizeFieldValue(fieldSpec, rawDefault);
+  const valid =
+    normalized.ok &&
+    isValueOfType(fieldSpec.type, rawDefault) &&
+    (fieldSpec.type !== 'jsonb' || JSON.stringify(rawDefault) !== undefined);
+  const problems = valid
+    ? checkFieldValue(fieldSpec, normalized.value)
+    : [
+        {
+          message:
+            normalized.message ||
+            `Default must be a ${fieldSpec.type} literal, or now() for timestamps.`
+        }
+      ];
+  if (problems.length > 0) {
+    addIssue(issues, path, 'invalid_default', problems[0].message, rawDefault);
+    return undefined;
+  }
+
+  return normalized.value;
+}
+
+function normalizeField(field, tableIndex, fieldIndex, issues, tablePrimaryKey = null) {
+  const basePath = `tables[${tableIndex}].fields[${fieldIndex}]`;
+
+  if (!isObject(field)) {
+    addIssue(issues, basePath, 'invalid_type', 'Field definition must be an object.', field);
+    return null;
+  }
+
+  const name = normalizeIdentifier(field.name, `${basePath}.name`, issues);
+
+  const { type, valid: validType, precision, scale } = normalizeFieldType(field, basePath, issues);
+  const decimalSpec = precision !== undefined ? { precision, scale } : {};
+
+  const primaryKey =
+    Boolean(field.primaryKey) || Boolean(name && tablePrimaryKey && tablePrimaryKey.includes(name));
   const nullable = field.nullable === undefined ? !primaryKey : Boolean(field.nullable);
 
   if (primaryKey && nullable) {
@@ -138,16 +646,55 @@ function normalizeField(field, tableIndex, fieldIndex, issues) {
     );
   }
 
-  if (!name || !FIELD_TYPES.includes(type)) {
+  const renamedFrom =
+    field.renamedFrom === undefined || field.renamedFrom === null
+      ? null
+      : normalizeIdentifier(field.renamedFrom, `${basePath}.renamedFrom`, issues);
+
+  const references =
+    field.references === undefined || field.references === null
+      ? null
+      : normalizeReference(field.references, `${basePath}.references`, issues);
+  if (references && references.onDelete === 'set_null' && !nullable) {
+    addIssue(
+      issues,
+      `${basePath}.references.onDelete`,
+      'invalid_constraint',
+      'onDelete set_null requires a nullable field.'
+    );
+  }
+
+  const values = normalizeEnumValues(field, type, basePath, issues);
+  const check =
+    field.check === undefined || field.check === null
+      ? null
+      : normalizeCheck(field.check, type, `${basePath}.check`, issues);
+  const defaultValue =
+    field.default === undefined || field.default === null || !validType
+      ? undefined
+      : normalizeDefault(
+          field.default,
+          { type, ...decimalSpec, ...(values ? { values } : {}), ...(check ? { check } : {}) },
+          `${basePath}.default`,
+          issues
+        );
+
+  if (!name || !validType) {
     return null;
   }
 
   return {
     name,
     type,
+    ...decimalSpec,
     nullable,
     primaryKey,
-    position: fieldIndex
+    ...(values ? { values } : {}),
+    ...(defaultValue !== undefined ? { default: defaultValue } : {}),
+    ...(check ? { check } : {}),
+    position: fieldIndex,
+    ...(references ? { references } : {}),
+    ...(renamedFrom ? { renamedFrom } : {})
   };
 }
 
@@ -180,8 +727,14 @@ function normalizeTables(payload, issues) {
       return;
     }
 
+    const tablePrimaryKey =
+      table.primaryKey === undefined || table.primaryKey === null
+        ? null
+        : normalizeColumnList(table.primaryKey, `${tablePath}.primaryKey`, issues);
     const normalizedFields = table.fields
-      .map((field, fieldIndex) => normalizeField(field, tableIndex, fieldIndex, issues))
+      .map((field, fieldIndex) =>
+        normalizeField(field, tableIndex, fieldIndex, issues, tablePrimaryKey)
+      )
       .filter(Boolean);
 
     if (!tableName || normalizedFields.length === 0) {
@@ -203,19 +756,35 @@ function normalizeTables(payload, issues) {
       fieldNameSet.add(field.name);
     });
 
-    const primaryKeyCount = normalizedFields.filter((field) => field.primaryKey).length;
-    if (primaryKeyCount > 1) {
-      addIssue(
-        issues,
-        `${tablePath}.fields`,
-        'composite_primary_key_not_supported',
-        'Multiple primary key fields are not supported in this milestone.'
-      );
+    const primaryKeyFields = normalizedFields
+      .filter((field) => field.primaryKey)
+      .map((field) => field.name);
+    if (tablePrimaryKey) {
+      for (const column of tablePrimaryKey) {
+        if (!fieldNameSet.has(column)) {
+          addIssue(
+            issues,
+            `${tablePath}.primaryKey`,
+            'unknown_column',
+            `Column '${column}' is not defined on the table.`
+          );
+        }
+      }
+      if (primaryKeyFields.some((fieldName) => !tablePrimaryKey.includes(fieldName))) {
+        addIssue(
+          issues,
+          `${tablePath}.primaryKey`,
+          'conflicting_primary_key',
+          'Fields flagged primaryKey must all be listed in the table primaryKey.'
+        );
+      }
     }
 
     normalizedTables.push({
       name: tableName,
       fields: normalizedFields,
+      primaryKey: tablePrimaryKey || primaryKeyFields,
+      indexes: normalizeIndexes(table, tablePath, tableName, fieldNameSet, issues),
       sourceOrder: tableIndex
     });
   });
@@ -235,18 +804,75 @@ function normalizeTables(payload, issues) {
     tableNameSet.add(table.name);
   });
 
+  // References to tables outside the DSL are resolved against the tenant's managed
+  // tables when the plan is diffed.
+  const tablesByName = new Map(normalizedTables.map((table) => [table.name, table]));
+  normalizedTables.forEach((table) => {
+    table.fields.forEach((field) => {
+      const targetTable = field.references && tablesByName.get(field.references.table);
+      const problem = targetTable && checkReferenceTarget(field, targetTable);
+      if (problem) {
+        addIssue(
+          issues,
+          `tables[${table.sourceOrder}].fields[${field.position}].references`,
+          problem.code,
+          problem.message
+        );
+      }
+    });
+  });
+
+  const { cycleTables } = orderTablesByReferences(normalizedTables);
+  if (cycleTables.length > 0) {
+    addIssue(
+      issues,
+      'tables',
+      'reference_cycle',
+      `Table references form a cycle; cannot order: ${cycleTables.join(', ')}.`
+    );
+  }
+
+  // Postgres keeps tables and indexes in one relation namespace per schema.
+  const relationNames = new Set(tableNameSet);
+  normalizedTables.forEach((table) => {
+    table.indexes.forEach((index) => {
+      if (relationNames.has(index.name)) {
+        addIssue(
+          issues,
+          `tables[${table.sourceOrder}].indexes`,
+          'duplicate_index_name',
+          `Index name '${index.name}' collides with another table or index.`
+        );
+        return;
+      }
+
+      relationNames.add(index.name);
+    });
+  });
+
   return normalizedTables;
 }
 
-function sqlTypeForField(engine, fieldType) {
+// SQLite keeps decimals as TEXT so values beyond double precision survive a round trip.
+export function sqlTypeForField(engine, fieldType, { precision, scale } = {}) {
   if (engine === 'postgres') {
+    if (fieldType === 'decimal') {
+      return `NUMERIC(${precision}, ${scale})`;
+    }
+
     const postgresMap = {
       text: 'TEXT',
       integer: 'INTEGER',
       numeric: 'NUMERIC',
       boolean: 'BOOLEAN',
       timestamp: 'TIMESTAMPTZ',
-      jsonb: 'JSONB'
+      jsonb: 'JSONB',
+      enum: 'TEXT',
+      address: 'TEXT',
+      bytes32: 'TEXT',
+      uuid: 'UUID',
+      date: 'DATE',
+      bytea: 'BYTEA'
     };
 
     return postgresMap[fieldType];
@@ -258,31 +884,222 @@ function sqlTypeForField(engine, fieldType) {
     numeric: 'NUMERIC',
     boolean: 'INTEGER',
     timestamp: 'TEXT',
-    jsonb: 'TEXT'
+    jsonb: 'TEXT',
+    enum: 'TEXT',
+    address: 'TEXT',
+    bytes32: 'TEXT',
+    uuid: 'TEXT',
+    date: 'TEXT',
+    bytea: 'BLOB',
+    decimal: 'TEXT'
   };
 
   return sqliteMap[fieldType];
 }
 
-function compileCreateTableSql(engine, table) {
+function resolvePrimaryKey(table) {
+  return Array.isArray(table.primaryKey)
+    ? table.primaryKey
+    : table.fields.filter((field) => field.primaryKey).map((field) => field.name);
+}
+
+// A foreign key target must be unique on its own: the table's only primary key column
+// or a single-column unique index.
+export function checkReferenceTarget(field, targetTable) {
+  const { table, field: targetFieldName } = field.references;
+  const targetField = targetTable.fields.find((candidate) => candidate.name === targetFieldName);
+  if (!targetField) {
+    return {
+      code: 'unknown_reference_field',
+      message: `Column '${targetFieldName}' does not exist on table '${table}'.`
+    };
+  }
+
+  const fieldType = describeFieldType(field);
+  const targetType = describeFieldType(targetField);
+  if (targetType !== fieldType) {
+    return {
+      code: 'reference_type_mismatch',
+      message: `Column '${table}.${targetFieldName}' is '${targetType}', not '${fieldType}'.`
+    };
+  }
+
+  const primaryKey = resolvePrimaryKey(targetTable);
+  const uniqueTarget =
+    (primaryKey.length === 1 && primaryKey[0] === targetFieldName) ||
+    (targetTable.indexes || []).some(
+      (index) => index.unique && index.fields.length === 1 && index.fields[0] === targetFieldName
+    );
+  if (!uniqueTarget) {
+    return {
+      code: 'reference_target_not_unique',
+      message: `Column '${table}.${targetFieldName}' must be the primary key or uniquely indexed.`
+    };
+  }
+
+  return null;
+}
+
+// Parents before children, ties broken by table name. Self-references do not constrain
+// the order; tables left over sit on or behind a reference cycle.
+export function orderTablesByReferences(tables) {
+  const tableNames = new Set(tables.map((table) => table.name));
+  const dependencies = new Map(
+    tables.map((table) => [
+      table.name,
+      table.fields
+        .filter((field) => field.references && field.references.table !== table.name)
+        .map((field) => field.references.table)
+        .filter((tableName) => tableNames.has(tableName))
+    ])
+  );
+  const remaining = tables
+    .slice()
+    .sort((left, right) => left.name.localeCompare(right.name, 'en'));
+  const placed = new Set();
+  const orderedTables = [];
+
+  while (remaining.length > 0) {
+    const nextIndex = remaining.findIndex((table) =>
+      dependencies.get(table.name).every((tableName) => placed.has(tableName))
+    );
+    if (nextIndex === -1) {
+      break;
+    }
+
+    const [nextTable] = remaining.splice(nextIndex, 1);
+    placed.add(nextTable.name);
+    orderedTables.push(nextTable);
+  }
+
+  return {
+    orderedTables,
+    cycleTables: remaining.map((table) => table.name)
+  };
+}
+
+export function compileReferenceSql(references) {
+  const onDelete = references.onDelete.replace('_', ' ').toUpperCase();
+  return `REFERENCES "${references.table}" ("${references.field}") ON DELETE ${onDelete}`;
+}
+
+function compileLiteral(engine, type, value) {
+  const quote = (text) => `'${text.replace(/'/g, "''")}'`;
+  if (type === 'jsonb') {
+    return engine === 'postgres'
+      ? `${quote(JSON.stringify(value))}::jsonb`
+      : quote(JSON.stringify(value));
+  }
+  if (type === 'bytea') {
+    const hex = value.slice(2);
+    return engine === 'postgres' ? `decode('${hex}', 'hex')` : `X'${hex}'`;
+  }
+  if (typeof value === 'boolean') {
+    if (engine === 'postgres') {
+      return value ? 'TRUE' : 'FALSE';
+    }
+    return value ? '1' : '0';
+  }
+
+  return typeof value === 'number' ? String(value) : quote(value);
+}
+
+function compileDefaultSql(engine, field) {
+  if (field.type === 'timestamp' && field.default === NOW_DEFAULT) {
+    // Matches the ISO-8601 strings the API writes into SQLite TEXT timestamps.
+    return engine === 'postgres' ? 'now()' : "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+  }
+
+  return compileLiteral(engine, field.type, field.default);
+}
+
+function compileCheckSql(engine, field) {
+  const column = `"${field.name}"`;
+  const check = field.check || {};
+  const listSql = (values) =>
+    values.map((value) => compileLiteral(engine, field.type, value)).join(', ');
+  const conditions = [
+    ...(field.type === 'enum' ? [`${column} IN (${listSql(field.values)})`] : []),
+    ...(check.min !== undefined ? [`${column} >= ${check.min}`] : []),
+    ...(check.max !== undefined ? [`${column} <= ${check.max}`] : []),
+    ...(check.in !== undefined ? [`${column} IN (${listSql(check.in)})`] : [])
+  ];
+  if (check.pattern !== undefined) {
+    conditions.push(
+      engine === 'postgres'
+        ? `${column} ~ ${compileLiteral(engine, 'text', globToRegexSource(check.pattern))}`
+        : `${column} GLOB ${compileLiteral(engine, 'text', check.pattern)}`
+    );
+  }
+
+  return conditions.length > 0 ? `CHECK (${conditions.join(' AND ')})` : null;
+}
+
+export function compileColumnSql(engine, field, { inlinePrimaryKey = field.primaryKey } = {}) {
+  const parts = [`"${field.name}"`, sqlTypeForField(engine, field.type, field)];
+
+  if (inlinePrimaryKey) {
+    parts.push('PRIMARY KEY');
+  }
+
+  if (!field.nullable || field.primaryKey) {
+    parts.push('NOT NULL');
+  }
+
+  if (field.default !== undefined) {
+    parts.push(`DEFAULT ${compileDefaultSql(engine, field)}`);
+  }
+
+  const checkSql = compileCheckSql(engine, field);
+  if (checkSql) {
+    parts.push(checkSql);
+  }
+
+  if (field.references) {
+    parts.push(compileReferenceSql(field.references));
+  }
+
+  return parts.join(' ');
+}
+
+export function compileCreateTableSql(engine, table) {
+  const compositePrimaryKey = resolvePrimaryKey(table).length > 1;
   const columnLines = table.fields
     .slice()
     .sort((a, b) => a.position - b.position)
-    .map((field) => {
-      const parts = [`"${field.name}"`, sqlTypeForField(engine, field.type)];
+    .map(
+      (field) =>
+        `  ${compileColumnSql(engine, field, {
+          inlinePrimaryKey: field.primaryKey && !compositePrimaryKey
+        })}`
+    );
 
-      if (field.primaryKey) {
-        parts.push('PRIMARY KEY');
-      }
+  if (compositePrimaryKey) {
+    const keyColumns = resolvePrimaryKey(table).map((column) => `"${column}"`);
+    columnLines.push(`  PRIMARY KEY (${keyColumns.join(', ')})`);
+  }
 
-      if (!field.nullable || field.primaryKey) {
-        parts.push('NOT NULL');
-      }
+  return `CREATE TABLE IF NOT EXISTS "${table.name}" (\n${columnLines.join(',\n')}\n);`;
+}
 
-      return `  ${parts.join(' ')}`;
-    });
+export function compileCreateIndexSql(tableName, index) {
+  const columns = index.fields.map((column) => `"${column}"`).join(', ');
+  const indexKind = index.unique ? 'UNIQUE INDEX' : 'INDEX';
+  return `CREATE ${indexKind} IF NOT EXISTS "${index.name}" ON "${tableName}" (${columns});`;
+}
 
-  return `CREATE TABLE IF NOT EXISTS "${table.name}" (\n${columnLines.join(',\n')}\n);`;
+export function buildCreateIndexStep(tableName, index) {
+  return {
+    action: 'create_index',
+    description: `Create ${index.unique ? 'unique ' : ''}index '${index.name}' on '${tableName}'.`,
+    metadata: {
+      tableName,
+      indexName: index.name,
+      fields: index.fields,
+      unique: index.unique
+    },
+    sql: compileCreateIndexSql(tableName, index)
+  };
 }
 
 function buildPlanHash(plan) {
@@ -352,9 +1169,7 @@ export function validateSchemaDsl(payload) {
 }
 
 export function compileMigrationPlan(normalizedDsl) {
-  const orderedTables = normalizedDsl.tables
-    .slice()
-    .sort((left, right) => left.name.localeCompare(right.name, 'en'));
+  const { orderedTables } = orderTablesByReferences(normalizedDsl.tables);
 
   let stepCounter = 0;
   const nextStepId = () => `step_${String(++stepCounter).padStart(3, '0')}`;
@@ -375,7 +1190,7 @@ export function compileMigrationPlan(normalizedDsl) {
     const orderedFields = table.fields
       .slice()
       .sort((left, right) => left.position - right.position)
-      .map(({ position, ...field }) => field);
+      .map(({ position, renamedFrom, ...field }) => field);
 
     steps.push({
       stepId: nextStepId(),
@@ -383,17 +1198,22 @@ export function compileMigrationPlan(normalizedDsl) {
       description: `Create table '${table.name}' with ${orderedFields.length} field(s).`,
       metadata: {
         tableName: table.name,
-        fields: orderedFields
+        fields: orderedFields,
+        ...(table.primaryKey.length > 1 ? { primaryKey: table.primaryKey } : {})
       },
       sql: compileCreateTableSql(normalizedDsl.database.engine, table)
     });
+
+    table.indexes.forEach((index) => {
+      steps.push({ stepId: nextStepId(), ...buildCreateIndexStep(table.name, index) });
+    });
   });
 
   const canonicalPlan = {
     schemaVersion: SCHEMA_DSL_VERSION,
     engine: normalizedDsl.database.engine,
     databaseName: normalizedDsl.database.name,
-    deterministicOrder: 'table_name_asc+field_position_asc',
+    deterministicOrder: 'references_topological+table_name_asc+field_position_asc',
     steps
   };
 
@@ -0,0 +1,183 @@
+import { getAddress, isAddress } from 'ethers';
+
+export const SIWE_TENANT_RESOURCE_PREFIX = 'urn:private-db-agent:tenant:';
+export const SIWE_CAPABILITY_RESOURCE_PREFIX = 'urn:private-db-agent:capability:';
+
+const HEADER_PATTERN =
+  /^(?:[a-z][a-z0-9+.-]*:\/\/)?(\S+) wants you to sign in with your Ethereum account:$/i;
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/;
+const FIELD_KEYS = Object.freeze({
+  URI: 'uri',
+  Version: 'version',
+  'Chain ID': 'chainId',
+  Nonce: 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+});
+const TIMESTAMP_FIELDS = ['issuedAt', 'expirationTime', 'notBefore'];
+
+function parseFailure(message) {
+  return { ok: false, message };
+}
+
+// EIP-4361 text format. The statement is optional; when absent the message carries two
+// blank lines between the address and the URI field.
+export function parseSiweMessage(rawMessage) {
+  if (typeof rawMessage !== 'string' || rawMessage.length === 0) {
+    return parseFailure('message must be a non-empty EIP-4361 string.');
+  }
+
+  const lines = rawMessage.replace(/\r\n/g, '\n').split('\n');
+  const header = HEADER_PATTERN.exec(lines[0] || '');
+  if (!header) {
+    return parseFailure(
+      'message header must be "<domain> wants you to sign in with your Ethereum account:".'
+    );
+  }
+
+  const address = lines[1] || '';
+  if (!isAddress(address)) {
+    return parseFailure('message address line must be a valid EVM address.');
+  }
+
+  if (lines[2] !== '') {
+    return parseFailure('message address must be followed by a blank line.');
+  }
+
+  let cursor = 3;
+  let statement = null;
+  if (lines[cursor] !== '') {
+    statement = lines[cursor];
+    cursor += 1;
+    if (lines[cursor] !== '') {
+      return parseFailure('message statement must be a single line followed by a blank line.');
+    }
+  }
+  cursor += 1;
+
+  const fields = {};
+  const resources = [];
+  for (; cursor < lines.length; cursor += 1) {
+    const line = lines[cursor];
+    if (line === '' && cursor === lines.length - 1) {
+      break;
+    }
+
+    if (line === 'Resources:') {
+      for (cursor += 1; cursor < lines.length && lines[cursor].startsWith('- '); cursor += 1) {
+        resources.push(lines[cursor].slice(2));
+      }
+      if (cursor < lines.length && !(lines[cursor] === '' && cursor === lines.length - 1)) {
+        return parseFailure('Resources must be the last section of the message.');
+      }
+      break;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = separator > 0 ? FIELD_KEYS[line.slice(0, separator)] : null;
+    if (!key || fields[key] !== undefined) {
+      return parseFailure(`Unexpected message line '${line}'.`);
+    }
+    fields[key] = line.slice(separator + 2);
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (fields[required] === undefined) {
+      return parseFailure(`message is missing required field '${required}'.`);
+    }
+  }
+
+  if (fields.version !== '1') {
+    return parseFailure('message Version must be 1.');
+  }
+
+  const chainId = Number.parseInt(fields.chainId, 10);
+  if (!Number.isSafeInteger(chainId) || chainId < 1 || String(chainId) !== fields.chainId) {
+    return parseFailure('message Chain ID must be a positive integer.');
+  }
+
+  if (!NONCE_PATTERN.test(fields.nonce)) {
+    return parseFailure('message Nonce must be at least 8 alphanumeric characters.');
+  }
+
+  for (const field of TIMESTAMP_FIELDS) {
+    if (fields[field] !== undefined && !Number.isFinite(Date.parse(fields[field]))) {
+      return parseFailure(`message ${field} must be an ISO-8601 timestamp.`);
+    }
+  }
+
+  return {
+    ok: true,
+    message: {
+      domain: header[1],
+      address: getAddress(address),
+      statement,
+      uri: fields.uri,
+      version: fields.version,
+      chainId,
+      nonce: fields.nonce,
+      issuedAt: fields.issuedAt,
+      expirationTime: fields.expirationTime || null,
+      notBefore: fields.notBefore || null,
+      requestId: fields.requestId || null,
+      resources
+    }
+  };
+}
+
+export function buildSiweMessage({
+  domain,
+  address,
+  statement = null,
+  uri,
+  version = '1',
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime = null,
+  notBefore = null,
+  requestId = null,
+  resources = []
+}) {
+  const lines = [`${domain} wants you to sign in with your Ethereum account:`, address, ''];
+  if (statement) {
+    lines.push(statement);
+  }
+  lines.push('', `URI: ${uri}`, `Version: ${version}`, `Chain ID: ${chainId}`);
+  lines.push(`Nonce: ${nonce}`, `Issued At: ${issuedAt}`);
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+  if (notBefore) {
+    lines.push(`Not Before: ${notBefore}`);
+  }
+  if (requestId) {
+    lines.push(`Request ID: ${requestId}`);
+  }
+  if (resources.length > 0) {
+    lines.push('Resources:', ...resources.map((resource) => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+}
+
+// Session scope travels in the signed Resources list so it cannot be widened after the
+// wallet signs: exactly one tenant URN and any number of capability URNs.
+export function resolveSiweSessionScope(resources) {
+  const tenantIds = [];
+  const capabilities = [];
+  for (const resource of resources) {
+    if (resource.startsWith(SIWE_TENANT_RESOURCE_PREFIX)) {
+      tenantIds.push(resource.slice(SIWE_TENANT_RESOURCE_PREFIX.length));
+    } else if (resource.startsWith(SIWE_CAPABILITY_RESOURCE_PREFIX)) {
+      capabilities.push(resource.slice(SIWE_CAPABILITY_RESOURCE_PREFIX.length));
+    }
+  }
+
+  return {
+    tenantIds,
+    capabilities: [...new Set(capabilities)].sort()
+  };
+}
@@ -1,8 +1,13 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { createHash, createHmac } from 'node:crypto';
-import { Wallet } from 'ethers';
+import { createHash, createHmac, generateKeyPairSync, sign as signBytes } from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { hashMessage, Wallet } from 'ethers';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
 import { buildA2aSigningMessage, createA2aAuthService } from '../src/services/a2aAuthService.js';
+import { createA2aSignerKeyStore } from '../src/services/a2aSignerKeyStore.js';
 
 const sharedSecret = 'test-shared-secret';
 
@@ -332,3 +337,180 @@ test('a2a auth rejects evm mode when signer registry entry is missing', async ()
   assert.equal(result.ok, false);
   assert.equal(result.code, 'A2A_SIGNER_NOT_CONFIGURED');
 });
+
+function createEd25519Identity() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  return {
+    publicKey: publicKey.export({ format: 'jwk' }).x,
+    sign: (message) => signBytes(null, Buffer.from(message), privateKey).toString('base64')
+  };
+}
+
+function ed25519Request(identity, { agentId = 'agent-ed', nonce, body = { taskType: 'x' } }) {
+  const timestamp = '2026-02-18T00:00:00.000Z';
+  const message = buildA2aSigningMessage({
+    agentId,
+    method: 'POST',
+    path: '/v1/a2a/tasks',
+    timestamp,
+    nonce,
+    correlationId: null,
+    idempotencyKey: null,
+    payloadHash: payloadHash(body)
+  });
+
+  return {
+    method: 'POST',
+    path: '/v1/a2a/tasks',
+    headers: {
+      'x-agent-id': agentId,
+      'x-agent-timestamp': timestamp,
+      'x-agent-nonce': nonce,
+      'x-agent-signature': identity.sign(message)
+    },
+    body
+  };
+}
+
+test('a2a auth verifies ed25519 signatures against configured public keys', async () => {
+  const identity = createEd25519Identity();
+  const service = createA2aAuthService(
+    {
+      enabled: true,
+      signatureScheme: 'ed25519',
+      agentSignerRegistry: { 'agent-ed': identity.publicKey }
+    },
+    { now: () => Date.parse('2026-02-18T00:00:10.000Z') }
+  );
+
+  const accepted = await service.authenticate(ed25519Request(identity, { nonce: 'nonce-ed-1' }));
+  assert.equal(accepted.ok, true);
+  assert.equal(accepted.signatureScheme, 'ed25519');
+
+  const forged = await service.authenticate(
+    ed25519Request(createEd25519Identity(), { nonce: 'nonce-ed-2' })
+  );
+  assert.equal(forged.code, 'A2A_SIGNATURE_MISMATCH');
+
+  const unknownAgent = await service.authenticate(
+    ed25519Request(identity, { agentId: 'agent-other', nonce: 'nonce-ed-3' })
+  );
+  assert.equal(unknownAgent.code, 'A2A_SIGNER_NOT_CONFIGURED');
+  assert.deepEqual(service.getAuthMetadata().supportedSchemes, ['ed25519']);
+});
+
+test('a2a auth rotates between overlapping keys in the persistent signer registry', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-a2a-keys-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'keys.sqlite') });
+  const signerKeyStore = createA2aSignerKeyStore({ databaseAdapter: adapter });
+  const clock = { ms: Date.parse('2026-02-18T00:00:10.000Z') };
+  const service = createA2aAuthService(
+    { enabled: true, sharedSecret, nonceTtlSeconds: 172_800 },
+    { signerKeyStore, now: () => clock.ms }
+  );
+  const oldIdentity = createEd25519Identity();
+  const newIdentity = createEd25519Identity();
+  const evmWallet = Wallet.createRandom();
+
+  try {
+    const oldKey = await signerKeyStore.registerKey({
+      agentId: 'agent-ed',
+      scheme: 'ed25519',
+      publicKey: Buffer.from(oldIdentity.publicKey, 'base64url').toString('hex'),
+      validFrom: '2026-02-17T00:00:00.000Z',
+      validUntil: '2026-02-19T00:00:00.000Z',
+      createdBy: 'orchestrator',
+      createdAt: '2026-02-17T00:00:00.000Z'
+    });
+    await signerKeyStore.registerKey({
+      agentId: 'agent-ed',
+      scheme: 'ed25519',
+      publicKey: Buffer.from(newIdentity.publicKey, 'base64url').toString('hex'),
+      validFrom: '2026-02-18T00:00:00.000Z',
+      createdBy: 'orchestrator',
+      createdAt: '2026-02-17T00:00:00.000Z'
+    });
+
+    const viaOld = await service.authenticate(ed25519Request(oldIdentity, { nonce: 'n-1' }));
+    assert.equal(viaOld.ok, true);
+    assert.equal(viaOld.keyId, oldKey.keyId);
+    const viaNew = await service.authenticate(ed25519Request(newIdentity, { nonce: 'n-2' }));
+    assert.equal(viaNew.ok, true);
+
+    const hmacHeaders = buildSignedHeaders({ agentId: 'agent-ed', nonce: 'n-3' });
+    const hmacFallback = await service.authenticate({
+      method: 'POST',
+      path: '/v1/a2a/tasks',
+      headers: hmacHeaders,
+      body: {},
+      correlationId: 'corr-1',
+      idempotencyKey: 'idem-1'
+    });
+    assert.equal(hmacFallback.code, 'A2A_SIGNATURE_MISMATCH');
+
+    clock.ms = Date.parse('2026-02-19T00:00:10.000Z');
+    const expired = await service.authenticate(ed25519Request(oldIdentity, { nonce: 'n-4' }));
+    assert.equal(expired.code, 'A2A_SIGNATURE_MISMATCH');
+
+    const lapsedKey = await signerKeyStore.registerKey({
+      agentId: 'agent-lapsed',
+      scheme: 'ed25519',
+      publicKey: Buffer.from(oldIdentity.publicKey, 'base64url').toString('hex'),
+      validFrom: '2026-02-17T00:00:00.000Z',
+      validUntil: '2026-02-18T00:00:00.000Z',
+      createdBy: 'orchestrator',
+      createdAt: '2026-02-17T00:00:00.000Z'
+    });
+    const lapsedHmac = await service.authenticate({
+      method: 'POST',
+      path: '/v1/a2a/tasks',
+      headers: buildSignedHeaders({
+        agentId: 'agent-lapsed',
+        nonce: 'n-lapsed',
+        timestamp: '2026-02-19T00:00:10.000Z',
+        correlationId: 'corr-2',
+        idempotencyKey: 'idem-2'
+      }),
+      body: {},
+      correlationId: 'corr-2',
+      idempotencyKey: 'idem-2'
+    });
+    assert.equal(lapsedHmac.code, 'A2A_SIGNER_KEY_INACTIVE');
+    assert.deepEqual(lapsedHmac.details.keyIds, [lapsedKey.keyId]);
+
+    const unenrolledHmac = await service.authenticate({
+      method: 'POST',
+      path: '/v1/a2a/tasks',
+      headers: buildSignedHeaders({
+        agentId: 'agent-unenrolled',
+        nonce: 'n-unenrolled',
+        timestamp: '2026-02-19T00:00:10.000Z',
+        correlationId: 'corr-3',
+        idempotencyKey: 'idem-3'
+      }),
+      body: {},
+      correlationId: 'corr-3',
+      idempotencyKey: 'idem-3'
+    });
+    assert.equal(unenrolledHmac.ok, true);
+
+    await signerKeyStore.registerKey({
+      agentId: 'agent-evm',
+      scheme: 'evm-personal-sign',
+      publicKey: evmWallet.address.toLowerCase(),
+      validFrom: '2026-02-17T00:00:00.000Z',
+      createdBy: 'orchestrator',
+      createdAt: '2026-02-17T00:00:00.000Z'
+    });
+    const evmRequest = ed25519Request(
+      { sign: (message) => evmWallet.signingKey.sign(hashMessage(message)).serialized },
+      { agentId: 'agent-evm', nonce: 'n-5' }
+    );
+    const viaEvm = await service.authenticate(evmRequest);
+    assert.equal(viaEvm.signatureScheme, 'evm-personal-sign');
+    assert.equal(viaEvm.signerAddress, evmWallet.address.toLowerCase());
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,224 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { X509Certificate } from 'node:crypto';
+import fs from 'node:fs';
+import https from 'node:https';
+import os from 'node:os';
+import path from 'node:path';
+import { createA2aAuthService, describePeerCertificate } from '../src/services/a2aAuthService.js';
+
+const CLIENT_SUBJECT = '/O=Private DB Agent Test/CN=agent-alpha';
+
+function hasOpenssl() {
+  try {
+    execFileSync('openssl', ['version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const skip = hasOpenssl() ? false : 'openssl is required to generate test certificates';
+
+function openssl(cwd, args) {
+  execFileSync('openssl', args, { cwd, stdio: 'ignore' });
+}
+
+function createKeyPair(cwd, name, subject) {
+  openssl(cwd, ['ecparam', '-name', 'prime256v1', '-genkey', '-noout', '-out', `${name}.key`]);
+  openssl(cwd, ['req', '-new', '-key', `${name}.key`, '-subj', subject, '-out', `${name}.csr`]);
+}
+
+function selfSign(cwd, name, subject) {
+  openssl(cwd, [
+    'req',
+    '-x509',
+    '-newkey',
+    'ec',
+    '-pkeyopt',
+    'ec_paramgen_curve:prime256v1',
+    '-nodes',
+    '-days',
+    '1',
+    '-subj',
+    subject,
+    '-keyout',
+    `${name}.key`,
+    '-out',
+    `${name}.crt`
+  ]);
+}
+
+function issue(cwd, name, subject, extensions = null) {
+  createKeyPair(cwd, name, subject);
+  if (extensions) {
+    fs.writeFileSync(path.join(cwd, `${name}.ext`), extensions);
+  }
+  openssl(cwd, [
+    'x509',
+    '-req',
+    '-in',
+    `${name}.csr`,
+    '-CA',
+    'ca.crt',
+    '-CAkey',
+    'ca.key',
+    '-CAcreateserial',
+    '-days',
+    '1',
+    '-out',
+    `${name}.crt`,
+    ...(extensions ? ['-extfile', `${name}.ext`] : [])
+  ]);
+}
+
+// Throwaway CA with a server certificate, a client certificate it issued and a
+// self-signed client certificate carrying the same subject.
+function createCertificateFixture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'private-db-agent-mtls-'));
+  selfSign(dir, 'ca', '/CN=Private DB Agent Test CA');
+  issue(dir, 'server', '/CN=localhost', 'subjectAltName=DNS:localhost,IP:127.0.0.1\n');
+  issue(dir, 'client', CLIENT_SUBJECT);
+  selfSign(dir, 'rogue', CLIENT_SUBJECT);
+
+  const read = (fileName) => fs.readFileSync(path.join(dir, fileName));
+  return {
+    dir,
+    ca: read('ca.crt'),
+    client: { key: read('client.key'), cert: read('client.crt') },
+    rogue: { key: read('rogue.key'), cert: read('rogue.crt') }
+  };
+}
+
+function request(port, ca, { method = 'GET', path: requestPath, headers = {}, body, client }) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(
+      {
+        host: '127.0.0.1',
+        servername: 'localhost',
+        port,
+        method,
+        path: requestPath,
+        ca,
+        agent: false,
+        headers: { 'content-type': 'application/json', ...headers },
+        ...(client || {})
+      },
+      (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          raw += chunk;
+        });
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(raw) }));
+      }
+    );
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+test('a2a auth maps peer certificates to agents by SPKI or subject', { skip }, async () => {
+  const fixture = createCertificateFixture();
+  try {
+    const clientCertificate = new X509Certificate(fixture.client.cert);
+    const rogueCertificate = new X509Certificate(fixture.rogue.cert);
+    const clientIdentity = describePeerCertificate(clientCertificate);
+    assert.equal(clientIdentity.subject, 'O=Private DB Agent Test,CN=agent-alpha');
+
+    const bySpki = createA2aAuthService({
+      sharedSecret: 'secret',
+      mtls: { spkiAgentMap: { [clientIdentity.spkiSha256.toUpperCase()]: 'Agent-Alpha' } }
+    });
+    const accepted = await bySpki.authenticate({
+      method: 'GET',
+      path: '/v1/a2a/tasks',
+      headers: {},
+      peerCertificate: clientCertificate
+    });
+    assert.equal(accepted.ok, true);
+    assert.equal(accepted.agentId, 'agent-alpha');
+    assert.equal(accepted.signatureScheme, 'mtls');
+    assert.deepEqual(accepted.certificate, clientIdentity);
+    assert.ok(bySpki.getAuthMetadata().supportedSchemes.includes('mtls'));
+
+    // Same subject, different key: an SPKI pin does not match it.
+    const unpinned = await bySpki.authenticate({
+      method: 'GET',
+      path: '/v1/a2a/tasks',
+      headers: { 'x-agent-id': 'agent-alpha' },
+      peerCertificate: rogueCertificate
+    });
+    assert.equal(unpinned.code, 'A2A_MISSING_SIGNATURE');
+
+    const bySubject = createA2aAuthService({
+      sharedSecret: 'secret',
+      mtls: { subjectAgentMap: { 'O=Private DB Agent Test, CN=agent-alpha': 'agent-alpha' } }
+    });
+    const mismatch = await bySubject.authenticate({
+      method: 'GET',
+      path: '/v1/a2a/tasks',
+      headers: { 'x-agent-id': 'agent-beta' },
+      peerCertificate: clientCertificate
+    });
+    assert.equal(mismatch.code, 'A2A_AGENT_ID_MISMATCH');
+  } finally {
+    fs.rmSync(fixture.dir, { recursive: true, force: true });
+  }
+});
+
+test('mTLS listener authenticates agents by CA-issued client certificate', { skip }, async () => {
+  const fixture = createCertificateFixture();
+  Object.assign(process.env, {
+    LOG_LEVEL: 'error',
+    SQLITE_FILE_PATH: path.join(fixture.dir, 'mtls.sqlite'),
+    AUTH_NONCE_STORE: 'memory',
+    A2A_SHARED_SECRET: 'secret',
+    A2A_TASK_ALLOWLIST_JSON: JSON.stringify({ 'agent-alpha': ['policy.preview-decision'] }),
+    A2A_MTLS_KEY_PATH: path.join(fixture.dir, 'server.key'),
+    A2A_MTLS_CERT_PATH: path.join(fixture.dir, 'server.crt'),
+    A2A_MTLS_CA_PATH: path.join(fixture.dir, 'ca.crt'),
+    A2A_MTLS_SUBJECT_AGENTS_JSON: JSON.stringify({
+      'O=Private DB Agent Test,CN=agent-alpha': 'agent-alpha'
+    })
+  });
+  const { loadConfig } = await import('../src/config.js');
+  const { createMtlsServer } = await import('../src/server.js');
+  const server = createMtlsServer(loadConfig());
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    const listed = await request(port, fixture.ca, {
+      path: '/v1/a2a/tasks',
+      client: fixture.client
+    });
+    assert.equal(listed.statusCode, 200);
+    assert.equal(listed.body.code, 'A2A_TASKS_LISTED');
+
+    const notAllowed = await request(port, fixture.ca, {
+      method: 'POST',
+      path: '/v1/a2a/tasks',
+      headers: { 'x-idempotency-key': 'idem-mtls-1' },
+      body: { taskType: 'query.execute', input: {} },
+      client: fixture.client
+    });
+    assert.equal(notAllowed.statusCode, 403);
+    assert.equal(notAllowed.body.error, 'A2A_TASK_NOT_ALLOWED');
+
+    const anonymous = await request(port, fixture.ca, { path: '/v1/a2a/tasks' });
+    assert.equal(anonymous.body.error, 'A2A_MISSING_AGENT_ID');
+
+    const untrusted = await request(port, fixture.ca, {
+      path: '/v1/a2a/tasks',
+      headers: { 'x-agent-id': 'agent-alpha' },
+      client: fixture.rogue
+    });
+    assert.equal(untrusted.statusCode, 401);
+    assert.equal(untrusted.body.error, 'A2A_MISSING_SIGNATURE');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(fixture.dir, { recursive: true, force: true });
+  }
+});
@@ -5,6 +5,7 @@ import os from 'node:os';
 import path from 'node:path';
 import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
 import { createA2aAuthService } from '../src/services/a2aAuthService.js';
+import { createA2aSignerKeyStore } from '../src/services/a2aSignerKeyStore.js';
 import { createA2aTaskService } from '../src/services/a2aTaskService.js';
 import { createA2aTaskStore } from '../src/services/a2aTaskStore.js';
 
@@ -14,6 +15,7 @@ async function withA2aTaskService(testFn, { adminAgentIds = [], authConfigOverri
   const adapter = await createSqliteAdapter({ filePath: dbPath });
   const a2aTaskStore = createA2aTaskStore({ databaseAdapter: adapter });
   await a2aTaskStore.ensureInitialized();
+  const signerKeyStore = createA2aSignerKeyStore({ databaseAdapter: adapter });
 
   const a2aAuthService = createA2aAuthService({
     enabled: true,
@@ -25,6 +27,7 @@ async function withA2aTaskService(testFn, { adminAgentIds = [], authConfigOverri
   const a2aTaskService = createA2aTaskService({
     a2aAuthService,
     a2aTaskStore,
+    signerKeyStore,
     serviceMetadata: {
       serviceName: 'private-db-agent-api',
       version: '0.1.0'
@@ -232,3 +235,71 @@ test('a2a agent card exposes configured A2A signature scheme metadata', async ()
     }
   );
 });
+
+test('a2a signer keys can be registered, listed and retired by admin agents only', async () => {
+  await withA2aTaskService(
+    async ({ a2aTaskService }) => {
+      const adminContext = { ...baseContext('orchestrator'), path: '/v1/a2a/signers' };
+      const payload = {
+        agentId: 'Agent-Alpha',
+        scheme: 'ed25519',
+        publicKey: Buffer.alloc(32, 7).toString('base64'),
+        validFrom: '2026-02-18T00:00:00Z',
+        validUntil: '2026-03-18T00:00:00Z'
+      };
+
+      const denied = await a2aTaskService.registerSignerKey({
+        ...baseContext('agent-alpha'),
+        payload
+      });
+      assert.equal(denied.statusCode, 403);
+      assert.equal(denied.body.error, 'A2A_ADMIN_REQUIRED');
+
+      const registered = await a2aTaskService.registerSignerKey({ ...adminContext, payload });
+      assert.equal(registered.statusCode, 201);
+      assert.equal(registered.body.key.agentId, 'agent-alpha');
+      assert.equal(registered.body.key.publicKey, '07'.repeat(32));
+      assert.equal(registered.body.key.validFrom, '2026-02-18T00:00:00.000Z');
+      assert.equal(registered.body.key.createdBy, 'orchestrator');
+
+      const duplicate = await a2aTaskService.registerSignerKey({ ...adminContext, payload });
+      assert.equal(duplicate.statusCode, 409);
+
+      const invalid = await a2aTaskService.registerSignerKey({
+        ...adminContext,
+        payload: { ...payload, scheme: 'evm-personal-sign', validUntil: '2026-01-01T00:00:00Z' }
+      });
+      assert.deepEqual(
+        invalid.body.details.issues.map((issue) => issue.code),
+        ['invalid_public_key', 'invalid_validity_window']
+      );
+
+      const retired = await a2aTaskService.retireSignerKey({
+        ...adminContext,
+        payload: { keyId: registered.body.key.keyId }
+      });
+      assert.equal(retired.statusCode, 200);
+      assert.equal(retired.body.key.retiredBy, 'orchestrator');
+
+      const retiredAgain = await a2aTaskService.retireSignerKey({
+        ...adminContext,
+        payload: { keyId: registered.body.key.keyId }
+      });
+      assert.equal(retiredAgain.statusCode, 404);
+
+      const active = await a2aTaskService.listSignerKeys({
+        ...adminContext,
+        method: 'GET',
+        query: { agentId: 'agent-alpha' }
+      });
+      assert.deepEqual(active.body.keys, []);
+      const all = await a2aTaskService.listSignerKeys({
+        ...adminContext,
+        method: 'GET',
+        query: { agentId: 'agent-alpha', includeRetired: 'true' }
+      });
+      assert.equal(all.body.keys.length, 1);
+    },
+    { adminAgentIds: ['orchestrator'] }
+  );
+});
@@ -17,6 +17,7 @@ test('audit service writes allow decision to adapter', async () => {
 
   const result = await auditService.recordDecision({
     payload: {
+      tenantId: 'Tenant_Demo',
       requestId: 'req-audit-1',
       requester: '0x0000000000000000000000000000000000001234',
       capability: 'balances:read',
@@ -33,6 +34,31 @@ test('audit service writes allow decision to adapter', async () => {
   assert.ok(calls[0].sql.includes('INSERT INTO access_log'));
   assert.equal(calls[0].values[0], 'req-audit-1');
   assert.equal(calls[0].values[4], 'allow');
+  assert.equal(calls[0].values[6], 'tenant_demo');
+});
+
+test('audit service lists only decisions recorded for the tenant', async () => {
+  const calls = [];
+  const auditService = createAuditService({
+    databaseAdapter: {
+      dialect: 'postgres',
+      execute: async (query) => {
+        calls.push(query);
+        return { rowCount: 0, rows: [] };
+      }
+    }
+  });
+
+  assert.deepEqual(await auditService.listRecentDecisions({ limit: 10 }), []);
+  assert.equal(calls.length, 0);
+
+  await auditService.listRecentDecisions({
+    tenantId: 'tenant_demo',
+    limit: 10,
+    since: '2026-02-01T00:00:00.000Z'
+  });
+  assert.match(calls[0].sql, /WHERE tenant_id = \$1 AND created_at >= \$2/);
+  assert.deepEqual(calls[0].values, ['tenant_demo', '2026-02-01T00:00:00.000Z', 10]);
 });
 
 test('audit service returns unsupported for unknown dialect', async () => {
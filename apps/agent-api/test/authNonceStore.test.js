@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Wallet } from 'ethers';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
+import {
+  createDatabaseNonceStore,
+  createNonceStoreFromConfig
+} from '../src/services/authNonceStore.js';
+import { buildSignedMessage, createAuthService, NonceStore } from '../src/services/authService.js';
+
+const nowMs = Date.parse('2026-02-17T10:01:00.000Z');
+
+async function withSqliteFile(testFn) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-nonces-'));
+  const filePath = path.join(tempDir, 'nonces.sqlite');
+
+  try {
+    await testFn(filePath);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+test('database nonce store rejects replays per scope and prunes expired rows', async () => {
+  await withSqliteFile(async (filePath) => {
+    const adapter = await createSqliteAdapter({ filePath });
+    const queryNonces = createDatabaseNonceStore({ databaseAdapter: adapter, scope: 'query' });
+    const mutationNonces = createDatabaseNonceStore({
+      databaseAdapter: adapter,
+      scope: 'mutation',
+      pruneIntervalSeconds: 30
+    });
+    const expiresAtMs = nowMs + 60_000;
+
+    try {
+      assert.equal(await queryNonces.consume('0xABC', 'nonce-1', expiresAtMs, nowMs), true);
+      assert.equal(await queryNonces.consume('0xabc', 'nonce-1', expiresAtMs, nowMs), false);
+      assert.equal(await queryNonces.consume('0xdef', 'nonce-1', expiresAtMs, nowMs), true);
+      assert.equal(await mutationNonces.consume('0xabc', 'nonce-1', expiresAtMs, nowMs), true);
+
+      const afterExpiry = expiresAtMs + 1;
+      assert.equal(await mutationNonces.pruneExpired(afterExpiry), 3);
+      const remaining = await adapter.execute({
+        mode: 'read',
+        sql: 'SELECT COUNT(*) AS count FROM auth_nonces',
+        values: []
+      });
+      assert.equal(Number(remaining.rows[0].count), 0);
+    } finally {
+      await adapter.close();
+    }
+  });
+});
+
+test('a nonce consumed before a restart is still rejected afterwards', async () => {
+  await withSqliteFile(async (filePath) => {
+    const wallet = Wallet.createRandom();
+    const payload = {
+      requestId: 'req-replay',
+      requester: wallet.address,
+      capability: 'balances:read',
+      queryTemplate: 'wallet_balances',
+      queryParams: { chainId: 1 },
+      auth: { nonce: 'nonce-restart', signedAt: '2026-02-17T10:00:00.000Z' }
+    };
+    payload.auth.signature = await wallet.signMessage(buildSignedMessage(payload));
+
+    const authenticateOnFreshReplica = async () => {
+      const adapter = await createSqliteAdapter({ filePath });
+      try {
+        const authService = createAuthService(
+          { enabled: true },
+          {
+            now: () => nowMs,
+            nonceStore: createNonceStoreFromConfig(
+              { driver: 'database' },
+              { databaseAdapter: adapter, scope: 'query' }
+            )
+          }
+        );
+        return await authService.authenticate(payload);
+      } finally {
+        await adapter.close();
+      }
+    };
+
+    assert.equal((await authenticateOnFreshReplica()).ok, true);
+    const replayed = await authenticateOnFreshReplica();
+    assert.equal(replayed.ok, false);
+    assert.equal(replayed.code, 'NONCE_REPLAY');
+
+    assert.ok(createNonceStoreFromConfig({ driver: 'memory' }, {}) instanceof NonceStore);
+  });
+});
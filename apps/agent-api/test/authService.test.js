@@ -6,6 +6,12 @@ import {
   createAuthService,
   NonceStore
 } from '../src/services/authService.js';
+import {
+  buildEip712Domain,
+  buildPolicyMutationTypedData,
+  buildQueryTypedData
+} from '../src/services/eip712TypedData.js';
+import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
 
 async function createSignedPayload(wallet, overrides = {}) {
   const payload = {
@@ -117,3 +123,95 @@ test('authenticate rejects expired signatures', async () => {
   assert.equal(result.ok, false);
   assert.equal(result.code, 'SIGNATURE_EXPIRED');
 });
+
+test('authenticate accepts EIP-712 signatures bound to the configured domain', async () => {
+  const wallet = Wallet.createRandom();
+  const eip712 = { chainId: 1, serviceId: 'private-db-agent-api' };
+  const payload = {
+    requestId: 'req-typed-1',
+    tenantId: 'tenant_demo',
+    requester: wallet.address,
+    capability: 'balances:read',
+    queryTemplate: 'wallet_balances',
+    queryParams: { chainId: 1 },
+    auth: {
+      scheme: 'eip712',
+      nonce: 'nonce-typed',
+      signedAt: '2026-02-17T10:00:00.000Z'
+    }
+  };
+  const typedData = buildQueryTypedData(payload, buildEip712Domain(eip712));
+  payload.auth.signature = await wallet.signTypedData(
+    typedData.domain,
+    typedData.types,
+    typedData.message
+  );
+
+  const createService = (domainConfig) =>
+    createAuthService(
+      { enabled: true, eip712: domainConfig },
+      { now: () => Date.parse('2026-02-17T10:01:00.000Z') }
+    );
+
+  const otherChain = await createService({ ...eip712, chainId: 5 }).authenticate(payload);
+  assert.equal(otherChain.code, 'SIGNER_MISMATCH');
+
+  const personalSign = await createService(eip712).authenticate({
+    ...payload,
+    auth: { ...payload.auth, scheme: 'personal_sign' }
+  });
+  assert.equal(personalSign.code, 'SIGNER_MISMATCH');
+
+  const unknownScheme = await createService(eip712).authenticate({
+    ...payload,
+    auth: { ...payload.auth, scheme: 'eth_sign' }
+  });
+  assert.equal(unknownScheme.code, 'INVALID_AUTH_SCHEME');
+
+  const result = await createService(eip712).authenticate(payload);
+  assert.equal(result.ok, true);
+  assert.equal(result.scheme, 'eip712');
+  assert.equal(result.signedTypedData.primaryType, 'QueryRequest');
+});
+
+test('policy mutation auth verifies EIP-712 structs per action', async () => {
+  const wallet = Wallet.createRandom();
+  const actorWallet = wallet.address.toLowerCase();
+  const domain = buildEip712Domain({ serviceId: 'private-db-agent-api' });
+  const mutationAuthService = createPolicyMutationAuthService(
+    { enabled: true, eip712: { serviceId: 'private-db-agent-api' } },
+    { now: () => Date.parse('2026-02-17T10:01:00.000Z') }
+  );
+
+  async function signed(action, payload, nonce) {
+    const auth = { scheme: 'eip712', nonce, signedAt: '2026-02-17T10:00:00.000Z' };
+    const typedData = buildPolicyMutationTypedData(
+      { requestId: 'req-typed', tenantId: 'tenant_demo', actorWallet, action, payload, ...auth },
+      domain
+    );
+    auth.signature = await wallet.signTypedData(
+      typedData.domain,
+      typedData.types,
+      typedData.message
+    );
+    return { requestId: 'req-typed', tenantId: 'tenant_demo', actorWallet, action, payload, auth };
+  }
+
+  const grant = await signed('grant:create', { scopeType: 'database', scopeId: '*' }, 'n-1');
+  const grantResult = await mutationAuthService.authenticate(grant);
+  assert.equal(grantResult.ok, true);
+  assert.equal(grantResult.signedTypedData.primaryType, 'PolicyMutation');
+
+  const data = await signed('data:execute', { tableName: 'inventory', operation: 'read' }, 'n-2');
+  const dataResult = await mutationAuthService.authenticate(data);
+  assert.equal(dataResult.ok, true);
+  assert.equal(dataResult.signedTypedData.primaryType, 'DataExecuteRequest');
+  assert.equal(dataResult.signedTypedData.message.tableName, 'inventory');
+
+  const tampered = await signed('data:execute', { tableName: 'inventory', operation: 'read' }, 'n-3');
+  const tamperedResult = await mutationAuthService.authenticate({
+    ...tampered,
+    payload: { tableName: 'inventory', operation: 'delete' }
+  });
+  assert.equal(tamperedResult.code, 'SIGNER_MISMATCH');
+});
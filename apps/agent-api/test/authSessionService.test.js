@@ -0,0 +1,234 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Wallet } from 'ethers';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
+import { createAuthService } from '../src/services/authService.js';
+import { createAuthSessionService } from '../src/services/authSessionService.js';
+import { createAuthSessionStore } from '../src/services/authSessionStore.js';
+import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
+import { buildSiweMessage } from '../src/services/siweMessage.js';
+
+const issuedAt = '2026-02-17T10:00:00.000Z';
+
+async function withSessionServices(
+  testFn,
+  sessionConfig = { domain: 'console.example.com', chainId: 1, ttlSeconds: 600 }
+) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-sessions-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'sessions.sqlite') });
+  const sessionStore = createAuthSessionStore({ databaseAdapter: adapter });
+  await sessionStore.ensureInitialized();
+
+  const clock = { ms: Date.parse('2026-02-17T10:01:00.000Z') };
+  const now = () => clock.ms;
+  const sessionService = createAuthSessionService({
+    sessionStore,
+    mutationAuthService: createPolicyMutationAuthService({ enabled: false }),
+    sessionConfig,
+    now
+  });
+  const authService = createAuthService({ enabled: true }, { sessionStore, now });
+
+  try {
+    await testFn({ sessionService, authService, clock });
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function signIn(wallet, overrides = {}) {
+  const message = buildSiweMessage({
+    domain: 'console.example.com',
+    address: wallet.address,
+    statement: 'Sign in to Private DB Agent',
+    uri: overrides.uri || 'https://console.example.com',
+    chainId: overrides.chainId || 1,
+    nonce: overrides.nonce || 'a1b2c3d4e5',
+    issuedAt,
+    resources: overrides.resources || [
+      'urn:private-db-agent:tenant:tenant_demo',
+      'urn:private-db-agent:capability:balances:read'
+    ],
+    ...(overrides.domain ? { domain: overrides.domain } : {})
+  });
+
+  return { message, signature: await wallet.signMessage(message) };
+}
+
+function queryPayload(wallet, overrides = {}) {
+  return {
+    requestId: 'req-session',
+    tenantId: 'tenant_demo',
+    requester: wallet.address,
+    capability: 'balances:read',
+    queryTemplate: 'wallet_balances',
+    ...overrides
+  };
+}
+
+test('SIWE sign-in issues a scoped bearer session accepted by authService', async () => {
+  await withSessionServices(async ({ sessionService, authService, clock }) => {
+    const wallet = Wallet.createRandom();
+    const signedIn = await signIn(wallet);
+
+    const created = await sessionService.createSession(signedIn);
+    assert.equal(created.statusCode, 201);
+    assert.equal(created.body.tokenType, 'Bearer');
+    assert.match(created.body.token, /^pdas_/);
+    assert.equal(created.body.session.tenantId, 'tenant_demo');
+    assert.deepEqual(created.body.session.capabilities, ['balances:read']);
+    assert.equal(created.body.session.expiresAt, '2026-02-17T10:11:00.000Z');
+
+    const replayed = await sessionService.createSession(signedIn);
+    assert.equal(replayed.statusCode, 401);
+    assert.equal(replayed.body.error, 'NONCE_REPLAY');
+
+    const bearerToken = created.body.token;
+    const accepted = await authService.authenticate(queryPayload(wallet), { bearerToken });
+    assert.equal(accepted.ok, true);
+    assert.equal(accepted.requester, wallet.address);
+    assert.equal(accepted.scheme, 'session');
+    assert.equal(accepted.sessionId, created.body.session.sessionId);
+
+    const otherCapability = await authService.authenticate(
+      queryPayload(wallet, { capability: 'transactions:read' }),
+      { bearerToken }
+    );
+    assert.equal(otherCapability.code, 'SESSION_SCOPE_MISMATCH');
+
+    const otherTenant = await authService.authenticate(
+      queryPayload(wallet, { tenantId: 'tenant_other' }),
+      { bearerToken }
+    );
+    assert.equal(otherTenant.code, 'SESSION_SCOPE_MISMATCH');
+
+    const otherRequester = await authService.authenticate(queryPayload(Wallet.createRandom()), {
+      bearerToken
+    });
+    assert.equal(otherRequester.code, 'SESSION_SCOPE_MISMATCH');
+
+    const both = await authService.authenticate(
+      queryPayload(wallet, { auth: { nonce: 'n', signedAt: issuedAt, signature: '0x' } }),
+      { bearerToken }
+    );
+    assert.equal(both.code, 'AMBIGUOUS_CREDENTIALS');
+
+    clock.ms += 11 * 60 * 1000;
+    const expired = await authService.authenticate(queryPayload(wallet), { bearerToken });
+    assert.equal(expired.code, 'SESSION_EXPIRED');
+  });
+});
+
+test('SIWE sign-in rejects foreign domains, missing tenant scope and bad signers', async () => {
+  await withSessionServices(async ({ sessionService }) => {
+    const wallet = Wallet.createRandom();
+
+    const foreign = await sessionService.createSession(
+      await signIn(wallet, { domain: 'phish.example.com' })
+    );
+    assert.equal(foreign.body.error, 'SIWE_DOMAIN_MISMATCH');
+
+    const foreignUri = await sessionService.createSession(
+      await signIn(wallet, { uri: 'https://phish.example.com/console.example.com' })
+    );
+    assert.equal(foreignUri.statusCode, 401);
+    assert.equal(foreignUri.body.error, 'SIWE_URI_MISMATCH');
+
+    const otherChain = await sessionService.createSession(await signIn(wallet, { chainId: 8453 }));
+    assert.equal(otherChain.statusCode, 401);
+    assert.equal(otherChain.body.error, 'SIWE_CHAIN_MISMATCH');
+
+    const unscoped = await sessionService.createSession(await signIn(wallet, { resources: [] }));
+    assert.equal(unscoped.statusCode, 400);
+    assert.equal(unscoped.body.details.issues[0].code, 'invalid_session_tenant');
+
+    const signed = await signIn(wallet);
+    const forged = await sessionService.createSession({
+      message: signed.message,
+      signature: await Wallet.createRandom().signMessage(signed.message)
+    });
+    assert.equal(forged.statusCode, 401);
+    assert.equal(forged.body.error, 'SIGNER_MISMATCH');
+
+    const malformed = await sessionService.createSession({
+      message: signed.message.replace('Version: 1', 'Version: 2'),
+      signature: signed.signature
+    });
+    assert.equal(malformed.body.details.issues[0].code, 'invalid_siwe_message');
+  });
+});
+
+test('SIWE sign-in needs a configured domain unless any domain is allowed', async () => {
+  const wallet = Wallet.createRandom();
+  await withSessionServices(
+    async ({ sessionService }) => {
+      const refused = await sessionService.createSession(await signIn(wallet));
+      assert.equal(refused.statusCode, 503);
+      assert.equal(refused.body.error, 'SIWE_DOMAIN_NOT_CONFIGURED');
+    },
+    { chainId: 1 }
+  );
+
+  await withSessionServices(
+    async ({ sessionService }) => {
+      const anyDomain = await sessionService.createSession(
+        await signIn(wallet, { domain: 'localhost:5173', uri: 'http://localhost:5173' })
+      );
+      assert.equal(anyDomain.statusCode, 201);
+
+      const otherChain = await sessionService.createSession(
+        await signIn(wallet, { nonce: 'f6g7h8i9j0', chainId: 5 })
+      );
+      assert.equal(otherChain.body.error, 'SIWE_CHAIN_MISMATCH');
+    },
+    { allowAnyDomain: true, chainId: 1 }
+  );
+});
+
+test('sessions can be revoked by bearer or by a wallet signature', async () => {
+  await withSessionServices(async ({ sessionService, authService }) => {
+    const wallet = Wallet.createRandom();
+    const openSession = async (nonce) =>
+      (await sessionService.createSession(await signIn(wallet, { nonce }))).body;
+    const first = await openSession('nonce00001');
+    const second = await openSession('nonce00002');
+    const third = await openSession('nonce00003');
+
+    const selfRevoked = await sessionService.revokeSession({}, { bearerToken: first.token });
+    assert.equal(selfRevoked.statusCode, 200);
+    assert.equal(selfRevoked.body.sessionId, first.session.sessionId);
+
+    const revokedAuth = await authService.authenticate(queryPayload(wallet), {
+      bearerToken: first.token
+    });
+    assert.equal(revokedAuth.code, 'SESSION_REVOKED');
+
+    const walletEnvelope = {
+      requestId: 'req-revoke',
+      tenantId: 'tenant_demo',
+      actorWallet: wallet.address
+    };
+    const single = await sessionService.revokeSession({
+      ...walletEnvelope,
+      sessionId: second.session.sessionId
+    });
+    assert.equal(single.body.revokedCount, 1);
+
+    const missing = await sessionService.revokeSession({
+      ...walletEnvelope,
+      sessionId: second.session.sessionId
+    });
+    assert.equal(missing.statusCode, 404);
+
+    const all = await sessionService.revokeSession(walletEnvelope);
+    assert.equal(all.body.revokedCount, 1);
+    const thirdAuth = await authService.authenticate(queryPayload(wallet), {
+      bearerToken: third.token
+    });
+    assert.equal(thirdAuth.code, 'SESSION_REVOKED');
+  });
+});
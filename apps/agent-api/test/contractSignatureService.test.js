@@ -0,0 +1,199 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { Interface, Wallet, recoverAddress, zeroPadBytes } from 'ethers';
+import { buildSignedMessage, createAuthService } from '../src/services/authService.js';
+import { createJsonRpcChainReader } from '../src/services/chainReaderService.js';
+import {
+  EIP1271_MAGIC_VALUE,
+  createContractSignatureVerifier
+} from '../src/services/contractSignatureService.js';
+import {
+  buildEip712Domain,
+  buildPolicyMutationTypedData,
+  hashTypedDataRequest
+} from '../src/services/eip712TypedData.js';
+import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
+
+const safeAddress = '0x00000000000000000000000000000000005aFE01';
+const eip1271Interface = new Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+]);
+
+// Stands in for a node serving a single-owner contract wallet at safeAddress.
+async function withJsonRpcStub(owner, testFn) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(raw);
+      calls.push(method);
+      let result = '0x';
+      if (method === 'eth_getCode') {
+        result = params[0].toLowerCase() === safeAddress.toLowerCase() ? '0x6080604052' : '0x';
+      } else if (method === 'eth_call') {
+        const [hash, signature] = eip1271Interface.decodeFunctionData(
+          'isValidSignature',
+          params[0].data
+        );
+        let signer = null;
+        try {
+          signer = recoverAddress(hash, signature);
+        } catch {
+          signer = null;
+        }
+        result = zeroPadBytes(signer === owner.address ? EIP1271_MAGIC_VALUE : '0xffffffff', 32);
+      }
+
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const rpcUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await testFn({ rpcUrl, calls });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+const authConfig = (rpcUrl) => ({
+  enabled: true,
+  nonceTtlSeconds: 300,
+  maxFutureSkewSeconds: 60,
+  eip1271: { rpcUrl, timeoutMs: 2000, cacheTtlSeconds: 300 }
+});
+const now = () => Date.parse('2026-02-17T10:01:00.000Z');
+
+async function signQuery(wallet, requester, nonce) {
+  const payload = {
+    requestId: `req-${nonce}`,
+    requester,
+    capability: 'balances:read',
+    queryTemplate: 'wallet_balances',
+    queryParams: { chainId: 1 },
+    auth: { nonce, signedAt: '2026-02-17T10:00:00.000Z' }
+  };
+  payload.auth.signature = await wallet.signMessage(buildSignedMessage(payload));
+  return payload;
+}
+
+test('authenticate falls back to EIP-1271 for contract wallet requesters', async () => {
+  const owner = Wallet.createRandom();
+  const outsider = Wallet.createRandom();
+
+  await withJsonRpcStub(owner, async ({ rpcUrl, calls }) => {
+    const authService = createAuthService(authConfig(rpcUrl), { now });
+
+    const accepted = await authService.authenticate(
+      await signQuery(owner, safeAddress, 'nonce-1')
+    );
+    assert.equal(accepted.ok, true);
+    assert.equal(accepted.requester, safeAddress);
+    assert.equal(accepted.signatureType, 'eip1271');
+    assert.deepEqual(calls, ['eth_getCode', 'eth_call']);
+
+    const rejected = await authService.authenticate(
+      await signQuery(outsider, safeAddress, 'nonce-2')
+    );
+    assert.equal(rejected.ok, false);
+    assert.equal(rejected.code, 'SIGNER_MISMATCH');
+
+    const eoa = Wallet.createRandom();
+    const notContract = await authService.authenticate(
+      await signQuery(outsider, eoa.address, 'nonce-3')
+    );
+    assert.equal(notContract.code, 'SIGNER_MISMATCH');
+    assert.deepEqual(calls.slice(-1), ['eth_getCode']);
+
+    const direct = await authService.authenticate(await signQuery(eoa, eoa.address, 'nonce-4'));
+    assert.equal(direct.signatureType, 'ecdsa');
+    assert.equal(calls.length, 5);
+  });
+});
+
+test('contract signature results are cached per signature hash', async () => {
+  const owner = Wallet.createRandom();
+
+  await withJsonRpcStub(owner, async ({ rpcUrl, calls }) => {
+    const clock = { ms: now() };
+    const verifier = createContractSignatureVerifier({
+      chainReader: createJsonRpcChainReader({ rpcUrl }),
+      cacheTtlSeconds: 60,
+      now: () => clock.ms
+    });
+    const domain = buildEip712Domain({ chainId: 1, serviceId: 'private-db-agent-api' });
+    const typedData = buildPolicyMutationTypedData(
+      {
+        requestId: 'req-grant',
+        tenantId: 'tenant_demo',
+        actorWallet: safeAddress,
+        action: 'grant:create',
+        payload: { grant: { scopeType: 'table', scopeId: 'inventory' } },
+        nonce: 'nonce-1',
+        signedAt: '2026-02-17T10:00:00.000Z'
+      },
+      domain
+    );
+    const signature = await owner.signTypedData(
+      typedData.domain,
+      typedData.types,
+      typedData.message
+    );
+    const request = { address: safeAddress, digest: hashTypedDataRequest(typedData), signature };
+
+    const first = await verifier.verify(request);
+    const second = await verifier.verify(request);
+    assert.equal(first.valid, true);
+    assert.equal(first.cached, false);
+    assert.equal(second.valid, true);
+    assert.equal(second.cached, true);
+    assert.equal(calls.length, 2);
+
+    clock.ms += 61 * 1000;
+    const refreshed = await verifier.verify(request);
+    assert.equal(refreshed.cached, false);
+    assert.equal(calls.length, 4);
+  });
+});
+
+test('mutation auth verifies contract wallets and reports RPC outages', async () => {
+  const owner = Wallet.createRandom();
+  const envelope = {
+    requestId: 'req-grant',
+    tenantId: 'tenant_demo',
+    actorWallet: safeAddress,
+    action: 'grant:create',
+    payload: { grant: { scopeType: 'table', scopeId: 'inventory' } }
+  };
+  const auth = { nonce: 'nonce-1', signedAt: '2026-02-17T10:00:00.000Z', scheme: 'eip712' };
+  const typedData = buildPolicyMutationTypedData(
+    { ...envelope, actorWallet: safeAddress.toLowerCase(), ...auth },
+    buildEip712Domain({})
+  );
+  const signature = await owner.signTypedData(typedData.domain, typedData.types, typedData.message);
+
+  let rpcUrl = null;
+  await withJsonRpcStub(owner, async (stub) => {
+    rpcUrl = stub.rpcUrl;
+    const mutationAuthService = createPolicyMutationAuthService(authConfig(rpcUrl), { now });
+    const result = await mutationAuthService.authenticate({
+      ...envelope,
+      auth: { ...auth, signature }
+    });
+    assert.equal(result.ok, true);
+    assert.equal(result.signatureType, 'eip1271');
+  });
+
+  const offline = createPolicyMutationAuthService(authConfig(rpcUrl), { now });
+  const unavailable = await offline.authenticate({ ...envelope, auth: { ...auth, signature } });
+  assert.equal(unavailable.ok, false);
+  assert.equal(unavailable.statusCode, 503);
+  assert.equal(unavailable.code, 'CONTRACT_SIGNATURE_UNAVAILABLE');
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bindFilterReferences,
+  compileFilter,
+  evaluateFilter,
+  normalizeFilters,
+  normalizeOrderBy
+} from '../src/services/dataFilterGrammar.js';
+
+test('filter grammar compiles operators and OR groups to bound SQL for both dialects', () => {
+  const normalized = normalizeFilters({
+    quantity: { gte: 2, lt: 10 },
+    $or: [{ item_id: { in: ['a', 'b'] } }, { item_id: { like: 'sku_%' } }, { note: null }],
+    created_at: { between: ['2026-01-01', '2026-02-01'] },
+    Status: 'open'
+  });
+  assert.equal(normalized.ok, true);
+
+  const postgres = compileFilter({ dialect: 'postgres', filter: normalized.filter, startingIndex: 3 });
+  assert.equal(
+    postgres.sql,
+    '("item_id" IN ($3, $4) OR "item_id" LIKE $5 ESCAPE \'\\\' OR "note" IS NULL) AND ' +
+      '"created_at" BETWEEN $6 AND $7 AND "quantity" >= $8 AND "quantity" < $9 AND "status" = $10'
+  );
+  assert.deepEqual(postgres.values, ['a', 'b', 'sku\\_%', '2026-01-01', '2026-02-01', 2, 10, 'open']);
+  assert.equal(postgres.nextOffset, 11);
+
+  const sqlite = compileFilter({ dialect: 'sqlite', filter: normalized.filter });
+  assert.ok(sqlite.sql.startsWith('("item_id" IN (?, ?) OR "item_id" LIKE ? ESCAPE'));
+  assert.deepEqual(sqlite.values, postgres.values);
+});
+
+test('filter grammar reports precise issues for unknown operators and bad values', () => {
+  const result = normalizeFilters({
+    quantity: { approx: 3, gt: [1] },
+    $xor: [],
+    $or: [{ 'bad-column': 1 }],
+    item_id: { like: '%abc%' }
+  });
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.issues.map((issue) => `${issue.path}:${issue.code}`),
+    [
+      'filters.$or[0].bad-column:invalid_column',
+      'filters.$xor:unknown_group',
+      'filters.item_id.like:invalid_pattern',
+      'filters.quantity.approx:unknown_operator',
+      'filters.quantity.gt:invalid_value'
+    ]
+  );
+
+  assert.deepEqual(normalizeFilters(undefined), { ok: true, filter: null });
+  assert.equal(normalizeFilters(undefined, { required: true }).issues[0].code, 'required');
+});
+
+test('orderBy accepts column names and direction objects', () => {
+  assert.deepEqual(normalizeOrderBy(['item_id', { column: 'Quantity', direction: 'DESC' }]), {
+    ok: true,
+    orderBy: [
+      { column: 'item_id', direction: 'asc' },
+      { column: 'quantity', direction: 'desc' }
+    ]
+  });
+
+  const invalid = normalizeOrderBy([{ column: 'quantity', direction: 'sideways' }, 'quantity', 'quantity']);
+  assert.deepEqual(
+    invalid.issues.map((issue) => `${issue.path}:${issue.code}`),
+    ['orderBy[0].direction:invalid_enum', 'orderBy[2].column:duplicate_column']
+  );
+});
+
+test('predicate references bind to context values and evaluate against rows', () => {
+  const normalized = normalizeFilters(
+    {
+      owner_wallet: '$actorWallet',
+      $or: [{ region: { in: ['eu', '$tenantId'] } }, { archived: { isNull: true } }]
+    },
+    { path: 'rowPredicate', references: ['actorWallet', 'tenantId'] }
+  );
+  assert.equal(normalized.ok, true);
+
+  const bound = bindFilterReferences(normalized.filter, { actorWallet: '0xabc', tenantId: 'tenant_a' });
+  assert.deepEqual(compileFilter({ dialect: 'sqlite', filter: bound }).values, ['eu', 'tenant_a', '0xabc']);
+
+  assert.equal(evaluateFilter(bound, { owner_wallet: '0xabc', region: 'tenant_a', archived: 1 }), true);
+  assert.equal(evaluateFilter(bound, { owner_wallet: '0xdef', region: 'eu' }), false);
+  assert.equal(evaluateFilter(bound, { owner_wallet: '0xabc' }, { missing: 'unknown' }), null);
+
+  const unknown = normalizeFilters({ owner_wallet: { eq: '$caller' } }, { references: ['actorWallet'] });
+  assert.deepEqual(
+    unknown.issues.map((issue) => `${issue.path}:${issue.code}`),
+    ['filters.owner_wallet.eq:unknown_reference']
+  );
+  assert.deepEqual(normalizeFilters({ note: '$literal' }).filter.value, '$literal');
+});
@@ -10,6 +10,8 @@ import { createMigrationRunnerService } from '../src/services/migrationRunnerSer
 import { createPolicyAdminService } from '../src/services/policyAdminService.js';
 import { createPolicyGrantStore } from '../src/services/policyGrantStore.js';
 import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
+import { diffSchema } from '../src/services/schemaDiffService.js';
+import { validateSchemaDsl } from '../src/services/schemaDslService.js';
 
 const adminWallet = '0x8ba1f109551bd432803012645ac136ddd64dba72';
 const managerWallet = '0x0000000000000000000000000000000000001234';
@@ -231,6 +233,869 @@ test('data operation templates execute read/insert/update and deny delete by pol
   });
 });
 
+test('data operation reads page by primary key with signed cursors', async () => {
+  await withDataOperationContext(async ({
+    migrationRunner,
+    policyAdminService,
+    dataOperationService
+  }) => {
+    const migrationResult = await migrationRunner.applyMigrationPlan({
+      tenantId,
+      requestId: 'req_apply_inventory',
+      migrationPlan: inventoryPlan()
+    });
+    assert.equal(migrationResult.ok, true);
+
+    await bootstrapAndGrantManager(policyAdminService);
+
+    for (const [itemId, quantity] of [['item-3', 3], ['item-1', 1], ['item-2', 2]]) {
+      const insertResult = await dataOperationService.execute({
+        requestId: `req_insert_${itemId}`,
+        tenantId,
+        actorWallet: managerWallet,
+        operation: 'insert',
+        tableName: 'inventory',
+        values: { item_id: itemId, quantity }
+      });
+      assert.equal(insertResult.statusCode, 200);
+    }
+
+    const readPage = (cursor, overrides = {}) =>
+      dataOperationService.execute({
+        requestId: 'req_data_page',
+        tenantId,
+        actorWallet: managerWallet,
+        operation: 'read',
+        tableName: 'inventory',
+        columns: ['quantity'],
+        limit: 2,
+        ...(cursor ? { cursor } : {}),
+        ...overrides
+      });
+
+    const firstPage = await readPage();
+    assert.equal(firstPage.statusCode, 200);
+    assert.equal(firstPage.body.page, 1);
+    assert.deepEqual(firstPage.body.rows, [{ quantity: 1 }, { quantity: 2 }]);
+    assert.equal(typeof firstPage.body.nextCursor, 'string');
+
+    const secondPage = await readPage(firstPage.body.nextCursor);
+    assert.equal(secondPage.statusCode, 200);
+    assert.equal(secondPage.body.page, 2);
+    assert.deepEqual(secondPage.body.rows, [{ quantity: 3 }]);
+    assert.equal(secondPage.body.nextCursor, null);
+
+    const mismatched = await readPage(firstPage.body.nextCursor, { filters: { quantity: 3 } });
+    assert.equal(mismatched.statusCode, 403);
+    assert.equal(mismatched.body.error, 'CURSOR_BINDING_MISMATCH');
+
+    const tampered = await readPage(`${firstPage.body.nextCursor.slice(0, -2)}xx`);
+    assert.equal(tampered.statusCode, 400);
+    assert.equal(tampered.body.error, 'INVALID_CURSOR');
+  });
+});
+
+test('data operation filters support operators, OR groups and ordered keyset pages', async () => {
+  await withDataOperationContext(async ({
+    migrationRunner,
+    policyAdminService,
+    dataOperationService
+  }) => {
+    const migrationResult = await migrationRunner.applyMigrationPlan({
+      tenantId,
+      requestId: 'req_apply_inventory',
+      migrationPlan: inventoryPlan()
+    });
+    assert.equal(migrationResult.ok, true);
+
+    await bootstrapAndGrantManager(policyAdminService);
+
+    for (const [itemId, quantity] of [['sku_1', 5], ['sku_2', 5], ['sku_3', 1], ['misc_1', 9]]) {
+      const insertResult = await dataOperationService.execute({
+        requestId: `req_insert_${itemId}`,
+        tenantId,
+        actorWallet: managerWallet,
+        operation: 'insert',
+        tableName: 'inventory',
+        values: { item_id: itemId, quantity }
+      });
+      assert.equal(insertResult.statusCode, 200);
+    }
+
+    const readPage = (cursor) =>
+      dataOperationService.execute({
+        requestId: 'req_data_filtered',
+        tenantId,
+        actorWallet: managerWallet,
+        operation: 'read',
+        tableName: 'inventory',
+        filters: {
+          $or: [{ item_id: { like: 'sku_%' } }, { quantity: { gt: 8 } }]
+        },
+        orderBy: [{ column: 'quantity', direction: 'desc' }],
+        columns: ['item_id'],
+        limit: 2,
+        ...(cursor ? { cursor } : {})
+      });
+
+    const firstPage = await readPage();
+    assert.equal(firstPage.statusCode, 200);
+    assert.deepEqual(firstPage.body.rows, [{ item_id: 'misc_1' }, { item_id: 'sku_1' }]);
+
+    const secondPage = await readPage(firstPage.body.nextCursor);
+    assert.equal(secondPage.statusCode, 200);
+    assert.deepEqual(secondPage.body.rows, [{ item_id: 'sku_2' }, { item_id: 'sku_3' }]);
+    assert.equal(secondPage.body.nextCursor, null);
+
+    const updateResult = await dataOperationService.execute({
+      requestId: 'req_data_update_range',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'update',
+      tableName: 'inventory',
+      values: { quantity: 0 },
+      filters: { quantity: { between: [1, 5] }, item_id: { in: ['sku_1', 'sku_3'] } }
+    });
+    assert.equal(updateResult.statusCode, 200);
+    assert.equal(updateResult.body.rowCount, 2);
+
+    const invalid = await dataOperationService.execute({
+      requestId: 'req_data_invalid_filter',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'read',
+      tableName: 'inventory',
+      filters: { quantity: { near: 3 } }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.error, 'VALIDATION_ERROR');
+    assert.deepEqual(invalid.body.details.issues.map((issue) => issue.path), ['filters.quantity.near']);
+  });
+});
+
+test('column grants narrow projections and reject denied column references', async () => {
+  await withDataOperationContext(async ({
+    migrationRunner,
+    policyAdminService,
+    dataOperationService
+  }) => {
+    const migrationResult = await migrationRunner.applyMigrationPlan({
+      tenantId,
+      requestId: 'req_apply_inventory',
+      migrationPlan: inventoryPlan()
+    });
+    assert.equal(migrationResult.ok, true);
+
+    await bootstrapAndGrantManager(policyAdminService);
+
+    for (const [requestId, grant] of [
+      [
+        'req_grant_quantity_read_deny',
+        { walletAddress: managerWallet, scopeId: 'inventory.quantity', operation: 'read', effect: 'deny' }
+      ],
+      [
+        'req_grant_quantity_update_deny',
+        { walletAddress: managerWallet, scopeId: 'inventory.quantity', operation: 'update', effect: 'deny' }
+      ],
+      [
+        'req_grant_unknown_item_read',
+        { walletAddress: unknownWallet, scopeId: 'inventory.item_id', operation: 'read', effect: 'allow' }
+      ]
+    ]) {
+      const created = await policyAdminService.createGrant({
+        requestId,
+        tenantId,
+        actorWallet: adminWallet,
+        grant: { scopeType: 'column', ...grant }
+      });
+      assert.equal(created.statusCode, 201);
+    }
+
+    const insertResult = await dataOperationService.execute({
+      requestId: 'req_insert_column_scope',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'insert',
+      tableName: 'inventory',
+      values: { item_id: 'item-1', quantity: 4 }
+    });
+    assert.equal(insertResult.statusCode, 200);
+
+    const narrowed = await dataOperationService.execute({
+      requestId: 'req_read_narrowed',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'read',
+      tableName: 'inventory'
+    });
+    assert.equal(narrowed.statusCode, 200);
+    assert.deepEqual(narrowed.body.rows, [{ item_id: 'item-1' }]);
+    assert.deepEqual(narrowed.body.authorization.decision.deniedColumns, ['quantity']);
+
+    const explicitDenied = await dataOperationService.execute({
+      requestId: 'req_read_denied_column',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'read',
+      tableName: 'inventory',
+      columns: ['item_id'],
+      filters: { quantity: { gt: 1 } }
+    });
+    assert.equal(explicitDenied.statusCode, 403);
+    assert.equal(explicitDenied.body.error, 'COLUMN_ACCESS_DENIED');
+    assert.deepEqual(explicitDenied.body.details.decision.deniedColumns, ['quantity']);
+
+    const updateDenied = await dataOperationService.execute({
+      requestId: 'req_update_denied_column',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'update',
+      tableName: 'inventory',
+      values: { quantity: 1 },
+      filters: { item_id: 'item-1' }
+    });
+    assert.equal(updateDenied.statusCode, 403);
+    assert.equal(updateDenied.body.error, 'COLUMN_ACCESS_DENIED');
+
+    const updateFilterDenied = await dataOperationService.execute({
+      requestId: 'req_update_denied_filter',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'update',
+      tableName: 'inventory',
+      values: { item_id: 'item-1' },
+      filters: { quantity: { gt: 3 } }
+    });
+    assert.equal(updateFilterDenied.statusCode, 403);
+    assert.deepEqual(updateFilterDenied.body.details.decision.deniedColumns, ['quantity']);
+
+    for (const [requestId, grant] of [
+      ['req_grant_delete', { scopeType: 'table', scopeId: 'inventory', effect: 'allow' }],
+      [
+        'req_grant_quantity_delete_deny',
+        { scopeType: 'column', scopeId: 'inventory.quantity', effect: 'deny' }
+      ]
+    ]) {
+      const created = await policyAdminService.createGrant({
+        requestId,
+        tenantId,
+        actorWallet: adminWallet,
+        grant: { walletAddress: managerWallet, operation: 'delete', ...grant }
+      });
+      assert.equal(created.statusCode, 201);
+    }
+    const deleteFilterDenied = await dataOperationService.execute({
+      requestId: 'req_delete_denied_filter',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'delete',
+      tableName: 'inventory',
+      filters: { quantity: { gt: 3 } }
+    });
+    assert.equal(deleteFilterDenied.statusCode, 403);
+    assert.equal(deleteFilterDenied.body.error, 'COLUMN_ACCESS_DENIED');
+
+    const columnOnly = await dataOperationService.execute({
+      requestId: 'req_read_column_only',
+      tenantId,
+      actorWallet: unknownWallet,
+      operation: 'read',
+      tableName: 'inventory'
+    });
+    assert.equal(columnOnly.statusCode, 200);
+    assert.equal(columnOnly.body.authorization.decision.code, 'COLUMN_SCOPE_ALLOW');
+    assert.deepEqual(columnOnly.body.rows, [{ item_id: 'item-1' }]);
+  });
+});
+
+test('grant row predicates scope reads, writes and inserted values to the actor', async () => {
+  await withDataOperationContext(async ({
+    migrationRunner,
+    policyAdminService,
+    dataOperationService
+  }) => {
+    const migrationResult = await migrationRunner.applyMigrationPlan({
+      tenantId,
+      requestId: 'req_apply_notes',
+      migrationPlan: {
+        planHash: 'plan_hash_notes',
+        steps: [
+          {
+            stepId: 'step_001',
+            action: 'create_table',
+            description: 'create notes',
+            metadata: {
+              tableName: 'notes'
+            },
+            sql: `
+              CREATE TABLE IF NOT EXISTS "notes" (
+                "note_id" TEXT PRIMARY KEY NOT NULL,
+                "owner_wallet" TEXT NOT NULL,
+                "body" TEXT
+              );
+            `
+          }
+        ]
+      }
+    });
+    assert.equal(migrationResult.ok, true);
+
+    await bootstrapAndGrantManager(policyAdminService);
+
+    const invalidPredicate = await policyAdminService.createGrant({
+      requestId: 'req_grant_notes_invalid',
+      tenantId,
+      actorWallet: adminWallet,
+      grant: {
+        walletAddress: managerWallet,
+        scopeType: 'table',
+        scopeId: 'notes',
+        operation: 'all',
+        effect: 'allow',
+        rowPredicate: { owner_wallet: '$requester' }
+      }
+    });
+    assert.equal(invalidPredicate.statusCode, 400);
+    assert.deepEqual(
+      invalidPredicate.body.details.issues.map((issue) => `${issue.path}:${issue.code}`),
+      ['grant.rowPredicate.owner_wallet:unknown_reference']
+    );
+
+    const predicateGrant = await policyAdminService.createGrant({
+      requestId: 'req_grant_notes',
+      tenantId,
+      actorWallet: adminWallet,
+      grant: {
+        walletAddress: managerWallet,
+        scopeType: 'table',
+        scopeId: 'notes',
+        operation: 'all',
+        effect: 'allow',
+        rowPredicate: { owner_wallet: '$actorWallet' }
+      }
+    });
+    assert.equal(predicateGrant.statusCode, 201);
+    assert.deepEqual(predicateGrant.body.grant.rowPredicate, {
+      type: 'condition',
+      column: 'owner_wallet',
+      operator: 'eq',
+      value: { ref: 'actorWallet' }
+    });
+
+    const preview = await policyAdminService.previewDecision({
+      tenantId,
+      walletAddress: managerWallet,
+      scopeType: 'table',
+      scopeId: 'notes',
+      operation: 'delete'
+    });
+    assert.equal(preview.statusCode, 200);
+    assert.deepEqual(preview.body.decision.rowPredicate, {
+      grantIds: [predicateGrant.body.grant.grantId],
+      predicate: { type: 'condition', column: 'owner_wallet', operator: 'eq', value: managerWallet }
+    });
+
+    const adminInsert = await dataOperationService.execute({
+      requestId: 'req_insert_admin_note',
+      tenantId,
+      actorWallet: adminWallet,
+      operation: 'insert',
+      tableName: 'notes',
+      values: { note_id: 'note-admin', owner_wallet: adminWallet, body: 'admin' }
+    });
+    assert.equal(adminInsert.statusCode, 200);
+
+    const foreignInsert = await dataOperationService.execute({
+      requestId: 'req_insert_foreign_note',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'insert',
+      tableName: 'notes',
+      values: { note_id: 'note-forged', owner_wallet: adminWallet, body: 'forged' }
+    });
+    assert.equal(foreignInsert.statusCode, 403);
+    assert.equal(foreignInsert.body.error, 'ROW_POLICY_VIOLATION');
+
+    const ownInsert = await dataOperationService.execute({
+      requestId: 'req_insert_own_note',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'insert',
+      tableName: 'notes',
+      values: { note_id: 'note-manager', owner_wallet: managerWallet, body: 'mine' }
+    });
+    assert.equal(ownInsert.statusCode, 200);
+
+    const managerRead = await dataOperationService.execute({
+      requestId: 'req_read_notes',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'read',
+      tableName: 'notes'
+    });
+    assert.equal(managerRead.statusCode, 200);
+    assert.deepEqual(
+      managerRead.body.rows.map((row) => row.note_id),
+      ['note-manager']
+    );
+
+    const foreignUpdate = await dataOperationService.execute({
+      requestId: 'req_update_admin_note',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'update',
+      tableName: 'notes',
+      values: { body: 'edited' },
+      filters: { note_id: 'note-admin' }
+    });
+    assert.equal(foreignUpdate.statusCode, 200);
+    assert.equal(foreignUpdate.body.rowCount, 0);
+
+    const reassign = await dataOperationService.execute({
+      requestId: 'req_update_reassign_note',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'update',
+      tableName: 'notes',
+      values: { owner_wallet: adminWallet },
+      filters: { note_id: 'note-manager' }
+    });
+    assert.equal(reassign.statusCode, 403);
+    assert.equal(reassign.body.error, 'ROW_POLICY_VIOLATION');
+
+    const deleteResult = await dataOperationService.execute({
+      requestId: 'req_delete_notes',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'delete',
+      tableName: 'notes',
+      filters: { note_id: { in: ['note-admin', 'note-manager'] } }
+    });
+    assert.equal(deleteResult.statusCode, 200);
+    assert.equal(deleteResult.body.rowCount, 1);
+
+    const adminRead = await dataOperationService.execute({
+      requestId: 'req_read_notes_admin',
+      tenantId,
+      actorWallet: adminWallet,
+      operation: 'read',
+      tableName: 'notes'
+    });
+    assert.deepEqual(
+      adminRead.body.rows.map((row) => row.note_id),
+      ['note-admin']
+    );
+  });
+});
+
+test('usage-limited grants are spent by allowed operations', async () => {
+  await withDataOperationContext(async ({
+    migrationRunner,
+    policyAdminService,
+    dataOperationService
+  }) => {
+    const migrationResult = await migrationRunner.applyMigrationPlan({
+      tenantId,
+      requestId: 'req_apply_inventory',
+      migrationPlan: inventoryPlan()
+    });
+    assert.equal(migrationResult.ok, true);
+
+    await bootstrapAndGrantManager(policyAdminService);
+
+    const limitedDelete = await policyAdminService.createGrant({
+      requestId: 'req_grant_delete_once',
+      tenantId,
+      actorWallet: adminWallet,
+      grant: {
+        walletAddress: managerWallet,
+        scopeType: 'table',
+        scopeId: 'inventory',
+        operation: 'delete',
+        effect: 'allow',
+        maxUses: 1
+      }
+    });
+    assert.equal(limitedDelete.statusCode, 201);
+
+    const deleteOnce = (requestId) =>
+      dataOperationService.execute({
+        requestId,
+        tenantId,
+        actorWallet: managerWallet,
+        operation: 'delete',
+        tableName: 'inventory',
+        filters: { item_id: 'item-1' }
+      });
+
+    const invalid = await dataOperationService.execute({
+      requestId: 'req_delete_invalid',
+      tenantId,
+      actorWallet: managerWallet,
+      operation: 'delete',
+      tableName: 'inventory',
+      filters: { item_id: { nearly: 'item-1' } }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal((await deleteOnce('req_delete_first')).statusCode, 200);
+
+    const second = await deleteOnce('req_delete_second');
+    assert.equal(second.statusCode, 403);
+    assert.equal(second.body.error, 'POLICY_DENIED');
+    assert.equal(second.body.details.decision.code, 'GRANT_EXHAUSTED');
+
+    for (const column of ['item_id', 'quantity']) {
+      const created = await policyAdminService.createGrant({
+        requestId: `req_grant_${column}_read_once`,
+        tenantId,
+        actorWallet: adminWallet,
+        grant: {
+          walletAddress: unknownWallet,
+          scopeType: 'column',
+          scopeId: `inventory.${column}`,
+          operation: 'read',
+          effect: 'allow',
+          maxUses: 1
+        }
+      });
+      assert.equal(created.statusCode, 201);
+    }
+    const readColumn = (requestId, column) =>
+      dataOperationService.execute({
+        requestId,
+        tenantId,
+        actorWallet: unknownWallet,
+        operation: 'read',
+        tableName: 'inventory',
+        columns: [column]
+      });
+
+    // Reading item_id leaves the quantity grant unspent.
+    assert.equal((await readColumn('req_read_item_once', 'item_id')).statusCode, 200);
+    assert.equal((await readColumn('req_read_quantity_once', 'quantity')).statusCode, 200);
+    assert.equal((await readColumn('req_read_quantity_twice', 'quantity')).statusCode, 403);
+  });
+});
+
+test('deletes that cascade through foreign keys need grants on the child tables', async () => {
+  await withDataOperationContext(async ({
+    migrationRunner,
+    policyAdminService,
+    dataOperationService
+  }) => {
+    const dsl = validateSchemaDsl({
+      requestId: 'req_suppliers',
+      creator: { walletAddress: adminWallet },
+      database: { name: 'branch_ledger', engine: 'sqlite' },
+      tables: [
+        {
+          name: 'inventory',
+          fields: [
+            { name: 'item_id', type: 'text', primaryKey: true },
+            {
+              name: 'supplier_id',
+              type: 'text',
+              nullable: false,
+              references: { table: 'suppliers', field: 'supplier_id', onDelete: 'cascade' }
+            }
+          ]
+        },
+        { name: 'suppliers', fields: [{ name: 'supplier_id', type: 'text', primaryKey: true }] }
+      ]
+    });
+    const migrationResult = await migrationRunner.applyMigrationPlan({
+      tenantId,
+      requestId: 'req_apply_suppliers',
+      migrationPlan: diffSchema(dsl.normalizedDsl).migrationPlan
+    });
+    assert.equal(migrationResult.ok, true, JSON.stringify(migrationResult.error));
+
+    await bootstrapAndGrantManager(policyAdminService);
+    const grant = (requestId, scopeId, operation, limits = {}) =>
+      policyAdminService.createGrant({
+        requestId,
+        tenantId,
+        actorWallet: adminWallet,
+        grant: {
+          walletAddress: managerWallet,
+          scopeType: 'table',
+          scopeId,
+          operation,
+          effect: 'allow',
+          ...limits
+        }
+      });
+    const write = (requestId, operation, tableName, extra) =>
+      dataOperationService.execute({
+        requestId,
+        tenantId,
+        actorWallet: operation === 'insert' ? adminWallet : managerWallet,
+        operation,
+        tableName,
+        ...extra
+      });
+
+    assert.equal((await grant('req_grant_supplier_delete', 'suppliers', 'delete')).statusCode, 201);
+    await write('req_insert_supplier', 'insert', 'suppliers', { values: { supplier_id: 's-1' } });
+    await assert.rejects(
+      write('req_insert_orphan', 'insert', 'inventory', {
+        values: { item_id: 'item-0', supplier_id: 's-missing' }
+      }),
+      /FOREIGN KEY constraint failed/
+    );
+    await write('req_insert_item', 'insert', 'inventory', {
+      values: { item_id: 'item-1', supplier_id: 's-1' }
+    });
+
+    const denied = await write('req_delete_denied', 'delete', 'suppliers', {
+      filters: { supplier_id: 's-1' }
+    });
+    assert.equal(denied.statusCode, 403);
+    assert.equal(denied.body.error, 'CASCADE_POLICY_DENIED');
+    assert.equal(denied.body.details.cascade.tableName, 'inventory');
+    assert.equal(denied.body.details.cascade.operation, 'delete');
+
+    // The cascade would reach rows outside the predicate and spend no uses.
+    for (const [requestId, limits] of [
+      ['req_grant_item_delete_scoped', { rowPredicate: { item_id: 'item-9' } }],
+      ['req_grant_item_delete_once', { maxUses: 1 }]
+    ]) {
+      const restricted = await grant(requestId, 'inventory', 'delete', limits);
+      assert.equal(restricted.statusCode, 201);
+      const restrictedDenied = await write(`${requestId}_cascade`, 'delete', 'suppliers', {
+        filters: { supplier_id: 's-1' }
+      });
+      assert.equal(restrictedDenied.body.error, 'CASCADE_POLICY_DENIED');
+      assert.equal(restrictedDenied.body.details.cascade.decision.allowed, true);
+      const revoked = await policyAdminService.revokeGrant({
+        requestId: `${requestId}_revoke`,
+        tenantId,
+        actorWallet: adminWallet,
+        grantId: restricted.body.grant.grantId,
+        expectedSignatureHash: restricted.body.grant.signatureHash
+      });
+      assert.equal(revoked.statusCode, 200);
+    }
+
+    assert.equal((await grant('req_grant_item_delete', 'inventory', 'delete')).statusCode, 201);
+    const deleted = await write('req_delete_allowed', 'delete', 'suppliers', {
+      filters: { supplier_id: 's-1' }
+    });
+    assert.equal(deleted.statusCode, 200);
+
+    const remaining = await write('req_read_items', 'read', 'inventory', {});
+    assert.deepEqual(remaining.body.rows, []);
+  });
+});
+
+test('inserts and updates are checked against declared enums and checks', async () => {
+  await withDataOperationContext(async ({
+    migrationRunner,
+    policyAdminService,
+    dataOperationService
+  }) => {
+    const dsl = validateSchemaDsl({
+      requestId: 'req_inventory_checks',
+      creator: { walletAddress: adminWallet },
+      database: { name: 'branch_ledger', engine: 'sqlite' },
+      tables: [
+        {
+          name: 'inventory',
+          fields: [
+            { name: 'item_id', type: 'text', primaryKey: true, check: { pattern: 'sku_*' } },
+            { name: 'quantity', type: 'integer', nullable: false, default: 0, check: { min: 0 } },
+            { name: 'status', type: 'enum', values: ['open', 'closed'], default: 'open' }
+          ]
+        }
+      ]
+    });
+    const migrationResult = await migrationRunner.applyMigrationPlan({
+      tenantId,
+      requestId: 'req_apply_inventory_checks',
+      migrationPlan: diffSchema(dsl.normalizedDsl).migrationPlan
+    });
+    assert.equal(migrationResult.ok, true, JSON.stringify(migrationResult.error));
+    await bootstrapAndGrantManager(policyAdminService);
+
+    const execute = (requestId, operation, extra) =>
+      dataOperationService.execute({
+        requestId,
+        tenantId,
+        actorWallet: managerWallet,
+        operation,
+        tableName: 'inventory',
+        ...extra
+      });
+
+    const invalidInsert = await execute('req_insert_invalid', 'insert', {
+      values: { item_id: 'item-1', quantity: -2, status: 'archived' }
+    });
+    assert.equal(invalidInsert.statusCode, 400);
+    assert.equal(invalidInsert.body.error, 'VALIDATION_ERROR');
+    assert.deepEqual(
+      invalidInsert.body.details.issues.map((issue) => `${issue.path}:${issue.code}`),
+      [
+        'values.item_id:check_pattern',
+        'values.quantity:check_min',
+        'values.status:enum_value_not_allowed'
+      ]
+    );
+
+    const inserted = await execute('req_insert_valid', 'insert', { values: { item_id: 'sku_1' } });
+    assert.equal(inserted.statusCode, 200);
+    const read = await execute('req_read_defaults', 'read', {});
+    assert.deepEqual(read.body.rows, [{ item_id: 'sku_1', quantity: 0, status: 'open' }]);
+
+    const invalidUpdate = await execute('req_update_invalid', 'update', {
+      values: { status: 'Closed' },
+      filters: { item_id: 'sku_1' }
+    });
+    assert.equal(invalidUpdate.statusCode, 400);
+    assert.equal(invalidUpdate.body.details.issues[0].code, 'enum_value_not_allowed');
+  });
+});
+
+test('domain-typed values are normalized before they are written', async () => {
+  await withDataOperationContext(async ({
+    migrationRunner,
+    policyAdminService,
+    dataOperationService
+  }) => {
+    const dsl = validateSchemaDsl({
+      requestId: 'req_transfers',
+      creator: { walletAddress: adminWallet },
+      database: { name: 'branch_ledger', engine: 'sqlite' },
+      tables: [
+        {
+          name: 'token_transfers',
+          fields: [
+            { name: 'tx_hash', type: 'bytes32', primaryKey: true },
+            { name: 'sender', type: 'address', nullable: false },
+            { name: 'amount', type: 'decimal(78, 0)', nullable: false },
+            { name: 'settled_on', type: 'date' },
+            { name: 'payload', type: 'bytea' }
+          ]
+        }
+      ]
+    });
+    const migrationResult = await migrationRunner.applyMigrationPlan({
+      tenantId,
+      requestId: 'req_apply_transfers',
+      migrationPlan: diffSchema(dsl.normalizedDsl).migrationPlan
+    });
+    assert.equal(migrationResult.ok, true, JSON.stringify(migrationResult.error));
+    await bootstrapAndGrantManager(policyAdminService);
+
+    const execute = (requestId, operation, extra) =>
+      dataOperationService.execute({
+        requestId,
+        tenantId,
+        actorWallet: adminWallet,
+        operation,
+        tableName: 'token_transfers',
+        ...extra
+      });
+
+    const invalid = await execute('req_insert_invalid_transfer', 'insert', {
+      values: {
+        tx_hash: '0x1234',
+        sender: 'not-an-address',
+        amount: '1.5',
+        settled_on: '2026-13-01',
+        payload: '0xabc'
+      }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.deepEqual(
+      invalid.body.details.issues.map((issue) => `${issue.path}:${issue.code}`),
+      [
+        'values.amount:decimal_out_of_range',
+        'values.payload:invalid_bytea',
+        'values.sender:invalid_address',
+        'values.settled_on:invalid_date',
+        'values.tx_hash:invalid_bytes32'
+      ]
+    );
+
+    const txHash = `0x${'AB'.repeat(32)}`;
+    const inserted = await execute('req_insert_transfer', 'insert', {
+      values: {
+        tx_hash: txHash,
+        sender: '0x8BA1F109551BD432803012645AC136DDD64DBA72',
+        amount: '115792089237316195423570985008687907853269984665640564039457584007913129639935',
+        settled_on: '2026-02-18',
+        payload: '0xDEADBEEF'
+      }
+    });
+    assert.equal(inserted.statusCode, 200);
+
+    const read = await execute('req_read_transfer', 'read', {
+      filters: { tx_hash: txHash.toLowerCase() }
+    });
+    assert.deepEqual(read.body.rows, [
+      {
+        tx_hash: txHash.toLowerCase(),
+        sender: '0x8ba1f109551bd432803012645ac136ddd64dba72',
+        amount: '115792089237316195423570985008687907853269984665640564039457584007913129639935',
+        settled_on: '2026-02-18',
+        payload: '0xdeadbeef'
+      }
+    ]);
+
+    const mixedCaseSender = await execute('req_read_mixed_case_sender', 'read', {
+      filters: { sender: '0x8BA1F109551BD432803012645AC136DDD64DBA72', tx_hash: { in: [txHash] } },
+      columns: ['tx_hash']
+    });
+    assert.equal(mixedCaseSender.statusCode, 200);
+    assert.deepEqual(mixedCaseSender.body.rows, [{ tx_hash: txHash.toLowerCase() }]);
+
+    const invalidFilter = await execute('req_read_invalid_sender', 'read', {
+      filters: { sender: 'not-an-address' }
+    });
+    assert.equal(invalidFilter.statusCode, 400);
+    assert.deepEqual(
+      invalidFilter.body.details.issues.map((issue) => `${issue.path}:${issue.code}`),
+      ['filters.sender:invalid_address']
+    );
+
+    const updated = await execute('req_update_by_payload', 'update', {
+      values: { settled_on: '2026-02-19' },
+      filters: { payload: '0xDEADBEEF', sender: '0x8BA1F109551BD432803012645AC136DDD64DBA72' }
+    });
+    assert.equal(updated.body.rowCount, 1);
+
+    const second = await execute('req_insert_second_transfer', 'insert', {
+      values: {
+        tx_hash: `0x${'01'.repeat(32)}`,
+        sender: adminWallet,
+        amount: '2',
+        payload: '0x01'
+      }
+    });
+    assert.equal(second.statusCode, 200);
+
+    const firstPage = await execute('req_page_by_payload', 'read', {
+      orderBy: [{ column: 'payload', direction: 'desc' }],
+      columns: ['payload', 'settled_on'],
+      limit: 1
+    });
+    assert.deepEqual(firstPage.body.rows, [{ payload: '0xdeadbeef', settled_on: '2026-02-19' }]);
+    const secondPage = await execute('req_page_by_payload_next', 'read', {
+      orderBy: [{ column: 'payload', direction: 'desc' }],
+      columns: ['payload', 'settled_on'],
+      limit: 1,
+      cursor: firstPage.body.nextCursor
+    });
+    assert.equal(secondPage.statusCode, 200, JSON.stringify(secondPage.body));
+    assert.deepEqual(secondPage.body.rows, [{ payload: '0x01', settled_on: null }]);
+
+    const deleted = await execute('req_delete_by_payload', 'delete', {
+      filters: { payload: { in: ['0x01', '0xABCDEF'] } }
+    });
+    assert.equal(deleted.body.rowCount, 1);
+  });
+});
+
 test('data operation service rejects raw sql input and unmanaged tables', async () => {
   await withDataOperationContext(async ({ dataOperationService }) => {
     const rawSqlResult = await dataOperationService.execute({
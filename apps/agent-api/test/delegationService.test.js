@@ -0,0 +1,242 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Wallet } from 'ethers';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
+import { createActionAuthorizationService } from '../src/services/actionAuthorizationService.js';
+import { buildSignedMessage, createAuthService } from '../src/services/authService.js';
+import { createDelegationUseStore } from '../src/services/delegationUseStore.js';
+import { buildDelegationTypedData, buildEip712Domain } from '../src/services/eip712TypedData.js';
+import { createPolicyGrantStore } from '../src/services/policyGrantStore.js';
+import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
+
+const tenantId = 'tenant_demo';
+const nowMs = Date.parse('2026-02-17T10:01:00.000Z');
+const domain = buildEip712Domain();
+
+async function signDelegation(issuerWallet, delegate, overrides = {}) {
+  const certificate = {
+    issuer: issuerWallet.address,
+    delegate: delegate.address,
+    tenantId,
+    scopes: [{ scopeType: 'database' }],
+    operations: ['read'],
+    expiresAt: '2026-02-18T10:00:00.000Z',
+    salt: 'salt-1',
+    ...overrides
+  };
+  const typedData = buildDelegationTypedData(certificate, domain);
+  certificate.signature = await issuerWallet.signTypedData(
+    typedData.domain,
+    typedData.types,
+    typedData.message
+  );
+
+  return certificate;
+}
+
+async function signQuery(signer, root, delegation, overrides = {}) {
+  const payload = {
+    requestId: 'req-delegated',
+    tenantId,
+    requester: root.address,
+    capability: 'balances:read',
+    queryTemplate: 'wallet_balances',
+    queryParams: { chainId: 1 },
+    delegation,
+    auth: { nonce: overrides.nonce || 'nonce-1', signedAt: '2026-02-17T10:00:00.000Z' },
+    ...overrides.payload
+  };
+  payload.auth.signature = await signer.signMessage(buildSignedMessage(payload));
+
+  return payload;
+}
+
+test('authService accepts a narrowing delegation chain signed by the leaf key', async () => {
+  const root = Wallet.createRandom();
+  const agent = Wallet.createRandom();
+  const subAgent = Wallet.createRandom();
+  const authService = createAuthService({ enabled: true }, { now: () => nowMs });
+
+  const chain = [
+    await signDelegation(root, agent, {
+      caveats: { maxUses: 10, capabilities: ['balances:read', 'transactions:read'] }
+    }),
+    await signDelegation(agent, subAgent, {
+      expiresAt: '2026-02-17T12:00:00.000Z',
+      caveats: { maxUses: 5, capabilities: ['balances:read'] }
+    })
+  ];
+
+  const accepted = await authService.authenticate(await signQuery(subAgent, root, chain));
+  assert.equal(accepted.ok, true);
+  assert.equal(accepted.requester, root.address);
+  assert.equal(accepted.delegation.principal, root.address);
+  assert.equal(accepted.delegation.delegate, subAgent.address);
+  assert.deepEqual(accepted.delegation.capabilities, ['balances:read']);
+  assert.deepEqual(accepted.delegation.links.map((link) => link.maxUses), [10, 5]);
+
+  const rootSigned = await authService.authenticate(
+    await signQuery(root, root, chain, { nonce: 'nonce-2' })
+  );
+  assert.equal(rootSigned.code, 'SIGNER_MISMATCH');
+
+  const skipped = await authService.authenticate(
+    await signQuery(subAgent, root, [chain[1]], { nonce: 'nonce-3' })
+  );
+  assert.equal(skipped.code, 'DELEGATION_CHAIN_BROKEN');
+
+  const tampered = await authService.authenticate(
+    await signQuery(subAgent, root, [chain[0], { ...chain[1], operations: ['read', 'delete'] }], {
+      nonce: 'nonce-4'
+    })
+  );
+  assert.equal(tampered.code, 'DELEGATION_WIDENS_SCOPE');
+});
+
+test('delegation links that widen scope, expiry or caveats are rejected', async () => {
+  const root = Wallet.createRandom();
+  const agent = Wallet.createRandom();
+  const subAgent = Wallet.createRandom();
+  const authService = createAuthService({ enabled: false }, { now: () => nowMs });
+  const parent = await signDelegation(root, agent, {
+    scopes: [{ scopeType: 'table', scopeId: 'orders' }],
+    caveats: { maxUses: 3 }
+  });
+
+  const cases = [
+    [{ scopes: [{ scopeType: 'database' }] }, 'DELEGATION_WIDENS_SCOPE'],
+    [{ expiresAt: '2026-02-19T10:00:00.000Z' }, 'DELEGATION_WIDENS_SCOPE'],
+    [{ caveats: {} }, 'DELEGATION_WIDENS_SCOPE'],
+    [{ expiresAt: '2026-02-17T10:00:00.000Z' }, 'DELEGATION_EXPIRED'],
+    [{ tenantId: 'tenant_other' }, 'DELEGATION_TENANT_MISMATCH'],
+    [{ caveats: { maxUses: 1, ipAllowList: ['10.0.0.1'] } }, 'INVALID_DELEGATION']
+  ];
+  for (const [overrides, expectedCode] of cases) {
+    const child = await signDelegation(agent, subAgent, {
+      scopes: [{ scopeType: 'table', scopeId: 'orders' }],
+      caveats: { maxUses: 1 },
+      ...overrides
+    });
+    const result = await authService.authenticate(
+      await signQuery(subAgent, root, [parent, child])
+    );
+    assert.equal(result.code, expectedCode, JSON.stringify(overrides));
+  }
+
+  const foreignSignature = (await signDelegation(agent, agent)).signature;
+  const forged = await authService.authenticate(
+    await signQuery(subAgent, root, [{ ...parent, signature: foreignSignature }])
+  );
+  assert.equal(forged.code, 'DELEGATION_SIGNATURE_INVALID');
+});
+
+test('action authorization intersects root policy with delegation scope and uses', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-delegation-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'delegation.sqlite') });
+  const grantStore = createPolicyGrantStore({ databaseAdapter: adapter });
+  const delegationUseStore = createDelegationUseStore({ databaseAdapter: adapter });
+  await grantStore.ensureInitialized();
+
+  const root = Wallet.createRandom();
+  const agent = Wallet.createRandom();
+  const actionAuthorizationService = createActionAuthorizationService({
+    grantStore,
+    delegationUseStore,
+    mutationAuthService: createPolicyMutationAuthService({ enabled: false }, { now: () => nowMs })
+  });
+
+  try {
+    for (const tableName of ['orders', 'customers']) {
+      await grantStore.createGrant({
+        tenantId,
+        walletAddress: root.address,
+        scopeType: 'table',
+        scopeId: tableName,
+        operation: 'read',
+        effect: 'allow',
+        createdBy: root.address,
+        createdAt: '2026-02-17T09:00:00.000Z',
+        signatureHash: 'seeded-grant-signature'
+      });
+    }
+
+    const delegation = [
+      await signDelegation(root, agent, {
+        scopes: [{ scopeType: 'table', scopeId: 'orders' }],
+        operations: ['read', 'insert'],
+        caveats: { maxUses: 2 }
+      })
+    ];
+    const authorize = (tableName, operation = 'read') =>
+      actionAuthorizationService.authorize({
+        requestId: `req-${tableName}-${operation}`,
+        tenantId,
+        actorWallet: root.address,
+        auth: null,
+        delegation,
+        action: 'data:execute',
+        actionPayload: { tableName, operation },
+        scopeType: 'table',
+        scopeId: tableName,
+        operation
+      });
+
+    const allowed = await authorize('orders');
+    assert.equal(allowed.ok, true);
+    assert.equal(allowed.actorWallet, root.address.toLowerCase());
+    assert.equal(allowed.delegation.delegate, agent.address);
+    assert.equal(allowed.delegation.delegationIds.length, 1);
+
+    const outOfScope = await authorize('customers');
+    assert.equal(outOfScope.statusCode, 403);
+    assert.equal(outOfScope.body.error, 'DELEGATION_SCOPE_DENIED');
+
+    const rootLacksGrant = await authorize('orders', 'insert');
+    assert.equal(rootLacksGrant.body.error, 'POLICY_DENIED');
+
+    // Authorizing alone spends nothing; uses are charged once the request is validated.
+    assert.equal(
+      await delegationUseStore.getUseCount({
+        tenantId,
+        delegationId: allowed.delegation.delegationIds[0]
+      }),
+      0
+    );
+    const spend = async () =>
+      actionAuthorizationService.consumeGrantUses({
+        tenantId,
+        authorization: await authorize('orders')
+      });
+    assert.equal((await spend()).ok, true);
+
+    const limitedGrant = await grantStore.createGrant({
+      tenantId,
+      walletAddress: root.address,
+      scopeType: 'table',
+      scopeId: 'orders',
+      operation: 'read',
+      effect: 'allow',
+      maxUses: 5,
+      createdBy: root.address,
+      createdAt: '2026-02-17T09:00:00.000Z',
+      signatureHash: 'seeded-grant-signature'
+    });
+    assert.equal((await spend()).ok, true);
+    const exhausted = await spend();
+    assert.equal(exhausted.statusCode, 403);
+    assert.equal(exhausted.body.error, 'DELEGATION_EXHAUSTED');
+
+    // The exhausted delegation rolls back the grant use charged in the same transaction.
+    const storedGrant = await grantStore.getGrantById({
+      tenantId,
+      grantId: limitedGrant.grantId
+    });
+    assert.equal(storedGrant.usesRemaining, 4);
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -314,6 +314,64 @@ test('policy draft calls eigen provider and validates grants', async () => {
   );
 });
 
+test('schema drafts can use domain field types from the mock or provider aliases', async () => {
+  await withAiService(async ({ eigenAiService }) => {
+    const actorWallet = Wallet.createRandom();
+    const result = await eigenAiService.createSchemaDraft({
+      requestId: 'req_ai_transfers_1',
+      tenantId: 'tenant_demo',
+      actorWallet: actorWallet.address,
+      prompt: 'Track token transfers per wallet.',
+      context: { databaseName: 'branch_ledger', engine: 'postgres' }
+    });
+
+    assert.equal(result.statusCode, 200);
+    assert.match(result.body.migrationPlan.steps[1].sql, /"amount" NUMERIC\(78, 0\) NOT NULL/);
+  });
+
+  let providerRequest = null;
+  await withConfigurableAiService(
+    async ({ eigenAiService }) => {
+      const actorWallet = Wallet.createRandom();
+      const result = await eigenAiService.createSchemaDraft({
+        requestId: 'req_ai_eigen_transfers_1',
+        tenantId: 'tenant_demo',
+        actorWallet: actorWallet.address,
+        prompt: 'Create transfer schema',
+        context: { databaseName: 'branch_ledger', engine: 'postgres' }
+      });
+
+      assert.equal(result.statusCode, 200, JSON.stringify(result.body));
+      assert.ok(providerRequest.fieldTypes.includes('decimal(precision, scale)'));
+      assert.deepEqual(
+        result.body.submissionPayload.tables[0].fields.map((field) => field.type),
+        ['bytes32', 'address', 'decimal(18, 6)', 'bytea']
+      );
+    },
+    {
+      fetchImpl: async (url, init) => {
+        providerRequest = JSON.parse(init.body);
+        return new Response(
+          JSON.stringify({
+            tables: [
+              {
+                name: 'transfers',
+                fields: [
+                  { name: 'tx_hash', type: 'TX_HASH', primaryKey: true },
+                  { name: 'sender', type: 'wallet_address' },
+                  { name: 'amount', type: 'numeric(18, 6)' },
+                  { name: 'payload', type: 'blob' }
+                ]
+              }
+            ]
+          }),
+          { status: 200, headers: { 'content-type': 'application/json' } }
+        );
+      }
+    }
+  );
+});
+
 test('eigen provider errors are mapped to deterministic service errors', async () => {
   await withConfigurableAiService(
     async ({ eigenAiService }) => {
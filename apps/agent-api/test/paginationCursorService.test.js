@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPaginationCursorService, hashCursor } from '../src/services/paginationCursorService.js';
+
+const binding = {
+  scope: 'query',
+  tenantId: 'tenant_demo',
+  requester: '0x0000000000000000000000000000000000001234',
+  queryTemplate: 'wallet_transactions',
+  queryParams: { chainId: 1, walletAddress: '0x0000000000000000000000000000000000001234' }
+};
+
+test('cursor service resolves issued cursors for the same binding', () => {
+  const cursorService = createPaginationCursorService({ cursorSecret: 'cursor-secret' });
+
+  const firstPage = cursorService.resolveCursor({ cursor: undefined, binding });
+  assert.deepEqual(firstPage, { ok: true, page: 1, keyValues: null, cursorHash: null });
+
+  const cursor = cursorService.issueCursor({
+    binding,
+    keyValues: [new Date('2026-02-17T10:00:00.000Z'), '0xabc'],
+    page: 2
+  });
+  const resolved = cursorService.resolveCursor({
+    cursor,
+    binding: {
+      ...binding,
+      queryParams: { walletAddress: binding.queryParams.walletAddress, chainId: 1 }
+    }
+  });
+
+  assert.equal(resolved.ok, true);
+  assert.equal(resolved.page, 2);
+  assert.deepEqual(resolved.keyValues, ['2026-02-17T10:00:00.000Z', '0xabc']);
+  assert.equal(resolved.cursorHash, hashCursor(cursor));
+});
+
+test('cursor service rejects tampered, foreign, rebound and expired cursors', () => {
+  let nowMs = Date.parse('2026-02-17T10:00:00.000Z');
+  const cursorService = createPaginationCursorService({
+    cursorSecret: 'cursor-secret',
+    cursorTtlSeconds: 60,
+    now: () => nowMs
+  });
+  const cursor = cursorService.issueCursor({ binding, keyValues: ['a'], page: 2 });
+  const [encodedPayload, signature] = cursor.split('.');
+
+  const forgedPayload = Buffer.from(
+    JSON.stringify({ ...JSON.parse(Buffer.from(encodedPayload, 'base64url').toString()), p: 9 })
+  ).toString('base64url');
+  const tampered = cursorService.resolveCursor({ cursor: `${forgedPayload}.${signature}`, binding });
+  assert.equal(tampered.statusCode, 400);
+  assert.equal(tampered.code, 'INVALID_CURSOR');
+
+  const foreign = createPaginationCursorService({ cursorSecret: 'other-secret' }).resolveCursor({
+    cursor,
+    binding
+  });
+  assert.equal(foreign.code, 'INVALID_CURSOR');
+
+  const rebound = cursorService.resolveCursor({
+    cursor,
+    binding: { ...binding, requester: '0x0000000000000000000000000000000000009999' }
+  });
+  assert.equal(rebound.statusCode, 403);
+  assert.equal(rebound.code, 'CURSOR_BINDING_MISMATCH');
+
+  nowMs += 61_000;
+  const expired = cursorService.resolveCursor({ cursor, binding });
+  assert.equal(expired.statusCode, 400);
+  assert.equal(expired.code, 'CURSOR_EXPIRED');
+});
@@ -10,8 +10,12 @@ import { createPolicyMutationAuthService } from '../src/services/policyMutationA
 
 const adminWallet = '0x8ba1f109551bd432803012645ac136ddd64dba72';
 const managerWallet = '0x0000000000000000000000000000000000001234';
+const analystWallet = '0x0000000000000000000000000000000000005678';
 
-async function withPolicyAdminService(testFn, { runtimeAttestationService = null } = {}) {
+async function withPolicyAdminService(
+  testFn,
+  { runtimeAttestationService = null, now = () => '2026-02-18T00:00:00.000Z' } = {}
+) {
   const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-policy-admin-'));
   const dbPath = path.join(tempDir, 'policy.sqlite');
   const adapter = await createSqliteAdapter({ filePath: dbPath });
@@ -23,7 +27,7 @@ async function withPolicyAdminService(testFn, { runtimeAttestationService = null
     grantStore,
     mutationAuthService: createPolicyMutationAuthService({ enabled: false }),
     ...(runtimeAttestationService ? { runtimeAttestationService } : {}),
-    now: () => '2026-02-18T00:00:00.000Z'
+    now
   });
 
   try {
@@ -97,6 +101,68 @@ test('self-escalation is blocked for actor without required permissions', async
   });
 });
 
+test('restricted grants only let the actor issue equally narrow grants to others', async () => {
+  await withPolicyAdminService(async ({ policyAdminService }) => {
+    await policyAdminService.createGrant(bootstrapPayload());
+
+    const restriction = {
+      expiresAt: '2026-03-01T00:00:00.000Z',
+      maxUses: 2,
+      rowPredicate: { owner_wallet: '$actorWallet' }
+    };
+    const grantFor = (actorWallet, walletAddress, requestId, limits = {}) =>
+      policyAdminService.createGrant({
+        requestId,
+        tenantId: 'tenant_demo',
+        actorWallet,
+        grant: {
+          walletAddress,
+          scopeType: 'table',
+          scopeId: 'orders',
+          operation: 'read',
+          effect: 'allow',
+          ...limits
+        }
+      });
+
+    const restricted = await grantFor(adminWallet, managerWallet, 'req-restricted', restriction);
+    assert.equal(restricted.statusCode, 201);
+
+    const selfIssued = await grantFor(managerWallet, managerWallet, 'req-self-widen');
+    assert.equal(selfIssued.statusCode, 403);
+    assert.equal(selfIssued.body.error, 'SELF_ESCALATION_BLOCKED');
+
+    const selfIssuedNarrow = await grantFor(
+      managerWallet,
+      managerWallet,
+      'req-self-narrow',
+      restriction
+    );
+    assert.equal(selfIssuedNarrow.statusCode, 403);
+    assert.equal(selfIssuedNarrow.body.error, 'SELF_ESCALATION_BLOCKED');
+
+    const wider = await grantFor(managerWallet, analystWallet, 'req-delegate-wider', {
+      ...restriction,
+      maxUses: 3
+    });
+    assert.equal(wider.statusCode, 403);
+    assert.equal(wider.body.error, 'AUTHORITY_NARROWER_THAN_GRANT');
+    assert.match(wider.body.message, /maxUses must not exceed the 2 uses left/);
+
+    const unbounded = await grantFor(managerWallet, analystWallet, 'req-delegate-plain');
+    assert.equal(unbounded.statusCode, 403);
+    assert.match(unbounded.body.message, /rowPredicate/);
+    assert.match(unbounded.body.message, /expiresAt/);
+
+    const narrower = await grantFor(managerWallet, analystWallet, 'req-delegate-narrow', {
+      expiresAt: '2026-02-20T00:00:00.000Z',
+      maxUses: 1,
+      rowPredicate: { owner_wallet: '$actorWallet', status: 'open' }
+    });
+    assert.equal(narrower.statusCode, 201);
+  });
+});
+
 test('admin can grant and revoke permission with tamper check', async () => {
   await withPolicyAdminService(async ({ policyAdminService }) => {
     const bootstrap = await policyAdminService.createGrant(bootstrapPayload());
@@ -187,3 +253,267 @@ test('policy grant mutation is blocked when runtime verification fails', async (
     }
   );
 });
+
+test('time-bounded and usage-limited grants stop matching once expired or exhausted', async () => {
+  let currentTime = '2026-02-18T00:00:00.000Z';
+  await withPolicyAdminService(
+    async ({ policyAdminService, grantStore }) => {
+      const bootstrap = await policyAdminService.createGrant(bootstrapPayload());
+      assert.equal(bootstrap.statusCode, 201);
+
+      const invalidWindow = await policyAdminService.createGrant({
+        requestId: 'req-invalid-window',
+        tenantId: 'tenant_demo',
+        actorWallet: adminWallet,
+        grant: {
+          walletAddress: managerWallet,
+          scopeType: 'table',
+          scopeId: 'audit_log',
+          operation: 'read',
+          effect: 'allow',
+          expiresAt: '2026-02-17T00:00:00.000Z',
+          maxUses: 0
+        }
+      });
+      assert.equal(invalidWindow.statusCode, 400);
+      assert.deepEqual(
+        invalidWindow.body.details.issues.map((issue) => `${issue.path}:${issue.code}`),
+        ['grant.expiresAt:invalid_window', 'grant.maxUses:invalid_max_uses']
+      );
+
+      const temporary = await policyAdminService.createGrant({
+        requestId: 'req-temporary-grant',
+        tenantId: 'tenant_demo',
+        actorWallet: adminWallet,
+        grant: {
+          walletAddress: managerWallet,
+          scopeType: 'table',
+          scopeId: 'audit_log',
+          operation: 'read',
+          effect: 'allow',
+          notBefore: '2026-02-18T00:00:00Z',
+          expiresAt: '2026-02-19T00:00:00Z'
+        }
+      });
+      assert.equal(temporary.statusCode, 201);
+      assert.equal(temporary.body.grant.expiresAt, '2026-02-19T00:00:00.000Z');
+
+      const limited = await policyAdminService.createGrant({
+        requestId: 'req-limited-grant',
+        tenantId: 'tenant_demo',
+        actorWallet: adminWallet,
+        grant: {
+          walletAddress: managerWallet,
+          scopeType: 'table',
+          scopeId: 'audit_log',
+          operation: 'delete',
+          effect: 'allow',
+          maxUses: 1
+        }
+      });
+      assert.equal(limited.statusCode, 201);
+      assert.equal(limited.body.grant.usesRemaining, 1);
+
+      const previewFor = (operation) =>
+        policyAdminService.previewDecision({
+          tenantId: 'tenant_demo',
+          walletAddress: managerWallet,
+          scopeType: 'table',
+          scopeId: 'audit_log',
+          operation
+        });
+
+      assert.equal((await previewFor('read')).body.decision.allowed, true);
+      assert.equal((await previewFor('delete')).body.decision.allowed, true);
+
+      assert.equal(
+        await grantStore.consumeGrantUse({ tenantId: 'tenant_demo', grantId: limited.body.grant.grantId }),
+        true
+      );
+      assert.equal(
+        await grantStore.consumeGrantUse({ tenantId: 'tenant_demo', grantId: limited.body.grant.grantId }),
+        false
+      );
+
+      const limitedUpdate = await policyAdminService.createGrant({
+        requestId: 'req-limited-update-grant',
+        tenantId: 'tenant_demo',
+        actorWallet: adminWallet,
+        grant: {
+          walletAddress: managerWallet,
+          scopeType: 'table',
+          scopeId: 'orders',
+          operation: 'update',
+          effect: 'allow',
+          maxUses: 1
+        }
+      });
+      const updateGrantId = limitedUpdate.body.grant.grantId;
+      assert.equal(
+        await grantStore.consumeGrantUses({
+          tenantId: 'tenant_demo',
+          grantIds: [updateGrantId, limited.body.grant.grantId]
+        }),
+        false
+      );
+      assert.equal(
+        (await grantStore.getGrantById({ tenantId: 'tenant_demo', grantId: updateGrantId }))
+          .usesRemaining,
+        1
+      );
+      await grantStore.revokeGrant({
+        tenantId: 'tenant_demo',
+        grantId: updateGrantId,
+        revokedBy: adminWallet,
+        revokedAt: '2026-02-18T00:00:00.000Z'
+      });
+
+      const exhausted = await previewFor('delete');
+      assert.equal(exhausted.body.decision.allowed, false);
+      assert.equal(exhausted.body.decision.code, 'GRANT_EXHAUSTED');
+
+      currentTime = '2026-02-20T00:00:00.000Z';
+      const expired = await previewFor('read');
+      assert.equal(expired.body.decision.allowed, false);
+      assert.equal(expired.body.decision.code, 'GRANT_EXPIRED');
+      assert.equal(expired.body.decision.inactiveGrant.grantId, temporary.body.grant.grantId);
+
+      const listed = await policyAdminService.listGrants({
+        tenantId: 'tenant_demo',
+        walletAddress: managerWallet
+      });
+      assert.deepEqual(listed.body.grants, []);
+
+      const listedWithExpired = await policyAdminService.listGrants({
+        tenantId: 'tenant_demo',
+        walletAddress: managerWallet,
+        includeExpired: true
+      });
+      assert.deepEqual(
+        listedWithExpired.body.grants.map((grant) => grant.status).sort(),
+        ['exhausted', 'expired']
+      );
+    },
+    { now: () => currentTime }
+  );
+});
+
+test('pattern grants can only be delegated within the pattern the actor holds', async () => {
+  await withPolicyAdminService(async ({ policyAdminService }) => {
+    await policyAdminService.createGrant(bootstrapPayload());
+
+    const grantFor = (actorWallet, walletAddress, scopeId, requestId) =>
+      policyAdminService.createGrant({
+        requestId,
+        tenantId: 'tenant_demo',
+        actorWallet,
+        grant: {
+          walletAddress,
+          scopeType: 'table',
+          scopeId,
+          operation: 'read',
+          effect: 'allow'
+        }
+      });
+
+    const invalid = await grantFor(adminWallet, managerWallet, '*', 'req-pattern-invalid');
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.details.issues[0].code, 'invalid_scope_id');
+
+    const managerPattern = await grantFor(adminWallet, managerWallet, 'Events_*', 'req-pattern');
+    assert.equal(managerPattern.statusCode, 201);
+    assert.equal(managerPattern.body.grant.scopeId, 'events_*');
+
+    const narrower = await grantFor(
+      managerWallet,
+      analystWallet,
+      'events_2026_*',
+      'req-pattern-narrower'
+    );
+    assert.equal(narrower.statusCode, 201);
+
+    const broader = await grantFor(managerWallet, analystWallet, 'event*', 'req-pattern-broader');
+    assert.equal(broader.statusCode, 403);
+    assert.equal(broader.body.error, 'SELF_ESCALATION_BLOCKED');
+
+    const preview = await policyAdminService.previewDecision({
+      tenantId: 'tenant_demo',
+      walletAddress: analystWallet,
+      scopeType: 'table',
+      scopeId: 'events_2026_03',
+      operation: 'read'
+    });
+    assert.equal(preview.body.decision.code, 'TABLE_PATTERN_OPERATION_ALLOW_MATCH');
+    assert.equal(preview.body.decision.matchedGrant.scopeId, 'events_2026_*');
+  });
+});
+
+test('grant conditions are validated, stored and evaluated against the preview context', async () => {
+  await withPolicyAdminService(async ({ policyAdminService }) => {
+    const conditionalBootstrap = bootstrapPayload();
+    conditionalBootstrap.grant.conditions = { sources: ['http'] };
+    const bootstrapRejected = await policyAdminService.createGrant(conditionalBootstrap);
+    assert.equal(bootstrapRejected.statusCode, 403);
+
+    await policyAdminService.createGrant(bootstrapPayload());
+
+    const grantWithConditions = (conditions, requestId) =>
+      policyAdminService.createGrant({
+        requestId,
+        tenantId: 'tenant_demo',
+        actorWallet: adminWallet,
+        grant: {
+          walletAddress: analystWallet,
+          scopeType: 'table',
+          scopeId: 'inventory',
+          operation: 'read',
+          effect: 'allow',
+          conditions
+        }
+      });
+
+    const invalid = await grantWithConditions(
+      {
+        timeWindow: { start: '9:00', end: '17:00' },
+        chainIds: [0],
+        sources: ['grpc'],
+        region: 'eu'
+      },
+      'req-conditions-invalid'
+    );
+    assert.equal(invalid.statusCode, 400);
+    assert.deepEqual(
+      invalid.body.details.issues.map((issue) => issue.code),
+      ['unsupported_condition', 'invalid_time_window', 'invalid_chain_ids', 'invalid_sources']
+    );
+
+    const created = await grantWithConditions(
+      { chainIds: [8453, 1, 8453], sources: ['a2a'] },
+      'req-conditions'
+    );
+    assert.equal(created.statusCode, 201);
+    assert.deepEqual(created.body.grant.conditions, { chainIds: [1, 8453], sources: ['a2a'] });
+
+    const previewWith = (context) =>
+      policyAdminService.previewDecision({
+        tenantId: 'tenant_demo',
+        walletAddress: analystWallet,
+        scopeType: 'table',
+        scopeId: 'inventory',
+        operation: 'read',
+        context
+      });
+
+    const fromHttp = await previewWith({ source: 'http', chainId: 1 });
+    assert.equal(fromHttp.body.decision.allowed, false);
+    assert.equal(fromHttp.body.decision.code, 'GRANT_CONDITION_FAILED');
+    assert.equal(fromHttp.body.decision.conditionFailure.condition, 'sources');
+
+    const fromA2a = await previewWith({ source: 'a2a', chainId: 1 });
+    assert.equal(fromA2a.body.decision.allowed, true);
+
+    const invalidContext = await previewWith({ source: 'grpc' });
+    assert.equal(invalidContext.statusCode, 400);
+    assert.equal(invalidContext.body.details.issues[0].path, 'context.source');
+  });
+});
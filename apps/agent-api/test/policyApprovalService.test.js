@@ -0,0 +1,286 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
+import { createPolicyAdminService } from '../src/services/policyAdminService.js';
+import { createPolicyApprovalService } from '../src/services/policyApprovalService.js';
+import { createPolicyApprovalStore } from '../src/services/policyApprovalStore.js';
+import { createPolicyGrantStore } from '../src/services/policyGrantStore.js';
+import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
+import { createPolicyRoleAdminService } from '../src/services/policyRoleAdminService.js';
+import { createPolicyRoleStore } from '../src/services/policyRoleStore.js';
+
+const adminWallet = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const secondAdminWallet = '0x000000000000000000000000000000000000b0b0';
+const thirdAdminWallet = '0x000000000000000000000000000000000000c0c0';
+const analystWallet = '0x0000000000000000000000000000000000001234';
+
+async function withApprovalServices(testFn) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-policy-approvals-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'approvals.sqlite') });
+
+  const grantStore = createPolicyGrantStore({ databaseAdapter: adapter });
+  const approvalStore = createPolicyApprovalStore({ databaseAdapter: adapter });
+  const roleStore = createPolicyRoleStore({ databaseAdapter: adapter });
+  await grantStore.ensureInitialized();
+  await approvalStore.ensureInitialized();
+  await roleStore.ensureInitialized();
+
+  const clock = { ms: Date.UTC(2026, 1, 18, 9, 0, 0) };
+  const now = () => new Date(clock.ms).toISOString();
+  const mutationAuthService = createPolicyMutationAuthService({ enabled: false });
+  const policyAdminService = createPolicyAdminService({
+    grantStore,
+    roleStore,
+    approvalStore,
+    mutationAuthService,
+    now
+  });
+  const approvalService = createPolicyApprovalService({
+    approvalStore,
+    grantStore,
+    roleStore,
+    mutationAuthService,
+    now
+  });
+  const roleAdminService = createPolicyRoleAdminService({
+    roleStore,
+    grantStore,
+    approvalStore,
+    mutationAuthService,
+    now
+  });
+
+  try {
+    await testFn({ policyAdminService, approvalService, roleAdminService, grantStore, clock });
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+function grantPayload(requestId, actorWallet, grant) {
+  return {
+    requestId,
+    tenantId: 'tenant_demo',
+    actorWallet,
+    grant
+  };
+}
+
+function adminGrant(walletAddress) {
+  return {
+    walletAddress,
+    scopeType: 'database',
+    scopeId: '*',
+    operation: 'all',
+    effect: 'allow'
+  };
+}
+
+const analystGrant = {
+  walletAddress: analystWallet,
+  scopeType: 'table',
+  scopeId: 'inventory',
+  operation: 'read',
+  effect: 'allow'
+};
+
+async function setupTwoOfThree({ policyAdminService, approvalService }) {
+  await policyAdminService.createGrant(grantPayload('req-1', adminWallet, adminGrant(adminWallet)));
+  await policyAdminService.createGrant(
+    grantPayload('req-2', adminWallet, adminGrant(secondAdminWallet))
+  );
+
+  return approvalService.setQuorum({
+    requestId: 'req-quorum',
+    tenantId: 'tenant_demo',
+    actorWallet: adminWallet,
+    quorum: {
+      action: 'policy:grant:create',
+      threshold: 2,
+      approvers: [adminWallet, secondAdminWallet, thirdAdminWallet],
+      ttlSeconds: 3600
+    }
+  });
+}
+
+test('grant creation waits for the configured quorum of approver signatures', async () => {
+  await withApprovalServices(async (services) => {
+    const { policyAdminService, approvalService, grantStore, clock } = services;
+    const invalid = await approvalService.setQuorum({
+      requestId: 'req-invalid',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      quorum: {
+        action: 'policy:grant:create',
+        threshold: 3,
+        approvers: [adminWallet, adminWallet]
+      }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.deepEqual(
+      invalid.body.details.issues.map((issue) => issue.code),
+      ['duplicate_approver', 'invalid_threshold']
+    );
+
+    const quorum = await setupTwoOfThree(services);
+    assert.equal(quorum.statusCode, 200);
+    assert.equal(quorum.body.quorum.threshold, 2);
+
+    const first = await policyAdminService.createGrant(
+      grantPayload('req-analyst', adminWallet, analystGrant)
+    );
+    assert.equal(first.statusCode, 202);
+    assert.equal(first.body.code, 'APPROVAL_PENDING');
+    assert.equal(first.body.pendingMutation.remaining, 1);
+    assert.equal(await grantStore.countActiveGrants('tenant_demo'), 2);
+
+    const repeated = await policyAdminService.createGrant(
+      grantPayload('req-analyst-again', adminWallet, analystGrant)
+    );
+    assert.equal(repeated.statusCode, 409);
+    assert.equal(repeated.body.error, 'APPROVAL_ALREADY_RECORDED');
+
+    const listed = await approvalService.listPendingMutations({
+      tenantId: 'tenant_demo',
+      status: 'pending'
+    });
+    assert.equal(listed.body.pendingMutations.length, 1);
+    assert.equal(
+      listed.body.pendingMutations[0].pendingMutationId,
+      first.body.pendingMutation.pendingMutationId
+    );
+    assert.deepEqual(
+      listed.body.pendingMutations[0].approvals.map((approval) => approval.walletAddress),
+      [adminWallet]
+    );
+
+    clock.ms += 60 * 1000;
+    const second = await policyAdminService.createGrant(
+      grantPayload('req-analyst-second', secondAdminWallet, analystGrant)
+    );
+    assert.equal(second.statusCode, 201);
+    assert.equal(second.body.code, 'GRANT_CREATED');
+    assert.equal(second.body.approval.status, 'executed');
+    assert.deepEqual(
+      second.body.approval.approvals.map((approval) => approval.walletAddress),
+      [adminWallet, secondAdminWallet]
+    );
+    assert.equal(await grantStore.countActiveGrants('tenant_demo'), 3);
+
+    const executed = await approvalService.listPendingMutations({
+      tenantId: 'tenant_demo',
+      status: 'executed'
+    });
+    assert.equal(executed.body.pendingMutations[0].resolvedBy, secondAdminWallet);
+  });
+});
+
+test('pending mutations expire and can be cancelled by an approver', async () => {
+  await withApprovalServices(async (services) => {
+    const { policyAdminService, approvalService, clock } = services;
+    await setupTwoOfThree(services);
+
+    const first = await policyAdminService.createGrant(
+      grantPayload('req-analyst', adminWallet, analystGrant)
+    );
+    assert.equal(first.statusCode, 202);
+
+    clock.ms += 2 * 3600 * 1000;
+    const expired = await approvalService.listPendingMutations({
+      tenantId: 'tenant_demo',
+      status: 'expired'
+    });
+    assert.equal(expired.body.pendingMutations.length, 1);
+
+    const restarted = await policyAdminService.createGrant(
+      grantPayload('req-analyst-late', secondAdminWallet, analystGrant)
+    );
+    assert.equal(restarted.statusCode, 202);
+    assert.notEqual(
+      restarted.body.pendingMutation.pendingMutationId,
+      first.body.pendingMutation.pendingMutationId
+    );
+
+    const cancelPayload = (actorWallet) => ({
+      requestId: 'req-cancel',
+      tenantId: 'tenant_demo',
+      actorWallet,
+      pendingMutationId: restarted.body.pendingMutation.pendingMutationId
+    });
+
+    const outsider = await approvalService.cancelPendingMutation(cancelPayload(analystWallet));
+    assert.equal(outsider.statusCode, 403);
+    assert.equal(outsider.body.error, 'CANCEL_NOT_AUTHORIZED');
+
+    const cancelled = await approvalService.cancelPendingMutation(cancelPayload(thirdAdminWallet));
+    assert.equal(cancelled.statusCode, 200);
+    assert.equal(cancelled.body.pendingMutation.status, 'cancelled');
+
+    const again = await approvalService.cancelPendingMutation(cancelPayload(adminWallet));
+    assert.equal(again.statusCode, 409);
+    assert.equal(again.body.error, 'PENDING_MUTATION_CLOSED');
+
+    const stale = await approvalService.cancelPendingMutation({
+      ...cancelPayload(adminWallet),
+      pendingMutationId: first.body.pendingMutation.pendingMutationId
+    });
+    assert.equal(stale.body.error, 'PENDING_MUTATION_CLOSED');
+    assert.match(stale.body.message, /expired/);
+  });
+});
+
+test('quorum changes and role assignments wait for the grant quorum', async () => {
+  await withApprovalServices(async (services) => {
+    const { approvalService, roleAdminService } = services;
+    await setupTwoOfThree(services);
+
+    const removePayload = (requestId, actorWallet) => ({
+      requestId,
+      tenantId: 'tenant_demo',
+      actorWallet,
+      quorum: { action: 'policy:grant:create', remove: true }
+    });
+    const firstRemoval = await approvalService.setQuorum(removePayload('req-remove', adminWallet));
+    assert.equal(firstRemoval.statusCode, 202);
+    assert.equal(firstRemoval.body.pendingMutation.action, 'policy:quorum:set');
+
+    const role = await roleAdminService.createRole({
+      requestId: 'req-role',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      role: {
+        name: 'analyst',
+        permissions: [
+          { scopeType: 'table', scopeId: 'inventory', operation: 'read', effect: 'allow' }
+        ]
+      }
+    });
+    assert.equal(role.statusCode, 201);
+
+    const assignPayload = (requestId, actorWallet) => ({
+      requestId,
+      tenantId: 'tenant_demo',
+      actorWallet,
+      roleName: 'analyst',
+      walletAddress: analystWallet
+    });
+    const firstAssign = await roleAdminService.assignRole(assignPayload('req-assign', adminWallet));
+    assert.equal(firstAssign.statusCode, 202);
+    assert.equal(firstAssign.body.pendingMutation.threshold, 2);
+
+    const assigned = await roleAdminService.assignRole(
+      assignPayload('req-assign-second', secondAdminWallet)
+    );
+    assert.equal(assigned.statusCode, 201);
+
+    const removed = await approvalService.setQuorum(
+      removePayload('req-remove-second', secondAdminWallet)
+    );
+    assert.equal(removed.statusCode, 200);
+    assert.equal(removed.body.action, 'policy:grant:create');
+  });
+});
@@ -1,6 +1,9 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { evaluatePolicyDecision } from '../src/services/policyDecisionEngine.js';
+import {
+  evaluateColumnDecisions,
+  evaluatePolicyDecision
+} from '../src/services/policyDecisionEngine.js';
 
 const tenantId = 'tenant_demo';
 const walletAddress = '0x8ba1f109551bd432803012645ac136ddd64dba72';
@@ -98,6 +101,68 @@ test('database operation allow precedes table all deny based on evaluation order
   assert.equal(result.decision.code, 'DATABASE_OPERATION_ALLOW_MATCH');
 });
 
+test('table patterns sit between exact table and database rules', () => {
+  const grants = [
+    createGrant({
+      grantId: 'grant-db-read-deny',
+      scopeType: 'database',
+      scopeId: '*',
+      operation: 'read',
+      effect: 'deny'
+    }),
+    createGrant({
+      grantId: 'grant-events-read-allow',
+      scopeType: 'table',
+      scopeId: 'events_*',
+      operation: 'read',
+      effect: 'allow'
+    }),
+    createGrant({
+      grantId: 'grant-events-2026-read-deny',
+      scopeType: 'table',
+      scopeId: 'events_2026_*',
+      operation: 'read',
+      effect: 'deny'
+    }),
+    createGrant({
+      grantId: 'grant-events-2026-01-read-allow',
+      scopeType: 'table',
+      scopeId: 'events_2026_01',
+      operation: 'read',
+      effect: 'allow'
+    })
+  ];
+
+  const evaluate = (scopeId) =>
+    evaluatePolicyDecision({
+      tenantId,
+      walletAddress,
+      scopeType: 'table',
+      scopeId,
+      operation: 'read',
+      grants
+    }).decision;
+
+  const exact = evaluate('events_2026_01');
+  assert.equal(exact.allowed, true);
+  assert.equal(exact.code, 'TABLE_OPERATION_ALLOW_MATCH');
+
+  const patternDeny = evaluate('events_2026_02');
+  assert.equal(patternDeny.allowed, false);
+  assert.equal(patternDeny.code, 'TABLE_PATTERN_OPERATION_DENY_MATCH');
+  const denyStep = patternDeny.evaluationPath.find((step) => step.matched);
+  assert.equal(denyStep.step, 'TABLE_PATTERN_OPERATION_DENY');
+  assert.equal(denyStep.pattern, 'events_2026_*');
+
+  const patternAllow = evaluate('events_2025_12');
+  assert.equal(patternAllow.allowed, true);
+  assert.equal(patternAllow.code, 'TABLE_PATTERN_OPERATION_ALLOW_MATCH');
+  assert.equal(patternAllow.evaluationPath.at(-1).pattern, 'events_*');
+
+  const database = evaluate('audit_events');
+  assert.equal(database.code, 'DATABASE_OPERATION_DENY_MATCH');
+});
+
 test('policy decision returns fallback deny when no grant matches', () => {
   const result = evaluatePolicyDecision({
     tenantId,
@@ -113,3 +178,184 @@ test('policy decision returns fallback deny when no grant matches', () => {
   assert.equal(result.decision.code, 'FALLBACK_DENY');
   assert.equal(result.decision.matchedGrant, null);
 });
+
+test('column rules take precedence over table rules and fall back to them', () => {
+  const grants = [
+    createGrant({
+      grantId: 'grant-table-read-allow',
+      scopeType: 'table',
+      scopeId: 'inventory',
+      operation: 'read',
+      effect: 'allow'
+    }),
+    createGrant({
+      grantId: 'grant-cost-read-deny',
+      scopeType: 'column',
+      scopeId: 'inventory.cost',
+      operation: 'read',
+      effect: 'deny'
+    }),
+    createGrant({
+      grantId: 'grant-audit-note-all-allow',
+      scopeType: 'column',
+      scopeId: 'audit_log.note',
+      operation: 'all',
+      effect: 'allow'
+    })
+  ];
+
+  const denied = evaluatePolicyDecision({
+    tenantId,
+    walletAddress,
+    scopeType: 'column',
+    scopeId: 'inventory.cost',
+    operation: 'read',
+    grants
+  });
+  assert.equal(denied.decision.allowed, false);
+  assert.equal(denied.decision.code, 'COLUMN_OPERATION_DENY_MATCH');
+
+  const inherited = evaluatePolicyDecision({
+    tenantId,
+    walletAddress,
+    scopeType: 'column',
+    scopeId: 'inventory.quantity',
+    operation: 'read',
+    grants
+  });
+  assert.equal(inherited.decision.code, 'TABLE_OPERATION_ALLOW_MATCH');
+  assert.equal(inherited.decision.evaluationPath[0].step, 'COLUMN_OPERATION_DENY');
+
+  const columns = evaluateColumnDecisions({
+    tenantId,
+    walletAddress,
+    tableName: 'audit_log',
+    operation: 'update',
+    columns: ['id', 'note'],
+    grants
+  });
+  assert.deepEqual(columns.columnAccess.allowedColumns, ['note']);
+  assert.deepEqual(columns.columnAccess.deniedColumns, ['id']);
+  assert.equal(columns.columnAccess.decisions.note.grantId, 'grant-audit-note-all-allow');
+
+  const invalidScope = evaluatePolicyDecision({
+    tenantId,
+    walletAddress,
+    scopeType: 'column',
+    scopeId: 'inventory',
+    operation: 'read',
+    grants
+  });
+  assert.equal(invalidScope.ok, false);
+});
+
+test('grants outside their validity window report why they stopped matching', () => {
+  const grants = [
+    {
+      ...createGrant({
+        grantId: 'g-future',
+        scopeType: 'table',
+        scopeId: 'inventory',
+        operation: 'read',
+        effect: 'allow'
+      }),
+      notBefore: '2026-03-01T00:00:00.000Z'
+    },
+    {
+      ...createGrant({
+        grantId: 'g-db-expired-deny',
+        scopeType: 'database',
+        scopeId: '*',
+        operation: 'read',
+        effect: 'deny'
+      }),
+      expiresAt: '2026-02-01T00:00:00.000Z'
+    }
+  ];
+
+  const pending = evaluatePolicyDecision({
+    tenantId,
+    walletAddress,
+    scopeType: 'table',
+    scopeId: 'inventory',
+    operation: 'read',
+    grants,
+    now: '2026-02-18T00:00:00.000Z'
+  });
+  assert.equal(pending.decision.allowed, false);
+  assert.equal(pending.decision.code, 'GRANT_NOT_YET_VALID');
+  assert.deepEqual(pending.decision.evaluationPath[1], {
+    step: 'TABLE_OPERATION_ALLOW',
+    matched: false,
+    grantId: null,
+    inactiveGrantId: 'g-future',
+    inactiveStatus: 'pending'
+  });
+
+  const active = evaluatePolicyDecision({
+    tenantId,
+    walletAddress,
+    scopeType: 'table',
+    scopeId: 'inventory',
+    operation: 'read',
+    grants,
+    now: new Date('2026-03-02T00:00:00.000Z')
+  });
+  assert.equal(active.decision.allowed, true);
+  assert.equal(active.decision.matchedGrant.grantId, 'g-future');
+});
+
+test('grant conditions are checked against the request context and report the failed condition', () => {
+  const grants = [
+    {
+      ...createGrant({
+        grantId: 'g-business-hours',
+        scopeType: 'table',
+        scopeId: 'inventory',
+        operation: 'read',
+        effect: 'allow'
+      }),
+      conditions: {
+        timeWindow: { start: '22:00', end: '06:00' },
+        chainIds: [1, 8453],
+        sources: ['http'],
+        attestation: 'verified'
+      }
+    }
+  ];
+  const evaluate = (context, now = '2026-02-18T23:30:00.000Z') =>
+    evaluatePolicyDecision({
+      tenantId,
+      walletAddress,
+      scopeType: 'table',
+      scopeId: 'inventory',
+      operation: 'read',
+      grants,
+      context,
+      now
+    }).decision;
+
+  const satisfied = { source: 'http', chainId: 8453, attestationVerified: true };
+  assert.equal(evaluate(satisfied).allowed, true);
+  assert.equal(evaluate(satisfied).matchedGrant.grantId, 'g-business-hours');
+
+  const outsideWindow = evaluate(satisfied, '2026-02-18T12:00:00.000Z');
+  assert.equal(outsideWindow.allowed, false);
+  assert.equal(outsideWindow.code, 'GRANT_CONDITION_FAILED');
+  assert.equal(outsideWindow.conditionFailure.condition, 'timeWindow');
+  assert.deepEqual(outsideWindow.evaluationPath[1], {
+    step: 'TABLE_OPERATION_ALLOW',
+    matched: false,
+    grantId: null,
+    conditionFailedGrantId: 'g-business-hours',
+    failedCondition: 'timeWindow'
+  });
+
+  assert.equal(evaluate({ ...satisfied, chainId: 10 }).conditionFailure.condition, 'chainIds');
+  assert.equal(evaluate({ ...satisfied, source: 'a2a' }).conditionFailure.condition, 'sources');
+  assert.equal(
+    evaluate({ ...satisfied, attestationVerified: false }).conditionFailure.condition,
+    'attestation'
+  );
+  assert.equal(evaluate(null).conditionFailure.condition, 'chainIds');
+});
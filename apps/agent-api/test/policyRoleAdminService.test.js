@@ -0,0 +1,198 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
+import { createPolicyAdminService } from '../src/services/policyAdminService.js';
+import { createPolicyGrantStore } from '../src/services/policyGrantStore.js';
+import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
+import { createPolicyRoleAdminService } from '../src/services/policyRoleAdminService.js';
+import { createPolicyRoleStore } from '../src/services/policyRoleStore.js';
+
+const adminWallet = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const analystWallet = '0x0000000000000000000000000000000000001234';
+
+async function withRoleServices(testFn) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-policy-roles-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'roles.sqlite') });
+
+  const grantStore = createPolicyGrantStore({ databaseAdapter: adapter });
+  const roleStore = createPolicyRoleStore({ databaseAdapter: adapter });
+  await grantStore.ensureInitialized();
+  await roleStore.ensureInitialized();
+
+  const mutationAuthService = createPolicyMutationAuthService({ enabled: false });
+  const now = () => '2026-02-18T00:00:00.000Z';
+  const policyAdminService = createPolicyAdminService({
+    grantStore,
+    roleStore,
+    mutationAuthService,
+    now
+  });
+  const roleAdminService = createPolicyRoleAdminService({
+    roleStore,
+    grantStore,
+    mutationAuthService,
+    now
+  });
+
+  try {
+    await policyAdminService.createGrant({
+      requestId: 'req-bootstrap',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      grant: {
+        walletAddress: adminWallet,
+        scopeType: 'database',
+        scopeId: '*',
+        operation: 'all',
+        effect: 'allow'
+      }
+    });
+
+    await testFn({ policyAdminService, roleAdminService });
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+function analystRolePayload(actorWallet = adminWallet) {
+  return {
+    requestId: 'req-role-create',
+    tenantId: 'tenant_demo',
+    actorWallet,
+    role: {
+      name: 'analyst',
+      description: 'Read inventory, never payroll.',
+      permissions: [
+        { scopeType: 'table', scopeId: 'inventory', operation: 'read', effect: 'allow' },
+        { scopeType: 'table', scopeId: 'payroll', operation: 'read', effect: 'deny' }
+      ]
+    }
+  };
+}
+
+test('role permissions are validated and role creation requires database authority', async () => {
+  await withRoleServices(async ({ roleAdminService }) => {
+    const invalid = await roleAdminService.createRole({
+      ...analystRolePayload(),
+      role: {
+        name: 'analyst',
+        permissions: [{ scopeType: 'table', scopeId: 'inventory', operation: 'read' }]
+      }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.details.issues[0].path, 'role.permissions[0].effect');
+
+    const escalation = await roleAdminService.createRole(analystRolePayload(analystWallet));
+    assert.equal(escalation.statusCode, 403);
+    assert.equal(escalation.body.error, 'SELF_ESCALATION_BLOCKED');
+
+    const created = await roleAdminService.createRole(analystRolePayload());
+    assert.equal(created.statusCode, 201);
+    assert.equal(created.body.role.roleName, 'analyst');
+    assert.equal(created.body.role.permissions.length, 2);
+
+    const duplicate = await roleAdminService.createRole(analystRolePayload());
+    assert.equal(duplicate.statusCode, 409);
+    assert.equal(duplicate.body.error, 'ROLE_ALREADY_EXISTS');
+  });
+});
+
+test('assigned roles expand into grants and report the matching role rule', async () => {
+  await withRoleServices(async ({ policyAdminService, roleAdminService }) => {
+    await roleAdminService.createRole(analystRolePayload());
+
+    const missingRole = await roleAdminService.assignRole({
+      requestId: 'req-assign-missing',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      roleName: 'auditor',
+      walletAddress: analystWallet
+    });
+    assert.equal(missingRole.statusCode, 404);
+    assert.equal(missingRole.body.error, 'ROLE_NOT_FOUND');
+
+    const assignPayload = {
+      requestId: 'req-assign',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      roleName: 'analyst',
+      walletAddress: analystWallet
+    };
+    const assigned = await roleAdminService.assignRole(assignPayload);
+    assert.equal(assigned.statusCode, 201);
+    assert.equal(assigned.body.assignment.walletAddress, analystWallet);
+
+    const duplicate = await roleAdminService.assignRole(assignPayload);
+    assert.equal(duplicate.statusCode, 409);
+    assert.equal(duplicate.body.error, 'ROLE_ALREADY_ASSIGNED');
+
+    const selfAssign = await roleAdminService.assignRole({
+      ...assignPayload,
+      requestId: 'req-self-assign',
+      actorWallet: analystWallet,
+      walletAddress: '0x0000000000000000000000000000000000005678'
+    });
+    assert.equal(selfAssign.statusCode, 403);
+    assert.equal(selfAssign.body.error, 'SELF_ESCALATION_BLOCKED');
+
+    const previewFor = (scopeId) =>
+      policyAdminService.previewDecision({
+        tenantId: 'tenant_demo',
+        walletAddress: analystWallet,
+        scopeType: 'table',
+        scopeId,
+        operation: 'read'
+      });
+
+    const inventoryRead = await previewFor('inventory');
+    assert.equal(inventoryRead.body.decision.allowed, true);
+    assert.equal(inventoryRead.body.decision.matchedRole.roleName, 'analyst');
+    assert.equal(inventoryRead.body.decision.matchedRole.ruleIndex, 0);
+
+    const directGrant = await policyAdminService.createGrant({
+      requestId: 'req-direct-payroll',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      grant: {
+        walletAddress: analystWallet,
+        scopeType: 'table',
+        scopeId: 'payroll',
+        operation: 'read',
+        effect: 'allow'
+      }
+    });
+    assert.equal(directGrant.statusCode, 201);
+
+    const payrollRead = await previewFor('payroll');
+    assert.equal(payrollRead.body.decision.allowed, false);
+    assert.equal(payrollRead.body.decision.matchedRole.roleName, 'analyst');
+    assert.equal(payrollRead.body.decision.matchedRole.rule.effect, 'deny');
+
+    const listed = await roleAdminService.listRoles({
+      tenantId: 'tenant_demo',
+      walletAddress: analystWallet
+    });
+    assert.equal(listed.statusCode, 200);
+    assert.equal(listed.body.roles[0].assignments.length, 1);
+
+    const unassigned = await roleAdminService.unassignRole({
+      requestId: 'req-unassign',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      assignmentId: assigned.body.assignment.assignmentId
+    });
+    assert.equal(unassigned.statusCode, 200);
+    assert.equal(unassigned.body.assignment.revokedBy, adminWallet);
+
+    const afterUnassign = await previewFor('inventory');
+    assert.equal(afterUnassign.body.decision.allowed, false);
+    assert.equal(afterUnassign.body.decision.matchedRole, undefined);
+
+    const payrollAfterUnassign = await previewFor('payroll');
+    assert.equal(payrollAfterUnassign.body.decision.allowed, true);
+  });
+});
@@ -1,6 +1,10 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { createPolicyService } from '../src/services/policyService.js';
+import {
+  assertCapabilityTemplatesRegistered,
+  createPolicyService,
+  findUnregisteredCapabilityTemplates
+} from '../src/services/policyService.js';
 
 test('policy allows configured capability and template', () => {
   const policyService = createPolicyService();
@@ -42,6 +46,27 @@ test('policy denies templates not mapped to capability', () => {
   assert.ok(Array.isArray(result.allowedTemplates));
 });
 
+test('policy matches tenant templates against their declared capability', () => {
+  const policyService = createPolicyService();
+
+  const allowed = policyService.evaluateAccess({
+    requester: '0x0000000000000000000000000000000000001234',
+    capability: 'balances:read',
+    queryTemplate: 'large_balances',
+    tenantTemplateCapability: 'balances:read'
+  });
+  assert.equal(allowed.allowed, true);
+
+  const denied = policyService.evaluateAccess({
+    requester: '0x0000000000000000000000000000000000001234',
+    capability: 'transactions:read',
+    queryTemplate: 'large_balances',
+    tenantTemplateCapability: 'balances:read'
+  });
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.code, 'TEMPLATE_NOT_ALLOWED');
+});
+
 test('policy supports requester-level restrictions in custom rules', () => {
   const allowedRequester = '0x0000000000000000000000000000000000001234';
   const policyService = createPolicyService({
@@ -69,3 +94,24 @@ test('policy supports requester-level restrictions in custom rules', () => {
   assert.equal(denied.code, 'REQUESTER_NOT_ALLOWED');
   assert.equal(allowed.allowed, true);
 });
+
+test('default capability rules only reference registered query templates', () => {
+  assert.deepEqual(findUnregisteredCapabilityTemplates(), []);
+  assert.doesNotThrow(() => assertCapabilityTemplatesRegistered());
+});
+
+test('capability template drift is reported and rejected', () => {
+  const rules = {
+    'balances:read': {
+      templates: ['wallet_balances', 'portfolio_forecast']
+    }
+  };
+
+  assert.deepEqual(findUnregisteredCapabilityTemplates(rules), [
+    { capability: 'balances:read', queryTemplate: 'portfolio_forecast' }
+  ]);
+  assert.throws(
+    () => assertCapabilityTemplatesRegistered(rules),
+    /balances:read -> portfolio_forecast/
+  );
+});
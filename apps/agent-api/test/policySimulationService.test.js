@@ -0,0 +1,281 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
+import { createA2aTaskStore } from '../src/services/a2aTaskStore.js';
+import { createAuditService } from '../src/services/auditService.js';
+import { createPolicyAdminService } from '../src/services/policyAdminService.js';
+import { createPolicyGrantStore } from '../src/services/policyGrantStore.js';
+import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
+import { createPolicySimulationService } from '../src/services/policySimulationService.js';
+
+const adminWallet = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const analystWallet = '0x0000000000000000000000000000000000001234';
+const auditorWallet = '0x0000000000000000000000000000000000005678';
+
+async function withSimulationService(testFn) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-policy-sim-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'sim.sqlite') });
+
+  const grantStore = createPolicyGrantStore({ databaseAdapter: adapter });
+  const a2aTaskStore = createA2aTaskStore({ databaseAdapter: adapter });
+  await grantStore.ensureInitialized();
+  await a2aTaskStore.ensureInitialized();
+
+  const mutationAuthService = createPolicyMutationAuthService({ enabled: false });
+  const now = () => '2026-02-18T00:00:00.000Z';
+  const auditService = createAuditService({
+    databaseAdapter: adapter,
+    now: () => new Date('2026-02-17T12:00:00.000Z')
+  });
+  const policyAdminService = createPolicyAdminService({ grantStore, mutationAuthService, now });
+  const simulationService = createPolicySimulationService({
+    grantStore,
+    auditService,
+    a2aTaskStore,
+    mutationAuthService,
+    now
+  });
+
+  try {
+    await testFn({ policyAdminService, simulationService, auditService, a2aTaskStore });
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+function grantPayload(requestId, grant) {
+  return {
+    requestId,
+    tenantId: 'tenant_demo',
+    actorWallet: adminWallet,
+    grant
+  };
+}
+
+test('simulation replays access log and A2A tasks and reports flipped outcomes', async () => {
+  await withSimulationService(
+    async ({ policyAdminService, simulationService, auditService, a2aTaskStore }) => {
+      await policyAdminService.createGrant(
+        grantPayload('req-bootstrap', {
+          walletAddress: adminWallet,
+          scopeType: 'database',
+          scopeId: '*',
+          operation: 'all',
+          effect: 'allow'
+        })
+      );
+      const analystGrant = await policyAdminService.createGrant(
+        grantPayload('req-analyst', {
+          walletAddress: analystWallet,
+          scopeType: 'table',
+          scopeId: 'inventory',
+          operation: 'read',
+          effect: 'allow'
+        })
+      );
+
+      await auditService.recordDecision({
+        payload: {
+          tenantId: 'tenant_demo',
+          requestId: 'req-read-1',
+          capability: 'data:read',
+          queryTemplate: 'inventory'
+        },
+        requester: analystWallet,
+        decision: 'allow'
+      });
+      await auditService.recordDecision({
+        payload: {
+          tenantId: 'tenant_demo',
+          requestId: 'req-read-2',
+          capability: 'data:read',
+          queryTemplate: 'inventory'
+        },
+        requester: auditorWallet,
+        decision: 'deny'
+      });
+      await auditService.recordDecision({
+        payload: {
+          tenantId: 'tenant_demo',
+          requestId: 'req-grant',
+          capability: 'policy:grant:create',
+          queryTemplate: 'x'
+        },
+        requester: adminWallet,
+        decision: 'allow'
+      });
+      await a2aTaskStore.createTask({
+        requesterAgentId: 'agent-1',
+        idempotencyKey: 'idem-1',
+        payloadHash: 'hash-1',
+        taskType: 'data.execute',
+        input: {
+          tenantId: 'tenant_demo',
+          actorWallet: analystWallet,
+          operation: 'read',
+          tableName: 'inventory'
+        },
+        now: '2026-02-17T13:00:00.000Z'
+      });
+      await a2aTaskStore.createTask({
+        requesterAgentId: 'agent-1',
+        idempotencyKey: 'idem-2',
+        payloadHash: 'hash-2',
+        taskType: 'data.execute',
+        input: {
+          tenantId: 'tenant_other',
+          actorWallet: analystWallet,
+          operation: 'read',
+          tableName: 'inventory'
+        },
+        now: '2026-02-17T13:00:00.000Z'
+      });
+
+      const unauthorized = await simulationService.simulate({
+        requestId: 'req-sim-analyst',
+        tenantId: 'tenant_demo',
+        actorWallet: analystWallet,
+        proposal: { revoke: [analystGrant.body.grant.grantId] }
+      });
+      assert.equal(unauthorized.statusCode, 403);
+
+      const unknownRevoke = await simulationService.simulate({
+        requestId: 'req-sim-unknown',
+        tenantId: 'tenant_demo',
+        actorWallet: adminWallet,
+        proposal: { revoke: ['missing-grant'] }
+      });
+      assert.equal(unknownRevoke.statusCode, 400);
+      assert.equal(unknownRevoke.body.details.issues[0].code, 'unknown_grant');
+
+      const result = await simulationService.simulate({
+        requestId: 'req-sim',
+        tenantId: 'tenant_demo',
+        actorWallet: adminWallet,
+        proposal: {
+          revoke: [analystGrant.body.grant.grantId],
+          add: [
+            {
+              walletAddress: auditorWallet,
+              scopeType: 'table',
+              scopeId: 'inv*',
+              operation: 'read',
+              effect: 'allow'
+            }
+          ]
+        }
+      });
+
+      assert.equal(result.statusCode, 200);
+      // The sqlite seed adds two balances:read queries by the admin wallet that never flip.
+      assert.deepEqual(result.body.summary, {
+        replayed: 5,
+        skipped: 1,
+        flipped: 3,
+        allowToDeny: 2,
+        denyToAllow: 1
+      });
+
+      const auditorFlip = result.body.flips.find((flip) => flip.walletAddress === auditorWallet);
+      assert.equal(auditorFlip.source, 'access_log');
+      assert.equal(auditorFlip.requestId, 'req-read-2');
+      assert.equal(auditorFlip.recordedDecision, 'deny');
+      assert.equal(auditorFlip.after.code, 'TABLE_PATTERN_OPERATION_ALLOW_MATCH');
+      assert.equal(auditorFlip.after.grantId, 'proposed#0');
+
+      const taskFlip = result.body.flips.find((flip) => flip.source === 'a2a_task');
+      assert.equal(taskFlip.direction, 'allow_to_deny');
+      assert.equal(taskFlip.before.grantId, analystGrant.body.grant.grantId);
+    }
+  );
+});
+
+test('simulation never replays traffic recorded for other tenants', async () => {
+  await withSimulationService(
+    async ({ policyAdminService, simulationService, auditService, a2aTaskStore }) => {
+      await policyAdminService.createGrant(
+        grantPayload('req-bootstrap', {
+          walletAddress: adminWallet,
+          scopeType: 'database',
+          scopeId: '*',
+          operation: 'all',
+          effect: 'allow'
+        })
+      );
+
+      for (const tenantId of ['tenant_other', undefined]) {
+        await auditService.recordDecision({
+          payload: {
+            tenantId,
+            requestId: `req-read-${tenantId || 'untenanted'}`,
+            capability: 'data:read',
+            queryTemplate: 'inventory'
+          },
+          requester: auditorWallet,
+          decision: 'deny'
+        });
+      }
+
+      await a2aTaskStore.createTask({
+        requesterAgentId: 'agent-1',
+        idempotencyKey: 'idem-demo',
+        payloadHash: 'hash-demo',
+        taskType: 'data.execute',
+        input: {
+          tenantId: 'tenant_demo',
+          actorWallet: auditorWallet,
+          operation: 'read',
+          tableName: 'inventory'
+        },
+        now: '2026-02-17T13:00:00.000Z'
+      });
+      for (const index of [1, 2, 3]) {
+        await a2aTaskStore.createTask({
+          requesterAgentId: 'agent-1',
+          idempotencyKey: `idem-other-${index}`,
+          payloadHash: `hash-other-${index}`,
+          taskType: 'data.execute',
+          input: {
+            tenantId: 'tenant_other',
+            actorWallet: auditorWallet,
+            operation: 'read',
+            tableName: 'inventory'
+          },
+          now: `2026-02-17T14:00:0${index}.000Z`
+        });
+      }
+
+      const result = await simulationService.simulate({
+        requestId: 'req-sim',
+        tenantId: 'tenant_demo',
+        actorWallet: adminWallet,
+        proposal: {
+          add: [
+            {
+              walletAddress: auditorWallet,
+              scopeType: 'table',
+              scopeId: 'inventory',
+              operation: 'read',
+              effect: 'allow'
+            }
+          ]
+        },
+        history: { limit: 3 }
+      });
+
+      assert.equal(result.statusCode, 200);
+      // Only the two seeded tenant_demo queries and the tenant_demo task are replayed, even
+      // though newer tenant_other tasks fill the history limit.
+      assert.equal(result.body.summary.replayed, 3);
+      assert.equal(result.body.summary.skipped, 0);
+      assert.deepEqual(
+        result.body.flips.map((flip) => flip.source),
+        ['a2a_task']
+      );
+    }
+  );
+});
@@ -0,0 +1,380 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
+import { createActionAuthorizationService } from '../src/services/actionAuthorizationService.js';
+import { createPolicyAdminService } from '../src/services/policyAdminService.js';
+import { createPolicyGrantStore } from '../src/services/policyGrantStore.js';
+import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
+import { createPolicyRoleAdminService } from '../src/services/policyRoleAdminService.js';
+import { createPolicyRoleStore } from '../src/services/policyRoleStore.js';
+import { createPolicyVersionService } from '../src/services/policyVersionService.js';
+import { createPolicyVersionStore } from '../src/services/policyVersionStore.js';
+
+const adminWallet = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const analystWallet = '0x0000000000000000000000000000000000001234';
+
+async function withVersionServices(testFn) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-policy-versions-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'versions.sqlite') });
+
+  const grantStore = createPolicyGrantStore({ databaseAdapter: adapter });
+  const roleStore = createPolicyRoleStore({ databaseAdapter: adapter });
+  const versionStore = createPolicyVersionStore({ databaseAdapter: adapter });
+  await grantStore.ensureInitialized();
+  await roleStore.ensureInitialized();
+  await versionStore.ensureInitialized();
+
+  let tick = 0;
+  const now = () => new Date(Date.UTC(2026, 1, 18, 0, 0, tick++)).toISOString();
+  const mutationAuthService = createPolicyMutationAuthService({ enabled: false });
+  const policyAdminService = createPolicyAdminService({
+    grantStore,
+    roleStore,
+    versionStore,
+    mutationAuthService,
+    now
+  });
+  const roleAdminService = createPolicyRoleAdminService({
+    roleStore,
+    grantStore,
+    versionStore,
+    mutationAuthService,
+    now
+  });
+  const versionService = createPolicyVersionService({
+    grantStore,
+    roleStore,
+    versionStore,
+    mutationAuthService,
+    now
+  });
+  const actionAuthorizationService = createActionAuthorizationService({
+    grantStore,
+    versionStore,
+    mutationAuthService
+  });
+
+  try {
+    await testFn({
+      policyAdminService,
+      roleAdminService,
+      versionService,
+      actionAuthorizationService,
+      grantStore,
+      roleStore
+    });
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+function grantPayload(requestId, grant, tenantId = 'tenant_demo') {
+  return {
+    requestId,
+    tenantId,
+    actorWallet: adminWallet,
+    grant
+  };
+}
+
+const bootstrapGrant = {
+  walletAddress: adminWallet,
+  scopeType: 'database',
+  scopeId: '*',
+  operation: 'all',
+  effect: 'allow'
+};
+
+const analystGrant = {
+  walletAddress: analystWallet,
+  scopeType: 'table',
+  scopeId: 'inventory',
+  operation: 'read',
+  effect: 'allow',
+  rowPredicate: { owner_wallet: '$actorWallet' }
+};
+
+test('grant mutations record versions that can be exported and rolled back', async () => {
+  await withVersionServices(async (services) => {
+    const { policyAdminService, versionService, actionAuthorizationService } = services;
+    const bootstrap = await policyAdminService.createGrant(grantPayload('req-1', bootstrapGrant));
+    assert.equal(bootstrap.body.policyVersion.versionNumber, 1);
+
+    const created = await policyAdminService.createGrant(grantPayload('req-2', analystGrant));
+    assert.equal(created.body.policyVersion.versionNumber, 2);
+    const versionTwoHash = created.body.policyVersion.contentHash;
+
+    const revoked = await policyAdminService.revokeGrant({
+      requestId: 'req-3',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      grantId: created.body.grant.grantId
+    });
+    assert.equal(revoked.body.policyVersion.versionNumber, 3);
+    assert.equal(revoked.body.policyVersion.contentHash, bootstrap.body.policyVersion.contentHash);
+
+    const listed = await versionService.listVersions({ tenantId: 'tenant_demo' });
+    assert.deepEqual(
+      listed.body.versions.map((version) => [version.versionNumber, version.changeType]),
+      [
+        [3, 'grant:revoke'],
+        [2, 'grant:create'],
+        [1, 'grant:create']
+      ]
+    );
+
+    const inForce = await versionService.listVersions({
+      tenantId: 'tenant_demo',
+      at: created.body.policyVersion.createdAt
+    });
+    assert.equal(inForce.body.version.versionNumber, 2);
+
+    const exported = await versionService.exportBundle({
+      tenantId: 'tenant_demo',
+      versionNumber: '2'
+    });
+    assert.equal(exported.statusCode, 200);
+    assert.equal(exported.body.bundle.contentHash, versionTwoHash);
+    assert.equal(exported.body.bundle.grants.length, 2);
+
+    const rolledBack = await versionService.rollback({
+      requestId: 'req-rollback',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      versionNumber: 2,
+      expectedContentHash: versionTwoHash
+    });
+    assert.equal(rolledBack.statusCode, 200);
+    assert.equal(rolledBack.body.code, 'POLICY_APPLIED');
+    assert.equal(rolledBack.body.createdGrantIds.length, 1);
+    assert.deepEqual(rolledBack.body.revokedGrantIds, []);
+    assert.equal(rolledBack.body.policyVersion.versionNumber, 4);
+    assert.equal(rolledBack.body.policyVersion.contentHash, versionTwoHash);
+
+    const repeated = await versionService.rollback({
+      requestId: 'req-rollback-again',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      versionNumber: 2
+    });
+    assert.equal(repeated.body.code, 'POLICY_UNCHANGED');
+    assert.equal(repeated.body.policyVersion.versionNumber, 4);
+
+    const authorization = await actionAuthorizationService.authorize({
+      requestId: 'req-read',
+      tenantId: 'tenant_demo',
+      actorWallet: analystWallet,
+      action: 'data:execute',
+      actionPayload: { tableName: 'inventory', operation: 'read' },
+      scopeType: 'table',
+      scopeId: 'inventory',
+      operation: 'read'
+    });
+    assert.equal(authorization.ok, true);
+    assert.equal(authorization.decision.policyVersionHash, versionTwoHash);
+  });
+});
+
+test('bundle import verifies the content hash and needs admin authority or a bootstrap grant', async () => {
+  await withVersionServices(async ({ policyAdminService, versionService }) => {
+    await policyAdminService.createGrant(grantPayload('req-1', bootstrapGrant));
+    await policyAdminService.createGrant(grantPayload('req-2', analystGrant));
+    const { bundle } = (await versionService.exportBundle({ tenantId: 'tenant_demo' })).body;
+    assert.equal(bundle.versionNumber, 2);
+
+    const importPayload = (overrides) => ({
+      requestId: 'req-import',
+      tenantId: 'tenant_copy',
+      actorWallet: adminWallet,
+      bundle,
+      ...overrides
+    });
+
+    const tampered = await versionService.importBundle(
+      importPayload({
+        bundle: { ...bundle, grants: [bundle.grants[0]] }
+      })
+    );
+    assert.equal(tampered.statusCode, 400);
+    assert.equal(tampered.body.details.issues[0].code, 'hash_mismatch');
+
+    const withoutBootstrap = await versionService.importBundle(
+      importPayload({ actorWallet: analystWallet })
+    );
+    assert.equal(withoutBootstrap.statusCode, 403);
+    assert.equal(withoutBootstrap.body.error, 'BOOTSTRAP_REQUIRED');
+
+    const imported = await versionService.importBundle(importPayload());
+    assert.equal(imported.statusCode, 200);
+    assert.equal(imported.body.createdGrantIds.length, 2);
+    assert.equal(imported.body.policyVersion.versionNumber, 1);
+
+    const copyExport = await versionService.exportBundle({ tenantId: 'tenant_copy' });
+    assert.deepEqual(copyExport.body.bundle.grants, bundle.grants);
+
+    const analystImport = await versionService.importBundle(
+      importPayload({ actorWallet: analystWallet })
+    );
+    assert.equal(analystImport.statusCode, 403);
+    assert.equal(analystImport.body.error, 'SELF_ESCALATION_BLOCKED');
+  });
+});
+
+test('rollback keeps spent grant uses and applies the grant set atomically', async () => {
+  await withVersionServices(async ({ policyAdminService, versionService, grantStore }) => {
+    await policyAdminService.createGrant(grantPayload('req-1', bootstrapGrant));
+    const limited = await policyAdminService.createGrant(
+      grantPayload('req-2', { ...analystGrant, maxUses: 3 })
+    );
+    assert.equal(
+      await grantStore.consumeGrantUse({
+        tenantId: 'tenant_demo',
+        grantId: limited.body.grant.grantId
+      }),
+      true
+    );
+    await policyAdminService.revokeGrant({
+      requestId: 'req-3',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      grantId: limited.body.grant.grantId
+    });
+
+    const rolledBack = await versionService.rollback({
+      requestId: 'req-rollback',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      versionNumber: 2
+    });
+    assert.equal(rolledBack.statusCode, 200);
+    const [restoredGrantId] = rolledBack.body.createdGrantIds;
+    const restored = await grantStore.getGrantById({
+      tenantId: 'tenant_demo',
+      grantId: restoredGrantId
+    });
+    assert.equal(restored.maxUses, 3);
+    assert.equal(restored.usesRemaining, 2);
+
+    await assert.rejects(
+      grantStore.replaceGrants({
+        tenantId: 'tenant_demo',
+        grantsToCreate: [bootstrapGrant, { ...analystGrant, walletAddress: null }],
+        grantIdsToRevoke: [restoredGrantId],
+        actorWallet: adminWallet,
+        appliedAt: '2026-02-18T01:00:00.000Z',
+        signatureHash: null
+      })
+    );
+    const activeGrants = await grantStore.listActiveGrants({ tenantId: 'tenant_demo' });
+    assert.equal(activeGrants.length, 2);
+    assert.ok(activeGrants.some((grant) => grant.grantId === restoredGrantId));
+  });
+});
+
+test('role mutations are versioned and restored by rollback and import', async () => {
+  await withVersionServices(async ({ policyAdminService, roleAdminService, versionService }) => {
+    await policyAdminService.createGrant(grantPayload('req-1', bootstrapGrant));
+    const created = await roleAdminService.createRole({
+      requestId: 'req-role',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      role: {
+        name: 'analyst',
+        permissions: [
+          {
+            scopeType: 'table',
+            scopeId: 'inventory',
+            operation: 'read',
+            effect: 'allow',
+            rowPredicate: { owner_wallet: '$actorWallet' }
+          }
+        ]
+      }
+    });
+    assert.equal(created.body.policyVersion.versionNumber, 2);
+
+    const assigned = await roleAdminService.assignRole({
+      requestId: 'req-assign',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      roleName: 'analyst',
+      walletAddress: analystWallet
+    });
+    assert.equal(assigned.body.policyVersion.versionNumber, 3);
+    const versionThreeHash = assigned.body.policyVersion.contentHash;
+
+    const unassigned = await roleAdminService.unassignRole({
+      requestId: 'req-unassign',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      assignmentId: assigned.body.assignment.assignmentId
+    });
+    assert.equal(unassigned.body.policyVersion.versionNumber, 4);
+    assert.equal(unassigned.body.policyVersion.contentHash, created.body.policyVersion.contentHash);
+
+    const listed = await versionService.listVersions({ tenantId: 'tenant_demo' });
+    assert.deepEqual(
+      listed.body.versions.slice(0, 3).map((version) => version.changeType),
+      ['role:unassign', 'role:assign', 'role:create']
+    );
+
+    const exported = await versionService.exportBundle({
+      tenantId: 'tenant_demo',
+      versionNumber: '3'
+    });
+    const { bundle } = exported.body;
+    assert.equal(bundle.contentHash, versionThreeHash);
+    assert.equal(bundle.roles[0].roleName, 'analyst');
+    assert.deepEqual(bundle.roleAssignments, [
+      { roleName: 'analyst', walletAddress: analystWallet }
+    ]);
+
+    const rolledBack = await versionService.rollback({
+      requestId: 'req-rollback',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      versionNumber: 3
+    });
+    assert.equal(rolledBack.statusCode, 200);
+    assert.equal(rolledBack.body.roleChanges, 1);
+    assert.equal(rolledBack.body.policyVersion.contentHash, versionThreeHash);
+
+    const emptied = await versionService.rollback({
+      requestId: 'req-rollback-empty',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      versionNumber: 1
+    });
+    assert.equal(emptied.body.roleChanges, 2);
+    const emptiedRoles = await roleAdminService.listRoles({ tenantId: 'tenant_demo' });
+    assert.deepEqual(emptiedRoles.body.roles, []);
+
+    const unknownRole = await versionService.importBundle({
+      requestId: 'req-import-bad',
+      tenantId: 'tenant_copy',
+      actorWallet: adminWallet,
+      bundle: { ...bundle, roles: [] }
+    });
+    assert.equal(unknownRole.statusCode, 400);
+    assert.ok(
+      unknownRole.body.details.issues.some((issue) => issue.code === 'unknown_role')
+    );
+
+    const imported = await versionService.importBundle({
+      requestId: 'req-import',
+      tenantId: 'tenant_copy',
+      actorWallet: adminWallet,
+      bundle
+    });
+    assert.equal(imported.statusCode, 200);
+    assert.equal(imported.body.roleChanges, 2);
+    const copyExport = await versionService.exportBundle({ tenantId: 'tenant_copy' });
+    assert.deepEqual(copyExport.body.bundle.roles, bundle.roles);
+    assert.deepEqual(copyExport.body.bundle.roleAssignments, bundle.roleAssignments);
+    assert.equal(copyExport.body.bundle.contentHash, imported.body.policyVersion.contentHash);
+  });
+});
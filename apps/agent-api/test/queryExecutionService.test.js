@@ -110,3 +110,41 @@ test('execution normalizes params and forwards sql/bind values to adapter', asyn
     50
   ]);
 });
+
+test('wallet activity binds bucket granularity ahead of wallet filters', async () => {
+  const adapter = createFakeAdapter({ dialect: 'postgres' });
+  const executionService = createQueryExecutionService({
+    databaseAdapter: adapter,
+    enforceCapabilityMode: true
+  });
+
+  const rejected = await executionService.execute({
+    capability: 'transactions:read',
+    queryTemplate: 'wallet_activity',
+    queryParams: {
+      walletAddress: '0x0000000000000000000000000000000000001234',
+      chainId: 1,
+      bucket: 'month'
+    }
+  });
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.code, 'INVALID_PARAM_VALUE');
+
+  const result = await executionService.execute({
+    capability: 'transactions:read',
+    queryTemplate: 'wallet_activity',
+    queryParams: {
+      walletAddress: '0x0000000000000000000000000000000000001234',
+      chainId: 1
+    }
+  });
+
+  assert.equal(result.ok, true);
+  assert.ok(adapter.calls[0].sql.includes('date_trunc($1::text, created_at)'));
+  assert.deepEqual(adapter.calls[0].values, [
+    'day',
+    '0x0000000000000000000000000000000000001234',
+    1,
+    30
+  ]);
+});
@@ -0,0 +1,541 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
+import { createQueryExecutionService } from '../src/query/queryExecutionService.js';
+import { inspectTemplateSql, resolveTemplateRelations } from '../src/query/templateSqlGuard.js';
+import { createPolicyAdminService } from '../src/services/policyAdminService.js';
+import { createPolicyGrantStore } from '../src/services/policyGrantStore.js';
+import { createPolicyMutationAuthService } from '../src/services/policyMutationAuthService.js';
+import { createMigrationRunnerService } from '../src/services/migrationRunnerService.js';
+import {
+  createQueryService,
+  resolveQueryGrantOperation
+} from '../src/services/queryService.js';
+import { createQueryTemplateAdminService } from '../src/services/queryTemplateAdminService.js';
+import { createQueryTemplateStore } from '../src/services/queryTemplateStore.js';
+
+const adminWallet = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const managerWallet = '0x0000000000000000000000000000000000001234';
+
+async function withTemplateAdminService(testFn) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-query-templates-'));
+  const dbPath = path.join(tempDir, 'templates.sqlite');
+  const adapter = await createSqliteAdapter({ filePath: dbPath });
+
+  const grantStore = createPolicyGrantStore({ databaseAdapter: adapter });
+  await grantStore.ensureInitialized();
+  const templateStore = createQueryTemplateStore({ databaseAdapter: adapter });
+  await templateStore.ensureInitialized();
+
+  const mutationAuthService = createPolicyMutationAuthService({ enabled: false });
+  const policyAdminService = createPolicyAdminService({
+    grantStore,
+    mutationAuthService,
+    now: () => '2026-02-18T00:00:00.000Z'
+  });
+  const templateAdminService = createQueryTemplateAdminService({
+    templateStore,
+    grantStore,
+    mutationAuthService,
+    now: () => '2026-02-18T00:00:00.000Z'
+  });
+
+  const bootstrap = await policyAdminService.createGrant({
+    requestId: 'req-bootstrap',
+    tenantId: 'tenant_demo',
+    actorWallet: adminWallet,
+    grant: {
+      walletAddress: adminWallet,
+      scopeType: 'database',
+      scopeId: '*',
+      operation: 'all',
+      effect: 'allow'
+    }
+  });
+  assert.equal(bootstrap.statusCode, 201);
+
+  const migration = await createMigrationRunnerService({
+    databaseAdapter: adapter,
+    now: () => '2026-02-18T00:00:00.000Z'
+  }).applyMigrationPlan({
+    tenantId: 'tenant_demo',
+    requestId: 'req-holdings',
+    migrationPlan: {
+      planHash: 'plan_hash_holdings',
+      steps: [
+        {
+          stepId: 'step_001',
+          action: 'create_table',
+          metadata: { tableName: 'holdings' },
+          sql: `
+            CREATE TABLE IF NOT EXISTS "holdings" (
+              "wallet_address" TEXT NOT NULL,
+              "asset_symbol" TEXT NOT NULL,
+              "balance" NUMERIC NOT NULL
+            );
+          `
+        }
+      ]
+    }
+  });
+  assert.equal(migration.ok, true);
+  await adapter.execute({
+    mode: 'write',
+    sql: `
+      INSERT INTO holdings (wallet_address, asset_symbol, balance)
+      VALUES (?, 'USDC', 500), (?, 'MATIC', 20), (?, 'DUST', 1)
+    `,
+    values: [adminWallet, adminWallet, adminWallet]
+  });
+
+  try {
+    await testFn({ adapter, templateAdminService, templateStore, policyAdminService });
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+function largeBalancesTemplatePayload(overrides = {}) {
+  return {
+    requestId: 'req-template-create',
+    tenantId: 'tenant_demo',
+    actorWallet: adminWallet,
+    template: {
+      name: 'large_balances',
+      capability: 'balances:read',
+      mode: 'read',
+      sql: {
+        postgres:
+          'SELECT asset_symbol, balance FROM holdings WHERE wallet_address = $1 AND balance >= $2 ORDER BY balance DESC',
+        sqlite:
+          'SELECT asset_symbol, balance FROM holdings WHERE wallet_address = ? AND balance >= ? ORDER BY balance DESC'
+      },
+      params: [
+        { name: 'walletAddress', type: 'address', required: true },
+        { name: 'minBalance', type: 'integer', default: 10, min: 0 }
+      ],
+      ...overrides
+    }
+  };
+}
+
+test('registered tenant template resolves and executes over an owned table', async () => {
+  await withTemplateAdminService(async ({ adapter, templateAdminService, templateStore }) => {
+    const created = await templateAdminService.createTemplate(largeBalancesTemplatePayload());
+    assert.equal(created.statusCode, 201);
+    assert.equal(created.body.template.templateName, 'large_balances');
+    assert.equal(created.body.template.params[1].default, 10);
+
+    const executionService = createQueryExecutionService({
+      databaseAdapter: adapter,
+      templateStore
+    });
+
+    const withoutTenant = await executionService.execute({
+      capability: 'balances:read',
+      queryTemplate: 'large_balances',
+      queryParams: { walletAddress: adminWallet }
+    });
+    assert.equal(withoutTenant.code, 'UNKNOWN_QUERY_TEMPLATE');
+
+    const result = await executionService.execute({
+      tenantId: 'tenant_demo',
+      capability: 'balances:read',
+      queryTemplate: 'large_balances',
+      queryParams: { walletAddress: adminWallet }
+    });
+    assert.equal(result.ok, true);
+    assert.equal(result.data.templateSource, 'tenant');
+    assert.deepEqual(
+      result.data.rows.map((row) => row.asset_symbol),
+      ['USDC', 'MATIC']
+    );
+
+    const listed = await templateAdminService.listTemplates({ tenantId: 'tenant_demo' });
+    assert.equal(listed.statusCode, 200);
+    assert.equal(listed.body.templates.length, 1);
+
+    const duplicate = await templateAdminService.createTemplate(largeBalancesTemplatePayload());
+    assert.equal(duplicate.statusCode, 409);
+    assert.equal(duplicate.body.error, 'QUERY_TEMPLATE_ALREADY_EXISTS');
+
+    const deleted = await templateAdminService.deleteTemplate({
+      requestId: 'req-template-delete',
+      tenantId: 'tenant_demo',
+      actorWallet: adminWallet,
+      templateName: 'large_balances'
+    });
+    assert.equal(deleted.statusCode, 200);
+    assert.equal(deleted.body.code, 'QUERY_TEMPLATE_DELETED');
+
+    const afterDelete = await executionService.execute({
+      tenantId: 'tenant_demo',
+      capability: 'balances:read',
+      queryTemplate: 'large_balances',
+      queryParams: { walletAddress: adminWallet }
+    });
+    assert.equal(afterDelete.code, 'UNKNOWN_QUERY_TEMPLATE');
+  });
+});
+
+test('read template registration rejects SQL that is not read-only', async () => {
+  await withTemplateAdminService(async ({ templateAdminService }) => {
+    const result = await templateAdminService.createTemplate(
+      largeBalancesTemplatePayload({
+        sql: {
+          postgres: 'DELETE FROM wallet_balances WHERE wallet_address = $1 AND balance < $2',
+          sqlite:
+            'SELECT asset_symbol FROM wallet_balances WHERE wallet_address = ? AND balance >= ?; DROP TABLE wallet_balances'
+        }
+      })
+    );
+
+    assert.equal(result.statusCode, 400);
+    const codes = result.body.details.issues.map((issue) => `${issue.path}:${issue.code}`);
+    assert.ok(codes.includes('template.sql.postgres:invalid_statement'));
+    assert.ok(codes.includes('template.sql.postgres:not_read_only'));
+    assert.ok(codes.includes('template.sql.sqlite:multiple_statements'));
+  });
+});
+
+test('write templates need the grant operation of their statement verb', async () => {
+  await withTemplateAdminService(async ({ templateAdminService }) => {
+    const writeTemplate = (sql) =>
+      templateAdminService.createTemplate(
+        largeBalancesTemplatePayload({
+          name: 'zero_balance',
+          capability: 'balances:write',
+          mode: 'write',
+          sql,
+          params: [{ name: 'walletAddress', type: 'address', required: true }]
+        })
+      );
+
+    const created = await writeTemplate({
+      postgres: 'UPDATE holdings SET balance = 0 WHERE wallet_address = $1',
+      sqlite: 'UPDATE holdings SET balance = 0 WHERE wallet_address = ?'
+    });
+    assert.equal(created.statusCode, 201, JSON.stringify(created.body));
+    assert.equal(
+      resolveQueryGrantOperation({
+        capability: 'balances:write',
+        template: created.body.template
+      }),
+      'update'
+    );
+
+    const mismatched = await writeTemplate({
+      postgres: 'DELETE FROM holdings WHERE wallet_address = $1',
+      sqlite: 'UPDATE holdings SET balance = 0 WHERE wallet_address = ?'
+    });
+    assert.equal(mismatched.statusCode, 400);
+    assert.deepEqual(
+      mismatched.body.details.issues.map((issue) => `${issue.path}:${issue.code}`),
+      ['template.sql:statement_mismatch']
+    );
+    assert.equal(
+      resolveQueryGrantOperation({
+        capability: 'balances:write',
+        template: { mode: 'write', sql: { postgres: 'DELETE FROM t', sqlite: 'INSERT INTO t' } }
+      }),
+      'delete'
+    );
+  });
+});
+
+test('template registration requires policy-admin authority', async () => {
+  await withTemplateAdminService(async ({ templateAdminService }) => {
+    const result = await templateAdminService.createTemplate({
+      ...largeBalancesTemplatePayload(),
+      actorWallet: managerWallet
+    });
+
+    assert.equal(result.statusCode, 403);
+    assert.equal(result.body.error, 'SELF_ESCALATION_BLOCKED');
+  });
+});
+
+test('template registration rejects unowned tables and built-in names', async () => {
+  await withTemplateAdminService(async ({ templateAdminService }) => {
+    const unowned = await templateAdminService.createTemplate(
+      largeBalancesTemplatePayload({
+        sql: {
+          postgres:
+            'SELECT asset_symbol FROM wallet_balances WHERE wallet_address = $1 AND balance >= $2',
+          sqlite: 'SELECT asset_symbol FROM holdings WHERE wallet_address = ? AND balance >= ?'
+        }
+      })
+    );
+    assert.equal(unowned.statusCode, 400);
+    assert.deepEqual(
+      unowned.body.details.issues.map((issue) => `${issue.path}:${issue.code}`),
+      ['template.sql.postgres:table_not_owned']
+    );
+
+    const otherTenant = await templateAdminService.createTemplate({
+      ...largeBalancesTemplatePayload(),
+      tenantId: 'tenant_other'
+    });
+    assert.equal(otherTenant.statusCode, 400);
+    assert.deepEqual(
+      otherTenant.body.details.issues.map((issue) => issue.code),
+      ['table_not_owned', 'table_not_owned']
+    );
+
+    const shadowing = await templateAdminService.createTemplate(
+      largeBalancesTemplatePayload({ name: 'wallet_balances' })
+    );
+    assert.equal(shadowing.statusCode, 400);
+    assert.deepEqual(
+      shadowing.body.details.issues.map((issue) => `${issue.path}:${issue.code}`),
+      ['template.name:template_name_reserved']
+    );
+  });
+});
+
+test('tenant templates stop running once their tables leave the tenant', async () => {
+  await withTemplateAdminService(async ({ adapter, templateAdminService, templateStore }) => {
+    const created = await templateAdminService.createTemplate(largeBalancesTemplatePayload());
+    assert.equal(created.statusCode, 201);
+
+    await adapter.execute({
+      mode: 'write',
+      sql: 'DELETE FROM managed_tables WHERE tenant_id = ? AND table_name = ?',
+      values: ['tenant_demo', 'holdings']
+    });
+
+    const result = await createQueryExecutionService({
+      databaseAdapter: adapter,
+      templateStore
+    }).execute({
+      tenantId: 'tenant_demo',
+      capability: 'balances:read',
+      queryTemplate: 'large_balances',
+      queryParams: { walletAddress: adminWallet }
+    });
+    assert.equal(result.ok, false);
+    assert.equal(result.code, 'TEMPLATE_NOT_PERMITTED');
+  });
+});
+
+function createManagerQueryClient({ adapter, templateStore, policyAdminService, grantStore }) {
+  const queryService = createQueryService({
+    authService: {
+      authenticate: async () => ({
+        ok: true,
+        requester: managerWallet,
+        signedAt: '2026-02-18T00:00:00.000Z',
+        nonce: 'nonce-1'
+      })
+    },
+    policyService: {
+      evaluateAccess: () => ({ allowed: true, code: 'ALLOWED', message: 'ok' })
+    },
+    queryExecutionService: createQueryExecutionService({
+      databaseAdapter: adapter,
+      templateStore
+    }),
+    policyGrantStore: grantStore
+  });
+
+  return {
+    query: (requestId, overrides = {}) =>
+      queryService.handle({
+        requestId,
+        tenantId: 'tenant_demo',
+        requester: managerWallet,
+        capability: 'balances:read',
+        queryTemplate: 'large_balances',
+        queryParams: { walletAddress: adminWallet },
+        ...overrides
+      }),
+    grant: async (requestId, grantInput) => {
+      const result = await policyAdminService.createGrant({
+        requestId,
+        tenantId: 'tenant_demo',
+        actorWallet: adminWallet,
+        grant: { walletAddress: managerWallet, ...grantInput }
+      });
+      assert.equal(result.statusCode, 201, JSON.stringify(result.body));
+      return result.body.grant;
+    }
+  };
+}
+
+test('tenant template queries need a grant on every table they touch', async () => {
+  await withTemplateAdminService(
+    async ({ adapter, templateAdminService, templateStore, policyAdminService }) => {
+      const created = await templateAdminService.createTemplate(largeBalancesTemplatePayload());
+      assert.equal(created.statusCode, 201);
+
+      const grantStore = createPolicyGrantStore({ databaseAdapter: adapter });
+      const { query, grant } = createManagerQueryClient({
+        adapter,
+        templateStore,
+        policyAdminService,
+        grantStore
+      });
+
+      await grant('req-grant-db', {
+        scopeType: 'database',
+        scopeId: '*',
+        operation: 'read',
+        effect: 'allow'
+      });
+      const tableDeny = await grant('req-grant-deny', {
+        scopeType: 'table',
+        scopeId: 'holdings',
+        operation: 'read',
+        effect: 'deny'
+      });
+      const denied = await query('req-query-denied');
+      assert.equal(denied.statusCode, 403);
+      assert.equal(denied.body.code, 'TABLE_OPERATION_DENY_MATCH');
+
+      await grantStore.revokeGrant({
+        tenantId: 'tenant_demo',
+        grantId: tableDeny.grantId,
+        revokedBy: adminWallet,
+        revokedAt: '2026-02-18T00:00:00.000Z'
+      });
+      await grant('req-grant-rows', {
+        scopeType: 'table',
+        scopeId: 'holdings',
+        operation: 'read',
+        effect: 'allow',
+        rowPredicate: { wallet_address: '$actorWallet' }
+      });
+      const restricted = await query('req-query-restricted');
+      assert.equal(restricted.statusCode, 403);
+      assert.equal(restricted.body.code, 'TEMPLATE_SCOPE_RESTRICTED');
+    }
+  );
+});
+
+test('queries spend usage-limited grants only once they pass validation', async () => {
+  await withTemplateAdminService(
+    async ({ adapter, templateAdminService, templateStore, policyAdminService }) => {
+      const created = await templateAdminService.createTemplate(largeBalancesTemplatePayload());
+      assert.equal(created.statusCode, 201);
+
+      const grantStore = createPolicyGrantStore({ databaseAdapter: adapter });
+      const { query, grant } = createManagerQueryClient({
+        adapter,
+        templateStore,
+        policyAdminService,
+        grantStore
+      });
+      const limited = await grant('req-grant-once', {
+        scopeType: 'table',
+        scopeId: 'holdings',
+        operation: 'read',
+        effect: 'allow',
+        maxUses: 1
+      });
+
+      const invalidParams = await query('req-query-invalid', {
+        queryParams: { walletAddress: adminWallet, minBalance: -1 }
+      });
+      assert.equal(invalidParams.statusCode, 400);
+      assert.equal(invalidParams.body.code, 'INVALID_PARAM_RANGE');
+
+      const invalidCursor = await query('req-query-cursor', { cursor: 'not-a-cursor' });
+      assert.equal(invalidCursor.statusCode, 400);
+
+      const stored = await grantStore.getGrantById({
+        tenantId: 'tenant_demo',
+        grantId: limited.grantId
+      });
+      assert.equal(stored.usesRemaining, 1);
+
+      assert.equal((await query('req-query-once')).statusCode, 200);
+      const exhausted = await query('req-query-twice');
+      assert.equal(exhausted.statusCode, 403);
+      assert.equal(exhausted.body.code, 'GRANT_EXHAUSTED');
+    }
+  );
+});
+
+test('template SQL guard checks placeholders and owned tables', () => {
+  assert.deepEqual(
+    inspectTemplateSql({
+      sql: "SELECT 'a?b' AS label, balance FROM holdings WHERE wallet_address = ?",
+      dialect: 'sqlite',
+      mode: 'read',
+      paramCount: 1,
+      ownedTables: ['holdings']
+    }),
+    []
+  );
+
+  const mismatch = inspectTemplateSql({
+    sql: 'SELECT * FROM holdings WHERE wallet_address = $2',
+    dialect: 'postgres',
+    mode: 'read',
+    paramCount: 1,
+    ownedTables: ['holdings']
+  });
+  assert.deepEqual(
+    mismatch.map((issue) => issue.code),
+    ['placeholder_mismatch']
+  );
+
+  const protectedRead = inspectTemplateSql({
+    sql: 'SELECT * FROM policy_grants WHERE tenant_id = ?',
+    dialect: 'sqlite',
+    mode: 'read',
+    paramCount: 1,
+    ownedTables: ['holdings']
+  });
+  assert.deepEqual(
+    protectedRead.map((issue) => issue.code),
+    ['table_not_owned']
+  );
+});
+
+test('template SQL guard rejects SQL-executing functions and hidden relations', () => {
+  const codes = (sql, dialect = 'postgres') =>
+    inspectTemplateSql({ sql, dialect, mode: 'read', paramCount: 0, ownedTables: ['holdings'] })
+      .map((issue) => issue.code);
+
+  assert.deepEqual(codes("SELECT query_to_xml('SELECT * FROM policy_grants', true, false, '')"), [
+    'forbidden_function'
+  ]);
+  assert.deepEqual(codes("SELECT table_to_xml('policy_grants', true, false, '')"), [
+    'forbidden_function'
+  ]);
+  assert.deepEqual(codes("SELECT * FROM dblink('dbname=x', 'SELECT 1') AS t(a int)"), [
+    'forbidden_function',
+    'table_not_owned'
+  ]);
+  assert.deepEqual(codes('SELECT * FROM U&"policy_grants"'), ['unicode_escape_not_allowed']);
+  assert.deepEqual(codes('SELECT * FROM public.holdings'), ['qualified_relation']);
+  assert.deepEqual(codes('SELECT * FROM holdings h JOIN [policy_grants] g ON 1 = 1', 'sqlite'), [
+    'table_not_owned'
+  ]);
+  assert.deepEqual(codes('WITH holdings AS (SELECT * FROM policy_grants) SELECT * FROM holdings'), [
+    'table_not_owned'
+  ]);
+  assert.deepEqual(
+    codes('SELECT extract(year FROM now()) AS y, balance FROM holdings WHERE 1 IS DISTINCT FROM 2'),
+    []
+  );
+});
+
+test('template relations carry the operation each statement applies', () => {
+  assert.deepEqual(
+    resolveTemplateRelations({
+      sql: 'UPDATE holdings SET balance = l.balance FROM ledger l WHERE l.asset_symbol = ?',
+      dialect: 'sqlite',
+      mode: 'write'
+    }).relations,
+    [
+      { tableName: 'holdings', operation: 'update' },
+      { tableName: 'ledger', operation: 'read' }
+    ]
+  );
+});
@@ -114,6 +114,79 @@ test('receipt service builds deterministic hash fields', () => {
   assert.ok(first.receiptId.startsWith('rcpt_'));
 });
 
+test('receipt service records denied columns in the hashed decision', () => {
+  const receiptService = createReceiptService(createProofConfig(), createRuntimeMetadata(), {
+    now: () => new Date('2026-02-17T10:01:00.000Z')
+  });
+  const buildWithPolicy = (policy) =>
+    receiptService.buildReceipt({
+      payload: createPayload(),
+      statusCode: 200,
+      decision: { outcome: 'allow', stage: 'execution', code: 'DATA_OPERATION_EXECUTED', message: 'ok' },
+      auth: { ok: true, requester: createPayload().requester, code: null },
+      policy,
+      execution: null,
+      databaseDialect: 'sqlite'
+    });
+
+  const narrowed = buildWithPolicy({
+    allowed: true,
+    code: 'TABLE_OPERATION_ALLOW_MATCH',
+    deniedColumns: ['quantity', 'cost']
+  });
+  const unrestricted = buildWithPolicy({ allowed: true, code: 'TABLE_OPERATION_ALLOW_MATCH' });
+
+  assert.deepEqual(narrowed.deniedColumns, ['cost', 'quantity']);
+  assert.equal(unrestricted.deniedColumns, undefined);
+  assert.notEqual(narrowed.decisionHash, unrestricted.decisionHash);
+});
+
+test('receipt service records the policy version hash in the hashed decision', () => {
+  const receiptService = createReceiptService(createProofConfig(), createRuntimeMetadata(), {
+    now: () => new Date('2026-02-17T10:01:00.000Z')
+  });
+  const buildWithVersion = (policyVersionHash) =>
+    receiptService.buildReceipt({
+      payload: createPayload(),
+      statusCode: 200,
+      decision: { outcome: 'allow', stage: 'execution', code: 'QUERY_EXECUTED', message: 'ok' },
+      auth: { ok: true, requester: createPayload().requester, code: null },
+      policy: { allowed: true, code: 'DATABASE_ALL_ALLOW_MATCH', policyVersionHash },
+      execution: null,
+      databaseDialect: 'sqlite'
+    });
+
+  const versioned = buildWithVersion('a'.repeat(64));
+  const unversioned = buildWithVersion(null);
+
+  assert.equal(versioned.policyVersionHash, 'a'.repeat(64));
+  assert.equal(unversioned.policyVersionHash, undefined);
+  assert.notEqual(versioned.decisionHash, unversioned.decisionHash);
+});
+
+test('receipt service records the bearer session id in the hashed decision', () => {
+  const receiptService = createReceiptService(createProofConfig(), createRuntimeMetadata(), {
+    now: () => new Date('2026-02-17T10:01:00.000Z')
+  });
+  const buildWithSession = (sessionId) =>
+    receiptService.buildReceipt({
+      payload: createPayload(),
+      statusCode: 200,
+      decision: { outcome: 'allow', stage: 'execution', code: 'QUERY_EXECUTED', message: 'ok' },
+      auth: { ok: true, requester: createPayload().requester, code: null, sessionId },
+      policy: null,
+      execution: null,
+      databaseDialect: 'sqlite'
+    });
+
+  const session = buildWithSession('session-1');
+  const signed = buildWithSession(null);
+
+  assert.equal(session.sessionId, 'session-1');
+  assert.equal(signed.sessionId, undefined);
+  assert.notEqual(session.decisionHash, signed.decisionHash);
+});
+
 test('receipt service returns null when disabled', () => {
   const receiptService = createReceiptService(
     {
@@ -42,7 +42,8 @@ function createAllowAuthorizationService() {
         code: 'DATABASE_ALL_ALLOW_MATCH',
         message: 'Allowed by database-level all-operation rule.'
       }
-    })
+    }),
+    consumeGrantUses: async () => ({ ok: true })
   };
 }
 
@@ -245,3 +246,40 @@ test('schema apply accepts valid AI approval gate', async () => {
   assert.equal(result.statusCode, 201);
   assert.equal(result.body.aiApproval.approvalId, 'approval-1');
 });
+
+test('schema apply requires confirmDestructive before dropping applied tables', async () => {
+  let appliedPlan = null;
+  const schemaApplyService = createSchemaApplyService({
+    aiDraftStore: createAiDraftStoreStub(),
+    actionAuthorizationService: createAllowAuthorizationService(),
+    migrationRunnerService: {
+      loadAppliedSchema: async () => [
+        {
+          name: 'inventory',
+          fields: [{ name: 'item_id', type: 'text', nullable: false, primaryKey: true }]
+        },
+        {
+          name: 'stale_orders',
+          fields: [{ name: 'order_id', type: 'text', nullable: false, primaryKey: true }]
+        }
+      ],
+      applyMigrationPlan: async ({ migrationPlan }) => {
+        appliedPlan = migrationPlan;
+        return { ok: true, data: { migrationId: 'migration_1' } };
+      }
+    }
+  });
+
+  const unconfirmed = await schemaApplyService.apply(createValidPayload());
+  assert.equal(unconfirmed.statusCode, 409);
+  assert.equal(unconfirmed.body.error, 'DESTRUCTIVE_MIGRATION_NOT_CONFIRMED');
+  assert.deepEqual(unconfirmed.body.details.steps.map((step) => step.action), ['drop_table']);
+  assert.equal(appliedPlan, null);
+
+  const confirmed = await schemaApplyService.apply({
+    ...createValidPayload(),
+    confirmDestructive: true
+  });
+  assert.equal(confirmed.statusCode, 201);
+  assert.deepEqual(appliedPlan.steps.map((step) => step.action), ['ensure_database', 'drop_table']);
+});
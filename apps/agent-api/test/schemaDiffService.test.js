@@ -0,0 +1,441 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createSqliteAdapter } from '../src/db/adapters/sqliteAdapter.js';
+import { createMigrationRunnerService } from '../src/services/migrationRunnerService.js';
+import { diffSchema } from '../src/services/schemaDiffService.js';
+import { validateSchemaDsl } from '../src/services/schemaDslService.js';
+
+function normalize(engine, tables) {
+  const result = validateSchemaDsl({
+    requestId: 'req_diff',
+    creator: { walletAddress: '0x8ba1f109551bd432803012645ac136ddd64dba72' },
+    database: { name: 'branch_ledger', engine },
+    tables
+  });
+  assert.equal(result.ok, true, JSON.stringify(result.issues));
+  return result.normalizedDsl;
+}
+
+const inventoryV1 = {
+  name: 'inventory',
+  fields: [
+    { name: 'item_id', type: 'text', primaryKey: true },
+    { name: 'qty', type: 'integer', nullable: false },
+    { name: 'note', type: 'text' },
+    { name: 'legacy_code', type: 'text' }
+  ]
+};
+
+const inventoryV2 = {
+  name: 'inventory',
+  fields: [
+    { name: 'item_id', type: 'text', primaryKey: true },
+    { name: 'quantity', type: 'integer', nullable: false, renamedFrom: 'qty' },
+    { name: 'note', type: 'text', nullable: false },
+    { name: 'location', type: 'text' }
+  ]
+};
+
+const auditLog = {
+  name: 'audit_log',
+  fields: [{ name: 'event_id', type: 'text', primaryKey: true }]
+};
+
+test('diffSchema emits alter steps and flags destructive ones for postgres', () => {
+  const applied = diffSchema(normalize('postgres', [inventoryV1, auditLog]), []);
+  const result = diffSchema(
+    normalize('postgres', [inventoryV2]),
+    applied.migrationPlan.schemaState.tables
+  );
+
+  assert.equal(result.ok, true);
+  const { steps } = result.migrationPlan;
+  assert.deepEqual(
+    steps.map((step) => step.action),
+    [
+      'ensure_database',
+      'rename_column',
+      'add_column',
+      'drop_column',
+      'alter_column_nullability',
+      'drop_table'
+    ]
+  );
+  assert.equal(steps[1].sql, 'ALTER TABLE "inventory" RENAME COLUMN "qty" TO "quantity";');
+  assert.equal(steps[2].sql, 'ALTER TABLE "inventory" ADD COLUMN "location" TEXT;');
+  assert.deepEqual(steps[4].statements, [
+    'ALTER TABLE "inventory" ALTER COLUMN "note" SET NOT NULL;'
+  ]);
+  assert.equal(steps[5].sql, 'DROP TABLE IF EXISTS "audit_log";');
+  assert.deepEqual(result.migrationPlan.destructiveStepIds, ['step_004', 'step_006']);
+  assert.deepEqual(result.migrationPlan.schemaState.droppedTables, ['audit_log']);
+
+  const unchanged = diffSchema(
+    normalize('postgres', [inventoryV2]),
+    result.migrationPlan.schemaState.tables
+  );
+  assert.equal(unchanged.migrationPlan.steps.length, 1);
+});
+
+test('diffSchema rejects changes it cannot migrate safely', () => {
+  const applied = diffSchema(normalize('postgres', [inventoryV1]), []).migrationPlan.schemaState;
+  const result = diffSchema(
+    normalize('postgres', [
+      {
+        name: 'inventory',
+        fields: [
+          { name: 'sku', type: 'text', primaryKey: true },
+          { name: 'qty', type: 'numeric', nullable: false },
+          { name: 'required_flag', type: 'boolean', nullable: false },
+          { name: 'title', type: 'text', renamedFrom: 'missing_column' }
+        ]
+      }
+    ]),
+    applied.tables
+  );
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.issues.map((issue) => issue.code),
+    [
+      'column_type_change_not_supported',
+      'not_null_column_requires_default',
+      'rename_source_missing',
+      'primary_key_change_not_supported'
+    ]
+  );
+});
+
+test('sqlite diff migrations keep rows and record the applied definition', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-diff-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'diff.sqlite') });
+  const runner = createMigrationRunnerService({
+    databaseAdapter: adapter,
+    now: () => '2026-02-18T00:00:00.000Z'
+  });
+  const applyTables = async (requestId, tables) => {
+    const appliedTables = await runner.loadAppliedSchema({
+      tenantId: 'tenant_demo',
+      databaseName: 'branch_ledger'
+    });
+    const diff = diffSchema(normalize('sqlite', tables), appliedTables);
+    assert.equal(diff.ok, true, JSON.stringify(diff.issues));
+    return runner.applyMigrationPlan({
+      tenantId: 'tenant_demo',
+      requestId,
+      migrationPlan: diff.migrationPlan
+    });
+  };
+
+  try {
+    assert.equal((await applyTables('req_v1', [inventoryV1, auditLog])).ok, true);
+    await adapter.execute({
+      mode: 'write',
+      sql: `INSERT INTO inventory (item_id, qty, note, legacy_code) VALUES ('sku-1', 4, 'a', 'x')`,
+      values: []
+    });
+
+    const migrated = await applyTables('req_v2', [inventoryV2]);
+    assert.equal(migrated.ok, true, JSON.stringify(migrated.error));
+    assert.deepEqual(migrated.data.droppedTables, ['audit_log']);
+
+    const rows = await adapter.execute({
+      mode: 'read',
+      sql: 'SELECT * FROM inventory',
+      values: []
+    });
+    assert.deepEqual(rows.rows, [{ item_id: 'sku-1', quantity: 4, note: 'a', location: null }]);
+
+    const columns = await adapter.execute({
+      mode: 'read',
+      sql: 'PRAGMA table_info("inventory")',
+      values: []
+    });
+    assert.equal(columns.rows.find((column) => column.name === 'note').notnull, 1);
+
+    const managed = await adapter.execute({
+      mode: 'read',
+      sql: 'SELECT table_name FROM managed_tables WHERE tenant_id = ?',
+      values: ['tenant_demo']
+    });
+    assert.deepEqual(managed.rows.map((row) => row.table_name), ['inventory']);
+
+    const recorded = await runner.loadAppliedSchema({
+      tenantId: 'tenant_demo',
+      databaseName: 'branch_ledger'
+    });
+    assert.deepEqual(
+      recorded[0].fields.map((field) => field.name),
+      ['item_id', 'quantity', 'note', 'location']
+    );
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('diffSchema never adopts or drops tables the tenant does not own', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-diff-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'diff.sqlite') });
+  const runner = createMigrationRunnerService({ databaseAdapter: adapter });
+  const planFor = async (tenantId, tables) =>
+    diffSchema(
+      normalize('sqlite', tables),
+      await runner.loadAppliedSchema({ tenantId, databaseName: 'branch_ledger' }),
+      [],
+      await runner.loadSchemaCatalog({ tenantId })
+    );
+
+  try {
+    const created = await planFor('tenant_other', [auditLog]);
+    assert.equal(created.ok, true, JSON.stringify(created.issues));
+    const applied = await runner.applyMigrationPlan({
+      tenantId: 'tenant_other',
+      requestId: 'req_other',
+      migrationPlan: created.migrationPlan
+    });
+    assert.equal(applied.ok, true, JSON.stringify(applied.error));
+
+    const adopt = await planFor('tenant_demo', [inventoryV1, auditLog]);
+    assert.equal(adopt.ok, false);
+    assert.deepEqual(
+      adopt.issues.map((issue) => [issue.path, issue.code]),
+      [['tables[1].name', 'table_not_owned']]
+    );
+    assert.match(adopt.issues[0].message, /'audit_log' already exists/);
+
+    const service = await planFor('tenant_demo', [
+      { name: 'managed_tables', fields: [{ name: 'tenant_id', type: 'text', primaryKey: true }] }
+    ]);
+    assert.equal(service.issues[0].code, 'table_not_owned');
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  const recorded = diffSchema(normalize('postgres', [inventoryV1, auditLog]), []).migrationPlan
+    .schemaState.tables;
+  const dropped = diffSchema(normalize('postgres', [inventoryV1]), recorded, [], {
+    ownedTables: ['inventory'],
+    existingTables: ['inventory', 'audit_log']
+  });
+  assert.deepEqual(dropped.migrationPlan.schemaState.droppedTables, []);
+  assert.deepEqual(
+    diffSchema(normalize('postgres', [inventoryV1]), recorded).migrationPlan.schemaState
+      .droppedTables,
+    ['audit_log']
+  );
+});
+
+test('diffSchema never claims or drops index names outside the tenant tables', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-diff-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'diff.sqlite') });
+  const runner = createMigrationRunnerService({ databaseAdapter: adapter });
+  const withIndex = (name) => ({ ...inventoryV1, indexes: [{ name, fields: ['qty'] }] });
+
+  try {
+    await adapter.execute({
+      mode: 'write',
+      sql: 'CREATE TABLE auth_nonces (nonce TEXT PRIMARY KEY, expires_at TEXT)',
+      values: []
+    });
+    await adapter.execute({
+      mode: 'write',
+      sql: 'CREATE INDEX idx_auth_nonces_expires_at ON auth_nonces (expires_at)',
+      values: []
+    });
+    const catalog = await runner.loadSchemaCatalog({ tenantId: 'tenant_demo' });
+
+    const taken = diffSchema(
+      normalize('sqlite', [withIndex('idx_auth_nonces_expires_at')]),
+      [],
+      [],
+      catalog
+    );
+    assert.equal(taken.ok, false);
+    assert.deepEqual(
+      taken.issues.map((issue) => [issue.path, issue.code]),
+      [['tables[0].indexes', 'index_name_taken']]
+    );
+    assert.equal(
+      diffSchema(normalize('sqlite', [withIndex('auth_nonces')]), [], [], catalog).issues[0]
+        .code,
+      'index_name_taken'
+    );
+
+    const recorded = diffSchema(normalize('sqlite', [withIndex('idx_auth_nonces_expires_at')]), [])
+      .migrationPlan.schemaState.tables;
+    const changed = diffSchema(
+      normalize('sqlite', [withIndex('inventory_by_qty')]),
+      recorded,
+      [],
+      { ...catalog, ownedTables: ['inventory'], existingTables: ['inventory', 'auth_nonces'] }
+    );
+    assert.equal(changed.ok, true, JSON.stringify(changed.issues));
+    assert.deepEqual(
+      changed.migrationPlan.steps.map((step) => step.action),
+      ['ensure_database', 'create_index']
+    );
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('diffSchema keeps renamed indexes and recreates them across sqlite rebuilds', async () => {
+  const withIndexes = (table, indexes) => ({ ...table, indexes });
+  const v1 = withIndexes(inventoryV1, [
+    { name: 'inventory_by_qty', fields: ['qty'] },
+    { fields: ['legacy_code'] }
+  ]);
+  const v2 = withIndexes(inventoryV2, [
+    { name: 'inventory_by_qty', fields: ['quantity'] },
+    { fields: ['location'], unique: true }
+  ]);
+
+  const postgresV1 = diffSchema(normalize('postgres', [v1]), []);
+  assert.deepEqual(
+    postgresV1.migrationPlan.steps.map((step) => step.action),
+    ['ensure_database', 'create_table', 'create_index', 'create_index']
+  );
+  const postgresV2 = diffSchema(
+    normalize('postgres', [v2]),
+    postgresV1.migrationPlan.schemaState.tables
+  );
+  assert.deepEqual(
+    postgresV2.migrationPlan.steps.map((step) => step.metadata.indexName || step.action),
+    [
+      'ensure_database',
+      'idx_inventory_legacy_code',
+      'rename_column',
+      'add_column',
+      'drop_column',
+      'alter_column_nullability',
+      'uq_inventory_location'
+    ]
+  );
+  assert.equal(
+    postgresV2.migrationPlan.steps[1].sql,
+    'DROP INDEX IF EXISTS "idx_inventory_legacy_code";'
+  );
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'private-db-agent-diff-'));
+  const adapter = await createSqliteAdapter({ filePath: path.join(tempDir, 'diff.sqlite') });
+  const runner = createMigrationRunnerService({ databaseAdapter: adapter });
+  try {
+    for (const [requestId, table] of [
+      ['req_v1', v1],
+      ['req_v2', v2]
+    ]) {
+      const appliedTables = await runner.loadAppliedSchema({
+        tenantId: 'tenant_demo',
+        databaseName: 'branch_ledger'
+      });
+      const diff = diffSchema(normalize('sqlite', [table]), appliedTables);
+      const applied = await runner.applyMigrationPlan({
+        tenantId: 'tenant_demo',
+        requestId,
+        migrationPlan: diff.migrationPlan
+      });
+      assert.equal(applied.ok, true, JSON.stringify(applied.error));
+    }
+
+    const indexes = await adapter.execute({
+      mode: 'read',
+      sql: `SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'inventory'
+        AND sql IS NOT NULL ORDER BY name`,
+      values: []
+    });
+    assert.deepEqual(
+      indexes.rows.map((row) => row.name),
+      ['inventory_by_qty', 'uq_inventory_location']
+    );
+  } finally {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('diffSchema resolves references against tables managed in other databases', () => {
+  const suppliers = diffSchema(
+    normalize('postgres', [
+      { name: 'suppliers', fields: [{ name: 'supplier_id', type: 'text', primaryKey: true }] }
+    ]),
+    []
+  ).migrationPlan.schemaState.tables;
+  const stock = {
+    name: 'stock',
+    fields: [
+      { name: 'item_id', type: 'text', primaryKey: true },
+      {
+        name: 'supplier_id',
+        type: 'text',
+        references: { table: 'suppliers', field: 'supplier_id', onDelete: 'cascade' }
+      }
+    ]
+  };
+
+  const result = diffSchema(normalize('postgres', [stock]), [], suppliers);
+  assert.equal(result.ok, true, JSON.stringify(result.issues));
+  assert.match(result.migrationPlan.steps[1].sql, /REFERENCES "suppliers" \("supplier_id"\)/);
+
+  const missing = diffSchema(normalize('postgres', [stock]), [], []);
+  assert.deepEqual(
+    missing.issues.map((issue) => `${issue.path}:${issue.code}`),
+    ['tables[0].fields[1].references:unknown_reference_table']
+  );
+
+  const changed = diffSchema(
+    normalize('sqlite', [
+      { ...stock, fields: [stock.fields[0], { ...stock.fields[1], nullable: false }] }
+    ]),
+    result.migrationPlan.schemaState.tables,
+    suppliers
+  );
+  assert.equal(changed.ok, true, JSON.stringify(changed.issues));
+  assert.equal(changed.migrationPlan.steps[1].action, 'alter_column_nullability');
+
+  const suppliersV1 = {
+    name: 'suppliers',
+    fields: [
+      { name: 'supplier_id', type: 'text', primaryKey: true },
+      { name: 'region', type: 'text' }
+    ]
+  };
+  const suppliersV2 = {
+    ...suppliersV1,
+    fields: [suppliersV1.fields[0], { name: 'region', type: 'text', nullable: false }]
+  };
+  const applied = diffSchema(normalize('sqlite', [suppliersV1, stock]), []);
+  const rebuildParent = diffSchema(
+    normalize('sqlite', [suppliersV2, stock]),
+    applied.migrationPlan.schemaState.tables
+  );
+  assert.deepEqual(
+    rebuildParent.issues.map((issue) => issue.code),
+    ['referenced_table_rebuild_not_supported']
+  );
+});
+
+test('diffSchema treats decimal precision changes as type changes', () => {
+  const ledger = (amountType) => ({
+    name: 'ledger',
+    fields: [
+      { name: 'entry_id', type: 'uuid', primaryKey: true },
+      { name: 'amount', type: amountType }
+    ]
+  });
+  const applied = diffSchema(normalize('postgres', [ledger('decimal(18, 6)')]), []);
+  const tables = applied.migrationPlan.schemaState.tables;
+
+  assert.equal(diffSchema(normalize('postgres', [ledger('decimal(18,6)')]), tables).ok, true);
+  const widened = diffSchema(normalize('postgres', [ledger('decimal(38, 6)')]), tables);
+  assert.deepEqual(
+    widened.issues.map((issue) => `${issue.path}:${issue.code}`),
+    ['tables[0].fields[1].type:column_type_change_not_supported']
+  );
+  assert.match(widened.issues[0].message, /'decimal\(18, 6\)'/);
+});
@@ -39,7 +39,7 @@ function createValidPayload() {
 test('validateSchemaDsl rejects invalid identifiers and field types with structured issues', () => {
   const payload = createValidPayload();
   payload.database.name = 'drop-table';
-  payload.tables[0].fields[0].type = 'uuid';
+  payload.tables[0].fields[0].type = 'money';
 
   const result = validateSchemaDsl(payload);
 
@@ -106,3 +106,214 @@ test('validateAndCompileSchemaDsl returns migration plan for valid payload', ()
   assert.equal(typeof result.migrationPlan.planHash, 'string');
   assert.equal(result.migrationPlan.planHash.length, 64);
 });
+
+test('compileMigrationPlan emits composite keys and index steps after each table', () => {
+  const payload = createValidPayload();
+  payload.tables[0] = {
+    name: 'inventory',
+    primaryKey: ['branch_id', 'item_id'],
+    unique: [['branch_id', 'barcode']],
+    indexes: [{ fields: ['quantity'] }, { name: 'inventory_by_item', fields: ['item_id'] }],
+    fields: [
+      { name: 'branch_id', type: 'text' },
+      { name: 'item_id', type: 'text' },
+      { name: 'barcode', type: 'text' },
+      { name: 'quantity', type: 'integer', nullable: false }
+    ]
+  };
+
+  const result = validateAndCompileSchemaDsl(payload);
+
+  assert.equal(result.ok, true, JSON.stringify(result.issues));
+  const steps = result.migrationPlan.steps;
+  const describeStep = (step) =>
+    `${step.action}:${step.metadata.indexName || step.metadata.tableName || ''}`;
+  assert.deepEqual(
+    steps.map(describeStep),
+    [
+      'ensure_database:',
+      'create_table:audit_log',
+      'create_table:inventory',
+      'create_index:idx_inventory_quantity',
+      'create_index:inventory_by_item',
+      'create_index:uq_inventory_branch_id_barcode'
+    ]
+  );
+  assert.match(steps[2].sql, /"branch_id" TEXT NOT NULL,/);
+  assert.match(steps[2].sql, /PRIMARY KEY \("branch_id", "item_id"\)\n\);$/);
+  assert.deepEqual(steps[2].metadata.primaryKey, ['branch_id', 'item_id']);
+  assert.equal(
+    steps[5].sql,
+    'CREATE UNIQUE INDEX IF NOT EXISTS "uq_inventory_branch_id_barcode" ' +
+      'ON "inventory" ("branch_id", "barcode");'
+  );
+});
+
+test('validateSchemaDsl rejects unknown index columns and clashing index names', () => {
+  const payload = createValidPayload();
+  payload.tables[0].primaryKey = ['item_id', 'quantity', 'item_id'];
+  payload.tables[0].indexes = [{ name: 'audit_log', fields: ['quantity'] }];
+  payload.tables[1].unique = [['missing_column']];
+
+  const result = validateSchemaDsl(payload);
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.issues.map((issue) => `${issue.path}:${issue.code}`),
+    [
+      'tables[0].primaryKey:duplicate_column',
+      'tables[1].unique[0]:unknown_column',
+      'tables[0].indexes:duplicate_index_name'
+    ]
+  );
+});
+
+test('compileMigrationPlan orders referenced tables first and rejects cycles', () => {
+  const payload = createValidPayload();
+  payload.tables[1].fields.push({
+    name: 'item_id',
+    type: 'text',
+    references: { table: 'inventory', field: 'item_id', onDelete: 'set_null' }
+  });
+
+  const result = validateAndCompileSchemaDsl(payload);
+
+  assert.equal(result.ok, true, JSON.stringify(result.error));
+  const createSteps = result.migrationPlan.steps.filter((step) => step.action === 'create_table');
+  assert.deepEqual(
+    createSteps.map((step) => step.metadata.tableName),
+    ['inventory', 'audit_log']
+  );
+  assert.match(
+    createSteps[1].sql,
+    /"item_id" TEXT REFERENCES "inventory" \("item_id"\) ON DELETE SET NULL\n/
+  );
+
+  payload.tables[0].fields.push({
+    name: 'last_event_id',
+    type: 'integer',
+    references: { table: 'audit_log', field: 'event_id' }
+  });
+  const cyclic = validateSchemaDsl(payload);
+  assert.equal(cyclic.ok, false);
+  assert.deepEqual(
+    cyclic.issues.map((issue) => issue.code),
+    ['reference_type_mismatch', 'reference_cycle']
+  );
+});
+
+test('defaults, checks and enums compile to native constraints on both engines', () => {
+  const payload = createValidPayload();
+  payload.tables = [
+    {
+      name: 'inventory',
+      fields: [
+        { name: 'item_id', type: 'text', primaryKey: true, check: { pattern: 'SKU-[0-9]*' } },
+        { name: 'quantity', type: 'integer', nullable: false, default: 0, check: { min: 0 } },
+        { name: 'status', type: 'enum', values: ['open', "o'clock"], default: 'open' },
+        { name: 'flagged', type: 'boolean', default: false },
+        { name: 'updated_at', type: 'timestamp', default: 'now()' }
+      ]
+    }
+  ];
+
+  const postgresSql = validateAndCompileSchemaDsl(payload).migrationPlan.steps[1].sql;
+  assert.equal(
+    postgresSql,
+    [
+      'CREATE TABLE IF NOT EXISTS "inventory" (',
+      `  "item_id" TEXT PRIMARY KEY NOT NULL CHECK ("item_id" ~ '^SKU-[0-9].*$'),`,
+      '  "quantity" INTEGER NOT NULL DEFAULT 0 CHECK ("quantity" >= 0),',
+      `  "status" TEXT DEFAULT 'open' CHECK ("status" IN ('open', 'o''clock')),`,
+      '  "flagged" BOOLEAN DEFAULT FALSE,',
+      '  "updated_at" TIMESTAMPTZ DEFAULT now()',
+      ');'
+    ].join('\n')
+  );
+
+  payload.database.engine = 'sqlite';
+  const sqliteSql = validateAndCompileSchemaDsl(payload).migrationPlan.steps[1].sql;
+  assert.match(sqliteSql, /CHECK \("item_id" GLOB 'SKU-\[0-9\]\*'\)/);
+  assert.match(sqliteSql, /"flagged" INTEGER DEFAULT 0,/);
+  assert.match(sqliteSql, /DEFAULT \(strftime\('%Y-%m-%dT%H:%M:%fZ', 'now'\)\)/);
+
+  payload.tables[0].fields = [
+    { name: 'item_id', type: 'text', primaryKey: true, check: { min: 1, pattern: '[a-' } },
+    { name: 'quantity', type: 'integer', default: -1, check: { min: 0 } },
+    { name: 'status', type: 'enum' },
+    { name: 'updated_at', type: 'text', default: 'now()', check: { in: ['a', 'a'] } }
+  ];
+  const rejected = validateSchemaDsl(payload);
+  assert.deepEqual(
+    rejected.issues.map((issue) => `${issue.path}:${issue.code}`),
+    [
+      'tables[0].fields[0].check.min:unsupported_check',
+      'tables[0].fields[0].check.pattern:unsupported_check',
+      'tables[0].fields[1].default:invalid_default',
+      'tables[0].fields[2].values:invalid_enum_values',
+      'tables[0].fields[3].check.in:unsupported_check'
+    ]
+  );
+});
+
+test('domain field types map per engine and validate decimal precision', () => {
+  const payload = createValidPayload();
+  payload.tables = [
+    {
+      name: 'token_transfers',
+      fields: [
+        { name: 'transfer_id', type: 'uuid', primaryKey: true },
+        { name: 'tx_hash', type: 'bytes32', nullable: false },
+        {
+          name: 'sender',
+          type: 'address',
+          default: '0x8BA1F109551BD432803012645AC136DDD64DBA72'
+        },
+        { name: 'amount', type: 'decimal(78, 0)', nullable: false },
+        { name: 'fee', type: 'decimal', precision: 10, scale: 4, default: '0.50' },
+        { name: 'settled_on', type: 'date' },
+        { name: 'memo', type: 'bytea', default: '0xCAFE' }
+      ]
+    }
+  ];
+
+  const postgresSql = validateAndCompileSchemaDsl(payload).migrationPlan.steps[1].sql;
+  assert.equal(
+    postgresSql,
+    [
+      'CREATE TABLE IF NOT EXISTS "token_transfers" (',
+      '  "transfer_id" UUID PRIMARY KEY NOT NULL,',
+      '  "tx_hash" TEXT NOT NULL,',
+      `  "sender" TEXT DEFAULT '0x8ba1f109551bd432803012645ac136ddd64dba72',`,
+      '  "amount" NUMERIC(78, 0) NOT NULL,',
+      `  "fee" NUMERIC(10, 4) DEFAULT '0.5',`,
+      '  "settled_on" DATE,',
+      `  "memo" BYTEA DEFAULT decode('cafe', 'hex')`,
+      ');'
+    ].join('\n')
+  );
+
+  payload.database.engine = 'sqlite';
+  const sqliteSql = validateAndCompileSchemaDsl(payload).migrationPlan.steps[1].sql;
+  assert.match(sqliteSql, /"amount" TEXT NOT NULL,/);
+  assert.match(sqliteSql, /"memo" BLOB DEFAULT X'cafe'/);
+
+  payload.tables[0].fields = [
+    { name: 'transfer_id', type: 'uuid', primaryKey: true, precision: 4 },
+    { name: 'amount', type: 'decimal(4, 6)' },
+    { name: 'fee', type: 'decimal' },
+    { name: 'settled_on', type: 'date', default: '2026-02-30' },
+    { name: 'sender', type: 'address', default: '0x1234' }
+  ];
+  const rejected = validateSchemaDsl(payload);
+  assert.deepEqual(
+    rejected.issues.map((issue) => `${issue.path}:${issue.code}`),
+    [
+      'tables[0].fields[0]:unexpected_precision',
+      'tables[0].fields[1]:invalid_decimal_precision',
+      'tables[0].fields[2]:invalid_decimal_precision',
+      'tables[0].fields[3].default:invalid_default',
+      'tables[0].fields[4].default:invalid_default'
+    ]
+  );
+});
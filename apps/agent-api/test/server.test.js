@@ -86,6 +86,12 @@ function createStubbedQueryService({
       evaluateAccess: () => policyResult
     },
     queryExecutionService: {
+      prepare: async ({ queryTemplate, queryParams }) => ({
+        ok: true,
+        queryTemplate,
+        normalizedParams: queryParams
+      }),
+      checkCursor: () => ({ ok: true }),
       execute: async () => executionResult
     },
     policyGrantStore: {
@@ -149,6 +155,18 @@ test('loadConfig returns default values including database settings', () => {
   assert.equal(config.security.rateLimit.windowMs, 60000);
   assert.equal(config.security.rateLimit.maxRequests, 300);
   assert.equal(config.operations.secretRotationDays, 30);
+  assert.equal(config.pagination.cursorSecret, '');
+  assert.equal(config.pagination.cursorTtlSeconds, 3600);
+});
+
+test('loadConfig requires a pagination cursor secret outside development and test', () => {
+  assert.throws(() => loadConfig({ NODE_ENV: 'production' }), /PAGINATION_CURSOR_SECRET/);
+  assert.equal(
+    loadConfig({ NODE_ENV: 'production', PAGINATION_CURSOR_SECRET: 'cursor-secret' }).pagination
+      .cursorSecret,
+    'cursor-secret'
+  );
+  assert.equal(loadConfig({ NODE_ENV: 'test' }).pagination.cursorSecret, '');
 });
 
 test('query service returns execution result after auth and policy pass', async () => {
@@ -171,6 +189,103 @@ test('query service returns execution result after auth and policy pass', async
   assert.equal(result.body.audit.logged, true);
 });
 
+test('query service issues a bound next-page cursor and feeds it back to execution', async () => {
+  const executionCalls = [];
+  const paginatedResult = {
+    ok: true,
+    statusCode: 200,
+    data: {
+      queryTemplate: 'wallet_transactions',
+      mode: 'read',
+      rowCount: 1,
+      rows: [{ tx_hash: '0xaaa', created_at: '2026-02-17T10:00:00.000Z' }],
+      normalizedParams: {}
+    },
+    pagination: {
+      keys: ['created_at', 'tx_hash'],
+      nextKeyValues: ['2026-02-17T10:00:00.000Z', '0xaaa']
+    }
+  };
+  const queryService = createQueryService({
+    authService: {
+      authenticate: async () => ({
+        ok: true,
+        requester: '0x0000000000000000000000000000000000001234',
+        signedAt: '2026-02-17T10:00:00.000Z',
+        nonce: 'nonce-1'
+      })
+    },
+    policyService: {
+      evaluateAccess: () => ({ allowed: true, code: 'ALLOWED', message: 'ok' })
+    },
+    queryExecutionService: {
+      prepare: async ({ queryTemplate, queryParams }) => ({
+        ok: true,
+        queryTemplate,
+        normalizedParams: { chainId: 1, ...queryParams }
+      }),
+      checkCursor: () => ({ ok: true }),
+      execute: async (input) => {
+        executionCalls.push(input);
+        return paginatedResult;
+      }
+    },
+    policyGrantStore: {
+      listActiveGrants: async () => [
+        {
+          grantId: 'grant_stub_db_read_allow',
+          tenantId: 'tenant_demo',
+          walletAddress: '0x0000000000000000000000000000000000001234',
+          scopeType: 'database',
+          scopeId: '*',
+          operation: 'read',
+          effect: 'allow',
+          createdAt: '2026-02-17T10:00:00.000Z'
+        }
+      ]
+    }
+  });
+  const payload = {
+    requestId: 'req-page',
+    tenantId: 'tenant_demo',
+    requester: '0x0000000000000000000000000000000000001234',
+    capability: 'transactions:read',
+    queryTemplate: 'wallet_transactions',
+    queryParams: { walletAddress: '0x0000000000000000000000000000000000001234', chainId: 1, limit: 1 }
+  };
+
+  const firstPage = await queryService.handle(payload);
+  assert.equal(firstPage.statusCode, 200);
+  assert.equal(firstPage.body.page, 1);
+  assert.equal(typeof firstPage.body.nextCursor, 'string');
+  assert.equal(executionCalls[0].cursorKeyValues, null);
+
+  const secondPage = await queryService.handle({ ...payload, cursor: firstPage.body.nextCursor });
+  assert.equal(secondPage.statusCode, 200);
+  assert.equal(secondPage.body.page, 2);
+  assert.deepEqual(executionCalls[1].cursorKeyValues, ['2026-02-17T10:00:00.000Z', '0xaaa']);
+
+  const rebound = await queryService.handle({
+    ...payload,
+    queryParams: { ...payload.queryParams, chainId: 10 },
+    cursor: firstPage.body.nextCursor
+  });
+  assert.equal(rebound.statusCode, 403);
+  assert.equal(rebound.body.error, 'CURSOR_BINDING_MISMATCH');
+  assert.equal(executionCalls.length, 2);
+
+  // The binding covers the validated params, so leaving out a defaulted param keeps the cursor.
+  const { chainId, ...withoutChainId } = payload.queryParams;
+  assert.equal(chainId, 1);
+  const defaulted = await queryService.handle({
+    ...payload,
+    queryParams: withoutChainId,
+    cursor: firstPage.body.nextCursor
+  });
+  assert.equal(defaulted.statusCode, 200);
+  assert.equal(defaulted.body.page, 2);
+});
+
 test('query service validates required fields', async () => {
   const queryService = createStubbedQueryService();
 
@@ -27,6 +27,8 @@ test('resolveRouteAction maps protected action routes to stable labels', () => {
   assert.equal(resolveRouteAction('POST', '/v1/control-plane/submit'), 'schema:submit');
   assert.equal(resolveRouteAction('POST', '/v1/policy/grants'), 'policy:grant:create');
   assert.equal(resolveRouteAction('POST', '/v1/ai/schema-draft'), 'ai:schema:draft');
+  assert.equal(resolveRouteAction('POST', '/v1/query/templates'), 'query:template:create');
+  assert.equal(resolveRouteAction('DELETE', '/v1/query/templates'), 'query:template:delete');
 });
 
 test('shouldApplyRateLimit keeps v1 routes protected and excludes health/demo', () => {
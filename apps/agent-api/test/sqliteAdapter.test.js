@@ -75,3 +75,112 @@ test('sqlite adapter supports write template when capability is write', async ()
     assert.equal(found, true);
   });
 });
+
+test('sqlite adapter aggregates portfolio summary per asset with one wallet position total', async () => {
+  await withTempSqlite(async (adapter) => {
+    const executionService = createQueryExecutionService({
+      databaseAdapter: adapter,
+      enforceCapabilityMode: true
+    });
+
+    const result = await executionService.execute({
+      capability: 'balances:read',
+      queryTemplate: 'portfolio_summary',
+      queryParams: {
+        walletAddress: '0x8ba1f109551bd432803012645ac136ddd64dba72'
+      }
+    });
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(
+      result.data.rows.map((row) => [row.row_type, row.asset_symbol]),
+      [
+        ['asset', 'ETH'],
+        ['asset', 'MATIC'],
+        ['asset', 'USDC'],
+        ['wallet', null]
+      ]
+    );
+    const eth = result.data.rows.find((row) => row.asset_symbol === 'ETH');
+    assert.equal(eth.total_balance, 2.35);
+    assert.equal(eth.chain_count, 1);
+    assert.equal(eth.positions_value_usd, null);
+    assert.equal(eth.position_count, null);
+
+    const wallet = result.data.rows.find((row) => row.row_type === 'wallet');
+    assert.equal(wallet.position_count, 2);
+    assert.ok(Math.abs(wallet.positions_value_usd - 1311.5) < 1e-9);
+  });
+});
+
+test('sqlite adapter buckets wallet activity into inflow and outflow series', async () => {
+  await withTempSqlite(async (adapter) => {
+    const executionService = createQueryExecutionService({
+      databaseAdapter: adapter,
+      enforceCapabilityMode: true
+    });
+
+    const result = await executionService.execute({
+      capability: 'transactions:read',
+      queryTemplate: 'wallet_activity',
+      queryParams: {
+        walletAddress: '0x8ba1f109551bd432803012645ac136ddd64dba72',
+        chainId: 1,
+        bucket: 'week'
+      }
+    });
+
+    assert.equal(result.ok, true);
+    assert.ok(result.data.rowCount >= 1);
+    const totals = result.data.rows.reduce(
+      (accumulator, row) => ({
+        inflow: accumulator.inflow + row.inflow,
+        outflow: accumulator.outflow + row.outflow,
+        txCount: accumulator.txCount + row.tx_count
+      }),
+      { inflow: 0, outflow: 0, txCount: 0 }
+    );
+    assert.equal(totals.inflow, 0.5);
+    assert.equal(totals.outflow, 0.12);
+    assert.equal(totals.txCount, 2);
+    assert.match(result.data.rows[0].bucket_start, /^\d{4}-\d{2}-\d{2}T00:00:00Z$/);
+  });
+});
+
+test('sqlite adapter pages wallet transactions by created_at and tx_hash keys', async () => {
+  await withTempSqlite(async (adapter) => {
+    const executionService = createQueryExecutionService({
+      databaseAdapter: adapter,
+      enforceCapabilityMode: true
+    });
+    const queryParams = {
+      walletAddress: '0x8ba1f109551bd432803012645ac136ddd64dba72',
+      chainId: 1,
+      limit: 1
+    };
+
+    const firstPage = await executionService.execute({
+      capability: 'transactions:read',
+      queryTemplate: 'wallet_transactions',
+      queryParams
+    });
+    assert.equal(firstPage.ok, true);
+    assert.equal(firstPage.data.rowCount, 1);
+    assert.deepEqual(firstPage.pagination.nextKeyValues, [
+      firstPage.data.rows[0].created_at,
+      firstPage.data.rows[0].tx_hash
+    ]);
+
+    const secondPage = await executionService.execute({
+      capability: 'transactions:read',
+      queryTemplate: 'wallet_transactions',
+      queryParams,
+      cursorKeyValues: firstPage.pagination.nextKeyValues
+    });
+    assert.equal(secondPage.ok, true);
+    assert.equal(secondPage.data.rowCount, 1);
+    assert.notEqual(secondPage.data.rows[0].tx_hash, firstPage.data.rows[0].tx_hash);
+    assert.ok(secondPage.data.rows[0].created_at <= firstPage.data.rows[0].created_at);
+    assert.equal(secondPage.pagination.nextKeyValues, null);
+  });
+});
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+
+const DEFAULT_AGENT_API_URL = 'http://localhost:8080';
+
+function getAgentApiBaseUrl() {
+  const configured =
+    process.env.AGENT_API_URL || process.env.NEXT_PUBLIC_AGENT_API_URL || DEFAULT_AGENT_API_URL;
+
+  return configured.replace(/\/+$/, '');
+}
+
+export async function GET() {
+  const agentApiBaseUrl = getAgentApiBaseUrl();
+  const upstreamUrl = `${agentApiBaseUrl}/v1/auth/eip712`;
+
+  try {
+    const upstreamResponse = await fetch(upstreamUrl, {
+      method: 'GET',
+      headers: {
+        accept: 'application/json'
+      },
+      cache: 'no-store'
+    });
+
+    const upstreamBody = await upstreamResponse.json().catch(() => null);
+    if (!upstreamResponse.ok) {
+      if (upstreamBody && typeof upstreamBody === 'object') {
+        return NextResponse.json(upstreamBody, { status: upstreamResponse.status });
+      }
+
+      return NextResponse.json(
+        {
+          error: 'UPSTREAM_EIP712_DOMAIN_FAILED',
+          message: `Agent API returned status ${upstreamResponse.status}.`
+        },
+        { status: upstreamResponse.status }
+      );
+    }
+
+    return NextResponse.json(upstreamBody, { status: 200 });
+  } catch (error) {
+    return NextResponse.json(
+      {
+        error: 'UPSTREAM_EIP712_DOMAIN_UNREACHABLE',
+        message: error?.message || 'Unable to reach agent API.'
+      },
+      { status: 502 }
+    );
+  }
+}
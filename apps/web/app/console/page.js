@@ -3,7 +3,24 @@
 import { useEffect, useMemo, useState } from 'react';
 
 const DB_ENGINES = ['postgres', 'sqlite'];
-const FIELD_TYPES = ['text', 'integer', 'numeric', 'boolean', 'timestamp', 'jsonb'];
+const FIELD_TYPES = [
+  'text',
+  'integer',
+  'numeric',
+  'boolean',
+  'timestamp',
+  'jsonb',
+  'address',
+  'bytes32',
+  'uuid',
+  'date',
+  'bytea'
+];
+const DECIMAL_TYPE_REGEX = /^decimal\(\s*\d+\s*,\s*\d+\s*\)$/;
+
+function isSupportedFieldType(type) {
+  return FIELD_TYPES.includes(type) || DECIMAL_TYPE_REGEX.test(type || '');
+}
 const OPERATIONS = ['all', 'read', 'insert', 'update', 'delete', 'alter'];
 const DATA_ACTION_OPERATIONS = ['read', 'insert', 'update', 'delete'];
 const QUERY_CAPABILITIES = ['balances:read', 'transactions:read', 'audit:read'];
@@ -15,8 +32,6 @@ const QUERY_TEMPLATES = [
   'policy_denies_recent'
 ];
 const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
-const SIGNING_CONTEXT = 'PRIVATE_DB_AGENT_POLICY_MUTATION_V1';
-const QUERY_SIGNING_CONTEXT = 'PRIVATE_DB_AGENT_AUTH_V1';
 
 function makeId(prefix) {
   return `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
@@ -100,26 +115,46 @@ function stableStringify(value) {
   return JSON.stringify(stableSort(value));
 }
 
-function buildPolicyMutationMessage({
-  requestId,
-  tenantId,
-  actorWallet,
-  action,
-  payload,
-  nonce,
-  signedAt
-}) {
-  const envelope = {
+// Mirrors the agent API's EIP-712 structs; the domain and type list come from
+// GET /v1/auth/eip712 so the console never hardcodes chain or service id.
+function buildTypedDataRequest(eip712, primaryType, message) {
+  return {
+    domain: eip712.domain,
+    primaryType,
+    types: {
+      EIP712Domain: eip712.types.EIP712Domain,
+      [primaryType]: eip712.types[primaryType]
+    },
+    message
+  };
+}
+
+function buildPolicyMutationTypedData(
+  eip712,
+  { requestId, tenantId, actorWallet, action, payload, nonce, signedAt }
+) {
+  if (action === 'data:execute') {
+    return buildTypedDataRequest(eip712, 'DataExecuteRequest', {
+      requestId,
+      tenantId,
+      actorWallet,
+      tableName: payload?.tableName || '',
+      operation: payload?.operation || '',
+      request: stableStringify(payload || {}),
+      nonce,
+      signedAt
+    });
+  }
+
+  return buildTypedDataRequest(eip712, 'PolicyMutation', {
     requestId,
     tenantId,
     actorWallet,
     action,
-    payload: payload || {},
+    payload: stableStringify(payload || {}),
     nonce,
     signedAt
-  };
-
-  return `${SIGNING_CONTEXT}\n${stableStringify(envelope)}`;
+  });
 }
 
 function buildSubmitActionPayload(payload) {
@@ -136,7 +171,8 @@ function buildSubmitActionPayload(payload) {
 function buildApplyActionPayload(payload) {
   return {
     database: payload.database || null,
-    tables: Array.isArray(payload.tables) ? payload.tables : []
+    tables: Array.isArray(payload.tables) ? payload.tables : [],
+    ...(payload.confirmDestructive === true ? { confirmDestructive: true } : {})
   };
 }
 
@@ -155,6 +191,8 @@ function buildDataExecuteActionPayload(payload) {
     filters: payload.filters || null,
     columns: payload.columns || null,
     limit: payload.limit ?? null,
+    ...(payload.orderBy ? { orderBy: payload.orderBy } : {}),
+    ...(payload.cursor ? { cursor: payload.cursor } : {}),
     agentOverride: null,
     bypassPolicy: null,
     skipAuth: null,
@@ -181,28 +219,39 @@ function buildGrantRevokeActionPayload({ grantId, expectedSignatureHash = null }
   };
 }
 
-function buildQuerySignedMessage({
-  requestId,
-  tenantId,
-  requester,
-  capability,
-  queryTemplate,
-  queryParams,
-  nonce,
-  signedAt
-}) {
-  const envelope = {
+function buildQueryTypedData(
+  eip712,
+  { requestId, tenantId, requester, capability, queryTemplate, queryParams, nonce, signedAt }
+) {
+  return buildTypedDataRequest(eip712, 'QueryRequest', {
     requestId,
     tenantId,
     requester,
     capability,
     queryTemplate,
-    queryParams: queryParams || {},
+    queryParams: stableStringify(queryParams || {}),
+    cursor: '',
+    chainId: 0,
     nonce,
     signedAt
-  };
+  });
+}
 
-  return `${QUERY_SIGNING_CONTEXT}\n${stableStringify(envelope)}`;
+async function loadEip712Descriptor() {
+  const response = await fetch('/api/auth/eip712', { cache: 'no-store' });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body?.domain || !body?.types) {
+    throw new Error(body?.message || 'Unable to load EIP-712 signing domain.');
+  }
+
+  return body;
+}
+
+async function signTypedData(signingWallet, typedData) {
+  return window.ethereum.request({
+    method: 'eth_signTypedData_v4',
+    params: [signingWallet, JSON.stringify(typedData)]
+  });
 }
 
 function parseJsonInput(rawValue, label) {
@@ -388,7 +437,7 @@ function buildPayloadDraft({
 
       return {
         name: fieldName,
-        type: FIELD_TYPES.includes(field.type) ? field.type : 'text',
+        type: isSupportedFieldType(field.type) ? field.type : 'text',
         nullable: field.primaryKey ? false : Boolean(field.nullable),
         primaryKey: Boolean(field.primaryKey)
       };
@@ -686,7 +735,7 @@ export default function HomePage() {
     const requestIdForAction = requestIdOverride || draft.payload.requestId;
     const nonce = createNonce();
     const signedAt = new Date().toISOString();
-    const signingMessage = buildPolicyMutationMessage({
+    const typedData = buildPolicyMutationTypedData(await loadEip712Descriptor(), {
       requestId: requestIdForAction,
       tenantId: draft.payload.tenantId,
       actorWallet,
@@ -695,24 +744,13 @@ export default function HomePage() {
       nonce,
       signedAt
     });
-
-    let signature;
-    try {
-      signature = await window.ethereum.request({
-        method: 'personal_sign',
-        params: [signingMessage, signingWallet]
-      });
-    } catch {
-      signature = await window.ethereum.request({
-        method: 'personal_sign',
-        params: [signingWallet, signingMessage]
-      });
-    }
+    const signature = await signTypedData(signingWallet, typedData);
 
     return {
       actorWallet,
       requestId: requestIdForAction,
       auth: {
+        scheme: 'eip712',
         nonce,
         signedAt,
         signature
@@ -742,7 +780,7 @@ export default function HomePage() {
 
     const nonce = createNonce();
     const signedAt = new Date().toISOString();
-    const signingMessage = buildQuerySignedMessage({
+    const typedData = buildQueryTypedData(await loadEip712Descriptor(), {
       requestId: requestIdForAction,
       tenantId: draft.payload.tenantId,
       requester,
@@ -752,23 +790,12 @@ export default function HomePage() {
       nonce,
       signedAt
     });
-
-    let signature;
-    try {
-      signature = await window.ethereum.request({
-        method: 'personal_sign',
-        params: [signingMessage, signingWallet]
-      });
-    } catch {
-      signature = await window.ethereum.request({
-        method: 'personal_sign',
-        params: [signingWallet, signingMessage]
-      });
-    }
+    const signature = await signTypedData(signingWallet, typedData);
 
     return {
       requester,
       auth: {
+        scheme: 'eip712',
         nonce,
         signedAt,
         signature
@@ -868,7 +895,7 @@ export default function HomePage() {
                   typeof field?.name === 'string' && field.name.trim().length > 0
                     ? field.name.trim()
                     : `field_${fieldIndex + 1}`,
-                type: FIELD_TYPES.includes(field?.type) ? field.type : 'text',
+                type: isSupportedFieldType(field?.type) ? field.type : 'text',
                 nullable: Boolean(field?.nullable),
                 primaryKey: Boolean(field?.primaryKey)
               }))
@@ -2188,7 +2215,10 @@ export default function HomePage() {
                             updateField(table.id, field.id, 'type', event.target.value)
                           }
                         >
-                          {FIELD_TYPES.map((fieldType) => (
+                          {(FIELD_TYPES.includes(field.type)
+                            ? FIELD_TYPES
+                            : [...FIELD_TYPES, field.type]
+                          ).map((fieldType) => (
                             <option key={fieldType} value={fieldType}>
                               {fieldType}
                             </option>
@@ -2472,6 +2502,7 @@ export default function HomePage() {
                     onChange={(event) => setPolicyGrantScopeType(event.target.value)}
                   >
                     <option value="table">table</option>
+                    <option value="column">column</option>
                     <option value="database">database</option>
                   </select>
                 </label>
@@ -2480,7 +2511,7 @@ export default function HomePage() {
                   <input
                     value={policyGrantScopeType === 'database' ? '*' : policyGrantScopeId}
                     onChange={(event) => setPolicyGrantScopeId(event.target.value)}
-                    placeholder="inventory"
+                    placeholder={policyGrantScopeType === 'column' ? 'inventory.quantity' : 'inventory'}
                     disabled={policyGrantScopeType === 'database'}
                   />
                 </label>
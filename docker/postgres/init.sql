@@ -29,7 +29,8 @@ CREATE TABLE IF NOT EXISTS access_log (
   capability TEXT NOT NULL,
   query_template TEXT NOT NULL,
   decision TEXT NOT NULL,
-  created_at TIMESTAMPTZ NOT NULL
+  created_at TIMESTAMPTZ NOT NULL,
+  tenant_id TEXT
 );
 
 CREATE TABLE IF NOT EXISTS policy_grants (
@@ -44,14 +45,176 @@ CREATE TABLE IF NOT EXISTS policy_grants (
   created_at TEXT NOT NULL,
   signature_hash TEXT NOT NULL,
   revoked_at TEXT,
+  revoked_by TEXT,
+  row_predicate_json TEXT,
+  not_before TEXT,
+  expires_at TEXT,
+  max_uses INTEGER,
+  uses_remaining INTEGER,
+  conditions_json TEXT
+);
+
+CREATE TABLE IF NOT EXISTS policy_roles (
+  role_id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  role_name TEXT NOT NULL,
+  description TEXT,
+  permissions_json TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  signature_hash TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS policy_role_assignments (
+  assignment_id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  role_id TEXT NOT NULL,
+  wallet_address TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  signature_hash TEXT NOT NULL,
+  revoked_at TEXT,
   revoked_by TEXT
 );
 
+CREATE TABLE IF NOT EXISTS policy_versions (
+  version_id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  version_number INTEGER NOT NULL,
+  content_hash TEXT NOT NULL,
+  previous_hash TEXT,
+  change_type TEXT NOT NULL,
+  change_json TEXT NOT NULL,
+  snapshot_json TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS policy_quorums (
+  tenant_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  threshold INTEGER NOT NULL,
+  approvers_json TEXT NOT NULL,
+  ttl_seconds INTEGER NOT NULL,
+  updated_by TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (tenant_id, action)
+);
+
+CREATE TABLE IF NOT EXISTS policy_pending_mutations (
+  mutation_id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  payload_hash TEXT NOT NULL,
+  payload_json TEXT NOT NULL,
+  request_id TEXT NOT NULL,
+  threshold INTEGER NOT NULL,
+  approvers_json TEXT NOT NULL,
+  status TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  resolved_by TEXT,
+  resolved_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS policy_pending_mutation_approvals (
+  mutation_id TEXT NOT NULL,
+  wallet_address TEXT NOT NULL,
+  signature_hash TEXT NOT NULL,
+  approved_at TEXT NOT NULL,
+  PRIMARY KEY (mutation_id, wallet_address)
+);
+
+CREATE TABLE IF NOT EXISTS auth_nonces (
+  scope TEXT NOT NULL,
+  requester TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  PRIMARY KEY (scope, requester, nonce)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires_at
+ON auth_nonces (expires_at);
+
+CREATE TABLE IF NOT EXISTS a2a_signer_keys (
+  key_id TEXT PRIMARY KEY,
+  agent_id TEXT NOT NULL,
+  scheme TEXT NOT NULL,
+  public_key TEXT NOT NULL,
+  valid_from TEXT NOT NULL,
+  valid_until TEXT,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  retired_at TEXT,
+  retired_by TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_a2a_signer_keys_agent_key
+ON a2a_signer_keys (agent_id, scheme, public_key);
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  session_id TEXT PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  tenant_id TEXT NOT NULL,
+  wallet_address TEXT NOT NULL,
+  capabilities_json TEXT NOT NULL,
+  siwe_domain TEXT NOT NULL,
+  siwe_nonce TEXT NOT NULL,
+  chain_id INTEGER NOT NULL,
+  issued_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT,
+  revoked_by TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_sessions_wallet_nonce
+ON auth_sessions (wallet_address, siwe_nonce);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_tenant_wallet
+ON auth_sessions (tenant_id, wallet_address);
+
+CREATE TABLE IF NOT EXISTS delegation_uses (
+  tenant_id TEXT NOT NULL,
+  delegation_id TEXT NOT NULL,
+  use_count INTEGER NOT NULL,
+  max_uses INTEGER NOT NULL,
+  PRIMARY KEY (tenant_id, delegation_id)
+);
+
+CREATE TABLE IF NOT EXISTS tenant_query_templates (
+  template_id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  template_name TEXT NOT NULL,
+  capability TEXT NOT NULL,
+  mode TEXT NOT NULL,
+  postgres_sql TEXT NOT NULL,
+  sqlite_sql TEXT NOT NULL,
+  params_json TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  signature_hash TEXT NOT NULL,
+  deleted_at TEXT,
+  deleted_by TEXT
+);
+
 CREATE INDEX IF NOT EXISTS idx_access_log_created_at ON access_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_access_log_tenant_created_at ON access_log (tenant_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_wallet_balances_wallet_chain ON wallet_balances (wallet_address, chain_id);
 CREATE INDEX IF NOT EXISTS idx_wallet_tx_wallet_chain ON wallet_transactions (wallet_address, chain_id);
 CREATE INDEX IF NOT EXISTS idx_policy_grants_lookup
 ON policy_grants (tenant_id, wallet_address, scope_type, scope_id, operation, effect);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_policy_roles_name
+ON policy_roles (tenant_id, role_name);
+CREATE INDEX IF NOT EXISTS idx_policy_role_assignments_lookup
+ON policy_role_assignments (tenant_id, wallet_address, revoked_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_policy_versions_number
+ON policy_versions (tenant_id, version_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_policy_pending_mutations_open
+ON policy_pending_mutations (tenant_id, action, payload_hash)
+WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_tenant_query_templates_lookup
+ON tenant_query_templates (tenant_id, template_name, deleted_at);
 
 INSERT INTO wallet_balances (wallet_address, chain_id, asset_symbol, balance, updated_at)
 VALUES
@@ -72,10 +235,10 @@ VALUES
   ('0x8ba1f109551bd432803012645ac136ddd64dba72', 1, '0xaddab7caef90e0d4fd8c4ff2cb98a7d5a6478a63f5f7a95d02f0f90ad2d6ff77', 'out', 0.12, NOW() - INTERVAL '1 hour')
 ON CONFLICT DO NOTHING;
 
-INSERT INTO access_log (request_id, requester, capability, query_template, decision, created_at)
+INSERT INTO access_log (tenant_id, request_id, requester, capability, query_template, decision, created_at)
 VALUES
-  ('seed-allow-1', '0x8ba1f109551bd432803012645ac136ddd64dba72', 'balances:read', 'wallet_balances', 'allow', NOW()),
-  ('seed-deny-1', '0x8ba1f109551bd432803012645ac136ddd64dba72', 'balances:read', 'access_log_insert', 'deny', NOW() - INTERVAL '1 hour')
+  ('tenant_demo', 'seed-allow-1', '0x8ba1f109551bd432803012645ac136ddd64dba72', 'balances:read', 'wallet_balances', 'allow', NOW()),
+  ('tenant_demo', 'seed-deny-1', '0x8ba1f109551bd432803012645ac136ddd64dba72', 'balances:read', 'access_log_insert', 'deny', NOW() - INTERVAL '1 hour')
 ON CONFLICT DO NOTHING;
 
 INSERT INTO policy_grants (
@@ -7,12 +7,18 @@ export const OPERATION_TYPES = Object.freeze([
   'all'
 ]);
 
-export const SCOPE_TYPES = Object.freeze(['database', 'table']);
+export const SCOPE_TYPES = Object.freeze(['database', 'table', 'column']);
+
+export const COLUMN_SCOPE_ID_PATTERN = /^[a-z][a-z0-9_]{0,62}\.[a-z][a-z0-9_]{0,62}$/;
 
 export {
   DATABASE_ENGINES,
+  DECIMAL_TYPE_PATTERN,
+  FIELD_CHECK_KEYS,
   FIELD_TYPES,
   IDENTIFIER_PATTERN,
+  MAX_DECIMAL_PRECISION,
+  REFERENCE_ON_DELETE_ACTIONS,
   RESERVED_IDENTIFIERS,
   SCHEMA_DSL_JSON_SCHEMA,
   SCHEMA_DSL_SCHEMA_ID,
@@ -10,7 +10,27 @@ export const FIELD_TYPES = Object.freeze([
   'numeric',
   'boolean',
   'timestamp',
-  'jsonb'
+  'jsonb',
+  'enum',
+  'address',
+  'bytes32',
+  'uuid',
+  'date',
+  'bytea',
+  'decimal'
+]);
+
+// `decimal(precision, scale)` shorthand for a decimal field.
+export const DECIMAL_TYPE_PATTERN = '^decimal\\(\\s*\\d+\\s*,\\s*\\d+\\s*\\)$';
+export const MAX_DECIMAL_PRECISION = 1000;
+
+export const FIELD_CHECK_KEYS = Object.freeze(['min', 'max', 'pattern', 'in']);
+
+export const REFERENCE_ON_DELETE_ACTIONS = Object.freeze([
+  'no_action',
+  'restrict',
+  'cascade',
+  'set_null'
 ]);
 
 export const RESERVED_IDENTIFIERS = Object.freeze([
@@ -97,13 +117,116 @@ export const SCHEMA_DSL_JSON_SCHEMA = Object.freeze({
                 },
                 type: {
                   type: 'string',
-                  enum: FIELD_TYPES
+                  anyOf: [{ enum: FIELD_TYPES }, { pattern: DECIMAL_TYPE_PATTERN }]
+                },
+                precision: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: MAX_DECIMAL_PRECISION
+                },
+                scale: {
+                  type: 'integer',
+                  minimum: 0
                 },
                 nullable: {
                   type: 'boolean'
                 },
                 primaryKey: {
                   type: 'boolean'
+                },
+                values: {
+                  type: 'array',
+                  minItems: 1,
+                  items: {
+                    type: 'string'
+                  }
+                },
+                default: {},
+                check: {
+                  type: 'object',
+                  additionalProperties: false,
+                  properties: {
+                    min: {
+                      type: 'number'
+                    },
+                    max: {
+                      type: 'number'
+                    },
+                    pattern: {
+                      type: 'string'
+                    },
+                    in: {
+                      type: 'array',
+                      minItems: 1
+                    }
+                  }
+                },
+                renamedFrom: {
+                  type: ['string', 'null'],
+                  pattern: IDENTIFIER_PATTERN
+                },
+                references: {
+                  type: 'object',
+                  additionalProperties: false,
+                  required: ['table', 'field'],
+                  properties: {
+                    table: {
+                      type: 'string',
+                      pattern: IDENTIFIER_PATTERN
+                    },
+                    field: {
+                      type: 'string',
+                      pattern: IDENTIFIER_PATTERN
+                    },
+                    onDelete: {
+                      type: 'string',
+                      enum: REFERENCE_ON_DELETE_ACTIONS
+                    }
+                  }
+                }
+              }
+            }
+          },
+          primaryKey: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'string',
+              pattern: IDENTIFIER_PATTERN
+            }
+          },
+          unique: {
+            type: 'array',
+            items: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'string',
+                pattern: IDENTIFIER_PATTERN
+              }
+            }
+          },
+          indexes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['fields'],
+              properties: {
+                fields: {
+                  type: 'array',
+                  minItems: 1,
+                  items: {
+                    type: 'string',
+                    pattern: IDENTIFIER_PATTERN
+                  }
+                },
+                unique: {
+                  type: 'boolean'
+                },
+                name: {
+                  type: 'string',
+                  pattern: IDENTIFIER_PATTERN
                 }
               }
             }
@@ -51,6 +51,11 @@ spec:
         secretKeyRef:
           name: private-db-agent-secrets
           key: database_url
+    - name: PAGINATION_CURSOR_SECRET
+      valueFrom:
+        secretKeyRef:
+          name: private-db-agent-secrets
+          key: pagination_cursor_secret
     - name: PROOF_RUNTIME_VERIFICATION_MODE
       value: enforce
     - name: PROOF_ATTESTATION_SOURCE